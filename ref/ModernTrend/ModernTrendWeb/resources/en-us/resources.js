@@ -10,13 +10,11 @@ var ScriptsResources = {
     BindingPaneInfoDataSetTooLarge: "The data range you selected is too large for the app.",
     BindingPaneInfoFirstColumnEmpty: "The first column shouldn't be empty.",
     BindingPaneInfoFirstRowEmpty: "The first row shouldn’t be empty.",
-    BindingPaneInfoMaxColumn: "Although {0} {1} and {2} {3} are selected, the chart can only show the first {4} {5}.",
-    BindingPaneInfoMaxRow: "Although {0} {1} and {2} {3} are selected, the chart can only show the first {4} {5}.",
-    BindingPaneInfoMaxRowAndColumn: "Although {0} {1} and {2} {3} are selected, the chart can only show the first {4} {5} and the first {6} {7}.",
     BindingPaneInfoNormal: "You've selected {0} {1} and {2} {3}.",
     BindingPaneInfoSecondColumnContainNumber: "Any cell of the second column except for the header should contain a number.",
     BindingPaneInfoSelectData: "Please select your data area in the Excel spreadsheet.",
     BindingPaneInfoSelectTwoColumns: "Please select at least two columns. The data in the first column will be shown on the x-axis.",
+    BindingPanePreviewSubtitle: "PREVIEW",
     BindingPaneSampleDataHeader1: "Time",
     BindingPaneSampleDataHeader2: "Computers",
     BindingPaneSampleDataHeader3: "Mobile devices",
@@ -25,13 +23,60 @@ var ScriptsResources = {
     BindingPaneSampleDataTime3: "6:00",
     BindingPaneSubtitle: "SAMPLE DATA",
     BindingPaneTitle: "Select your data to create a chart",
+    ChartAddNoteTitle: "Add a note",
+    ChartKeyboardHint: "Chart. Press the left and right arrow keys to read the values of each column.",
+    ChartNoteLabel: "Note",
+    DataPaneAddRangeButton: "Add selected range",
+    DataPaneAddTransform: "Add a transform",
+    DataPaneDiagnosticGoTo: "Go to",
+    DataPaneDiagnosticHeaderAsValues: "Range {0}, cell {1}: the header \"{2}\" is read as a value. Check the header setting.",
+    DataPaneDiagnosticInvalidData: "The data can't be read.",
+    DataPaneDiagnosticMore: "{0} more issues aren't listed.",
+    DataPaneDiagnosticNumberHeader: "Range {0}, cell {1}: the header \"{2}\" is a number. Check the header setting.",
+    DataPaneDiagnosticOrphanedHighlight: "The highlight on {0} at \"{1}\" doesn't match any point.",
+    DataPaneDiagnosticRangeLeftOut: "Range {0} has no values to plot, so it's left out.",
+    DataPaneDiagnosticRemoveHighlights: "Remove",
+    DataPaneDiagnosticSkippedCell: "Range {0}, cell {1}: \"{2}\" isn't a number, so it's skipped.",
+    DataPaneDiagnosticUnmatchedPointIds: "{0} highlights saved by an earlier version don't match any point.",
+    DataPaneDiagnosticsTitle: "Data issues",
+    DataPaneGapModeBreak: "Break the line",
+    DataPaneGapModeInterpolate: "Connect the values around",
+    DataPaneGapModeTitle: "Missing values",
+    DataPaneGapModeZero: "Show as zero",
     DataPaneHeader: "Data",
+    DataPaneHiddenRowsIncluded: "{0} {1} hidden by sheet filters are included",
+    DataPaneHiddenRowsLeftOut: "{0} {1} hidden by sheet filters are left out",
+    DataPaneHighlightLatest: "Latest value",
+    DataPaneHighlightMaximum: "Maximum",
+    DataPaneHighlightMinimum: "Minimum",
+    DataPaneHighlightThreshold: "First crossing of",
+    DataPaneHighlightTitle: "Highlight",
+    DataPaneHighlightTopN: "Largest values",
+    DataPaneOrientationColumns: "Series in columns",
+    DataPaneOrientationRows: "Series in rows",
+    DataPaneOrientationTitle: "Data orientation",
+    DataPaneRangeItem: "Range {0}: {1} {2}, {3} {4}",
+    DataPaneRangesTitle: "Bound ranges",
+    DataPaneRemoveRange: "Remove",
+    DataPaneRemoveTransform: "Remove",
+    DataPaneSeriesTitle: "Series",
+    DataPaneTransformsTitle: "Transforms",
+    DataPaneTrendlineDegree: "Degree",
+    DataPaneTrendlineForecast: "Forecast periods",
+    DataPaneTrendlineNone: "None",
+    DataPaneTrendlineTitle: "Trendline",
     DataPaneSelectButton: "Select your data",
     DefaultLegendName: "Line {0}",
     FloatMenuDataTitle: "Data",
     FloatMenuSettingTitle: "Settings",
+    FloatMenuZoomResetTitle: "Show all data",
     PluralizationColumns: "column||columns",
     PluralizationRows: "row||rows",
+    ReadOptionsFirstColumnIsHeader: "First column is header",
+    ReadOptionsFirstColumnIsLabels: "First column is labels",
+    ReadOptionsFirstRowIsHeader: "First row is header",
+    ReadOptionsFirstRowIsLabels: "First row is labels",
+    ReadOptionsRespectSheetFilters: "Respect sheet filters",
     SampleDataLegend1: "Computers",
     SampleDataLegend2: "Mobile devices",
     SampleDataLongDescription: "People prefer to use PCs  at work, and surf the Internet via mobile devices at their leisure.",
@@ -48,6 +93,24 @@ var ScriptsResources = {
     SampleDataTime8: "21:00",
     SampleDataTime9: "23:00",
     SampleDataTitle: "Website Traffic Analysis",
+    ScatterCorrelation: "Correlation",
+    ScatterCorrelationValue: "r = {0}",
+    ScatterLabels: "Point labels",
+    ScatterNotEnoughSeries: "Bind two or more series to plot them against each other",
+    ScatterRegression: "Regression line",
+    ScatterXSeries: "X axis",
+    ScatterYSeries: "Y axis",
+    SecondaryAxis: "Right axis",
+    SettingPaneAxisAuto: "Auto",
+    SettingPaneAxisCompact: "Show large numbers as K, M and B",
+    SettingPaneAxisIncludeZero: "Always include zero",
+    SettingPaneAxisMaximum: "Maximum",
+    SettingPaneAxisMinimum: "Minimum",
+    SettingPaneAxisScale: "Scale",
+    SettingPaneAxisScaleLinear: "Linear",
+    SettingPaneAxisScaleLog: "Logarithmic",
+    SettingPaneAxisTab: "Axis",
+    SettingPaneAxisTickNumber: "Number of ticks",
     SettingPaneHeader: "Settings",
     SettingPaneThemeTab: "Theme",
     SettingPaneThemeTitle1: "Theme 1",
@@ -56,4 +119,24 @@ var ScriptsResources = {
     SettingPaneThemeTitle4: "Theme 4",
     SettingPaneThemeTitle5: "Theme 5",
     SettingPaneThemeTitle6: "Theme 6",
+    SettingPaneTypeArea: "Area",
+    SettingPaneTypeBar: "Bar",
+    SettingPaneTypeColumn: "Column",
+    SettingPaneTypeLine: "Line",
+    SettingPaneTypePercentArea: "100% stacked area",
+    SettingPaneTypeScatter: "Scatter",
+    SettingPaneTypeSmallMultiples: "Small multiples",
+    SettingPaneTypeStackedArea: "Stacked area",
+    SettingPaneTypeStackedColumn: "Stacked column",
+    SettingPaneTypeTab: "Chart type",
+    SmallMultiplesSharedYScale: "Same scale in every chart",
+    TransformsCumulativeSum: "Cumulative sum",
+    TransformsPercentChange: "% change",
+    TransformsRebase: "Index (first = 100)",
+    TransformsRollingAverage: "{0}-point average",
+    TransformsRollingAverageName: "Rolling average",
+    TrendlinesExponential: "Exponential",
+    TrendlinesLinear: "Linear",
+    TrendlinesPolynomial: "Polynomial",
+    TrendlinesRSquared: "R² = {0}",
 };
\ No newline at end of file
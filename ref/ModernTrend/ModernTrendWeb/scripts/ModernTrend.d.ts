@@ -399,6 +399,30 @@ declare module DataViz.Data {
           */
         convert(data: any): any;
     }
+    /**
+      * This interface defines the behavior of the data transformer, which can derive other views of the converted data before it is sampled.
+      * For example, the trends data transformer can turn a line into its moving average
+      */
+    interface IDataTransformer extends DataViz.Tools.ITool, DataViz.Config.IConfigurationChangeListener {
+        /**
+          * Transforms the converted data
+          * @param {any} data The converted data to transform
+          * @returns {any} The transformed data
+          */
+        transform(data: any): any;
+    }
+    /**
+      * This interface defines the behavior of the data sampler, which can reduce the converted data to what the chart is able to show before it is plotted.
+      * For example, the trends data sampler keeps no more points on a line than there are pixels across the chart
+      */
+    interface IDataSampler extends DataViz.Tools.ITool, DataViz.Config.IConfigurationChangeListener {
+        /**
+          * Samples the converted data
+          * @param {any} data The converted data to sample
+          * @returns {any} The sampled data
+          */
+        sample(data: any): any;
+    }
     /**
       * This interface defines the behavior of the data binder, which can:
       *  - Get/set data from/to the host application
@@ -426,6 +450,17 @@ declare module DataViz.Data {
           * @param {(result: any) => any} [callback] The callback that will be called after the data binding is done. Optional.
           */
         bindBySelection(callback?: (result: any) => any): void;
+        /**
+          * Binds the currently selected data in addition to the data that is already bound
+          * @param {(result: any) => any} [callback] The callback that will be called after the data binding is done. Optional.
+          */
+        addBySelection(callback?: (result: any) => any): void;
+        /**
+          * Releases one of the bindings, as long as it isn't the only one
+          * @param {string} bindingName The name of the binding to release
+          * @param {() => any} [callback] The callback that will be called after the binding is released. Optional.
+          */
+        removeBinding(bindingName: string, callback?: () => any): void;
         /**
           * Rebinds data directly using the default bind name
           * @param {() => any} [callback] The callback that will be called after the data binding is done. Optional.
@@ -759,14 +794,21 @@ declare module DataViz.Control {
         private visualizer;
         private dataBinder;
         private dataConvertor;
+        private dataSampler;
+        private dataTransformer;
         private cachedData;
         private isRevisualizeOnThemeChange;
+        private revisualizingKeys;
+        private isBatchingChanges;
+        private isRevisualizePending;
         /**
           * @param {Visualizer} visualizer The visualizer that will be used for visualization
           * @param {IDataBinder} dataBinder The data binder that will be used to bind data
           * @param {IDataConvertor} visualizer The data convertor that will be used to convert raw data
+          * @param {IDataSampler} [dataSampler] The data sampler that will be used to sample the converted data before visualization. Optional.
+          * @param {IDataTransformer} [dataTransformer] The data transformer that will be used to transform the converted data before sampling. Optional.
           */
-        constructor(visualizer: Chart.Visualizer, dataBinder: Data.IDataBinder, dataConvertor: Data.IDataConvertor);
+        constructor(visualizer: Chart.Visualizer, dataBinder: Data.IDataBinder, dataConvertor: Data.IDataConvertor, dataSampler?: Data.IDataSampler, dataTransformer?: Data.IDataTransformer);
         /**
           * Binds data by prompt (delegate to the data binder)
           * @param {(result: any) => any} [callback] The callback that will be called after the data binding is done. Optional.
@@ -777,6 +819,17 @@ declare module DataViz.Control {
           * @param {(result: any) => any} [callback] The callback that will be called after the data binding is done. Optional.
           */
         bindDataBySelection(callback?: (result: any) => any): void;
+        /**
+          * Binds the selected data in addition to the bound data (delegate to the data binder)
+          * @param {(result: any) => any} [callback] The callback that will be called after the data binding is done. Optional.
+          */
+        addDataBySelection(callback?: (result: any) => any): void;
+        /**
+          * Releases one of the bindings (delegate to the data binder)
+          * @param {string} bindingName The name of the binding to release
+          * @param {() => any} [callback] The callback that will be called after the binding is released. Optional.
+          */
+        removeData(bindingName: string, callback?: () => any): void;
         /**
           * Rebinds data directly using the default bind name (delegate to the data binder)
           * @param {() => any} [callback] The callback that will be called after the data binding is done. Optional.
@@ -801,6 +854,18 @@ declare module DataViz.Control {
           * @param {boolean} isRevisualize set to true if revisualizing on theme change is true
           */
         revisualizeOnThemeChange(isRevisualize: boolean): void;
+        /**
+          * Sets the keys of the configuration values of the app, other than the shape, that the cached data is revisualized on when they change
+          * @param {string[]} keys The keys of the configuration values
+          */
+        revisualizeOnConfigurationChange(keys: string[]): void;
+        /**
+          * Makes a number of configuration changes that revisualize the cached data only once, after all of them are made
+          * @param {() => any} changes The function that makes the changes
+          * @param {boolean} [revisualizes] Whether to revisualize after the changes if any of them asks for it. Optional, the default value is true.
+          *                 Set it to false when the data is about to change anyway.
+          */
+        batchConfigurationChanges(changes: () => any, revisualizes?: boolean): void;
         /**
           * Implementing {@link IDataChangeListener#onDataChanged}
           */
@@ -813,8 +878,10 @@ declare module DataViz.Control {
           * Implementing {@link IConfigurationChangeListener#onConfigurationChanged}
           */
         onConfigurationChanged(key: string, value: any): void;
+        private revisualizeOrDefer();
     }
 }
+declare var d3: any;
 /**
   * This module contains the basic definitions, constants and base-classes of customizable decoration related tasks
   */
@@ -844,6 +911,10 @@ declare module DataViz.Decoration {
           * The CSS URL of this theme
           */
         css: string;
+        /**
+          * The line colors of this theme, in the order they are given to the lines
+          */
+        palette: string[];
     }
     /**
       * This class represents a single shape definition
@@ -876,6 +947,7 @@ declare module DataViz.Decoration {
     class ThemeProvider implements Config.IConfigurationChangeListener {
         private static theInstance;
         private static version;
+        private static fallbackPalette;
         private definitions;
         private currentThemeId;
         static Instance: ThemeProvider;
@@ -919,6 +991,13 @@ declare module DataViz.Decoration {
           * @returns {string} The CSS URL for the current theme
           */
         CurrentThemeCssUrl: string;
+        /**
+          * Returns the color of a line in the current theme. Lines beyond the palette reuse it with shifted hue and lightness,
+          * so that any number of lines gets distinguishable colors.
+          * @param {number} index The index of the line
+          * @returns {string} The color of the line
+          */
+        getLineColor(index: number): string;
         /**
           * Gets the theme with the given id
           * @param {string} id The id of a theme
@@ -1019,6 +1098,14 @@ declare module DataViz.SKUs {
           * The data convertor class name
           */
         dataConvertor: string;
+        /**
+          * The data transformer class name. Optional, the converted data is plotted as is if it's not given
+          */
+        dataTransformer: string;
+        /**
+          * The data sampler class name. Optional, the converted data is plotted as is if it's not given
+          */
+        dataSampler: string;
         /**
           * The configurator class name
           */
@@ -1049,6 +1136,8 @@ declare module DataViz.SKUs {
         private layouter;
         private dataBinder;
         private dataConvertor;
+        private dataTransformer;
+        private dataSampler;
         private configurator;
         private visualizer;
         private controller;
@@ -1087,6 +1176,16 @@ declare module DataViz.SKUs {
           * @returns {DataViz.Data.IDataConvertor} The data convertor instance
           */
         DataConvertor: DataViz.Data.IDataConvertor;
+        /**
+          * Gets the data transformer used in this SKU
+          * @returns {DataViz.Data.IDataTransformer} The data transformer instance, or null if the SKU doesn't transform its data
+          */
+        DataTransformer: DataViz.Data.IDataTransformer;
+        /**
+          * Gets the data sampler used in this SKU
+          * @returns {DataViz.Data.IDataSampler} The data sampler instance, or null if the SKU doesn't sample its data
+          */
+        DataSampler: DataViz.Data.IDataSampler;
         /**
           * The configurator used in the SKU
           * @returns {DataViz.Config.IConfigurator} The configurator instance
@@ -1182,71 +1281,6 @@ declare module DataViz.SKUs {
     }
 }
 declare var Office: any;
-/**
-  * This module contains the implementation of the specific data binder of the app
-  */
-declare module Trends.Data.Agave {
-    /**
-      * This is the specific data binder of the app
-      */
-    class DataBinder implements DataViz.Data.IDataBinder {
-        private isDataBound;
-        private sendDataBindingTelemetry;
-        private bindingName;
-        private dataChangeListeners;
-        private dataChangeHandler;
-        constructor();
-        /**
-          * Implementing {@link ITool#resetTool}
-          */
-        resetTool(): void;
-        /**
-          * Implementing {@link IDataBinder#registerDataChangeListener}
-          */
-        registerDataChangeListener(listener: DataViz.Data.IDataChangeListener): void;
-        /**
-          * Implementing {@link IDataBinder#unregisterDataChangeListener}
-          */
-        unregisterDataChangeListener(listener: DataViz.Data.IDataChangeListener): void;
-        /**
-          * Implementing {@link IDataBinder#bindByPrompt}
-          */
-        bindByPrompt(callback?: (result: any) => any): void;
-        /**
-          * Implementing {@link IDataBinder#bindBySelection}
-          */
-        bindBySelection(callback?: () => any): void;
-        /**
-          * Implementing {@link IDataBinder#Rebind}
-          */
-        rebind(callback?: () => any): void;
-        /**
-          * Implementing {@link IDataBinder#getSelectedData}
-          */
-        getSelectedData(callback: (data: any) => any): void;
-        /**
-          * Implementing {@link IDataBinder#IsBound}
-          */
-        isBound(): boolean;
-        /**
-          * Implementing {@link IDataBinder#getData}
-          */
-        getData(callback: (data: Trends.Data.RawData) => any): void;
-        /**
-          * Implementing {@link IDataBinder#unbind}
-          */
-        unbind(callback?: () => any): void;
-        private bind(prompt, callback?);
-        getBindingName(): string;
-        private bindInternal(prompt, callback?);
-        private attachHandler(callback?);
-        private detachHandler(bindingName, callback?);
-        private notifyDataChange();
-        private notifyBindingTargetChange();
-        private detectHeader(data);
-    }
-}
-declare var Office: any;
 /**
   * This module contains the implementation of the app's specific configurator
   */
@@ -1272,33 +1306,175 @@ declare module DataViz.Config.Trends {
         shortdes1GroupWidth: string;
         longdesGroupWidth: string;
         clickedPointIdArray: string;
+        pointHighlights: string;
         lineOrder: string;
         lineDisplay: string;
         lineTitleArray: string;
+        lineGapModes: string;
+        lineTransforms: string;
+        lineTrendlines: string;
+        lineHighlightRules: string;
+        trendlineDisplay: string;
+        lineAxes: string;
+        yAxisOptions: string;
+        compactNumbers: string;
+        xWindow: string;
+        scatterOptions: string;
+        sharedYScale: string;
+        annotations: string;
         bindingName: string;
+        bindingNames: string;
         windowWidth: string;
         windowHeight: string;
         isLegendEdited: string;
+        orientation: string;
+        firstRowIsHeader: string;
+        firstColumnIsLabels: string;
+        respectSheetFilters: string;
+    };
+    /**
+      * The keys of the settings that change how the bound data is converted, transformed or plotted,
+      * so that the controller revisualizes the data when any of them changes
+      */
+    var revisualizingKeys: string[];
+    /**
+      * The orientations of the bound data
+      */
+    var Orientation: {
+        seriesInColumns: string;
+        seriesInRows: string;
+    };
+    /**
+      * The ways a line can show the missing values in it
+      */
+    var GapMode: {
+        breakLine: string;
+        zero: string;
+        interpolate: string;
+    };
+    /**
+      * The transforms that can be applied to a line
+      */
+    var TransformType: {
+        rollingAverage: string;
+        cumulativeSum: string;
+        percentChange: string;
+        rebase: string;
+    };
+    /**
+      * The least-squares fits a trendline can be
+      */
+    var TrendlineType: {
+        linear: string;
+        exponential: string;
+        polynomial: string;
+    };
+    /**
+      * The rules that pick the points of a line to highlight
+      */
+    var HighlightRuleType: {
+        maximum: string;
+        minimum: string;
+        last: string;
+        thresholdCrossing: string;
+        topN: string;
     };
-    var MaxLineNumber: number;
-    var MaxColumnNumber: number;
+    /**
+      * The y axes a line can be drawn against
+      */
+    var YAxis: {
+        primary: string;
+        secondary: string;
+    };
+    /**
+      * The scales the y axes can have
+      */
+    var YScale: {
+        linear: string;
+        log: string;
+    };
+    /**
+      * The settings of the y axes. The scale, the zero and the number of ticks apply to both axes,
+      * while the fixed minimum and maximum only apply to the primary axis.
+      */
+    interface YAxisOptions {
+        scale: string;
+        min: number;
+        max: number;
+        includesZero: boolean;
+        tickNumber: number;
+    }
+    /**
+      * A highlighted point. It's saved by the name of its series and the label of its column, so that it stays with the point when the data is edited.
+      */
+    interface PointHighlight {
+        seriesName: string;
+        xLabel: string;
+    }
+    /**
+      * A note on a point, which is saved like a highlight
+      */
+    interface Annotation extends PointHighlight {
+        text: string;
+    }
+    /**
+      * The columns the chart is zoomed to. Both ends are null when the chart shows all the columns.
+      */
+    interface XWindow {
+        start: number;
+        end: number;
+    }
+    /**
+      * The settings of the scatter chart. The series are saved by name, like the highlights, so that they stay picked when the data is edited.
+      */
+    interface ScatterOptions {
+        xSeriesName: string;
+        ySeriesName: string;
+        showsRegression: boolean;
+        showsCorrelation: boolean;
+        showsLabels: boolean;
+    }
     var Culture: string;
     /**
-      * Reset clickedPointIdArray
+      * Reset the highlighted points, including those saved as point ids by earlier versions
       */
-    function resetClickedPointIdArrays(): void;
+    function resetPointHighlights(): void;
     /**
-      * Reset lineOrder
+      * Reset lineOrder. The plotter fills in the default order for the lines it draws.
       */
     function resetLineOrder(): void;
     /**
-      * Reset line display status
+      * Reset line display status. The plotter shows every line that has no saved status.
       */
     function resetLineDisplay(): void;
     /**
-      * Reset line display status
+      * Reset line titles. The plotter gives the default legend name to every line that has no saved title.
       */
     function resetLineTitleArray(): void;
+    /**
+      * Reset line gap modes. The convertor breaks every line that has no saved gap mode at its missing values.
+      */
+    function resetLineGapModes(): void;
+    /**
+      * Reset line transforms. The lines without saved transforms are drawn from the bound values.
+      */
+    function resetLineTransforms(): void;
+    /**
+      * Reset line trendlines and their display status. The plotter shows every trendline that has no saved status.
+      */
+    function resetLineTrendlines(): void;
+    /**
+      * Reset line highlight rules. The lines without saved rules have only the highlights the user has added.
+      */
+    function resetLineHighlightRules(): void;
+    /**
+      * Reset line axes. The plotter draws every line that has no saved axis against the primary axis.
+      */
+    function resetLineAxes(): void;
+    /**
+      * Reset the zoom window, so that the chart shows all the columns
+      */
+    function resetXWindow(): void;
     class SampleDataProvider {
         private data;
         private renderData;
@@ -1314,7 +1490,7 @@ declare module DataViz.Config.Trends {
         Shortdes2Descript: string;
         LongdesTitle: string;
         LongdesDescript: string;
-        DataPoints: string[];
+        DataPoints: PointHighlight[];
     }
     /**
       * This is the specific configurator of the app
@@ -1340,353 +1516,2116 @@ declare module DataViz.Config.Trends {
         onConfigurationChanged(key: string, value: any): void;
     }
 }
-declare var $: any;
-declare var Office: any;
-declare module DataViz.UX {
-    var infoColors: {
-        red: string;
-        green: string;
-    };
+declare var d3: any;
+/**
+  * This module contains the number formats inferred from the formatted values of the lines
+  */
+declare module Trends.Data {
     /**
-      * This class is the Data Binding Dialog UI.
+      * What a number format shows around and in a number
       */
-    class BindingPane {
-        private static bindingPaneStyle;
-        private static sampleDataMaxRowNumber;
-        private static defaultArgs;
-        private selectionChangeHandler;
-        private resizeHandler;
-        private args;
-        private bindingPaneElementsStyle;
-        private selectedData;
-        private bindingPaneDim;
-        private bindingPane;
-        private titleSpan;
-        private subtitle;
-        private sampleDataPane;
-        private infoText;
-        private buttonGroup;
-        private buttonCancel;
-        private buttonOk;
-        private td;
-        private zoomRatio;
+    interface NumberFormatSettings {
+        prefix: string;
+        suffix: string;
+        decimals: number;
+        hasSeparators: boolean;
+        isPercentage: boolean;
+        hasParentheses: boolean;
+        datePattern: string;
+    }
+    /**
+      * This is a number format like the one of the cells of a line. It's inferred from the formatted values of the cells,
+      * since the Office API gives the formatted values but not the formats.
+      */
+    class NumberFormat {
+        static maxGeneralDecimals: number;
+        private static maxDecimals;
+        private static compactUnits;
+        private static monthNames;
+        private static dayNames;
+        private settings;
+        constructor(settings: NumberFormatSettings);
         /**
-          * Constructor
+          * Gets the format of numbers that have no format of their own. It shows thousand separators and at most 2 digits after the decimal point.
           */
-        constructor();
+        static General: NumberFormat;
         /**
-          * Use new arguments to update the Data Binding UI and its event handlers.
-          * @param {BindingPaneArgs} args The arguments used to update the binding pane
+          * Gets the format of percentages that have no format of their own, with at most 2 digits after the decimal point
           */
-        updateBindingPane(args: BindingPaneArgs): BindingPane;
-        zoomBindingPane(): BindingPane;
+        static Percentage: NumberFormat;
+        IsPercentage: boolean;
+        IsDate: boolean;
         /**
-          * Show the Data Binding UI.
+          * Infers the number format of a line from the formatted values of its points. The format that most of the values have is taken,
+          * if at least half of the values have it.
+          * @param {PointDataOnLine[]} points The points of the line
+          * @returns {NumberFormat} The format of the line, or the general format if the values have no format in common
           */
-        show(): void;
+        static infer(points: PointDataOnLine[]): NumberFormat;
         /**
-          * Hide the Data Binding UI.
+          * Combines the formats of the lines drawn against the same axis
+          * @param {NumberFormat[]} formats The formats of the lines
+          * @returns {NumberFormat} The format the lines have in common, the percentage format if they are all percentages, or the general format
           */
-        hide(): void;
+        static combine(formats: NumberFormat[]): NumberFormat;
         /**
-          * Identify whether the string is numeric
-          * @param {string} str The string need to be identified
-          * @returns True if the string is numeric; false otherwise
+          * Formats a value the way the cells of the line show it
+          * @param {number} value The value
+          * @param {boolean} isCompact Whether thousands, millions and billions are shown with the K, M and B suffixes
+          * @returns {string} The formatted value
           */
-        setInfoTextAndButton(text: string, textColor: string, buttonEnable: boolean): void;
-        bindingData: any;
-        handleDataSelection(): void;
-        private updateArgs(args);
-        private handleArgs();
-        private setEventHandler(funcOK?, funcCancel?);
-        private setSampleData(sampleData?);
-        private resetPaneContentPosition();
-        private handleStyleInHDPI(elementId, classNameArray);
-    }
-    interface BindingPaneArgs {
-        sampleData?: any;
-        handleDataSelection?: any;
-        buttonOKCallback?: any;
-        buttonCancelCallback?: any;
-        title?: any;
-        subtitle?: any;
-        infoText?: any;
-        buttonOKText?: any;
-        buttonCancelText?: any;
+        format(value: number, isCompact?: boolean): string;
+        /**
+          * Formats the ticks of an axis. Unless they are compact, the ticks are shown with the same number of digits after the decimal point,
+          * which is enough to tell them apart.
+          * @param {number[]} ticks The ticks
+          * @param {boolean} isCompact Whether thousands, millions and billions are shown with the K, M and B suffixes
+          * @returns {string[]} The formatted ticks
+          */
+        formatTicks(ticks: number[], isCompact: boolean): string[];
+        /**
+          * Reads the format of one formatted value
+          * @param {string} text The formatted value
+          * @param {number} value The value
+          * @returns {NumberFormatSettings} The format, or null if the text isn't the value in a known format
+          */
+        private static parse(text, value);
+        /**
+          * Checks whether the digits of a formatted value are the value, rounded to the digits after the decimal point.
+          * Formats that scale the value, like "0.0,," for millions, can't be told from the text.
+          */
+        private static isShownAsNumber(value, integerDigits, decimalDigits, suffix);
+        /**
+          * Reads the date format of a formatted Excel date
+          * @param {string} text The formatted value, such as "7/21/2016", "21-Jul", "July 2016" or "3:30 PM"
+          * @param {number} value The serial number of the date
+          * @returns {string} The d3 time format of the text, or null if the text isn't the date
+          */
+        private static parseDate(text, value);
+        /**
+          * Gets what formatted values must have in common to have the same format. The decimals and separators may vary,
+          * since they can't always be told from a value.
+          */
+        private static getKey(settings);
+        /**
+          * Merges the formats of values that have the same key
+          */
+        private static merge(group);
+        private static getCompactUnit(value);
+        /**
+          * Counts the digits after the decimal point that a number needs, at most 10
+          */
+        private static countDecimals(value);
+        private scale(value);
+        private formatNumber(value, unit, decimals, trimsZeros);
+        private formatDate(value);
     }
 }
-declare var ScriptsResources: any;
-declare module DataViz.Resources {
-    class UI {
-        static backButtonTitle: string;
-        static floatMenuDataTitle: string;
-        static floatMenuSettingTitle: string;
-        static defaultLegendName: string;
+/**
+  * This module contains the implementation of the People Bar specific data covnertor
+  */
+declare module Trends.Data {
+    interface RawData {
+        hasHeader: boolean;
+        formatted: any;
+        unformatted: any;
+        ranges?: RawData[];
+        hiddenRowCount?: number;
     }
-    class DataPane {
-        static header: string;
-        static selectButtonText: string;
+    interface PointDataOnLine {
+        originalIndex: number;
+        formatted: string;
+        unformatted: number;
+        isMissing?: boolean;
+        isAfterGap?: boolean;
     }
-    class SettingPane {
-        static header: string;
-        static themeTab: string;
-        static themeTitles: string[];
+    interface LineDataConverted {
+        validDataCount: number;
+        data: PointDataOnLine[];
+        trendline?: TrendlineFit;
+        ruleHighlights?: number[];
+        numberFormat?: NumberFormat;
+        rangeColumns?: number[];
     }
-    class SampleData {
-        static title: string;
-        static shortDescriptionTitle: string;
-        static shortDescription: string;
-        static longDescriptionTitle: string;
-        static longDescription: string;
-        static legend1: string;
-        static legend2: string;
-        static time1: string;
-        static time2: string;
-        static time3: string;
-        static time4: string;
-        static time5: string;
-        static time6: string;
-        static time7: string;
-        static time8: string;
-        static time9: string;
-    }
-    class Pluralization {
-        static rows: string;
-        static columns: string;
-    }
-    class BindingPane {
-        static infoNormal: string;
-        static infoMaxRow: string;
-        static infoMaxColumn: string;
-        static infoMaxRowAndColumn: string;
-        static infoDataSetTooLarge: string;
-        static infoFirstRowEmpty: string;
-        static infoFirstColumnEmpty: string;
-        static infoSelectData: string;
-        static infoSelectTwoColumns: string;
-        static infoSecondColumnContainNumber: string;
-        static title: string;
-        static subtitle: string;
-        static buttonOKText: string;
-        static buttonCancelText: string;
-        static sampleDataHeader1: string;
-        static sampleDataHeader2: string;
-        static sampleDataHeader3: string;
-        static sampleDataTime1: string;
-        static sampleDataTime2: string;
-        static sampleDataTime3: string;
+    interface BindingData {
+        header: string[];
+        xData: string[];
+        xDates: Date[];
+        yData: LineDataConverted[];
+        diagnostics?: ConversionDiagnostic[];
     }
-}
-declare var $: any;
-declare var Office: any;
-declare module DataViz.UX {
-    class BindingPaneSpecific extends BindingPane {
-        private static instance;
-        /**
-          * Get the singleton instance.
-          */
-        static getInstance(): BindingPaneSpecific;
-        handleDataSelection(): void;
-        private isFirstColumnNonEmpty(value);
-        private isSecondColumnHasNumber(value);
-        private isFirstRowNonEmpty(value);
-        private isDataValid(data);
-        private getPluralString(combinedStr, count);
+    /**
+      * The kinds of problems the conversion reports
+      */
+    var DiagnosticType: {
+        skippedCell: string;
+        suspectHeader: string;
+        rangeLeftOut: string;
+        invalidData: string;
+    };
+    /**
+      * A problem the conversion found in the raw data
+      */
+    interface ConversionDiagnostic {
+        type: string;
+        rangeIndex: number;
+        row?: number;
+        column?: number;
+        text?: string;
     }
-}
-declare var $: any;
-/**
-  * This modules contains the implementation of the galleries
-  */
-declare module DataViz.UX.Shared {
     /**
-      * This defines the basic styles of a thumbnail icon in the gallery
+      * This is the specific data convertor implementation of the app
       */
-    interface IconStyle {
+    class DataConvertor implements DataViz.Data.IDataConvertor {
+        private static excelSerialOfUnixEpoch;
+        private static maxExcelSerial;
+        private static millisecondsPerDay;
+        private static numericDatePattern;
+        private static timePattern;
+        private static dateNamePattern;
+        private orientation;
+        private isOrientationGuessPending;
+        private firstRowIsHeader;
+        private firstColumnIsLabels;
+        private hasHeader;
+        private hasLabels;
+        private lineGapModes;
+        private diagnostics;
         /**
-          * The left margin
+          * Implementing {@link ITool#resetTool}
           */
-        marginLeft: number;
+        resetTool(): void;
         /**
-          * The top margin
+          * Gets whether the first row (after orientation) was read as the header in the last conversion
+          * @returns {boolean} True if the first row was read as the header; false otherwise
           */
-        marginTop: number;
+        HasHeader: boolean;
         /**
-          * The width
+          * Gets whether the first column (after orientation) was read as the x labels in the last conversion
+          * @returns {boolean} True if the first column was read as the x labels; false otherwise
           */
-        width: number;
+        HasLabels: boolean;
         /**
-          * The height
+          * Gets the problems found in the last conversion
+          * @returns {ConversionDiagnostic[]} The problems, in the order of the ranges and the cells
           */
-        height: number;
-    }
-    /**
-      * The base class of all the gallery classes
-      */
-    class BaseGallery implements Config.IConfigurationChangeListener {
-        icons: Decoration.Customizable[];
-        currentIconId: string;
-        private parentId;
-        private reentryFlag;
-        private iconStyle;
-        private configurationKey;
-        constructor(parentId: string, iconStyle: IconStyle, configurationKey: string);
+        Diagnostics: ConversionDiagnostic[];
         /**
-          * Sets up the listeners
+          * Gets the A1 style address of a cell, counted from the top left cell of a range
+          * @param {number} row The index of the row
+          * @param {number} column The index of the column
+          * @returns {string} The address, for example "B4"
           */
-        setupListener(): void;
+        static getCellAddress(row: number, column: number): string;
         /**
-          * Populates the gallery
+          * Determines whether the first row of the data is a header, which is the case if none of its cells (except for the first one) is a number
+          * @param {any[][]} data The unformatted data
+          * @returns {boolean} True if the first row is a header; false otherwise
           */
-        populate(iconNames: string[]): void;
+        static detectHeader(data: any[][]): boolean;
         /**
-          * Refreshes the list of the backed customizable items
-          * This ought to be "protected" but unfortunately TypeScript doesn't support "protected" members when the source code is published.
-         */
-        refreshList(): void;
+          * Guesses the orientation of the data from its shape. The data is taken as series in rows only if that is obvious, which is when
+          *  - the first row holds numbers (or dates), the first column holds text and there are more columns than rows, or
+          *  - there are only two rows but more than two columns, which would be one point per line the other way round
+          * @param {any[][]} data The unformatted data
+          * @returns {string} One of {@link DataViz.Config.Trends.Orientation}
+          */
+        static guessOrientation(data: any[][]): string;
+        /**
+          * Swaps the rows and the columns of a matrix
+          * @param {any[][]} matrix The matrix to transpose
+          * @returns {any[][]} The transposed matrix
+          */
+        static transpose(matrix: any[][]): any[][];
+        /**
+          * Determines whether the binding is a matrix or a table binding and its column number is more than one
+          * @param {any} binding used to get data.
+          * @returns {boolean} True if the binding is valid; false otherwise
+          */
+        static isBindingValid(binding: any): boolean;
+        /**
+          * Implementing {@link IDataConvertor#Convert}
+          * @param {RawData} the raw data contains both formatted and unformatted data.
+          * Example: data.formatted: [["21-Jul", "$41.00"], ["22-Jul", "$29.00"], ...]
+          *          data.unformatted: [[41476, 41], [41477, 29], ...]
+          * @returns {BindingData} The converted data
+          */
+        convert(data: RawData): BindingData;
+        /**
+          * Converts the data of several ranges and lines it up on the x values
+          * @param {RawData[]} rawRanges The raw data of every range
+          * @returns {BindingData} The converted data
+          */
+        private convertRanges(rawRanges);
+        /**
+          * Lines up the data converted from several ranges on their x values. An x value that is in more than one range becomes
+          * one column, and the lines of a range have no point in the columns of the x values the range doesn't have.
+          * @param {BindingData[]} ranges The data converted from each range
+          * @returns {BindingData} The data of all the ranges
+          */
+        static mergeRanges(ranges: BindingData[]): BindingData;
+        /**
+          * Sorts the columns of the data by their dates, so that the dates the later ranges add fall in place
+          */
+        private static sortColumnsByDate(data);
+        /**
+          * Converts the data of one range. The cells that aren't numbers are skipped, and reported along with the other problems of the range.
+          * @param {RawData} data The raw data of the range
+          * @param {number} rangeIndex The index of the range in the bound ranges
+          * @returns {BindingData} The converted data
+          */
+        private convertRange(data, rangeIndex);
         /**
           * Implementing {@link IConfigurationChangeListener#onConfigurationChanged}
           */
         onConfigurationChanged(key: string, value: any): void;
-        private updatePaneBorder(iconId);
-        private setIconClickListener(iconId, index);
-        private iconClickAction(event, index);
-        private apply(iconId);
-    }
-    /**
-      * The theme gallery
-      */
-    class ThemeGallery extends UX.Shared.BaseGallery {
         /**
-          * Builds and returns a theme gallery instance
-          * @returns {ThemeGallery} A theme gallery instance
+          * Handles the values missing between the first and the last value of each line the way the gap mode of the line says.
+          * In the break mode the point after a gap is marked, in the other modes a point is added in every column of the range of the line that has no value.
+          * @param {BindingData} data The converted data
           */
-        static build(): ThemeGallery;
-        constructor(parentId: string, iconStyle: IconStyle, configurationKey: string);
+        private fillGaps(data);
         /**
-          * Overriding {@link BaseGallery#refreshList}
+          * Reports the header of a range if it's read as values although none of its value cells is a number,
+          * or if it's read as the header although it holds a number
+          * @param {RawData} data The raw data of the range, in series-in-columns orientation
+          * @returns {boolean} True if the header is read as values although it looks like text; false otherwise
           */
-        refreshList(): void;
-    }
-    /**
-      * The shape gallery
-      */
-    class ShapeGallery extends UX.Shared.BaseGallery {
+        private checkHeader(data, rangeIndex, labelColumnNumber);
         /**
-          * Builds and returns a shape gallery instance
-          * @returns {ShapeGallery} A shape gallery instance
+          * Reports a problem with a cell. The cell is given in series-in-columns orientation and reported as bound.
           */
-        static build(): ShapeGallery;
-        constructor(parentId: string, iconStyle: IconStyle, configurationKey: string);
+        private addCellDiagnostic(type, rangeIndex, row, column, text);
+        private static isEmptyCell(cell);
+        private isDataValid(data);
+        private static isNumberCell(cell);
         /**
-          * Overriding {@link BaseGallery#refreshList}
+          * Brings the raw data into the series-in-columns orientation that the conversion works on.
+          * If the binding target has just changed, the orientation is guessed and saved first. Series in columns is only the default guess,
+          * so it doesn't replace an orientation that has been saved, such as one the user picked in the data pane.
+          * @param {RawData} data The raw data
+          * @returns {RawData} The raw data in series-in-columns orientation
           */
-        refreshList(): void;
-    }
-    /**
-      * The chart type (SKU) gallery
-      */
-    class TypeGallery extends UX.Shared.BaseGallery {
+        private orient(data);
         /**
-          * Builds and returns a chart type (SKU) gallery instance
-          * @returns {TypeGallery} A chart type gallery instance
+          * Converts the first column into dates if every cell of it holds a date
+          * @param {RawData} data The raw data
+          * @param {number} startIndex The index of the first row to convert
+          * @param {number} endIndex The index after the last row to convert
+          * @returns {Date[]} The dates, or null if any cell is not a date
           */
-        static build(): TypeGallery;
-        constructor(parentId: string, iconStyle: IconStyle, configurationKey: string);
+        private convertDates(data, startIndex, endIndex);
         /**
-          * Overriding {@link BaseGallery#refreshList}
+          * Parses a cell as a date.
+          * Excel stores a date as a serial number of days, so a number is taken as a date only when its formatted text looks like a date or a time.
+          * Text cells are taken as dates only in ISO form like "2016-07-21", as other forms depend on the locale.
+          * @param {any} unformatted The unformatted value of the cell
+          * @param {any} formatted The formatted value of the cell
+          * @returns {Date} The date in UTC, or null if the cell is not a date
           */
-        refreshList(): void;
-    }
-}
-declare var $: any;
-declare module DataViz.UX {
-    interface MenuButtonMap {
-        buttonId: string;
-        paneId: string;
-    }
-    class SettingPane {
-        private static theInstance;
-        private static currentButtonId;
-        private menuButtonMap;
-        private themeGallery;
-        constructor();
-        setupListeners(): void;
-        static Instance: SettingPane;
-        show(): void;
-        hide(): void;
-        populate(): void;
-        private setMenuClickListener();
-        private menuClickAction(event);
-        private showInternalPane(paneId);
-    }
-}
-declare var $: any;
-declare module DataViz.UX {
-    class DataPane {
-        private static theInstance;
-        private reentryFlag;
-        private titleChanged;
-        constructor();
-        static Instance: DataPane;
-        onDataBindingTargetChanged(): void;
-        show(): void;
-        hide(): void;
-        private init();
-        private setText();
-        private setEventHandlers();
-    }
-}
-declare var $: any;
-declare module Trends.UX {
-    class MainUX {
-        private hideFloatMenuTimeoutId;
-        constructor();
-        init(): void;
-        setupListeners(): void;
-        private setText();
-        private showDataPane();
-        private showSettingPane();
-        private showFloatMenu();
-        private hideFloatMenu();
+        private parseDate(unformatted, formatted);
+        /**
+          * Gets the name of a series, which is its header or, if the data has no headers, the default title of its line
+          * @param {BindingData} data The converted data
+          * @param {number} lineId The id of the line of the series
+          * @returns {string} The name of the series
+          */
+        static getSeriesName(data: BindingData, lineId: number): string;
+        /**
+          * Gets the date of an Excel serial number
+          * @param {number} serial The number of days since 1899-12-30, with the time of the day as the fraction
+          * @returns {Date} The date in UTC, or null if Excel doesn't support the date
+          */
+        static toDate(serial: number): Date;
+        private isDateFormatted(text);
     }
 }
-declare var $: any;
 declare var Office: any;
+declare var Excel: any;
 /**
-  * This is the main module containing the entry point of the app.
+  * This module contains the implementation of the specific data binder of the app
   */
-declare module DataViz {
+declare module Trends.Data.Agave {
     /**
-      * The main app instance
+      * The size of a bound range
       */
-    var mainApp: App;
+    interface BoundRange {
+        bindingName: string;
+        rowCount: number;
+        columnCount: number;
+        hiddenRowCount: number;
+    }
     /**
-      * This class represents the primary entry-point and workflow of the app
+      * This is the specific data binder of the app. It can bind several ranges at once, each with its own data change handler,
+      * and passes the data of all of them to the listeners, which line them up on their x labels.
+      * A selection is bound as a table binding when Excel allows it, so that the binding grows with the table; otherwise it's bound as a matrix.
+      * The rows that sheet filters hide are left out unless the "respect sheet filters" setting is turned off.
       */
-    class App implements DataViz.Config.IConfigurationChangeListener, DataViz.Chart.IVisualizationListener {
-        private static paneWidth;
-        private static configurationKeys;
-        private mainUX;
-        private currentSKU;
-        private configuration;
-        private layoutInstance;
-        private reentryFlag;
-        private bindingPane;
+    class DataBinder implements DataViz.Data.IDataBinder, DataViz.Config.IConfigurationChangeListener {
+        private isDataBound;
+        private sendDataBindingTelemetry;
+        private bindingNames;
+        private dataChangeListeners;
+        private dataChangeHandlers;
+        private bindingTypes;
+        private rangeData;
+        private respectsSheetFilters;
         constructor();
         /**
-          * Gets the current SKU instance
-          * @returns {DataViz.SKUs.SKUInstance} The current SKU instance
+          * Implementing {@link ITool#resetTool}
           */
-        CurrentSKU: DataViz.SKUs.SKUInstance;
+        resetTool(): void;
         /**
-          * Gets the configuration instance
-          * @returns {Config.Configuration} The configuration instance
+          * Gets the names of the bindings in the order their series are shown
+          * @returns {string[]} The binding names
           */
-        Configuration: DataViz.Config.Configuration;
+        BindingNames: string[];
         /**
-          * Gets the layout instance
-          * @returns {DataViz.Chart.LayoutInstance} The layout instance
+          * Gets the size of each bound range, as of the last time its data was read
+          * @returns {BoundRange[]} The sizes of the bound ranges, in the order their series are shown
+          */
+        BoundRanges: BoundRange[];
+        /**
+          * Gets whether the rows that sheet filters hide are left out of the data
+          * @returns {boolean} True if only the visible rows are read; false if all the rows are
+          */
+        RespectsSheetFilters: boolean;
+        /**
+          * Implementing {@link IConfigurationChangeListener#onConfigurationChanged}
+          */
+        onConfigurationChanged(key: string, value: any): void;
+        /**
+          * Implementing {@link IDataBinder#registerDataChangeListener}
+          */
+        registerDataChangeListener(listener: DataViz.Data.IDataChangeListener): void;
+        /**
+          * Implementing {@link IDataBinder#unregisterDataChangeListener}
+          */
+        unregisterDataChangeListener(listener: DataViz.Data.IDataChangeListener): void;
+        /**
+          * Implementing {@link IDataBinder#bindByPrompt}
+          */
+        bindByPrompt(callback?: (result: any) => any): void;
+        /**
+          * Implementing {@link IDataBinder#bindBySelection}
+          */
+        bindBySelection(callback?: () => any): void;
+        /**
+          * Implementing {@link IDataBinder#addBySelection}
+          */
+        addBySelection(callback?: (result: any) => any): void;
+        /**
+          * Implementing {@link IDataBinder#removeBinding}
+          */
+        removeBinding(bindingName: string, callback?: () => any): void;
+        /**
+          * Implementing {@link IDataBinder#Rebind}
+          */
+        rebind(callback?: () => any): void;
+        /**
+          * Implementing {@link IDataBinder#getSelectedData}
+          */
+        getSelectedData(callback: (data: any) => any): void;
+        /**
+          * Selects a bound range in the document
+          * @param {string} bindingName The name of the binding of the range
+          * @param {() => any} [callback] The callback, called once the range is selected
+          */
+        goToRange(bindingName: string, callback?: () => any): void;
+        /**
+          * Selects a cell of a bound range in the document, so that the user can fix it. The whole range is selected instead if the Excel API
+          * that finds the address of the cell isn't supported, or if sheet filters hide rows of the range, since the cell is then counted
+          * among the visible rows only.
+          * @param {string} bindingName The name of the binding of the range
+          * @param {number} row The index of the row of the cell, counted from the top left cell of the range
+          * @param {number} column The index of the column of the cell, counted from the top left cell of the range
+          * @param {() => any} [callback] The callback, called once the cell or the range is selected
+          */
+        goToCell(bindingName: string, row: number, column: number, callback?: () => any): void;
+        /**
+          * Implementing {@link IDataBinder#IsBound}
+          */
+        isBound(): boolean;
+        /**
+          * Implementing {@link IDataBinder#getData}
+          */
+        getData(callback: (data: Trends.Data.RawData) => any): void;
+        /**
+          * Implementing {@link IDataBinder#unbind}
+          */
+        unbind(callback?: () => any): void;
+        private bind(prompt, callback?);
+        /**
+          * Gets a binding name that isn't used by any of the current bindings
+          * @returns {string} The new binding name
+          */
+        private getNewBindingName();
+        private bindInternal(prompt, callback?);
+        /**
+          * Adds a binding to the prompted or the selected range. It's a table binding if Excel can bind the range as a table, and a matrix binding otherwise.
+          * The callback is only called when the binding has been added.
+          */
+        private addBinding(prompt, bindingName, callback);
+        /**
+          * Determines whether the selection is in an Excel table. It's taken as not being in one if the Excel API that finds out isn't supported.
+          * @param {(isInTable: boolean) => any} callback The callback that gets the result
+          */
+        private static isSelectionInTable(callback);
+        private saveBindingNames();
+        /**
+          * Attaches the handlers of the given bindings one after another, the way the rebinding after opening the document requires
+          */
+        private attachHandlers(bindingNames, callback?);
+        private attachHandler(bindingName, callback?);
+        private detachHandler(bindingName, callback?);
+        /**
+          * Gets the BindingDataChanged handler of a binding. Every binding has its own handler, which only reads the data of its own range again.
+          */
+        private getDataChangeHandler(bindingName);
+        private release(bindingName, callback?);
+        /**
+          * Reads the formatted and the unformatted values of one bound range. The data of a table binding is read with the rows
+          * the table has right now, and its header row comes from the table definition if the table shows one. Otherwise the header
+          * is detected from the values. Then the rows are read with the other filter type, only to count the rows that sheet filters hide.
+          */
+        private getRangeData(bindingName, callback);
+        /**
+          * Counts the rows that sheet filters hide by reading the rows of a range with the filter type that wasn't used for its data.
+          * The count is left at zero if the rows can't be read.
+          */
+        private countHiddenRows(selection, coercionType, data, callback);
+        /**
+          * Gets the filter type the data is read with
+          */
+        private FilterType;
+        /**
+          * Determines whether the data of a table binding has a header row, which is the case if the table shows its header row
+          * @param {any} tableData The TableData object
+          * @returns {boolean} True if the table has a header row; false otherwise
+          */
+        private static hasTableHeader(tableData);
+        /**
+          * Turns the data of a table binding into a matrix whose first row is the header row of the table
+          * @param {any} tableData The TableData object, whose headers are either a row or an array that holds the row
+          * @returns {any[][]} The matrix
+          */
+        private static tableToMatrix(tableData);
+        /**
+          * Puts the data of the bound ranges together. The first range is also passed as the data itself, for the listeners that
+          * only handle a single range.
+          */
+        private combineRangeData(bindingNames);
+        private notifyDataChange();
+        /**
+          * Reads the data of the range that has changed again, and notifies the listeners with the data of all the ranges
+          */
+        private notifyRangeDataChange(bindingName);
+        private notifyListeners(data);
+        private notifyBindingTargetChange();
+    }
+}
+declare var $: any;
+declare var Office: any;
+declare module DataViz.UX {
+    var infoColors: {
+        red: string;
+        green: string;
+    };
+    /**
+      * This class is the Data Binding Dialog UI.
+      */
+    class BindingPane {
+        private static bindingPaneStyle;
+        private static sampleDataMaxRowNumber;
+        private static sampleDataMaxColumnNumber;
+        private static defaultArgs;
+        private selectionChangeHandler;
+        private resizeHandler;
+        private args;
+        private bindingPaneElementsStyle;
+        private selectedData;
+        private bindingPaneDim;
+        private bindingPane;
+        private titleSpan;
+        private subtitle;
+        private sampleDataPane;
+        private infoText;
+        private buttonGroup;
+        private buttonCancel;
+        private buttonOk;
+        private td;
+        private zoomRatio;
+        /**
+          * Constructor
+          */
+        constructor();
+        /**
+          * Use new arguments to update the Data Binding UI and its event handlers.
+          * @param {BindingPaneArgs} args The arguments used to update the binding pane
+          */
+        updateBindingPane(args: BindingPaneArgs): BindingPane;
+        zoomBindingPane(): BindingPane;
+        /**
+          * Show the Data Binding UI.
+          */
+        show(): void;
+        /**
+          * Hide the Data Binding UI.
+          */
+        hide(): void;
+        /**
+          * Identify whether the string is numeric
+          * @param {string} str The string need to be identified
+          * @returns True if the string is numeric; false otherwise
+          */
+        setInfoTextAndButton(text: string, textColor: string, buttonEnable: boolean): void;
+        bindingData: any;
+        handleDataSelection(): void;
+        /**
+          * Shows the beginning of the selected data in place of the sample data
+          * @param {any[][]} data The selected data
+          * @param {string} subtitle The subtitle above the preview
+          * @param {(row: number, column: number) => string} [getCellClass] Returns the CSS class of a cell, to show how the cell will be read. Optional.
+          */
+        showPreview(data: any[][], subtitle: string, getCellClass?: (row: number, column: number) => string): void;
+        /**
+          * Shows the sample data again after a preview
+          */
+        showSampleData(): void;
+        private updateArgs(args);
+        private handleArgs();
+        private setEventHandler(funcOK?, funcCancel?);
+        private setSampleData(sampleData?, getCellClass?);
+        private resetPaneContentPosition();
+        private handleStyleInHDPI(elementId, classNameArray);
+    }
+    interface BindingPaneArgs {
+        sampleData?: any;
+        handleDataSelection?: any;
+        buttonOKCallback?: any;
+        buttonCancelCallback?: any;
+        title?: any;
+        subtitle?: any;
+        infoText?: any;
+        buttonOKText?: any;
+        buttonCancelText?: any;
+    }
+}
+declare var ScriptsResources: any;
+declare module DataViz.Resources {
+    class UI {
+        static backButtonTitle: string;
+        static floatMenuDataTitle: string;
+        static floatMenuSettingTitle: string;
+        static floatMenuZoomResetTitle: string;
+        static defaultLegendName: string;
+        static secondaryAxis: string;
+        static chartKeyboardHint: string;
+        static chartAddNoteTitle: string;
+        static chartNoteLabel: string;
+    }
+    class DataPane {
+        static header: string;
+        static selectButtonText: string;
+        static orientationTitle: string;
+        static orientationColumns: string;
+        static orientationRows: string;
+        static rangesTitle: string;
+        static rangeItem: string;
+        static removeRange: string;
+        static diagnosticsTitle: string;
+        static diagnosticGoTo: string;
+        static diagnosticSkippedCell: string;
+        static diagnosticNumberHeader: string;
+        static diagnosticHeaderAsValues: string;
+        static diagnosticRangeLeftOut: string;
+        static diagnosticInvalidData: string;
+        static diagnosticMore: string;
+        static diagnosticOrphanedHighlight: string;
+        static diagnosticUnmatchedPointIds: string;
+        static diagnosticRemoveHighlights: string;
+        static hiddenRowsLeftOut: string;
+        static hiddenRowsIncluded: string;
+        static addRangeButtonText: string;
+        static seriesTitle: string;
+        static gapModeTitle: string;
+        static gapModeBreak: string;
+        static gapModeZero: string;
+        static gapModeInterpolate: string;
+        static transformsTitle: string;
+        static addTransform: string;
+        static removeTransform: string;
+        static trendlineTitle: string;
+        static trendlineNone: string;
+        static trendlineDegree: string;
+        static trendlineForecast: string;
+        static highlightTitle: string;
+        static highlightMaximum: string;
+        static highlightMinimum: string;
+        static highlightLatest: string;
+        static highlightThreshold: string;
+        static highlightTopN: string;
+    }
+    class ReadOptions {
+        static firstRowIsHeader: string;
+        static firstColumnIsHeader: string;
+        static firstColumnIsLabels: string;
+        static firstRowIsLabels: string;
+        static respectSheetFilters: string;
+    }
+    class SettingPane {
+        static header: string;
+        static themeTab: string;
+        static axisTab: string;
+        static typeTab: string;
+        static typeLine: string;
+        static typeArea: string;
+        static typeStackedArea: string;
+        static typePercentArea: string;
+        static typeColumn: string;
+        static typeStackedColumn: string;
+        static typeBar: string;
+        static typeScatter: string;
+        static typeSmallMultiples: string;
+        static axisScale: string;
+        static axisScaleLinear: string;
+        static axisScaleLog: string;
+        static axisMinimum: string;
+        static axisMaximum: string;
+        static axisAuto: string;
+        static axisIncludeZero: string;
+        static axisTickNumber: string;
+        static axisCompact: string;
+        static themeTitles: string[];
+    }
+    class SampleData {
+        static title: string;
+        static shortDescriptionTitle: string;
+        static shortDescription: string;
+        static longDescriptionTitle: string;
+        static longDescription: string;
+        static legend1: string;
+        static legend2: string;
+        static time1: string;
+        static time2: string;
+        static time3: string;
+        static time4: string;
+        static time5: string;
+        static time6: string;
+        static time7: string;
+        static time8: string;
+        static time9: string;
+    }
+    class Pluralization {
+        static rows: string;
+        static columns: string;
+    }
+    class BindingPane {
+        static infoNormal: string;
+        static infoDataSetTooLarge: string;
+        static infoFirstRowEmpty: string;
+        static infoFirstColumnEmpty: string;
+        static infoSelectData: string;
+        static infoSelectTwoColumns: string;
+        static infoSecondColumnContainNumber: string;
+        static title: string;
+        static subtitle: string;
+        static previewSubtitle: string;
+        static buttonOKText: string;
+        static buttonCancelText: string;
+        static sampleDataHeader1: string;
+        static sampleDataHeader2: string;
+        static sampleDataHeader3: string;
+        static sampleDataTime1: string;
+        static sampleDataTime2: string;
+        static sampleDataTime3: string;
+    }
+    class Transforms {
+        static rollingAverage: string;
+        static rollingAverageName: string;
+        static cumulativeSum: string;
+        static percentChange: string;
+        static rebase: string;
+    }
+    class Trendlines {
+        static linear: string;
+        static exponential: string;
+        static polynomial: string;
+        static rSquared: string;
+    }
+    class Scatter {
+        static xSeries: string;
+        static ySeries: string;
+        static regression: string;
+        static correlation: string;
+        static correlationValue: string;
+        static labels: string;
+        static notEnoughSeries: string;
+    }
+    class SmallMultiples {
+        static sharedYScale: string;
+    }
+}
+declare var $: any;
+declare var Office: any;
+declare module DataViz.UX {
+    class BindingPaneSpecific extends BindingPane {
+        private static instance;
+        private selectedValue;
+        private orientation;
+        private firstRowIsHeader;
+        private firstColumnIsLabels;
+        private isHeaderChanged;
+        private isLabelsChanged;
+        constructor();
+        /**
+          * Get the singleton instance.
+          */
+        static getInstance(): BindingPaneSpecific;
+        /**
+          * Gets the text of the "first row is header" option, which is about the first column if the series are in rows
+          * @param {string} orientation One of {@link DataViz.Config.Trends.Orientation}
+          * @returns {string} The text of the option
+          */
+        static getHeaderOptionText(orientation: string): string;
+        /**
+          * Gets the text of the "first column is labels" option, which is about the first row if the series are in rows
+          * @param {string} orientation One of {@link DataViz.Config.Trends.Orientation}
+          * @returns {string} The text of the option
+          */
+        static getLabelsOptionText(orientation: string): string;
+        /**
+          * Saves how the selection is to be read, so that the chart reads the new binding the way the preview shows it.
+          * Only the options the user changed are saved; the others are left to be detected from the data.
+          */
+        saveReadOptions(): void;
+        handleDataSelection(): void;
+        /**
+          * Works out how the selection will be read, the same way as the bound data is read. The saved orientation is kept
+          * unless the selection is obviously series in rows, and the header and label options start from their saved values,
+          * or from what is detected if they haven't been saved.
+          */
+        private readSelection(value);
+        private showSelectionPreview();
+        private hideSelectionPreview();
+        private isFirstColumnNonEmpty(value);
+        private isSecondColumnHasNumber(value);
+        private isFirstRowNonEmpty(value);
+        private isDataValid(data);
+        static getPluralString(combinedStr: string, count: number): string;
+    }
+}
+declare var $: any;
+/**
+  * This modules contains the implementation of the galleries
+  */
+declare module DataViz.UX.Shared {
+    /**
+      * This defines the basic styles of a thumbnail icon in the gallery
+      */
+    interface IconStyle {
+        /**
+          * The left margin
+          */
+        marginLeft: number;
+        /**
+          * The top margin
+          */
+        marginTop: number;
+        /**
+          * The width
+          */
+        width: number;
+        /**
+          * The height
+          */
+        height: number;
+    }
+    /**
+      * The base class of all the gallery classes
+      */
+    class BaseGallery implements Config.IConfigurationChangeListener {
+        icons: Decoration.Customizable[];
+        currentIconId: string;
+        private parentId;
+        private reentryFlag;
+        private iconStyle;
+        private configurationKey;
+        constructor(parentId: string, iconStyle: IconStyle, configurationKey: string);
+        /**
+          * Sets up the listeners
+          */
+        setupListener(): void;
+        /**
+          * Populates the gallery
+          */
+        populate(iconNames: string[]): void;
+        /**
+          * Refreshes the list of the backed customizable items
+          * This ought to be "protected" but unfortunately TypeScript doesn't support "protected" members when the source code is published.
+         */
+        refreshList(): void;
+        /**
+          * Implementing {@link IConfigurationChangeListener#onConfigurationChanged}
+          */
+        onConfigurationChanged(key: string, value: any): void;
+        private updatePaneBorder(iconId);
+        private setIconClickListener(iconId, index);
+        private iconClickAction(event, index);
+        private apply(iconId);
+    }
+    /**
+      * The theme gallery
+      */
+    class ThemeGallery extends UX.Shared.BaseGallery {
+        /**
+          * Builds and returns a theme gallery instance
+          * @returns {ThemeGallery} A theme gallery instance
+          */
+        static build(): ThemeGallery;
+        constructor(parentId: string, iconStyle: IconStyle, configurationKey: string);
+        /**
+          * Overriding {@link BaseGallery#refreshList}
+          */
+        refreshList(): void;
+    }
+    /**
+      * The shape gallery
+      */
+    class ShapeGallery extends UX.Shared.BaseGallery {
+        /**
+          * Builds and returns a shape gallery instance
+          * @returns {ShapeGallery} A shape gallery instance
+          */
+        static build(): ShapeGallery;
+        constructor(parentId: string, iconStyle: IconStyle, configurationKey: string);
+        /**
+          * Overriding {@link BaseGallery#refreshList}
+          */
+        refreshList(): void;
+    }
+    /**
+      * The chart type (SKU) gallery
+      */
+    class TypeGallery extends UX.Shared.BaseGallery {
+        /**
+          * Builds and returns a chart type (SKU) gallery instance
+          * @returns {TypeGallery} A chart type gallery instance
+          */
+        static build(): TypeGallery;
+        constructor(parentId: string, iconStyle: IconStyle, configurationKey: string);
+        /**
+          * Overriding {@link BaseGallery#refreshList}
+          */
+        refreshList(): void;
+    }
+}
+declare var $: any;
+declare module DataViz.UX {
+    interface MenuButtonMap {
+        buttonId: string;
+        paneId: string;
+        lastTabId: string;
+    }
+    class SettingPane {
+        private static theInstance;
+        private static currentButtonId;
+        private menuButtonMap;
+        private themeGallery;
+        private typeGallery;
+        constructor();
+        setupListeners(): void;
+        static Instance: SettingPane;
+        show(): void;
+        hide(): void;
+        populate(): void;
+        private setMenuClickListener();
+        private menuClickAction(event);
+        private showInternalPane(paneId);
+        private setAxisTexts();
+        private setAxisEventHandlers();
+        /**
+          * Shows the saved y axis and number settings. An empty box means the value is picked automatically.
+          */
+        private updateAxisOptions();
+        private static parseNumber(text);
+        private static formatNumber(value);
+    }
+}
+/**
+  * This module contains the least-squares fits of the trendlines
+  */
+declare module Trends.Data {
+    /**
+      * The trendline settings of a line, as saved in the configuration
+      */
+    interface LineTrendline {
+        type: string;
+        degree?: number;
+        forecast?: number;
+    }
+    /**
+      * A trendline fitted to a line. The x of the fit is the period number, which is 1 for the first column.
+      */
+    interface TrendlineFit {
+        type: string;
+        coefficients: number[];
+        center: number;
+        scale: number;
+        rSquared: number;
+        startPeriod: number;
+        endPeriod: number;
+    }
+    /**
+      * This calculates the trendlines of the lines
+      */
+    class Trendline {
+        static minDegree: number;
+        static maxDegree: number;
+        static defaultDegree: number;
+        private static superscripts;
+        private static significantDigits;
+        /**
+          * Fits a trendline to the points of a line with the least squares method. The points the gap mode filled in are left out, since they weren't measured.
+          * @param {PointDataOnLine[]} points The points of the line
+          * @param {BindingData} data The data the line belongs to
+          * @param {LineTrendline} settings The trendline settings of the line
+          * @returns {TrendlineFit} The trendline, or null if it can't be fitted to the points
+          */
+        static fit(points: PointDataOnLine[], data: BindingData, settings: LineTrendline): TrendlineFit;
+        /**
+          * Fits a polynomial to some values with the least squares method. The fit of an exponential trendline is the fit of the logarithms of its values.
+          * @param {number[]} xs The x values, in any order
+          * @param {number[]} ys The y values, or their logarithms for an exponential trendline
+          * @param {number} degree The degree of the polynomial
+          * @param {string} type One of the values of DataViz.Config.Trends.TrendlineType
+          * @returns {TrendlineFit} The fit from the smallest to the largest x value, or null if the values have no single fit
+          */
+        static fitValues(xs: number[], ys: number[], degree: number, type: string): TrendlineFit;
+        /**
+          * Gets the Pearson correlation coefficient of two lists of values
+          * @param {number[]} xs The first values
+          * @param {number[]} ys The second values, in the order of the first ones
+          * @returns {number} The coefficient from -1 to 1, or null if there are fewer than two pairs or either list has no spread
+          */
+        static correlate(xs: number[], ys: number[]): number;
+        /**
+          * Gets the value of a trendline at a period
+          * @param {TrendlineFit} fit The trendline
+          * @param {number} period The period number
+          * @returns {number} The value
+          */
+        static predict(fit: TrendlineFit, period: number): number;
+        /**
+          * Gets the equation of a trendline, for example "y = 1.5x + 2"
+          * @param {TrendlineFit} fit The trendline
+          * @returns {string} The equation
+          */
+        static getEquation(fit: TrendlineFit): string;
+        /**
+          * Gets the period number of a column. If the x values are dates, a period is the average time between two columns.
+          * @param {BindingData} data The data
+          * @param {number} column The index of the column
+          * @returns {number} The period number
+          */
+        static toPeriod(data: BindingData, column: number): number;
+        /**
+          * Gets the x value of a period, which is a date if the x values are dates, and the index of a column otherwise
+          * @param {BindingData} data The data
+          * @param {number} period The period number
+          * @returns {any} The x value
+          */
+        static fromPeriod(data: BindingData, period: number): any;
+        private static getPeriodLength(data);
+        private static getDegree(settings);
+        /**
+          * Evaluates the polynomial of a trendline, before the exponential of an exponential trendline is taken
+          */
+        private static evaluate(fit, period);
+        /**
+          * Expands the polynomial in (x - center) / scale into a polynomial in x
+          * @returns {number[]} The coefficients in x, starting with the constant
+          */
+        private static expand(fit);
+        /**
+          * Solves the normal equations of a polynomial least-squares fit by Gaussian elimination
+          * @returns {number[]} The coefficients, starting with the constant, or null if the equations have no single solution
+          */
+        private static solveLeastSquares(xs, ys, degree);
+        private static round(value);
+        private static formatCoefficient(value);
+    }
+}
+/**
+  * This module contains the rules that pick the points of a line to highlight
+  */
+declare module Trends.Data {
+    /**
+      * A highlight rule of a line, as saved in the configuration
+      */
+    interface LineHighlightRule {
+        type: string;
+        threshold?: number;
+        count?: number;
+    }
+    /**
+      * A function that picks the points of a line a highlight rule highlights
+      */
+    interface HighlightRuleFunction {
+        (points: PointDataOnLine[], rule: LineHighlightRule): PointDataOnLine[];
+    }
+    /**
+      * This evaluates the highlight rules of the lines. The points the lines have filled in for missing values are never picked.
+      */
+    class HighlightRules {
+        static defaultCount: number;
+        private static ruleFunctions;
+        /**
+          * Adds a highlight rule that lines can use, or replaces the one of the same type
+          * @param {string} type The type of the rule
+          * @param {HighlightRuleFunction} ruleFunction The function that picks the points of the rule
+          */
+        static registerRule(type: string, ruleFunction: HighlightRuleFunction): void;
+        /**
+          * Picks the points of a line its highlight rules highlight
+          * @param {PointDataOnLine[]} points The points of the line
+          * @param {LineHighlightRule[]} rules The highlight rules of the line
+          * @returns {number[]} The columns of the picked points, in order
+          */
+        static evaluate(points: PointDataOnLine[], rules: LineHighlightRule[]): number[];
+        /**
+          * Gets the number of points of a top-N rule
+          */
+        static getCount(rule: LineHighlightRule): number;
+        /**
+          * Gets the highlight rules that lines can use, starting with the built-in ones
+          */
+        private static RuleFunctions;
+        /**
+          * Picks the first point with the largest value
+          */
+        private static maximum(points, rule);
+        /**
+          * Picks the first point with the smallest value
+          */
+        private static minimum(points, rule);
+        /**
+          * Picks the latest point
+          */
+        private static last(points, rule);
+        /**
+          * Picks the first point that reaches the threshold from the other side of it. A line that starts at the threshold
+          * hasn't crossed it yet.
+          */
+        private static thresholdCrossing(points, rule);
+        /**
+          * Picks the points with the largest values. Of equal values, the earlier points are picked first.
+          */
+        private static topN(points, rule);
+    }
+}
+/**
+  * This module contains the implementation of the Trends specific data transformer
+  */
+declare module Trends.Data {
+    /**
+      * A transform applied to a line, as saved in the configuration
+      */
+    interface LineTransform {
+        type: string;
+        period?: number;
+    }
+    /**
+      * A function that applies a transform to the points of a line. The points it adds are formatted with the given format.
+      */
+    interface TransformFunction {
+        (points: PointDataOnLine[], transform: LineTransform, format: NumberFormat): PointDataOnLine[];
+    }
+    /**
+      * This is the specific data transformer implementation of the app. Every line has a chain of transforms,
+      * which are applied one after another to the converted points of the line. The trendline of a line is fitted
+      * to the transformed points, and its highlight rules pick from them.
+      */
+    class DataTransformer implements DataViz.Data.IDataTransformer {
+        static defaultPeriod: number;
+        private static transformFunctions;
+        private lineTransforms;
+        private lineTrendlines;
+        private lineHighlightRules;
+        /**
+          * Adds a transform that lines can use, or replaces the one of the same type
+          * @param {string} type The type of the transform
+          * @param {TransformFunction} transformFunction The function that applies the transform
+          */
+        static registerTransform(type: string, transformFunction: TransformFunction): void;
+        /**
+          * Describes a chain of transforms, for example "3-point average, % change"
+          * @param {LineTransform[]} transforms The transforms of a line
+          * @returns {string} The description, or an empty string if there are no transforms
+          */
+        static describe(transforms: LineTransform[]): string;
+        /**
+          * Describes a transform
+          * @param {LineTransform} transform The transform
+          * @returns {string} The description
+          */
+        static describeTransform(transform: LineTransform): string;
+        /**
+          * Implementing {@link ITool#resetTool}
+          */
+        resetTool(): void;
+        /**
+          * Implementing {@link IDataTransformer#transform}
+          * @param {BindingData} data The converted data
+          * @returns {BindingData} The data with the transforms of every line applied
+          */
+        transform(data: BindingData): BindingData;
+        /**
+          * Implementing {@link IConfigurationChangeListener#onConfigurationChanged}
+          */
+        onConfigurationChanged(key: string, value: any): void;
+        /**
+          * Gets the transforms that lines can use, starting with the built-in ones
+          */
+        private static TransformFunctions;
+        private static getPeriod(transform);
+        /**
+          * Gets the format of the values a transform gives. Averages and sums have the format of the values they are made of,
+          * while a change is a percentage and an index has no unit.
+          */
+        private static getTransformedFormat(format, transform);
+        /**
+          * Creates the point that replaces a point of the line
+          * @param {boolean} [isAfterGap] Whether the line breaks before the point, which it does before the source point by default
+          */
+        private static createPoint(source, value, format, isAfterGap?);
+        /**
+          * Averages every point with the points before it. The window starts again after a gap, so that no average takes in the values
+          * on both sides of it, and the first average after the gap breaks the line.
+          */
+        private static rollingAverage(points, transform, format);
+        private static cumulativeSum(points, transform, format);
+        /**
+          * Gets the change of every point from the point before it. There's no change across a gap, and the first change after the gap breaks the line.
+          */
+        private static percentChange(points, transform, format);
+        private static rebase(points, transform, format);
+    }
+}
+declare var d3: any;
+declare var $: any;
+/**
+  * This module contains the implementation of the base layouter
+  */
+declare module Trends.Chart {
+    /**
+      * The base class of all layouters based on D3
+      */
+    class Layouter extends DataViz.Tools.Pausable implements DataViz.Chart.ILayouter {
+        private static originWindowWidth;
+        private static originWindowHeight;
+        private static bodyOriginPadding;
+        private static bodyOriginMinWidth;
+        private static bodyOriginMinHeight;
+        private static bodyFinalMinWidth;
+        private static bodyFinalMinHeight;
+        private static floatMenuOriginHeight;
+        private static xGrid;
+        private static yGrid;
+        private static deviationWidth;
+        private static panelAspectRatio;
+        private cachedData;
+        private cachedLayoutElementInstances;
+        private currentLayout;
+        private layoutElements;
+        private firstRelayout;
+        static getZoomRatioRelativeLast(): ZoomRatio;
+        static getZoomRatioRelativeOrigin(): ZoomRatio;
+        /**
+          * Works out the grid of the panels of small multiples, which share the chart area. The grid has the number of columns that makes
+          * the panels the largest, where a panel is as large as its height or its width over the aspect ratio the grid aims for, whichever is smaller.
+          * Of the grids with panels as large, the one with the fewest columns is taken.
+          * @param {number} panelNumber The number of panels
+          * @returns {PanelGrid} The grid
+          */
+        static getPanelGrid(panelNumber: number): PanelGrid;
+        constructor();
+        /**
+          * Implementing {@link ITool#resetTool}
+          */
+        resetTool(): void;
+        /**
+          * Implementing {@link ILayouter#Layout}
+          */
+        layout(data: any): void;
+        /**
+          * Implementing {@link ILayoutChangeListener#onLayoutChanged}
+          */
+        onLayoutChanged(layout: DataViz.Chart.Layout): void;
+        /**
+          * Implementing {@link ILayoutChangeListener#onLayoutElementChanged}
+          */
+        onLayoutElementChanged(layoutElement: DataViz.Chart.LayoutElement): void;
+        /**
+          * Implementing {@link ILayoutChangeListener#onLayoutElementInstanceChanged}
+          */
+        onLayoutElementInstanceChanged(layoutElement: DataViz.Chart.LayoutElement, value: any): void;
+        private relayout();
+        private layoutOneElement(layoutElement);
+        private handleNonContentLengthInHDPI(jqueryElement);
+        private layoutOneElementInstance(layoutElementId, value);
+        private onElementResize(element, elementWidth, elementOriginWidth, peerElement1, peerElement2);
+        private setWindowResizeListener();
+        private handleWindowResizeWidth(windowWidth);
+        private handleWindowResizeHeight(windowHeight);
+        private setWidth(layoutElement, width);
+        private setHeight(layoutElement, height);
+    }
+    class ElementWithFixedProperties {
+        private element;
+        private elementNonContentWidth;
+        private elementMinWidth;
+        private elementNonContentHeight;
+        private elementMinHeight;
+        private elementFixedHeight;
+        constructor(elementId: string, isHeightFixed: boolean);
+        Element: any;
+        ElementNonContentWidth: number;
+        ElementMinWidth: number;
+        ElementNonContentHeight: number;
+        ElementMinHeight: number;
+        ElementFixedHeight: number;
+        getBorderWidth(): number;
+        getBorderHeight(): number;
+        private getElementNonContentWidth(element);
+        private getElementNonContentHeight(element);
+    }
+    class LayoutElements {
+        private body;
+        private floatMenuParent;
+        private firstRowContainer;
+        private secondRowContainer;
+        private titleParent;
+        private lineChart;
+        private legend;
+        private shortdes1Group;
+        private longdesGroup;
+        constructor();
+        resetLayoutElements(): void;
+        Body: ElementWithFixedProperties;
+        FloatMenuParent: ElementWithFixedProperties;
+        FirstRowContainer: ElementWithFixedProperties;
+        SecondRowContainer: ElementWithFixedProperties;
+        TitleParent: ElementWithFixedProperties;
+        LineChart: ElementWithFixedProperties;
+        Legend: ElementWithFixedProperties;
+        Shortdes1Group: ElementWithFixedProperties;
+        LongdesGroup: ElementWithFixedProperties;
+    }
+    /**
+      * The grid of the panels of small multiples. The panels are laid out in rows, from the top left.
+      */
+    class PanelGrid {
+        columnNumber: number;
+        rowNumber: number;
+        panelWidth: number;
+        panelHeight: number;
+        constructor(columnNumber: number, rowNumber: number, panelWidth: number, panelHeight: number);
+        /**
+          * Gets the column of a panel in the grid
+          */
+        getColumn(index: number): number;
+        /**
+          * Gets the row of a panel in the grid
+          */
+        getRow(index: number): number;
+    }
+    class ZoomRatio {
+        widthRatio: number;
+        heightRatio: number;
+        maxRatio: number;
+        minRatio: number;
+        constructor(widthRatio: number, heightRatio: number);
+    }
+}
+declare var d3: any;
+declare var $: any;
+/**
+  * This module contains the base of the plotters of the chart types
+  */
+declare module Trends.Chart {
+    /**
+      * A plotter that draws the saved highlights, so that the data pane can list the ones that don't match a point of the data
+      */
+    interface IHighlightingPlotter extends DataViz.Chart.IPlotter {
+        OrphanedHighlights: DataViz.Config.Trends.PointHighlight[];
+        UnmatchedPointIdCount: number;
+        removeOrphanedHighlight(highlight: DataViz.Config.Trends.PointHighlight): void;
+        removeUnmatchedPointIds(): void;
+    }
+    /**
+      * The base of the plotters of the chart types. It reads the settings every chart type shares, such as the highlighted points,
+      * the display status and the titles of the lines and the zoom window, fits them to the data and keeps the highlights that
+      * don't match it. It also draws what the chart types have in common: the rows of the lines in the legend, the bubbles
+      * of the highlighted points and the notes of the points. A plotter draws its chart type by overriding {@link draw}, and a plotter
+      * that draws notes tells where the points are drawn by overriding {@link getPointPosition}.
+      * The members the plotters override or call, here and in the plotters themselves, ought to be "protected" but unfortunately
+      * TypeScript doesn't support "protected" members when the source code is published.
+      */
+    class HighlightingPlotter extends DataViz.Tools.Pausable implements IHighlightingPlotter {
+        static durationTime: number;
+        static radius: number[];
+        static fontSize: number[];
+        static maxTextLength: number;
+        static maxLightnessForWhiteCheck: number;
+        static minXWindowSpan: number;
+        static legendFontSize: number;
+        static legendTransformsFontSize: number;
+        static checkBoxLength: number;
+        static annotationOffset: number;
+        static annotationPadding: number;
+        static annotationFontSize: number;
+        static noteButtonRadius: number;
+        zoomRatio: ZoomRatio;
+        configuration: DataViz.Config.Configuration;
+        bindingData: Trends.Data.BindingData;
+        legendGroup: any;
+        pointHighlights: DataViz.Config.Trends.PointHighlight[];
+        annotations: DataViz.Config.Trends.Annotation[];
+        lineDisplay: boolean[];
+        lineTitleArray: string[];
+        lineTransforms: Trends.Data.LineTransform[][];
+        isCompact: boolean;
+        lineNumber: number;
+        columnNumber: number;
+        firstColumn: number;
+        lastColumn: number;
+        private orphanedHighlights;
+        private unmatchedPointIds;
+        private isLegendEdited;
+        private delayPlotTimeoutId;
+        constructor();
+        /**
+          * Implementing {@link ITool#resetTool}. The plot that's waiting is dropped, and so is a note being edited,
+          * since the plotter of another chart type may draw in the chart next.
+          */
+        resetTool(): void;
+        /**
+          * Implementing {@link IPlotter#delayPlot}
+          */
+        delayPlot(data: Trends.Data.BindingData, delay?: number): void;
+        /**
+          * Implementing {@link IPlotter#plot}
+          */
+        plot(data: Trends.Data.BindingData): void;
+        /**
+          * Implementing {@link IHighlightingPlotter#OrphanedHighlights}
+          */
+        OrphanedHighlights: DataViz.Config.Trends.PointHighlight[];
+        /**
+          * Implementing {@link IHighlightingPlotter#UnmatchedPointIdCount}
+          */
+        UnmatchedPointIdCount: number;
+        /**
+          * Implementing {@link IHighlightingPlotter#removeOrphanedHighlight}
+          * @param {PointHighlight} highlight One of the orphaned highlights
+          */
+        removeOrphanedHighlight(highlight: DataViz.Config.Trends.PointHighlight): void;
+        /**
+          * Implementing {@link IHighlightingPlotter#removeUnmatchedPointIds}
+          */
+        removeUnmatchedPointIds(): void;
+        /**
+          * Draws the chart from the data and the settings {@link initData} has read. The plotters of the chart types override it.
+          */
+        draw(): void;
+        /**
+          * Reads the data and the settings the chart is drawn with, and fits the settings to the data.
+          * A plotter that works out more before drawing overrides it, and calls it first.
+          * @param {BindingData} convertedData The data to draw
+          */
+        initData(convertedData: Trends.Data.BindingData): void;
+        /**
+          * Reads the saved settings the chart is drawn with. A plotter with settings of its own overrides it, and calls it first.
+          */
+        readSettings(): void;
+        /**
+          * Fits the saved display status and titles to the current number of lines, since they may have been saved for more or fewer lines
+          * than the data has now. A plotter with more states of the lines overrides it, and calls it first.
+          */
+        normalizeLineStates(): void;
+        /**
+          * Moves the highlights saved as point ids by earlier versions, such as "#pointline0column4end", to the highlights saved by series name and x label.
+          * The ids are read against the current data, which is the data they were saved with unless it has changed since. The ids that don't match
+          * a point are kept and reported rather than put on another point.
+          * @param {BindingData} data The data the chart is drawn with
+          * @param {PointHighlight[]} pointHighlights The saved highlights, which the moved ones are added to
+          * @returns {string[]} The ids that don't match a point
+          */
+        static migratePointIds(data: Trends.Data.BindingData, pointHighlights: DataViz.Config.Trends.PointHighlight[]): string[];
+        /**
+          * Gets the number an element id holds between two strings, such as the line id in "checkbox2end"
+          */
+        static getNumberFromString(orgString: string, startString: string, endString: string): number;
+        /**
+          * Gets the value of a line in a column. If the line has no point there, because the point was sampled out, the value is
+          * read off the line between the points on both sides. A line is zero in its gaps and outside its points.
+          * @param {PointDataOnLine[]} points The points of the line, in order
+          * @param {number} column The column
+          * @returns {number} The value of the line in the column
+          */
+        static getValueAt(points: Trends.Data.PointDataOnLine[], column: number): number;
+        /**
+          * Gets the width of the widest of some svg text elements
+          */
+        static getMaxWidth(texts: any): number;
+        /**
+          * Gets whether the chart is zoomed to some of the columns.
+          */
+        isZoomed(): boolean;
+        /**
+          * Gets the ids of the lines that aren't hidden, in order.
+          */
+        getShownLineIds(): number[];
+        /**
+          * Gets the text of the bubble of a point, which is the formatted value of its cell unless the numbers are compact.
+          */
+        getPointText(lineId: number, point: Trends.Data.PointDataOnLine): string;
+        /**
+          * Gets how a point is saved, by the name of its series and the x label of its column.
+          */
+        createPointHighlight(lineId: number, column: number): DataViz.Config.Trends.PointHighlight;
+        /**
+          * Gets the index of a point in some points saved by series name and x label, such as the highlights or the notes.
+          * @returns {number} The index, or -1 if the point isn't saved
+          */
+        findSavedPointIndex(savedPoints: DataViz.Config.Trends.PointHighlight[], lineId: number, column: number): number;
+        /**
+          * Gets the color of a line from the palette of the current theme.
+          * @param {number} lineId The id of the line
+          * @returns {string} The color of the line
+          */
+        getLineColor(lineId: number): string;
+        /**
+          * Colors a checkbox of the legend in the color of a line, with a check mark that can be seen on it if it's checked.
+          */
+        setCheckboxStyle(checkbox: any, lineId: number, isChecked: boolean): void;
+        /**
+          * Replaces the svg of the chart and the legend with empty ones.
+          * @param {number} width The width of the chart
+          * @param {number} height The height of the chart
+          * @returns {any} The svg of the chart
+          */
+        appendChart(width: number, height: number): any;
+        /**
+          * Draws a row in the legend for every line, with the checkbox that shows and hides the line, its title, which can be edited,
+          * and its transforms under the title.
+          */
+        drawLineLegend(): void;
+        /**
+          * Draws the rows of the settings of a line under its row in the legend. A plotter with such settings overrides it.
+          */
+        drawLineLegendOptions(lineId: number): void;
+        /**
+          * Called when a line is shown or hidden from the legend. The chart is drawn again, since the shown lines take up the room of the hidden ones;
+          * a plotter that can just show or hide the line overrides it.
+          */
+        onLineDisplayChanged(lineId: number): void;
+        /**
+          * Called when the title of a line is edited in the legend. A plotter that draws the title in the chart overrides it.
+          */
+        onLineTitleChanged(lineId: number): void;
+        /**
+          * Gets the radius of the bubble of a point, which depends on the length of its text.
+          */
+        getBubbleRadius(text: string): number;
+        /**
+          * Draws the bubble of a highlighted point, with its value in it.
+          * @param {any} parent The svg group the bubble is drawn in
+          * @param {number} lineId The id of the line of the point, which the highlight is saved for
+          * @param {PointDataOnLine} point The point
+          * @param {number[]} position Where the center of the bubble is, across and down the chart
+          * @param {boolean} beAnimated Whether the bubble grows in
+          * @param {boolean} isRemovable Whether a click on the bubble removes the highlight. The bubbles of the highlight rules can't be removed.
+          * @returns {any} The svg group of the bubble, or null if the point has no text
+          */
+        drawBubble(parent: any, lineId: number, point: Trends.Data.PointDataOnLine, position: number[], beAnimated: boolean, isRemovable: boolean): any;
+        /**
+          * Highlights a clicked point, unless it's highlighted already, and draws its bubble.
+          * @param {number} lineId The id of the line of the point
+          * @param {number} column The column of the point
+          * @param {() => void} drawBubble Draws the bubble of the point
+          */
+        addPointHighlight(lineId: number, column: number, drawBubble: () => void): void;
+        /**
+          * Gets the columns of the highlighted points of a line.
+          * @returns {Object} Whether each column is highlighted, by column
+          */
+        getHighlightedColumns(lineId: number): {
+            [column: number]: boolean;
+        };
+        /**
+          * Gets where a point is drawn in the svg group of its line. A plotter that draws notes overrides it.
+          * @returns {number[]} How far the point is across and down the group
+          */
+        getPointPosition(lineId: number, point: Trends.Data.PointDataOnLine): number[];
+        /**
+          * Gets the svg group a line is drawn in, which its notes are drawn in too.
+          */
+        getLineGroup(lineId: number): any;
+        /**
+          * Gets the top of the room a note of a line has above its point. A note that doesn't fit above its point is drawn below it.
+          */
+        getAnnotationTop(lineId: number): number;
+        /**
+          * Gets how far a note is drawn above or below its point.
+          */
+        getAnnotationOffset(): number;
+        /**
+          * Tells whether a point is drawn, so that its note can be drawn. A plotter that leaves out some of the points overrides it.
+          */
+        isPointDrawn(lineId: number, point: Trends.Data.PointDataOnLine): boolean;
+        /**
+          * Gets the point of a line in a column, or null if the line has no point there after sampling.
+          */
+        getPointAtColumn(lineId: number, column: number): Trends.Data.PointDataOnLine;
+        /**
+          * Draws the notes of a line at the points in the columns with the x labels they were added at.
+          * A note whose series or x label is no longer in the data, or whose point isn't drawn, isn't drawn either, but it's kept in case they come back.
+          * @param {number} lineId The id of the line
+          */
+        drawAnnotations(lineId: number): void;
+        /**
+          * Draws the button on the bubble of a clicked point that adds a note to the point, on the upper right of the bubble.
+          * A point that has a note already doesn't get the button.
+          * @param {any} circleGroup The svg group of the bubble
+          * @param {number} lineId The id of the line of the point
+          * @param {PointDataOnLine} point The point
+          * @param {number} bubbleRadius The radius of the bubble
+          */
+        drawNoteButton(circleGroup: any, lineId: number, point: Trends.Data.PointDataOnLine, bubbleRadius: number): void;
+        private getAnnotationId(lineId, column);
+        /**
+          * Draws a note as a callout above its point, or below it if there's no room above, with a leader line to the point.
+          * Clicking the callout edits the note.
+          */
+        private drawAnnotation(lineId, point, text);
+        /**
+          * Adds an empty note to a point and starts editing it. The note is only saved once it has some text.
+          */
+        private addAnnotation(lineId, point);
+        /**
+          * Edits a note in a text box over its callout. Enter or leaving the box saves the note and Escape cancels the edit.
+          */
+        private editAnnotation(lineId, point);
+        /**
+          * Changes the text of a note and saves the notes. A note without text is removed.
+          */
+        private setAnnotationText(lineId, point, text);
+        private onDataChanged(newData);
+        /**
+          * Finds the highlights whose series or x label isn't in the data. They're kept, so that they come back with the data.
+          */
+        private findOrphanedHighlights();
+        /**
+          * Fits the saved zoom window to the current number of columns. A window that no longer fits the data shows all the columns.
+          */
+        private setWindowColumns(xWindow);
+    }
+}
+declare var d3: any;
+declare var $: any;
+declare module Trends.Chart {
+    interface ChangedDataSet {
+        beDeletedIds: number[];
+        beRevisedIds: number[];
+        reviseIds: number[];
+        beAddedIds: number[];
+    }
+    class LineChartPlotter extends HighlightingPlotter {
+        private static defaultYLableFontSize;
+        private static defaultXLableFontSize;
+        private static legendTrendlineCheckBoxLength;
+        private static trendlineWidth;
+        private static trendlineStepNumber;
+        private static xAxisPaddingBottm;
+        private static xTickWidth;
+        private static marginRight;
+        private static marginTop;
+        private static marginBottom;
+        private static minTimeXLabelWidth;
+        private static defaultYTickNumber;
+        private static maxLogYTickNumber;
+        private static pointRadio;
+        private static pointRadioForMore;
+        private static pointHoverRadio;
+        private static pointHoverRadioForMore;
+        private static lineWidth;
+        private static lineWidthForMore;
+        private static beSmallerLeastPointNumber;
+        private static missingPointStrokeWidth;
+        private static crosshairTooltipOffset;
+        private static brushHeight;
+        private static brushPadding;
+        private static wheelZoomRatio;
+        private static minPanDistance;
+        private static xWindowSaveDelay;
+        private static resetAction;
+        areaOpacity: number;
+        isStacked: boolean;
+        private lineChartHeight;
+        private lineChartWidth;
+        private max;
+        private min;
+        private secondaryMax;
+        private secondaryMin;
+        private xAxis;
+        private yAxis;
+        private secondaryYAxis;
+        private lineOrder;
+        private trendlineDisplay;
+        private lineAxes;
+        private yAxisOptions;
+        private hoverColumns;
+        private hoverPositions;
+        private hoverPoints;
+        private hoverIndex;
+        private lineChart;
+        private xAxisBottom;
+        private xAxisWidth;
+        private currentXTickNumber;
+        /**
+          * Overriding {@link HighlightingPlotter#resetTool}. The tooltip and the keyboard navigation, which are kept outside the svg, are removed too.
+          */
+        resetTool(): void;
+        setWidth(width: number): void;
+        setHeight(height: number): void;
+        /**
+          * Gets the value a point is drawn at, which is its own value unless the plotter stacks the lines.
+          * @param {number} lineId The id of the line of the point
+          * @param {PointDataOnLine} point The point
+          * @returns {number} The value on the y axis
+          */
+        getPlottedValue(lineId: number, point: Trends.Data.PointDataOnLine): number;
+        /**
+          * Gets the value the area under a point starts from, when the plotter fills the areas under the lines.
+          * @param {number} lineId The id of the line of the point
+          * @param {PointDataOnLine} point The point
+          * @returns {number} The value on the y axis
+          */
+        getBaseValue(lineId: number, point: Trends.Data.PointDataOnLine): number;
+        /**
+          * Gets the format of the labels of an axis, which is the format the lines drawn against it have in common.
+          * @param {boolean} isSecondary True to get the format of the secondary axis; false to get the format of the primary axis
+          * @returns {NumberFormat} The format of the axis labels
+          */
+        getAxisFormat(isSecondary: boolean): Trends.Data.NumberFormat;
+        /**
+          * Overriding {@link HighlightingPlotter#initData}
+          */
+        initData(convertedData: Trends.Data.BindingData): void;
+        /**
+          * Overriding {@link HighlightingPlotter#readSettings}
+          */
+        readSettings(): void;
+        /**
+          * Overriding {@link HighlightingPlotter#normalizeLineStates}. The line order, the trendline display status and the axes are fitted too.
+          */
+        normalizeLineStates(): void;
+        /**
+          * Fills in the defaults of the y axis settings that aren't saved
+          */
+        private static normalizeYAxisOptions(options);
+        /**
+          * Overriding {@link HighlightingPlotter#draw}
+          */
+        draw(): void;
+        private appendLineGroup(lineId);
+        private createYScale();
+        private isLogScale();
+        private isYRangeFixed();
+        /**
+          * Gets whether the chart can be zoomed, which it can if it has more than one column
+          */
+        private hasBrush();
+        private isPlotAreaClipped();
+        /**
+          * Gets whether a value can be drawn, which it can't on a logarithmic scale if it isn't positive
+          */
+        private isDrawable(value);
+        /**
+          * Adds the clip path that keeps the lines inside the plot area when the primary axis has a fixed range or the chart is zoomed in.
+          * The area is as high as the y axis if its range is fixed and as wide as the x axis if the chart is zoomed in, plus the radius of
+          * a hovered point, so that the points at its ends are drawn whole.
+          */
+        private drawPlotAreaClip(yRange, xRange);
+        /**
+          * Gets the domain of the x axis, which spans the columns the chart is zoomed to.
+          * The axis only runs on to the end of a trendline forecast if the last column is shown.
+          */
+        private getXDomain();
+        private getMaxYLabelWidth(yTicks, labelIdPrefix);
+        private getFirstMaxRadius();
+        /**
+          * Gets the x position of a column, which is spaced by date if the x values are dates
+          * @param {number} column The index of the column
+          * @returns {number} The x position
+          */
+        private getXPosition(column);
+        private drawXLabelAndTicks();
+        /**
+          * Gets the ticks of the x axis when it isn't a time axis. Only whole columns have labels, so the ticks between them are left out.
+          */
+        private getXTicks(tickNumber);
+        private drawTimeXLabelAndTicks();
+        private drawXAxisLine();
+        private drawYLabelAndTicks();
+        /**
+          * Draws the labels of the secondary axis on the right of the chart. The grid lines are only drawn for the primary axis.
+          * @returns {any} The ticks of the secondary axis
+          */
+        private drawSecondaryYLabels();
+        /**
+          * Gets the ticks of a y scale, with at least the default number of ticks if the scale can have them
+          */
+        private getYTicks(yScale);
+        /**
+          * Keeps every n-th tick, so that there are no more ticks than wanted
+          */
+        private static thinTicks(ticks, maxTickNumber);
+        private drawXLabel(xTicks);
+        private drawTimeXLabel(xTicks, format);
+        /**
+          * Adds the crosshair that follows the mouse over the chart, with a tooltip of the values the shown lines have in the column under it.
+          * It isn't saved, unlike the values of the clicked points. When the chart has the focus, the arrow keys step the crosshair between the columns.
+          */
+        private drawCrosshair(yRange);
+        /**
+          * Finds the columns that have a point of any line, and the point of every line in them
+          */
+        private setHoverColumns();
+        /**
+          * Gets the column with a point that is the nearest to an x position
+          * @param {number} x The x position in the chart
+          * @returns {number} The index of the column in hoverColumns, or null if no column has a point
+          */
+        private getNearestHoverIndex(x);
+        /**
+          * Moves the crosshair to a column, and lists the x label and the values of the shown lines in the tooltip
+          * @param {number} hoverIndex The index of the column in hoverColumns
+          */
+        private showCrosshair(hoverIndex);
+        private hideCrosshair();
+        /**
+          * Draws the brush under the x axis. It spans all the columns, on a time scale if the x values are dates, and dragging across it
+          * zooms the chart to the columns nearest to the ends of the span it covers. Clicking it outside the covered columns shows all the columns again.
+          */
+        private drawBrush(xRange);
+        /**
+          * Lets the mouse wheel zoom the chart in and out around the column under the mouse, and dragging a zoomed chart pan it
+          */
+        private setZoomAndPanHandlers(xRange);
+        /**
+          * Gets the shown column nearest to an x position
+          * @param {number} x The x position in the chart
+          * @param {number[]} xRange The ends of the x axis
+          * @returns {number} The column
+          */
+        private getColumnAt(x, xRange);
+        /**
+          * Gets the value of a column on the x axis
+          * @param {number} column The column
+          * @returns {any} The date of the column if the x values are dates, otherwise the column itself
+          */
+        private getColumnX(column);
+        /**
+          * Gets the column nearest to a value on the x axis
+          * @param {any} x A date if the x values are dates, otherwise a column that may be between two columns
+          * @returns {number} The column
+          */
+        private getNearestColumn(x);
+        /**
+          * Zooms the chart in or out by the wheel zoom ratio, keeping a column where it is
+          * @param {number} center The column to keep in place
+          * @param {boolean} isZoomIn Whether to show fewer columns, or else more
+          */
+        private zoomAround(center, isZoomIn);
+        /**
+          * Moves the lines along the x axis while the chart is dragged. The clip of the plot area is moved back, so that it stays in place.
+          */
+        private translateLines(distance);
+        /**
+          * Zooms the chart to some columns and saves them in the document. The columns are moved inside the data if they go past either end of it.
+          * @param {number} firstColumn The first column to show
+          * @param {number} lastColumn The last column to show
+          * @returns {boolean} Whether the chart is zoomed to other columns than before
+          */
+        private setXWindow(firstColumn, lastColumn);
+        /**
+          * Overriding {@link HighlightingPlotter#drawLineLegendOptions}. The checkbox of the secondary axis and the trendline of a line are drawn under its row.
+          */
+        drawLineLegendOptions(lineId: number): void;
+        /**
+          * Overriding {@link HighlightingPlotter#onLineDisplayChanged}. The group of the line is just shown or hidden, unless the lines are stacked.
+          */
+        onLineDisplayChanged(lineId: number): void;
+        /**
+          * Adds a checkbox to the legend that moves a line to the secondary axis on the right of the chart and back
+          */
+        private drawLegendAxis(lineId);
+        /**
+          * Adds the equation and the R² of the trendline of a line to the legend, with a checkbox that shows or hides the trendline
+          */
+        private drawLegendTrendline(lineId, trendline);
+        private drawLine(lineId);
+        /**
+          * Gets the point of a line in the first column with an x label
+          */
+        private getPointAtXLabel(lineId, xLabel);
+        /**
+          * Overriding {@link HighlightingPlotter#getPointPosition}
+          */
+        getPointPosition(lineId: number, point: Trends.Data.PointDataOnLine): number[];
+        /**
+          * Overriding {@link HighlightingPlotter#getAnnotationTop}
+          */
+        getAnnotationTop(lineId: number): number;
+        /**
+          * Overriding {@link HighlightingPlotter#isPointDrawn}. A point isn't drawn if its value can't be drawn on the y axis.
+          */
+        isPointDrawn(lineId: number, point: Trends.Data.PointDataOnLine): boolean;
+        /**
+          * Draws the trendline of a line as a dashed path under the points of the line
+          * @param {number} lineId The id of the line
+          */
+        private drawTrendline(lineId);
+        /**
+          * Gets the points to draw a trendline with. A straight trendline only needs its ends.
+          * @param {TrendlineFit} trendline The trendline
+          * @returns {any[]} The points, each with a period and a value
+          */
+        private getTrendlinePoints(trendline);
+        /**
+          * Gets where the x axis ends, which is after the last column if a shown trendline has a forecast
+          * @returns {any} The date or the column index the x axis ends at
+          */
+        private getXAxisEnd();
+        /**
+          * Gets the path generator of a line, which places the points against the axis of the line
+          * @param {number} lineId The id of the line
+          * @returns {any} The path generator
+          */
+        private getLinePlotter(lineId);
+        /**
+          * Fills the area between a line and the values its area starts from, in the color of the line, if the plotter fills the areas.
+          * The area is drawn with the same curve as the line, and the values it starts from are kept inside the axis.
+          * @param {number} lineId The id of the line
+          */
+        private drawArea(lineId);
+        /**
+          * Gets the scale of the axis a line is drawn against
+          * @param {number} lineId The id of the line
+          * @returns {any} The y scale
+          */
+        private getYAxis(lineId);
+        /**
+          * Gets whether a line is drawn against the secondary axis. A secondary axis is only used beside a primary one,
+          * so if every line is set to the secondary axis, they are all drawn against the primary one.
+          * @param {number} lineId The id of the line
+          * @returns {boolean} True if the line is drawn against the secondary axis; false otherwise
+          */
+        private isOnSecondaryAxis(lineId);
+        private hasSecondaryAxis();
+        /**
+          * Gets the ids of the lines drawn against the primary or the secondary axis
+          * @param {boolean} isSecondary True to get the lines of the secondary axis; false to get the lines of the primary axis
+          * @returns {number[]} The ids of the lines
+          */
+        private getLineIdsOnAxis(isSecondary);
+        /**
+          * Gets the points to draw the path of a line with. A null is put before each point that comes after a gap, where the line stops.
+          * @param {PointDataOnLine[]} points The points of the line
+          * @returns {PointDataOnLine[]} The points, with a null at every gap
+          */
+        private getPathData(points);
+        /**
+          * Draws the bubble of a highlighted point, with its value in it
+          * @param {boolean} isRemovable Whether clicking the bubble removes the highlight. The bubbles of the highlight rules can't be removed.
+          */
+        private drawCircleGroup(lineId, point, beAnimated, isRemovable);
+        private promoteLineToTop(lineId);
+        /**
+          * Sets the domains of the primary and the secondary axes, each from the lines drawn against it
+          */
+        private setMaxAndMin();
+        /**
+          * Gets the domain of a y axis from the values of its lines and the y axis settings
+          * @param {number[]} lineIds The ids of the lines drawn against the axis
+          * @param {boolean} isPrimary Whether the axis is the primary axis, which is the only one the fixed minimum and maximum apply to
+          * @returns {number[]} The minimum and the maximum of the axis
+          */
+        private getYDomain(lineIds, isPrimary);
+        /**
+          * Gets the smallest and the largest value of some lines
+          * @param {number[]} lineIds The ids of the lines
+          * @param {boolean} isPositiveOnly Whether to leave out the values that aren't positive, as a logarithmic axis can't show them
+          * @returns {number[]} The smallest and the largest value
+          */
+        private getValueExtent(lineIds, isPositiveOnly);
+        private getSvgElementWidth(elementId);
+    }
+}
+declare var $: any;
+declare module DataViz.UX {
+    class DataPane implements DataViz.Data.IDataChangeListener, DataViz.Chart.IVisualizationListener {
+        private static theInstance;
+        private static maxDiagnosticNumber;
+        private reentryFlag;
+        private titleChanged;
+        constructor();
+        static Instance: DataPane;
+        /**
+          * Implementing {@link IDataChangeListener#onDataChanged}
+          */
+        onDataChanged(data: any): void;
+        onDataBindingTargetChanged(): void;
+        /**
+          * Implementing {@link IVisualizationListener#onStartVisualizing}
+          */
+        onStartVisualizing(): void;
+        /**
+          * Implementing {@link IVisualizationListener#onEndVisualizing}
+          */
+        onEndVisualizing(): void;
+        show(): void;
+        hide(): void;
+        private init();
+        private setText();
+        private setEventHandlers();
+        /**
+          * Lists the bound ranges with their sizes, and tells how many of their rows sheet filters hide. Every range but the last one left can be removed.
+          */
+        private updateRanges();
+        /**
+          * Lists the problems the last conversion found in the bound data, and the highlights that don't match a point of the data.
+          * A problem with a cell has a link that selects the cell, and the address of the cell in the range. Only the first problems are listed,
+          * and the number of the others is told.
+          */
+        private updateDiagnostics();
+        /**
+          * Gets what the link of a problem does, which is to select the cell of the problem, or the range if the problem is with the whole range
+          */
+        private static getGoToProblem(binder, bindingName, diagnostic);
+        /**
+          * Lists the highlights that don't match a point of the data, each with a link that removes it
+          * @returns {any[]} The list items
+          */
+        private createHighlightItems();
+        private createRemovableItem(text, remove);
+        /**
+          * Describes a problem found in the conversion
+          * @param {ConversionDiagnostic} diagnostic The problem
+          * @param {boolean} hasHeader Whether the header was read as the header
+          * @returns {string} The description
+          */
+        private describeDiagnostic(diagnostic, hasHeader);
+        /**
+          * Lists the settings of every line. The rows are only built again when the number of lines changes,
+          * so that a setting the user is changing keeps the focus when the chart is drawn again.
+          */
+        private updateSeries();
+        /**
+          * Shows the trendline settings of a line. The degree is only shown for a polynomial trendline.
+          */
+        private updateTrendlineSettings(row, trendline);
+        /**
+          * Changes the trendline of a line and saves the trendlines of all the lines
+          * @param {number} lineId The id of the line
+          * @param {(trendline: LineTrendline) => LineTrendline} change Gets the new trendline of the line from a copy of the current one
+          */
+        private updateLineTrendline(lineId, change);
+        private createTrendlineSettings(lineId);
+        /**
+          * Shows which highlight rules a line has. The threshold and the count are empty for the rules the line doesn't have.
+          */
+        private updateHighlightRuleSettings(row, rules);
+        /**
+          * Replaces the highlight rule of a type of a line and saves the highlight rules of all the lines
+          * @param {number} lineId The id of the line
+          * @param {string} type The type of the rule
+          * @param {LineHighlightRule} rule The new rule, or null to remove the rule of the type
+          */
+        private setLineHighlightRule(lineId, type, rule);
+        private createHighlightRuleSettings(lineId);
+        /**
+          * Lists the transforms of a line, unless the list already shows them
+          */
+        private updateTransformList(transformList, lineId, transforms);
+        private removeTransform(lineId, index);
+        /**
+          * Changes the transforms of a line and saves the transforms of all the lines
+          * @param {number} lineId The id of the line
+          * @param {(transforms: LineTransform[]) => void} change The change to make to a copy of the transforms of the line
+          */
+        private updateLineTransforms(lineId, change);
+        private createSeriesRow(lineId);
+        /**
+          * Shows the orientation and how the header and the labels are read. Unless the user has set them,
+          * the header and the labels are what the convertor has detected.
+          */
+        private updateReadSettings();
+    }
+}
+declare var $: any;
+declare module Trends.UX {
+    class MainUX {
+        private hideFloatMenuTimeoutId;
+        constructor();
+        init(): void;
+        setupListeners(): void;
+        private setText();
+        private showDataPane();
+        private showSettingPane();
+        private showFloatMenu();
+        private hideFloatMenu();
+    }
+}
+declare var $: any;
+declare var Office: any;
+/**
+  * This is the main module containing the entry point of the app.
+  */
+declare module DataViz {
+    /**
+      * The main app instance
+      */
+    var mainApp: App;
+    /**
+      * This class represents the primary entry-point and workflow of the app
+      */
+    class App implements DataViz.Config.IConfigurationChangeListener, DataViz.Chart.IVisualizationListener {
+        private static paneWidth;
+        private static configurationKeys;
+        private mainUX;
+        private currentSKU;
+        private configuration;
+        private layoutInstance;
+        private reentryFlag;
+        private bindingPane;
+        constructor();
+        /**
+          * Gets the current SKU instance
+          * @returns {DataViz.SKUs.SKUInstance} The current SKU instance
+          */
+        CurrentSKU: DataViz.SKUs.SKUInstance;
+        /**
+          * Gets the configuration instance
+          * @returns {Config.Configuration} The configuration instance
+          */
+        Configuration: DataViz.Config.Configuration;
+        /**
+          * Gets the layout instance
+          * @returns {DataViz.Chart.LayoutInstance} The layout instance
           */
         LayoutInstance: DataViz.Chart.LayoutInstance;
         /**
@@ -1702,260 +3641,277 @@ declare module DataViz {
         onEndVisualizing(): void;
         private tearDownCurrentSKU();
         private setupNewSKU();
+        /**
+          * Gets the theme of the current SKU that takes the place of a theme of another SKU, which is the theme in the same place
+          * in the list of the themes of the SKU, so that the light and the dark themes stay light and dark when the chart type changes
+          * @param {Theme} savedTheme The theme of the other SKU, or null if the saved theme isn't known
+          * @returns {string} The id of the theme, or the id of the default theme of the SKU if it has fewer themes
+          */
+        private getMatchingThemeId(savedTheme);
         private initLayoutElementConfig(key, sampleValue);
     }
 }
 /**
-  * This module contains the implementation of the People Bar specific data covnertor
+  * This module contains the plotters of the area charts
   */
-declare module Trends.Data {
-    interface RawData {
-        hasHeader: boolean;
-        formatted: any;
-        unformatted: any;
-    }
-    interface PointDataOnLine {
-        originalIndex: number;
-        formatted: string;
-        unformatted: number;
-    }
-    interface LineDataConverted {
-        validDataCount: number;
-        data: PointDataOnLine[];
-    }
-    interface BindingData {
-        header: string[];
-        xData: string[];
-        yData: LineDataConverted[];
-    }
+declare module Trends.Chart {
     /**
-      * This is the specific data convertor implementation of the app
+      * The ways an area chart can put the areas of its lines together
       */
-    class DataConvertor implements DataViz.Data.IDataConvertor {
+    var AreaStackMode: {
+        overlapped: string;
+        stacked: string;
+        percent: string;
+    };
+    /**
+      * The plotter of the area chart. The lines are drawn as the line chart draws them, with the area under every line filled
+      * in its color. When the lines are stacked, they are stacked in the order of the series, leaving out the hidden lines,
+      * and they have no trendlines, since a trendline fits the values of its line rather than where the line is drawn.
+      */
+    class AreaChartPlotter extends LineChartPlotter {
+        private static overlappedOpacity;
+        private static stackedOpacity;
+        private stackMode;
+        private stackTops;
+        private stackBases;
+        constructor(stackMode?: string);
         /**
-          * Implementing {@link ITool#resetTool}
+          * Overriding {@link HighlightingPlotter#plot}
           */
-        resetTool(): void;
+        plot(data: Trends.Data.BindingData): void;
         /**
-          * Determines whether the binding is a table and its column number is more than one
-          * @param {any} binding used to get data.
-          * @returns {boolean} True if the binding is valid; false otherwise
+          * Overriding {@link LineChartPlotter#getPlottedValue}
           */
-        static isBindingValid(binding: any): boolean;
+        getPlottedValue(lineId: number, point: Trends.Data.PointDataOnLine): number;
         /**
-          * Implementing {@link IDataConvertor#Convert}
-          * @param {RawData} the raw data contains both formatted and unformatted data.
-          * Example: data.formatted: [["21-Jul", "$41.00"], ["22-Jul", "$29.00"], ...]
-          *          data.unformatted: [[41476, 41], [41477, 29], ...]
-          * @returns {BindingData} The converted data
+          * Overriding {@link LineChartPlotter#getBaseValue}
           */
-        convert(data: RawData): BindingData;
+        getBaseValue(lineId: number, point: Trends.Data.PointDataOnLine): number;
         /**
-          * Implementing {@link IConfigurationChangeListener#onConfigurationChanged}
+          * Overriding {@link LineChartPlotter#getAxisFormat}. The axis of a 100% stacked chart shows the shares of the columns.
           */
-        onConfigurationChanged(key: string, value: any): void;
-        private isDataValid(data);
+        getAxisFormat(isSecondary: boolean): Trends.Data.NumberFormat;
+        /**
+          * Works out where every line is drawn when the lines are stacked. A hidden line adds nothing to the stack,
+          * so it's drawn at the top of the lines before it.
+          */
+        private stack(data);
+        /**
+          * Gets the columns that have a point of any line, in order
+          */
+        private static getColumns(data);
+    }
+    /**
+      * The plotter of the stacked area chart
+      */
+    class StackedAreaChartPlotter extends AreaChartPlotter {
+        constructor();
+    }
+    /**
+      * The plotter of the 100% stacked area chart
+      */
+    class PercentAreaChartPlotter extends AreaChartPlotter {
+        constructor();
     }
 }
-declare var d3: any;
-declare var $: any;
 /**
-  * This module contains the implementation of the base layouter
+  * This module contains the plotters of the column and bar charts
   */
 declare module Trends.Chart {
     /**
-      * The base class of all layouters based on D3
+      * The ways a bar chart can put the bars of its lines together
       */
-    class Layouter extends DataViz.Tools.Pausable implements DataViz.Chart.ILayouter {
-        private static originWindowWidth;
-        private static originWindowHeight;
-        private static bodyOriginPadding;
-        private static bodyOriginMinWidth;
-        private static bodyOriginMinHeight;
-        private static bodyFinalMinWidth;
-        private static bodyFinalMinHeight;
-        private static floatMenuOriginHeight;
-        private static xGrid;
-        private static yGrid;
-        private static deviationWidth;
-        private cachedData;
-        private cachedLayoutElementInstances;
-        private currentLayout;
-        private layoutElements;
-        private firstRelayout;
-        static getZoomRatioRelativeLast(): ZoomRatio;
-        static getZoomRatioRelativeOrigin(): ZoomRatio;
-        constructor();
+    var BarMode: {
+        grouped: string;
+        stacked: string;
+        horizontal: string;
+    };
+    /**
+      * The plotter of the column chart. Every line is drawn as a bar in each column it has a point in, in the color of the line,
+      * and a clicked bar gets a bubble with its value at its end, as a clicked point of the line chart does. The hidden lines are
+      * left out, so the shown ones take up their room. The value axis always starts from zero, since the length of a bar is its value.
+      * When the bars are stacked, every shown line has a bar in every column any shown line has one in, so that the totals don't leave out
+      * the points sampling left out of some of the lines.
+      */
+    class BarChartPlotter extends HighlightingPlotter {
+        private static bandPadding;
+        private static marginTop;
+        private static marginRight;
+        private static marginBottom;
+        private static valueLabelFontSize;
+        private static categoryLabelFontSize;
+        private static categoryLabelPadding;
+        private static defaultValueTickNumber;
+        private mode;
+        private chartWidth;
+        private chartHeight;
+        private barChart;
+        private valueAxis;
+        private categoryAxis;
+        private groupAxis;
+        private yAxisOptions;
+        private barPoints;
+        private stackBases;
+        constructor(mode?: string);
+        /**
+          * Overriding {@link HighlightingPlotter#initData}
+          */
+        initData(convertedData: Trends.Data.BindingData): void;
+        /**
+          * Overriding {@link HighlightingPlotter#readSettings}
+          */
+        readSettings(): void;
+        private isStacked();
+        private isHorizontal();
+        /**
+          * Finds the points of every line that have a bar, which are the points in the zoom window with a value. The lines are sampled one by one,
+          * so when the bars are stacked, a shown line also gets a bar in the columns where only the other shown lines have one. Its value there is
+          * read off the line, as the stacked areas do, so that the bars above it start from where they would without sampling.
+          */
+        private setBarPoints();
+        /**
+          * Tells whether a point has a bar, which it has if it's in the zoom window and has a value. A missing value the gap mode filled in has no bar.
+          */
+        private hasBar(point);
+        /**
+          * Works out the value every bar starts from when the bars are stacked. The positive values are stacked up from zero and the
+          * negative values down from it, in the order of the series, leaving out the hidden lines.
+          */
+        private stack();
+        /**
+          * Gets the points of a line that have a bar
+          */
+        private getBarPoints(lineId);
         /**
-          * Implementing {@link ITool#resetTool}
+          * Gets the value a bar starts from, which is zero unless the bars are stacked
           */
-        resetTool(): void;
+        private getBarStart(lineId, point);
         /**
-          * Implementing {@link ILayouter#Layout}
+          * Gets the value a bar ends at, where its bubble is drawn
           */
-        layout(data: any): void;
+        private getBarEnd(lineId, point);
         /**
-          * Implementing {@link ILayoutChangeListener#onLayoutChanged}
+          * Gets the domain of the value axis, which takes in zero and the ends of all the shown bars
           */
-        onLayoutChanged(layout: DataViz.Chart.Layout): void;
+        private getValueDomain();
+        private getColumns();
         /**
-          * Implementing {@link ILayoutChangeListener#onLayoutElementChanged}
+          * Gets the format of the value labels, which is the format the shown lines have in common
           */
-        onLayoutElementChanged(layoutElement: DataViz.Chart.LayoutElement): void;
+        private getAxisFormat();
         /**
-          * Implementing {@link ILayoutChangeListener#onLayoutElementInstanceChanged}
+          * Overriding {@link HighlightingPlotter#draw}
           */
-        onLayoutElementInstanceChanged(layoutElement: DataViz.Chart.LayoutElement, value: any): void;
-        private relayout();
-        private layoutOneElement(layoutElement);
-        private handleNonContentLengthInHDPI(jqueryElement);
-        private layoutOneElementInstance(layoutElementId, value);
-        private onElementResize(element, elementWidth, elementOriginWidth, peerElement1, peerElement2);
-        private setWindowResizeListener();
-        private handleWindowResizeWidth(windowWidth);
-        private handleWindowResizeHeight(windowHeight);
-        private setWidth(layoutElement, width);
-        private setHeight(layoutElement, height);
-    }
-    class ElementWithFixedProperties {
-        private element;
-        private elementNonContentWidth;
-        private elementMinWidth;
-        private elementNonContentHeight;
-        private elementMinHeight;
-        private elementFixedHeight;
-        constructor(elementId: string, isHeightFixed: boolean);
-        Element: any;
-        ElementNonContentWidth: number;
-        ElementMinWidth: number;
-        ElementNonContentHeight: number;
-        ElementMinHeight: number;
-        ElementFixedHeight: number;
-        getBorderWidth(): number;
-        getBorderHeight(): number;
-        private getElementNonContentWidth(element);
-        private getElementNonContentHeight(element);
+        draw(): void;
+        /**
+          * Draws the labels of the value axis with a dashed grid line at each of them. The labels of a column chart are on the left,
+          * above their grid lines, and the labels of a bar chart are at the bottom.
+          * @param {number[]} ticks The values of the labels
+          * @param {string[]} labels The labels
+          * @param {number[]} gridRange Where the grid lines start and end
+          * @returns {number} The width of the widest label
+          */
+        private drawValueLabelsAndTicks(ticks, labels, gridRange);
+        /**
+          * Draws the x labels under the columns of a column chart, or on the left of the bars of a bar chart. When there isn't room
+          * for all of them, only every few labels are kept.
+          * @returns {number} The width of the widest label
+          */
+        private drawCategoryLabels();
+        /**
+          * Draws the line at zero that the bars stand on
+          */
+        private drawBaseline();
+        /**
+          * Draws a band behind every other column, which the theme colors so that the columns of the x values can be told apart
+          */
+        private drawBands();
+        private drawBars(lineId);
+        /**
+          * Draws the bubble with the value of a bar at its end, as the line chart draws it at a point
+          * @param {number} lineId The id of the line of the bar
+          * @param {PointDataOnLine} point The point of the bar
+          * @param {boolean} beAnimated Whether the bubble grows in
+          * @param {boolean} isRemovable Whether a click on the bubble removes the highlight
+          */
+        private drawBarBubble(lineId, point, beAnimated, isRemovable);
     }
-    class LayoutElements {
-        private body;
-        private floatMenuParent;
-        private firstRowContainer;
-        private secondRowContainer;
-        private titleParent;
-        private lineChart;
-        private legend;
-        private shortdes1Group;
-        private longdesGroup;
+    /**
+      * The plotter of the stacked column chart
+      */
+    class StackedBarChartPlotter extends BarChartPlotter {
         constructor();
-        resetLayoutElements(): void;
-        Body: ElementWithFixedProperties;
-        FloatMenuParent: ElementWithFixedProperties;
-        FirstRowContainer: ElementWithFixedProperties;
-        SecondRowContainer: ElementWithFixedProperties;
-        TitleParent: ElementWithFixedProperties;
-        LineChart: ElementWithFixedProperties;
-        Legend: ElementWithFixedProperties;
-        Shortdes1Group: ElementWithFixedProperties;
-        LongdesGroup: ElementWithFixedProperties;
     }
-    class ZoomRatio {
-        widthRatio: number;
-        heightRatio: number;
-        maxRatio: number;
-        minRatio: number;
-        constructor(widthRatio: number, heightRatio: number);
+    /**
+      * The plotter of the bar chart, which lays the grouped columns on their side
+      */
+    class HorizontalBarChartPlotter extends BarChartPlotter {
+        constructor();
     }
 }
-declare var d3: any;
 declare var $: any;
-declare module Trends.Chart {
-    interface ChangedDataSet {
-        beDeletedIds: number[];
-        beRevisedIds: number[];
-        reviseIds: number[];
-        beAddedIds: number[];
-    }
-    class LineChartPlotter extends DataViz.Tools.Pausable implements DataViz.Chart.IPlotter {
-        private static durationTime;
-        private static radius;
-        private static fontSize;
-        private static defaultYLableFontSize;
-        private static defaultXLableFontSize;
-        private static legendFontSize;
-        private static checkBoxLength;
-        private static xAxisPaddingBottm;
-        private static xTickWidth;
-        private static marginRight;
-        private static marginTop;
-        private static marginBottom;
-        private static maxTextLength;
-        private static defaultYTickNumber;
-        private static pointRadio;
-        private static pointRadioForMore;
-        private static pointHoverRadio;
-        private static pointHoverRadioForMore;
-        private static lineWidth;
-        private static lineWidthForMore;
-        private static beSmallerLeastPointNumber;
-        private static resetAction;
-        private zoomRatio;
-        private configuration;
-        private bindingData;
-        private lineChartHeight;
-        private lineChartWidth;
-        private max;
-        private min;
-        private linePlotter;
-        private xAxis;
-        private yAxis;
-        private clickedPointIdArray;
-        private lineOrder;
-        private lineDisplay;
-        private lineTitleArray;
-        private lineChart;
-        private legendGroup;
-        private lineNumber;
-        private columnNumber;
-        private delayPlotTimeoutId;
-        private xAxisWidth;
-        private currentXTickNumber;
-        private currentYTickNumber;
-        private isLegendEdited;
-        constructor();
+/**
+  * This module contains the implementation of the Trends specific data sampler
+  */
+declare module Trends.Data {
+    /**
+      * This is the specific data sampler implementation of the app. It reduces each line to the points picked by the
+      * largest-triangle-three-buckets (LTTB) algorithm, so that a line never has more points than the chart has pixels across
+      * while it keeps the visual shape of the full data.
+      */
+    class DataSampler implements DataViz.Data.IDataSampler {
+        private static minPointNumber;
+        private startColumn;
+        private endColumn;
+        private pointHighlights;
+        private annotations;
         /**
           * Implementing {@link ITool#resetTool}
           */
         resetTool(): void;
         /**
-          * Implementing {@link IPlotter#delayPlot}
+          * Limits the sampling to a range of columns, for example when the user zooms into a part of the chart.
+          * The range is sampled from the full data, so zooming in brings back the points that sampling the whole chart left out.
+          * @param {number} startColumn The first column of the range, or null to sample all the columns
+          * @param {number} endColumn The last column of the range, or null to sample all the columns
           */
-        delayPlot(data: Trends.Data.BindingData, delay?: number): void;
+        setColumnRange(startColumn: number, endColumn: number): void;
         /**
-          * Implementing {@link IPlotter#plot}
+          * Implementing {@link IDataSampler#sample}
+          * @param {BindingData} data The converted data
+          * @returns {BindingData} The data with the lines sampled down to the width of the chart
           */
-        plot(data: Trends.Data.BindingData): void;
-        setWidth(width: number): void;
-        setHeight(height: number): void;
-        private onDataChanged(newData);
-        private initData(convertedData);
-        private drawLineChart();
-        private getMaxYLabelWidth(yTicks);
-        private getFirstMaxRadius();
-        private drawXLabelAndTicks();
-        private drawYLabelAndTicks();
-        private drawXLabel(xTicks);
-        private drawLegend();
-        private drawLine(lineId);
-        private drawCircleGroup(pointId, beAnimated);
-        private getLineIdFromLineTitleId(lineTitleId);
-        private getLineIdFromCheckboxId(checkboxId);
-        private getLineIdFromPointId(pointId);
-        private getColumnFromPointId(pointId);
-        private getNumberFromString(orgString, startString, endString);
-        private promoteLineToTop(lineId);
-        private setMaxAndMin();
-        private isPercentageFormat();
-        private getSvgElementWidth(elementId);
+        sample(data: BindingData): BindingData;
+        /**
+          * Implementing {@link IConfigurationChangeListener#onConfigurationChanged}
+          */
+        onConfigurationChanged(key: string, value: any): void;
+        /**
+          * Gets the points inside the column range, plus the nearest point on each side so that the line runs to the edges of the chart
+          */
+        private getPointsInRange(points);
+        /**
+          * Picks the points of a line with the largest-triangle-three-buckets algorithm. The first and the last points are always kept,
+          * the rest are split into buckets and from each bucket the point that forms the largest triangle with the previously picked point
+          * and the average of the next bucket is picked.
+          * @param {PointDataOnLine[]} points The points of a line
+          * @param {number} threshold The number of points to pick
+          * @param {Date[]} xDates The dates of the x values, or null if the columns are evenly spaced
+          * @returns {PointDataOnLine[]} The picked points
+          */
+        private largestTriangleThreeBuckets(points, threshold, xDates);
+        /**
+          * Adds back the points saved by series name and x label, such as the highlighted points and the points with notes
+          */
+        private keepSavedPoints(data, lineId, savedPoints, sampled, points);
+        /**
+          * Adds back the points the highlight rules of a line pick
+          */
+        private keepRuleHighlights(columns, sampled, points);
+        /**
+          * Adds back the points on both sides of every gap of a line that is broken at its missing values, so that the gaps stay where they are
+          */
+        private keepGapEdges(sampled, points);
     }
 }
 /**
@@ -1971,5 +3927,274 @@ declare module DataViz.SKUs {
           */
         getAll(): DataViz.SKUs.SKUDefinition[];
         private getDefault();
+        /**
+          * Gets the definition of a SKU that draws the data of the default SKU with another plotter, such as an area, a bar, a scatter or a small multiples plotter
+          * @param {string} id The id of the SKU
+          * @param {string} displayName The name of the chart type in the chart type gallery
+          * @param {string} thumbnail The file name of the thumbnail in the images folder
+          * @param {string} plotter The plotter class name
+          * @param {string} defaultTheme The id of the default theme
+          * @returns {DataViz.SKUs.SKUDefinition} The SKU definition
+          */
+        private getVariant(id, displayName, thumbnail, plotter, defaultTheme);
+    }
+}
+/**
+  * This module contains the plotter of the scatter chart
+  */
+declare module Trends.Chart {
+    /**
+      * A point of the scatter chart, which is a column where both series have a value
+      */
+    interface ScatterPoint {
+        column: number;
+        xPoint: Trends.Data.PointDataOnLine;
+        yPoint: Trends.Data.PointDataOnLine;
+    }
+    /**
+      * The plotter of the scatter chart. It plots one series against another, with a point for every column where both have a value,
+      * so that it shows whether the series move together. The regression line, the correlation coefficient and the labels of the points,
+      * which are the x values of their columns, can be shown. The data of the scatter chart isn't sampled, so every such column is plotted
+      * and taken into the regression line and the correlation.
+      * A clicked point gets a bubble with its value up the chart, and is saved as a highlight of the series plotted up the chart.
+      */
+    class ScatterChartPlotter extends HighlightingPlotter {
+        private static marginTop;
+        private static marginRight;
+        private static marginBottom;
+        private static yLabelFontSize;
+        private static xLabelFontSize;
+        private static axisLabelPadding;
+        private static pointRadius;
+        private static pointLabelFontSize;
+        private static regressionWidth;
+        private static correlationFontSize;
+        private static messageFontSize;
+        private static optionFontSize;
+        private static defaultTickNumber;
+        private chartWidth;
+        private chartHeight;
+        private scatterChart;
+        private xAxis;
+        private yAxis;
+        private yAxisOptions;
+        private options;
+        private xLineId;
+        private yLineId;
+        /**
+          * Overriding {@link HighlightingPlotter#initData}
+          */
+        initData(convertedData: Trends.Data.BindingData): void;
+        /**
+          * Overriding {@link HighlightingPlotter#readSettings}
+          */
+        readSettings(): void;
+        /**
+          * Gets the saved scatter settings, with the settings that aren't saved turned off
+          */
+        private static normalizeOptions(options);
+        /**
+          * Gets the id of the line of a series
+          * @param {string} seriesName The saved name of the series
+          * @param {number} defaultLineId The id of the line to take if no series has the name
+          * @returns {number} The id of the line
+          */
+        private findLineId(seriesName, defaultLineId);
+        /**
+          * Gets the points of the chart, which are the columns in the zoom window where both series have a value
+          */
+        private getScatterPoints();
+        /**
+          * Tells whether a point of a series is plotted. A missing value the gap mode filled in isn't, since it wasn't measured.
+          */
+        private isPlotted(point);
+        private getLineTitle(lineId);
+        /**
+          * Overriding {@link HighlightingPlotter#draw}
+          */
+        draw(): void;
+        /**
+          * Gets the domain of an axis, which takes in all the values. If there are no values, or they are all the same, the domain is widened.
+          */
+        private static getDomain(values);
+        /**
+          * Draws a message in the middle of the chart instead of the points
+          */
+        private drawMessage(message);
+        /**
+          * Draws the labels of the y axis on the left, above their dashed grid lines
+          * @param {number} tickNumber The number of ticks to aim for
+          * @param {number} right Where the grid lines end
+          * @returns {number} The width of the widest label
+          */
+        private drawYLabelsAndTicks(tickNumber, right);
+        /**
+          * Draws the labels of the x axis at the bottom, under their dashed grid lines. When there isn't room for all of them,
+          * only every few labels are kept.
+          * @param {number} tickNumber The number of ticks to aim for
+          * @param {number[]} gridRange Where the grid lines start and end
+          */
+        private drawXLabelsAndTicks(tickNumber, gridRange);
+        private getAxisFormat(lineId);
+        /**
+          * Draws the legend, where the series to plot are picked and the regression line, the correlation and the labels are turned on and off
+          * @param {TrendlineFit} regression The regression line, or null if it isn't shown
+          */
+        private drawLegend(regression);
+        /**
+          * Draws a list in the legend to pick the series plotted along an axis
+          * @param {string} axis "x" or "y"
+          * @param {string} text The name of the axis
+          * @param {number} lineId The id of the line plotted along the axis
+          */
+        private drawSeriesPicker(axis, text, lineId);
+        /**
+          * Draws a row in the legend with a checkbox that turns a setting on and off
+          * @param {string} name The name of the setting, which the id of the checkbox is made from
+          * @param {string} text The text next to the checkbox
+          * @param {boolean} isChecked Whether the setting is on
+          * @param {() => void} toggle Turns the setting on or off in the saved settings
+          */
+        private drawOptionRow(name, text, isChecked, toggle);
+        /**
+          * Draws the regression line between the smallest and the largest x value
+          */
+        private drawRegression(regression);
+        /**
+          * Draws the correlation coefficient in the top right corner of the chart
+          * @param {number} correlation The coefficient, or null if the points have none
+          */
+        private drawCorrelation(correlation, right, top);
+        private drawPoints(points);
+        /**
+          * Draws the bubble with the value up the chart of a point, as the line chart draws it
+          * @param {ScatterPoint} point The point
+          * @param {boolean} beAnimated Whether the bubble grows in
+          * @param {boolean} isRemovable Whether a click on the bubble removes the highlight
+          */
+        private drawScatterBubble(point, beAnimated, isRemovable);
+    }
+}
+/**
+  * This module contains the plotter of the small multiples
+  */
+declare module Trends.Chart {
+    /**
+      * The plotter of the small multiples. Every shown line is drawn in a panel of its own, in a grid the layouter works out from the chart area,
+      * so that many lines can be told apart. All the panels have the same x scale, and the same y scale if the user picks it, so that the panels
+      * can be compared; otherwise every panel fits its y scale to its line. The points are highlighted and noted as in the line chart.
+      * The trendlines, the secondary axis and the fixed ends of the y axis of the line chart don't apply to the panels.
+      */
+    class SmallMultiplesPlotter extends HighlightingPlotter {
+        private static panelPadding;
+        private static panelTitleFontSize;
+        private static labelFontSize;
+        private static labelPadding;
+        private static yTickNumber;
+        private static lineWidth;
+        private static pointRadius;
+        private static panelAnnotationOffset;
+        private chartWidth;
+        private chartHeight;
+        private panelChart;
+        private grid;
+        private xAxis;
+        private yAxes;
+        private panelTop;
+        private panelBottom;
+        private yAxisOptions;
+        private isSharedYScale;
+        /**
+          * Overriding {@link HighlightingPlotter#initData}
+          */
+        initData(convertedData: Trends.Data.BindingData): void;
+        /**
+          * Overriding {@link HighlightingPlotter#readSettings}
+          */
+        readSettings(): void;
+        /**
+          * Gets the points of a line in the zoom window. A point with no value is left out, and the line breaks there.
+          */
+        private getPanelPoints(lineId);
+        /**
+          * Overriding {@link HighlightingPlotter#isPointDrawn}. A point is drawn if it's in the zoom window and has a value.
+          */
+        isPointDrawn(lineId: number, point: Trends.Data.PointDataOnLine): boolean;
+        /**
+          * Gets the domain of a y scale from the values of some lines. It takes in zero if the y axis settings say so.
+          * @param {number[]} lineIds The ids of the lines drawn against the scale
+          * @returns {number[]} The minimum and the maximum of the scale
+          */
+        private getYDomain(lineIds);
+        /**
+          * Gets the format of the y labels of a panel, which is the format of its line, or the format the shown lines have in common if they share the y scale
+          */
+        private getAxisFormat(lineId, shownLineIds);
+        /**
+          * Overriding {@link HighlightingPlotter#draw}
+          */
+        draw(): void;
+        /**
+          * Draws the y labels of a panel on its left, above their ticks
+          * @returns {number} The width of the widest label
+          */
+        private drawYLabels(lineId, shownLineIds);
+        /**
+          * Gets the domain of the x scale the panels share, which spans the columns in the zoom window. If the x values are dates,
+          * the domain spans their dates, so that the columns are spaced by date as in the line chart. A single column is put in the middle.
+          */
+        private getXDomain();
+        /**
+          * Gets the x position of a column in a panel, which is spaced by date if the x values are dates
+          */
+        private getXPosition(column);
+        /**
+          * Draws the dashed ticks of the y labels of a panel across its plot area
+          * @param {number[]} range Where the ticks start and end
+          */
+        private drawYTicks(lineId, range);
+        private drawPanelTitle(lineId, left);
+        /**
+          * Draws the x labels of the first, the middle and the last column under a panel. The first and the last labels are kept inside the panel.
+          */
+        private drawXLabels(lineId);
+        private drawLine(lineId);
+        /**
+          * Draws the points of a panel, which are highlighted when clicked, and the bubbles of the highlighted points
+          */
+        private drawPoints(lineId);
+        /**
+          * Draws the bubble of a highlighted point, with its value in it, as the line chart draws it. A point without a note
+          * gets the button that adds one.
+          * @param {number} lineId The id of the line of the point
+          * @param {PointDataOnLine} point The point
+          * @param {boolean} beAnimated Whether the bubble grows in
+          * @param {boolean} isRemovable Whether a click on the bubble removes the highlight
+          */
+        private drawPanelBubble(lineId, point, beAnimated, isRemovable);
+        /**
+          * Overriding {@link HighlightingPlotter#getPointPosition}
+          */
+        getPointPosition(lineId: number, point: Trends.Data.PointDataOnLine): number[];
+        /**
+          * Overriding {@link HighlightingPlotter#getLineGroup}. The notes of a line are drawn in its panel.
+          */
+        getLineGroup(lineId: number): any;
+        /**
+          * Overriding {@link HighlightingPlotter#getAnnotationTop}. A note is drawn below its point if there's no room above it in the panel.
+          */
+        getAnnotationTop(lineId: number): number;
+        /**
+          * Overriding {@link HighlightingPlotter#getAnnotationOffset}
+          */
+        getAnnotationOffset(): number;
+        /**
+          * Draws the legend, with the checkbox that gives all the panels the same y scale above the rows of the lines
+          */
+        private drawLegend();
+        /**
+          * Overriding {@link HighlightingPlotter#onLineTitleChanged}. The title of the panel of the line is changed with it.
+          */
+        onLineTitleChanged(lineId: number): void;
     }
 }
@@ -1069,16 +1069,23 @@ var DataViz;
               * @param {Visualizer} visualizer The visualizer that will be used for visualization
               * @param {IDataBinder} dataBinder The data binder that will be used to bind data
               * @param {IDataConvertor} visualizer The data convertor that will be used to convert raw data
+              * @param {IDataSampler} [dataSampler] The data sampler that will be used to sample the converted data before visualization. Optional.
+              * @param {IDataTransformer} [dataTransformer] The data transformer that will be used to transform the converted data before sampling. Optional.
               */
-            function Controller(visualizer, dataBinder, dataConvertor) {
+            function Controller(visualizer, dataBinder, dataConvertor, dataSampler, dataTransformer) {
                 DataViz.Validate.Validator.ensures(visualizer).from("Controller::ctor [visualizer]").isNotNull();
                 DataViz.Validate.Validator.ensures(dataBinder).from("Controller::ctor [dataBinder]").isNotNull();
                 DataViz.Validate.Validator.ensures(dataConvertor).from("Controller::ctor [dataConvertor]").isNotNull();
                 this.visualizer = visualizer;
                 this.dataBinder = dataBinder;
                 this.dataConvertor = dataConvertor;
+                this.dataSampler = dataSampler ? dataSampler : null;
+                this.dataTransformer = dataTransformer ? dataTransformer : null;
                 this.cachedData = null;
                 this.isRevisualizeOnThemeChange = false;
+                this.revisualizingKeys = [];
+                this.isBatchingChanges = false;
+                this.isRevisualizePending = false;
                 this.dataBinder.registerDataChangeListener(this);
             }
             /**
@@ -1095,6 +1102,21 @@ var DataViz;
             Controller.prototype.bindDataBySelection = function (callback) {
                 this.dataBinder.bindBySelection(callback);
             };
+            /**
+              * Binds the selected data in addition to the bound data (delegate to the data binder)
+              * @param {(result: any) => any} [callback] The callback that will be called after the data binding is done. Optional.
+              */
+            Controller.prototype.addDataBySelection = function (callback) {
+                this.dataBinder.addBySelection(callback);
+            };
+            /**
+              * Releases one of the bindings (delegate to the data binder)
+              * @param {string} bindingName The name of the binding to release
+              * @param {() => any} [callback] The callback that will be called after the binding is released. Optional.
+              */
+            Controller.prototype.removeData = function (bindingName, callback) {
+                this.dataBinder.removeBinding(bindingName, callback);
+            };
             /**
               * Rebinds data directly using the default bind name (delegate to the data binder)
               * @param {() => any} [callback] The callback that will be called after the data binding is done. Optional.
@@ -1133,7 +1155,9 @@ var DataViz;
               */
             Controller.prototype.revisualize = function () {
                 if (this.cachedData) {
-                    this.visualizer.visualize(this.dataConvertor.convert(this.cachedData));
+                    var data = this.dataConvertor.convert(this.cachedData);
+                    data = this.dataTransformer ? this.dataTransformer.transform(data) : data;
+                    this.visualizer.visualize(this.dataSampler ? this.dataSampler.sample(data) : data);
                 }
             };
             /**
@@ -1143,6 +1167,35 @@ var DataViz;
             Controller.prototype.revisualizeOnThemeChange = function (isRevisualize) {
                 this.isRevisualizeOnThemeChange = isRevisualize;
             };
+            /**
+              * Sets the keys of the configuration values of the app, other than the shape, that the cached data is revisualized on when they change
+              * @param {string[]} keys The keys of the configuration values
+              */
+            Controller.prototype.revisualizeOnConfigurationChange = function (keys) {
+                DataViz.Validate.Validator.ensures(keys).from("Controller::revisualizeOnConfigurationChange [keys]").isNotNull();
+                this.revisualizingKeys = keys;
+            };
+            /**
+              * Makes a number of configuration changes that revisualize the cached data only once, after all of them are made
+              * @param {() => any} changes The function that makes the changes
+              * @param {boolean} [revisualizes] Whether to revisualize after the changes if any of them asks for it. Optional, the default value is true.
+              *                 Set it to false when the data is about to change anyway.
+              */
+            Controller.prototype.batchConfigurationChanges = function (changes, revisualizes) {
+                if (revisualizes === void 0) { revisualizes = true; }
+                if (this.isBatchingChanges) {
+                    changes();
+                    return;
+                }
+                this.isBatchingChanges = true;
+                this.isRevisualizePending = false;
+                changes();
+                this.isBatchingChanges = false;
+                if (this.isRevisualizePending && revisualizes) {
+                    this.revisualize();
+                }
+                this.isRevisualizePending = false;
+            };
             /**
               * Implementing {@link IDataChangeListener#onDataChanged}
               */
@@ -1177,9 +1230,24 @@ var DataViz;
                         break;
                     case DataViz.Config.wellKnownKeys.shape:
                         {
-                            this.revisualize();
+                            this.revisualizeOrDefer();
                         }
                         break;
+                    default:
+                        {
+                            if (this.revisualizingKeys.indexOf(key) !== -1) {
+                                this.revisualizeOrDefer();
+                            }
+                        }
+                        break;
+                }
+            };
+            Controller.prototype.revisualizeOrDefer = function () {
+                if (this.isBatchingChanges) {
+                    this.isRevisualizePending = true;
+                }
+                else {
+                    this.revisualize();
                 }
             };
             return Controller;
@@ -1359,6 +1427,31 @@ var DataViz;
                 enumerable: true,
                 configurable: true
             });
+            /**
+              * Returns the color of a line in the current theme. Lines beyond the palette reuse it with shifted hue and lightness,
+              * so that any number of lines gets distinguishable colors.
+              * @param {number} index The index of the line
+              * @returns {string} The color of the line
+              */
+            ThemeProvider.prototype.getLineColor = function (index) {
+                DataViz.Validate.Validator.ensures(index).from("ThemeProvider::getLineColor").isGreaterThanOrEqualTo(0);
+                var palette = this.CurrentTheme.palette;
+                if (!palette || palette.length === 0) {
+                    palette = ThemeProvider.fallbackPalette;
+                }
+                var base = palette[index % palette.length];
+                var round = Math.floor(index / palette.length);
+                if (round === 0) {
+                    return base;
+                }
+                var color = d3.hsl(base);
+                color.h = isNaN(color.h) ? 0 : color.h; // Greys (including black and white) have no hue
+                color.s = isNaN(color.s) ? 0 : color.s;
+                var lightnessShift = (round % 2 === 1 ? -1 : 1) * 0.15 * Math.ceil(round / 2);
+                color.h = (color.h + 37 * round) % 360;
+                color.l = Math.max(0.15, Math.min(0.85, color.l + lightnessShift));
+                return color.toString();
+            };
             /**
               * Gets the theme with the given id
               * @param {string} id The id of a theme
@@ -1384,7 +1477,8 @@ var DataViz;
                 }
             };
             ThemeProvider.theInstance = null;
-            ThemeProvider.version = 2; // To force web browser reload cache, increase this if you are updating themes.js or any of the stylesheets.
+            ThemeProvider.version = 9; // To force web browser reload cache, increase this if you are updating themes.js or any of the stylesheets.
+            ThemeProvider.fallbackPalette = ["#0e555d", "#f1676e", "#5bc4bc", "#fbe35b", "#9da6b2"];
             return ThemeProvider;
         }());
         Decoration.ThemeProvider = ThemeProvider;
@@ -1588,16 +1682,20 @@ var DataViz;
                 instance.layouter = DataViz.Tools.ToolsFactory.buildTool(definition.layouter);
                 instance.dataBinder = DataViz.Tools.ToolsFactory.buildTool(definition.dataBinder);
                 instance.dataConvertor = DataViz.Tools.ToolsFactory.buildTool(definition.dataConvertor);
+                instance.dataTransformer = definition.dataTransformer ? DataViz.Tools.ToolsFactory.buildTool(definition.dataTransformer) : null;
+                instance.dataSampler = definition.dataSampler ? DataViz.Tools.ToolsFactory.buildTool(definition.dataSampler) : null;
                 instance.configurator = DataViz.Tools.ToolsFactory.buildTool(definition.configurator);
                 if ((!instance.plotter)
                     || (!instance.layouter)
                     || (!instance.dataBinder)
                     || (!instance.dataConvertor)
-                    || (!instance.configurator)) {
+                    || (!instance.configurator)
+                    || (definition.dataTransformer && !instance.dataTransformer)
+                    || (definition.dataSampler && !instance.dataSampler)) {
                     return null;
                 }
                 instance.visualizer = new DataViz.Chart.Visualizer(instance.layouter, instance.plotter);
-                instance.controller = new DataViz.Control.Controller(instance.visualizer, instance.dataBinder, instance.dataConvertor);
+                instance.controller = new DataViz.Control.Controller(instance.visualizer, instance.dataBinder, instance.dataConvertor, instance.dataSampler, instance.dataTransformer);
                 return instance;
             };
             Object.defineProperty(SKUInstance.prototype, "Id", {
@@ -1655,6 +1753,28 @@ var DataViz;
                 enumerable: true,
                 configurable: true
             });
+            Object.defineProperty(SKUInstance.prototype, "DataTransformer", {
+                /**
+                  * Gets the data transformer used in this SKU
+                  * @returns {DataViz.Data.IDataTransformer} The data transformer instance, or null if the SKU doesn't transform its data
+                  */
+                get: function () {
+                    return this.dataTransformer;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(SKUInstance.prototype, "DataSampler", {
+                /**
+                  * Gets the data sampler used in this SKU
+                  * @returns {DataViz.Data.IDataSampler} The data sampler instance, or null if the SKU doesn't sample its data
+                  */
+                get: function () {
+                    return this.dataSampler;
+                },
+                enumerable: true,
+                configurable: true
+            });
             Object.defineProperty(SKUInstance.prototype, "Configurator", {
                 /**
                   * The configurator used in the SKU
@@ -1740,6 +1860,12 @@ var DataViz;
                 this.layouter.resetTool();
                 this.dataBinder.resetTool();
                 this.dataConvertor.resetTool();
+                if (this.dataTransformer) {
+                    this.dataTransformer.resetTool();
+                }
+                if (this.dataSampler) {
+                    this.dataSampler.resetTool();
+                }
                 this.visualizer.resetTool();
             };
             return SKUInstance;
@@ -1874,370 +2000,237 @@ var DataViz;
 Copyright (c) Microsoft Open Technologies, Inc. All rights reserved. Licensed under the Apache License, Version 2.0.
 See License.txt in the project root for license information.
 ***************************************************************************************** */
-///<reference path="shared/data.ts"/>
 ///<reference path="shared/utils.ts"/>
-///<reference path="shared/validate.ts"/>
+///<reference path="shared/config.ts"/>
 /**
-  * This module contains the implementation of the specific data binder of the app
+  * This module contains the implementation of the app's specific configurator
   */
-var Trends;
-(function (Trends) {
-    var Data;
-    (function (Data) {
-        var Agave;
-        (function (Agave) {
+var DataViz;
+(function (DataViz) {
+    var Config;
+    (function (Config) {
+        var Trends;
+        (function (Trends) {
             "use strict";
             /**
-              * This is the specific data binder of the app
+              * The configuration keys used in this app
               */
-            var DataBinder = (function () {
-                function DataBinder() {
-                    var _this = this;
-                    this.isDataBound = false;
-                    this.sendDataBindingTelemetry = false;
-                    this.dataChangeListeners = [];
-                    this.dataChangeHandler = function (eventArgs) {
-                        _this.notifyDataChange();
-                    };
-                }
-                /**
-                  * Implementing {@link ITool#resetTool}
-                  */
-                DataBinder.prototype.resetTool = function () {
-                    this.dataChangeListeners.length = 0;
-                    this.detachHandler(this.bindingName);
-                    this.isDataBound = false;
-                };
-                /**
-                  * Implementing {@link IDataBinder#registerDataChangeListener}
-                  */
-                DataBinder.prototype.registerDataChangeListener = function (listener) {
-                    if (this.dataChangeListeners.indexOf(listener) === -1) {
-                        this.dataChangeListeners.push(listener);
-                    }
-                };
-                /**
-                  * Implementing {@link IDataBinder#unregisterDataChangeListener}
-                  */
-                DataBinder.prototype.unregisterDataChangeListener = function (listener) {
-                    DataViz.Utils.removeItemFromArray(this.dataChangeListeners, listener);
-                };
-                /**
-                  * Implementing {@link IDataBinder#bindByPrompt}
-                  */
-                DataBinder.prototype.bindByPrompt = function (callback) {
-                    this.bind(true, callback);
-                };
-                /**
-                  * Implementing {@link IDataBinder#bindBySelection}
-                  */
-                DataBinder.prototype.bindBySelection = function (callback) {
-                    this.bind(false, callback);
-                };
-                /**
-                  * Implementing {@link IDataBinder#Rebind}
-                  */
-                DataBinder.prototype.rebind = function (callback) {
-                    var _this = this;
-                    this.bindingName = DataViz.mainApp.Configuration.get(DataViz.Config.Trends.wellKnownKeys.bindingName);
-                    if (!this.bindingName) {
-                        if (callback) {
-                            callback();
-                        }
-                        return;
-                    }
-                    Office.context.document.bindings.getByIdAsync(this.bindingName, function (result) {
-                        if (result.status !== Office.AsyncResultStatus.Succeeded) {
-                            if (callback) {
-                                callback();
-                            }
-                            return;
-                        }
-                        if (DataViz.Utils.isOnWac()) {
-                            _this.detachHandler(_this.bindingName);
-                            _this.isDataBound = true;
-                            _this.attachHandler(callback);
-                        }
-                        else {
-                            _this.detachHandler(_this.bindingName, function () {
-                                _this.isDataBound = true;
-                                _this.attachHandler(callback);
-                            });
-                        }
-                        ;
-                    });
-                };
-                /**
-                  * Implementing {@link IDataBinder#getSelectedData}
-                  */
-                DataBinder.prototype.getSelectedData = function (callback) {
-                    Office.context.document.getSelectedDataAsync(Office.CoercionType.Matrix, { valueFormat: Office.ValueFormat.Formatted, filterType: Office.FilterType.OnlyVisible }, function (result) {
-                        if (callback) {
-                            callback(result.value);
-                        }
-                    });
-                };
-                /**
-                  * Implementing {@link IDataBinder#IsBound}
-                  */
-                DataBinder.prototype.isBound = function () {
-                    return this.isDataBound;
-                };
-                /**
-                  * Implementing {@link IDataBinder#getData}
-                  */
-                DataBinder.prototype.getData = function (callback) {
-                    var _this = this;
-                    DataViz.Validate.Validator.ensures(callback).isNotNull();
-                    var finalData = { hasHeader: false, formatted: null, unformatted: null };
-                    var bindingName = "bindings#" + this.bindingName;
-                    var selection = Office.select(bindingName, function (result) {
-                        if (result.status !== Office.AsyncResultStatus.Succeeded) {
-                            callback(null);
-                        }
-                    });
-                    // get unformatted data first
-                    selection.getDataAsync({ coercionType: Office.CoercionType.Matrix, valueFormat: Office.ValueFormat.Unformatted, filterType: Office.FilterType.OnlyVisible }, function (result) {
-                        if (result.status === Office.AsyncResultStatus.Succeeded) {
-                            finalData.unformatted = result.value;
-                            finalData.hasHeader = _this.detectHeader(result.value);
-                            // then get formatted data
-                            selection.getDataAsync({ coercionType: Office.CoercionType.Matrix, valueFormat: Office.ValueFormat.Formatted, filterType: Office.FilterType.OnlyVisible }, function (result) {
-                                if (result.status === Office.AsyncResultStatus.Succeeded) {
-                                    finalData.formatted = result.value;
-                                    callback(finalData);
-                                    if (_this.sendDataBindingTelemetry) {
-                                        _this.sendDataBindingTelemetry = false;
-                                    }
-                                }
-                                else {
-                                    callback(null);
-                                }
-                            });
-                        }
-                    });
-                };
-                /**
-                  * Implementing {@link IDataBinder#unbind}
-                  */
-                DataBinder.prototype.unbind = function (callback) {
-                    var _this = this;
-                    if (!this.bindingName) {
-                        if (callback) {
-                            callback();
-                        }
-                        return;
-                    }
-                    if (DataViz.Utils.isOnWac()) {
-                        this.detachHandler(this.bindingName);
-                        Office.context.document.bindings.releaseByIdAsync(this.bindingName, function (releaseBindResult) {
-                            _this.isDataBound = false;
-                            if (callback) {
-                                callback();
-                            }
-                        });
-                    }
-                    else {
-                        this.detachHandler(this.bindingName, function () {
-                            Office.context.document.bindings.releaseByIdAsync(_this.bindingName, function (releaseBindResult) {
-                                _this.isDataBound = false;
-                                if (callback) {
-                                    callback();
-                                }
-                            });
-                        });
-                    }
-                };
-                DataBinder.prototype.bind = function (prompt, callback) {
-                    this.sendDataBindingTelemetry = true;
-                    this.bindInternal(prompt, callback);
-                };
-                DataBinder.prototype.getBindingName = function () {
-                    return this.bindingName === DataViz.Data.DefaultBindingName ?
-                        DataViz.Data.ExtraBindingName : DataViz.Data.DefaultBindingName;
-                };
-                DataBinder.prototype.bindInternal = function (prompt, callback) {
-                    var _this = this;
-                    var innerCallback = function (result) {
-                        if (result.status !== Office.AsyncResultStatus.Succeeded) {
-                            return;
-                        }
-                        _this.unbind(function () {
-                            _this.bindingName = _this.getBindingName();
-                            DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.bindingName, _this.bindingName);
-                            _this.isDataBound = true;
-                            _this.attachHandler(function () {
-                                _this.notifyBindingTargetChange();
-                                if (callback) {
-                                    callback(result);
-                                }
-                            });
-                        });
-                    };
-                    if (prompt) {
-                        Office.context.document.bindings.addFromPromptAsync(Office.BindingType.Matrix, { id: this.getBindingName() }, innerCallback);
-                    }
-                    else {
-                        Office.context.document.bindings.addFromSelectionAsync(Office.BindingType.Matrix, { id: this.getBindingName() }, innerCallback);
-                    }
-                };
-                DataBinder.prototype.attachHandler = function (callback) {
-                    var _this = this;
-                    Office.select("bindings#" + this.bindingName).addHandlerAsync(Office.EventType.BindingDataChanged, this.dataChangeHandler, function (result) {
-                        if (result.status !== Office.AsyncResultStatus.Succeeded) {
-                            return;
-                        }
-                        _this.notifyDataChange();
-                        if (callback) {
-                            callback();
-                        }
-                    });
-                };
-                DataBinder.prototype.detachHandler = function (bindingName, callback) {
-                    Office.select("bindings#" + bindingName, callback) // this callback happens after binding failed, which results into an invalid bindingName, and then bind again.
-                        .removeHandlerAsync(Office.EventType.BindingDataChanged, { handler: this.dataChangeHandler }, function (removeHandlerResult) {
-                        if (callback) {
-                            callback();
-                        }
-                    });
-                };
-                DataBinder.prototype.notifyDataChange = function () {
-                    var self = this;
-                    this.getData(function (data) {
-                        if (!data) {
-                            return;
-                        }
-                        self.dataChangeListeners.forEach(function (listener, index, array) {
-                            listener.onDataChanged(data);
-                        });
-                    });
-                };
-                DataBinder.prototype.notifyBindingTargetChange = function () {
-                    DataViz.Config.Trends.resetClickedPointIdArrays();
-                    DataViz.Config.Trends.resetLineOrder();
-                    DataViz.Config.Trends.resetLineDisplay();
-                    DataViz.Config.Trends.resetLineTitleArray();
-                    this.dataChangeListeners.forEach(function (listener, index, array) {
-                        listener.onDataBindingTargetChanged();
-                    });
-                };
-                DataBinder.prototype.detectHeader = function (data) {
-                    DataViz.Validate.Validator.ensures(data).from("DataBinder::detectHeader").isNotNull();
-                    var hasHeader = true;
-                    for (var i = 1; i < data[0].length; i++) {
-                        if (data[0][i] !== null && data[0][i] !== undefined) {
-                            var stringData = data[0][i].toString();
-                            if (stringData.length > 0 && $.isNumeric(stringData)) {
-                                hasHeader = false;
-                            }
-                        }
-                    }
-                    return hasHeader;
-                };
-                return DataBinder;
-            }());
-            Agave.DataBinder = DataBinder;
-        })(Agave = Data.Agave || (Data.Agave = {}));
-    })(Data = Trends.Data || (Trends.Data = {}));
-})(Trends || (Trends = {}));
-/* **************************************************************************************
-Copyright (c) Microsoft Open Technologies, Inc. All rights reserved. Licensed under the Apache License, Version 2.0.
-See License.txt in the project root for license information.
-***************************************************************************************** */
-///<reference path="shared/utils.ts"/>
-///<reference path="shared/config.ts"/>
-/**
-  * This module contains the implementation of the app's specific configurator
-  */
-var DataViz;
-(function (DataViz) {
-    var Config;
-    (function (Config) {
-        var Trends;
-        (function (Trends) {
-            "use strict";
-            /**
-              * The configuration keys used in this app
-              */
-            Trends.wellKnownKeys = {
-                title: "title",
-                shortdes1Title: "shortdes1-title",
-                shortdes1Descript: "shortdes1-descript",
-                longdesTitle: "longdes-title",
-                longdesDescript: "longdes-descript",
-                firstRowContainerWidth: "first-row-container-width",
-                firstRowContainerHeight: "first-row-container-height",
-                titleWidth: "title-parent-width",
-                titleHeight: "title-parent-height",
-                lineChartWidth: "line-chart-width",
-                lineChartHeight: "line-chart-height",
-                legendWidth: "legend-width",
-                legendHeight: "legend-height",
-                secondRowContainerWidth: "second-row-container-width",
-                shortdes1GroupWidth: "shortdes1-group-width",
-                longdesGroupWidth: "longdes-group-width",
-                clickedPointIdArray: "clicked-pointid-array",
-                lineOrder: "line-order",
-                lineDisplay: "line-display",
-                lineTitleArray: "line-title-array",
-                bindingName: "binding-name",
-                windowWidth: "window-width",
-                windowHeight: "window-height",
-                isLegendEdited: "is-legend-edited",
-            };
-            // We can only render five lines at most
-            Trends.MaxLineNumber = 5;
-            // One "column" means the column on the line chart
-            // For example, the first point of each line is inside one column,  the second point is inside another column.
-            Trends.MaxColumnNumber = 50;
-            // The dafault display language is set to en-US.
-            Trends.Culture = "en-US";
-            /**
-              * Reset clickedPointIdArray
-              */
-            function resetClickedPointIdArrays() {
-                DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.clickedPointIdArray, []);
-            }
-            Trends.resetClickedPointIdArrays = resetClickedPointIdArrays;
-            /**
-              * Reset lineOrder
-              */
-            function resetLineOrder() {
-                var tempLineOrder = [];
-                for (var i = 0; i < Trends.MaxLineNumber; i++) {
-                    tempLineOrder[i] = i;
-                }
-                DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.lineOrder, tempLineOrder);
-            }
-            Trends.resetLineOrder = resetLineOrder;
-            /**
-              * Reset line display status
-              */
-            function resetLineDisplay() {
-                var tempLineDisplay = [];
-                for (var i = 0; i < Trends.MaxLineNumber; i++) {
-                    tempLineDisplay[i] = true;
-                }
-                DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.lineDisplay, tempLineDisplay);
-            }
-            Trends.resetLineDisplay = resetLineDisplay;
-            /**
-              * Reset line display status
-              */
-            function resetLineTitleArray() {
-                var tempLineTitleArray = [];
-                for (var i = 0; i < Trends.MaxLineNumber; i++) {
-                    tempLineTitleArray[i] = DataViz.Utils.stringFormat(DataViz.Resources.UI.defaultLegendName, i + 1);
-                }
-                DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.lineTitleArray, tempLineTitleArray);
-                DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.isLegendEdited, false);
-            }
-            Trends.resetLineTitleArray = resetLineTitleArray;
-            /**
-              * This is the sample data structure
-              */
-            var SampleText = (function () {
-                function SampleText() {
+            Trends.wellKnownKeys = {
+                title: "title",
+                shortdes1Title: "shortdes1-title",
+                shortdes1Descript: "shortdes1-descript",
+                longdesTitle: "longdes-title",
+                longdesDescript: "longdes-descript",
+                firstRowContainerWidth: "first-row-container-width",
+                firstRowContainerHeight: "first-row-container-height",
+                titleWidth: "title-parent-width",
+                titleHeight: "title-parent-height",
+                lineChartWidth: "line-chart-width",
+                lineChartHeight: "line-chart-height",
+                legendWidth: "legend-width",
+                legendHeight: "legend-height",
+                secondRowContainerWidth: "second-row-container-width",
+                shortdes1GroupWidth: "shortdes1-group-width",
+                longdesGroupWidth: "longdes-group-width",
+                // The highlights saved as point ids by earlier versions, which the plotter moves to pointHighlights
+                clickedPointIdArray: "clicked-pointid-array",
+                pointHighlights: "point-highlights",
+                lineOrder: "line-order",
+                lineDisplay: "line-display",
+                lineTitleArray: "line-title-array",
+                lineGapModes: "line-gap-modes",
+                lineTransforms: "line-transforms",
+                lineTrendlines: "line-trendlines",
+                lineHighlightRules: "line-highlight-rules",
+                trendlineDisplay: "trendline-display",
+                lineAxes: "line-axes",
+                yAxisOptions: "y-axis-options",
+                compactNumbers: "compact-numbers",
+                xWindow: "x-window",
+                scatterOptions: "scatter-options",
+                sharedYScale: "shared-y-scale",
+                annotations: "annotations",
+                bindingName: "binding-name",
+                bindingNames: "binding-names",
+                windowWidth: "window-width",
+                windowHeight: "window-height",
+                isLegendEdited: "is-legend-edited",
+                orientation: "orientation",
+                firstRowIsHeader: "first-row-is-header",
+                firstColumnIsLabels: "first-column-is-labels",
+                respectSheetFilters: "respect-sheet-filters",
+            };
+            /**
+              * The keys of the settings that change how the bound data is converted, transformed or plotted,
+              * so that the controller revisualizes the data when any of them changes
+              */
+            Trends.revisualizingKeys = [
+                Trends.wellKnownKeys.orientation,
+                Trends.wellKnownKeys.firstRowIsHeader,
+                Trends.wellKnownKeys.firstColumnIsLabels,
+                Trends.wellKnownKeys.lineGapModes,
+                Trends.wellKnownKeys.lineTransforms,
+                Trends.wellKnownKeys.lineTrendlines,
+                Trends.wellKnownKeys.trendlineDisplay,
+                Trends.wellKnownKeys.lineHighlightRules,
+                Trends.wellKnownKeys.lineAxes,
+                Trends.wellKnownKeys.yAxisOptions,
+                Trends.wellKnownKeys.compactNumbers,
+                Trends.wellKnownKeys.xWindow,
+                Trends.wellKnownKeys.scatterOptions,
+                Trends.wellKnownKeys.sharedYScale,
+            ];
+            /**
+              * The orientations of the bound data
+              */
+            Trends.Orientation = {
+                // The first column holds the x values and every other column is a line
+                seriesInColumns: "series-in-columns",
+                // The first row holds the x values and every other row is a line
+                seriesInRows: "series-in-rows",
+            };
+            /**
+              * The ways a line can show the missing values in it
+              */
+            Trends.GapMode = {
+                // The line stops before a missing value and starts again after it
+                breakLine: "break",
+                // A missing value is shown as zero
+                zero: "zero",
+                // A missing value is shown on the straight line between the values around it
+                interpolate: "interpolate",
+            };
+            /**
+              * The transforms that can be applied to a line
+              */
+            Trends.TransformType = {
+                // Every value is the average of the values in a window that ends at it
+                rollingAverage: "rolling-average",
+                // Every value is the sum of the values up to it
+                cumulativeSum: "cumulative-sum",
+                // Every value is the change from the previous value, in percent
+                percentChange: "percent-change",
+                // Every value is scaled so that the first value is 100
+                rebase: "rebase",
+            };
+            /**
+              * The least-squares fits a trendline can be
+              */
+            Trends.TrendlineType = {
+                linear: "linear",
+                exponential: "exponential",
+                polynomial: "polynomial",
+            };
+            /**
+              * The rules that pick the points of a line to highlight
+              */
+            Trends.HighlightRuleType = {
+                maximum: "maximum",
+                minimum: "minimum",
+                // The latest point of the line
+                last: "last",
+                // The first point where the line crosses a threshold
+                thresholdCrossing: "threshold-crossing",
+                // The points with the largest values
+                topN: "top-n",
+            };
+            /**
+              * The y axes a line can be drawn against
+              */
+            Trends.YAxis = {
+                // The axis on the left of the chart
+                primary: "primary",
+                // The axis on the right of the chart, with its own scale
+                secondary: "secondary",
+            };
+            /**
+              * The scales the y axes can have
+              */
+            Trends.YScale = {
+                linear: "linear",
+                // Only the positive values can be shown on a logarithmic scale
+                log: "log",
+            };
+            // The dafault display language is set to en-US.
+            Trends.Culture = "en-US";
+            /**
+              * Reset the highlighted points, including those saved as point ids by earlier versions
+              */
+            function resetPointHighlights() {
+                DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.pointHighlights, []);
+                DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.clickedPointIdArray, []);
+            }
+            Trends.resetPointHighlights = resetPointHighlights;
+            /**
+              * Reset lineOrder. The plotter fills in the default order for the lines it draws.
+              */
+            function resetLineOrder() {
+                DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.lineOrder, []);
+            }
+            Trends.resetLineOrder = resetLineOrder;
+            /**
+              * Reset line display status. The plotter shows every line that has no saved status.
+              */
+            function resetLineDisplay() {
+                DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.lineDisplay, []);
+            }
+            Trends.resetLineDisplay = resetLineDisplay;
+            /**
+              * Reset line titles. The plotter gives the default legend name to every line that has no saved title.
+              */
+            function resetLineTitleArray() {
+                DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.lineTitleArray, []);
+                DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.isLegendEdited, false);
+            }
+            Trends.resetLineTitleArray = resetLineTitleArray;
+            /**
+              * Reset line gap modes. The convertor breaks every line that has no saved gap mode at its missing values.
+              */
+            function resetLineGapModes() {
+                DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.lineGapModes, []);
+            }
+            Trends.resetLineGapModes = resetLineGapModes;
+            /**
+              * Reset line transforms. The lines without saved transforms are drawn from the bound values.
+              */
+            function resetLineTransforms() {
+                DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.lineTransforms, []);
+            }
+            Trends.resetLineTransforms = resetLineTransforms;
+            /**
+              * Reset line trendlines and their display status. The plotter shows every trendline that has no saved status.
+              */
+            function resetLineTrendlines() {
+                DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.lineTrendlines, []);
+                DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.trendlineDisplay, []);
+            }
+            Trends.resetLineTrendlines = resetLineTrendlines;
+            /**
+              * Reset line highlight rules. The lines without saved rules have only the highlights the user has added.
+              */
+            function resetLineHighlightRules() {
+                DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.lineHighlightRules, []);
+            }
+            Trends.resetLineHighlightRules = resetLineHighlightRules;
+            /**
+              * Reset line axes. The plotter draws every line that has no saved axis against the primary axis.
+              */
+            function resetLineAxes() {
+                DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.lineAxes, []);
+            }
+            Trends.resetLineAxes = resetLineAxes;
+            /**
+              * Reset the zoom window, so that the chart shows all the columns
+              */
+            function resetXWindow() {
+                DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.xWindow, { start: null, end: null });
+            }
+            Trends.resetXWindow = resetXWindow;
+            /**
+              * This is the sample data structure
+              */
+            var SampleText = (function () {
+                function SampleText() {
                 }
                 return SampleText;
             }());
@@ -2398,1061 +2391,7003 @@ var DataViz;
 Copyright (c) Microsoft Open Technologies, Inc. All rights reserved. Licensed under the Apache License, Version 2.0.
 See License.txt in the project root for license information.
 ***************************************************************************************** */
-var DataViz;
-(function (DataViz) {
-    var UX;
-    (function (UX) {
-        UX.infoColors = {
-            red: "#a80f22",
-            green: "#217346",
-        };
+///<reference path="shared/utils.ts"/>
+///<reference path="data.convertor.agave.ts"/>
+/**
+  * This module contains the number formats inferred from the formatted values of the lines
+  */
+var Trends;
+(function (Trends) {
+    var Data;
+    (function (Data) {
+        "use strict";
         /**
-          * This class is the Data Binding Dialog UI.
+          * This is a number format like the one of the cells of a line. It's inferred from the formatted values of the cells,
+          * since the Office API gives the formatted values but not the formats.
           */
-        var BindingPane = (function () {
+        var NumberFormat = (function () {
+            function NumberFormat(settings) {
+                this.settings = settings;
+            }
+            Object.defineProperty(NumberFormat, "General", {
+                /**
+                  * Gets the format of numbers that have no format of their own. It shows thousand separators and at most 2 digits after the decimal point.
+                  */
+                get: function () {
+                    return new NumberFormat({ prefix: "", suffix: "", decimals: null, hasSeparators: true, isPercentage: false, hasParentheses: false, datePattern: null });
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(NumberFormat, "Percentage", {
+                /**
+                  * Gets the format of percentages that have no format of their own, with at most 2 digits after the decimal point
+                  */
+                get: function () {
+                    return new NumberFormat({ prefix: "", suffix: "%", decimals: null, hasSeparators: true, isPercentage: true, hasParentheses: false, datePattern: null });
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(NumberFormat.prototype, "IsPercentage", {
+                get: function () {
+                    return this.settings.isPercentage;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(NumberFormat.prototype, "IsDate", {
+                get: function () {
+                    return this.settings.datePattern !== null;
+                },
+                enumerable: true,
+                configurable: true
+            });
             /**
-              * Constructor
+              * Infers the number format of a line from the formatted values of its points. The format that most of the values have is taken,
+              * if at least half of the values have it.
+              * @param {PointDataOnLine[]} points The points of the line
+              * @returns {NumberFormat} The format of the line, or the general format if the values have no format in common
               */
-            function BindingPane() {
-                var _this = this;
-                this.zoomRatio = 1;
-                $("body").append($("<div/>", { id: "binding-pane-dim", "class": "binding-dim-style" })).append($("<div/>", { id: "binding-pane", "class": "binding-pane-style" }).append($("<span/>", { id: "binding-pane-title-span", "class": "binding-pane-title-style" })).append($("<div/>", { id: "subtitle", "class": "binding-pane-subtitle-style" })).append($("<div/>", { id: "sample-data-pane", "class": "sample-data-pane-style" })).append($("<div/>", { id: "binding-pane-info-text", "class": "binding-pane-info-text-style" })).append($("<div/>", { id: "button-group", "class": "button-group" }).append($("<button/>", { id: "binding-pane-cancel", "class": "button button-white binding-pane-cancel" })).append($("<button/>", { id: "binding-pane-ok", "class": "button button-green binding-pane-ok" }))));
-                this.bindingPaneDim = $("#binding-pane-dim");
-                this.bindingPane = $("#binding-pane");
-                this.titleSpan = $("#binding-pane-title-span");
-                this.subtitle = $("#subtitle");
-                this.sampleDataPane = $("#sample-data-pane");
-                this.infoText = $("#binding-pane-info-text");
-                this.buttonGroup = $("#button-group");
-                this.buttonCancel = $("#binding-pane-cancel");
-                this.buttonOk = $("#binding-pane-ok");
-                this.resizeHandler = function () {
-                    _this.resetPaneContentPosition();
-                };
-                DataViz.Utils.setTabFocus("binding-pane-content", "binding-pane-cancel", "binding-pane-cancel");
-                this.args = {};
-            }
+            NumberFormat.infer = function (points) {
+                var groups = {};
+                var bestKey = null;
+                var count = 0;
+                points.forEach(function (point) {
+                    if (point.isMissing) {
+                        return;
+                    }
+                    count++;
+                    var settings = NumberFormat.parse(point.formatted, point.unformatted);
+                    if (settings) {
+                        var key = NumberFormat.getKey(settings);
+                        groups[key] = groups[key] ? groups[key] : [];
+                        groups[key].push(settings);
+                        if (!bestKey || groups[key].length > groups[bestKey].length) {
+                            bestKey = key;
+                        }
+                    }
+                });
+                if (!bestKey || groups[bestKey].length < count / 2) {
+                    return NumberFormat.General;
+                }
+                return NumberFormat.merge(groups[bestKey]);
+            };
             /**
-              * Use new arguments to update the Data Binding UI and its event handlers.
-              * @param {BindingPaneArgs} args The arguments used to update the binding pane
+              * Combines the formats of the lines drawn against the same axis
+              * @param {NumberFormat[]} formats The formats of the lines
+              * @returns {NumberFormat} The format the lines have in common, the percentage format if they are all percentages, or the general format
               */
-            BindingPane.prototype.updateBindingPane = function (args) {
-                if (args) {
-                    this.updateArgs(args);
-                    this.handleArgs();
+            NumberFormat.combine = function (formats) {
+                formats = formats.filter(function (format) {
+                    return !!format;
+                });
+                if (formats.length === 0) {
+                    return NumberFormat.General;
                 }
-                this.zoomBindingPane();
-                return this;
+                var key = NumberFormat.getKey(formats[0].settings);
+                if (formats.every(function (format) { return NumberFormat.getKey(format.settings) === key; })) {
+                    return NumberFormat.merge(formats.map(function (format) {
+                        return format.settings;
+                    }));
+                }
+                return formats.every(function (format) { return format.IsPercentage; }) ? NumberFormat.Percentage : NumberFormat.General;
             };
-            BindingPane.prototype.zoomBindingPane = function () {
-                this.zoomRatio = DataViz.Utils.getZoomRatioForApp();
-                this.bindingPaneElementsStyle = {};
-                this.handleStyleInHDPI("bindingPane", ["binding-pane-style"]),
-                    this.handleStyleInHDPI("title", ["binding-pane-title-style"]),
-                    this.handleStyleInHDPI("subtitle", ["binding-pane-subtitle-style"]),
-                    this.handleStyleInHDPI("sampleDataPane", ["sample-data-pane-style"]),
-                    this.handleStyleInHDPI("infoText", ["binding-pane-info-text-style"]),
-                    this.handleStyleInHDPI("buttonGroup", ["button-group"]),
-                    this.handleStyleInHDPI("cancel", ["button", "binding-pane-cancel"]),
-                    this.handleStyleInHDPI("ok", ["button", "binding-pane-ok"]),
-                    this.handleStyleInHDPI("td", ["td"]),
-                    this.bindingPane.css(this.bindingPaneElementsStyle.bindingPane);
-                this.titleSpan.css(this.bindingPaneElementsStyle.title);
-                this.subtitle.css(this.bindingPaneElementsStyle.subtitle);
-                this.sampleDataPane.css(this.bindingPaneElementsStyle.sampleDataPane);
-                this.infoText.css(this.bindingPaneElementsStyle.infoText);
-                this.buttonGroup.css(this.bindingPaneElementsStyle.buttonGroup);
-                this.buttonCancel.css(this.bindingPaneElementsStyle.cancel);
-                this.buttonOk.css(this.bindingPaneElementsStyle.ok);
-                if (this.td[0]) {
-                    this.td.css(this.bindingPaneElementsStyle.td);
+            /**
+              * Formats a value the way the cells of the line show it
+              * @param {number} value The value
+              * @param {boolean} isCompact Whether thousands, millions and billions are shown with the K, M and B suffixes
+              * @returns {string} The formatted value
+              */
+            NumberFormat.prototype.format = function (value, isCompact) {
+                if (this.IsDate) {
+                    return this.formatDate(value);
                 }
-                return this;
+                var unit = isCompact ? NumberFormat.getCompactUnit(this.scale(value)) : null;
+                var decimals = unit ? 1 : this.settings.decimals;
+                return this.formatNumber(value, unit, (decimals === null) ? NumberFormat.maxGeneralDecimals : decimals, decimals === null || !!unit);
             };
             /**
-              * Show the Data Binding UI.
+              * Formats the ticks of an axis. Unless they are compact, the ticks are shown with the same number of digits after the decimal point,
+              * which is enough to tell them apart.
+              * @param {number[]} ticks The ticks
+              * @param {boolean} isCompact Whether thousands, millions and billions are shown with the K, M and B suffixes
+              * @returns {string[]} The formatted ticks
               */
-            BindingPane.prototype.show = function () {
+            NumberFormat.prototype.formatTicks = function (ticks, isCompact) {
                 var _this = this;
-                this.bindingData = null;
-                $(window).on("resize", this.resizeHandler);
-                this.bindingPaneDim.fadeIn("fast");
-                this.buttonOk.attr("disabled", "disabled");
-                if (this.selectionChangeHandler) {
-                    this.selectionChangeHandler();
-                    Office.context.document.addHandlerAsync(Office.EventType.DocumentSelectionChanged, this.selectionChangeHandler);
+                if (this.IsDate) {
+                    return ticks.map(function (tick) {
+                        return _this.formatDate(tick);
+                    });
                 }
-                this.resetPaneContentPosition();
-                this.bindingPane.fadeIn("fast", function () {
-                    _this.buttonCancel.focus();
+                if (isCompact) {
+                    return ticks.map(function (tick) {
+                        var unit = NumberFormat.getCompactUnit(_this.scale(tick));
+                        return _this.formatNumber(tick, unit, NumberFormat.countDecimals(_this.scale(tick) / (unit ? unit.value : 1)), false);
+                    });
+                }
+                var decimals = this.settings.decimals ? this.settings.decimals : 0;
+                ticks.forEach(function (tick) {
+                    decimals = Math.max(decimals, NumberFormat.countDecimals(_this.scale(tick)));
+                });
+                return ticks.map(function (tick) {
+                    return _this.formatNumber(tick, null, decimals, false);
                 });
             };
             /**
-              * Hide the Data Binding UI.
+              * Reads the format of one formatted value
+              * @param {string} text The formatted value
+              * @param {number} value The value
+              * @returns {NumberFormatSettings} The format, or null if the text isn't the value in a known format
               */
-            BindingPane.prototype.hide = function () {
-                $(window).off("resize", this.resizeHandler);
-                if (this.selectionChangeHandler) {
-                    Office.context.document.removeHandlerAsync(Office.EventType.DocumentSelectionChanged, { handler: this.selectionChangeHandler });
+            NumberFormat.parse = function (text, value) {
+                if (typeof text !== "string" || typeof value !== "number" || !isFinite(value)) {
+                    return null;
                 }
-                this.bindingPane.fadeOut("fast");
-                this.bindingPaneDim.fadeOut("fast");
-            };
-            /**
-              * Identify whether the string is numeric
-              * @param {string} str The string need to be identified
-              * @returns True if the string is numeric; false otherwise
-              */
-            BindingPane.prototype.setInfoTextAndButton = function (text, textColor, buttonEnable) {
-                this.infoText.text(text);
-                this.infoText.css("color", textColor);
-                if (buttonEnable) {
-                    DataViz.Utils.setTabFocus("binding-pane", "binding-pane-cancel", "binding-pane-ok");
-                    if (this.buttonOk.attr("disabled")) {
-                        this.buttonOk.removeAttr("disabled");
-                    }
+                text = text.trim();
+                var hasParentheses = value < 0 && /^\(.*\)$/.test(text);
+                var numberText = text;
+                if (hasParentheses) {
+                    numberText = text.substring(1, text.length - 1);
                 }
-                else {
-                    DataViz.Utils.setTabFocus("binding-pane", "binding-pane-cancel", "binding-pane-cancel");
-                    if (!this.buttonOk.attr("disabled")) {
-                        this.buttonOk.attr("disabled", "disabled");
+                else if (value < 0) {
+                    var minusIndex = text.indexOf("-");
+                    if (minusIndex === -1) {
+                        return null;
                     }
-                }
-            };
-            Object.defineProperty(BindingPane.prototype, "bindingData", {
-                get: function () {
-                    return this.selectedData;
-                },
-                set: function (data) {
-                    this.selectedData = data;
-                },
-                enumerable: true,
-                configurable: true
-            });
-            BindingPane.prototype.handleDataSelection = function () {
-                // Implemented in sub-classes
+                    numberText = text.substring(0, minusIndex) + text.substring(minusIndex + 1);
+                }
+                // Such as "$1,234.50", "12%", "€ 7" or "3.20 kg".
+                // A text that doesn't show the value as a number, like "21-Jul", may show it as a date.
+                var match = /^([^\d]*?)(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d+))?([^\d]*)$/.exec(numberText);
+                if (!match || !NumberFormat.isShownAsNumber(value, match[2], match[3], match[4])) {
+                    var datePattern = NumberFormat.parseDate(text, value);
+                    return datePattern ? { prefix: "", suffix: "", decimals: null, hasSeparators: false, isPercentage: false, hasParentheses: false, datePattern: datePattern } : null;
+                }
+                return {
+                    prefix: match[1],
+                    suffix: match[4],
+                    decimals: match[3] ? match[3].length : 0,
+                    // The separators of a number under 1000 aren't shown either way
+                    hasSeparators: (match[2].indexOf(",") !== -1) ? true : (match[2].length > 3) ? false : null,
+                    isPercentage: match[4].indexOf("%") !== -1,
+                    hasParentheses: hasParentheses,
+                    datePattern: null
+                };
             };
-            BindingPane.prototype.updateArgs = function (args) {
-                this.args.sampleData = args.sampleData ? args.sampleData : BindingPane.defaultArgs.sampleData;
-                this.args.handleDataSelection = args.handleDataSelection ? args.handleDataSelection : BindingPane.defaultArgs.handleDataSelection;
-                this.args.buttonOKCallback = args.buttonOKCallback ? args.buttonOKCallback : BindingPane.defaultArgs.buttonOKCallback;
-                this.args.buttonCancelCallback = args.buttonCancelCallback ? args.buttonCancelCallback : BindingPane.defaultArgs.buttonCancelCallback;
-                this.args.title = args.title ? args.title : BindingPane.defaultArgs.title;
-                this.args.subtitle = args.subtitle ? args.subtitle : BindingPane.defaultArgs.subtitle;
-                this.args.infoText = args.infoText ? args.infoText : BindingPane.defaultArgs.infoText;
-                this.args.buttonOKText = args.buttonOKText ? args.buttonOKText : BindingPane.defaultArgs.buttonOKText;
-                this.args.buttonCancelText = args.buttonCancelText ? args.buttonCancelText : BindingPane.defaultArgs.buttonCancelText;
+            /**
+              * Checks whether the digits of a formatted value are the value, rounded to the digits after the decimal point.
+              * Formats that scale the value, like "0.0,," for millions, can't be told from the text.
+              */
+            NumberFormat.isShownAsNumber = function (value, integerDigits, decimalDigits, suffix) {
+                var decimals = decimalDigits ? decimalDigits.length : 0;
+                var shown = parseFloat(integerDigits.replace(/,/g, "") + "." + (decimalDigits ? decimalDigits : "0"));
+                var expected = Math.abs(value) * ((suffix.indexOf("%") !== -1) ? 100 : 1);
+                return Math.abs(shown - expected) <= Math.pow(10, -decimals) / 2 + 1e-9 * Math.max(expected, 1);
             };
-            BindingPane.prototype.handleArgs = function () {
-                var _this = this;
-                this.setSampleData(this.args.sampleData);
-                this.titleSpan.text(this.args.title);
-                this.subtitle.text(this.args.subtitle);
-                this.infoText.text(this.args.infoText);
-                this.buttonOk.text(this.args.buttonOKText);
-                this.buttonCancel.text(this.args.buttonCancelText);
-                if (this.args.handleDataSelection) {
-                    this.selectionChangeHandler = function () {
-                        _this.args.handleDataSelection();
-                    };
+            /**
+              * Reads the date format of a formatted Excel date
+              * @param {string} text The formatted value, such as "7/21/2016", "21-Jul", "July 2016" or "3:30 PM"
+              * @param {number} value The serial number of the date
+              * @returns {string} The d3 time format of the text, or null if the text isn't the date
+              */
+            NumberFormat.parseDate = function (text, value) {
+                var date = Data.DataConvertor.toDate(value);
+                if (!date) {
+                    return null;
                 }
-                else {
-                    this.selectionChangeHandler = null;
+                var tokens = text.match(/\d+|[a-z]+|[^\da-z]+/gi);
+                if (!tokens) {
+                    return null;
                 }
-                this.setEventHandler(this.args.buttonOKCallback, this.args.buttonCancelCallback);
-            };
-            BindingPane.prototype.setEventHandler = function (funcOK, funcCancel) {
-                var _this = this;
-                this.buttonOk.off("click");
-                this.buttonOk.click(function () {
-                    _this.hide();
-                    if (funcOK) {
-                        funcOK(_this.bindingData);
+                var hasAmPm = tokens.some(function (token) { return /^(am|pm)$/i.test(token); });
+                var hours = date.getUTCHours();
+                var used = {};
+                var pattern = "";
+                for (var i = 0; i < tokens.length; i++) {
+                    var token = tokens[i];
+                    var directive = null;
+                    if (/^\d+$/.test(token)) {
+                        // A number next to a colon is a time, any other number is a part of the date
+                        var isTime = (i > 0 && tokens[i - 1].indexOf(":") !== -1) || (i < tokens.length - 1 && tokens[i + 1].indexOf(":") !== -1);
+                        var candidates = isTime
+                            ? [{ directive: hasAmPm ? "I" : "H", value: hasAmPm ? (hours % 12 === 0 ? 12 : hours % 12) : hours }, { directive: "M", value: date.getUTCMinutes() }, { directive: "S", value: date.getUTCSeconds() }]
+                            : [{ directive: "m", value: date.getUTCMonth() + 1 }, { directive: "d", value: date.getUTCDate() }, { directive: (token.length === 4) ? "Y" : "y", value: (token.length === 4) ? date.getUTCFullYear() : date.getUTCFullYear() % 100 }];
+                        var number = parseInt(token, 10);
+                        for (var j = 0; j < candidates.length && !directive; j++) {
+                            if (!used[candidates[j].directive] && candidates[j].value === number) {
+                                directive = candidates[j].directive;
+                            }
+                        }
+                        if (!directive) {
+                            return null;
+                        }
+                        used[directive] = true;
+                        pattern += ((token.length === 1) ? "%-" : "%") + directive;
                     }
-                });
-                this.buttonCancel.off("click");
-                this.buttonCancel.click(function () {
-                    _this.hide();
-                });
-            };
-            BindingPane.prototype.setSampleData = function (sampleData) {
-                if ($("#sample-table")[0]) {
-                    $("#sample-table").remove();
-                }
-                if (sampleData) {
-                    this.sampleDataPane.append($("<table/>", { id: "sample-table" }));
-                    var rowNumber = Math.min(sampleData.length, BindingPane.sampleDataMaxRowNumber);
-                    for (var i = 0; i < rowNumber; i++) {
-                        $("<tr/>", { id: "tr" + i }).appendTo("#sample-table");
-                        for (var j = 0; j < sampleData[0].length; j++) {
-                            $("<td/>", { text: sampleData[i][j] }).appendTo("#tr" + i);
+                    else if (/^[a-z]+$/i.test(token)) {
+                        var name = token.toLowerCase();
+                        var monthName = NumberFormat.monthNames[date.getUTCMonth()];
+                        var dayName = NumberFormat.dayNames[date.getUTCDay()];
+                        if (name === monthName || name === monthName.substr(0, 3)) {
+                            directive = (name === monthName && name.length > 3) ? "B" : "b";
                         }
+                        else if (name === dayName || name === dayName.substr(0, 3)) {
+                            directive = (name === dayName) ? "A" : "a";
+                        }
+                        else if (/^(am|pm)$/.test(name)) {
+                            directive = "p";
+                        }
+                        if (!directive || used[directive]) {
+                            return null;
+                        }
+                        used[directive] = true;
+                        pattern += "%" + directive;
+                    }
+                    else {
+                        pattern += token.replace(/%/g, "%%");
                     }
-                    this.td = $("td");
                 }
+                return (pattern.indexOf("%") !== -1) ? pattern : null;
             };
-            BindingPane.prototype.resetPaneContentPosition = function () {
-                this.zoomBindingPane();
-                this.bindingPane.css("top", (window.innerHeight - this.bindingPane.height()) / 2);
+            /**
+              * Gets what formatted values must have in common to have the same format. The decimals and separators may vary,
+              * since they can't always be told from a value.
+              */
+            NumberFormat.getKey = function (settings) {
+                if (settings.datePattern !== null) {
+                    // The padding can't be told from a day or month over 9 either
+                    return "date|" + settings.datePattern.replace(/%-/g, "%");
+                }
+                return [settings.prefix, settings.suffix, settings.isPercentage, settings.hasParentheses].join("|");
             };
-            BindingPane.prototype.handleStyleInHDPI = function (elementId, classNameArray) {
-                if (!classNameArray) {
-                    return;
+            /**
+              * Merges the formats of values that have the same key
+              */
+            NumberFormat.merge = function (group) {
+                var first = group[0];
+                if (first.datePattern !== null) {
+                    // A directive is padded unless some value shows it without the padding
+                    var unpadded = {};
+                    group.forEach(function (settings) {
+                        (settings.datePattern.match(/%-[a-zA-Z]/g) || []).forEach(function (directive) {
+                            unpadded[directive.charAt(2)] = true;
+                        });
+                    });
+                    return new NumberFormat({
+                        prefix: "", suffix: "", decimals: null, hasSeparators: false, isPercentage: false, hasParentheses: false,
+                        datePattern: first.datePattern.replace(/%-?([a-zA-Z])/g, function (directive, letter) {
+                            return unpadded[letter] ? "%-" + letter : "%" + letter;
+                        })
+                    });
                 }
-                var elementStyle = {};
-                for (var i = 0; i < classNameArray.length; i++) {
-                    var styleArray = BindingPane.bindingPaneStyle[classNameArray[i]];
-                    if (!styleArray || !styleArray[0]) {
-                        return;
+                // Values that show a different number of decimals have the general format
+                var decimals = first.decimals;
+                var withSeparators = 0;
+                var withoutSeparators = 0;
+                group.forEach(function (settings) {
+                    if (settings.decimals !== decimals) {
+                        decimals = null;
                     }
-                    for (var j = 0; j < styleArray.length; j++) {
-                        if (styleArray[j] && styleArray[j][0] && styleArray[j][1]) {
-                            elementStyle[styleArray[j][0]] = (parseFloat(styleArray[j][1]) / this.zoomRatio).toFixed(2) + "px";
-                        }
+                    if (settings.hasSeparators === true) {
+                        withSeparators++;
                     }
-                    this.bindingPaneElementsStyle[elementId] = elementStyle;
-                }
-            };
-            BindingPane.bindingPaneStyle = {
-                "binding-pane-style": [["min-width", "400"]],
-                "binding-pane-title-style": [["top", "17"], ["margin-left", "30"], ["font-size", "20"]],
-                "binding-pane-subtitle-style": [["margin-top", "38"], ["margin-left", "30"], ["font-size", "12"]],
-                "sample-data-pane-style": [["margin-top", "15"], ["margin-left", "30"], ["min-width", "180"]],
-                "binding-pane-info-text-style": [["margin-top", "20"], ["margin-left", "30"], ["font-size", "12"], ["line-height", "12"]],
-                "button-group": [["height", "30"], ["margin-top", "20"], ["margin-bottom", "20"]],
-                "button": [["font-size", "14"], ["min-width", "80"], ["max-width", "200"], ["height", "30"], ["padding-left", "20"], ["padding-right", "20"], ["line-height", "14"]],
-                "binding-pane-cancel": [["margin-right", "20"]],
-                "binding-pane-ok": [["margin-right", "10"]],
-                "td": [["font-size", "12"], ["height", "18"], ["padding-left", "10"], ["padding-right", "10"]],
+                    else if (settings.hasSeparators === false) {
+                        withoutSeparators++;
+                    }
+                });
+                return new NumberFormat({
+                    prefix: first.prefix,
+                    suffix: first.suffix,
+                    decimals: decimals,
+                    hasSeparators: withSeparators >= withoutSeparators,
+                    isPercentage: first.isPercentage,
+                    hasParentheses: first.hasParentheses,
+                    datePattern: null
+                });
             };
-            BindingPane.sampleDataMaxRowNumber = 5;
-            BindingPane.defaultArgs = {
-                sampleData: null,
-                handleDataSelection: null,
-                buttonOKCallback: null,
-                buttonCancelCallback: null,
-                title: "Select your data to create a chart",
-                subtitle: "SAMPLE DATA",
-                infoText: "",
-                buttonOKText: "Create",
-                buttonCancelText: "Cancel",
+            NumberFormat.getCompactUnit = function (value) {
+                for (var i = 0; i < NumberFormat.compactUnits.length; i++) {
+                    // A value that rounds up to the unit is shown with it too, such as 999,960 as 1M rather than 1000K
+                    if (Math.abs(value) >= NumberFormat.compactUnits[i].value * 0.99995) {
+                        return NumberFormat.compactUnits[i];
+                    }
+                }
+                return null;
             };
-            return BindingPane;
+            /**
+              * Counts the digits after the decimal point that a number needs, at most 10
+              */
+            NumberFormat.countDecimals = function (value) {
+                var text = Math.abs(value).toFixed(NumberFormat.maxDecimals).replace(/0+$/, "");
+                return text.length - text.indexOf(".") - 1;
+            };
+            NumberFormat.prototype.scale = function (value) {
+                return this.settings.isPercentage ? value * 100 : value;
+            };
+            NumberFormat.prototype.formatNumber = function (value, unit, decimals, trimsZeros) {
+                var text = (Math.abs(this.scale(value)) / (unit ? unit.value : 1)).toFixed(Math.min(decimals, NumberFormat.maxDecimals));
+                if (trimsZeros && text.indexOf(".") !== -1) {
+                    text = text.replace(/\.?0+$/, "");
+                }
+                if (this.settings.hasSeparators) {
+                    text = DataViz.Utils.formatNumberWithThousandSeparators(text);
+                }
+                text = this.settings.prefix + text + (unit ? unit.suffix : "") + this.settings.suffix;
+                // A value that rounds to zero isn't negative any more
+                if (value < 0 && /[1-9]/.test(text)) {
+                    text = this.settings.hasParentheses ? "(" + text + ")" : "-" + text;
+                }
+                return text;
+            };
+            NumberFormat.prototype.formatDate = function (value) {
+                var date = Data.DataConvertor.toDate(value);
+                return date ? d3.time.format.utc(this.settings.datePattern)(date) : value.toString();
+            };
+            NumberFormat.maxGeneralDecimals = 2;
+            NumberFormat.maxDecimals = 10;
+            NumberFormat.compactUnits = [
+                { value: 1e9, suffix: "B" },
+                { value: 1e6, suffix: "M" },
+                { value: 1e3, suffix: "K" }
+            ];
+            NumberFormat.monthNames = ["january", "february", "march", "april", "may", "june", "july", "august", "september", "october", "november", "december"];
+            NumberFormat.dayNames = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+            return NumberFormat;
         }());
-        UX.BindingPane = BindingPane;
-    })(UX = DataViz.UX || (DataViz.UX = {}));
-})(DataViz || (DataViz = {}));
+        Data.NumberFormat = NumberFormat;
+    })(Data = Trends.Data || (Trends.Data = {}));
+})(Trends || (Trends = {}));
 /* **************************************************************************************
 Copyright (c) Microsoft Open Technologies, Inc. All rights reserved. Licensed under the Apache License, Version 2.0.
 See License.txt in the project root for license information.
 ***************************************************************************************** */
-var DataViz;
-(function (DataViz) {
-    var Resources;
-    (function (Resources) {
+///<reference path="shared/data.ts"/>
+///<reference path="shared/config.ts"/>
+///<reference path="configurator.agave.ts"/>
+///<reference path="numberformat.trends.ts"/>
+///<reference path="../app.ts" />
+/**
+  * This module contains the implementation of the People Bar specific data covnertor
+  */
+var Trends;
+(function (Trends) {
+    var Data;
+    (function (Data) {
         "use strict";
-        var UI = (function () {
-            function UI() {
+        /**
+          * The kinds of problems the conversion reports
+          */
+        Data.DiagnosticType = {
+            // A value cell that isn't empty but isn't a number either
+            skippedCell: "skipped-cell",
+            // The header is read as values although it looks like text, or it holds a number
+            suspectHeader: "suspect-header",
+            // A range without any values, which is left out of the chart
+            rangeLeftOut: "range-left-out",
+            // Data that can't be converted at all
+            invalidData: "invalid-data"
+        };
+        /**
+          * This is the specific data convertor implementation of the app
+          */
+        var DataConvertor = (function () {
+            function DataConvertor() {
+                this.orientation = DataViz.Config.Trends.Orientation.seriesInColumns;
+                this.isOrientationGuessPending = false;
+                // The saved header and label settings, or null to detect the header and to take the first column as labels
+                this.firstRowIsHeader = null;
+                this.firstColumnIsLabels = null;
+                this.hasHeader = false;
+                this.hasLabels = true;
+                this.lineGapModes = [];
+                this.diagnostics = [];
             }
-            Object.defineProperty(UI, "backButtonTitle", {
-                get: function () {
-                    return ScriptsResources.BackButtonTitle;
-                },
-                enumerable: true,
-                configurable: true
-            });
-            Object.defineProperty(UI, "floatMenuDataTitle", {
+            /**
+              * Implementing {@link ITool#resetTool}
+              */
+            DataConvertor.prototype.resetTool = function () {
+                // The binding target has changed, so guess the orientation of the new data, unless a saved orientation is loaded before it arrives
+                this.isOrientationGuessPending = true;
+            };
+            Object.defineProperty(DataConvertor.prototype, "HasHeader", {
+                /**
+                  * Gets whether the first row (after orientation) was read as the header in the last conversion
+                  * @returns {boolean} True if the first row was read as the header; false otherwise
+                  */
                 get: function () {
-                    return ScriptsResources.FloatMenuDataTitle;
+                    return this.hasHeader;
                 },
                 enumerable: true,
                 configurable: true
             });
-            Object.defineProperty(UI, "floatMenuSettingTitle", {
+            Object.defineProperty(DataConvertor.prototype, "HasLabels", {
+                /**
+                  * Gets whether the first column (after orientation) was read as the x labels in the last conversion
+                  * @returns {boolean} True if the first column was read as the x labels; false otherwise
+                  */
                 get: function () {
-                    return ScriptsResources.FloatMenuSettingTitle;
+                    return this.hasLabels;
                 },
                 enumerable: true,
                 configurable: true
             });
-            Object.defineProperty(UI, "defaultLegendName", {
+            Object.defineProperty(DataConvertor.prototype, "Diagnostics", {
+                /**
+                  * Gets the problems found in the last conversion
+                  * @returns {ConversionDiagnostic[]} The problems, in the order of the ranges and the cells
+                  */
                 get: function () {
-                    return ScriptsResources.DefaultLegendName;
+                    return this.diagnostics.slice(0);
                 },
                 enumerable: true,
                 configurable: true
             });
-            return UI;
-        }());
-        Resources.UI = UI;
-        var DataPane = (function () {
-            function DataPane() {
-            }
-            Object.defineProperty(DataPane, "header", {
-                get: function () {
-                    return ScriptsResources.DataPaneHeader;
-                },
-                enumerable: true,
-                configurable: true
-            });
-            Object.defineProperty(DataPane, "selectButtonText", {
-                get: function () {
-                    return ScriptsResources.DataPaneSelectButton;
-                },
-                enumerable: true,
-                configurable: true
-            });
-            return DataPane;
-        }());
-        Resources.DataPane = DataPane;
-        var SettingPane = (function () {
-            function SettingPane() {
-            }
-            Object.defineProperty(SettingPane, "header", {
-                get: function () {
-                    return ScriptsResources.SettingPaneHeader;
-                },
-                enumerable: true,
-                configurable: true
-            });
-            Object.defineProperty(SettingPane, "themeTab", {
-                get: function () {
-                    return ScriptsResources.SettingPaneThemeTab;
-                },
-                enumerable: true,
-                configurable: true
-            });
-            Object.defineProperty(SettingPane, "themeTitles", {
-                get: function () {
-                    return [
-                        ScriptsResources.SettingPaneThemeTitle1,
-                        ScriptsResources.SettingPaneThemeTitle2,
-                        ScriptsResources.SettingPaneThemeTitle3,
-                        ScriptsResources.SettingPaneThemeTitle4,
-                        ScriptsResources.SettingPaneThemeTitle5,
-                        ScriptsResources.SettingPaneThemeTitle6,
-                    ];
-                },
-                enumerable: true,
-                configurable: true
-            });
-            return SettingPane;
+            /**
+              * Gets the A1 style address of a cell, counted from the top left cell of a range
+              * @param {number} row The index of the row
+              * @param {number} column The index of the column
+              * @returns {string} The address, for example "B4"
+              */
+            DataConvertor.getCellAddress = function (row, column) {
+                var letters = "";
+                for (var index = column + 1; index > 0; index = Math.floor((index - 1) / 26)) {
+                    letters = String.fromCharCode(65 + (index - 1) % 26) + letters;
+                }
+                return letters + (row + 1);
+            };
+            /**
+              * Determines whether the first row of the data is a header, which is the case if none of its cells (except for the first one) is a number
+              * @param {any[][]} data The unformatted data
+              * @returns {boolean} True if the first row is a header; false otherwise
+              */
+            DataConvertor.detectHeader = function (data) {
+                DataViz.Validate.Validator.ensures(data).from("DataConvertor::detectHeader").isNotNull();
+                var hasHeader = true;
+                for (var i = 1; i < data[0].length; i++) {
+                    if (DataConvertor.isNumberCell(data[0][i])) {
+                        hasHeader = false;
+                    }
+                }
+                return hasHeader;
+            };
+            /**
+              * Guesses the orientation of the data from its shape. The data is taken as series in rows only if that is obvious, which is when
+              *  - the first row holds numbers (or dates), the first column holds text and there are more columns than rows, or
+              *  - there are only two rows but more than two columns, which would be one point per line the other way round
+              * @param {any[][]} data The unformatted data
+              * @returns {string} One of {@link DataViz.Config.Trends.Orientation}
+              */
+            DataConvertor.guessOrientation = function (data) {
+                var rowCount = data.length;
+                var columnCount = rowCount > 0 ? data[0].length : 0;
+                if (rowCount < 2 || columnCount < 2) {
+                    return DataViz.Config.Trends.Orientation.seriesInColumns;
+                }
+                var isFirstRowNumbers = true;
+                for (var i = 1; i < columnCount; i++) {
+                    isFirstRowNumbers = isFirstRowNumbers && DataConvertor.isNumberCell(data[0][i]);
+                }
+                var isFirstColumnText = true;
+                for (var i = 1; i < rowCount; i++) {
+                    var cell = data[i][0];
+                    isFirstColumnText = isFirstColumnText && cell !== null && cell !== undefined && cell.toString().length > 0 && !DataConvertor.isNumberCell(cell);
+                }
+                if ((isFirstRowNumbers && isFirstColumnText && columnCount > rowCount) || (rowCount === 2 && columnCount > 2)) {
+                    return DataViz.Config.Trends.Orientation.seriesInRows;
+                }
+                return DataViz.Config.Trends.Orientation.seriesInColumns;
+            };
+            /**
+              * Swaps the rows and the columns of a matrix
+              * @param {any[][]} matrix The matrix to transpose
+              * @returns {any[][]} The transposed matrix
+              */
+            DataConvertor.transpose = function (matrix) {
+                var transposed = [];
+                for (var i = 0; i < matrix.length; i++) {
+                    for (var j = 0; j < matrix[i].length; j++) {
+                        if (!transposed[j]) {
+                            transposed[j] = [];
+                        }
+                        transposed[j][i] = matrix[i][j];
+                    }
+                }
+                return transposed;
+            };
+            /**
+              * Determines whether the binding is a matrix or a table binding and its column number is more than one
+              * @param {any} binding used to get data.
+              * @returns {boolean} True if the binding is valid; false otherwise
+              */
+            DataConvertor.isBindingValid = function (binding) {
+                return (binding && (binding.type === Office.BindingType.Matrix || binding.type === Office.BindingType.Table) && binding.columnCount > 1);
+            };
+            /**
+              * Implementing {@link IDataConvertor#Convert}
+              * @param {RawData} the raw data contains both formatted and unformatted data.
+              * Example: data.formatted: [["21-Jul", "$41.00"], ["22-Jul", "$29.00"], ...]
+              *          data.unformatted: [[41476, 41], [41477, 29], ...]
+              * @returns {BindingData} The converted data
+              */
+            DataConvertor.prototype.convert = function (data) {
+                this.diagnostics = [];
+                var convertedData = (!data || !data.ranges || data.ranges.length < 2) ? this.convertRange(data, 0) : this.convertRanges(data.ranges);
+                if (convertedData.yData) {
+                    convertedData.yData.forEach(function (line) {
+                        line.numberFormat = Data.NumberFormat.infer(line.data);
+                    });
+                }
+                this.fillGaps(convertedData);
+                convertedData.diagnostics = this.diagnostics.slice(0);
+                return convertedData;
+            };
+            /**
+              * Converts the data of several ranges and lines it up on the x values
+              * @param {RawData[]} rawRanges The raw data of every range
+              * @returns {BindingData} The converted data
+              */
+            DataConvertor.prototype.convertRanges = function (rawRanges) {
+                var _this = this;
+                // Every range is converted with the same settings, and what the first range uses is what the data pane shows
+                var hasHeader;
+                var hasLabels;
+                var ranges = rawRanges.map(function (range, index) {
+                    var convertedRange = _this.convertRange(range, index);
+                    if (index === 0) {
+                        hasHeader = _this.hasHeader;
+                        hasLabels = _this.hasLabels;
+                    }
+                    return convertedRange;
+                });
+                this.hasHeader = hasHeader;
+                this.hasLabels = hasLabels;
+                return DataConvertor.mergeRanges(ranges);
+            };
+            /**
+              * Lines up the data converted from several ranges on their x values. An x value that is in more than one range becomes
+              * one column, and the lines of a range have no point in the columns of the x values the range doesn't have.
+              * @param {BindingData[]} ranges The data converted from each range
+              * @returns {BindingData} The data of all the ranges
+              */
+            DataConvertor.mergeRanges = function (ranges) {
+                ranges = ranges.filter(function (range) {
+                    return !!range.yData;
+                });
+                // The x values are matched by date only if every range has dates, since the same date may be formatted differently
+                var isByDate = ranges.length > 0 && ranges.every(function (range) {
+                    return range.xDates !== null;
+                });
+                var mergedData = { header: [], xData: [], xDates: isByDate ? [] : null, yData: [] };
+                var columnIndexes = {};
+                ranges.forEach(function (range) {
+                    // An x value that appears more than once in a range is matched with the same occurrence of it in the other ranges
+                    var occurrences = {};
+                    var rangeColumnIndexes = range.xData.map(function (label, index) {
+                        var key = isByDate ? range.xDates[index].getTime().toString() : label;
+                        occurrences[key] = (occurrences[key] || 0) + 1;
+                        key += "#" + occurrences[key];
+                        if (columnIndexes[key] === undefined) {
+                            columnIndexes[key] = mergedData.xData.length;
+                            mergedData.xData.push(label);
+                            if (isByDate) {
+                                mergedData.xDates.push(range.xDates[index]);
+                            }
+                        }
+                        return columnIndexes[key];
+                    });
+                    range.yData.forEach(function (line, lineId) {
+                        if (range.header[lineId] !== undefined) {
+                            mergedData.header[mergedData.yData.length] = range.header[lineId];
+                        }
+                        mergedData.yData.push({
+                            validDataCount: line.validDataCount,
+                            data: line.data.map(function (point) {
+                                return { originalIndex: rangeColumnIndexes[point.originalIndex], formatted: point.formatted, unformatted: point.unformatted };
+                            }),
+                            rangeColumns: rangeColumnIndexes.slice(0)
+                        });
+                    });
+                });
+                if (isByDate) {
+                    DataConvertor.sortColumnsByDate(mergedData);
+                }
+                mergedData.yData.forEach(function (line) {
+                    line.data.sort(function (a, b) {
+                        return a.originalIndex - b.originalIndex;
+                    });
+                });
+                return mergedData;
+            };
+            /**
+              * Sorts the columns of the data by their dates, so that the dates the later ranges add fall in place
+              */
+            DataConvertor.sortColumnsByDate = function (data) {
+                var order = data.xDates.map(function (date, index) {
+                    return index;
+                });
+                order.sort(function (a, b) {
+                    return (data.xDates[a].getTime() - data.xDates[b].getTime()) || (a - b);
+                });
+                var newIndexes = [];
+                order.forEach(function (oldIndex, newIndex) {
+                    newIndexes[oldIndex] = newIndex;
+                });
+                data.xData = order.map(function (oldIndex) {
+                    return data.xData[oldIndex];
+                });
+                data.xDates = order.map(function (oldIndex) {
+                    return data.xDates[oldIndex];
+                });
+                data.yData.forEach(function (line) {
+                    line.data.forEach(function (point) {
+                        point.originalIndex = newIndexes[point.originalIndex];
+                    });
+                    if (line.rangeColumns) {
+                        line.rangeColumns = line.rangeColumns.map(function (oldIndex) {
+                            return newIndexes[oldIndex];
+                        });
+                    }
+                });
+            };
+            /**
+              * Converts the data of one range. The cells that aren't numbers are skipped, and reported along with the other problems of the range.
+              * @param {RawData} data The raw data of the range
+              * @param {number} rangeIndex The index of the range in the bound ranges
+              * @returns {BindingData} The converted data
+              */
+            DataConvertor.prototype.convertRange = function (data, rangeIndex) {
+                var convertedData = { header: [], xData: [], xDates: null, yData: null };
+                if (!data || !this.isDataValid(data.formatted) || !this.isDataValid(data.unformatted)) {
+                    this.diagnostics.push({ type: Data.DiagnosticType.invalidData, rangeIndex: rangeIndex });
+                    return convertedData;
+                }
+                if (data.formatted.length === 0 || data.unformatted.length === 0) {
+                    this.diagnostics.push({ type: Data.DiagnosticType.rangeLeftOut, rangeIndex: rangeIndex });
+                    return convertedData;
+                }
+                data = this.orient(data);
+                this.hasHeader = (this.firstRowIsHeader !== null) ? this.firstRowIsHeader : data.hasHeader;
+                this.hasLabels = (this.firstColumnIsLabels !== null) ? this.firstColumnIsLabels : true;
+                // Without a label column every column is a line, and the x labels are the point numbers
+                var labelColumnNumber = this.hasLabels ? 1 : 0;
+                var lineNumber = data.formatted[0].length - labelColumnNumber;
+                var columnNumberStartIndex = this.hasHeader ? 1 : 0;
+                if (lineNumber < 1 || data.formatted.length <= columnNumberStartIndex) {
+                    this.diagnostics.push({ type: Data.DiagnosticType.rangeLeftOut, rangeIndex: rangeIndex });
+                    return convertedData;
+                }
+                // A header read as values would only give skipped cells, so it's reported once instead
+                var isHeaderSuspect = this.checkHeader(data, rangeIndex, labelColumnNumber);
+                if (this.hasHeader) {
+                    for (var i = 0; i < lineNumber; i++) {
+                        convertedData.header[i] = data.formatted[0][i + labelColumnNumber];
+                    }
+                }
+                convertedData.yData = [];
+                for (var i = 0; i < lineNumber; i++) {
+                    convertedData.yData.push({
+                        validDataCount: 0,
+                        data: []
+                    });
+                }
+                var columnNumber = data.formatted.length;
+                for (var i = columnNumberStartIndex; i < columnNumber; i++) {
+                    convertedData.xData[i - columnNumberStartIndex] = this.hasLabels ? data.formatted[i][0] : (i - columnNumberStartIndex + 1).toString();
+                    for (var j = 0; j < lineNumber; j++) {
+                        var temp = parseFloat(data.unformatted[i][j + labelColumnNumber]);
+                        if (!isNaN(temp)) {
+                            convertedData.yData[j].validDataCount++;
+                            convertedData.yData[j].data.push({
+                                originalIndex: i - columnNumberStartIndex,
+                                formatted: data.formatted[i][j + labelColumnNumber],
+                                unformatted: temp
+                            });
+                        }
+                        else if (!DataConvertor.isEmptyCell(data.unformatted[i][j + labelColumnNumber]) && !(isHeaderSuspect && i === 0)) {
+                            this.addCellDiagnostic(Data.DiagnosticType.skippedCell, rangeIndex, i, j + labelColumnNumber, data.formatted[i][j + labelColumnNumber]);
+                        }
+                    }
+                }
+                convertedData.xDates = this.hasLabels ? this.convertDates(data, columnNumberStartIndex, columnNumber) : null;
+                return convertedData;
+            };
+            /**
+              * Implementing {@link IConfigurationChangeListener#onConfigurationChanged}
+              */
+            DataConvertor.prototype.onConfigurationChanged = function (key, value) {
+                switch (key) {
+                    case DataViz.Config.Trends.wellKnownKeys.orientation:
+                        this.orientation = value;
+                        this.isOrientationGuessPending = false;
+                        break;
+                    case DataViz.Config.Trends.wellKnownKeys.firstRowIsHeader:
+                        this.firstRowIsHeader = value;
+                        break;
+                    case DataViz.Config.Trends.wellKnownKeys.firstColumnIsLabels:
+                        this.firstColumnIsLabels = value;
+                        break;
+                    case DataViz.Config.Trends.wellKnownKeys.lineGapModes:
+                        this.lineGapModes = value;
+                        break;
+                }
+            };
+            /**
+              * Handles the values missing between the first and the last value of each line the way the gap mode of the line says.
+              * In the break mode the point after a gap is marked, in the other modes a point is added in every column of the range of the line that has no value.
+              * @param {BindingData} data The converted data
+              */
+            DataConvertor.prototype.fillGaps = function (data) {
+                var _this = this;
+                if (!data.yData) {
+                    return;
+                }
+                var getX = function (column) {
+                    return data.xDates ? data.xDates[column].getTime() : column;
+                };
+                data.yData.forEach(function (line, lineId) {
+                    var gapMode = _this.lineGapModes[lineId] ? _this.lineGapModes[lineId] : DataViz.Config.Trends.GapMode.breakLine;
+                    // Only the blank cells of the range of the line are gaps. The x values that only the other ranges have are passed over.
+                    var isRangeColumn = null;
+                    if (line.rangeColumns) {
+                        isRangeColumn = [];
+                        line.rangeColumns.forEach(function (column) {
+                            isRangeColumn[column] = true;
+                        });
+                    }
+                    var points = [];
+                    line.data.forEach(function (point, index) {
+                        var previous = (index > 0) ? line.data[index - 1] : null;
+                        var missingColumns = [];
+                        for (var column = previous ? previous.originalIndex + 1 : point.originalIndex; column < point.originalIndex; column++) {
+                            if (!isRangeColumn || isRangeColumn[column]) {
+                                missingColumns.push(column);
+                            }
+                        }
+                        if (missingColumns.length > 0) {
+                            if (gapMode === DataViz.Config.Trends.GapMode.breakLine) {
+                                point.isAfterGap = true;
+                            }
+                            else {
+                                missingColumns.forEach(function (column) {
+                                    var value = 0;
+                                    if (gapMode === DataViz.Config.Trends.GapMode.interpolate) {
+                                        var ratio = (getX(column) - getX(previous.originalIndex)) / (getX(point.originalIndex) - getX(previous.originalIndex));
+                                        value = previous.unformatted + (point.unformatted - previous.unformatted) * ratio;
+                                    }
+                                    points.push({
+                                        originalIndex: column,
+                                        formatted: line.numberFormat.format(value),
+                                        unformatted: value,
+                                        isMissing: true
+                                    });
+                                });
+                            }
+                        }
+                        points.push(point);
+                    });
+                    line.data = points;
+                    line.validDataCount = points.length;
+                });
+            };
+            /**
+              * Reports the header of a range if it's read as values although none of its value cells is a number,
+              * or if it's read as the header although it holds a number
+              * @param {RawData} data The raw data of the range, in series-in-columns orientation
+              * @returns {boolean} True if the header is read as values although it looks like text; false otherwise
+              */
+            DataConvertor.prototype.checkHeader = function (data, rangeIndex, labelColumnNumber) {
+                var headerCells = data.unformatted[0].slice(labelColumnNumber);
+                var numberIndex = -1;
+                headerCells.forEach(function (cell, index) {
+                    if (numberIndex === -1 && DataConvertor.isNumberCell(cell)) {
+                        numberIndex = index;
+                    }
+                });
+                if (this.hasHeader && numberIndex > -1) {
+                    this.addCellDiagnostic(Data.DiagnosticType.suspectHeader, rangeIndex, 0, numberIndex + labelColumnNumber, data.formatted[0][numberIndex + labelColumnNumber]);
+                    return false;
+                }
+                // Only a header of text is suspect when the range has values below it
+                var hasText = headerCells.some(function (cell) {
+                    return !DataConvertor.isEmptyCell(cell);
+                });
+                if (!this.hasHeader && numberIndex === -1 && hasText && data.unformatted.length > 1) {
+                    this.addCellDiagnostic(Data.DiagnosticType.suspectHeader, rangeIndex, 0, labelColumnNumber, data.formatted[0][labelColumnNumber]);
+                    return true;
+                }
+                return false;
+            };
+            /**
+              * Reports a problem with a cell. The cell is given in series-in-columns orientation and reported as bound.
+              */
+            DataConvertor.prototype.addCellDiagnostic = function (type, rangeIndex, row, column, text) {
+                var isTransposed = this.orientation === DataViz.Config.Trends.Orientation.seriesInRows;
+                this.diagnostics.push({
+                    type: type,
+                    rangeIndex: rangeIndex,
+                    row: isTransposed ? column : row,
+                    column: isTransposed ? row : column,
+                    text: this.isDataValid(text) ? text.toString() : ""
+                });
+            };
+            DataConvertor.isEmptyCell = function (cell) {
+                return cell === null || cell === undefined || cell.toString().length === 0;
+            };
+            DataConvertor.prototype.isDataValid = function (data) {
+                return data !== null && data !== undefined;
+            };
+            DataConvertor.isNumberCell = function (cell) {
+                if (cell === null || cell === undefined) {
+                    return false;
+                }
+                var stringData = cell.toString();
+                return stringData.length > 0 && $.isNumeric(stringData);
+            };
+            /**
+              * Brings the raw data into the series-in-columns orientation that the conversion works on.
+              * If the binding target has just changed, the orientation is guessed and saved first. Series in columns is only the default guess,
+              * so it doesn't replace an orientation that has been saved, such as one the user picked in the data pane.
+              * @param {RawData} data The raw data
+              * @returns {RawData} The raw data in series-in-columns orientation
+              */
+            DataConvertor.prototype.orient = function (data) {
+                if (this.isOrientationGuessPending) {
+                    this.isOrientationGuessPending = false;
+                    var orientation = DataConvertor.guessOrientation(data.unformatted);
+                    var savedOrientation = DataViz.mainApp.Configuration.get(DataViz.Config.Trends.wellKnownKeys.orientation);
+                    if (orientation === DataViz.Config.Trends.Orientation.seriesInRows || !savedOrientation) {
+                        this.orientation = orientation;
+                        // The listeners aren't notified, as that would revisualize the data in the middle of its conversion, so the guess is saved here
+                        DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.orientation, this.orientation, false);
+                        DataViz.mainApp.CurrentSKU.Configurator.save(DataViz.Config.Trends.wellKnownKeys.orientation, this.orientation);
+                    }
+                }
+                if (this.orientation !== DataViz.Config.Trends.Orientation.seriesInRows) {
+                    return data;
+                }
+                var unformatted = DataConvertor.transpose(data.unformatted);
+                return {
+                    hasHeader: DataConvertor.detectHeader(unformatted),
+                    formatted: DataConvertor.transpose(data.formatted),
+                    unformatted: unformatted
+                };
+            };
+            /**
+              * Converts the first column into dates if every cell of it holds a date
+              * @param {RawData} data The raw data
+              * @param {number} startIndex The index of the first row to convert
+              * @param {number} endIndex The index after the last row to convert
+              * @returns {Date[]} The dates, or null if any cell is not a date
+              */
+            DataConvertor.prototype.convertDates = function (data, startIndex, endIndex) {
+                var dates = [];
+                for (var i = startIndex; i < endIndex; i++) {
+                    var date = this.parseDate(data.unformatted[i][0], data.formatted[i][0]);
+                    if (!date) {
+                        return null;
+                    }
+                    dates.push(date);
+                }
+                return (dates.length > 0) ? dates : null;
+            };
+            /**
+              * Parses a cell as a date.
+              * Excel stores a date as a serial number of days, so a number is taken as a date only when its formatted text looks like a date or a time.
+              * Text cells are taken as dates only in ISO form like "2016-07-21", as other forms depend on the locale.
+              * @param {any} unformatted The unformatted value of the cell
+              * @param {any} formatted The formatted value of the cell
+              * @returns {Date} The date in UTC, or null if the cell is not a date
+              */
+            DataConvertor.prototype.parseDate = function (unformatted, formatted) {
+                if (!this.isDataValid(unformatted) || !this.isDataValid(formatted)) {
+                    return null;
+                }
+                var text = formatted.toString();
+                if ($.isNumeric(unformatted)) {
+                    return this.isDateFormatted(text) ? DataConvertor.toDate(parseFloat(unformatted)) : null;
+                }
+                // The date and the time are read as UTC, as the chart draws and formats them in UTC. Date.parse would read a time without an offset in local time.
+                var parts = /^(\d{4})-(\d{2})-(\d{2})(T(\d{2}):(\d{2})(:(\d{2}))?)?$/.exec(unformatted.toString());
+                if (!parts) {
+                    return null;
+                }
+                var numbers = [parts[1], parts[2], parts[3], parts[5], parts[6], parts[8]].map(function (part) {
+                    return part ? parseInt(part, 10) : 0;
+                });
+                var date = new Date(Date.UTC(numbers[0], numbers[1] - 1, numbers[2], numbers[3], numbers[4], numbers[5]));
+                // Date.UTC rolls an invalid day or time over into the next one, such as "2016-02-30" into March
+                var isValid = date.getUTCFullYear() === numbers[0] && date.getUTCMonth() === numbers[1] - 1 && date.getUTCDate() === numbers[2]
+                    && date.getUTCHours() === numbers[3] && date.getUTCMinutes() === numbers[4] && date.getUTCSeconds() === numbers[5];
+                return isValid ? date : null;
+            };
+            /**
+              * Gets the name of a series, which is its header or, if the data has no headers, the default title of its line
+              * @param {BindingData} data The converted data
+              * @param {number} lineId The id of the line of the series
+              * @returns {string} The name of the series
+              */
+            DataConvertor.getSeriesName = function (data, lineId) {
+                var header = data.header ? data.header[lineId] : null;
+                return header ? header : DataViz.Utils.stringFormat(DataViz.Resources.UI.defaultLegendName, lineId + 1);
+            };
+            /**
+              * Gets the date of an Excel serial number
+              * @param {number} serial The number of days since 1899-12-30, with the time of the day as the fraction
+              * @returns {Date} The date in UTC, or null if Excel doesn't support the date
+              */
+            DataConvertor.toDate = function (serial) {
+                if (!(serial >= 0 && serial <= DataConvertor.maxExcelSerial)) {
+                    return null;
+                }
+                return new Date(Math.round((serial - DataConvertor.excelSerialOfUnixEpoch) * DataConvertor.millisecondsPerDay));
+            };
+            DataConvertor.prototype.isDateFormatted = function (text) {
+                // Currencies and percentages are never dates
+                if (/[%$\u20ac\u00a3\u00a5]/.test(text)) {
+                    return false;
+                }
+                // Plain, decimal and thousands separated numbers such as "1.5", "1,234.5" or "1.234,5" are never dates
+                var trimmed = text.trim();
+                if (/^[-+]?\d{1,3}([,.\s']\d{3})*([.,]\d+)?$/.test(trimmed) || /^[-+]?\d+([.,]\d+)?$/.test(trimmed)) {
+                    return false;
+                }
+                // Such as "7/21/2016", "2016.07.21", "15:00", "21-Jul", "July 2016" or "Mon 7/21"
+                return DataConvertor.numericDatePattern.test(trimmed)
+                    || DataConvertor.timePattern.test(trimmed)
+                    || DataConvertor.dateNamePattern.test(trimmed);
+            };
+            // The serial number of 1970-01-01 in the Excel date system (day 0 is 1899-12-30)
+            DataConvertor.excelSerialOfUnixEpoch = 25569;
+            // The serial number of 9999-12-31, the last date Excel supports
+            DataConvertor.maxExcelSerial = 2958465;
+            DataConvertor.millisecondsPerDay = 86400000;
+            // The day, month and year split by the same separator twice, such as "7/21/2016", "21-07-16" or "2016.07.21"
+            DataConvertor.numericDatePattern = /(^|[^\d.,])\d{1,4}([\/\-.])\d{1,2}\2\d{1,4}($|[^\d.,])/;
+            // The hours and minutes, such as "15:00" or "3:00 PM"
+            DataConvertor.timePattern = /(^|\D)\d{1,2}:\d\d($|\D)/;
+            // The name of a month or a day of the week in full or in short
+            DataConvertor.dateNamePattern = new RegExp("\\b(jan(uary)?|feb(ruary)?|mar(ch)?|apr(il)?|may|june?|july?|aug(ust)?|sept?(ember)?|oct(ober)?|nov(ember)?|dec(ember)?"
+                + "|mon(day)?|tue(s|sday)?|wed(nesday)?|thu(rs|rsday)?|fri(day)?|sat(urday)?|sun(day)?)\\b", "i");
+            return DataConvertor;
         }());
-        Resources.SettingPane = SettingPane;
-        var SampleData = (function () {
-            function SampleData() {
-            }
-            Object.defineProperty(SampleData, "title", {
-                get: function () {
-                    return ScriptsResources.SampleDataTitle;
-                },
-                enumerable: true,
-                configurable: true
-            });
-            Object.defineProperty(SampleData, "shortDescriptionTitle", {
-                get: function () {
-                    return ScriptsResources.SampleDataShortDescriptionTitle;
-                },
-                enumerable: true,
-                configurable: true
-            });
+        Data.DataConvertor = DataConvertor;
+    })(Data = Trends.Data || (Trends.Data = {}));
+})(Trends || (Trends = {}));
+/* **************************************************************************************
+Copyright (c) Microsoft Open Technologies, Inc. All rights reserved. Licensed under the Apache License, Version 2.0.
+See License.txt in the project root for license information.
+***************************************************************************************** */
+///<reference path="shared/data.ts"/>
+///<reference path="shared/utils.ts"/>
+///<reference path="shared/validate.ts"/>
+///<reference path="data.convertor.agave.ts"/>
+///<reference path="configurator.agave.ts"/>
+/**
+  * This module contains the implementation of the specific data binder of the app
+  */
+var Trends;
+(function (Trends) {
+    var Data;
+    (function (Data) {
+        var Agave;
+        (function (Agave) {
+            "use strict";
+            /**
+              * This is the specific data binder of the app. It can bind several ranges at once, each with its own data change handler,
+              * and passes the data of all of them to the listeners, which line them up on their x labels.
+              * A selection is bound as a table binding when Excel allows it, so that the binding grows with the table; otherwise it's bound as a matrix.
+              * The rows that sheet filters hide are left out unless the "respect sheet filters" setting is turned off.
+              */
+            var DataBinder = (function () {
+                function DataBinder() {
+                    this.isDataBound = false;
+                    this.sendDataBindingTelemetry = false;
+                    this.bindingNames = [];
+                    this.dataChangeListeners = [];
+                    this.dataChangeHandlers = {};
+                    this.bindingTypes = {};
+                    this.rangeData = {};
+                    this.respectsSheetFilters = true;
+                }
+                /**
+                  * Implementing {@link ITool#resetTool}
+                  */
+                DataBinder.prototype.resetTool = function () {
+                    var _this = this;
+                    this.dataChangeListeners.length = 0;
+                    this.bindingNames.forEach(function (bindingName) {
+                        _this.detachHandler(bindingName);
+                    });
+                    this.isDataBound = false;
+                };
+                Object.defineProperty(DataBinder.prototype, "BindingNames", {
+                    /**
+                      * Gets the names of the bindings in the order their series are shown
+                      * @returns {string[]} The binding names
+                      */
+                    get: function () {
+                        return this.bindingNames.slice(0);
+                    },
+                    enumerable: true,
+                    configurable: true
+                });
+                Object.defineProperty(DataBinder.prototype, "BoundRanges", {
+                    /**
+                      * Gets the size of each bound range, as of the last time its data was read
+                      * @returns {BoundRange[]} The sizes of the bound ranges, in the order their series are shown
+                      */
+                    get: function () {
+                        var _this = this;
+                        return this.bindingNames.map(function (bindingName) {
+                            var data = _this.rangeData[bindingName];
+                            return {
+                                bindingName: bindingName,
+                                rowCount: (data && data.formatted) ? data.formatted.length : 0,
+                                columnCount: (data && data.formatted && data.formatted[0]) ? data.formatted[0].length : 0,
+                                hiddenRowCount: (data && data.hiddenRowCount) ? data.hiddenRowCount : 0
+                            };
+                        });
+                    },
+                    enumerable: true,
+                    configurable: true
+                });
+                Object.defineProperty(DataBinder.prototype, "RespectsSheetFilters", {
+                    /**
+                      * Gets whether the rows that sheet filters hide are left out of the data
+                      * @returns {boolean} True if only the visible rows are read; false if all the rows are
+                      */
+                    get: function () {
+                        return this.respectsSheetFilters;
+                    },
+                    enumerable: true,
+                    configurable: true
+                });
+                /**
+                  * Implementing {@link IConfigurationChangeListener#onConfigurationChanged}
+                  */
+                DataBinder.prototype.onConfigurationChanged = function (key, value) {
+                    if (key !== DataViz.Config.Trends.wellKnownKeys.respectSheetFilters || this.respectsSheetFilters === value) {
+                        return;
+                    }
+                    this.respectsSheetFilters = value;
+                    // The cached data was read with the other filter, so it has to be read again
+                    if (this.isDataBound) {
+                        this.notifyDataChange();
+                    }
+                };
+                /**
+                  * Implementing {@link IDataBinder#registerDataChangeListener}
+                  */
+                DataBinder.prototype.registerDataChangeListener = function (listener) {
+                    if (this.dataChangeListeners.indexOf(listener) === -1) {
+                        this.dataChangeListeners.push(listener);
+                    }
+                };
+                /**
+                  * Implementing {@link IDataBinder#unregisterDataChangeListener}
+                  */
+                DataBinder.prototype.unregisterDataChangeListener = function (listener) {
+                    DataViz.Utils.removeItemFromArray(this.dataChangeListeners, listener);
+                };
+                /**
+                  * Implementing {@link IDataBinder#bindByPrompt}
+                  */
+                DataBinder.prototype.bindByPrompt = function (callback) {
+                    this.bind(true, callback);
+                };
+                /**
+                  * Implementing {@link IDataBinder#bindBySelection}
+                  */
+                DataBinder.prototype.bindBySelection = function (callback) {
+                    this.bind(false, callback);
+                };
+                /**
+                  * Implementing {@link IDataBinder#addBySelection}
+                  */
+                DataBinder.prototype.addBySelection = function (callback) {
+                    var _this = this;
+                    if (!this.isDataBound) {
+                        this.bind(false, callback);
+                        return;
+                    }
+                    var bindingName = this.getNewBindingName();
+                    this.addBinding(false, bindingName, function (result) {
+                        _this.bindingNames.push(bindingName);
+                        _this.saveBindingNames();
+                        _this.attachHandler(bindingName, function () {
+                            if (callback) {
+                                callback(result);
+                            }
+                        });
+                    });
+                };
+                /**
+                  * Implementing {@link IDataBinder#removeBinding}
+                  */
+                DataBinder.prototype.removeBinding = function (bindingName, callback) {
+                    var _this = this;
+                    if (this.bindingNames.indexOf(bindingName) === -1 || this.bindingNames.length === 1) {
+                        if (callback) {
+                            callback();
+                        }
+                        return;
+                    }
+                    DataViz.Utils.removeItemFromArray(this.bindingNames, bindingName);
+                    delete this.rangeData[bindingName];
+                    delete this.bindingTypes[bindingName];
+                    this.saveBindingNames();
+                    // The series of the ranges after the removed one move down, so the states saved by series id no longer apply.
+                    // The chart isn't revisualized for the resets, since the data changes right after the range is released.
+                    DataViz.mainApp.CurrentSKU.Controller.batchConfigurationChanges(function () {
+                        DataViz.Config.Trends.resetLineOrder();
+                        DataViz.Config.Trends.resetLineDisplay();
+                        DataViz.Config.Trends.resetLineTitleArray();
+                        DataViz.Config.Trends.resetLineGapModes();
+                        DataViz.Config.Trends.resetLineTransforms();
+                        DataViz.Config.Trends.resetLineTrendlines();
+                        DataViz.Config.Trends.resetLineHighlightRules();
+                        DataViz.Config.Trends.resetLineAxes();
+                        DataViz.Config.Trends.resetXWindow();
+                    }, false);
+                    this.release(bindingName, function () {
+                        _this.notifyDataChange();
+                        if (callback) {
+                            callback();
+                        }
+                    });
+                };
+                /**
+                  * Implementing {@link IDataBinder#Rebind}
+                  */
+                DataBinder.prototype.rebind = function (callback) {
+                    var _this = this;
+                    var savedBindingNames = DataViz.mainApp.Configuration.get(DataViz.Config.Trends.wellKnownKeys.bindingNames);
+                    if (!savedBindingNames) {
+                        // Documents saved before several ranges could be bound only have the name of the one binding
+                        var savedBindingName = DataViz.mainApp.Configuration.get(DataViz.Config.Trends.wellKnownKeys.bindingName);
+                        savedBindingNames = savedBindingName ? [savedBindingName] : [];
+                    }
+                    if (savedBindingNames.length === 0) {
+                        if (callback) {
+                            callback();
+                        }
+                        return;
+                    }
+                    var pendingCount = savedBindingNames.length;
+                    var existingBindingNames = [];
+                    var onBindingChecked = function () {
+                        pendingCount--;
+                        if (pendingCount > 0) {
+                            return;
+                        }
+                        // Keep the saved order, but leave out the bindings that no longer exist in the document
+                        _this.bindingNames = savedBindingNames.filter(function (bindingName) {
+                            return existingBindingNames.indexOf(bindingName) > -1;
+                        });
+                        if (_this.bindingNames.length === 0) {
+                            if (callback) {
+                                callback();
+                            }
+                            return;
+                        }
+                        _this.isDataBound = true;
+                        _this.attachHandlers(_this.bindingNames.slice(0), callback);
+                    };
+                    savedBindingNames.forEach(function (bindingName) {
+                        Office.context.document.bindings.getByIdAsync(bindingName, function (result) {
+                            if (result.status === Office.AsyncResultStatus.Succeeded) {
+                                existingBindingNames.push(bindingName);
+                                _this.bindingTypes[bindingName] = result.value.type;
+                            }
+                            onBindingChecked();
+                        });
+                    });
+                };
+                /**
+                  * Implementing {@link IDataBinder#getSelectedData}
+                  */
+                DataBinder.prototype.getSelectedData = function (callback) {
+                    Office.context.document.getSelectedDataAsync(Office.CoercionType.Matrix, { valueFormat: Office.ValueFormat.Formatted, filterType: this.FilterType }, function (result) {
+                        if (callback) {
+                            callback(result.value);
+                        }
+                    });
+                };
+                /**
+                  * Selects a bound range in the document
+                  * @param {string} bindingName The name of the binding of the range
+                  * @param {() => any} [callback] The callback, called once the range is selected
+                  */
+                DataBinder.prototype.goToRange = function (bindingName, callback) {
+                    Office.context.document.goToByIdAsync(bindingName, Office.GoToType.Binding, { selectionMode: Office.SelectionMode.Selected }, function (result) {
+                        if (callback) {
+                            callback();
+                        }
+                    });
+                };
+                /**
+                  * Selects a cell of a bound range in the document, so that the user can fix it. The whole range is selected instead if the Excel API
+                  * that finds the address of the cell isn't supported, or if sheet filters hide rows of the range, since the cell is then counted
+                  * among the visible rows only.
+                  * @param {string} bindingName The name of the binding of the range
+                  * @param {number} row The index of the row of the cell, counted from the top left cell of the range
+                  * @param {number} column The index of the column of the cell, counted from the top left cell of the range
+                  * @param {() => any} [callback] The callback, called once the cell or the range is selected
+                  */
+                DataBinder.prototype.goToCell = function (bindingName, row, column, callback) {
+                    var _this = this;
+                    var data = this.rangeData[bindingName];
+                    var isRowShifted = this.respectsSheetFilters && data && data.hiddenRowCount > 0;
+                    if (isRowShifted || typeof Excel === "undefined" || !Office.context.requirements || !Office.context.requirements.isSetSupported("ExcelApi", "1.1")) {
+                        this.goToRange(bindingName, callback);
+                        return;
+                    }
+                    Excel.run(function (context) {
+                        var cell = context.workbook.bindings.getItem(bindingName).getRange().getCell(row, column);
+                        cell.load("address");
+                        return context.sync().then(function () {
+                            Office.context.document.goToByIdAsync(cell.address, Office.GoToType.NamedItem, { selectionMode: Office.SelectionMode.Selected }, function (result) {
+                                if (callback) {
+                                    callback();
+                                }
+                            });
+                        });
+                    }).catch(function () {
+                        _this.goToRange(bindingName, callback);
+                    });
+                };
+                /**
+                  * Implementing {@link IDataBinder#IsBound}
+                  */
+                DataBinder.prototype.isBound = function () {
+                    return this.isDataBound;
+                };
+                /**
+                  * Implementing {@link IDataBinder#getData}
+                  */
+                DataBinder.prototype.getData = function (callback) {
+                    var _this = this;
+                    DataViz.Validate.Validator.ensures(callback).isNotNull();
+                    var bindingNames = this.bindingNames.slice(0);
+                    var pendingCount = bindingNames.length;
+                    var isFailed = false;
+                    if (pendingCount === 0) {
+                        callback(null);
+                        return;
+                    }
+                    bindingNames.forEach(function (bindingName) {
+                        _this.getRangeData(bindingName, function (data) {
+                            if (isFailed) {
+                                return;
+                            }
+                            if (!data) {
+                                isFailed = true;
+                                callback(null);
+                                return;
+                            }
+                            _this.rangeData[bindingName] = data;
+                            pendingCount--;
+                            if (pendingCount === 0) {
+                                callback(_this.combineRangeData(bindingNames));
+                                if (_this.sendDataBindingTelemetry) {
+                                    _this.sendDataBindingTelemetry = false;
+                                }
+                            }
+                        });
+                    });
+                };
+                /**
+                  * Implementing {@link IDataBinder#unbind}
+                  */
+                DataBinder.prototype.unbind = function (callback) {
+                    var _this = this;
+                    var bindingNames = this.bindingNames.slice(0);
+                    var pendingCount = bindingNames.length;
+                    if (pendingCount === 0) {
+                        if (callback) {
+                            callback();
+                        }
+                        return;
+                    }
+                    bindingNames.forEach(function (bindingName) {
+                        _this.release(bindingName, function () {
+                            pendingCount--;
+                            if (pendingCount === 0) {
+                                _this.isDataBound = false;
+                                _this.bindingNames = [];
+                                _this.bindingTypes = {};
+                                _this.rangeData = {};
+                                if (callback) {
+                                    callback();
+                                }
+                            }
+                        });
+                    });
+                };
+                DataBinder.prototype.bind = function (prompt, callback) {
+                    this.sendDataBindingTelemetry = true;
+                    this.bindInternal(prompt, callback);
+                };
+                /**
+                  * Gets a binding name that isn't used by any of the current bindings
+                  * @returns {string} The new binding name
+                  */
+                DataBinder.prototype.getNewBindingName = function () {
+                    if (this.bindingNames.indexOf(DataViz.Data.DefaultBindingName) === -1) {
+                        return DataViz.Data.DefaultBindingName;
+                    }
+                    if (this.bindingNames.indexOf(DataViz.Data.ExtraBindingName) === -1) {
+                        return DataViz.Data.ExtraBindingName;
+                    }
+                    var index = 3;
+                    while (this.bindingNames.indexOf(DataViz.Data.DefaultBindingName + index) > -1) {
+                        index++;
+                    }
+                    return DataViz.Data.DefaultBindingName + index;
+                };
+                DataBinder.prototype.bindInternal = function (prompt, callback) {
+                    var _this = this;
+                    var bindingName = this.getNewBindingName();
+                    this.addBinding(prompt, bindingName, function (result) {
+                        var bindingType = _this.bindingTypes[bindingName];
+                        _this.unbind(function () {
+                            _this.bindingNames = [bindingName];
+                            _this.bindingTypes[bindingName] = bindingType;
+                            _this.saveBindingNames();
+                            _this.isDataBound = true;
+                            _this.attachHandler(bindingName, function () {
+                                _this.notifyBindingTargetChange();
+                                if (callback) {
+                                    callback(result);
+                                }
+                            });
+                        });
+                    });
+                };
+                /**
+                  * Adds a binding to the prompted or the selected range. It's a table binding if Excel can bind the range as a table, and a matrix binding otherwise.
+                  * The callback is only called when the binding has been added.
+                  */
+                DataBinder.prototype.addBinding = function (prompt, bindingName, callback) {
+                    var _this = this;
+                    var onBindingAdded = function (result) {
+                        if (result.status !== Office.AsyncResultStatus.Succeeded) {
+                            return;
+                        }
+                        _this.bindingTypes[bindingName] = result.value.type;
+                        callback(result);
+                    };
+                    var addAsMatrix = function () {
+                        if (prompt) {
+                            Office.context.document.bindings.addFromPromptAsync(Office.BindingType.Matrix, { id: bindingName }, onBindingAdded);
+                        }
+                        else {
+                            Office.context.document.bindings.addFromSelectionAsync(Office.BindingType.Matrix, { id: bindingName }, onBindingAdded);
+                        }
+                    };
+                    // The prompt can't be shown twice, so only a selection is tried as a table first. Excel binds any range as a table,
+                    // taking its first row as the header, so only a selection in an Excel table is bound as a table.
+                    if (prompt) {
+                        addAsMatrix();
+                        return;
+                    }
+                    DataBinder.isSelectionInTable(function (isInTable) {
+                        if (!isInTable) {
+                            addAsMatrix();
+                            return;
+                        }
+                        Office.context.document.bindings.addFromSelectionAsync(Office.BindingType.Table, { id: bindingName }, function (result) {
+                            if (result.status === Office.AsyncResultStatus.Succeeded) {
+                                onBindingAdded(result);
+                            }
+                            else {
+                                addAsMatrix();
+                            }
+                        });
+                    });
+                };
+                /**
+                  * Determines whether the selection is in an Excel table. It's taken as not being in one if the Excel API that finds out isn't supported.
+                  * @param {(isInTable: boolean) => any} callback The callback that gets the result
+                  */
+                DataBinder.isSelectionInTable = function (callback) {
+                    if (typeof Excel === "undefined" || !Office.context.requirements || !Office.context.requirements.isSetSupported("ExcelApi", "1.4")) {
+                        callback(false);
+                        return;
+                    }
+                    Excel.run(function (context) {
+                        var selectedRange = context.workbook.getSelectedRange();
+                        var tables = context.workbook.tables;
+                        tables.load("items");
+                        return context.sync().then(function () {
+                            var intersections = tables.items.map(function (table) {
+                                return table.getRange().getIntersectionOrNullObject(selectedRange);
+                            });
+                            return context.sync().then(function () {
+                                callback(intersections.some(function (intersection) {
+                                    return !intersection.isNullObject;
+                                }));
+                            });
+                        });
+                    }).catch(function () {
+                        callback(false);
+                    });
+                };
+                DataBinder.prototype.saveBindingNames = function () {
+                    DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.bindingNames, this.bindingNames.slice(0));
+                    // Keep the first binding name under the old key too, so that older versions of the app can still open the document
+                    DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.bindingName, this.bindingNames[0]);
+                };
+                /**
+                  * Attaches the handlers of the given bindings one after another, the way the rebinding after opening the document requires
+                  */
+                DataBinder.prototype.attachHandlers = function (bindingNames, callback) {
+                    var _this = this;
+                    if (bindingNames.length === 0) {
+                        if (callback) {
+                            callback();
+                        }
+                        return;
+                    }
+                    var bindingName = bindingNames.shift();
+                    if (DataViz.Utils.isOnWac()) {
+                        this.detachHandler(bindingName);
+                        this.attachHandler(bindingName, function () {
+                            _this.attachHandlers(bindingNames, callback);
+                        });
+                    }
+                    else {
+                        this.detachHandler(bindingName, function () {
+                            _this.attachHandler(bindingName, function () {
+                                _this.attachHandlers(bindingNames, callback);
+                            });
+                        });
+                    }
+                };
+                DataBinder.prototype.attachHandler = function (bindingName, callback) {
+                    var _this = this;
+                    Office.select("bindings#" + bindingName).addHandlerAsync(Office.EventType.BindingDataChanged, this.getDataChangeHandler(bindingName), function (result) {
+                        if (result.status !== Office.AsyncResultStatus.Succeeded) {
+                            return;
+                        }
+                        _this.notifyDataChange();
+                        if (callback) {
+                            callback();
+                        }
+                    });
+                };
+                DataBinder.prototype.detachHandler = function (bindingName, callback) {
+                    if (!bindingName) {
+                        return;
+                    }
+                    Office.select("bindings#" + bindingName, callback) // this callback happens after binding failed, which results into an invalid bindingName, and then bind again.
+                        .removeHandlerAsync(Office.EventType.BindingDataChanged, { handler: this.getDataChangeHandler(bindingName) }, function (removeHandlerResult) {
+                        if (callback) {
+                            callback();
+                        }
+                    });
+                };
+                /**
+                  * Gets the BindingDataChanged handler of a binding. Every binding has its own handler, which only reads the data of its own range again.
+                  */
+                DataBinder.prototype.getDataChangeHandler = function (bindingName) {
+                    var _this = this;
+                    if (!this.dataChangeHandlers[bindingName]) {
+                        this.dataChangeHandlers[bindingName] = function (eventArgs) {
+                            _this.notifyRangeDataChange(bindingName);
+                        };
+                    }
+                    return this.dataChangeHandlers[bindingName];
+                };
+                DataBinder.prototype.release = function (bindingName, callback) {
+                    if (DataViz.Utils.isOnWac()) {
+                        this.detachHandler(bindingName);
+                        Office.context.document.bindings.releaseByIdAsync(bindingName, function (releaseBindResult) {
+                            if (callback) {
+                                callback();
+                            }
+                        });
+                    }
+                    else {
+                        this.detachHandler(bindingName, function () {
+                            Office.context.document.bindings.releaseByIdAsync(bindingName, function (releaseBindResult) {
+                                if (callback) {
+                                    callback();
+                                }
+                            });
+                        });
+                    }
+                };
+                /**
+                  * Reads the formatted and the unformatted values of one bound range. The data of a table binding is read with the rows
+                  * the table has right now, and its header row comes from the table definition if the table shows one. Otherwise the header
+                  * is detected from the values. Then the rows are read with the other filter type, only to count the rows that sheet filters hide.
+                  */
+                DataBinder.prototype.getRangeData = function (bindingName, callback) {
+                    var _this = this;
+                    var finalData = { hasHeader: false, formatted: null, unformatted: null };
+                    var isTable = this.bindingTypes[bindingName] === Office.BindingType.Table;
+                    var coercionType = isTable ? Office.CoercionType.Table : Office.CoercionType.Matrix;
+                    var selection = Office.select("bindings#" + bindingName, function (result) {
+                        if (result.status !== Office.AsyncResultStatus.Succeeded) {
+                            callback(null);
+                        }
+                    });
+                    // get unformatted data first
+                    selection.getDataAsync({ coercionType: coercionType, valueFormat: Office.ValueFormat.Unformatted, filterType: this.FilterType }, function (result) {
+                        if (result.status === Office.AsyncResultStatus.Succeeded) {
+                            finalData.unformatted = isTable ? DataBinder.tableToMatrix(result.value) : result.value;
+                            finalData.hasHeader = (isTable && DataBinder.hasTableHeader(result.value))
+                                || (finalData.unformatted.length > 0 && Trends.Data.DataConvertor.detectHeader(finalData.unformatted));
+                            // then get formatted data
+                            selection.getDataAsync({ coercionType: coercionType, valueFormat: Office.ValueFormat.Formatted, filterType: _this.FilterType }, function (result) {
+                                if (result.status === Office.AsyncResultStatus.Succeeded) {
+                                    finalData.formatted = isTable ? DataBinder.tableToMatrix(result.value) : result.value;
+                                    _this.countHiddenRows(selection, coercionType, finalData, function () {
+                                        callback(finalData);
+                                    });
+                                }
+                                else {
+                                    callback(null);
+                                }
+                            });
+                        }
+                        else {
+                            callback(null);
+                        }
+                    });
+                };
+                /**
+                  * Counts the rows that sheet filters hide by reading the rows of a range with the filter type that wasn't used for its data.
+                  * The count is left at zero if the rows can't be read.
+                  */
+                DataBinder.prototype.countHiddenRows = function (selection, coercionType, data, callback) {
+                    var otherFilterType = this.respectsSheetFilters ? Office.FilterType.All : Office.FilterType.OnlyVisible;
+                    data.hiddenRowCount = 0;
+                    selection.getDataAsync({ coercionType: coercionType, valueFormat: Office.ValueFormat.Unformatted, filterType: otherFilterType }, function (result) {
+                        if (result.status === Office.AsyncResultStatus.Succeeded) {
+                            var otherRows = (coercionType === Office.CoercionType.Table) ? DataBinder.tableToMatrix(result.value) : result.value;
+                            data.hiddenRowCount = Math.abs(data.unformatted.length - otherRows.length);
+                        }
+                        callback();
+                    });
+                };
+                Object.defineProperty(DataBinder.prototype, "FilterType", {
+                    /**
+                      * Gets the filter type the data is read with
+                      */
+                    get: function () {
+                        return this.respectsSheetFilters ? Office.FilterType.OnlyVisible : Office.FilterType.All;
+                    },
+                    enumerable: true,
+                    configurable: true
+                });
+                /**
+                  * Determines whether the data of a table binding has a header row, which is the case if the table shows its header row
+                  * @param {any} tableData The TableData object
+                  * @returns {boolean} True if the table has a header row; false otherwise
+                  */
+                DataBinder.hasTableHeader = function (tableData) {
+                    return !!tableData.headers && tableData.headers.length > 0;
+                };
+                /**
+                  * Turns the data of a table binding into a matrix whose first row is the header row of the table
+                  * @param {any} tableData The TableData object, whose headers are either a row or an array that holds the row
+                  * @returns {any[][]} The matrix
+                  */
+                DataBinder.tableToMatrix = function (tableData) {
+                    var headers = (tableData.headers && tableData.headers.length > 0 && Array.isArray(tableData.headers[0])) ? tableData.headers[0] : tableData.headers;
+                    var rows = tableData.rows ? tableData.rows : [];
+                    return (headers && headers.length > 0) ? [headers].concat(rows) : rows;
+                };
+                /**
+                  * Puts the data of the bound ranges together. The first range is also passed as the data itself, for the listeners that
+                  * only handle a single range.
+                  */
+                DataBinder.prototype.combineRangeData = function (bindingNames) {
+                    var _this = this;
+                    var ranges = bindingNames.map(function (bindingName) {
+                        return _this.rangeData[bindingName];
+                    });
+                    return {
+                        hasHeader: ranges[0].hasHeader,
+                        formatted: ranges[0].formatted,
+                        unformatted: ranges[0].unformatted,
+                        ranges: (ranges.length > 1) ? ranges : null,
+                        hiddenRowCount: ranges.reduce(function (count, range) {
+                            return count + (range.hiddenRowCount ? range.hiddenRowCount : 0);
+                        }, 0)
+                    };
+                };
+                DataBinder.prototype.notifyDataChange = function () {
+                    var self = this;
+                    this.getData(function (data) {
+                        if (!data) {
+                            return;
+                        }
+                        self.notifyListeners(data);
+                    });
+                };
+                /**
+                  * Reads the data of the range that has changed again, and notifies the listeners with the data of all the ranges
+                  */
+                DataBinder.prototype.notifyRangeDataChange = function (bindingName) {
+                    var _this = this;
+                    this.getRangeData(bindingName, function (data) {
+                        if (!data || _this.bindingNames.indexOf(bindingName) === -1) {
+                            return;
+                        }
+                        _this.rangeData[bindingName] = data;
+                        var isAllRead = _this.bindingNames.every(function (name) {
+                            return !!_this.rangeData[name];
+                        });
+                        if (isAllRead) {
+                            _this.notifyListeners(_this.combineRangeData(_this.bindingNames.slice(0)));
+                        }
+                        else {
+                            _this.notifyDataChange();
+                        }
+                    });
+                };
+                DataBinder.prototype.notifyListeners = function (data) {
+                    this.dataChangeListeners.forEach(function (listener, index, array) {
+                        listener.onDataChanged(data);
+                    });
+                };
+                DataBinder.prototype.notifyBindingTargetChange = function () {
+                    var _this = this;
+                    // The chart is revisualized once, after all the resets and after the listeners know about the new target
+                    DataViz.mainApp.CurrentSKU.Controller.batchConfigurationChanges(function () {
+                        DataViz.Config.Trends.resetPointHighlights();
+                        DataViz.Config.Trends.resetLineOrder();
+                        DataViz.Config.Trends.resetLineDisplay();
+                        DataViz.Config.Trends.resetLineTitleArray();
+                        DataViz.Config.Trends.resetLineGapModes();
+                        DataViz.Config.Trends.resetLineTransforms();
+                        DataViz.Config.Trends.resetLineTrendlines();
+                        DataViz.Config.Trends.resetLineHighlightRules();
+                        DataViz.Config.Trends.resetLineAxes();
+                        DataViz.Config.Trends.resetXWindow();
+                        _this.dataChangeListeners.forEach(function (listener, index, array) {
+                            listener.onDataBindingTargetChanged();
+                        });
+                    });
+                };
+                return DataBinder;
+            }());
+            Agave.DataBinder = DataBinder;
+        })(Agave = Data.Agave || (Data.Agave = {}));
+    })(Data = Trends.Data || (Trends.Data = {}));
+})(Trends || (Trends = {}));
+/* **************************************************************************************
+Copyright (c) Microsoft Open Technologies, Inc. All rights reserved. Licensed under the Apache License, Version 2.0.
+See License.txt in the project root for license information.
+***************************************************************************************** */
+var DataViz;
+(function (DataViz) {
+    var UX;
+    (function (UX) {
+        UX.infoColors = {
+            red: "#a80f22",
+            green: "#217346",
+        };
+        /**
+          * This class is the Data Binding Dialog UI.
+          */
+        var BindingPane = (function () {
+            /**
+              * Constructor
+              */
+            function BindingPane() {
+                var _this = this;
+                this.zoomRatio = 1;
+                $("body").append($("<div/>", { id: "binding-pane-dim", "class": "binding-dim-style" })).append($("<div/>", { id: "binding-pane", "class": "binding-pane-style" }).append($("<span/>", { id: "binding-pane-title-span", "class": "binding-pane-title-style" })).append($("<div/>", { id: "subtitle", "class": "binding-pane-subtitle-style" })).append($("<div/>", { id: "sample-data-pane", "class": "sample-data-pane-style" })).append($("<div/>", { id: "binding-pane-info-text", "class": "binding-pane-info-text-style" })).append($("<div/>", { id: "button-group", "class": "button-group" }).append($("<button/>", { id: "binding-pane-cancel", "class": "button button-white binding-pane-cancel" })).append($("<button/>", { id: "binding-pane-ok", "class": "button button-green binding-pane-ok" }))));
+                this.bindingPaneDim = $("#binding-pane-dim");
+                this.bindingPane = $("#binding-pane");
+                this.titleSpan = $("#binding-pane-title-span");
+                this.subtitle = $("#subtitle");
+                this.sampleDataPane = $("#sample-data-pane");
+                this.infoText = $("#binding-pane-info-text");
+                this.buttonGroup = $("#button-group");
+                this.buttonCancel = $("#binding-pane-cancel");
+                this.buttonOk = $("#binding-pane-ok");
+                this.resizeHandler = function () {
+                    _this.resetPaneContentPosition();
+                };
+                DataViz.Utils.setTabFocus("binding-pane-content", "binding-pane-cancel", "binding-pane-cancel");
+                this.args = {};
+            }
+            /**
+              * Use new arguments to update the Data Binding UI and its event handlers.
+              * @param {BindingPaneArgs} args The arguments used to update the binding pane
+              */
+            BindingPane.prototype.updateBindingPane = function (args) {
+                if (args) {
+                    this.updateArgs(args);
+                    this.handleArgs();
+                }
+                this.zoomBindingPane();
+                return this;
+            };
+            BindingPane.prototype.zoomBindingPane = function () {
+                this.zoomRatio = DataViz.Utils.getZoomRatioForApp();
+                this.bindingPaneElementsStyle = {};
+                this.handleStyleInHDPI("bindingPane", ["binding-pane-style"]),
+                    this.handleStyleInHDPI("title", ["binding-pane-title-style"]),
+                    this.handleStyleInHDPI("subtitle", ["binding-pane-subtitle-style"]),
+                    this.handleStyleInHDPI("sampleDataPane", ["sample-data-pane-style"]),
+                    this.handleStyleInHDPI("infoText", ["binding-pane-info-text-style"]),
+                    this.handleStyleInHDPI("buttonGroup", ["button-group"]),
+                    this.handleStyleInHDPI("cancel", ["button", "binding-pane-cancel"]),
+                    this.handleStyleInHDPI("ok", ["button", "binding-pane-ok"]),
+                    this.handleStyleInHDPI("td", ["td"]),
+                    this.bindingPane.css(this.bindingPaneElementsStyle.bindingPane);
+                this.titleSpan.css(this.bindingPaneElementsStyle.title);
+                this.subtitle.css(this.bindingPaneElementsStyle.subtitle);
+                this.sampleDataPane.css(this.bindingPaneElementsStyle.sampleDataPane);
+                this.infoText.css(this.bindingPaneElementsStyle.infoText);
+                this.buttonGroup.css(this.bindingPaneElementsStyle.buttonGroup);
+                this.buttonCancel.css(this.bindingPaneElementsStyle.cancel);
+                this.buttonOk.css(this.bindingPaneElementsStyle.ok);
+                if (this.td[0]) {
+                    this.td.css(this.bindingPaneElementsStyle.td);
+                }
+                return this;
+            };
+            /**
+              * Show the Data Binding UI.
+              */
+            BindingPane.prototype.show = function () {
+                var _this = this;
+                this.bindingData = null;
+                $(window).on("resize", this.resizeHandler);
+                this.bindingPaneDim.fadeIn("fast");
+                this.buttonOk.attr("disabled", "disabled");
+                if (this.selectionChangeHandler) {
+                    this.selectionChangeHandler();
+                    Office.context.document.addHandlerAsync(Office.EventType.DocumentSelectionChanged, this.selectionChangeHandler);
+                }
+                this.resetPaneContentPosition();
+                this.bindingPane.fadeIn("fast", function () {
+                    _this.buttonCancel.focus();
+                });
+            };
+            /**
+              * Hide the Data Binding UI.
+              */
+            BindingPane.prototype.hide = function () {
+                $(window).off("resize", this.resizeHandler);
+                if (this.selectionChangeHandler) {
+                    Office.context.document.removeHandlerAsync(Office.EventType.DocumentSelectionChanged, { handler: this.selectionChangeHandler });
+                }
+                this.bindingPane.fadeOut("fast");
+                this.bindingPaneDim.fadeOut("fast");
+            };
+            /**
+              * Identify whether the string is numeric
+              * @param {string} str The string need to be identified
+              * @returns True if the string is numeric; false otherwise
+              */
+            BindingPane.prototype.setInfoTextAndButton = function (text, textColor, buttonEnable) {
+                this.infoText.text(text);
+                this.infoText.css("color", textColor);
+                if (buttonEnable) {
+                    DataViz.Utils.setTabFocus("binding-pane", "binding-pane-cancel", "binding-pane-ok");
+                    if (this.buttonOk.attr("disabled")) {
+                        this.buttonOk.removeAttr("disabled");
+                    }
+                }
+                else {
+                    DataViz.Utils.setTabFocus("binding-pane", "binding-pane-cancel", "binding-pane-cancel");
+                    if (!this.buttonOk.attr("disabled")) {
+                        this.buttonOk.attr("disabled", "disabled");
+                    }
+                }
+            };
+            Object.defineProperty(BindingPane.prototype, "bindingData", {
+                get: function () {
+                    return this.selectedData;
+                },
+                set: function (data) {
+                    this.selectedData = data;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            BindingPane.prototype.handleDataSelection = function () {
+                // Implemented in sub-classes
+            };
+            /**
+              * Shows the beginning of the selected data in place of the sample data
+              * @param {any[][]} data The selected data
+              * @param {string} subtitle The subtitle above the preview
+              * @param {(row: number, column: number) => string} [getCellClass] Returns the CSS class of a cell, to show how the cell will be read. Optional.
+              */
+            BindingPane.prototype.showPreview = function (data, subtitle, getCellClass) {
+                this.subtitle.text(subtitle);
+                this.setSampleData(data, getCellClass);
+                this.zoomBindingPane();
+            };
+            /**
+              * Shows the sample data again after a preview
+              */
+            BindingPane.prototype.showSampleData = function () {
+                this.subtitle.text(this.args.subtitle);
+                this.setSampleData(this.args.sampleData);
+                this.zoomBindingPane();
+            };
+            BindingPane.prototype.updateArgs = function (args) {
+                this.args.sampleData = args.sampleData ? args.sampleData : BindingPane.defaultArgs.sampleData;
+                this.args.handleDataSelection = args.handleDataSelection ? args.handleDataSelection : BindingPane.defaultArgs.handleDataSelection;
+                this.args.buttonOKCallback = args.buttonOKCallback ? args.buttonOKCallback : BindingPane.defaultArgs.buttonOKCallback;
+                this.args.buttonCancelCallback = args.buttonCancelCallback ? args.buttonCancelCallback : BindingPane.defaultArgs.buttonCancelCallback;
+                this.args.title = args.title ? args.title : BindingPane.defaultArgs.title;
+                this.args.subtitle = args.subtitle ? args.subtitle : BindingPane.defaultArgs.subtitle;
+                this.args.infoText = args.infoText ? args.infoText : BindingPane.defaultArgs.infoText;
+                this.args.buttonOKText = args.buttonOKText ? args.buttonOKText : BindingPane.defaultArgs.buttonOKText;
+                this.args.buttonCancelText = args.buttonCancelText ? args.buttonCancelText : BindingPane.defaultArgs.buttonCancelText;
+            };
+            BindingPane.prototype.handleArgs = function () {
+                var _this = this;
+                this.setSampleData(this.args.sampleData);
+                this.titleSpan.text(this.args.title);
+                this.subtitle.text(this.args.subtitle);
+                this.infoText.text(this.args.infoText);
+                this.buttonOk.text(this.args.buttonOKText);
+                this.buttonCancel.text(this.args.buttonCancelText);
+                if (this.args.handleDataSelection) {
+                    this.selectionChangeHandler = function () {
+                        _this.args.handleDataSelection();
+                    };
+                }
+                else {
+                    this.selectionChangeHandler = null;
+                }
+                this.setEventHandler(this.args.buttonOKCallback, this.args.buttonCancelCallback);
+            };
+            BindingPane.prototype.setEventHandler = function (funcOK, funcCancel) {
+                var _this = this;
+                this.buttonOk.off("click");
+                this.buttonOk.click(function () {
+                    _this.hide();
+                    if (funcOK) {
+                        funcOK(_this.bindingData);
+                    }
+                });
+                this.buttonCancel.off("click");
+                this.buttonCancel.click(function () {
+                    _this.hide();
+                });
+            };
+            BindingPane.prototype.setSampleData = function (sampleData, getCellClass) {
+                if ($("#sample-table")[0]) {
+                    $("#sample-table").remove();
+                }
+                if (sampleData) {
+                    this.sampleDataPane.append($("<table/>", { id: "sample-table" }));
+                    var rowNumber = Math.min(sampleData.length, BindingPane.sampleDataMaxRowNumber);
+                    var columnNumber = Math.min(sampleData[0].length, BindingPane.sampleDataMaxColumnNumber);
+                    for (var i = 0; i < rowNumber; i++) {
+                        $("<tr/>", { id: "tr" + i }).appendTo("#sample-table");
+                        for (var j = 0; j < columnNumber; j++) {
+                            var cell = sampleData[i][j];
+                            $("<td/>", {
+                                text: (cell === null || cell === undefined) ? "" : cell.toString(),
+                                "class": getCellClass ? getCellClass(i, j) : ""
+                            }).appendTo("#tr" + i);
+                        }
+                    }
+                    this.td = $("td");
+                }
+            };
+            BindingPane.prototype.resetPaneContentPosition = function () {
+                this.zoomBindingPane();
+                this.bindingPane.css("top", (window.innerHeight - this.bindingPane.height()) / 2);
+            };
+            BindingPane.prototype.handleStyleInHDPI = function (elementId, classNameArray) {
+                if (!classNameArray) {
+                    return;
+                }
+                var elementStyle = {};
+                for (var i = 0; i < classNameArray.length; i++) {
+                    var styleArray = BindingPane.bindingPaneStyle[classNameArray[i]];
+                    if (!styleArray || !styleArray[0]) {
+                        return;
+                    }
+                    for (var j = 0; j < styleArray.length; j++) {
+                        if (styleArray[j] && styleArray[j][0] && styleArray[j][1]) {
+                            elementStyle[styleArray[j][0]] = (parseFloat(styleArray[j][1]) / this.zoomRatio).toFixed(2) + "px";
+                        }
+                    }
+                    this.bindingPaneElementsStyle[elementId] = elementStyle;
+                }
+            };
+            BindingPane.bindingPaneStyle = {
+                "binding-pane-style": [["min-width", "400"]],
+                "binding-pane-title-style": [["top", "17"], ["margin-left", "30"], ["font-size", "20"]],
+                "binding-pane-subtitle-style": [["margin-top", "38"], ["margin-left", "30"], ["font-size", "12"]],
+                "sample-data-pane-style": [["margin-top", "15"], ["margin-left", "30"], ["min-width", "180"]],
+                "binding-pane-info-text-style": [["margin-top", "20"], ["margin-left", "30"], ["font-size", "12"], ["line-height", "12"]],
+                "button-group": [["height", "30"], ["margin-top", "20"], ["margin-bottom", "20"]],
+                "button": [["font-size", "14"], ["min-width", "80"], ["max-width", "200"], ["height", "30"], ["padding-left", "20"], ["padding-right", "20"], ["line-height", "14"]],
+                "binding-pane-cancel": [["margin-right", "20"]],
+                "binding-pane-ok": [["margin-right", "10"]],
+                "td": [["font-size", "12"], ["height", "18"], ["padding-left", "10"], ["padding-right", "10"]],
+            };
+            BindingPane.sampleDataMaxRowNumber = 5;
+            BindingPane.sampleDataMaxColumnNumber = 6;
+            BindingPane.defaultArgs = {
+                sampleData: null,
+                handleDataSelection: null,
+                buttonOKCallback: null,
+                buttonCancelCallback: null,
+                title: "Select your data to create a chart",
+                subtitle: "SAMPLE DATA",
+                infoText: "",
+                buttonOKText: "Create",
+                buttonCancelText: "Cancel",
+            };
+            return BindingPane;
+        }());
+        UX.BindingPane = BindingPane;
+    })(UX = DataViz.UX || (DataViz.UX = {}));
+})(DataViz || (DataViz = {}));
+/* **************************************************************************************
+Copyright (c) Microsoft Open Technologies, Inc. All rights reserved. Licensed under the Apache License, Version 2.0.
+See License.txt in the project root for license information.
+***************************************************************************************** */
+var DataViz;
+(function (DataViz) {
+    var Resources;
+    (function (Resources) {
+        "use strict";
+        var UI = (function () {
+            function UI() {
+            }
+            Object.defineProperty(UI, "backButtonTitle", {
+                get: function () {
+                    return ScriptsResources.BackButtonTitle;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(UI, "floatMenuDataTitle", {
+                get: function () {
+                    return ScriptsResources.FloatMenuDataTitle;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(UI, "floatMenuSettingTitle", {
+                get: function () {
+                    return ScriptsResources.FloatMenuSettingTitle;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(UI, "floatMenuZoomResetTitle", {
+                get: function () {
+                    return ScriptsResources.FloatMenuZoomResetTitle;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(UI, "defaultLegendName", {
+                get: function () {
+                    return ScriptsResources.DefaultLegendName;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(UI, "secondaryAxis", {
+                get: function () {
+                    return ScriptsResources.SecondaryAxis;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(UI, "chartKeyboardHint", {
+                get: function () {
+                    return ScriptsResources.ChartKeyboardHint;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(UI, "chartAddNoteTitle", {
+                get: function () {
+                    return ScriptsResources.ChartAddNoteTitle;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(UI, "chartNoteLabel", {
+                get: function () {
+                    return ScriptsResources.ChartNoteLabel;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            return UI;
+        }());
+        Resources.UI = UI;
+        var DataPane = (function () {
+            function DataPane() {
+            }
+            Object.defineProperty(DataPane, "header", {
+                get: function () {
+                    return ScriptsResources.DataPaneHeader;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(DataPane, "selectButtonText", {
+                get: function () {
+                    return ScriptsResources.DataPaneSelectButton;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(DataPane, "orientationTitle", {
+                get: function () {
+                    return ScriptsResources.DataPaneOrientationTitle;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(DataPane, "orientationColumns", {
+                get: function () {
+                    return ScriptsResources.DataPaneOrientationColumns;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(DataPane, "orientationRows", {
+                get: function () {
+                    return ScriptsResources.DataPaneOrientationRows;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(DataPane, "rangesTitle", {
+                get: function () {
+                    return ScriptsResources.DataPaneRangesTitle;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(DataPane, "rangeItem", {
+                get: function () {
+                    return ScriptsResources.DataPaneRangeItem;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(DataPane, "removeRange", {
+                get: function () {
+                    return ScriptsResources.DataPaneRemoveRange;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(DataPane, "diagnosticsTitle", {
+                get: function () {
+                    return ScriptsResources.DataPaneDiagnosticsTitle;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(DataPane, "diagnosticGoTo", {
+                get: function () {
+                    return ScriptsResources.DataPaneDiagnosticGoTo;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(DataPane, "diagnosticSkippedCell", {
+                get: function () {
+                    return ScriptsResources.DataPaneDiagnosticSkippedCell;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(DataPane, "diagnosticNumberHeader", {
+                get: function () {
+                    return ScriptsResources.DataPaneDiagnosticNumberHeader;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(DataPane, "diagnosticHeaderAsValues", {
+                get: function () {
+                    return ScriptsResources.DataPaneDiagnosticHeaderAsValues;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(DataPane, "diagnosticRangeLeftOut", {
+                get: function () {
+                    return ScriptsResources.DataPaneDiagnosticRangeLeftOut;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(DataPane, "diagnosticInvalidData", {
+                get: function () {
+                    return ScriptsResources.DataPaneDiagnosticInvalidData;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(DataPane, "diagnosticMore", {
+                get: function () {
+                    return ScriptsResources.DataPaneDiagnosticMore;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(DataPane, "diagnosticOrphanedHighlight", {
+                get: function () {
+                    return ScriptsResources.DataPaneDiagnosticOrphanedHighlight;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(DataPane, "diagnosticUnmatchedPointIds", {
+                get: function () {
+                    return ScriptsResources.DataPaneDiagnosticUnmatchedPointIds;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(DataPane, "diagnosticRemoveHighlights", {
+                get: function () {
+                    return ScriptsResources.DataPaneDiagnosticRemoveHighlights;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(DataPane, "hiddenRowsLeftOut", {
+                get: function () {
+                    return ScriptsResources.DataPaneHiddenRowsLeftOut;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(DataPane, "hiddenRowsIncluded", {
+                get: function () {
+                    return ScriptsResources.DataPaneHiddenRowsIncluded;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(DataPane, "addRangeButtonText", {
+                get: function () {
+                    return ScriptsResources.DataPaneAddRangeButton;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(DataPane, "seriesTitle", {
+                get: function () {
+                    return ScriptsResources.DataPaneSeriesTitle;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(DataPane, "gapModeTitle", {
+                get: function () {
+                    return ScriptsResources.DataPaneGapModeTitle;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(DataPane, "gapModeBreak", {
+                get: function () {
+                    return ScriptsResources.DataPaneGapModeBreak;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(DataPane, "gapModeZero", {
+                get: function () {
+                    return ScriptsResources.DataPaneGapModeZero;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(DataPane, "gapModeInterpolate", {
+                get: function () {
+                    return ScriptsResources.DataPaneGapModeInterpolate;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(DataPane, "transformsTitle", {
+                get: function () {
+                    return ScriptsResources.DataPaneTransformsTitle;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(DataPane, "addTransform", {
+                get: function () {
+                    return ScriptsResources.DataPaneAddTransform;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(DataPane, "removeTransform", {
+                get: function () {
+                    return ScriptsResources.DataPaneRemoveTransform;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(DataPane, "trendlineTitle", {
+                get: function () {
+                    return ScriptsResources.DataPaneTrendlineTitle;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(DataPane, "trendlineNone", {
+                get: function () {
+                    return ScriptsResources.DataPaneTrendlineNone;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(DataPane, "trendlineDegree", {
+                get: function () {
+                    return ScriptsResources.DataPaneTrendlineDegree;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(DataPane, "trendlineForecast", {
+                get: function () {
+                    return ScriptsResources.DataPaneTrendlineForecast;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(DataPane, "highlightTitle", {
+                get: function () {
+                    return ScriptsResources.DataPaneHighlightTitle;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(DataPane, "highlightMaximum", {
+                get: function () {
+                    return ScriptsResources.DataPaneHighlightMaximum;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(DataPane, "highlightMinimum", {
+                get: function () {
+                    return ScriptsResources.DataPaneHighlightMinimum;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(DataPane, "highlightLatest", {
+                get: function () {
+                    return ScriptsResources.DataPaneHighlightLatest;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(DataPane, "highlightThreshold", {
+                get: function () {
+                    return ScriptsResources.DataPaneHighlightThreshold;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(DataPane, "highlightTopN", {
+                get: function () {
+                    return ScriptsResources.DataPaneHighlightTopN;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            return DataPane;
+        }());
+        Resources.DataPane = DataPane;
+        var ReadOptions = (function () {
+            function ReadOptions() {
+            }
+            Object.defineProperty(ReadOptions, "firstRowIsHeader", {
+                get: function () {
+                    return ScriptsResources.ReadOptionsFirstRowIsHeader;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(ReadOptions, "firstColumnIsHeader", {
+                get: function () {
+                    return ScriptsResources.ReadOptionsFirstColumnIsHeader;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(ReadOptions, "firstColumnIsLabels", {
+                get: function () {
+                    return ScriptsResources.ReadOptionsFirstColumnIsLabels;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(ReadOptions, "firstRowIsLabels", {
+                get: function () {
+                    return ScriptsResources.ReadOptionsFirstRowIsLabels;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(ReadOptions, "respectSheetFilters", {
+                get: function () {
+                    return ScriptsResources.ReadOptionsRespectSheetFilters;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            return ReadOptions;
+        }());
+        Resources.ReadOptions = ReadOptions;
+        var SettingPane = (function () {
+            function SettingPane() {
+            }
+            Object.defineProperty(SettingPane, "header", {
+                get: function () {
+                    return ScriptsResources.SettingPaneHeader;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(SettingPane, "themeTab", {
+                get: function () {
+                    return ScriptsResources.SettingPaneThemeTab;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(SettingPane, "axisTab", {
+                get: function () {
+                    return ScriptsResources.SettingPaneAxisTab;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(SettingPane, "typeTab", {
+                get: function () {
+                    return ScriptsResources.SettingPaneTypeTab;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(SettingPane, "typeLine", {
+                get: function () {
+                    return ScriptsResources.SettingPaneTypeLine;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(SettingPane, "typeArea", {
+                get: function () {
+                    return ScriptsResources.SettingPaneTypeArea;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(SettingPane, "typeStackedArea", {
+                get: function () {
+                    return ScriptsResources.SettingPaneTypeStackedArea;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(SettingPane, "typePercentArea", {
+                get: function () {
+                    return ScriptsResources.SettingPaneTypePercentArea;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(SettingPane, "typeColumn", {
+                get: function () {
+                    return ScriptsResources.SettingPaneTypeColumn;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(SettingPane, "typeStackedColumn", {
+                get: function () {
+                    return ScriptsResources.SettingPaneTypeStackedColumn;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(SettingPane, "typeBar", {
+                get: function () {
+                    return ScriptsResources.SettingPaneTypeBar;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(SettingPane, "typeScatter", {
+                get: function () {
+                    return ScriptsResources.SettingPaneTypeScatter;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(SettingPane, "typeSmallMultiples", {
+                get: function () {
+                    return ScriptsResources.SettingPaneTypeSmallMultiples;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(SettingPane, "axisScale", {
+                get: function () {
+                    return ScriptsResources.SettingPaneAxisScale;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(SettingPane, "axisScaleLinear", {
+                get: function () {
+                    return ScriptsResources.SettingPaneAxisScaleLinear;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(SettingPane, "axisScaleLog", {
+                get: function () {
+                    return ScriptsResources.SettingPaneAxisScaleLog;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(SettingPane, "axisMinimum", {
+                get: function () {
+                    return ScriptsResources.SettingPaneAxisMinimum;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(SettingPane, "axisMaximum", {
+                get: function () {
+                    return ScriptsResources.SettingPaneAxisMaximum;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(SettingPane, "axisAuto", {
+                get: function () {
+                    return ScriptsResources.SettingPaneAxisAuto;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(SettingPane, "axisIncludeZero", {
+                get: function () {
+                    return ScriptsResources.SettingPaneAxisIncludeZero;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(SettingPane, "axisTickNumber", {
+                get: function () {
+                    return ScriptsResources.SettingPaneAxisTickNumber;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(SettingPane, "axisCompact", {
+                get: function () {
+                    return ScriptsResources.SettingPaneAxisCompact;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(SettingPane, "themeTitles", {
+                get: function () {
+                    return [
+                        ScriptsResources.SettingPaneThemeTitle1,
+                        ScriptsResources.SettingPaneThemeTitle2,
+                        ScriptsResources.SettingPaneThemeTitle3,
+                        ScriptsResources.SettingPaneThemeTitle4,
+                        ScriptsResources.SettingPaneThemeTitle5,
+                        ScriptsResources.SettingPaneThemeTitle6,
+                    ];
+                },
+                enumerable: true,
+                configurable: true
+            });
+            return SettingPane;
+        }());
+        Resources.SettingPane = SettingPane;
+        var SampleData = (function () {
+            function SampleData() {
+            }
+            Object.defineProperty(SampleData, "title", {
+                get: function () {
+                    return ScriptsResources.SampleDataTitle;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(SampleData, "shortDescriptionTitle", {
+                get: function () {
+                    return ScriptsResources.SampleDataShortDescriptionTitle;
+                },
+                enumerable: true,
+                configurable: true
+            });
             Object.defineProperty(SampleData, "shortDescription", {
                 get: function () {
-                    return ScriptsResources.SampleDataShortDescription;
+                    return ScriptsResources.SampleDataShortDescription;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(SampleData, "longDescriptionTitle", {
+                get: function () {
+                    return ScriptsResources.SampleDataLongDescriptionTitle;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(SampleData, "longDescription", {
+                get: function () {
+                    return ScriptsResources.SampleDataLongDescription;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(SampleData, "legend1", {
+                get: function () {
+                    return ScriptsResources.SampleDataLegend1;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(SampleData, "legend2", {
+                get: function () {
+                    return ScriptsResources.SampleDataLegend2;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(SampleData, "time1", {
+                get: function () {
+                    return ScriptsResources.SampleDataTime1;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(SampleData, "time2", {
+                get: function () {
+                    return ScriptsResources.SampleDataTime2;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(SampleData, "time3", {
+                get: function () {
+                    return ScriptsResources.SampleDataTime3;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(SampleData, "time4", {
+                get: function () {
+                    return ScriptsResources.SampleDataTime4;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(SampleData, "time5", {
+                get: function () {
+                    return ScriptsResources.SampleDataTime5;
                 },
                 enumerable: true,
                 configurable: true
             });
-            Object.defineProperty(SampleData, "longDescriptionTitle", {
+            Object.defineProperty(SampleData, "time6", {
                 get: function () {
-                    return ScriptsResources.SampleDataLongDescriptionTitle;
+                    return ScriptsResources.SampleDataTime6;
                 },
                 enumerable: true,
                 configurable: true
             });
-            Object.defineProperty(SampleData, "longDescription", {
+            Object.defineProperty(SampleData, "time7", {
                 get: function () {
-                    return ScriptsResources.SampleDataLongDescription;
+                    return ScriptsResources.SampleDataTime7;
                 },
                 enumerable: true,
                 configurable: true
             });
-            Object.defineProperty(SampleData, "legend1", {
+            Object.defineProperty(SampleData, "time8", {
                 get: function () {
-                    return ScriptsResources.SampleDataLegend1;
+                    return ScriptsResources.SampleDataTime8;
                 },
                 enumerable: true,
                 configurable: true
             });
-            Object.defineProperty(SampleData, "legend2", {
+            Object.defineProperty(SampleData, "time9", {
                 get: function () {
-                    return ScriptsResources.SampleDataLegend2;
+                    return ScriptsResources.SampleDataTime9;
                 },
                 enumerable: true,
                 configurable: true
             });
-            Object.defineProperty(SampleData, "time1", {
+            return SampleData;
+        }());
+        Resources.SampleData = SampleData;
+        var Pluralization = (function () {
+            function Pluralization() {
+            }
+            Object.defineProperty(Pluralization, "rows", {
                 get: function () {
-                    return ScriptsResources.SampleDataTime1;
+                    return ScriptsResources.PluralizationRows;
                 },
                 enumerable: true,
                 configurable: true
             });
-            Object.defineProperty(SampleData, "time2", {
+            Object.defineProperty(Pluralization, "columns", {
                 get: function () {
-                    return ScriptsResources.SampleDataTime2;
+                    return ScriptsResources.PluralizationColumns;
                 },
                 enumerable: true,
                 configurable: true
             });
-            Object.defineProperty(SampleData, "time3", {
+            return Pluralization;
+        }());
+        Resources.Pluralization = Pluralization;
+        var BindingPane = (function () {
+            function BindingPane() {
+            }
+            Object.defineProperty(BindingPane, "infoNormal", {
                 get: function () {
-                    return ScriptsResources.SampleDataTime3;
+                    return ScriptsResources.BindingPaneInfoNormal;
                 },
                 enumerable: true,
                 configurable: true
             });
-            Object.defineProperty(SampleData, "time4", {
+            Object.defineProperty(BindingPane, "infoDataSetTooLarge", {
                 get: function () {
-                    return ScriptsResources.SampleDataTime4;
+                    return ScriptsResources.BindingPaneInfoDataSetTooLarge;
                 },
                 enumerable: true,
                 configurable: true
             });
-            Object.defineProperty(SampleData, "time5", {
+            Object.defineProperty(BindingPane, "infoFirstRowEmpty", {
                 get: function () {
-                    return ScriptsResources.SampleDataTime5;
+                    return ScriptsResources.BindingPaneInfoFirstRowEmpty;
                 },
                 enumerable: true,
                 configurable: true
             });
-            Object.defineProperty(SampleData, "time6", {
+            Object.defineProperty(BindingPane, "infoFirstColumnEmpty", {
                 get: function () {
-                    return ScriptsResources.SampleDataTime6;
+                    return ScriptsResources.BindingPaneInfoFirstColumnEmpty;
                 },
                 enumerable: true,
                 configurable: true
             });
-            Object.defineProperty(SampleData, "time7", {
+            Object.defineProperty(BindingPane, "infoSelectData", {
                 get: function () {
-                    return ScriptsResources.SampleDataTime7;
+                    return ScriptsResources.BindingPaneInfoSelectData;
                 },
                 enumerable: true,
                 configurable: true
             });
-            Object.defineProperty(SampleData, "time8", {
+            Object.defineProperty(BindingPane, "infoSelectTwoColumns", {
                 get: function () {
-                    return ScriptsResources.SampleDataTime8;
+                    return ScriptsResources.BindingPaneInfoSelectTwoColumns;
                 },
                 enumerable: true,
                 configurable: true
             });
-            Object.defineProperty(SampleData, "time9", {
+            Object.defineProperty(BindingPane, "infoSecondColumnContainNumber", {
+                get: function () {
+                    return ScriptsResources.BindingPaneInfoSecondColumnContainNumber;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(BindingPane, "title", {
+                get: function () {
+                    return ScriptsResources.BindingPaneTitle;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(BindingPane, "subtitle", {
+                get: function () {
+                    return ScriptsResources.BindingPaneSubtitle;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(BindingPane, "previewSubtitle", {
+                get: function () {
+                    return ScriptsResources.BindingPanePreviewSubtitle;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(BindingPane, "buttonOKText", {
+                get: function () {
+                    return ScriptsResources.BindingPaneButtonOK;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(BindingPane, "buttonCancelText", {
+                get: function () {
+                    return ScriptsResources.BindingPaneButtonCancel;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(BindingPane, "sampleDataHeader1", {
+                get: function () {
+                    return ScriptsResources.BindingPaneSampleDataHeader1;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(BindingPane, "sampleDataHeader2", {
+                get: function () {
+                    return ScriptsResources.BindingPaneSampleDataHeader2;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(BindingPane, "sampleDataHeader3", {
+                get: function () {
+                    return ScriptsResources.BindingPaneSampleDataHeader3;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(BindingPane, "sampleDataTime1", {
+                get: function () {
+                    return ScriptsResources.BindingPaneSampleDataTime1;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(BindingPane, "sampleDataTime2", {
+                get: function () {
+                    return ScriptsResources.BindingPaneSampleDataTime2;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(BindingPane, "sampleDataTime3", {
+                get: function () {
+                    return ScriptsResources.BindingPaneSampleDataTime3;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            return BindingPane;
+        }());
+        Resources.BindingPane = BindingPane;
+        var Transforms = (function () {
+            function Transforms() {
+            }
+            Object.defineProperty(Transforms, "rollingAverage", {
+                get: function () {
+                    return ScriptsResources.TransformsRollingAverage;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(Transforms, "rollingAverageName", {
+                get: function () {
+                    return ScriptsResources.TransformsRollingAverageName;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(Transforms, "cumulativeSum", {
+                get: function () {
+                    return ScriptsResources.TransformsCumulativeSum;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(Transforms, "percentChange", {
+                get: function () {
+                    return ScriptsResources.TransformsPercentChange;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(Transforms, "rebase", {
+                get: function () {
+                    return ScriptsResources.TransformsRebase;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            return Transforms;
+        }());
+        Resources.Transforms = Transforms;
+        var Trendlines = (function () {
+            function Trendlines() {
+            }
+            Object.defineProperty(Trendlines, "linear", {
+                get: function () {
+                    return ScriptsResources.TrendlinesLinear;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(Trendlines, "exponential", {
+                get: function () {
+                    return ScriptsResources.TrendlinesExponential;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(Trendlines, "polynomial", {
+                get: function () {
+                    return ScriptsResources.TrendlinesPolynomial;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(Trendlines, "rSquared", {
+                get: function () {
+                    return ScriptsResources.TrendlinesRSquared;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            return Trendlines;
+        }());
+        Resources.Trendlines = Trendlines;
+        var Scatter = (function () {
+            function Scatter() {
+            }
+            Object.defineProperty(Scatter, "xSeries", {
+                get: function () {
+                    return ScriptsResources.ScatterXSeries;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(Scatter, "ySeries", {
+                get: function () {
+                    return ScriptsResources.ScatterYSeries;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(Scatter, "regression", {
+                get: function () {
+                    return ScriptsResources.ScatterRegression;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(Scatter, "correlation", {
+                get: function () {
+                    return ScriptsResources.ScatterCorrelation;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(Scatter, "correlationValue", {
+                get: function () {
+                    return ScriptsResources.ScatterCorrelationValue;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(Scatter, "labels", {
+                get: function () {
+                    return ScriptsResources.ScatterLabels;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(Scatter, "notEnoughSeries", {
+                get: function () {
+                    return ScriptsResources.ScatterNotEnoughSeries;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            return Scatter;
+        }());
+        Resources.Scatter = Scatter;
+        var SmallMultiples = (function () {
+            function SmallMultiples() {
+            }
+            Object.defineProperty(SmallMultiples, "sharedYScale", {
+                get: function () {
+                    return ScriptsResources.SmallMultiplesSharedYScale;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            return SmallMultiples;
+        }());
+        Resources.SmallMultiples = SmallMultiples;
+    })(Resources = DataViz.Resources || (DataViz.Resources = {}));
+})(DataViz || (DataViz = {}));
+/* **************************************************************************************
+Copyright (c) Microsoft Open Technologies, Inc. All rights reserved. Licensed under the Apache License, Version 2.0.
+See License.txt in the project root for license information.
+***************************************************************************************** */
+///<reference path="shared/BindingPane.ts"/>
+///<reference path="../logic/configurator.agave.ts"/>
+///<reference path="../logic/data.convertor.agave.ts"/>
+///<reference path="../strings/stringadapter.ts"/>
+var DataViz;
+(function (DataViz) {
+    var UX;
+    (function (UX) {
+        var BindingPaneSpecific = (function (_super) {
+            __extends(BindingPaneSpecific, _super);
+            function BindingPaneSpecific() {
+                var _this = this;
+                _super.call(this);
+                this.selectedValue = null;
+                this.orientation = DataViz.Config.Trends.Orientation.seriesInColumns;
+                this.firstRowIsHeader = true;
+                this.firstColumnIsLabels = true;
+                this.isHeaderChanged = false;
+                this.isLabelsChanged = false;
+                $("#sample-data-pane").after($("<div/>", { id: "read-options", "class": "read-options-style" }).append($("<label/>", { "class": "read-option" }).append($("<input/>", { id: "first-row-is-header", type: "checkbox" })).append($("<span/>", { id: "first-row-is-header-text" }))).append($("<label/>", { "class": "read-option" }).append($("<input/>", { id: "first-column-is-labels", type: "checkbox" })).append($("<span/>", { id: "first-column-is-labels-text" }))));
+                $("#read-options").hide();
+                $("#first-row-is-header").change(function () {
+                    _this.firstRowIsHeader = $("#first-row-is-header").prop("checked");
+                    _this.isHeaderChanged = true;
+                    _this.showSelectionPreview();
+                });
+                $("#first-column-is-labels").change(function () {
+                    _this.firstColumnIsLabels = $("#first-column-is-labels").prop("checked");
+                    _this.isLabelsChanged = true;
+                    _this.showSelectionPreview();
+                });
+            }
+            /**
+              * Get the singleton instance.
+              */
+            BindingPaneSpecific.getInstance = function () {
+                if (!BindingPaneSpecific.instance) {
+                    BindingPaneSpecific.instance = new BindingPaneSpecific();
+                }
+                return BindingPaneSpecific.instance;
+            };
+            /**
+              * Gets the text of the "first row is header" option, which is about the first column if the series are in rows
+              * @param {string} orientation One of {@link DataViz.Config.Trends.Orientation}
+              * @returns {string} The text of the option
+              */
+            BindingPaneSpecific.getHeaderOptionText = function (orientation) {
+                return (orientation === DataViz.Config.Trends.Orientation.seriesInRows) ? DataViz.Resources.ReadOptions.firstColumnIsHeader
+                    : DataViz.Resources.ReadOptions.firstRowIsHeader;
+            };
+            /**
+              * Gets the text of the "first column is labels" option, which is about the first row if the series are in rows
+              * @param {string} orientation One of {@link DataViz.Config.Trends.Orientation}
+              * @returns {string} The text of the option
+              */
+            BindingPaneSpecific.getLabelsOptionText = function (orientation) {
+                return (orientation === DataViz.Config.Trends.Orientation.seriesInRows) ? DataViz.Resources.ReadOptions.firstRowIsLabels
+                    : DataViz.Resources.ReadOptions.firstColumnIsLabels;
+            };
+            /**
+              * Saves how the selection is to be read, so that the chart reads the new binding the way the preview shows it.
+              * Only the options the user changed are saved; the others are left to be detected from the data.
+              */
+            BindingPaneSpecific.prototype.saveReadOptions = function () {
+                if (!this.selectedValue) {
+                    return;
+                }
+                if (this.isHeaderChanged) {
+                    DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.firstRowIsHeader, this.firstRowIsHeader);
+                }
+                if (this.isLabelsChanged) {
+                    DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.firstColumnIsLabels, this.firstColumnIsLabels);
+                }
+            };
+            BindingPaneSpecific.prototype.handleDataSelection = function () {
+                var _this = this;
+                Office.context.document.getSelectedDataAsync(Office.CoercionType.Matrix, { valueFormat: Office.ValueFormat.Unformatted, filterType: Office.FilterType.OnlyVisible }, function (result) {
+                    _this.hideSelectionPreview();
+                    if (result.status === Office.AsyncResultStatus.Succeeded) {
+                        _this.bindingData = result.value;
+                        if (result.value[0].length < 2) {
+                            _this.setInfoTextAndButton(DataViz.Resources.BindingPane.infoSelectTwoColumns, DataViz.UX.infoColors.red, false);
+                        }
+                        else if (!_this.isFirstColumnNonEmpty(result.value)) {
+                            _this.setInfoTextAndButton(DataViz.Resources.BindingPane.infoFirstColumnEmpty, DataViz.UX.infoColors.red, false);
+                        }
+                        else if (!_this.isSecondColumnHasNumber(result.value)) {
+                            _this.setInfoTextAndButton(DataViz.Resources.BindingPane.infoSecondColumnContainNumber, DataViz.UX.infoColors.red, false);
+                        }
+                        else if (!_this.isFirstRowNonEmpty(result.value)) {
+                            _this.setInfoTextAndButton(DataViz.Resources.BindingPane.infoFirstRowEmpty, DataViz.UX.infoColors.red, false);
+                        }
+                        else {
+                            var rowCount = result.value.length;
+                            var columnCount = result.value[0].length;
+                            var culture = DataViz.Config.Trends.Culture;
+                            var rowString = BindingPaneSpecific.getPluralString(DataViz.Resources.Pluralization.rows, rowCount);
+                            var columnString = BindingPaneSpecific.getPluralString(DataViz.Resources.Pluralization.columns, columnCount);
+                            var infoString = DataViz.Utils.stringFormat(DataViz.Resources.BindingPane.infoNormal, rowCount, rowString, columnCount, columnString);
+                            _this.setInfoTextAndButton(infoString, DataViz.UX.infoColors.green, true);
+                            _this.readSelection(result.value);
+                        }
+                    }
+                    else if (result.error.code === 1008) {
+                        _this.setInfoTextAndButton(DataViz.Resources.BindingPane.infoDataSetTooLarge, DataViz.UX.infoColors.red, false);
+                    }
+                    else {
+                        _this.setInfoTextAndButton(DataViz.Resources.BindingPane.infoSelectData, DataViz.UX.infoColors.red, false);
+                    }
+                });
+            };
+            /**
+              * Works out how the selection will be read, the same way as the bound data is read. The saved orientation is kept
+              * unless the selection is obviously series in rows, and the header and label options start from their saved values,
+              * or from what is detected if they haven't been saved.
+              */
+            BindingPaneSpecific.prototype.readSelection = function (value) {
+                var configuration = DataViz.mainApp.Configuration;
+                var wellKnownKeys = DataViz.Config.Trends.wellKnownKeys;
+                this.selectedValue = value;
+                this.isHeaderChanged = false;
+                this.isLabelsChanged = false;
+                var orientation = Trends.Data.DataConvertor.guessOrientation(value);
+                var savedOrientation = configuration.get(wellKnownKeys.orientation);
+                this.orientation = (orientation === DataViz.Config.Trends.Orientation.seriesInRows || !savedOrientation) ? orientation : savedOrientation;
+                var orientedValue = (this.orientation === DataViz.Config.Trends.Orientation.seriesInRows) ? Trends.Data.DataConvertor.transpose(value) : value;
+                var savedHeader = configuration.get(wellKnownKeys.firstRowIsHeader);
+                var savedLabels = configuration.get(wellKnownKeys.firstColumnIsLabels);
+                this.firstRowIsHeader = (savedHeader !== null && savedHeader !== undefined) ? savedHeader : Trends.Data.DataConvertor.detectHeader(orientedValue);
+                this.firstColumnIsLabels = (savedLabels !== null && savedLabels !== undefined) ? savedLabels : true;
+                $("#first-row-is-header").prop("checked", this.firstRowIsHeader);
+                $("#first-column-is-labels").prop("checked", this.firstColumnIsLabels);
+                $("#first-row-is-header-text").text(BindingPaneSpecific.getHeaderOptionText(this.orientation));
+                $("#first-column-is-labels-text").text(BindingPaneSpecific.getLabelsOptionText(this.orientation));
+                $("#read-options").show();
+                this.showSelectionPreview();
+            };
+            BindingPaneSpecific.prototype.showSelectionPreview = function () {
+                var _this = this;
+                var isSeriesInRows = this.orientation === DataViz.Config.Trends.Orientation.seriesInRows;
+                this.showPreview(this.selectedValue, DataViz.Resources.BindingPane.previewSubtitle, function (row, column) {
+                    var isHeader = _this.firstRowIsHeader && (isSeriesInRows ? column : row) === 0;
+                    var isLabel = _this.firstColumnIsLabels && (isSeriesInRows ? row : column) === 0;
+                    if (isHeader && isLabel) {
+                        return "preview-unused-cell";
+                    }
+                    return isHeader ? "preview-header-cell" : (isLabel ? "preview-label-cell" : "");
+                });
+            };
+            BindingPaneSpecific.prototype.hideSelectionPreview = function () {
+                if (this.selectedValue) {
+                    this.selectedValue = null;
+                    $("#read-options").hide();
+                    this.showSampleData();
+                }
+            };
+            BindingPaneSpecific.prototype.isFirstColumnNonEmpty = function (value) {
+                if (!value) {
+                    return false;
+                }
+                for (var i = 0; i < value.length; i++) {
+                    if (value[i] && this.isDataValid(value[i][0])) {
+                        return true;
+                    }
+                }
+                return false;
+            };
+            BindingPaneSpecific.prototype.isSecondColumnHasNumber = function (value) {
+                if (!value) {
+                    return false;
+                }
+                for (var i = 0; i < value.length; i++) {
+                    if (value[i] && this.isDataValid(value[i][1]) && !isNaN(parseFloat(value[i][1]))) {
+                        return true;
+                    }
+                }
+                return false;
+            };
+            BindingPaneSpecific.prototype.isFirstRowNonEmpty = function (value) {
+                if (!value || !value[0]) {
+                    return false;
+                }
+                for (var i = 0; i < value[0].length; i++) {
+                    if (this.isDataValid(value[0][i])) {
+                        return true;
+                    }
+                }
+                return false;
+            };
+            BindingPaneSpecific.prototype.isDataValid = function (data) {
+                return (data !== null) && (data !== undefined) && (data.toString().trim() !== "");
+            };
+            //This method is for en-us culture only.
+            BindingPaneSpecific.getPluralString = function (combinedStr, count) {
+                var pluralStringArray = combinedStr.split("||");
+                if (pluralStringArray.length !== 2) {
+                    throw "Error: Provided string variations do not match expected amount";
+                }
+                return count === 1 ? pluralStringArray[0] : pluralStringArray[1];
+            };
+            return BindingPaneSpecific;
+        }(UX.BindingPane));
+        UX.BindingPaneSpecific = BindingPaneSpecific;
+    })(UX = DataViz.UX || (DataViz.UX = {}));
+})(DataViz || (DataViz = {}));
+/* **************************************************************************************
+Copyright (c) Microsoft Open Technologies, Inc. All rights reserved. Licensed under the Apache License, Version 2.0.
+See License.txt in the project root for license information.
+***************************************************************************************** */
+///<reference path="../../logic/shared/config.ts"/>
+///<reference path="../../logic/shared/skus.ts"/>
+///<reference path="../../logic/shared/decoration.ts"/>
+///<reference path="../../app.ts"/>
+/**
+  * This modules contains the implementation of the galleries
+  */
+var DataViz;
+(function (DataViz) {
+    var UX;
+    (function (UX) {
+        var Shared;
+        (function (Shared) {
+            /**
+              * The base class of all the gallery classes
+              */
+            var BaseGallery = (function () {
+                function BaseGallery(parentId, iconStyle, configurationKey) {
+                    this.parentId = parentId;
+                    this.iconStyle = iconStyle;
+                    this.configurationKey = configurationKey;
+                    this.reentryFlag = false;
+                }
+                /**
+                  * Sets up the listeners
+                  */
+                BaseGallery.prototype.setupListener = function () {
+                    DataViz.mainApp.Configuration.registerListener(this);
+                };
+                /**
+                  * Populates the gallery
+                  */
+                BaseGallery.prototype.populate = function (iconNames) {
+                    this.refreshList();
+                    var currentWidth = 0;
+                    var marginTopFromParent = this.iconStyle.marginTop;
+                    $("#" + this.parentId + " > img").remove();
+                    for (var index = 0; index < this.icons.length; index++) {
+                        var nextWidth = currentWidth + this.iconStyle.marginLeft + this.iconStyle.width;
+                        if (nextWidth > 210) {
+                            if (currentWidth > 0) {
+                                currentWidth = 0;
+                                nextWidth = currentWidth + this.iconStyle.marginLeft + this.iconStyle.width;
+                                marginTopFromParent = marginTopFromParent + this.iconStyle.marginTop + this.iconStyle.height;
+                            }
+                        }
+                        var marginLeftFromParent = currentWidth + this.iconStyle.marginLeft;
+                        $("#" + this.parentId).append("<img id=" + this.icons[index].id + " src=" + this.icons[index].thumbnail
+                            + " style= 'width:" + this.iconStyle.width + "px; height:" + this.iconStyle.height + "px; margin-left:"
+                            + marginLeftFromParent + "px; margin-top:" + marginTopFromParent + "px; cursor: pointer; position:absolute'; class ='gallery-item';"
+                            + "alt='" + iconNames[index] + "' title='" + iconNames[index] + "' tabindex='1';/>");
+                        currentWidth = nextWidth;
+                        this.setIconClickListener(this.icons[index].id, index);
+                    }
+                    this.updatePaneBorder(this.currentIconId);
+                };
+                /**
+                  * Refreshes the list of the backed customizable items
+                  * This ought to be "protected" but unfortunately TypeScript doesn't support "protected" members when the source code is published.
+                 */
+                BaseGallery.prototype.refreshList = function () {
+                    // Implement in sub-classes
+                };
+                /**
+                  * Implementing {@link IConfigurationChangeListener#onConfigurationChanged}
+                  */
+                BaseGallery.prototype.onConfigurationChanged = function (key, value) {
+                    if ((key === this.configurationKey) && !this.reentryFlag) {
+                        this.currentIconId = value;
+                    }
+                };
+                BaseGallery.prototype.updatePaneBorder = function (iconId) {
+                    for (var index = 0; index < this.icons.length; index++) {
+                        if (this.icons[index].id === iconId) {
+                            $("#" + this.icons[index].id).removeClass("gallery-item");
+                            $("#" + this.icons[index].id).addClass("gallery-item-click");
+                        }
+                        else {
+                            $("#" + this.icons[index].id).removeClass("gallery-item-click");
+                            $("#" + this.icons[index].id).addClass("gallery-item");
+                        }
+                    }
+                };
+                BaseGallery.prototype.setIconClickListener = function (iconId, index) {
+                    var _this = this;
+                    $("#" + iconId).off("click");
+                    $("#" + iconId)
+                        .data("iconIndex", index)
+                        .click(function (event) {
+                        _this.iconClickAction(event, index);
+                    })
+                        .keydown(function (event) {
+                        if (event.which === 13) {
+                            _this.iconClickAction(event, index);
+                        } // Check the enter key.
+                        // Todo: We should have a keymap in the common code.
+                    });
+                };
+                BaseGallery.prototype.iconClickAction = function (event, index) {
+                    var iconIndex = $(event.target).data("iconIndex");
+                    var iconId = this.icons[iconIndex].id;
+                    this.updatePaneBorder(iconId);
+                    this.apply(iconId);
+                };
+                BaseGallery.prototype.apply = function (iconId) {
+                    this.reentryFlag = true;
+                    DataViz.mainApp.Configuration.set(this.configurationKey, iconId);
+                    this.reentryFlag = false;
+                };
+                return BaseGallery;
+            }());
+            Shared.BaseGallery = BaseGallery;
+            /**
+              * The theme gallery
+              */
+            var ThemeGallery = (function (_super) {
+                __extends(ThemeGallery, _super);
+                /* private */ function ThemeGallery(parentId, iconStyle, configurationKey) {
+                    _super.call(this, parentId, iconStyle, configurationKey);
+                }
+                /**
+                  * Builds and returns a theme gallery instance
+                  * @returns {ThemeGallery} A theme gallery instance
+                  */
+                ThemeGallery.build = function () {
+                    return new ThemeGallery("theme-pane", { marginLeft: 10, marginTop: 10, width: 90, height: 40 }, DataViz.Config.wellKnownKeys.theme);
+                };
+                /**
+                  * Overriding {@link BaseGallery#refreshList}
+                  */
+                ThemeGallery.prototype.refreshList = function () {
+                    this.icons = DataViz.Decoration.ThemeProvider.Instance.enumerateForSku(DataViz.SKUs.SKUProvider.Instance.CurrentSKUId);
+                    this.currentIconId = DataViz.Decoration.ThemeProvider.Instance.CurrentThemeId;
+                };
+                return ThemeGallery;
+            }(UX.Shared.BaseGallery));
+            Shared.ThemeGallery = ThemeGallery;
+            /**
+              * The shape gallery
+              */
+            var ShapeGallery = (function (_super) {
+                __extends(ShapeGallery, _super);
+                /* private */ function ShapeGallery(parentId, iconStyle, configurationKey) {
+                    _super.call(this, parentId, iconStyle, configurationKey);
+                }
+                /**
+                  * Builds and returns a shape gallery instance
+                  * @returns {ShapeGallery} A shape gallery instance
+                  */
+                ShapeGallery.build = function () {
+                    return new ShapeGallery("shape-pane", { marginLeft: 10, marginTop: 10, width: 40, height: 40 }, DataViz.Config.wellKnownKeys.shape);
+                };
+                /**
+                  * Overriding {@link BaseGallery#refreshList}
+                  */
+                ShapeGallery.prototype.refreshList = function () {
+                    this.icons = DataViz.Decoration.ShapeProvider.Instance.enumerateForSku(DataViz.SKUs.SKUProvider.Instance.CurrentSKUId);
+                    this.currentIconId = DataViz.Decoration.ShapeProvider.Instance.CurrentShapeId;
+                };
+                return ShapeGallery;
+            }(UX.Shared.BaseGallery));
+            Shared.ShapeGallery = ShapeGallery;
+            /**
+              * The chart type (SKU) gallery
+              */
+            var TypeGallery = (function (_super) {
+                __extends(TypeGallery, _super);
+                /* private */ function TypeGallery(parentId, iconStyle, configurationKey) {
+                    _super.call(this, parentId, iconStyle, configurationKey);
+                }
+                /**
+                  * Builds and returns a chart type (SKU) gallery instance
+                  * @returns {TypeGallery} A chart type gallery instance
+                  */
+                TypeGallery.build = function () {
+                    return new TypeGallery("type-pane", { marginLeft: 10, marginTop: 10, width: 90, height: 40 }, DataViz.Config.wellKnownKeys.sku);
+                };
+                /**
+                  * Overriding {@link BaseGallery#refreshList}
+                  */
+                TypeGallery.prototype.refreshList = function () {
+                    this.icons = DataViz.SKUs.SKUProvider.Instance.SKUs;
+                    this.currentIconId = DataViz.SKUs.SKUProvider.Instance.CurrentSKUId;
+                };
+                return TypeGallery;
+            }(UX.Shared.BaseGallery));
+            Shared.TypeGallery = TypeGallery;
+        })(Shared = UX.Shared || (UX.Shared = {}));
+    })(UX = DataViz.UX || (DataViz.UX = {}));
+})(DataViz || (DataViz = {}));
+/* **************************************************************************************
+Copyright (c) Microsoft Open Technologies, Inc. All rights reserved. Licensed under the Apache License, Version 2.0.
+See License.txt in the project root for license information.
+***************************************************************************************** */
+///<reference path="../app.ts"/>
+///<reference path="shared/Galleries.ts"/>
+var DataViz;
+(function (DataViz) {
+    var UX;
+    (function (UX) {
+        var SettingPane = (function () {
+            function SettingPane() {
+                var _this = this;
+                this.menuButtonMap = [
+                    { buttonId: "theme-button", paneId: "theme-pane", lastTabId: "blackwhite" },
+                    { buttonId: "axis-button", paneId: "axis-pane", lastTabId: "axis-compact" },
+                    // The last chart type is only known once the SKUs are loaded
+                    { buttonId: "type-button", paneId: "type-pane", lastTabId: "" },
+                ];
+                $("#setting-pane-title").text(DataViz.Resources.SettingPane.header);
+                $("#theme-button").text(DataViz.Resources.SettingPane.themeTab);
+                $("#type-button").text(DataViz.Resources.SettingPane.typeTab);
+                this.setAxisTexts();
+                $("#setting-pane").off("click");
+                $("#setting-pane").click(function () {
+                    // The other tabs have their own controls, which keep the focus
+                    if (SettingPane.currentButtonId === "theme-button") {
+                        $("#" + DataViz.mainApp.Configuration.get(DataViz.Config.wellKnownKeys.theme)).focus();
+                    }
+                    else if (SettingPane.currentButtonId === "type-button") {
+                        $("#" + DataViz.mainApp.Configuration.get(DataViz.Config.wellKnownKeys.sku)).focus();
+                    }
+                });
+                var backButton = $("#setting-back-button");
+                backButton.attr("alt", DataViz.Resources.UI.backButtonTitle);
+                backButton.attr("title", DataViz.Resources.UI.backButtonTitle);
+                backButton.off("click");
+                backButton.click(function () {
+                    _this.hide();
+                }).keydown(function (event) {
+                    if (event.which === 13) {
+                        _this.hide();
+                    } // Check the enter key.
+                });
+                this.themeGallery = UX.Shared.ThemeGallery.build();
+                this.typeGallery = UX.Shared.TypeGallery.build();
+                this.setAxisEventHandlers();
+                this.setMenuClickListener();
+                this.showInternalPane("theme-pane");
+            }
+            SettingPane.prototype.setupListeners = function () {
+                this.themeGallery.setupListener();
+                this.typeGallery.setupListener();
+            };
+            Object.defineProperty(SettingPane, "Instance", {
                 get: function () {
-                    return ScriptsResources.SampleDataTime9;
+                    if (!SettingPane.theInstance) {
+                        SettingPane.theInstance = new SettingPane();
+                    }
+                    return SettingPane.theInstance;
                 },
                 enumerable: true,
                 configurable: true
             });
-            return SampleData;
+            SettingPane.prototype.show = function () {
+                $("#setting-pane").show();
+                $("#setting-pane").animate({ width: "220px", height: "100%", float: "right" }, "fast");
+                $("#" + DataViz.mainApp.Configuration.get(DataViz.Config.wellKnownKeys.theme)).focus();
+                this.updateAxisOptions();
+            };
+            SettingPane.prototype.hide = function () {
+                if ($("#setting-pane")[0].style.width > "0 px") {
+                    $("#setting-pane").animate({ width: "0px", height: "100%", float: "right" }, "fast", null, function () { $("#setting-pane").hide(); });
+                }
+            };
+            SettingPane.prototype.populate = function () {
+                this.themeGallery.populate(DataViz.Resources.SettingPane.themeTitles);
+                var skus = DataViz.SKUs.SKUProvider.Instance.SKUs;
+                this.typeGallery.populate(skus.map(function (sku) {
+                    return sku.displayName;
+                }));
+                this.menuButtonMap.forEach(function (menuButton) {
+                    if (menuButton.paneId === "type-pane") {
+                        menuButton.lastTabId = skus[skus.length - 1].id;
+                    }
+                });
+            };
+            SettingPane.prototype.setMenuClickListener = function () {
+                var _this = this;
+                for (var index = 0; index < this.menuButtonMap.length; index++) {
+                    $("#" + this.menuButtonMap[index].buttonId).off("click");
+                    $("#" + this.menuButtonMap[index].buttonId)
+                        .data("menuButtonIndex", index)
+                        .click(function (event) {
+                        _this.menuClickAction(event);
+                    })
+                        .keydown(function (event) {
+                        if (event.which === 13) {
+                            _this.menuClickAction(event);
+                        } // Check the enter key.
+                    });
+                }
+            };
+            SettingPane.prototype.menuClickAction = function (event) {
+                var menuButtonIndex = $(event.target).data("menuButtonIndex");
+                this.showInternalPane(this.menuButtonMap[menuButtonIndex].paneId);
+            };
+            SettingPane.prototype.showInternalPane = function (paneId) {
+                for (var index = 0; index < this.menuButtonMap.length; index++) {
+                    if (this.menuButtonMap[index].paneId === paneId) {
+                        $("#" + this.menuButtonMap[index].paneId).show();
+                        $("#" + this.menuButtonMap[index].buttonId).addClass("setting-tab-click");
+                        SettingPane.currentButtonId = this.menuButtonMap[index].buttonId;
+                        DataViz.Utils.setTabFocus("setting-pane", "setting-back-button", this.menuButtonMap[index].lastTabId);
+                    }
+                    else {
+                        $("#" + this.menuButtonMap[index].paneId).hide();
+                        $("#" + this.menuButtonMap[index].buttonId).removeClass("setting-tab-click");
+                    }
+                }
+            };
+            SettingPane.prototype.setAxisTexts = function () {
+                $("#axis-button").text(DataViz.Resources.SettingPane.axisTab);
+                $("#axis-scale-title").text(DataViz.Resources.SettingPane.axisScale);
+                $("#axis-scale-linear").text(DataViz.Resources.SettingPane.axisScaleLinear);
+                $("#axis-scale-log").text(DataViz.Resources.SettingPane.axisScaleLog);
+                $("#axis-min-text").text(DataViz.Resources.SettingPane.axisMinimum);
+                $("#axis-max-text").text(DataViz.Resources.SettingPane.axisMaximum);
+                $("#axis-includes-zero-text").text(DataViz.Resources.SettingPane.axisIncludeZero);
+                $("#axis-tick-number-text").text(DataViz.Resources.SettingPane.axisTickNumber);
+                $("#axis-compact-text").text(DataViz.Resources.SettingPane.axisCompact);
+                $("#axis-min, #axis-max, #axis-tick-number").attr("placeholder", DataViz.Resources.SettingPane.axisAuto);
+            };
+            SettingPane.prototype.setAxisEventHandlers = function () {
+                var _this = this;
+                $("#axis-scale-select, #axis-min, #axis-max, #axis-includes-zero, #axis-tick-number").off("change");
+                $("#axis-scale-select, #axis-min, #axis-max, #axis-includes-zero, #axis-tick-number").change(function () {
+                    var tickNumber = SettingPane.parseNumber($("#axis-tick-number").val());
+                    var options = {
+                        scale: $("#axis-scale-select").val(),
+                        min: SettingPane.parseNumber($("#axis-min").val()),
+                        max: SettingPane.parseNumber($("#axis-max").val()),
+                        includesZero: $("#axis-includes-zero").prop("checked"),
+                        tickNumber: (tickNumber > 0) ? Math.floor(tickNumber) : null
+                    };
+                    DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.yAxisOptions, options);
+                    _this.updateAxisOptions();
+                });
+                $("#axis-compact").off("change");
+                $("#axis-compact").change(function () {
+                    DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.compactNumbers, $("#axis-compact").prop("checked"));
+                });
+            };
+            /**
+              * Shows the saved y axis and number settings. An empty box means the value is picked automatically.
+              */
+            SettingPane.prototype.updateAxisOptions = function () {
+                var options = DataViz.mainApp.Configuration.get(DataViz.Config.Trends.wellKnownKeys.yAxisOptions);
+                options = options ? options : {};
+                var isLog = options.scale === DataViz.Config.Trends.YScale.log;
+                $("#axis-scale-select").val(isLog ? DataViz.Config.Trends.YScale.log : DataViz.Config.Trends.YScale.linear);
+                $("#axis-min").val(SettingPane.formatNumber(options.min));
+                $("#axis-max").val(SettingPane.formatNumber(options.max));
+                $("#axis-tick-number").val(SettingPane.formatNumber(options.tickNumber));
+                // A logarithmic scale never reaches zero
+                $("#axis-includes-zero").prop("checked", options.includesZero === true && !isLog).prop("disabled", isLog);
+                $("#axis-compact").prop("checked", DataViz.mainApp.Configuration.get(DataViz.Config.Trends.wellKnownKeys.compactNumbers) === true);
+            };
+            SettingPane.parseNumber = function (text) {
+                var value = parseFloat(text);
+                return isFinite(value) ? value : null;
+            };
+            SettingPane.formatNumber = function (value) {
+                return (typeof value === "number" && isFinite(value)) ? value.toString() : "";
+            };
+            SettingPane.currentButtonId = "theme-button";
+            return SettingPane;
+        }());
+        UX.SettingPane = SettingPane;
+    })(UX = DataViz.UX || (DataViz.UX = {}));
+})(DataViz || (DataViz = {}));
+/* **************************************************************************************
+Copyright (c) Microsoft Open Technologies, Inc. All rights reserved. Licensed under the Apache License, Version 2.0.
+See License.txt in the project root for license information.
+***************************************************************************************** */
+///<reference path="shared/utils.ts"/>
+///<reference path="data.convertor.agave.ts"/>
+///<reference path="configurator.agave.ts"/>
+/**
+  * This module contains the least-squares fits of the trendlines
+  */
+var Trends;
+(function (Trends) {
+    var Data;
+    (function (Data) {
+        "use strict";
+        /**
+          * This calculates the trendlines of the lines
+          */
+        var Trendline = (function () {
+            function Trendline() {
+            }
+            /**
+              * Fits a trendline to the points of a line with the least squares method. The points the gap mode filled in are left out, since they weren't measured.
+              * @param {PointDataOnLine[]} points The points of the line
+              * @param {BindingData} data The data the line belongs to
+              * @param {LineTrendline} settings The trendline settings of the line
+              * @returns {TrendlineFit} The trendline, or null if it can't be fitted to the points
+              */
+            Trendline.fit = function (points, data, settings) {
+                var degree = (settings.type === DataViz.Config.Trends.TrendlineType.polynomial) ? Trendline.getDegree(settings) : 1;
+                var isExponential = settings.type === DataViz.Config.Trends.TrendlineType.exponential;
+                points = points.filter(function (point) {
+                    return !point.isMissing;
+                });
+                if (points.length <= degree) {
+                    return null;
+                }
+                // An exponential fit is a linear fit of the logarithms, so it needs all the values to be positive
+                if (isExponential && points.some(function (point) { return point.unformatted <= 0; })) {
+                    return null;
+                }
+                var xs = points.map(function (point) {
+                    return Trendline.toPeriod(data, point.originalIndex);
+                });
+                var ys = points.map(function (point) {
+                    return isExponential ? Math.log(point.unformatted) : point.unformatted;
+                });
+                var fit = Trendline.fitValues(xs, ys, degree, settings.type);
+                if (fit) {
+                    fit.endPeriod += Math.max(settings.forecast ? Math.floor(settings.forecast) : 0, 0);
+                }
+                return fit;
+            };
+            /**
+              * Fits a polynomial to some values with the least squares method. The fit of an exponential trendline is the fit of the logarithms of its values.
+              * @param {number[]} xs The x values, in any order
+              * @param {number[]} ys The y values, or their logarithms for an exponential trendline
+              * @param {number} degree The degree of the polynomial
+              * @param {string} type One of the values of DataViz.Config.Trends.TrendlineType
+              * @returns {TrendlineFit} The fit from the smallest to the largest x value, or null if the values have no single fit
+              */
+            Trendline.fitValues = function (xs, ys, degree, type) {
+                if (xs.length <= degree) {
+                    return null;
+                }
+                // The x values are centered and scaled, since the powers of large period numbers lose precision
+                var min = d3.min(xs);
+                var max = d3.max(xs);
+                var center = (min + max) / 2;
+                var scale = Math.max((max - min) / 2, 1);
+                var coefficients = Trendline.solveLeastSquares(xs.map(function (x) { return (x - center) / scale; }), ys, degree);
+                if (!coefficients) {
+                    return null;
+                }
+                var fit = {
+                    type: type,
+                    coefficients: coefficients,
+                    center: center,
+                    scale: scale,
+                    rSquared: 0,
+                    startPeriod: min,
+                    endPeriod: max
+                };
+                // Like in Excel, the R² of an exponential fit is the one of the linear fit of the logarithms
+                var mean = ys.reduce(function (sum, y) { return sum + y; }, 0) / ys.length;
+                var totalSquares = 0;
+                var residualSquares = 0;
+                xs.forEach(function (x, index) {
+                    var fitted = Trendline.evaluate(fit, x);
+                    totalSquares += (ys[index] - mean) * (ys[index] - mean);
+                    residualSquares += (ys[index] - fitted) * (ys[index] - fitted);
+                });
+                fit.rSquared = (totalSquares === 0) ? 1 : 1 - residualSquares / totalSquares;
+                return fit;
+            };
+            /**
+              * Gets the Pearson correlation coefficient of two lists of values
+              * @param {number[]} xs The first values
+              * @param {number[]} ys The second values, in the order of the first ones
+              * @returns {number} The coefficient from -1 to 1, or null if there are fewer than two pairs or either list has no spread
+              */
+            Trendline.correlate = function (xs, ys) {
+                if (xs.length < 2) {
+                    return null;
+                }
+                var meanX = xs.reduce(function (sum, x) { return sum + x; }, 0) / xs.length;
+                var meanY = ys.reduce(function (sum, y) { return sum + y; }, 0) / ys.length;
+                var products = 0;
+                var squaresX = 0;
+                var squaresY = 0;
+                xs.forEach(function (x, index) {
+                    products += (x - meanX) * (ys[index] - meanY);
+                    squaresX += (x - meanX) * (x - meanX);
+                    squaresY += (ys[index] - meanY) * (ys[index] - meanY);
+                });
+                if (squaresX === 0 || squaresY === 0) {
+                    return null;
+                }
+                // Rounding can take the coefficient of values on a straight line just past 1
+                return Math.min(Math.max(products / Math.sqrt(squaresX * squaresY), -1), 1);
+            };
+            /**
+              * Gets the value of a trendline at a period
+              * @param {TrendlineFit} fit The trendline
+              * @param {number} period The period number
+              * @returns {number} The value
+              */
+            Trendline.predict = function (fit, period) {
+                var value = Trendline.evaluate(fit, period);
+                return (fit.type === DataViz.Config.Trends.TrendlineType.exponential) ? Math.exp(value) : value;
+            };
+            /**
+              * Gets the equation of a trendline, for example "y = 1.5x + 2"
+              * @param {TrendlineFit} fit The trendline
+              * @returns {string} The equation
+              */
+            Trendline.getEquation = function (fit) {
+                var coefficients = Trendline.expand(fit);
+                if (fit.type === DataViz.Config.Trends.TrendlineType.exponential) {
+                    return "y = " + Trendline.formatCoefficient(Math.exp(coefficients[0])) + "e^(" + Trendline.formatCoefficient(coefficients[1]) + "x)";
+                }
+                var terms = "";
+                for (var power = coefficients.length - 1; power >= 0; power--) {
+                    var coefficient = Trendline.round(coefficients[power]);
+                    if (coefficient === 0 && (power > 0 || terms)) {
+                        continue;
+                    }
+                    var text = Trendline.formatCoefficient(Math.abs(coefficient)) + ((power > 0) ? "x" + Trendline.superscripts[power] : "");
+                    if (!terms) {
+                        terms = (coefficient < 0) ? "-" + text : text;
+                    }
+                    else {
+                        terms += ((coefficient < 0) ? " - " : " + ") + text;
+                    }
+                }
+                return "y = " + terms;
+            };
+            /**
+              * Gets the period number of a column. If the x values are dates, a period is the average time between two columns.
+              * @param {BindingData} data The data
+              * @param {number} column The index of the column
+              * @returns {number} The period number
+              */
+            Trendline.toPeriod = function (data, column) {
+                if (!data.xDates) {
+                    return column + 1;
+                }
+                return (data.xDates[column].getTime() - data.xDates[0].getTime()) / Trendline.getPeriodLength(data) + 1;
+            };
+            /**
+              * Gets the x value of a period, which is a date if the x values are dates, and the index of a column otherwise
+              * @param {BindingData} data The data
+              * @param {number} period The period number
+              * @returns {any} The x value
+              */
+            Trendline.fromPeriod = function (data, period) {
+                if (!data.xDates) {
+                    return period - 1;
+                }
+                return new Date(data.xDates[0].getTime() + (period - 1) * Trendline.getPeriodLength(data));
+            };
+            Trendline.getPeriodLength = function (data) {
+                var columnNumber = data.xDates.length;
+                var length = (columnNumber > 1) ? (data.xDates[columnNumber - 1].getTime() - data.xDates[0].getTime()) / (columnNumber - 1) : 0;
+                // All the dates are the same, so take a day as the period
+                return (length > 0) ? length : 86400000;
+            };
+            Trendline.getDegree = function (settings) {
+                var degree = settings.degree ? Math.floor(settings.degree) : Trendline.defaultDegree;
+                return Math.min(Math.max(degree, Trendline.minDegree), Trendline.maxDegree);
+            };
+            /**
+              * Evaluates the polynomial of a trendline, before the exponential of an exponential trendline is taken
+              */
+            Trendline.evaluate = function (fit, period) {
+                var u = (period - fit.center) / fit.scale;
+                var value = 0;
+                for (var power = fit.coefficients.length - 1; power >= 0; power--) {
+                    value = value * u + fit.coefficients[power];
+                }
+                return value;
+            };
+            /**
+              * Expands the polynomial in (x - center) / scale into a polynomial in x
+              * @returns {number[]} The coefficients in x, starting with the constant
+              */
+            Trendline.expand = function (fit) {
+                var expanded = fit.coefficients.map(function () { return 0; });
+                // The powers of (x - center) / scale, as polynomials in x
+                var power = [1];
+                fit.coefficients.forEach(function (coefficient, degree) {
+                    power.forEach(function (term, index) {
+                        expanded[index] += coefficient * term;
+                    });
+                    var next = power.map(function () { return 0; }).concat([0]);
+                    power.forEach(function (term, index) {
+                        next[index + 1] += term / fit.scale;
+                        next[index] -= term * fit.center / fit.scale;
+                    });
+                    power = next;
+                });
+                // What the expansion leaves of a zero coefficient is rounding noise
+                var largest = d3.max(expanded, function (coefficient) { return Math.abs(coefficient); });
+                return expanded.map(function (coefficient) {
+                    return (Math.abs(coefficient) < largest * 1e-10) ? 0 : coefficient;
+                });
+            };
+            /**
+              * Solves the normal equations of a polynomial least-squares fit by Gaussian elimination
+              * @returns {number[]} The coefficients, starting with the constant, or null if the equations have no single solution
+              */
+            Trendline.solveLeastSquares = function (xs, ys, degree) {
+                var size = degree + 1;
+                var matrix = [];
+                for (var row = 0; row < size; row++) {
+                    matrix.push([]);
+                    for (var column = 0; column <= size; column++) {
+                        matrix[row].push(0);
+                    }
+                }
+                xs.forEach(function (x, index) {
+                    for (var row = 0; row < size; row++) {
+                        for (var column = 0; column < size; column++) {
+                            matrix[row][column] += Math.pow(x, row + column);
+                        }
+                        matrix[row][size] += Math.pow(x, row) * ys[index];
+                    }
+                });
+                for (var pivot = 0; pivot < size; pivot++) {
+                    var best = pivot;
+                    for (var row = pivot + 1; row < size; row++) {
+                        if (Math.abs(matrix[row][pivot]) > Math.abs(matrix[best][pivot])) {
+                            best = row;
+                        }
+                    }
+                    if (Math.abs(matrix[best][pivot]) < 1e-12) {
+                        return null;
+                    }
+                    var swapped = matrix[pivot];
+                    matrix[pivot] = matrix[best];
+                    matrix[best] = swapped;
+                    for (var row = 0; row < size; row++) {
+                        if (row !== pivot) {
+                            var factor = matrix[row][pivot] / matrix[pivot][pivot];
+                            for (var column = pivot; column <= size; column++) {
+                                matrix[row][column] -= factor * matrix[pivot][column];
+                            }
+                        }
+                    }
+                }
+                return matrix.map(function (row, index) {
+                    return row[size] / row[index];
+                });
+            };
+            Trendline.round = function (value) {
+                return Number(value.toPrecision(Trendline.significantDigits));
+            };
+            Trendline.formatCoefficient = function (value) {
+                return Trendline.round(value).toString();
+            };
+            Trendline.minDegree = 2;
+            Trendline.maxDegree = 6;
+            Trendline.defaultDegree = 2;
+            Trendline.superscripts = ["", "", "²", "³", "⁴", "⁵", "⁶"];
+            Trendline.significantDigits = 4;
+            return Trendline;
         }());
-        Resources.SampleData = SampleData;
-        var Pluralization = (function () {
-            function Pluralization() {
+        Data.Trendline = Trendline;
+    })(Data = Trends.Data || (Trends.Data = {}));
+})(Trends || (Trends = {}));
+/* **************************************************************************************
+Copyright (c) Microsoft Open Technologies, Inc. All rights reserved. Licensed under the Apache License, Version 2.0.
+See License.txt in the project root for license information.
+***************************************************************************************** */
+///<reference path="shared/utils.ts"/>
+///<reference path="data.convertor.agave.ts"/>
+///<reference path="configurator.agave.ts"/>
+/**
+  * This module contains the rules that pick the points of a line to highlight
+  */
+var Trends;
+(function (Trends) {
+    var Data;
+    (function (Data) {
+        "use strict";
+        /**
+          * This evaluates the highlight rules of the lines. The points the lines have filled in for missing values are never picked.
+          */
+        var HighlightRules = (function () {
+            function HighlightRules() {
             }
-            Object.defineProperty(Pluralization, "rows", {
-                get: function () {
-                    return ScriptsResources.PluralizationRows;
-                },
-                enumerable: true,
-                configurable: true
-            });
-            Object.defineProperty(Pluralization, "columns", {
+            /**
+              * Adds a highlight rule that lines can use, or replaces the one of the same type
+              * @param {string} type The type of the rule
+              * @param {HighlightRuleFunction} ruleFunction The function that picks the points of the rule
+              */
+            HighlightRules.registerRule = function (type, ruleFunction) {
+                HighlightRules.RuleFunctions[type] = ruleFunction;
+            };
+            /**
+              * Picks the points of a line its highlight rules highlight
+              * @param {PointDataOnLine[]} points The points of the line
+              * @param {LineHighlightRule[]} rules The highlight rules of the line
+              * @returns {number[]} The columns of the picked points, in order
+              */
+            HighlightRules.evaluate = function (points, rules) {
+                var values = points.filter(function (point) {
+                    return !point.isMissing && point.unformatted !== null && isFinite(point.unformatted);
+                });
+                var columns = [];
+                rules.forEach(function (rule) {
+                    var ruleFunction = rule ? HighlightRules.RuleFunctions[rule.type] : null;
+                    if (!ruleFunction || values.length === 0) {
+                        return;
+                    }
+                    ruleFunction(values, rule).forEach(function (point) {
+                        if (columns.indexOf(point.originalIndex) === -1) {
+                            columns.push(point.originalIndex);
+                        }
+                    });
+                });
+                return columns.sort(function (a, b) {
+                    return a - b;
+                });
+            };
+            /**
+              * Gets the number of points of a top-N rule
+              */
+            HighlightRules.getCount = function (rule) {
+                return (rule.count >= 1) ? Math.floor(rule.count) : HighlightRules.defaultCount;
+            };
+            Object.defineProperty(HighlightRules, "RuleFunctions", {
+                /**
+                  * Gets the highlight rules that lines can use, starting with the built-in ones
+                  */
                 get: function () {
-                    return ScriptsResources.PluralizationColumns;
+                    if (!HighlightRules.ruleFunctions) {
+                        HighlightRules.ruleFunctions = {};
+                        HighlightRules.ruleFunctions[DataViz.Config.Trends.HighlightRuleType.maximum] = HighlightRules.maximum;
+                        HighlightRules.ruleFunctions[DataViz.Config.Trends.HighlightRuleType.minimum] = HighlightRules.minimum;
+                        HighlightRules.ruleFunctions[DataViz.Config.Trends.HighlightRuleType.last] = HighlightRules.last;
+                        HighlightRules.ruleFunctions[DataViz.Config.Trends.HighlightRuleType.thresholdCrossing] = HighlightRules.thresholdCrossing;
+                        HighlightRules.ruleFunctions[DataViz.Config.Trends.HighlightRuleType.topN] = HighlightRules.topN;
+                    }
+                    return HighlightRules.ruleFunctions;
                 },
                 enumerable: true,
                 configurable: true
             });
-            return Pluralization;
+            /**
+              * Picks the first point with the largest value
+              */
+            HighlightRules.maximum = function (points, rule) {
+                var maximum = points[0];
+                points.forEach(function (point) {
+                    maximum = (point.unformatted > maximum.unformatted) ? point : maximum;
+                });
+                return [maximum];
+            };
+            /**
+              * Picks the first point with the smallest value
+              */
+            HighlightRules.minimum = function (points, rule) {
+                var minimum = points[0];
+                points.forEach(function (point) {
+                    minimum = (point.unformatted < minimum.unformatted) ? point : minimum;
+                });
+                return [minimum];
+            };
+            /**
+              * Picks the latest point
+              */
+            HighlightRules.last = function (points, rule) {
+                return [points[points.length - 1]];
+            };
+            /**
+              * Picks the first point that reaches the threshold from the other side of it. A line that starts at the threshold
+              * hasn't crossed it yet.
+              */
+            HighlightRules.thresholdCrossing = function (points, rule) {
+                var threshold = rule.threshold;
+                if (threshold === null || threshold === undefined || !isFinite(threshold)) {
+                    return [];
+                }
+                for (var i = 1; i < points.length; i++) {
+                    var previous = points[i - 1].unformatted;
+                    var current = points[i].unformatted;
+                    if ((previous < threshold && current >= threshold) || (previous > threshold && current <= threshold)) {
+                        return [points[i]];
+                    }
+                }
+                return [];
+            };
+            /**
+              * Picks the points with the largest values. Of equal values, the earlier points are picked first.
+              */
+            HighlightRules.topN = function (points, rule) {
+                return points.slice(0).sort(function (a, b) {
+                    return (b.unformatted - a.unformatted) || (a.originalIndex - b.originalIndex);
+                }).slice(0, HighlightRules.getCount(rule));
+            };
+            HighlightRules.defaultCount = 3;
+            HighlightRules.ruleFunctions = null;
+            return HighlightRules;
         }());
-        Resources.Pluralization = Pluralization;
-        var BindingPane = (function () {
-            function BindingPane() {
+        Data.HighlightRules = HighlightRules;
+    })(Data = Trends.Data || (Trends.Data = {}));
+})(Trends || (Trends = {}));
+/* **************************************************************************************
+Copyright (c) Microsoft Open Technologies, Inc. All rights reserved. Licensed under the Apache License, Version 2.0.
+See License.txt in the project root for license information.
+***************************************************************************************** */
+///<reference path="shared/data.ts"/>
+///<reference path="shared/config.ts"/>
+///<reference path="shared/utils.ts"/>
+///<reference path="data.convertor.agave.ts"/>
+///<reference path="configurator.agave.ts"/>
+///<reference path="trendline.trends.ts"/>
+///<reference path="highlightrules.trends.ts"/>
+///<reference path="numberformat.trends.ts"/>
+/**
+  * This module contains the implementation of the Trends specific data transformer
+  */
+var Trends;
+(function (Trends) {
+    var Data;
+    (function (Data) {
+        "use strict";
+        /**
+          * This is the specific data transformer implementation of the app. Every line has a chain of transforms,
+          * which are applied one after another to the converted points of the line. The trendline of a line is fitted
+          * to the transformed points, and its highlight rules pick from them.
+          */
+        var DataTransformer = (function () {
+            function DataTransformer() {
+                this.lineTransforms = [];
+                this.lineTrendlines = [];
+                this.lineHighlightRules = [];
             }
-            Object.defineProperty(BindingPane, "infoNormal", {
-                get: function () {
-                    return ScriptsResources.BindingPaneInfoNormal;
-                },
-                enumerable: true,
-                configurable: true
-            });
-            Object.defineProperty(BindingPane, "infoMaxRow", {
-                get: function () {
-                    return ScriptsResources.BindingPaneInfoMaxRow;
-                },
-                enumerable: true,
-                configurable: true
-            });
-            Object.defineProperty(BindingPane, "infoMaxColumn", {
+            /**
+              * Adds a transform that lines can use, or replaces the one of the same type
+              * @param {string} type The type of the transform
+              * @param {TransformFunction} transformFunction The function that applies the transform
+              */
+            DataTransformer.registerTransform = function (type, transformFunction) {
+                DataTransformer.TransformFunctions[type] = transformFunction;
+            };
+            /**
+              * Describes a chain of transforms, for example "3-point average, % change"
+              * @param {LineTransform[]} transforms The transforms of a line
+              * @returns {string} The description, or an empty string if there are no transforms
+              */
+            DataTransformer.describe = function (transforms) {
+                if (!transforms) {
+                    return "";
+                }
+                return transforms.map(function (transform) {
+                    return DataTransformer.describeTransform(transform);
+                }).join(", ");
+            };
+            /**
+              * Describes a transform
+              * @param {LineTransform} transform The transform
+              * @returns {string} The description
+              */
+            DataTransformer.describeTransform = function (transform) {
+                switch (transform.type) {
+                    case DataViz.Config.Trends.TransformType.rollingAverage:
+                        return DataViz.Utils.stringFormat(DataViz.Resources.Transforms.rollingAverage, DataTransformer.getPeriod(transform));
+                    case DataViz.Config.Trends.TransformType.cumulativeSum:
+                        return DataViz.Resources.Transforms.cumulativeSum;
+                    case DataViz.Config.Trends.TransformType.percentChange:
+                        return DataViz.Resources.Transforms.percentChange;
+                    case DataViz.Config.Trends.TransformType.rebase:
+                        return DataViz.Resources.Transforms.rebase;
+                    default:
+                        return transform.type;
+                }
+            };
+            /**
+              * Implementing {@link ITool#resetTool}
+              */
+            DataTransformer.prototype.resetTool = function () {
+                // Do nothing. The transforms come from the configuration.
+            };
+            /**
+              * Implementing {@link IDataTransformer#transform}
+              * @param {BindingData} data The converted data
+              * @returns {BindingData} The data with the transforms of every line applied
+              */
+            DataTransformer.prototype.transform = function (data) {
+                var _this = this;
+                if (!data || !data.yData) {
+                    return data;
+                }
+                var transformedData = { header: data.header, xData: data.xData, xDates: data.xDates, yData: [] };
+                data.yData.forEach(function (line, lineId) {
+                    var points = line.data;
+                    var format = line.numberFormat ? line.numberFormat : Data.NumberFormat.General;
+                    var transforms = _this.lineTransforms[lineId] ? _this.lineTransforms[lineId] : [];
+                    transforms.forEach(function (transform) {
+                        var transformFunction = DataTransformer.TransformFunctions[transform.type];
+                        if (transformFunction) {
+                            format = DataTransformer.getTransformedFormat(format, transform);
+                            points = transformFunction(points, transform, format);
+                        }
+                    });
+                    var trendline = _this.lineTrendlines[lineId];
+                    var highlightRules = _this.lineHighlightRules[lineId];
+                    transformedData.yData.push({
+                        validDataCount: points.length,
+                        data: points,
+                        trendline: trendline ? Data.Trendline.fit(points, data, trendline) : null,
+                        ruleHighlights: highlightRules ? Data.HighlightRules.evaluate(points, highlightRules) : [],
+                        numberFormat: format
+                    });
+                });
+                return transformedData;
+            };
+            /**
+              * Implementing {@link IConfigurationChangeListener#onConfigurationChanged}
+              */
+            DataTransformer.prototype.onConfigurationChanged = function (key, value) {
+                switch (key) {
+                    case DataViz.Config.Trends.wellKnownKeys.lineTransforms:
+                        this.lineTransforms = value;
+                        break;
+                    case DataViz.Config.Trends.wellKnownKeys.lineTrendlines:
+                        this.lineTrendlines = value;
+                        break;
+                    case DataViz.Config.Trends.wellKnownKeys.lineHighlightRules:
+                        this.lineHighlightRules = value ? value : [];
+                        break;
+                }
+            };
+            Object.defineProperty(DataTransformer, "TransformFunctions", {
+                /**
+                  * Gets the transforms that lines can use, starting with the built-in ones
+                  */
                 get: function () {
-                    return ScriptsResources.BindingPaneInfoMaxColumn;
+                    if (!DataTransformer.transformFunctions) {
+                        DataTransformer.transformFunctions = {};
+                        DataTransformer.transformFunctions[DataViz.Config.Trends.TransformType.rollingAverage] = DataTransformer.rollingAverage;
+                        DataTransformer.transformFunctions[DataViz.Config.Trends.TransformType.cumulativeSum] = DataTransformer.cumulativeSum;
+                        DataTransformer.transformFunctions[DataViz.Config.Trends.TransformType.percentChange] = DataTransformer.percentChange;
+                        DataTransformer.transformFunctions[DataViz.Config.Trends.TransformType.rebase] = DataTransformer.rebase;
+                    }
+                    return DataTransformer.transformFunctions;
                 },
                 enumerable: true,
                 configurable: true
             });
-            Object.defineProperty(BindingPane, "infoMaxRowAndColumn", {
+            DataTransformer.getPeriod = function (transform) {
+                return (transform.period > 0) ? Math.floor(transform.period) : DataTransformer.defaultPeriod;
+            };
+            /**
+              * Gets the format of the values a transform gives. Averages and sums have the format of the values they are made of,
+              * while a change is a percentage and an index has no unit.
+              */
+            DataTransformer.getTransformedFormat = function (format, transform) {
+                switch (transform.type) {
+                    case DataViz.Config.Trends.TransformType.percentChange:
+                        return Data.NumberFormat.Percentage;
+                    case DataViz.Config.Trends.TransformType.rebase:
+                        return Data.NumberFormat.General;
+                    default:
+                        return format;
+                }
+            };
+            /**
+              * Creates the point that replaces a point of the line
+              * @param {boolean} [isAfterGap] Whether the line breaks before the point, which it does before the source point by default
+              */
+            DataTransformer.createPoint = function (source, value, format, isAfterGap) {
+                if (isAfterGap === void 0) { isAfterGap = source.isAfterGap; }
+                return {
+                    originalIndex: source.originalIndex,
+                    formatted: format.format(value),
+                    unformatted: value,
+                    isMissing: source.isMissing,
+                    isAfterGap: isAfterGap
+                };
+            };
+            /**
+              * Averages every point with the points before it. The window starts again after a gap, so that no average takes in the values
+              * on both sides of it, and the first average after the gap breaks the line.
+              */
+            DataTransformer.rollingAverage = function (points, transform, format) {
+                var period = DataTransformer.getPeriod(transform);
+                var result = [];
+                var sum = 0;
+                var windowStart = 0;
+                var isAfterGap = false;
+                points.forEach(function (point, index) {
+                    if (point.isAfterGap) {
+                        sum = 0;
+                        windowStart = index;
+                        isAfterGap = true;
+                    }
+                    sum += point.unformatted;
+                    if (index - windowStart >= period) {
+                        sum -= points[index - period].unformatted;
+                    }
+                    // A point gets a value once its window is full
+                    if (index - windowStart >= period - 1) {
+                        result.push(DataTransformer.createPoint(point, sum / period, format, isAfterGap));
+                        isAfterGap = false;
+                    }
+                });
+                return result;
+            };
+            DataTransformer.cumulativeSum = function (points, transform, format) {
+                var sum = 0;
+                return points.map(function (point) {
+                    sum += point.unformatted;
+                    return DataTransformer.createPoint(point, sum, format);
+                });
+            };
+            /**
+              * Gets the change of every point from the point before it. There's no change across a gap, and the first change after the gap breaks the line.
+              */
+            DataTransformer.percentChange = function (points, transform, format) {
+                var result = [];
+                var isAfterGap = false;
+                points.forEach(function (point, index) {
+                    isAfterGap = isAfterGap || point.isAfterGap;
+                    // There's no change for the first point, nor from a zero
+                    var previous = (index > 0 && !point.isAfterGap) ? points[index - 1].unformatted : 0;
+                    if (previous !== 0) {
+                        result.push(DataTransformer.createPoint(point, (point.unformatted - previous) / Math.abs(previous), format, isAfterGap));
+                        isAfterGap = false;
+                    }
+                });
+                return result;
+            };
+            DataTransformer.rebase = function (points, transform, format) {
+                // The line starts at the first value that isn't zero, since nothing can be scaled from a zero
+                var baseIndex = 0;
+                while (baseIndex < points.length && points[baseIndex].unformatted === 0) {
+                    baseIndex++;
+                }
+                if (baseIndex === points.length) {
+                    return [];
+                }
+                var base = points[baseIndex].unformatted;
+                return points.slice(baseIndex).map(function (point) {
+                    return DataTransformer.createPoint(point, point.unformatted / base * 100, format);
+                });
+            };
+            DataTransformer.defaultPeriod = 3;
+            DataTransformer.transformFunctions = null;
+            return DataTransformer;
+        }());
+        Data.DataTransformer = DataTransformer;
+    })(Data = Trends.Data || (Trends.Data = {}));
+})(Trends || (Trends = {}));
+/* **************************************************************************************
+Copyright (c) Microsoft Open Technologies, Inc. All rights reserved. Licensed under the Apache License, Version 2.0.
+See License.txt in the project root for license information.
+***************************************************************************************** */
+///<reference path="shared/chart.ts"/>
+///<reference path="shared/layout.ts"/>
+///<reference path="shared/decoration.ts"/>
+///<reference path="../app.ts"/>
+/**
+  * This module contains the implementation of the base layouter
+  */
+var Trends;
+(function (Trends) {
+    var Chart;
+    (function (Chart) {
+        "use strict";
+        /**
+          * The base class of all layouters based on D3
+          */
+        var Layouter = (function (_super) {
+            __extends(Layouter, _super);
+            function Layouter() {
+                _super.call(this);
+                var zoomRatio = DataViz.Utils.getZoomRatioForApp();
+                var dataButton = $("#data-button");
+                var settingButton = $("#setting-button");
+                var zoomResetButton = $("#zoom-reset-button");
+                var width = Math.floor(dataButton.width() / zoomRatio);
+                dataButton.width(width);
+                dataButton.height(width);
+                settingButton.width(width);
+                settingButton.height(width);
+                zoomResetButton.width(width);
+                zoomResetButton.height(width);
+                this.firstRelayout = true;
+                this.cachedLayoutElementInstances = {};
+                this.layoutElements = new LayoutElements();
+                this.currentLayout = DataViz.Chart.LayoutProvider.Instance.CurrentLayout;
+            }
+            Layouter.getZoomRatioRelativeLast = function () {
+                var windowWidth = window.innerWidth ? window.innerWidth : document.body.clientWidth;
+                var windowHeight = window.innerHeight ? window.innerHeight : document.body.clientHeight;
+                var savedWidowWidth = DataViz.mainApp.Configuration.get(DataViz.Config.Trends.wellKnownKeys.windowWidth);
+                var savedWindowHeight = DataViz.mainApp.Configuration.get(DataViz.Config.Trends.wellKnownKeys.windowHeight);
+                if (!savedWidowWidth) {
+                    savedWidowWidth = Layouter.originWindowWidth;
+                    savedWindowHeight = Layouter.originWindowHeight;
+                    DataViz.mainApp.Configuration.delaySet(DataViz.Config.Trends.wellKnownKeys.windowWidth, windowWidth);
+                    DataViz.mainApp.Configuration.delaySet(DataViz.Config.Trends.wellKnownKeys.windowHeight, windowHeight);
+                }
+                return new ZoomRatio(savedWidowWidth / windowWidth, savedWindowHeight / windowHeight);
+            };
+            Layouter.getZoomRatioRelativeOrigin = function () {
+                var windowWidth = window.innerWidth ? window.innerWidth : document.body.clientWidth;
+                var windowHeight = window.innerHeight ? window.innerHeight : document.body.clientHeight;
+                return new ZoomRatio(Layouter.originWindowWidth / windowWidth, Layouter.originWindowHeight / windowHeight);
+            };
+            /**
+              * Works out the grid of the panels of small multiples, which share the chart area. The grid has the number of columns that makes
+              * the panels the largest, where a panel is as large as its height or its width over the aspect ratio the grid aims for, whichever is smaller.
+              * Of the grids with panels as large, the one with the fewest columns is taken.
+              * @param {number} panelNumber The number of panels
+              * @returns {PanelGrid} The grid
+              */
+            Layouter.getPanelGrid = function (panelNumber) {
+                var width = $("#line-chart").width();
+                var height = $("#line-chart").height();
+                panelNumber = Math.max(panelNumber, 1);
+                var grid = new PanelGrid(1, panelNumber, width, height / panelNumber);
+                var largestSize = 0;
+                for (var columnNumber = 1; columnNumber <= panelNumber; columnNumber++) {
+                    var rowNumber = Math.ceil(panelNumber / columnNumber);
+                    var panelWidth = width / columnNumber;
+                    var panelHeight = height / rowNumber;
+                    var size = Math.min(panelWidth / Layouter.panelAspectRatio, panelHeight);
+                    if (size > largestSize) {
+                        largestSize = size;
+                        grid = new PanelGrid(columnNumber, rowNumber, panelWidth, panelHeight);
+                    }
+                }
+                return grid;
+            };
+            /**
+              * Implementing {@link ITool#resetTool}
+              */
+            Layouter.prototype.resetTool = function () {
+                this.setWindowResizeListener();
+                this.cachedLayoutElementInstances = {};
+                this.resume();
+            };
+            /**
+              * Implementing {@link ILayouter#Layout}
+              */
+            Layouter.prototype.layout = function (data) {
+                this.cachedData = data;
+                this.relayout();
+            };
+            /**
+              * Implementing {@link ILayoutChangeListener#onLayoutChanged}
+              */
+            Layouter.prototype.onLayoutChanged = function (layout) {
+            };
+            /**
+              * Implementing {@link ILayoutChangeListener#onLayoutElementChanged}
+              */
+            Layouter.prototype.onLayoutElementChanged = function (layoutElement) {
+            };
+            /**
+              * Implementing {@link ILayoutChangeListener#onLayoutElementInstanceChanged}
+              */
+            Layouter.prototype.onLayoutElementInstanceChanged = function (layoutElement, value) {
+                this.cachedLayoutElementInstances[layoutElement.id] = value;
+                if (!this.isPaused()) {
+                    this.layoutOneElementInstance(layoutElement.id, value);
+                }
+            };
+            Layouter.prototype.relayout = function () {
+                var _this = this;
+                var zoomRatioRelativeOrigin = Layouter.getZoomRatioRelativeOrigin();
+                $("body").css("padding", Layouter.bodyOriginPadding);
+                $("body").css("min-width", Math.max(Layouter.bodyOriginMinWidth / zoomRatioRelativeOrigin.widthRatio, Layouter.bodyFinalMinWidth));
+                $("body").css("min-height", Math.max(Layouter.bodyOriginMinHeight / zoomRatioRelativeOrigin.heightRatio, Layouter.bodyFinalMinHeight));
+                $("#float-menu-parent").height(Layouter.floatMenuOriginHeight / zoomRatioRelativeOrigin.heightRatio);
+                this.handleNonContentLengthInHDPI($("body"));
+                this.currentLayout.elements.forEach(function (layoutElement, index, array) {
+                    _this.layoutOneElement(layoutElement);
+                });
+                for (var elementId in this.cachedLayoutElementInstances) {
+                    this.layoutOneElementInstance(elementId, this.cachedLayoutElementInstances[elementId]);
+                }
+                this.layoutElements.resetLayoutElements();
+                var windowWidth = window.innerWidth ? window.innerWidth : document.body.clientWidth;
+                var windowHeight = window.innerHeight ? window.innerHeight : document.body.clientHeight;
+                $("body").width(windowWidth - this.layoutElements.Body.ElementNonContentWidth);
+                $("body").height(windowHeight - this.layoutElements.Body.ElementNonContentHeight);
+                if (this.firstRelayout) {
+                    this.firstRelayout = false;
+                    this.handleWindowResizeWidth(windowWidth);
+                    this.handleWindowResizeHeight(windowHeight);
+                }
+            };
+            Layouter.prototype.layoutOneElement = function (layoutElement) {
+                var _this = this;
+                var thisLayouter = this;
+                var parent = d3.select("#" + layoutElement.parentId);
+                if (parent.empty()) {
+                    return;
+                }
+                var element = d3.select("#" + layoutElement.id);
+                if (!element.empty()) {
+                    element.remove();
+                }
+                element = d3.select("#" + layoutElement.parentId).append(layoutElement.element).attr("id", layoutElement.id);
+                if (layoutElement.attributes) {
+                    layoutElement.attributes.forEach(function (attr, index, array) {
+                        element.attr(attr.name, attr.value);
+                    });
+                }
+                if (layoutElement.styles) {
+                    layoutElement.styles.forEach(function (style, index, array) {
+                        element.style(style.name, style.value);
+                    });
+                }
+                if (layoutElement.cssClass) {
+                    element.classed(layoutElement.cssClass, true);
+                }
+                if (layoutElement.element === "textarea") {
+                    element.on("input", function () {
+                        DataViz.mainApp.LayoutInstance.delaySetValueNoNotify($(this)[0].id, $(this)[0].value);
+                        thisLayouter.cachedLayoutElementInstances[$(this)[0].id] = $(this)[0].value;
+                    });
+                    if (layoutElement.forceOneLine) {
+                        element.on("keypress", function () {
+                            if (d3.event.keyCode === 13 || d3.event.keyCode === 10) {
+                                d3.event.preventDefault();
+                                return;
+                            }
+                        });
+                    }
+                }
+                var jqueryElement = $("#" + layoutElement.id); //For using the jquery.ui api: resizable.
+                var zoomRatioRelativeOrigin = Layouter.getZoomRatioRelativeOrigin();
+                var zoomRatioRelativeLast = Layouter.getZoomRatioRelativeLast();
+                jqueryElement.css("min-width", Math.floor(parseInt(jqueryElement.css("min-width")) / zoomRatioRelativeOrigin.widthRatio));
+                var width = DataViz.mainApp.Configuration.get(jqueryElement.attr("id") + "-width");
+                if (width !== undefined && width !== null) {
+                    jqueryElement.css("width", width);
+                }
+                var height = DataViz.mainApp.Configuration.get(jqueryElement.attr("id") + "-height");
+                if (height !== undefined && height !== null) {
+                    jqueryElement.css("height", height);
+                }
+                if (layoutElement.resizable) {
+                    jqueryElement.resizable({
+                        handles: "e",
+                        autoHide: true,
+                        grid: [Layouter.xGrid, Layouter.yGrid],
+                        resize: function (e, ui) {
+                            var elementId = ui.element[0].id;
+                            var elementWidth = ui.size.width;
+                            var elementOriginWidth = ui.originalSize.width;
+                            $("#line-chart").focus();
+                            switch (elementId) {
+                                case "title-parent":
+                                    _this.onElementResize(_this.layoutElements.TitleParent, elementWidth, elementOriginWidth, _this.layoutElements.LineChart, _this.layoutElements.Legend);
+                                    DataViz.mainApp.CurrentSKU.Plotter.delayPlot(DataViz.mainApp.CurrentSKU.Visualizer.CachedData);
+                                    break;
+                                case "line-chart":
+                                    _this.onElementResize(_this.layoutElements.LineChart, elementWidth, elementOriginWidth, _this.layoutElements.Legend, _this.layoutElements.TitleParent);
+                                    DataViz.mainApp.CurrentSKU.Plotter.delayPlot(DataViz.mainApp.CurrentSKU.Visualizer.CachedData);
+                                    break;
+                                case "shortdes1-group":
+                                    _this.onElementResize(_this.layoutElements.Shortdes1Group, elementWidth, elementOriginWidth, _this.layoutElements.LongdesGroup, null);
+                                    break;
+                                default:
+                                    break;
+                            }
+                        }
+                    });
+                }
+                this.handleNonContentLengthInHDPI(jqueryElement);
+                if (layoutElement.element === "textarea") {
+                    jqueryElement.css("font-size", parseInt(jqueryElement.css("font-size")) / zoomRatioRelativeOrigin.heightRatio + "px");
+                }
+                else {
+                    var jqueryElementWidth = Math.floor(jqueryElement.width() / zoomRatioRelativeLast.widthRatio);
+                    jqueryElement.width(jqueryElementWidth);
+                    if (!DataViz.mainApp.Configuration.get(jqueryElement.attr("id") + "-width")) {
+                        DataViz.mainApp.Configuration.delaySet(jqueryElement.attr("id") + "-width", jqueryElementWidth);
+                    }
+                }
+                if (jqueryElement.attr("id") !== "title") {
+                    jqueryElement.height(Math.floor(jqueryElement.height() / zoomRatioRelativeOrigin.heightRatio));
+                }
+            };
+            Layouter.prototype.handleNonContentLengthInHDPI = function (jqueryElement) {
+                var ratio = Layouter.getZoomRatioRelativeOrigin();
+                jqueryElement.css("padding-left", Math.floor(parseInt(jqueryElement.css("padding-left")) / ratio.widthRatio));
+                jqueryElement.css("padding-right", Math.floor(parseInt(jqueryElement.css("padding-right")) / ratio.widthRatio));
+                jqueryElement.css("padding-top", Math.floor(parseInt(jqueryElement.css("padding-top")) / ratio.heightRatio));
+                jqueryElement.css("padding-bottom", Math.floor(parseInt(jqueryElement.css("padding-bottom")) / ratio.heightRatio));
+                jqueryElement.css("margin-left", Math.floor(parseInt(jqueryElement.css("margin-left")) / ratio.widthRatio));
+                jqueryElement.css("margin-right", Math.floor(parseInt(jqueryElement.css("margin-right")) / ratio.widthRatio));
+                jqueryElement.css("margin-top", Math.floor(parseInt(jqueryElement.css("margin-top")) / ratio.heightRatio));
+                jqueryElement.css("margin-bottom", Math.floor(parseInt(jqueryElement.css("margin-bottom")) / ratio.heightRatio));
+            };
+            Layouter.prototype.layoutOneElementInstance = function (layoutElementId, value) {
+                var element = d3.select("#" + layoutElementId);
+                if (element.empty()) {
+                    return;
+                }
+                if ((value !== null) && (value !== undefined)) {
+                    element.text(value);
+                }
+            };
+            Layouter.prototype.onElementResize = function (element, elementWidth, elementOriginWidth, peerElement1, peerElement2) {
+                if (!this.layoutElements.Body || !element || !peerElement1) {
+                    return;
+                }
+                var bodyWidthNoPadding = this.layoutElements.Body.Element.width() - Layouter.deviationWidth;
+                var ElementMinWidth = element.ElementMinWidth;
+                var peerElement1MinWidth = peerElement1.ElementMinWidth;
+                var peerElement2Width = peerElement2 ? peerElement2.Element.outerWidth() : 0;
+                elementWidth += element.ElementNonContentWidth + element.getBorderWidth();
+                elementOriginWidth += element.ElementNonContentWidth + element.getBorderWidth();
+                if (elementWidth > elementOriginWidth) {
+                    var maxWidth = bodyWidthNoPadding - peerElement1MinWidth - peerElement2Width;
+                    elementWidth = (elementWidth < maxWidth) ? elementWidth : maxWidth;
+                }
+                else {
+                    if (elementOriginWidth === ElementMinWidth) {
+                        return;
+                    }
+                    elementWidth = (elementWidth > ElementMinWidth) ? elementWidth : ElementMinWidth;
+                }
+                var actualPeerElement1Width = bodyWidthNoPadding - elementWidth - peerElement2Width;
+                this.setWidth(peerElement1, actualPeerElement1Width);
+                this.setWidth(element, elementWidth);
+            };
+            Layouter.prototype.setWindowResizeListener = function () {
+                var _this = this;
+                var timer;
+                var delayTime = 100;
+                var resizeHandler = function (e) {
+                    if (e.target === window) {
+                        if (timer) {
+                            clearTimeout(timer);
+                        }
+                        timer = setTimeout(function () {
+                            var windowWidth = window.innerWidth ? window.innerWidth : document.body.clientWidth;
+                            var windowHeight = window.innerHeight ? window.innerHeight : document.body.clientHeight;
+                            _this.relayout();
+                            _this.handleWindowResizeWidth(windowWidth);
+                            _this.handleWindowResizeHeight(windowHeight);
+                            _this.layoutElements.resetLayoutElements();
+                            DataViz.mainApp.CurrentSKU.Plotter.delayPlot(DataViz.mainApp.CurrentSKU.Visualizer.CachedData, 50);
+                            DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.windowWidth, windowWidth);
+                            DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.windowHeight, windowHeight);
+                        }, delayTime);
+                    }
+                };
+                $(window).off("resize", resizeHandler);
+                $(window).on("resize", resizeHandler);
+            };
+            Layouter.prototype.handleWindowResizeWidth = function (windowWidth) {
+                var drawAreaWidth = (windowWidth > this.layoutElements.Body.ElementMinWidth) ? windowWidth - Layouter.deviationWidth : this.layoutElements.Body.ElementMinWidth;
+                var drawAreaContentWidth = drawAreaWidth - this.layoutElements.Body.ElementNonContentWidth;
+                var lineChart = this.layoutElements.LineChart;
+                var titleParent = this.layoutElements.TitleParent;
+                var legend = this.layoutElements.Legend;
+                this.setWidth(this.layoutElements.FirstRowContainer, drawAreaContentWidth);
+                this.setWidth(this.layoutElements.SecondRowContainer, drawAreaContentWidth);
+                var lineChartWidth = drawAreaContentWidth - titleParent.Element.outerWidth() - legend.Element.outerWidth();
+                lineChartWidth = (lineChartWidth > lineChart.ElementMinWidth) ? lineChartWidth : lineChart.ElementMinWidth;
+                this.setWidth(lineChart, lineChartWidth);
+                var legendWidth = drawAreaContentWidth - titleParent.Element.outerWidth() - lineChartWidth;
+                legendWidth = (legendWidth > legend.ElementMinWidth) ? legendWidth : legend.ElementMinWidth;
+                this.setWidth(legend, legendWidth);
+                var titleWidth = drawAreaContentWidth - lineChartWidth - legendWidth;
+                titleWidth = (titleWidth > titleParent.ElementMinWidth) ? titleWidth : titleParent.ElementMinWidth;
+                this.setWidth(titleParent, titleWidth);
+                var shortdes1WidthOrigin = this.layoutElements.Shortdes1Group.Element.outerWidth();
+                var longdesWidthOrigin = this.layoutElements.LongdesGroup.Element.outerWidth();
+                var originWidth = shortdes1WidthOrigin + longdesWidthOrigin;
+                this.setWidth(this.layoutElements.Shortdes1Group, Math.floor(shortdes1WidthOrigin * drawAreaContentWidth / originWidth));
+                this.setWidth(this.layoutElements.LongdesGroup, Math.floor(longdesWidthOrigin * drawAreaContentWidth / originWidth));
+            };
+            Layouter.prototype.handleWindowResizeHeight = function (windowHeight) {
+                var drawAreaHeight = (windowHeight > this.layoutElements.Body.ElementMinHeight) ? (windowHeight - Layouter.deviationWidth) : this.layoutElements.Body.ElementMinHeight;
+                var firstRowContainerHeight = drawAreaHeight - this.layoutElements.Body.ElementNonContentHeight - this.layoutElements.FloatMenuParent.ElementFixedHeight
+                    - this.layoutElements.SecondRowContainer.ElementFixedHeight - this.layoutElements.FirstRowContainer.ElementNonContentHeight
+                    - this.layoutElements.FirstRowContainer.getBorderHeight();
+                this.setHeight(this.layoutElements.FirstRowContainer, firstRowContainerHeight);
+                this.setHeight(this.layoutElements.LineChart, firstRowContainerHeight);
+                this.setHeight(this.layoutElements.TitleParent, firstRowContainerHeight);
+                this.setHeight(this.layoutElements.Legend, firstRowContainerHeight);
+            };
+            Layouter.prototype.setWidth = function (layoutElement, width) {
+                var contentWidth = Math.floor(width - layoutElement.ElementNonContentWidth - layoutElement.getBorderWidth());
+                layoutElement.Element.width(contentWidth);
+                DataViz.mainApp.Configuration.delaySet(layoutElement.Element.attr("id") + "-width", contentWidth);
+            };
+            Layouter.prototype.setHeight = function (layoutElement, height) {
+                var zoomRatioRelativeOrigin = Layouter.getZoomRatioRelativeOrigin();
+                var element = layoutElement.Element;
+                element.height(height);
+                DataViz.mainApp.Configuration.delaySet(element.attr("id") + "-height", height * zoomRatioRelativeOrigin.heightRatio);
+            };
+            Layouter.originWindowWidth = 840;
+            Layouter.originWindowHeight = 435;
+            Layouter.bodyOriginPadding = "0px 20px 10px 20px";
+            Layouter.bodyOriginMinWidth = 500;
+            Layouter.bodyOriginMinHeight = 290;
+            Layouter.bodyFinalMinWidth = 320;
+            Layouter.bodyFinalMinHeight = 200;
+            Layouter.floatMenuOriginHeight = 35;
+            Layouter.xGrid = 5;
+            Layouter.yGrid = 5;
+            Layouter.deviationWidth = 3;
+            // The width of a panel of small multiples over its height that the grid of the panels aims for
+            Layouter.panelAspectRatio = 2;
+            return Layouter;
+        }(DataViz.Tools.Pausable));
+        Chart.Layouter = Layouter;
+        var ElementWithFixedProperties = (function () {
+            function ElementWithFixedProperties(elementId, isHeightFixed) {
+                this.element = $("#" + elementId);
+                this.elementNonContentWidth = this.getElementNonContentWidth(this.element);
+                this.elementMinWidth = parseInt(this.element.css("min-width")) + this.elementNonContentWidth + this.getBorderWidth();
+                if (!isHeightFixed) {
+                    this.elementNonContentHeight = this.getElementNonContentHeight(this.element);
+                    this.elementMinHeight = parseInt(this.element.css("min-height")) + this.elementNonContentHeight + this.getBorderHeight();
+                }
+                else {
+                    this.elementFixedHeight = this.element.outerHeight();
+                }
+            }
+            Object.defineProperty(ElementWithFixedProperties.prototype, "Element", {
                 get: function () {
-                    return ScriptsResources.BindingPaneInfoMaxRowAndColumn;
+                    return this.element;
                 },
                 enumerable: true,
                 configurable: true
             });
-            Object.defineProperty(BindingPane, "infoDataSetTooLarge", {
+            Object.defineProperty(ElementWithFixedProperties.prototype, "ElementNonContentWidth", {
                 get: function () {
-                    return ScriptsResources.BindingPaneInfoDataSetTooLarge;
+                    return this.elementNonContentWidth;
                 },
                 enumerable: true,
                 configurable: true
             });
-            Object.defineProperty(BindingPane, "infoFirstRowEmpty", {
+            Object.defineProperty(ElementWithFixedProperties.prototype, "ElementMinWidth", {
                 get: function () {
-                    return ScriptsResources.BindingPaneInfoFirstRowEmpty;
+                    return this.elementMinWidth;
                 },
                 enumerable: true,
                 configurable: true
             });
-            Object.defineProperty(BindingPane, "infoFirstColumnEmpty", {
+            Object.defineProperty(ElementWithFixedProperties.prototype, "ElementNonContentHeight", {
                 get: function () {
-                    return ScriptsResources.BindingPaneInfoFirstColumnEmpty;
+                    return this.elementNonContentHeight;
                 },
                 enumerable: true,
                 configurable: true
             });
-            Object.defineProperty(BindingPane, "infoSelectData", {
+            Object.defineProperty(ElementWithFixedProperties.prototype, "ElementMinHeight", {
                 get: function () {
-                    return ScriptsResources.BindingPaneInfoSelectData;
+                    return this.elementMinHeight;
                 },
                 enumerable: true,
                 configurable: true
             });
-            Object.defineProperty(BindingPane, "infoSelectTwoColumns", {
+            Object.defineProperty(ElementWithFixedProperties.prototype, "ElementFixedHeight", {
                 get: function () {
-                    return ScriptsResources.BindingPaneInfoSelectTwoColumns;
+                    return this.elementFixedHeight;
                 },
                 enumerable: true,
                 configurable: true
             });
-            Object.defineProperty(BindingPane, "infoSecondColumnContainNumber", {
+            ElementWithFixedProperties.prototype.getBorderWidth = function () {
+                return Math.ceil(parseFloat(this.element.css("border-left-width")) + parseFloat(this.element.css("border-right-width")));
+            };
+            ElementWithFixedProperties.prototype.getBorderHeight = function () {
+                return Math.ceil(parseFloat(this.element.css("border-top-width")) + parseFloat(this.element.css("border-bottom-width")));
+            };
+            ElementWithFixedProperties.prototype.getElementNonContentWidth = function (element) {
+                return parseInt(element.css("padding-left")) + parseInt(element.css("padding-right")) + parseInt(element.css("margin-left")) + parseInt(element.css("margin-right"));
+            };
+            ElementWithFixedProperties.prototype.getElementNonContentHeight = function (element) {
+                return parseInt(element.css("padding-top")) + parseInt(element.css("padding-bottom")) + parseInt(element.css("margin-top")) + parseInt(element.css("margin-bottom"));
+            };
+            return ElementWithFixedProperties;
+        }());
+        Chart.ElementWithFixedProperties = ElementWithFixedProperties;
+        var LayoutElements = (function () {
+            function LayoutElements() {
+                this.body = null;
+                this.floatMenuParent = null;
+                this.firstRowContainer = null;
+                this.secondRowContainer = null;
+                this.titleParent = null;
+                this.lineChart = null;
+                this.legend = null;
+                this.shortdes1Group = null;
+                this.longdesGroup = null;
+            }
+            LayoutElements.prototype.resetLayoutElements = function () {
+                this.body = new ElementWithFixedProperties("background", false);
+                this.floatMenuParent = new ElementWithFixedProperties("float-menu-parent", true);
+                this.firstRowContainer = new ElementWithFixedProperties("first-row-container", false);
+                this.secondRowContainer = new ElementWithFixedProperties("second-row-container", true);
+                this.titleParent = new ElementWithFixedProperties("title-parent", false);
+                this.lineChart = new ElementWithFixedProperties("line-chart", false);
+                this.legend = new ElementWithFixedProperties("legend", false);
+                this.shortdes1Group = new ElementWithFixedProperties("shortdes1-group", true);
+                this.longdesGroup = new ElementWithFixedProperties("longdes-group", true);
+            };
+            Object.defineProperty(LayoutElements.prototype, "Body", {
                 get: function () {
-                    return ScriptsResources.BindingPaneInfoSecondColumnContainNumber;
+                    return this.body;
                 },
                 enumerable: true,
                 configurable: true
             });
-            Object.defineProperty(BindingPane, "title", {
+            Object.defineProperty(LayoutElements.prototype, "FloatMenuParent", {
                 get: function () {
-                    return ScriptsResources.BindingPaneTitle;
+                    return this.floatMenuParent;
                 },
                 enumerable: true,
                 configurable: true
             });
-            Object.defineProperty(BindingPane, "subtitle", {
+            Object.defineProperty(LayoutElements.prototype, "FirstRowContainer", {
                 get: function () {
-                    return ScriptsResources.BindingPaneSubtitle;
+                    return this.firstRowContainer;
                 },
                 enumerable: true,
                 configurable: true
             });
-            Object.defineProperty(BindingPane, "buttonOKText", {
+            Object.defineProperty(LayoutElements.prototype, "SecondRowContainer", {
                 get: function () {
-                    return ScriptsResources.BindingPaneButtonOK;
+                    return this.secondRowContainer;
                 },
                 enumerable: true,
                 configurable: true
             });
-            Object.defineProperty(BindingPane, "buttonCancelText", {
+            Object.defineProperty(LayoutElements.prototype, "TitleParent", {
                 get: function () {
-                    return ScriptsResources.BindingPaneButtonCancel;
+                    return this.titleParent;
                 },
                 enumerable: true,
                 configurable: true
             });
-            Object.defineProperty(BindingPane, "sampleDataHeader1", {
+            Object.defineProperty(LayoutElements.prototype, "LineChart", {
                 get: function () {
-                    return ScriptsResources.BindingPaneSampleDataHeader1;
+                    return this.lineChart;
                 },
                 enumerable: true,
                 configurable: true
             });
-            Object.defineProperty(BindingPane, "sampleDataHeader2", {
+            Object.defineProperty(LayoutElements.prototype, "Legend", {
                 get: function () {
-                    return ScriptsResources.BindingPaneSampleDataHeader2;
+                    return this.legend;
                 },
                 enumerable: true,
                 configurable: true
             });
-            Object.defineProperty(BindingPane, "sampleDataHeader3", {
+            Object.defineProperty(LayoutElements.prototype, "Shortdes1Group", {
                 get: function () {
-                    return ScriptsResources.BindingPaneSampleDataHeader3;
+                    return this.shortdes1Group;
                 },
                 enumerable: true,
                 configurable: true
             });
-            Object.defineProperty(BindingPane, "sampleDataTime1", {
+            Object.defineProperty(LayoutElements.prototype, "LongdesGroup", {
                 get: function () {
-                    return ScriptsResources.BindingPaneSampleDataTime1;
+                    return this.longdesGroup;
                 },
                 enumerable: true,
                 configurable: true
             });
-            Object.defineProperty(BindingPane, "sampleDataTime2", {
+            return LayoutElements;
+        }());
+        Chart.LayoutElements = LayoutElements;
+        /**
+          * The grid of the panels of small multiples. The panels are laid out in rows, from the top left.
+          */
+        var PanelGrid = (function () {
+            function PanelGrid(columnNumber, rowNumber, panelWidth, panelHeight) {
+                this.columnNumber = columnNumber;
+                this.rowNumber = rowNumber;
+                this.panelWidth = panelWidth;
+                this.panelHeight = panelHeight;
+            }
+            /**
+              * Gets the column of a panel in the grid
+              */
+            PanelGrid.prototype.getColumn = function (index) {
+                return index % this.columnNumber;
+            };
+            /**
+              * Gets the row of a panel in the grid
+              */
+            PanelGrid.prototype.getRow = function (index) {
+                return Math.floor(index / this.columnNumber);
+            };
+            return PanelGrid;
+        }());
+        Chart.PanelGrid = PanelGrid;
+        var ZoomRatio = (function () {
+            function ZoomRatio(widthRatio, heightRatio) {
+                this.widthRatio = widthRatio;
+                this.heightRatio = heightRatio;
+                this.maxRatio = Math.max(this.widthRatio, this.heightRatio);
+                this.minRatio = Math.min(this.widthRatio, this.heightRatio);
+            }
+            return ZoomRatio;
+        }());
+        Chart.ZoomRatio = ZoomRatio;
+    })(Chart = Trends.Chart || (Trends.Chart = {}));
+})(Trends || (Trends = {}));
+/* **************************************************************************************
+Copyright (c) Microsoft Open Technologies, Inc. All rights reserved. Licensed under the Apache License, Version 2.0.
+See License.txt in the project root for license information.
+***************************************************************************************** */
+///<reference path="shared/data.ts" />
+///<reference path="shared/chart.ts"/>
+///<reference path="shared/decoration.ts"/>
+///<reference path="data.convertor.agave.ts" />
+///<reference path="data.transformer.trends.ts" />
+///<reference path="numberformat.trends.ts" />
+///<reference path="layouter.trends.ts" />
+///<reference path="../app.ts" />
+/**
+  * This module contains the base of the plotters of the chart types
+  */
+var Trends;
+(function (Trends) {
+    var Chart;
+    (function (Chart) {
+        "use strict";
+        /**
+          * The base of the plotters of the chart types. It reads the settings every chart type shares, such as the highlighted points,
+          * the display status and the titles of the lines and the zoom window, fits them to the data and keeps the highlights that
+          * don't match it. It also draws what the chart types have in common: the rows of the lines in the legend, the bubbles
+          * of the highlighted points and the notes of the points. A plotter draws its chart type by overriding {@link draw}, and a plotter
+          * that draws notes tells where the points are drawn by overriding {@link getPointPosition}.
+          * The members the plotters override or call, here and in the plotters themselves, ought to be "protected" but unfortunately
+          * TypeScript doesn't support "protected" members when the source code is published.
+          */
+        var HighlightingPlotter = (function (_super) {
+            __extends(HighlightingPlotter, _super);
+            function HighlightingPlotter() {
+                _super.call(this);
+                // The highlights whose series or x label isn't in the data, and the point ids saved by earlier versions that don't match a point
+                this.orphanedHighlights = [];
+                this.unmatchedPointIds = [];
+                this.delayPlotTimeoutId = null;
+            }
+            /**
+              * Implementing {@link ITool#resetTool}. The plot that's waiting is dropped, and so is a note being edited,
+              * since the plotter of another chart type may draw in the chart next.
+              */
+            HighlightingPlotter.prototype.resetTool = function () {
+                if (this.delayPlotTimeoutId !== null) {
+                    clearTimeout(this.delayPlotTimeoutId);
+                    this.delayPlotTimeoutId = null;
+                }
+                $("#note-editor").remove();
+                this.resume();
+            };
+            /**
+              * Implementing {@link IPlotter#delayPlot}
+              */
+            HighlightingPlotter.prototype.delayPlot = function (data, delay) {
+                var _this = this;
+                if (delay === void 0) { delay = 300; }
+                if (this.delayPlotTimeoutId !== null) {
+                    clearTimeout(this.delayPlotTimeoutId);
+                }
+                this.delayPlotTimeoutId = setTimeout(function () {
+                    _this.plot(data);
+                    _this.delayPlotTimeoutId = null;
+                }, delay);
+            };
+            /**
+              * Implementing {@link IPlotter#plot}
+              */
+            HighlightingPlotter.prototype.plot = function (data) {
+                if (data && data.xData.length > 0 && data.yData.length > 0) {
+                    this.onDataChanged(data);
+                    this.initData(data);
+                    this.draw();
+                }
+            };
+            Object.defineProperty(HighlightingPlotter.prototype, "OrphanedHighlights", {
+                /**
+                  * Implementing {@link IHighlightingPlotter#OrphanedHighlights}
+                  */
                 get: function () {
-                    return ScriptsResources.BindingPaneSampleDataTime2;
+                    return this.orphanedHighlights.slice(0);
                 },
                 enumerable: true,
                 configurable: true
             });
-            Object.defineProperty(BindingPane, "sampleDataTime3", {
+            Object.defineProperty(HighlightingPlotter.prototype, "UnmatchedPointIdCount", {
+                /**
+                  * Implementing {@link IHighlightingPlotter#UnmatchedPointIdCount}
+                  */
                 get: function () {
-                    return ScriptsResources.BindingPaneSampleDataTime3;
+                    return this.unmatchedPointIds.length;
                 },
                 enumerable: true,
                 configurable: true
             });
-            return BindingPane;
-        }());
-        Resources.BindingPane = BindingPane;
-    })(Resources = DataViz.Resources || (DataViz.Resources = {}));
-})(DataViz || (DataViz = {}));
+            /**
+              * Implementing {@link IHighlightingPlotter#removeOrphanedHighlight}
+              * @param {PointHighlight} highlight One of the orphaned highlights
+              */
+            HighlightingPlotter.prototype.removeOrphanedHighlight = function (highlight) {
+                this.orphanedHighlights = this.orphanedHighlights.filter(function (orphaned) {
+                    return orphaned !== highlight;
+                });
+                this.pointHighlights = this.pointHighlights.filter(function (saved) {
+                    return saved !== highlight;
+                });
+                this.configuration.set(DataViz.Config.Trends.wellKnownKeys.pointHighlights, this.pointHighlights);
+            };
+            /**
+              * Implementing {@link IHighlightingPlotter#removeUnmatchedPointIds}
+              */
+            HighlightingPlotter.prototype.removeUnmatchedPointIds = function () {
+                this.unmatchedPointIds = [];
+                this.configuration.set(DataViz.Config.Trends.wellKnownKeys.clickedPointIdArray, this.unmatchedPointIds);
+            };
+            /**
+              * Draws the chart from the data and the settings {@link initData} has read. The plotters of the chart types override it.
+              */
+            HighlightingPlotter.prototype.draw = function () {
+            };
+            /**
+              * Reads the data and the settings the chart is drawn with, and fits the settings to the data.
+              * A plotter that works out more before drawing overrides it, and calls it first.
+              * @param {BindingData} convertedData The data to draw
+              */
+            HighlightingPlotter.prototype.initData = function (convertedData) {
+                this.bindingData = convertedData;
+                this.configuration = DataViz.mainApp.Configuration;
+                this.isLegendEdited = this.configuration.get(DataViz.Config.Trends.wellKnownKeys.isLegendEdited);
+                if (this.isLegendEdited === null || this.isLegendEdited === undefined) {
+                    this.isLegendEdited = false;
+                    this.configuration.set(DataViz.Config.Trends.wellKnownKeys.isLegendEdited, this.isLegendEdited);
+                }
+                if (!this.isLegendEdited && this.bindingData.header.length) {
+                    this.configuration.set(DataViz.Config.Trends.wellKnownKeys.lineTitleArray, this.bindingData.header);
+                }
+                if (!this.configuration.get(DataViz.Config.Trends.wellKnownKeys.pointHighlights)) {
+                    DataViz.Config.Trends.resetPointHighlights();
+                }
+                if (!this.configuration.get(DataViz.Config.Trends.wellKnownKeys.lineDisplay)) {
+                    DataViz.Config.Trends.resetLineDisplay();
+                }
+                if (!this.configuration.get(DataViz.Config.Trends.wellKnownKeys.lineTitleArray)) {
+                    DataViz.Config.Trends.resetLineTitleArray();
+                }
+                this.readSettings();
+                this.zoomRatio = Chart.Layouter.getZoomRatioRelativeOrigin();
+                this.lineNumber = this.bindingData.yData.length;
+                this.columnNumber = this.bindingData.xData.length;
+                this.setWindowColumns(this.configuration.get(DataViz.Config.Trends.wellKnownKeys.xWindow));
+                this.normalizeLineStates();
+                this.unmatchedPointIds = HighlightingPlotter.migratePointIds(this.bindingData, this.pointHighlights);
+                this.findOrphanedHighlights();
+            };
+            /**
+              * Reads the saved settings the chart is drawn with. A plotter with settings of its own overrides it, and calls it first.
+              */
+            HighlightingPlotter.prototype.readSettings = function () {
+                this.pointHighlights = this.configuration.get(DataViz.Config.Trends.wellKnownKeys.pointHighlights);
+                this.annotations = this.configuration.get(DataViz.Config.Trends.wellKnownKeys.annotations);
+                this.annotations = this.annotations ? this.annotations : [];
+                this.lineDisplay = this.configuration.get(DataViz.Config.Trends.wellKnownKeys.lineDisplay);
+                this.lineTitleArray = this.configuration.get(DataViz.Config.Trends.wellKnownKeys.lineTitleArray);
+                this.lineTransforms = this.configuration.get(DataViz.Config.Trends.wellKnownKeys.lineTransforms);
+                this.lineTransforms = this.lineTransforms ? this.lineTransforms : [];
+                this.isCompact = this.configuration.get(DataViz.Config.Trends.wellKnownKeys.compactNumbers) === true;
+            };
+            /**
+              * Fits the saved display status and titles to the current number of lines, since they may have been saved for more or fewer lines
+              * than the data has now. A plotter with more states of the lines overrides it, and calls it first.
+              */
+            HighlightingPlotter.prototype.normalizeLineStates = function () {
+                this.lineDisplay.length = this.lineNumber;
+                this.lineTitleArray.length = this.lineNumber;
+                for (var i = 0; i < this.lineNumber; i++) {
+                    if (typeof this.lineDisplay[i] !== "boolean") {
+                        this.lineDisplay[i] = true;
+                    }
+                    if (typeof this.lineTitleArray[i] !== "string") {
+                        this.lineTitleArray[i] = DataViz.Utils.stringFormat(DataViz.Resources.UI.defaultLegendName, i + 1);
+                    }
+                }
+            };
+            /**
+              * Moves the highlights saved as point ids by earlier versions, such as "#pointline0column4end", to the highlights saved by series name and x label.
+              * The ids are read against the current data, which is the data they were saved with unless it has changed since. The ids that don't match
+              * a point are kept and reported rather than put on another point.
+              * @param {BindingData} data The data the chart is drawn with
+              * @param {PointHighlight[]} pointHighlights The saved highlights, which the moved ones are added to
+              * @returns {string[]} The ids that don't match a point
+              */
+            HighlightingPlotter.migratePointIds = function (data, pointHighlights) {
+                var configuration = DataViz.mainApp.Configuration;
+                var pointIds = configuration.get(DataViz.Config.Trends.wellKnownKeys.clickedPointIdArray);
+                var unmatchedPointIds = [];
+                if (!pointIds || pointIds.length === 0) {
+                    return unmatchedPointIds;
+                }
+                pointIds.forEach(function (pointId) {
+                    var lineId = HighlightingPlotter.getNumberFromString(pointId, "line", "column");
+                    var column = HighlightingPlotter.getNumberFromString(pointId, "column", "end");
+                    if (!(lineId >= 0 && lineId < data.yData.length && column >= 0 && column < data.xData.length)) {
+                        unmatchedPointIds.push(pointId);
+                        return;
+                    }
+                    var seriesName = Trends.Data.DataConvertor.getSeriesName(data, lineId);
+                    var isSaved = pointHighlights.some(function (highlight) {
+                        return highlight.seriesName === seriesName && highlight.xLabel === data.xData[column];
+                    });
+                    if (!isSaved) {
+                        pointHighlights.push({ seriesName: seriesName, xLabel: data.xData[column] });
+                    }
+                });
+                if (unmatchedPointIds.length < pointIds.length) {
+                    configuration.set(DataViz.Config.Trends.wellKnownKeys.pointHighlights, pointHighlights);
+                    configuration.set(DataViz.Config.Trends.wellKnownKeys.clickedPointIdArray, unmatchedPointIds);
+                }
+                return unmatchedPointIds;
+            };
+            /**
+              * Gets the number an element id holds between two strings, such as the line id in "checkbox2end"
+              */
+            HighlightingPlotter.getNumberFromString = function (orgString, startString, endString) {
+                var endIndex = orgString.indexOf(endString);
+                var startIndex = orgString.indexOf(startString) + startString.length;
+                var num = orgString.substring(startIndex, endIndex);
+                return parseInt(num);
+            };
+            /**
+              * Gets the value of a line in a column. If the line has no point there, because the point was sampled out, the value is
+              * read off the line between the points on both sides. A line is zero in its gaps and outside its points.
+              * @param {PointDataOnLine[]} points The points of the line, in order
+              * @param {number} column The column
+              * @returns {number} The value of the line in the column
+              */
+            HighlightingPlotter.getValueAt = function (points, column) {
+                var low = 0;
+                var high = points.length;
+                while (low < high) {
+                    var middle = Math.floor((low + high) / 2);
+                    if (points[middle].originalIndex < column) {
+                        low = middle + 1;
+                    }
+                    else {
+                        high = middle;
+                    }
+                }
+                if (low < points.length && points[low].originalIndex === column) {
+                    return points[low].unformatted;
+                }
+                if (low === 0 || low === points.length || points[low].isAfterGap) {
+                    return 0;
+                }
+                var before = points[low - 1];
+                var after = points[low];
+                return before.unformatted + (after.unformatted - before.unformatted) * (column - before.originalIndex) / (after.originalIndex - before.originalIndex);
+            };
+            /**
+              * Gets the width of the widest of some svg text elements
+              */
+            HighlightingPlotter.getMaxWidth = function (texts) {
+                var maxWidth = 0;
+                texts.each(function () {
+                    maxWidth = Math.max(maxWidth, this.getBBox().width);
+                });
+                return maxWidth;
+            };
+            /**
+              * Gets whether the chart is zoomed to some of the columns.
+              */
+            HighlightingPlotter.prototype.isZoomed = function () {
+                return this.firstColumn > 0 || this.lastColumn < this.columnNumber - 1;
+            };
+            /**
+              * Gets the ids of the lines that aren't hidden, in order.
+              */
+            HighlightingPlotter.prototype.getShownLineIds = function () {
+                var lineIds = [];
+                for (var lineId = 0; lineId < this.lineNumber; lineId++) {
+                    if (this.lineDisplay[lineId]) {
+                        lineIds.push(lineId);
+                    }
+                }
+                return lineIds;
+            };
+            /**
+              * Gets the text of the bubble of a point, which is the formatted value of its cell unless the numbers are compact.
+              */
+            HighlightingPlotter.prototype.getPointText = function (lineId, point) {
+                var format = this.bindingData.yData[lineId].numberFormat;
+                return (this.isCompact && format) ? format.format(point.unformatted, true) : point.formatted;
+            };
+            /**
+              * Gets how a point is saved, by the name of its series and the x label of its column.
+              */
+            HighlightingPlotter.prototype.createPointHighlight = function (lineId, column) {
+                return {
+                    seriesName: Trends.Data.DataConvertor.getSeriesName(this.bindingData, lineId),
+                    xLabel: this.bindingData.xData[column]
+                };
+            };
+            /**
+              * Gets the index of a point in some points saved by series name and x label, such as the highlights or the notes.
+              * @returns {number} The index, or -1 if the point isn't saved
+              */
+            HighlightingPlotter.prototype.findSavedPointIndex = function (savedPoints, lineId, column) {
+                var seriesName = Trends.Data.DataConvertor.getSeriesName(this.bindingData, lineId);
+                var xLabel = this.bindingData.xData[column];
+                for (var i = 0; i < savedPoints.length; i++) {
+                    if (savedPoints[i].seriesName === seriesName && savedPoints[i].xLabel === xLabel) {
+                        return i;
+                    }
+                }
+                return -1;
+            };
+            /**
+              * Gets the color of a line from the palette of the current theme.
+              * @param {number} lineId The id of the line
+              * @returns {string} The color of the line
+              */
+            HighlightingPlotter.prototype.getLineColor = function (lineId) {
+                return DataViz.Decoration.ThemeProvider.Instance.getLineColor(lineId);
+            };
+            /**
+              * Colors a checkbox of the legend in the color of a line, with a check mark that can be seen on it if it's checked.
+              */
+            HighlightingPlotter.prototype.setCheckboxStyle = function (checkbox, lineId, isChecked) {
+                var color = this.getLineColor(lineId);
+                var checkMark = d3.hsl(color).l > HighlightingPlotter.maxLightnessForWhiteCheck ? "check-black.svg" : "check-white.svg";
+                checkbox.style("background-color", color)
+                    .style("background-image", isChecked ? "url('../themes/" + checkMark + "')" : "none");
+            };
+            /**
+              * Replaces the svg of the chart and the legend with empty ones.
+              * @param {number} width The width of the chart
+              * @param {number} height The height of the chart
+              * @returns {any} The svg of the chart
+              */
+            HighlightingPlotter.prototype.appendChart = function (width, height) {
+                if (!d3.select("#svg-line-chart").empty()) {
+                    d3.select("#svg-line-chart").remove();
+                }
+                if (!d3.select("#div-legend").empty()) {
+                    d3.select("#div-legend").remove();
+                }
+                this.legendGroup = d3.select("#legend")
+                    .append("div")
+                    .attr("id", "div-legend")
+                    .style("width", "100%")
+                    .style("height", "100%")
+                    .style("margin-top", "25px");
+                return d3.select("#line-chart")
+                    .append("svg:svg")
+                    .attr("id", "svg-line-chart")
+                    .attr("width", width)
+                    .attr("height", height);
+            };
+            /**
+              * Draws a row in the legend for every line, with the checkbox that shows and hides the line, its title, which can be edited,
+              * and its transforms under the title.
+              */
+            HighlightingPlotter.prototype.drawLineLegend = function () {
+                var _this = this;
+                var checkboxLength = HighlightingPlotter.checkBoxLength / this.zoomRatio.heightRatio;
+                for (var i = 0; i < this.lineNumber; i++) {
+                    var legendRow = this.legendGroup.append("div")
+                        .attr("id", "legend-row-" + i)
+                        .attr("class", "legend-row-style");
+                    legendRow.append("div")
+                        .attr("id", "checkbox" + i + "end")
+                        .attr("class", "layout-checkbox")
+                        .attr("opacity", function () {
+                        return _this.lineDisplay[i] ? 1 : 0.85;
+                    })
+                        .on("click", function () {
+                        var lineId = HighlightingPlotter.getNumberFromString($(this).attr("id"), "checkbox", "end");
+                        _this.lineDisplay[lineId] = !_this.lineDisplay[lineId];
+                        $(this).attr("opacity", _this.lineDisplay[lineId] ? "1" : "0.85");
+                        _this.setCheckboxStyle(d3.select(this), lineId, _this.lineDisplay[lineId]);
+                        _this.configuration.set(DataViz.Config.Trends.wellKnownKeys.lineDisplay, _this.lineDisplay);
+                        _this.onLineDisplayChanged(lineId);
+                    });
+                    this.setCheckboxStyle(d3.select("#checkbox" + i + "end"), i, this.lineDisplay[i]);
+                    $("#checkbox" + i + "end").width(checkboxLength);
+                    $("#checkbox" + i + "end").height(checkboxLength);
+                    legendRow.append("textarea")
+                        .attr("id", "line-title" + i + "end")
+                        .attr("class", "element-style layout-chart-legend-textarea")
+                        .style("color", this.getLineColor(i))
+                        .style("font-size", HighlightingPlotter.legendFontSize / this.zoomRatio.heightRatio + "px")
+                        .on("input", function () {
+                        var lineId = HighlightingPlotter.getNumberFromString($(this).attr("id"), "line-title", "end");
+                        _this.lineTitleArray[lineId] = $(this)[0].value;
+                        _this.onLineTitleChanged(lineId);
+                        _this.configuration.delaySet(DataViz.Config.Trends.wellKnownKeys.lineTitleArray, _this.lineTitleArray, 300);
+                        if (!_this.isLegendEdited) {
+                            _this.isLegendEdited = true;
+                            _this.configuration.delaySet(DataViz.Config.Trends.wellKnownKeys.isLegendEdited, true, 300);
+                        }
+                    })
+                        .on("keypress", function () {
+                        if (d3.event.keyCode === 13 || d3.event.keyCode === 10) {
+                            d3.event.preventDefault();
+                            return false;
+                        }
+                    });
+                    $("#line-title" + i + "end").height(22 / this.zoomRatio.heightRatio); //"22" is the line title textarea's height
+                    // In TypeScript, jQuery prototype doesn't support to set outerWidth.
+                    $("#line-title" + i + "end").outerWidth($("#div-legend").width() - checkboxLength);
+                    $("#line-title" + i + "end")[0].value = this.lineTitleArray[i];
+                    // The transforms are shown under the title, so that a transformed line isn't taken for the bound values
+                    var transformsText = Trends.Data.DataTransformer.describe(this.lineTransforms[i]);
+                    if (transformsText) {
+                        this.legendGroup.append("div")
+                            .attr("id", "line-transforms" + i + "end")
+                            .attr("class", "layout-chart-legend-transforms")
+                            .style("color", this.getLineColor(i))
+                            .style("padding-left", (checkboxLength + 4) + "px")
+                            .style("font-size", HighlightingPlotter.legendTransformsFontSize / this.zoomRatio.heightRatio + "px")
+                            .text(transformsText);
+                    }
+                    this.drawLineLegendOptions(i);
+                }
+            };
+            /**
+              * Draws the rows of the settings of a line under its row in the legend. A plotter with such settings overrides it.
+              */
+            HighlightingPlotter.prototype.drawLineLegendOptions = function (lineId) {
+            };
+            /**
+              * Called when a line is shown or hidden from the legend. The chart is drawn again, since the shown lines take up the room of the hidden ones;
+              * a plotter that can just show or hide the line overrides it.
+              */
+            HighlightingPlotter.prototype.onLineDisplayChanged = function (lineId) {
+                this.plot(this.bindingData);
+            };
+            /**
+              * Called when the title of a line is edited in the legend. A plotter that draws the title in the chart overrides it.
+              */
+            HighlightingPlotter.prototype.onLineTitleChanged = function (lineId) {
+            };
+            /**
+              * Gets the radius of the bubble of a point, which depends on the length of its text.
+              */
+            HighlightingPlotter.prototype.getBubbleRadius = function (text) {
+                return HighlightingPlotter.radius[Math.min(text.length, HighlightingPlotter.maxTextLength) - 1] / this.zoomRatio.heightRatio;
+            };
+            /**
+              * Draws the bubble of a highlighted point, with its value in it.
+              * @param {any} parent The svg group the bubble is drawn in
+              * @param {number} lineId The id of the line of the point, which the highlight is saved for
+              * @param {PointDataOnLine} point The point
+              * @param {number[]} position Where the center of the bubble is, across and down the chart
+              * @param {boolean} beAnimated Whether the bubble grows in
+              * @param {boolean} isRemovable Whether a click on the bubble removes the highlight. The bubbles of the highlight rules can't be removed.
+              * @returns {any} The svg group of the bubble, or null if the point has no text
+              */
+            HighlightingPlotter.prototype.drawBubble = function (parent, lineId, point, position, beAnimated, isRemovable) {
+                var text = this.getPointText(lineId, point);
+                if (text === null) {
+                    return null;
+                }
+                var _this = this;
+                var column = point.originalIndex;
+                var fontSize = HighlightingPlotter.fontSize[Math.min(text.length, HighlightingPlotter.maxTextLength) - 1] / this.zoomRatio.heightRatio;
+                var x = Math.round(position[0] * 100) / 100;
+                var y = Math.round(position[1] * 100) / 100;
+                var duration = beAnimated ? HighlightingPlotter.durationTime : 0;
+                var circleGroup = parent.append("svg:g")
+                    .attr("cursor", isRemovable ? "pointer" : "default");
+                if (isRemovable) {
+                    circleGroup.on("click", function () {
+                        d3.select(this).remove();
+                        var index = _this.findSavedPointIndex(_this.pointHighlights, lineId, column);
+                        if (index > -1) {
+                            _this.pointHighlights.splice(index, 1);
+                        }
+                        _this.configuration.delaySet(DataViz.Config.Trends.wellKnownKeys.pointHighlights, _this.pointHighlights, 300);
+                    });
+                }
+                circleGroup.append("svg:circle")
+                    .style("fill", this.getLineColor(lineId))
+                    .attr("cx", x)
+                    .attr("cy", y)
+                    .attr("r", 0)
+                    .transition()
+                    .duration(duration)
+                    .attr("r", this.getBubbleRadius(text));
+                circleGroup.append("svg:text")
+                    .attr("class", "theme-chart-value layout-chart-value")
+                    .attr("x", x)
+                    .attr("y", y)
+                    .attr("dy", ".36em")
+                    .attr("font-size", fontSize)
+                    .text((text.length > HighlightingPlotter.maxTextLength) ? text.substring(0, 8) + "..." : text)
+                    .attr("opacity", 0)
+                    .transition()
+                    .duration(duration)
+                    .attr("opacity", 1);
+                return circleGroup;
+            };
+            /**
+              * Highlights a clicked point, unless it's highlighted already, and draws its bubble.
+              * @param {number} lineId The id of the line of the point
+              * @param {number} column The column of the point
+              * @param {() => void} drawBubble Draws the bubble of the point
+              */
+            HighlightingPlotter.prototype.addPointHighlight = function (lineId, column, drawBubble) {
+                if (this.findSavedPointIndex(this.pointHighlights, lineId, column) === -1) {
+                    drawBubble();
+                    this.pointHighlights.push(this.createPointHighlight(lineId, column));
+                    this.configuration.delaySet(DataViz.Config.Trends.wellKnownKeys.pointHighlights, this.pointHighlights, 300);
+                }
+            };
+            /**
+              * Gets the columns of the highlighted points of a line.
+              * @returns {Object} Whether each column is highlighted, by column
+              */
+            HighlightingPlotter.prototype.getHighlightedColumns = function (lineId) {
+                var _this = this;
+                var seriesName = Trends.Data.DataConvertor.getSeriesName(this.bindingData, lineId);
+                var isHighlighted = {};
+                this.pointHighlights.forEach(function (highlight) {
+                    if (highlight.seriesName === seriesName) {
+                        isHighlighted[_this.bindingData.xData.indexOf(highlight.xLabel)] = true;
+                    }
+                });
+                return isHighlighted;
+            };
+            /**
+              * Gets where a point is drawn in the svg group of its line. A plotter that draws notes overrides it.
+              * @returns {number[]} How far the point is across and down the group
+              */
+            HighlightingPlotter.prototype.getPointPosition = function (lineId, point) {
+                return null;
+            };
+            /**
+              * Gets the svg group a line is drawn in, which its notes are drawn in too.
+              */
+            HighlightingPlotter.prototype.getLineGroup = function (lineId) {
+                return d3.select("#line-group" + lineId);
+            };
+            /**
+              * Gets the top of the room a note of a line has above its point. A note that doesn't fit above its point is drawn below it.
+              */
+            HighlightingPlotter.prototype.getAnnotationTop = function (lineId) {
+                return 0;
+            };
+            /**
+              * Gets how far a note is drawn above or below its point.
+              */
+            HighlightingPlotter.prototype.getAnnotationOffset = function () {
+                return HighlightingPlotter.annotationOffset / this.zoomRatio.heightRatio;
+            };
+            /**
+              * Tells whether a point is drawn, so that its note can be drawn. A plotter that leaves out some of the points overrides it.
+              */
+            HighlightingPlotter.prototype.isPointDrawn = function (lineId, point) {
+                return true;
+            };
+            /**
+              * Gets the point of a line in a column, or null if the line has no point there after sampling.
+              */
+            HighlightingPlotter.prototype.getPointAtColumn = function (lineId, column) {
+                var points = this.bindingData.yData[lineId].data;
+                for (var i = 0; i < points.length; i++) {
+                    if (points[i].originalIndex === column) {
+                        return points[i];
+                    }
+                }
+                return null;
+            };
+            /**
+              * Draws the notes of a line at the points in the columns with the x labels they were added at.
+              * A note whose series or x label is no longer in the data, or whose point isn't drawn, isn't drawn either, but it's kept in case they come back.
+              * @param {number} lineId The id of the line
+              */
+            HighlightingPlotter.prototype.drawAnnotations = function (lineId) {
+                var _this = this;
+                var seriesName = Trends.Data.DataConvertor.getSeriesName(this.bindingData, lineId);
+                this.annotations.forEach(function (annotation) {
+                    if (annotation.seriesName !== seriesName) {
+                        return;
+                    }
+                    var point = _this.getPointAtColumn(lineId, _this.bindingData.xData.indexOf(annotation.xLabel));
+                    if (point && _this.isPointDrawn(lineId, point)) {
+                        _this.drawAnnotation(lineId, point, annotation.text);
+                    }
+                });
+            };
+            /**
+              * Draws the button on the bubble of a clicked point that adds a note to the point, on the upper right of the bubble.
+              * A point that has a note already doesn't get the button.
+              * @param {any} circleGroup The svg group of the bubble
+              * @param {number} lineId The id of the line of the point
+              * @param {PointDataOnLine} point The point
+              * @param {number} bubbleRadius The radius of the bubble
+              */
+            HighlightingPlotter.prototype.drawNoteButton = function (circleGroup, lineId, point, bubbleRadius) {
+                if (!circleGroup || this.findSavedPointIndex(this.annotations, lineId, point.originalIndex) > -1) {
+                    return;
+                }
+                var _this = this;
+                var radius = HighlightingPlotter.noteButtonRadius / this.zoomRatio.heightRatio;
+                var position = this.getPointPosition(lineId, point);
+                var x = position[0] + bubbleRadius * Math.SQRT1_2;
+                var y = position[1] - bubbleRadius * Math.SQRT1_2;
+                var noteButton = circleGroup.append("svg:g")
+                    .attr("class", "layout-chart-note-button")
+                    .on("click", function () {
+                    d3.event.stopPropagation();
+                    d3.select(this).remove();
+                    _this.addAnnotation(lineId, point);
+                });
+                noteButton.append("svg:title")
+                    .text(DataViz.Resources.UI.chartAddNoteTitle);
+                noteButton.append("svg:circle")
+                    .attr("cx", x)
+                    .attr("cy", y)
+                    .attr("r", radius)
+                    .style("stroke", this.getLineColor(lineId))
+                    .style("stroke-width", 1 / this.zoomRatio.heightRatio);
+                noteButton.append("svg:text")
+                    .attr("x", x)
+                    .attr("y", y)
+                    .attr("dy", ".36em")
+                    .attr("font-size", 2 * radius)
+                    .style("fill", this.getLineColor(lineId))
+                    .text("+");
+            };
+            HighlightingPlotter.prototype.getAnnotationId = function (lineId, column) {
+                return "note" + "line" + lineId + "column" + column + "end";
+            };
+            /**
+              * Draws a note as a callout above its point, or below it if there's no room above, with a leader line to the point.
+              * Clicking the callout edits the note.
+              */
+            HighlightingPlotter.prototype.drawAnnotation = function (lineId, point, text) {
+                var _this = this;
+                var position = this.getPointPosition(lineId, point);
+                var x = position[0];
+                var y = position[1];
+                var offset = this.getAnnotationOffset();
+                var padding = HighlightingPlotter.annotationPadding / this.zoomRatio.heightRatio;
+                var textY = (y - offset > this.getAnnotationTop(lineId)) ? y - offset : y + offset;
+                var noteGroup = this.getLineGroup(lineId).append("svg:g")
+                    .attr("id", this.getAnnotationId(lineId, point.originalIndex))
+                    .attr("class", "layout-chart-note")
+                    .on("click", function () {
+                    d3.event.stopPropagation();
+                    _this.editAnnotation(lineId, point);
+                });
+                noteGroup.append("svg:line")
+                    .attr("x1", x)
+                    .attr("y1", y)
+                    .attr("x2", x)
+                    .attr("y2", textY)
+                    .style("stroke", this.getLineColor(lineId))
+                    .style("stroke-width", 1 / this.zoomRatio.heightRatio);
+                var box = noteGroup.append("svg:rect")
+                    .style("fill", this.getLineColor(lineId));
+                var noteText = noteGroup.append("svg:text")
+                    .attr("class", "theme-chart-value layout-chart-note-text")
+                    .attr("x", x)
+                    .attr("y", textY)
+                    .attr("dy", ".36em")
+                    .attr("font-size", HighlightingPlotter.annotationFontSize / this.zoomRatio.heightRatio)
+                    .text(text);
+                // The box is sized after the text is drawn, as only then can the text be measured
+                var bounds = noteText.node().getBBox();
+                box.attr("x", bounds.x - padding)
+                    .attr("y", bounds.y - padding)
+                    .attr("width", bounds.width + 2 * padding)
+                    .attr("height", bounds.height + 2 * padding)
+                    .attr("rx", padding)
+                    .attr("ry", padding);
+            };
+            /**
+              * Adds an empty note to a point and starts editing it. The note is only saved once it has some text.
+              */
+            HighlightingPlotter.prototype.addAnnotation = function (lineId, point) {
+                if (this.findSavedPointIndex(this.annotations, lineId, point.originalIndex) === -1) {
+                    var highlight = this.createPointHighlight(lineId, point.originalIndex);
+                    this.annotations.push({ seriesName: highlight.seriesName, xLabel: highlight.xLabel, text: "" });
+                    this.drawAnnotation(lineId, point, "");
+                }
+                this.editAnnotation(lineId, point);
+            };
+            /**
+              * Edits a note in a text box over its callout. Enter or leaving the box saves the note and Escape cancels the edit.
+              */
+            HighlightingPlotter.prototype.editAnnotation = function (lineId, point) {
+                var _this = this;
+                var index = this.findSavedPointIndex(this.annotations, lineId, point.originalIndex);
+                if (index === -1) {
+                    return;
+                }
+                $("#note-editor").remove();
+                var annotation = this.annotations[index];
+                var noteRect = $("#" + this.getAnnotationId(lineId, point.originalIndex))[0].getBoundingClientRect();
+                var editor = $("<textarea>").attr("id", "note-editor")
+                    .attr("aria-label", DataViz.Resources.UI.chartNoteLabel)
+                    .addClass("layout-chart-note-editor")
+                    .css({
+                    left: noteRect.left + "px",
+                    top: noteRect.top + "px",
+                    "font-size": HighlightingPlotter.annotationFontSize / this.zoomRatio.heightRatio + "px",
+                    color: this.getLineColor(lineId),
+                    "border-color": this.getLineColor(lineId)
+                })
+                    .val(annotation.text)
+                    .appendTo("body");
+                var isFinished = false;
+                var finish = function (isSaved) {
+                    if (isFinished) {
+                        return;
+                    }
+                    // Removing the box blurs it, which would finish the edit again
+                    isFinished = true;
+                    var text = $.trim(editor.val());
+                    editor.remove();
+                    _this.setAnnotationText(lineId, point, isSaved ? text : annotation.text);
+                };
+                editor.on("keydown", function (event) {
+                    if (event.which === 13) {
+                        event.preventDefault();
+                        finish(true);
+                    }
+                    else if (event.which === 27) {
+                        finish(false);
+                    }
+                }).on("blur", function () {
+                    finish(true);
+                });
+                editor.focus();
+            };
+            /**
+              * Changes the text of a note and saves the notes. A note without text is removed.
+              */
+            HighlightingPlotter.prototype.setAnnotationText = function (lineId, point, text) {
+                var index = this.findSavedPointIndex(this.annotations, lineId, point.originalIndex);
+                if (index === -1) {
+                    return;
+                }
+                d3.select("#" + this.getAnnotationId(lineId, point.originalIndex)).remove();
+                if (text) {
+                    this.annotations[index].text = text;
+                    this.drawAnnotation(lineId, point, text);
+                }
+                else {
+                    this.annotations.splice(index, 1);
+                }
+                this.configuration.set(DataViz.Config.Trends.wellKnownKeys.annotations, this.annotations);
+            };
+            HighlightingPlotter.prototype.onDataChanged = function (newData) {
+                if (!this.bindingData || !newData) {
+                    return;
+                }
+                if (newData.yData.length !== this.bindingData.yData.length) {
+                    DataViz.Config.Trends.resetLineOrder();
+                    DataViz.Config.Trends.resetLineDisplay();
+                    DataViz.Config.Trends.resetLineTitleArray();
+                }
+            };
+            /**
+              * Finds the highlights whose series or x label isn't in the data. They're kept, so that they come back with the data.
+              */
+            HighlightingPlotter.prototype.findOrphanedHighlights = function () {
+                var _this = this;
+                var seriesNames = [];
+                for (var lineId = 0; lineId < this.lineNumber; lineId++) {
+                    seriesNames.push(Trends.Data.DataConvertor.getSeriesName(this.bindingData, lineId));
+                }
+                this.orphanedHighlights = this.pointHighlights.filter(function (highlight) {
+                    return seriesNames.indexOf(highlight.seriesName) === -1 || _this.bindingData.xData.indexOf(highlight.xLabel) === -1;
+                });
+            };
+            /**
+              * Fits the saved zoom window to the current number of columns. A window that no longer fits the data shows all the columns.
+              */
+            HighlightingPlotter.prototype.setWindowColumns = function (xWindow) {
+                this.firstColumn = 0;
+                this.lastColumn = this.columnNumber - 1;
+                if (xWindow && typeof xWindow.start === "number" && typeof xWindow.end === "number") {
+                    var firstColumn = Math.max(Math.floor(xWindow.start), 0);
+                    var lastColumn = Math.min(Math.ceil(xWindow.end), this.columnNumber - 1);
+                    if (lastColumn - firstColumn >= HighlightingPlotter.minXWindowSpan) {
+                        this.firstColumn = firstColumn;
+                        this.lastColumn = lastColumn;
+                    }
+                }
+            };
+            HighlightingPlotter.durationTime = 300;
+            // Different radiuses of the bubble after user clicks a point, which depends on the text length in it
+            HighlightingPlotter.radius = [13, 16, 20, 25, 29, 29, 29, 29, 29];
+            // Different font sizes of the bubble text, which depends on the text length in it
+            HighlightingPlotter.fontSize = [17, 17, 17, 17, 17, 15, 13, 12, 11];
+            HighlightingPlotter.maxTextLength = 9;
+            // Above this lightness a white check mark can't be seen on the checkbox, so a black one is used
+            HighlightingPlotter.maxLightnessForWhiteCheck = 0.9;
+            // A zoomed chart shows at least this many columns after its first one
+            HighlightingPlotter.minXWindowSpan = 1;
+            HighlightingPlotter.legendFontSize = 17;
+            HighlightingPlotter.legendTransformsFontSize = 12;
+            HighlightingPlotter.checkBoxLength = 15;
+            // How far a note is drawn above or below its point
+            HighlightingPlotter.annotationOffset = 48;
+            HighlightingPlotter.annotationPadding = 4;
+            HighlightingPlotter.annotationFontSize = 13;
+            HighlightingPlotter.noteButtonRadius = 7;
+            return HighlightingPlotter;
+        }(DataViz.Tools.Pausable));
+        Chart.HighlightingPlotter = HighlightingPlotter;
+    })(Chart = Trends.Chart || (Trends.Chart = {}));
+})(Trends || (Trends = {}));
 /* **************************************************************************************
 Copyright (c) Microsoft Open Technologies, Inc. All rights reserved. Licensed under the Apache License, Version 2.0.
 See License.txt in the project root for license information.
 ***************************************************************************************** */
-///<reference path="shared/BindingPane.ts"/>
-///<reference path="../logic/configurator.agave.ts"/>
-///<reference path="../strings/stringadapter.ts"/>
-var DataViz;
-(function (DataViz) {
-    var UX;
-    (function (UX) {
-        var BindingPaneSpecific = (function (_super) {
-            __extends(BindingPaneSpecific, _super);
-            function BindingPaneSpecific() {
+///<reference path="shared/data.ts" />
+///<reference path="shared/chart.ts"/>
+///<reference path="shared/decoration.ts"/>
+///<reference path="data.convertor.agave.ts" />
+///<reference path="data.transformer.trends.ts" />
+///<reference path="trendline.trends.ts" />
+///<reference path="numberformat.trends.ts" />
+///<reference path="highlightingplotter.trends.ts" />
+///<reference path="../app.ts" />
+var Trends;
+(function (Trends) {
+    var Chart;
+    (function (Chart) {
+        var LineChartPlotter = (function (_super) {
+            __extends(LineChartPlotter, _super);
+            function LineChartPlotter() {
                 _super.apply(this, arguments);
+                // The opacity of the areas under the lines, or null if the plotter doesn't fill them
+                /* protected */ this.areaOpacity = null;
+                // Whether the lines are stacked on each other, which keeps them all on the primary axis
+                /* protected */ this.isStacked = false;
             }
             /**
-              * Get the singleton instance.
+              * Overriding {@link HighlightingPlotter#resetTool}. The tooltip and the keyboard navigation, which are kept outside the svg, are removed too.
+              */
+            LineChartPlotter.prototype.resetTool = function () {
+                _super.prototype.resetTool.call(this);
+                d3.select("#crosshair-tooltip").remove();
+                $("#line-chart").off(".crosshair").removeAttr("aria-label");
+            };
+            LineChartPlotter.prototype.setWidth = function (width) {
+                this.lineChartWidth = width;
+            };
+            LineChartPlotter.prototype.setHeight = function (height) {
+                this.lineChartHeight = height;
+            };
+            /**
+              * Gets the value a point is drawn at, which is its own value unless the plotter stacks the lines.
+              * @param {number} lineId The id of the line of the point
+              * @param {PointDataOnLine} point The point
+              * @returns {number} The value on the y axis
+              */
+            LineChartPlotter.prototype.getPlottedValue = function (lineId, point) {
+                return point.unformatted;
+            };
+            /**
+              * Gets the value the area under a point starts from, when the plotter fills the areas under the lines.
+              * @param {number} lineId The id of the line of the point
+              * @param {PointDataOnLine} point The point
+              * @returns {number} The value on the y axis
+              */
+            LineChartPlotter.prototype.getBaseValue = function (lineId, point) {
+                return 0;
+            };
+            /**
+              * Gets the format of the labels of an axis, which is the format the lines drawn against it have in common.
+              * @param {boolean} isSecondary True to get the format of the secondary axis; false to get the format of the primary axis
+              * @returns {NumberFormat} The format of the axis labels
+              */
+            LineChartPlotter.prototype.getAxisFormat = function (isSecondary) {
+                var _this = this;
+                return Trends.Data.NumberFormat.combine(this.getLineIdsOnAxis(isSecondary).map(function (lineId) {
+                    return _this.bindingData.yData[lineId].numberFormat;
+                }));
+            };
+            /**
+              * Overriding {@link HighlightingPlotter#initData}
+              */
+            LineChartPlotter.prototype.initData = function (convertedData) {
+                _super.prototype.initData.call(this, convertedData);
+                this.setMaxAndMin();
+                this.lineChartHeight = $("#line-chart").height();
+                this.lineChartWidth = $("#line-chart").width();
+                this.xAxisBottom = this.lineChartHeight - (this.hasBrush() ? LineChartPlotter.brushHeight / this.zoomRatio.heightRatio : 0);
+            };
+            /**
+              * Overriding {@link HighlightingPlotter#readSettings}
+              */
+            LineChartPlotter.prototype.readSettings = function () {
+                _super.prototype.readSettings.call(this);
+                if (!this.configuration.get(DataViz.Config.Trends.wellKnownKeys.lineOrder)) {
+                    DataViz.Config.Trends.resetLineOrder();
+                }
+                this.lineOrder = this.configuration.get(DataViz.Config.Trends.wellKnownKeys.lineOrder);
+                this.trendlineDisplay = this.configuration.get(DataViz.Config.Trends.wellKnownKeys.trendlineDisplay);
+                this.trendlineDisplay = this.trendlineDisplay ? this.trendlineDisplay : [];
+                this.lineAxes = this.configuration.get(DataViz.Config.Trends.wellKnownKeys.lineAxes);
+                this.lineAxes = this.lineAxes ? this.lineAxes : [];
+                this.yAxisOptions = LineChartPlotter.normalizeYAxisOptions(this.configuration.get(DataViz.Config.Trends.wellKnownKeys.yAxisOptions));
+            };
+            /**
+              * Overriding {@link HighlightingPlotter#normalizeLineStates}. The line order, the trendline display status and the axes are fitted too.
+              */
+            LineChartPlotter.prototype.normalizeLineStates = function () {
+                var _this = this;
+                _super.prototype.normalizeLineStates.call(this);
+                var lineOrder = this.lineOrder.filter(function (lineId) {
+                    return lineId < _this.lineNumber;
+                });
+                for (var i = 0; i < this.lineNumber; i++) {
+                    if (lineOrder.indexOf(i) === -1) {
+                        lineOrder.push(i);
+                    }
+                }
+                this.lineOrder.length = 0;
+                Array.prototype.push.apply(this.lineOrder, lineOrder);
+                this.trendlineDisplay.length = this.lineNumber;
+                this.lineAxes.length = this.lineNumber;
+                for (var i = 0; i < this.lineNumber; i++) {
+                    if (typeof this.trendlineDisplay[i] !== "boolean") {
+                        this.trendlineDisplay[i] = true;
+                    }
+                    if (this.lineAxes[i] !== DataViz.Config.Trends.YAxis.secondary) {
+                        this.lineAxes[i] = DataViz.Config.Trends.YAxis.primary;
+                    }
+                }
+            };
+            /**
+              * Fills in the defaults of the y axis settings that aren't saved
+              */
+            LineChartPlotter.normalizeYAxisOptions = function (options) {
+                options = options ? options : {};
+                return {
+                    scale: (options.scale === DataViz.Config.Trends.YScale.log) ? DataViz.Config.Trends.YScale.log : DataViz.Config.Trends.YScale.linear,
+                    min: (typeof options.min === "number" && isFinite(options.min)) ? options.min : null,
+                    max: (typeof options.max === "number" && isFinite(options.max)) ? options.max : null,
+                    includesZero: options.includesZero === true,
+                    tickNumber: (options.tickNumber > 0) ? Math.floor(options.tickNumber) : null
+                };
+            };
+            /**
+              * Overriding {@link HighlightingPlotter#draw}
+              */
+            LineChartPlotter.prototype.draw = function () {
+                if (!this.bindingData) {
+                    return;
+                }
+                this.lineChart = this.appendChart(this.lineChartWidth, this.lineChartHeight);
+                var yRange = [this.xAxisBottom - LineChartPlotter.marginBottom / this.zoomRatio.heightRatio, LineChartPlotter.marginTop / this.zoomRatio.heightRatio];
+                this.yAxis = this.createYScale().domain([this.min, this.max]).range(yRange);
+                this.secondaryYAxis = this.hasSecondaryAxis() ? this.createYScale().domain([this.secondaryMin, this.secondaryMax]).range(yRange) : null;
+                var yTicks = this.drawYLabelAndTicks();
+                var marginLeft = this.getMaxYLabelWidth(yTicks, "y-label") + this.getFirstMaxRadius();
+                var marginRight = LineChartPlotter.marginRight / this.zoomRatio.widthRatio;
+                if (this.secondaryYAxis) {
+                    var secondaryYTicks = this.drawSecondaryYLabels();
+                    marginRight = Math.max(marginRight, this.getMaxYLabelWidth(secondaryYTicks, "secondary-y-label") + this.getFirstMaxRadius());
+                }
+                var isLineChartMinimum = (this.lineChartWidth - marginLeft - marginRight) < this.lineChartWidth / 2;
+                this.xAxisWidth = isLineChartMinimum ? this.lineChartWidth / 2 : this.lineChartWidth - marginLeft - marginRight;
+                var xRange = [isLineChartMinimum ? this.lineChartWidth - marginRight - this.xAxisWidth : marginLeft, this.lineChartWidth - marginRight];
+                this.xAxis = (this.bindingData.xDates ? d3.time.scale.utc() : d3.scale.linear()).domain(this.getXDomain()).range(xRange);
+                this.drawPlotAreaClip(yRange, xRange);
+                this.drawXLabelAndTicks();
+                this.drawLineLegend();
+                for (var i = 0; i < this.lineOrder.length; i++) {
+                    var lineId = this.lineOrder[i];
+                    this.appendLineGroup(lineId);
+                    this.drawLine(lineId);
+                }
+                this.drawCrosshair(yRange);
+                this.drawBrush(xRange);
+                this.setZoomAndPanHandlers(xRange);
+                $("#zoom-reset-button").toggle(this.isZoomed());
+            };
+            LineChartPlotter.prototype.appendLineGroup = function (lineId) {
+                var lineGroup = this.lineChart.append("svg:g").attr("id", "line-group" + lineId).style("display", this.lineDisplay[lineId] ? "inline" : "none");
+                if (this.isPlotAreaClipped()) {
+                    lineGroup.attr("clip-path", "url(#plot-area-clip)");
+                }
+            };
+            LineChartPlotter.prototype.createYScale = function () {
+                return this.isLogScale() ? d3.scale.log() : d3.scale.linear();
+            };
+            LineChartPlotter.prototype.isLogScale = function () {
+                return this.yAxisOptions.scale === DataViz.Config.Trends.YScale.log;
+            };
+            LineChartPlotter.prototype.isYRangeFixed = function () {
+                return this.yAxisOptions.min !== null || this.yAxisOptions.max !== null;
+            };
+            /**
+              * Gets whether the chart can be zoomed, which it can if it has more than one column
+              */
+            LineChartPlotter.prototype.hasBrush = function () {
+                return this.columnNumber > 1;
+            };
+            LineChartPlotter.prototype.isPlotAreaClipped = function () {
+                return this.isYRangeFixed() || this.isZoomed();
+            };
+            /**
+              * Gets whether a value can be drawn, which it can't on a logarithmic scale if it isn't positive
+              */
+            LineChartPlotter.prototype.isDrawable = function (value) {
+                return !this.isLogScale() || value > 0;
+            };
+            /**
+              * Adds the clip path that keeps the lines inside the plot area when the primary axis has a fixed range or the chart is zoomed in.
+              * The area is as high as the y axis if its range is fixed and as wide as the x axis if the chart is zoomed in, plus the radius of
+              * a hovered point, so that the points at its ends are drawn whole.
+              */
+            LineChartPlotter.prototype.drawPlotAreaClip = function (yRange, xRange) {
+                if (!this.isPlotAreaClipped()) {
+                    return;
+                }
+                var padding = LineChartPlotter.pointHoverRadio / this.zoomRatio.heightRatio;
+                var top = this.isYRangeFixed() ? yRange[1] - padding : 0;
+                var bottom = this.isYRangeFixed() ? yRange[0] + padding : this.xAxisBottom;
+                var left = this.isZoomed() ? xRange[0] - padding : 0;
+                var right = this.isZoomed() ? xRange[1] + padding : this.lineChartWidth;
+                this.lineChart.append("svg:defs")
+                    .append("svg:clipPath")
+                    .attr("id", "plot-area-clip")
+                    .append("svg:rect")
+                    .attr("id", "plot-area-clip-rect")
+                    .attr("x", left)
+                    .attr("y", top)
+                    .attr("width", right - left)
+                    .attr("height", bottom - top);
+            };
+            /**
+              * Gets the domain of the x axis, which spans the columns the chart is zoomed to.
+              * The axis only runs on to the end of a trendline forecast if the last column is shown.
+              */
+            LineChartPlotter.prototype.getXDomain = function () {
+                var isLastColumnShown = this.lastColumn === this.columnNumber - 1;
+                if (this.bindingData.xDates) {
+                    var dates = this.bindingData.xDates.slice(this.firstColumn, this.lastColumn + 1);
+                    return d3.extent(isLastColumnShown ? dates.concat([this.getXAxisEnd()]) : dates);
+                }
+                return [this.firstColumn, isLastColumnShown ? Math.max(this.lastColumn, this.getXAxisEnd()) : this.lastColumn];
+            };
+            LineChartPlotter.prototype.getMaxYLabelWidth = function (yTicks, labelIdPrefix) {
+                var maxLength = 0;
+                for (var i = 0; i < yTicks.length; ++i) {
+                    var yLableWidth = this.getSvgElementWidth(labelIdPrefix + i);
+                    if (yLableWidth > maxLength) {
+                        maxLength = yLableWidth;
+                    }
+                }
+                return maxLength;
+            };
+            LineChartPlotter.prototype.getFirstMaxRadius = function () {
+                var firstMaxRadius = 0;
+                var textLength = 0;
+                for (var i = 0; i < this.lineNumber; i++) {
+                    var data = this.bindingData.yData[i].data;
+                    if (data && data[0]) {
+                        textLength = Math.min(this.getPointText(i, data[0]).length, LineChartPlotter.maxTextLength);
+                        firstMaxRadius = Math.max(LineChartPlotter.radius[textLength - 1], firstMaxRadius);
+                    }
+                }
+                return firstMaxRadius / this.zoomRatio.heightRatio;
+            };
+            /**
+              * Gets the x position of a column, which is spaced by date if the x values are dates
+              * @param {number} column The index of the column
+              * @returns {number} The x position
+              */
+            LineChartPlotter.prototype.getXPosition = function (column) {
+                return this.bindingData.xDates ? this.xAxis(this.bindingData.xDates[column]) : this.xAxis(column);
+            };
+            LineChartPlotter.prototype.drawXLabelAndTicks = function () {
+                if (this.bindingData.xDates) {
+                    this.drawTimeXLabelAndTicks();
+                    this.drawXAxisLine();
+                    return;
+                }
+                var _this = this;
+                var windowColumnNumber = this.lastColumn - this.firstColumn + 1;
+                this.currentXTickNumber = windowColumnNumber;
+                var xTicks = (this.currentXTickNumber === 1) ? [this.firstColumn] : this.getXTicks(this.currentXTickNumber);
+                while (xTicks.length > windowColumnNumber) {
+                    this.currentXTickNumber--;
+                    if (this.currentXTickNumber === 1) {
+                        xTicks = [this.firstColumn];
+                        break;
+                    }
+                    xTicks = this.getXTicks(this.currentXTickNumber);
+                }
+                this.drawXLabel(xTicks);
+                var maxWidth = 0;
+                for (var i = 0; i < xTicks.length; i++) {
+                    var xLableWidth = this.getSvgElementWidth("x-label" + xTicks[i]);
+                    if (xLableWidth > maxWidth) {
+                        maxWidth = xLableWidth;
+                    }
+                }
+                var maxTickNumber = Math.floor(this.xAxisWidth / maxWidth) + 1;
+                if (xTicks.length > maxTickNumber) {
+                    d3.select("#x-label-group").remove();
+                    this.currentXTickNumber = maxTickNumber;
+                    if (this.currentXTickNumber > 1) {
+                        xTicks = this.getXTicks(this.currentXTickNumber);
+                        var isFitFinal = ((this.xAxis(xTicks[xTicks.length - 1]) - this.xAxis(xTicks[0])) / (xTicks.length - 1)) >= maxWidth;
+                        while ((maxTickNumber < xTicks.length) || !isFitFinal || xTicks.length > windowColumnNumber) {
+                            this.currentXTickNumber--;
+                            if (this.currentXTickNumber === 1) {
+                                xTicks = [this.firstColumn];
+                                break;
+                            }
+                            xTicks = this.getXTicks(this.currentXTickNumber);
+                            isFitFinal = ((this.xAxis(xTicks[xTicks.length - 1]) - this.xAxis(xTicks[0])) / (xTicks.length - 1)) >= maxWidth;
+                        }
+                    }
+                    else {
+                        xTicks = [this.firstColumn];
+                    }
+                    this.drawXLabel(xTicks);
+                }
+                var lastButOneId = xTicks[xTicks.length - 1];
+                var fontSize = LineChartPlotter.defaultXLableFontSize / this.zoomRatio.heightRatio;
+                if (lastButOneId !== this.lastColumn) {
+                    var xLabelGroup = d3.select("#x-label-group");
+                    xLabelGroup.append("svg:line")
+                        .attr("id", "x-tick-last")
+                        .attr("class", "theme-chart-ticks")
+                        .attr("x1", this.xAxis(this.lastColumn))
+                        .attr("y1", this.xAxisBottom - LineChartPlotter.xAxisPaddingBottm / this.zoomRatio.heightRatio - fontSize / 2)
+                        .attr("x2", this.xAxis(this.lastColumn))
+                        .attr("y2", this.xAxisBottom - (LineChartPlotter.xAxisPaddingBottm + LineChartPlotter.xTickWidth) / this.zoomRatio.heightRatio - fontSize / 2);
+                    xLabelGroup.append("svg:text")
+                        .attr("id", "x-label-last")
+                        .attr("class", "layout-chart-x-label theme-chart-label")
+                        .attr("x", this.xAxis(this.lastColumn))
+                        .attr("y", this.xAxisBottom - fontSize / 2)
+                        .style("font-size", fontSize + "px")
+                        .text(this.bindingData.xData[this.lastColumn]);
+                    var lastTwoTicksWidth = this.xAxis(this.lastColumn) - this.xAxis(lastButOneId);
+                    var lastLabelWidth = this.getSvgElementWidth("x-label-last");
+                    ;
+                    var lastButOneLabelWidth = this.getSvgElementWidth("x-label" + lastButOneId);
+                    if (lastTwoTicksWidth < (lastLabelWidth + lastButOneLabelWidth) / 2) {
+                        if (lastButOneId === this.firstColumn) {
+                            d3.select("#x-tick-last").remove();
+                            d3.select("#x-label-last").remove();
+                        }
+                        else {
+                            d3.select("#x-label" + lastButOneId).remove();
+                            d3.select("#x-tick" + lastButOneId).remove();
+                        }
+                    }
+                }
+                this.drawXAxisLine();
+            };
+            /**
+              * Gets the ticks of the x axis when it isn't a time axis. Only whole columns have labels, so the ticks between them are left out.
+              */
+            LineChartPlotter.prototype.getXTicks = function (tickNumber) {
+                return this.xAxis.ticks(tickNumber).filter(function (tick) {
+                    return tick % 1 === 0;
+                });
+            };
+            LineChartPlotter.prototype.drawTimeXLabelAndTicks = function () {
+                // Reduce the ticks until the labels don't overlap. The time scale picks ticks on calendar units such as days, months or years.
+                this.currentXTickNumber = Math.max(1, Math.min(this.lastColumn - this.firstColumn + 1, Math.floor(this.xAxisWidth / LineChartPlotter.minTimeXLabelWidth)));
+                while (true) {
+                    var xTicks = this.xAxis.ticks(this.currentXTickNumber);
+                    this.drawTimeXLabel(xTicks, this.xAxis.tickFormat(this.currentXTickNumber));
+                    var maxWidth = 0;
+                    for (var i = 0; i < xTicks.length; i++) {
+                        maxWidth = Math.max(maxWidth, this.getSvgElementWidth("x-label" + i));
+                    }
+                    var isFit = (xTicks.length < 2) || ((this.xAxis(xTicks[xTicks.length - 1]) - this.xAxis(xTicks[0])) / (xTicks.length - 1) >= maxWidth);
+                    if (isFit || this.currentXTickNumber === 1) {
+                        break;
+                    }
+                    d3.select("#x-label-group").remove();
+                    this.currentXTickNumber--;
+                }
+            };
+            LineChartPlotter.prototype.drawXAxisLine = function () {
+                var fontSize = LineChartPlotter.defaultXLableFontSize / this.zoomRatio.heightRatio;
+                this.lineChart.append("svg:line")
+                    .attr("class", "theme-chart-ticks")
+                    .attr("x1", 0)
+                    .attr("y1", this.xAxisBottom - LineChartPlotter.xAxisPaddingBottm / this.zoomRatio.heightRatio - fontSize / 2)
+                    .attr("x2", this.lineChartWidth)
+                    .attr("y2", this.xAxisBottom - LineChartPlotter.xAxisPaddingBottm / this.zoomRatio.heightRatio - fontSize / 2);
+            };
+            LineChartPlotter.prototype.drawYLabelAndTicks = function () {
+                var _this = this;
+                var yTicks = this.getYTicks(this.yAxis);
+                var yLabelId = 0;
+                var yLabels = this.getAxisFormat(false).formatTicks(yTicks, this.isCompact);
+                this.lineChart.selectAll(".yLabel")
+                    .data(yTicks)
+                    .enter()
+                    .append("svg:text")
+                    .attr("id", function (data) {
+                    return "y-label" + yLabelId++;
+                })
+                    .attr("class", "layout-chart-y-label theme-chart-label")
+                    .attr("x", 0)
+                    .attr("y", function (data) {
+                    return _this.yAxis(data) - 6;
+                }) //"6" is the padding bottom from the yTicks.
+                    .style("font-size", LineChartPlotter.defaultYLableFontSize / this.zoomRatio.heightRatio + "px")
+                    .text(function (data, index) {
+                    return yLabels[index];
+                });
+                this.lineChart.selectAll(".yTicks")
+                    .data(yTicks)
+                    .enter()
+                    .append("svg:line")
+                    .attr("class", "theme-chart-ticks")
+                    .attr("x1", 0)
+                    .attr("y1", function (data) {
+                    return _this.yAxis(data);
+                })
+                    .attr("x2", this.lineChartWidth)
+                    .attr("y2", function (data) {
+                    return _this.yAxis(data);
+                })
+                    .style("stroke-dasharray", ("5, 3")); //"5" is the dash width and "3" is the width between two dash.
+                return yTicks;
+            };
+            /**
+              * Draws the labels of the secondary axis on the right of the chart. The grid lines are only drawn for the primary axis.
+              * @returns {any} The ticks of the secondary axis
+              */
+            LineChartPlotter.prototype.drawSecondaryYLabels = function () {
+                var _this = this;
+                var yTicks = this.getYTicks(this.secondaryYAxis);
+                var yLabels = this.getAxisFormat(true).formatTicks(yTicks, this.isCompact);
+                this.lineChart.selectAll(".secondaryYLabel")
+                    .data(yTicks)
+                    .enter()
+                    .append("svg:text")
+                    .attr("id", function (data, index) {
+                    return "secondary-y-label" + index;
+                })
+                    .attr("class", "layout-chart-y-label theme-chart-label")
+                    .attr("x", this.lineChartWidth)
+                    .attr("y", function (data) {
+                    return _this.secondaryYAxis(data) - 6;
+                }) //"6" is the padding bottom from the yTicks.
+                    .style("text-anchor", "end")
+                    .style("font-size", LineChartPlotter.defaultYLableFontSize / this.zoomRatio.heightRatio + "px")
+                    .text(function (data, index) {
+                    return yLabels[index];
+                });
+                return yTicks;
+            };
+            /**
+              * Gets the ticks of a y scale, with at least the default number of ticks if the scale can have them
+              */
+            LineChartPlotter.prototype.getYTicks = function (yScale) {
+                if (this.isLogScale()) {
+                    // A logarithmic scale has ticks at every multiple of every power of ten, so only the powers of ten are kept unless there are too few of them
+                    var logTicks = yScale.ticks();
+                    var powerTicks = logTicks.filter(function (tick) {
+                        var exponent = Math.log(tick) / Math.LN10;
+                        return Math.abs(exponent - Math.round(exponent)) < 1e-9;
+                    });
+                    return LineChartPlotter.thinTicks((powerTicks.length >= 2) ? powerTicks : logTicks, this.yAxisOptions.tickNumber ? this.yAxisOptions.tickNumber : LineChartPlotter.maxLogYTickNumber);
+                }
+                if (this.yAxisOptions.tickNumber) {
+                    return yScale.ticks(this.yAxisOptions.tickNumber);
+                }
+                var tickNumber = LineChartPlotter.defaultYTickNumber;
+                var yTicks = yScale.ticks(tickNumber);
+                var retry = 0;
+                while (yTicks.length < LineChartPlotter.defaultYTickNumber) {
+                    tickNumber++;
+                    yTicks = yScale.ticks(tickNumber);
+                    retry++;
+                    if (retry > 9) {
+                        break;
+                    } // The max retry time is 10;
+                }
+                return yTicks;
+            };
+            /**
+              * Keeps every n-th tick, so that there are no more ticks than wanted
+              */
+            LineChartPlotter.thinTicks = function (ticks, maxTickNumber) {
+                var step = Math.ceil(ticks.length / Math.max(maxTickNumber, 1));
+                return ticks.filter(function (tick, index) {
+                    return index % step === 0;
+                });
+            };
+            LineChartPlotter.prototype.drawXLabel = function (xTicks) {
+                var _this = this;
+                var xLabelGroup = this.lineChart.append("svg:g")
+                    .attr("id", "x-label-group");
+                var fontSize = LineChartPlotter.defaultXLableFontSize / this.zoomRatio.heightRatio;
+                xLabelGroup.selectAll(".xLabels")
+                    .data(xTicks)
+                    .enter()
+                    .append("svg:text")
+                    .attr("id", function (index) {
+                    return "x-label" + index;
+                })
+                    .attr("class", "layout-chart-x-label theme-chart-label")
+                    .attr("x", function (index) {
+                    return _this.xAxis(index);
+                })
+                    .attr("y", this.xAxisBottom - fontSize / 2)
+                    .style("font-size", fontSize + "px")
+                    .text(function (index) {
+                    return _this.bindingData.xData[index];
+                });
+                xLabelGroup.selectAll(".xTicks")
+                    .data(xTicks)
+                    .enter()
+                    .append("svg:line")
+                    .attr("id", function (index) {
+                    return "x-tick" + index;
+                })
+                    .attr("class", "theme-chart-ticks")
+                    .attr("x1", function (index) {
+                    return _this.xAxis(index);
+                })
+                    .attr("y1", this.xAxisBottom - LineChartPlotter.xAxisPaddingBottm / this.zoomRatio.heightRatio - fontSize / 2)
+                    .attr("x2", function (index) {
+                    return _this.xAxis(index);
+                })
+                    .attr("y2", this.xAxisBottom - (LineChartPlotter.xAxisPaddingBottm + LineChartPlotter.xTickWidth) / this.zoomRatio.heightRatio - fontSize / 2);
+            };
+            LineChartPlotter.prototype.drawTimeXLabel = function (xTicks, format) {
+                var _this = this;
+                var xLabelGroup = this.lineChart.append("svg:g")
+                    .attr("id", "x-label-group");
+                var fontSize = LineChartPlotter.defaultXLableFontSize / this.zoomRatio.heightRatio;
+                xLabelGroup.selectAll(".xLabels")
+                    .data(xTicks)
+                    .enter()
+                    .append("svg:text")
+                    .attr("id", function (date, index) {
+                    return "x-label" + index;
+                })
+                    .attr("class", "layout-chart-x-label theme-chart-label")
+                    .attr("x", function (date) {
+                    return _this.xAxis(date);
+                })
+                    .attr("y", this.xAxisBottom - fontSize / 2)
+                    .style("font-size", fontSize + "px")
+                    .text(function (date) {
+                    return format(date);
+                });
+                xLabelGroup.selectAll(".xTicks")
+                    .data(xTicks)
+                    .enter()
+                    .append("svg:line")
+                    .attr("id", function (date, index) {
+                    return "x-tick" + index;
+                })
+                    .attr("class", "theme-chart-ticks")
+                    .attr("x1", function (date) {
+                    return _this.xAxis(date);
+                })
+                    .attr("y1", this.xAxisBottom - LineChartPlotter.xAxisPaddingBottm / this.zoomRatio.heightRatio - fontSize / 2)
+                    .attr("x2", function (date) {
+                    return _this.xAxis(date);
+                })
+                    .attr("y2", this.xAxisBottom - (LineChartPlotter.xAxisPaddingBottm + LineChartPlotter.xTickWidth) / this.zoomRatio.heightRatio - fontSize / 2);
+            };
+            /**
+              * Adds the crosshair that follows the mouse over the chart, with a tooltip of the values the shown lines have in the column under it.
+              * It isn't saved, unlike the values of the clicked points. When the chart has the focus, the arrow keys step the crosshair between the columns.
               */
-            BindingPaneSpecific.getInstance = function () {
-                if (!BindingPaneSpecific.instance) {
-                    BindingPaneSpecific.instance = new BindingPaneSpecific();
-                }
-                return BindingPaneSpecific.instance;
+            LineChartPlotter.prototype.drawCrosshair = function (yRange) {
+                var _this = this;
+                d3.select("#crosshair-tooltip").remove();
+                this.setHoverColumns();
+                this.hoverIndex = null;
+                this.lineChart.append("svg:line")
+                    .attr("id", "crosshair")
+                    .attr("class", "theme-chart-ticks layout-chart-crosshair")
+                    .attr("y1", yRange[1])
+                    .attr("y2", yRange[0])
+                    .style("display", "none");
+                d3.select("body").append("div")
+                    .attr("id", "crosshair-tooltip")
+                    .attr("class", "layout-chart-tooltip")
+                    .style("display", "none");
+                var chart = $("#svg-line-chart");
+                chart.on("mousemove", function (event) {
+                    _this.showCrosshair(_this.getNearestHoverIndex(event.clientX - chart[0].getBoundingClientRect().left));
+                }).on("mouseleave", function () {
+                    _this.hideCrosshair();
+                });
+                $("#line-chart").attr("aria-label", DataViz.Resources.UI.chartKeyboardHint)
+                    .off("keydown.crosshair")
+                    .on("keydown.crosshair", function (event) {
+                    var lastIndex = _this.hoverColumns.length - 1;
+                    switch (event.which) {
+                        case 37:
+                            _this.showCrosshair((_this.hoverIndex === null) ? lastIndex : Math.max(_this.hoverIndex - 1, 0));
+                            break;
+                        case 39:
+                            _this.showCrosshair((_this.hoverIndex === null) ? 0 : Math.min(_this.hoverIndex + 1, lastIndex));
+                            break;
+                        case 36:
+                            _this.showCrosshair(0);
+                            break;
+                        case 35:
+                            _this.showCrosshair(lastIndex);
+                            break;
+                        case 27:
+                            _this.hideCrosshair();
+                            break;
+                        default:
+                            return;
+                    }
+                    event.preventDefault();
+                })
+                    .off("blur.crosshair")
+                    .on("blur.crosshair", function () {
+                    _this.hideCrosshair();
+                });
             };
-            BindingPaneSpecific.prototype.handleDataSelection = function () {
+            /**
+              * Finds the columns that have a point of any line, and the point of every line in them
+              */
+            LineChartPlotter.prototype.setHoverColumns = function () {
                 var _this = this;
-                Office.context.document.getSelectedDataAsync(Office.CoercionType.Matrix, { valueFormat: Office.ValueFormat.Unformatted, filterType: Office.FilterType.OnlyVisible }, function (result) {
-                    if (result.status === Office.AsyncResultStatus.Succeeded) {
-                        _this.bindingData = result.value;
-                        if (result.value[0].length < 2) {
-                            _this.setInfoTextAndButton(DataViz.Resources.BindingPane.infoSelectTwoColumns, DataViz.UX.infoColors.red, false);
-                        }
-                        else if (!_this.isFirstColumnNonEmpty(result.value)) {
-                            _this.setInfoTextAndButton(DataViz.Resources.BindingPane.infoFirstColumnEmpty, DataViz.UX.infoColors.red, false);
-                        }
-                        else if (!_this.isSecondColumnHasNumber(result.value)) {
-                            _this.setInfoTextAndButton(DataViz.Resources.BindingPane.infoSecondColumnContainNumber, DataViz.UX.infoColors.red, false);
-                        }
-                        else if (!_this.isFirstRowNonEmpty(result.value)) {
-                            _this.setInfoTextAndButton(DataViz.Resources.BindingPane.infoFirstRowEmpty, DataViz.UX.infoColors.red, false);
-                        }
-                        else {
-                            var rowCount = result.value.length;
-                            var columnCount = result.value[0].length;
-                            var culture = DataViz.Config.Trends.Culture;
-                            var rowString = _this.getPluralString(DataViz.Resources.Pluralization.rows, rowCount);
-                            var columnString = _this.getPluralString(DataViz.Resources.Pluralization.columns, columnCount);
-                            var maxRowNumber = DataViz.Config.Trends.MaxColumnNumber;
-                            var maxColumnNumber = DataViz.Config.Trends.MaxLineNumber + 1;
-                            var maxRowString = _this.getPluralString(DataViz.Resources.Pluralization.rows, maxRowNumber);
-                            var maxColumnString = _this.getPluralString(DataViz.Resources.Pluralization.columns, maxColumnNumber);
-                            var infoString = "";
-                            if (rowCount > maxRowNumber && columnCount > maxColumnNumber) {
-                                infoString = DataViz.Utils.stringFormat(DataViz.Resources.BindingPane.infoMaxRowAndColumn, rowCount, rowString, columnCount, columnString, maxRowNumber, maxRowString, maxColumnNumber, maxColumnString);
-                            }
-                            else if (rowCount > maxRowNumber && columnCount <= maxColumnNumber) {
-                                infoString = DataViz.Utils.stringFormat(DataViz.Resources.BindingPane.infoMaxRow, rowCount, rowString, columnCount, columnString, maxRowNumber, maxRowString);
-                            }
-                            else if (rowCount <= maxRowNumber && columnCount > maxColumnNumber) {
-                                infoString = DataViz.Utils.stringFormat(DataViz.Resources.BindingPane.infoMaxColumn, rowCount, rowString, columnCount, columnString, maxColumnNumber, maxColumnString);
-                            }
-                            else {
-                                infoString = DataViz.Utils.stringFormat(DataViz.Resources.BindingPane.infoNormal, rowCount, rowString, columnCount, columnString);
-                            }
-                            _this.setInfoTextAndButton(infoString, DataViz.UX.infoColors.green, true);
+                var columns = {};
+                this.hoverPoints = [];
+                this.hoverColumns = [];
+                for (var lineId = 0; lineId < this.lineNumber; lineId++) {
+                    var points = {};
+                    this.bindingData.yData[lineId].data.forEach(function (point) {
+                        points[point.originalIndex] = point;
+                        // The points just outside the zoomed columns are only drawn so that the lines run to the edges
+                        var isInWindow = point.originalIndex >= _this.firstColumn && point.originalIndex <= _this.lastColumn;
+                        if (isInWindow && !columns[point.originalIndex]) {
+                            columns[point.originalIndex] = true;
+                            _this.hoverColumns.push(point.originalIndex);
                         }
+                    });
+                    this.hoverPoints.push(points);
+                }
+                this.hoverColumns.sort(function (a, b) {
+                    return _this.getXPosition(a) - _this.getXPosition(b);
+                });
+                this.hoverPositions = this.hoverColumns.map(function (column) {
+                    return _this.getXPosition(column);
+                });
+            };
+            /**
+              * Gets the column with a point that is the nearest to an x position
+              * @param {number} x The x position in the chart
+              * @returns {number} The index of the column in hoverColumns, or null if no column has a point
+              */
+            LineChartPlotter.prototype.getNearestHoverIndex = function (x) {
+                if (this.hoverPositions.length === 0) {
+                    return null;
+                }
+                var low = 0;
+                var high = this.hoverPositions.length - 1;
+                while (low < high) {
+                    var middle = Math.floor((low + high) / 2);
+                    if (this.hoverPositions[middle] < x) {
+                        low = middle + 1;
                     }
-                    else if (result.error.code === 1008) {
-                        _this.setInfoTextAndButton(DataViz.Resources.BindingPane.infoDataSetTooLarge, DataViz.UX.infoColors.red, false);
+                    else {
+                        high = middle;
+                    }
+                }
+                return (low > 0 && x - this.hoverPositions[low - 1] < this.hoverPositions[low] - x) ? low - 1 : low;
+            };
+            /**
+              * Moves the crosshair to a column, and lists the x label and the values of the shown lines in the tooltip
+              * @param {number} hoverIndex The index of the column in hoverColumns
+              */
+            LineChartPlotter.prototype.showCrosshair = function (hoverIndex) {
+                if (hoverIndex === null || hoverIndex < 0 || hoverIndex >= this.hoverColumns.length) {
+                    this.hideCrosshair();
+                    return;
+                }
+                this.hoverIndex = hoverIndex;
+                var column = this.hoverColumns[hoverIndex];
+                var x = this.hoverPositions[hoverIndex];
+                d3.select("#crosshair").attr("x1", x).attr("x2", x).style("display", "inline");
+                var tooltip = $("#crosshair-tooltip").empty();
+                $("<div>").addClass("layout-chart-tooltip-label").text(this.bindingData.xData[column]).appendTo(tooltip);
+                for (var lineId = 0; lineId < this.lineNumber; lineId++) {
+                    var point = this.hoverPoints[lineId][column];
+                    if (this.lineDisplay[lineId] && point) {
+                        var row = $("<div>").addClass("layout-chart-tooltip-row").css("color", this.getLineColor(lineId)).appendTo(tooltip);
+                        $("<span>").addClass("layout-chart-tooltip-title").text(this.lineTitleArray[lineId]).appendTo(row);
+                        $("<span>").text(this.getPointText(lineId, point)).appendTo(row);
+                    }
+                }
+                // The tooltip is on the right of the crosshair unless it would go past the chart
+                var chartRect = $("#svg-line-chart")[0].getBoundingClientRect();
+                tooltip.show();
+                var left = chartRect.left + x + LineChartPlotter.crosshairTooltipOffset;
+                if (left + tooltip.outerWidth() > chartRect.right) {
+                    left = Math.max(chartRect.left + x - LineChartPlotter.crosshairTooltipOffset - tooltip.outerWidth(), 0);
+                }
+                tooltip.css({ left: left + "px", top: (chartRect.top + LineChartPlotter.marginTop / this.zoomRatio.heightRatio) + "px" });
+            };
+            LineChartPlotter.prototype.hideCrosshair = function () {
+                this.hoverIndex = null;
+                d3.select("#crosshair").style("display", "none");
+                $("#crosshair-tooltip").hide();
+            };
+            /**
+              * Draws the brush under the x axis. It spans all the columns, on a time scale if the x values are dates, and dragging across it
+              * zooms the chart to the columns nearest to the ends of the span it covers. Clicking it outside the covered columns shows all the columns again.
+              */
+            LineChartPlotter.prototype.drawBrush = function (xRange) {
+                if (!this.hasBrush()) {
+                    return;
+                }
+                var _this = this;
+                var brushScale = this.bindingData.xDates
+                    ? d3.time.scale.utc().domain(d3.extent(this.bindingData.xDates)).range(xRange)
+                    : d3.scale.linear().domain([0, this.columnNumber - 1]).range(xRange);
+                var brush = d3.svg.brush().x(brushScale);
+                if (this.isZoomed()) {
+                    brush.extent([this.getColumnX(this.firstColumn), this.getColumnX(this.lastColumn)]);
+                }
+                brush.on("brushend", function () {
+                    if (brush.empty()) {
+                        _this.setXWindow(0, _this.columnNumber - 1);
                     }
                     else {
-                        _this.setInfoTextAndButton(DataViz.Resources.BindingPane.infoSelectData, DataViz.UX.infoColors.red, false);
+                        var extent = brush.extent();
+                        _this.setXWindow(_this.getNearestColumn(extent[0]), _this.getNearestColumn(extent[1]));
                     }
                 });
+                var padding = LineChartPlotter.brushPadding / this.zoomRatio.heightRatio;
+                var brushGroup = this.lineChart.append("svg:g")
+                    .attr("class", "layout-chart-brush")
+                    .attr("transform", "translate(0," + this.xAxisBottom + ")");
+                brushGroup.append("svg:rect")
+                    .attr("class", "layout-chart-brush-track")
+                    .attr("x", xRange[0])
+                    .attr("width", xRange[1] - xRange[0]);
+                brushGroup.call(brush);
+                brushGroup.selectAll("rect")
+                    .attr("y", padding)
+                    .attr("height", LineChartPlotter.brushHeight / this.zoomRatio.heightRatio - 2 * padding);
             };
-            BindingPaneSpecific.prototype.isFirstColumnNonEmpty = function (value) {
-                if (!value) {
-                    return false;
+            /**
+              * Lets the mouse wheel zoom the chart in and out around the column under the mouse, and dragging a zoomed chart pan it
+              */
+            LineChartPlotter.prototype.setZoomAndPanHandlers = function (xRange) {
+                var _this = this;
+                if (!this.hasBrush()) {
+                    return;
                 }
-                for (var i = 0; i < value.length; i++) {
-                    if (value[i] && this.isDataValid(value[i][0])) {
-                        return true;
+                var chart = $("#svg-line-chart");
+                chart.on("wheel", function (event) {
+                    var wheelEvent = event.originalEvent;
+                    if (!wheelEvent.deltaY) {
+                        return;
+                    }
+                    event.preventDefault();
+                    var x = wheelEvent.clientX - chart[0].getBoundingClientRect().left;
+                    _this.zoomAround(_this.getColumnAt(x, xRange), wheelEvent.deltaY < 0);
+                });
+                chart.on("mousedown", function (event) {
+                    if (event.which !== 1 || !_this.isZoomed() || $(event.target).closest(".layout-chart-brush").length > 0) {
+                        return;
+                    }
+                    var startX = event.clientX;
+                    var distance = 0;
+                    $(document).on("mousemove.pan", function (moveEvent) {
+                        distance = moveEvent.clientX - startX;
+                        if (Math.abs(distance) > LineChartPlotter.minPanDistance) {
+                            _this.hideCrosshair();
+                            _this.translateLines(distance);
+                        }
+                    }).on("mouseup.pan", function () {
+                        $(document).off(".pan");
+                        if (Math.abs(distance) > LineChartPlotter.minPanDistance) {
+                            // The span the chart is dragged across is measured on the x axis, so that it's the same length of time if the columns aren't evenly spaced
+                            var shift = _this.getNearestColumn(_this.xAxis.invert(_this.getXPosition(_this.firstColumn) - distance)) - _this.firstColumn;
+                            if (!_this.setXWindow(_this.firstColumn + shift, _this.lastColumn + shift)) {
+                                _this.translateLines(0);
+                            }
+                        }
+                    });
+                });
+            };
+            /**
+              * Gets the shown column nearest to an x position
+              * @param {number} x The x position in the chart
+              * @param {number[]} xRange The ends of the x axis
+              * @returns {number} The column
+              */
+            LineChartPlotter.prototype.getColumnAt = function (x, xRange) {
+                var column = this.getNearestColumn(this.xAxis.invert(Math.max(xRange[0], Math.min(x, xRange[1]))));
+                return Math.max(this.firstColumn, Math.min(column, this.lastColumn));
+            };
+            /**
+              * Gets the value of a column on the x axis
+              * @param {number} column The column
+              * @returns {any} The date of the column if the x values are dates, otherwise the column itself
+              */
+            LineChartPlotter.prototype.getColumnX = function (column) {
+                return this.bindingData.xDates ? this.bindingData.xDates[column] : column;
+            };
+            /**
+              * Gets the column nearest to a value on the x axis
+              * @param {any} x A date if the x values are dates, otherwise a column that may be between two columns
+              * @returns {number} The column
+              */
+            LineChartPlotter.prototype.getNearestColumn = function (x) {
+                var _this = this;
+                if (!this.bindingData.xDates) {
+                    return Math.max(0, Math.min(Math.round(x), this.columnNumber - 1));
+                }
+                var time = x.getTime();
+                var nearestColumn = 0;
+                this.bindingData.xDates.forEach(function (date, column) {
+                    if (Math.abs(date.getTime() - time) < Math.abs(_this.bindingData.xDates[nearestColumn].getTime() - time)) {
+                        nearestColumn = column;
                     }
+                });
+                return nearestColumn;
+            };
+            /**
+              * Zooms the chart in or out by the wheel zoom ratio, keeping a column where it is
+              * @param {number} center The column to keep in place
+              * @param {boolean} isZoomIn Whether to show fewer columns, or else more
+              */
+            LineChartPlotter.prototype.zoomAround = function (center, isZoomIn) {
+                var span = this.lastColumn - this.firstColumn;
+                var newSpan = Math.round(isZoomIn ? span * LineChartPlotter.wheelZoomRatio : span / LineChartPlotter.wheelZoomRatio);
+                if (newSpan === span) {
+                    newSpan = isZoomIn ? span - 1 : span + 1;
                 }
-                return false;
+                var firstColumn = Math.round(center - (center - this.firstColumn) * newSpan / span);
+                this.setXWindow(firstColumn, firstColumn + newSpan);
             };
-            BindingPaneSpecific.prototype.isSecondColumnHasNumber = function (value) {
-                if (!value) {
+            /**
+              * Moves the lines along the x axis while the chart is dragged. The clip of the plot area is moved back, so that it stays in place.
+              */
+            LineChartPlotter.prototype.translateLines = function (distance) {
+                this.lineOrder.forEach(function (lineId) {
+                    d3.select("#line-group" + lineId).attr("transform", "translate(" + distance + ",0)");
+                });
+                d3.select("#plot-area-clip-rect").attr("transform", "translate(" + (-distance) + ",0)");
+            };
+            /**
+              * Zooms the chart to some columns and saves them in the document. The columns are moved inside the data if they go past either end of it.
+              * @param {number} firstColumn The first column to show
+              * @param {number} lastColumn The last column to show
+              * @returns {boolean} Whether the chart is zoomed to other columns than before
+              */
+            LineChartPlotter.prototype.setXWindow = function (firstColumn, lastColumn) {
+                var span = Math.min(Math.max(lastColumn - firstColumn, LineChartPlotter.minXWindowSpan), this.columnNumber - 1);
+                firstColumn = Math.max(0, Math.min(firstColumn, this.columnNumber - 1 - span));
+                lastColumn = firstColumn + span;
+                if (firstColumn === this.firstColumn && lastColumn === this.lastColumn) {
                     return false;
                 }
-                for (var i = 0; i < value.length; i++) {
-                    if (value[i] && this.isDataValid(value[i][1]) && !isNaN(parseFloat(value[i][1]))) {
-                        return true;
-                    }
+                this.firstColumn = firstColumn;
+                this.lastColumn = lastColumn;
+                var isZoomed = this.isZoomed();
+                this.configuration.delaySet(DataViz.Config.Trends.wellKnownKeys.xWindow, { start: isZoomed ? firstColumn : null, end: isZoomed ? lastColumn : null }, LineChartPlotter.xWindowSaveDelay);
+                return true;
+            };
+            /**
+              * Overriding {@link HighlightingPlotter#drawLineLegendOptions}. The checkbox of the secondary axis and the trendline of a line are drawn under its row.
+              */
+            LineChartPlotter.prototype.drawLineLegendOptions = function (lineId) {
+                // A line can only be moved to the secondary axis if there's another line to keep the primary axis
+                if (this.lineNumber > 1 && !this.isStacked) {
+                    this.drawLegendAxis(lineId);
+                }
+                var trendline = this.bindingData.yData[lineId].trendline;
+                if (trendline) {
+                    this.drawLegendTrendline(lineId, trendline);
                 }
-                return false;
             };
-            BindingPaneSpecific.prototype.isFirstRowNonEmpty = function (value) {
-                if (!value || !value[0]) {
-                    return false;
+            /**
+              * Overriding {@link HighlightingPlotter#onLineDisplayChanged}. The group of the line is just shown or hidden, unless the lines are stacked.
+              */
+            LineChartPlotter.prototype.onLineDisplayChanged = function (lineId) {
+                $("#line-group" + lineId).css("display", this.lineDisplay[lineId] ? "inline" : "none");
+                // The stacked lines are drawn on the shown lines under them, so they move when a line is shown or hidden
+                if (this.isStacked) {
+                    this.plot(this.bindingData);
                 }
-                for (var i = 0; i < value[0].length; i++) {
-                    if (this.isDataValid(value[0][i])) {
-                        return true;
+            };
+            /**
+              * Adds a checkbox to the legend that moves a line to the secondary axis on the right of the chart and back
+              */
+            LineChartPlotter.prototype.drawLegendAxis = function (lineId) {
+                var _this = this;
+                var checkboxLength = LineChartPlotter.legendTrendlineCheckBoxLength / this.zoomRatio.heightRatio;
+                var axisRow = this.legendGroup.append("div")
+                    .attr("id", "legend-axis-row-" + lineId)
+                    .attr("class", "legend-row-style")
+                    .style("padding-left", (LineChartPlotter.checkBoxLength / this.zoomRatio.heightRatio + 4) + "px");
+                axisRow.append("div")
+                    .attr("id", "axis-checkbox" + lineId + "end")
+                    .attr("class", "layout-checkbox")
+                    .style("width", checkboxLength + "px")
+                    .style("height", checkboxLength + "px")
+                    .on("click", function () {
+                    var lineId = LineChartPlotter.getNumberFromString($(this).attr("id"), "axis-checkbox", "end");
+                    var isSecondary = _this.lineAxes[lineId] === DataViz.Config.Trends.YAxis.secondary;
+                    _this.lineAxes[lineId] = isSecondary ? DataViz.Config.Trends.YAxis.primary : DataViz.Config.Trends.YAxis.secondary;
+                    _this.configuration.set(DataViz.Config.Trends.wellKnownKeys.lineAxes, _this.lineAxes);
+                });
+                this.setCheckboxStyle(d3.select("#axis-checkbox" + lineId + "end"), lineId, this.lineAxes[lineId] === DataViz.Config.Trends.YAxis.secondary);
+                axisRow.append("span")
+                    .attr("class", "layout-chart-legend-transforms")
+                    .style("color", this.getLineColor(lineId))
+                    .style("padding-left", "4px")
+                    .style("font-size", LineChartPlotter.legendTransformsFontSize / this.zoomRatio.heightRatio + "px")
+                    .text(DataViz.Resources.UI.secondaryAxis);
+            };
+            /**
+              * Adds the equation and the R² of the trendline of a line to the legend, with a checkbox that shows or hides the trendline
+              */
+            LineChartPlotter.prototype.drawLegendTrendline = function (lineId, trendline) {
+                var _this = this;
+                var checkboxLength = LineChartPlotter.legendTrendlineCheckBoxLength / this.zoomRatio.heightRatio;
+                var trendlineRow = this.legendGroup.append("div")
+                    .attr("id", "legend-trendline-row-" + lineId)
+                    .attr("class", "legend-row-style")
+                    .style("padding-left", (LineChartPlotter.checkBoxLength / this.zoomRatio.heightRatio + 4) + "px");
+                trendlineRow.append("div")
+                    .attr("id", "trendline-checkbox" + lineId + "end")
+                    .attr("class", "layout-checkbox")
+                    .style("width", checkboxLength + "px")
+                    .style("height", checkboxLength + "px")
+                    .on("click", function () {
+                    var lineId = LineChartPlotter.getNumberFromString($(this).attr("id"), "trendline-checkbox", "end");
+                    _this.trendlineDisplay[lineId] = !_this.trendlineDisplay[lineId];
+                    _this.configuration.set(DataViz.Config.Trends.wellKnownKeys.trendlineDisplay, _this.trendlineDisplay);
+                });
+                this.setCheckboxStyle(d3.select("#trendline-checkbox" + lineId + "end"), lineId, this.trendlineDisplay[lineId]);
+                trendlineRow.append("span")
+                    .attr("class", "layout-chart-legend-transforms")
+                    .style("color", this.getLineColor(lineId))
+                    .style("padding-left", "4px")
+                    .style("font-size", LineChartPlotter.legendTransformsFontSize / this.zoomRatio.heightRatio + "px")
+                    .text(Trends.Data.Trendline.getEquation(trendline) + ", "
+                    + DataViz.Utils.stringFormat(DataViz.Resources.Trendlines.rSquared, Number(trendline.rSquared.toFixed(4))));
+            };
+            LineChartPlotter.prototype.drawLine = function (lineId) {
+                if (!this.bindingData || !this.bindingData.yData[lineId]) {
+                    return;
+                }
+                var _this = this;
+                this.drawArea(lineId);
+                var line = d3.select("#line-group" + lineId)
+                    .append("svg:path")
+                    .attr("id", "line" + lineId)
+                    .style("stroke", this.getLineColor(lineId))
+                    .style("stroke-width", function () {
+                    return _this.bindingData.xData.length < LineChartPlotter.beSmallerLeastPointNumber ? LineChartPlotter.lineWidth / _this.zoomRatio.heightRatio
+                        : LineChartPlotter.lineWidthForMore / _this.zoomRatio.heightRatio;
+                })
+                    .style("fill", "none")
+                    .attr("d", this.getLinePlotter(lineId)(this.getPathData(this.bindingData.yData[lineId].data)));
+                this.drawTrendline(lineId);
+                var pointGroup = d3.select("#line-group" + lineId)
+                    .append("svg:g")
+                    .attr("id", "point-group" + lineId)
+                    .style("display", "inline");
+                var drawablePoints = this.bindingData.yData[lineId].data.filter(function (data) {
+                    return _this.isDrawable(_this.getPlottedValue(lineId, data));
+                });
+                var point = pointGroup.selectAll(".point")
+                    .data(drawablePoints)
+                    .enter().append("svg:circle")
+                    .attr("id", function (data, index) {
+                    return "#point" + "line" + lineId + "column" + data.originalIndex + "end";
+                })
+                    .style("fill", function (data) {
+                    return data.isMissing ? "none" : _this.getLineColor(lineId);
+                })
+                    .style("stroke", this.getLineColor(lineId))
+                    .style("stroke-width", function (data) {
+                    return data.isMissing ? LineChartPlotter.missingPointStrokeWidth / _this.zoomRatio.heightRatio : 0;
+                })
+                    .attr("pointer-events", "all")
+                    .attr("cursor", "pointer")
+                    .attr("r", function () {
+                    return _this.bindingData.xData.length < LineChartPlotter.beSmallerLeastPointNumber ? LineChartPlotter.pointRadio / _this.zoomRatio.heightRatio
+                        : LineChartPlotter.pointRadioForMore / _this.zoomRatio.heightRatio;
+                })
+                    .attr("cx", function (data, index) { return _this.getXPosition(data.originalIndex); })
+                    .attr("cy", function (data, index) { return _this.getYAxis(lineId)(_this.getPlottedValue(lineId, data)); })
+                    .on("mouseover", function () {
+                    d3.select(this).attr("r", function () {
+                        return _this.bindingData.xData.length < LineChartPlotter.beSmallerLeastPointNumber ? LineChartPlotter.pointHoverRadio / _this.zoomRatio.heightRatio
+                            : LineChartPlotter.pointHoverRadioForMore / _this.zoomRatio.heightRatio;
+                    });
+                })
+                    .on("mouseout", function () {
+                    d3.select(this).attr("r", function () {
+                        return _this.bindingData.xData.length < LineChartPlotter.beSmallerLeastPointNumber ? LineChartPlotter.pointRadio / _this.zoomRatio.heightRatio
+                            : LineChartPlotter.pointRadioForMore / _this.zoomRatio.heightRatio;
+                    });
+                })
+                    .on("click", function (data) {
+                    _this.promoteLineToTop(lineId);
+                    _this.addPointHighlight(lineId, data.originalIndex, function () {
+                        _this.drawCircleGroup(lineId, data, true, true);
+                    });
+                });
+                var seriesName = Trends.Data.DataConvertor.getSeriesName(this.bindingData, lineId);
+                for (var i = 0; i < this.pointHighlights.length; i++) {
+                    var highlightedPoint = (this.pointHighlights[i].seriesName === seriesName) ? this.getPointAtXLabel(lineId, this.pointHighlights[i].xLabel) : null;
+                    if (highlightedPoint) {
+                        this.drawCircleGroup(lineId, highlightedPoint, false, true);
                     }
                 }
-                return false;
+                // The points the highlight rules pick are found again whenever the data changes, so their bubbles can't be clicked away
+                var ruleHighlights = this.bindingData.yData[lineId].ruleHighlights;
+                ruleHighlights = ruleHighlights ? ruleHighlights : [];
+                for (var j = 0; j < ruleHighlights.length; j++) {
+                    var rulePoint = this.getPointAtColumn(lineId, ruleHighlights[j]);
+                    if (rulePoint && this.findSavedPointIndex(this.pointHighlights, lineId, ruleHighlights[j]) === -1) {
+                        this.drawCircleGroup(lineId, rulePoint, false, false);
+                    }
+                }
+                this.drawAnnotations(lineId);
             };
-            BindingPaneSpecific.prototype.isDataValid = function (data) {
-                return (data !== null) && (data !== undefined) && (data.toString().trim() !== "");
+            /**
+              * Gets the point of a line in the first column with an x label
+              */
+            LineChartPlotter.prototype.getPointAtXLabel = function (lineId, xLabel) {
+                return this.getPointAtColumn(lineId, this.bindingData.xData.indexOf(xLabel));
             };
-            //This method is for en-us culture only.
-            BindingPaneSpecific.prototype.getPluralString = function (combinedStr, count) {
-                var pluralStringArray = combinedStr.split("||");
-                if (pluralStringArray.length !== 2) {
-                    throw "Error: Provided string variations do not match expected amount";
-                }
-                return count === 1 ? pluralStringArray[0] : pluralStringArray[1];
+            /**
+              * Overriding {@link HighlightingPlotter#getPointPosition}
+              */
+            LineChartPlotter.prototype.getPointPosition = function (lineId, point) {
+                return [this.getXPosition(point.originalIndex), this.getYAxis(lineId)(this.getPlottedValue(lineId, point))];
+            };
+            /**
+              * Overriding {@link HighlightingPlotter#getAnnotationTop}
+              */
+            LineChartPlotter.prototype.getAnnotationTop = function (lineId) {
+                return LineChartPlotter.marginTop / this.zoomRatio.heightRatio;
+            };
+            /**
+              * Overriding {@link HighlightingPlotter#isPointDrawn}. A point isn't drawn if its value can't be drawn on the y axis.
+              */
+            LineChartPlotter.prototype.isPointDrawn = function (lineId, point) {
+                return this.isDrawable(this.getPlottedValue(lineId, point));
             };
-            return BindingPaneSpecific;
-        }(UX.BindingPane));
-        UX.BindingPaneSpecific = BindingPaneSpecific;
-    })(UX = DataViz.UX || (DataViz.UX = {}));
-})(DataViz || (DataViz = {}));
-/* **************************************************************************************
-Copyright (c) Microsoft Open Technologies, Inc. All rights reserved. Licensed under the Apache License, Version 2.0.
-See License.txt in the project root for license information.
-***************************************************************************************** */
-///<reference path="../../logic/shared/config.ts"/>
-///<reference path="../../logic/shared/skus.ts"/>
-///<reference path="../../logic/shared/decoration.ts"/>
-///<reference path="../../app.ts"/>
-/**
-  * This modules contains the implementation of the galleries
-  */
-var DataViz;
-(function (DataViz) {
-    var UX;
-    (function (UX) {
-        var Shared;
-        (function (Shared) {
             /**
-              * The base class of all the gallery classes
+              * Draws the trendline of a line as a dashed path under the points of the line
+              * @param {number} lineId The id of the line
               */
-            var BaseGallery = (function () {
-                function BaseGallery(parentId, iconStyle, configurationKey) {
-                    this.parentId = parentId;
-                    this.iconStyle = iconStyle;
-                    this.configurationKey = configurationKey;
-                    this.reentryFlag = false;
+            LineChartPlotter.prototype.drawTrendline = function (lineId) {
+                var trendline = this.bindingData.yData[lineId].trendline;
+                if (!trendline) {
+                    return;
                 }
-                /**
-                  * Sets up the listeners
-                  */
-                BaseGallery.prototype.setupListener = function () {
-                    DataViz.mainApp.Configuration.registerListener(this);
-                };
-                /**
-                  * Populates the gallery
-                  */
-                BaseGallery.prototype.populate = function (iconNames) {
-                    this.refreshList();
-                    var currentWidth = 0;
-                    var marginTopFromParent = this.iconStyle.marginTop;
-                    $("#" + this.parentId + " > img").remove();
-                    for (var index = 0; index < this.icons.length; index++) {
-                        var nextWidth = currentWidth + this.iconStyle.marginLeft + this.iconStyle.width;
-                        if (nextWidth > 210) {
-                            if (currentWidth > 0) {
-                                currentWidth = 0;
-                                nextWidth = currentWidth + this.iconStyle.marginLeft + this.iconStyle.width;
-                                marginTopFromParent = marginTopFromParent + this.iconStyle.marginTop + this.iconStyle.height;
-                            }
-                        }
-                        var marginLeftFromParent = currentWidth + this.iconStyle.marginLeft;
-                        $("#" + this.parentId).append("<img id=" + this.icons[index].id + " src=" + this.icons[index].thumbnail
-                            + " style= 'width:" + this.iconStyle.width + "px; height:" + this.iconStyle.height + "px; margin-left:"
-                            + marginLeftFromParent + "px; margin-top:" + marginTopFromParent + "px; cursor: pointer; position:absolute'; class ='gallery-item';"
-                            + "alt='" + iconNames[index] + "' title='" + iconNames[index] + "' tabindex='1';/>");
-                        currentWidth = nextWidth;
-                        this.setIconClickListener(this.icons[index].id, index);
-                    }
-                    this.updatePaneBorder(this.currentIconId);
-                };
-                /**
-                  * Refreshes the list of the backed customizable items
-                  * This ought to be "protected" but unfortunately TypeScript doesn't support "protected" members when the source code is published.
-                 */
-                BaseGallery.prototype.refreshList = function () {
-                    // Implement in sub-classes
-                };
-                /**
-                  * Implementing {@link IConfigurationChangeListener#onConfigurationChanged}
-                  */
-                BaseGallery.prototype.onConfigurationChanged = function (key, value) {
-                    if ((key === this.configurationKey) && !this.reentryFlag) {
-                        this.currentIconId = value;
-                    }
-                };
-                BaseGallery.prototype.updatePaneBorder = function (iconId) {
-                    for (var index = 0; index < this.icons.length; index++) {
-                        if (this.icons[index].id === iconId) {
-                            $("#" + this.icons[index].id).removeClass("gallery-item");
-                            $("#" + this.icons[index].id).addClass("gallery-item-click");
-                        }
-                        else {
-                            $("#" + this.icons[index].id).removeClass("gallery-item-click");
-                            $("#" + this.icons[index].id).addClass("gallery-item");
-                        }
-                    }
-                };
-                BaseGallery.prototype.setIconClickListener = function (iconId, index) {
-                    var _this = this;
-                    $("#" + iconId).off("click");
-                    $("#" + iconId)
-                        .data("iconIndex", index)
-                        .click(function (event) {
-                        _this.iconClickAction(event, index);
-                    })
-                        .keydown(function (event) {
-                        if (event.which === 13) {
-                            _this.iconClickAction(event, index);
-                        } // Check the enter key.
-                        // Todo: We should have a keymap in the common code.
-                    });
-                };
-                BaseGallery.prototype.iconClickAction = function (event, index) {
-                    var iconIndex = $(event.target).data("iconIndex");
-                    var iconId = this.icons[iconIndex].id;
-                    this.updatePaneBorder(iconId);
-                    this.apply(iconId);
-                };
-                BaseGallery.prototype.apply = function (iconId) {
-                    this.reentryFlag = true;
-                    DataViz.mainApp.Configuration.set(this.configurationKey, iconId);
-                    this.reentryFlag = false;
-                };
-                return BaseGallery;
-            }());
-            Shared.BaseGallery = BaseGallery;
+                var _this = this;
+                var trendlinePlotter = d3.svg.line()
+                    .x(function (point) {
+                    return _this.xAxis(Trends.Data.Trendline.fromPeriod(_this.bindingData, point.period));
+                })
+                    .y(function (point) {
+                    return _this.getYAxis(lineId)(point.value);
+                })
+                    .defined(function (point) {
+                    return isFinite(point.value) && _this.isDrawable(point.value);
+                })
+                    .interpolate("linear");
+                d3.select("#line-group" + lineId)
+                    .append("svg:path")
+                    .attr("id", "trendline" + lineId)
+                    .style("stroke", this.getLineColor(lineId))
+                    .style("stroke-width", LineChartPlotter.trendlineWidth / this.zoomRatio.heightRatio)
+                    .style("stroke-dasharray", ("6, 4")) //"6" is the dash width and "4" is the width between two dash.
+                    .style("fill", "none")
+                    .style("display", this.trendlineDisplay[lineId] ? "inline" : "none")
+                    .attr("d", trendlinePlotter(this.getTrendlinePoints(trendline)));
+            };
             /**
-              * The theme gallery
+              * Gets the points to draw a trendline with. A straight trendline only needs its ends.
+              * @param {TrendlineFit} trendline The trendline
+              * @returns {any[]} The points, each with a period and a value
               */
-            var ThemeGallery = (function (_super) {
-                __extends(ThemeGallery, _super);
-                /* private */ function ThemeGallery(parentId, iconStyle, configurationKey) {
-                    _super.call(this, parentId, iconStyle, configurationKey);
+            LineChartPlotter.prototype.getTrendlinePoints = function (trendline) {
+                var stepNumber = (trendline.type === DataViz.Config.Trends.TrendlineType.linear) ? 1 : LineChartPlotter.trendlineStepNumber;
+                var points = [];
+                for (var i = 0; i <= stepNumber; i++) {
+                    var period = trendline.startPeriod + (trendline.endPeriod - trendline.startPeriod) * i / stepNumber;
+                    points.push({ period: period, value: Trends.Data.Trendline.predict(trendline, period) });
                 }
-                /**
-                  * Builds and returns a theme gallery instance
-                  * @returns {ThemeGallery} A theme gallery instance
-                  */
-                ThemeGallery.build = function () {
-                    return new ThemeGallery("theme-pane", { marginLeft: 10, marginTop: 10, width: 90, height: 40 }, DataViz.Config.wellKnownKeys.theme);
-                };
-                /**
-                  * Overriding {@link BaseGallery#refreshList}
-                  */
-                ThemeGallery.prototype.refreshList = function () {
-                    this.icons = DataViz.Decoration.ThemeProvider.Instance.enumerateForSku(DataViz.SKUs.SKUProvider.Instance.CurrentSKUId);
-                    this.currentIconId = DataViz.Decoration.ThemeProvider.Instance.CurrentThemeId;
-                };
-                return ThemeGallery;
-            }(UX.Shared.BaseGallery));
-            Shared.ThemeGallery = ThemeGallery;
+                return points;
+            };
             /**
-              * The shape gallery
+              * Gets where the x axis ends, which is after the last column if a shown trendline has a forecast
+              * @returns {any} The date or the column index the x axis ends at
               */
-            var ShapeGallery = (function (_super) {
-                __extends(ShapeGallery, _super);
-                /* private */ function ShapeGallery(parentId, iconStyle, configurationKey) {
-                    _super.call(this, parentId, iconStyle, configurationKey);
-                }
-                /**
-                  * Builds and returns a shape gallery instance
-                  * @returns {ShapeGallery} A shape gallery instance
-                  */
-                ShapeGallery.build = function () {
-                    return new ShapeGallery("shape-pane", { marginLeft: 10, marginTop: 10, width: 40, height: 40 }, DataViz.Config.wellKnownKeys.shape);
-                };
-                /**
-                  * Overriding {@link BaseGallery#refreshList}
-                  */
-                ShapeGallery.prototype.refreshList = function () {
-                    this.icons = DataViz.Decoration.ShapeProvider.Instance.enumerateForSku(DataViz.SKUs.SKUProvider.Instance.CurrentSKUId);
-                    this.currentIconId = DataViz.Decoration.ShapeProvider.Instance.CurrentShapeId;
-                };
-                return ShapeGallery;
-            }(UX.Shared.BaseGallery));
-            Shared.ShapeGallery = ShapeGallery;
+            LineChartPlotter.prototype.getXAxisEnd = function () {
+                var _this = this;
+                var endPeriod = Trends.Data.Trendline.toPeriod(this.bindingData, this.columnNumber - 1);
+                this.bindingData.yData.forEach(function (line, lineId) {
+                    if (line.trendline && _this.trendlineDisplay[lineId]) {
+                        endPeriod = Math.max(endPeriod, line.trendline.endPeriod);
+                    }
+                });
+                return Trends.Data.Trendline.fromPeriod(this.bindingData, endPeriod);
+            };
             /**
-              * The chart type (SKU) gallery
+              * Gets the path generator of a line, which places the points against the axis of the line
+              * @param {number} lineId The id of the line
+              * @returns {any} The path generator
               */
-            var TypeGallery = (function (_super) {
-                __extends(TypeGallery, _super);
-                /* private */ function TypeGallery(parentId, iconStyle, configurationKey) {
-                    _super.call(this, parentId, iconStyle, configurationKey);
+            LineChartPlotter.prototype.getLinePlotter = function (lineId) {
+                var _this = this;
+                return d3.svg.line()
+                    .x(function (data, index) {
+                    return _this.getXPosition(data.originalIndex);
+                })
+                    .y(function (data, index) {
+                    return _this.getYAxis(lineId)(_this.getPlottedValue(lineId, data));
+                })
+                    .defined(function (data) {
+                    return data !== null && _this.isDrawable(_this.getPlottedValue(lineId, data));
+                })
+                    .interpolate("monotone");
+            };
+            /**
+              * Fills the area between a line and the values its area starts from, in the color of the line, if the plotter fills the areas.
+              * The area is drawn with the same curve as the line, and the values it starts from are kept inside the axis.
+              * @param {number} lineId The id of the line
+              */
+            LineChartPlotter.prototype.drawArea = function (lineId) {
+                if (this.areaOpacity === null) {
+                    return;
                 }
-                /**
-                  * Builds and returns a chart type (SKU) gallery instance
-                  * @returns {TypeGallery} A chart type gallery instance
-                  */
-                TypeGallery.build = function () {
-                    return new TypeGallery("type-pane", { marginLeft: 10, marginTop: 10, width: 190, height: 80 }, DataViz.Config.wellKnownKeys.sku);
-                };
-                /**
-                  * Overriding {@link BaseGallery#refreshList}
-                  */
-                TypeGallery.prototype.refreshList = function () {
-                    this.icons = DataViz.SKUs.SKUProvider.Instance.SKUs;
-                    this.currentIconId = DataViz.SKUs.SKUProvider.Instance.CurrentSKUId;
-                };
-                return TypeGallery;
-            }(UX.Shared.BaseGallery));
-            Shared.TypeGallery = TypeGallery;
-        })(Shared = UX.Shared || (UX.Shared = {}));
-    })(UX = DataViz.UX || (DataViz.UX = {}));
-})(DataViz || (DataViz = {}));
-/* **************************************************************************************
-Copyright (c) Microsoft Open Technologies, Inc. All rights reserved. Licensed under the Apache License, Version 2.0.
-See License.txt in the project root for license information.
-***************************************************************************************** */
-///<reference path="../app.ts"/>
-///<reference path="shared/Galleries.ts"/>
-var DataViz;
-(function (DataViz) {
-    var UX;
-    (function (UX) {
-        var SettingPane = (function () {
-            function SettingPane() {
                 var _this = this;
-                this.menuButtonMap = [
-                    { buttonId: "theme-button", paneId: "theme-pane" },
-                ];
-                $("#setting-pane-title").text(DataViz.Resources.SettingPane.header);
-                $("#theme-button").text(DataViz.Resources.SettingPane.themeTab);
-                $("#setting-pane").off("click");
-                $("#setting-pane").click(function () {
-                    $("#" + DataViz.mainApp.Configuration.get(DataViz.Config.wellKnownKeys.theme)).focus();
-                });
-                var backButton = $("#setting-back-button");
-                backButton.attr("alt", DataViz.Resources.UI.backButtonTitle);
-                backButton.attr("title", DataViz.Resources.UI.backButtonTitle);
-                backButton.off("click");
-                backButton.click(function () {
-                    _this.hide();
-                }).keydown(function (event) {
-                    if (event.which === 13) {
-                        _this.hide();
-                    } // Check the enter key.
-                });
-                this.themeGallery = UX.Shared.ThemeGallery.build();
-                this.setMenuClickListener();
-                this.showInternalPane("theme-pane");
-            }
-            SettingPane.prototype.setupListeners = function () {
-                this.themeGallery.setupListener();
+                var yAxis = this.getYAxis(lineId);
+                var domain = yAxis.domain();
+                var areaPlotter = d3.svg.area()
+                    .x(function (data) {
+                    return _this.getXPosition(data.originalIndex);
+                })
+                    .y0(function (data) {
+                    return yAxis(Math.max(domain[0], Math.min(domain[1], _this.getBaseValue(lineId, data))));
+                })
+                    .y1(function (data) {
+                    return yAxis(_this.getPlottedValue(lineId, data));
+                })
+                    .defined(function (data) {
+                    return data !== null && _this.isDrawable(_this.getPlottedValue(lineId, data));
+                })
+                    .interpolate("monotone");
+                d3.select("#line-group" + lineId)
+                    .append("svg:path")
+                    .attr("id", "area" + lineId)
+                    .attr("class", "layout-chart-area")
+                    .style("fill", this.getLineColor(lineId))
+                    .style("fill-opacity", this.areaOpacity)
+                    .attr("d", areaPlotter(this.getPathData(this.bindingData.yData[lineId].data)));
+            };
+            /**
+              * Gets the scale of the axis a line is drawn against
+              * @param {number} lineId The id of the line
+              * @returns {any} The y scale
+              */
+            LineChartPlotter.prototype.getYAxis = function (lineId) {
+                return (this.secondaryYAxis && this.isOnSecondaryAxis(lineId)) ? this.secondaryYAxis : this.yAxis;
             };
-            Object.defineProperty(SettingPane, "Instance", {
-                get: function () {
-                    if (!SettingPane.theInstance) {
-                        SettingPane.theInstance = new SettingPane();
-                    }
-                    return SettingPane.theInstance;
-                },
-                enumerable: true,
-                configurable: true
-            });
-            SettingPane.prototype.show = function () {
-                $("#setting-pane").show();
-                $("#setting-pane").animate({ width: "220px", height: "100%", float: "right" }, "fast");
-                $("#" + DataViz.mainApp.Configuration.get(DataViz.Config.wellKnownKeys.theme)).focus();
+            /**
+              * Gets whether a line is drawn against the secondary axis. A secondary axis is only used beside a primary one,
+              * so if every line is set to the secondary axis, they are all drawn against the primary one.
+              * @param {number} lineId The id of the line
+              * @returns {boolean} True if the line is drawn against the secondary axis; false otherwise
+              */
+            LineChartPlotter.prototype.isOnSecondaryAxis = function (lineId) {
+                return !this.isStacked
+                    && this.lineAxes[lineId] === DataViz.Config.Trends.YAxis.secondary
+                    && this.lineAxes.some(function (axis) { return axis !== DataViz.Config.Trends.YAxis.secondary; });
             };
-            SettingPane.prototype.hide = function () {
-                if ($("#setting-pane")[0].style.width > "0 px") {
-                    $("#setting-pane").animate({ width: "0px", height: "100%", float: "right" }, "fast", null, function () { $("#setting-pane").hide(); });
+            LineChartPlotter.prototype.hasSecondaryAxis = function () {
+                return this.getLineIdsOnAxis(true).length > 0;
+            };
+            /**
+              * Gets the ids of the lines drawn against the primary or the secondary axis
+              * @param {boolean} isSecondary True to get the lines of the secondary axis; false to get the lines of the primary axis
+              * @returns {number[]} The ids of the lines
+              */
+            LineChartPlotter.prototype.getLineIdsOnAxis = function (isSecondary) {
+                var lineIds = [];
+                for (var i = 0; i < this.lineNumber; i++) {
+                    if (this.isOnSecondaryAxis(i) === isSecondary) {
+                        lineIds.push(i);
+                    }
                 }
+                return lineIds;
             };
-            SettingPane.prototype.populate = function () {
-                this.themeGallery.populate(DataViz.Resources.SettingPane.themeTitles);
+            /**
+              * Gets the points to draw the path of a line with. A null is put before each point that comes after a gap, where the line stops.
+              * @param {PointDataOnLine[]} points The points of the line
+              * @returns {PointDataOnLine[]} The points, with a null at every gap
+              */
+            LineChartPlotter.prototype.getPathData = function (points) {
+                var pathData = [];
+                points.forEach(function (point) {
+                    if (point.isAfterGap) {
+                        pathData.push(null);
+                    }
+                    pathData.push(point);
+                });
+                return pathData;
             };
-            SettingPane.prototype.setMenuClickListener = function () {
-                var _this = this;
-                for (var index = 0; index < this.menuButtonMap.length; index++) {
-                    $("#" + this.menuButtonMap[index].buttonId).off("click");
-                    $("#" + this.menuButtonMap[index].buttonId)
-                        .data("menuButtonIndex", index)
-                        .click(function (event) {
-                        _this.menuClickAction(event);
-                    })
-                        .keydown(function (event) {
-                        if (event.which === 13) {
-                            _this.menuClickAction(event);
-                        } // Check the enter key.
-                    });
+            /**
+              * Draws the bubble of a highlighted point, with its value in it
+              * @param {boolean} isRemovable Whether clicking the bubble removes the highlight. The bubbles of the highlight rules can't be removed.
+              */
+            LineChartPlotter.prototype.drawCircleGroup = function (lineId, point, beAnimated, isRemovable) {
+                var column = point.originalIndex;
+                var unformattedData = this.getPlottedValue(lineId, point);
+                var formattedData = this.getPointText(lineId, point);
+                if (formattedData === null || unformattedData === null || !this.isDrawable(unformattedData)) {
+                    return;
                 }
+                var position = [this.getXPosition(column), this.getYAxis(lineId)(unformattedData)];
+                var circleGroup = this.drawBubble(d3.select("#point-group" + lineId), lineId, point, position, beAnimated, isRemovable);
+                this.drawNoteButton(circleGroup, lineId, point, this.getBubbleRadius(formattedData));
             };
-            SettingPane.prototype.menuClickAction = function (event) {
-                var menuButtonIndex = $(event.target).data("menuButtonIndex");
-                this.showInternalPane(this.menuButtonMap[menuButtonIndex].paneId);
+            LineChartPlotter.prototype.promoteLineToTop = function (lineId) {
+                if (lineId !== this.lineOrder[this.lineOrder.length - 1]) {
+                    if (d3.select("#line-group" + lineId)) {
+                        d3.select("#line-group" + lineId).remove();
+                        this.appendLineGroup(lineId);
+                    }
+                    this.drawLine(lineId);
+                    //reset line order
+                    var index = this.lineOrder.indexOf(lineId);
+                    this.lineOrder.splice(index, 1);
+                    this.lineOrder.push(lineId);
+                    this.configuration.set(DataViz.Config.Trends.wellKnownKeys.lineOrder, this.lineOrder);
+                }
             };
-            SettingPane.prototype.showInternalPane = function (paneId) {
-                for (var index = 0; index < this.menuButtonMap.length; index++) {
-                    if (this.menuButtonMap[index].paneId === paneId) {
-                        $("#" + this.menuButtonMap[index].paneId).show();
-                        $("#" + this.menuButtonMap[index].buttonId).addClass("setting-tab-click");
-                        SettingPane.currentButtonId = this.menuButtonMap[index].buttonId;
+            /**
+              * Sets the domains of the primary and the secondary axes, each from the lines drawn against it
+              */
+            LineChartPlotter.prototype.setMaxAndMin = function () {
+                var domain = this.getYDomain(this.getLineIdsOnAxis(false), true);
+                this.min = domain[0];
+                this.max = domain[1];
+                domain = this.getYDomain(this.getLineIdsOnAxis(true), false);
+                this.secondaryMin = domain[0];
+                this.secondaryMax = domain[1];
+            };
+            /**
+              * Gets the domain of a y axis from the values of its lines and the y axis settings
+              * @param {number[]} lineIds The ids of the lines drawn against the axis
+              * @param {boolean} isPrimary Whether the axis is the primary axis, which is the only one the fixed minimum and maximum apply to
+              * @returns {number[]} The minimum and the maximum of the axis
+              */
+            LineChartPlotter.prototype.getYDomain = function (lineIds, isPrimary) {
+                var isLog = this.isLogScale();
+                var extent = this.getValueExtent(lineIds, isLog);
+                var min = extent[0];
+                var max = extent[1];
+                if (this.yAxisOptions.includesZero && !isLog) {
+                    min = Math.min(min, 0);
+                    max = Math.max(max, 0);
+                }
+                if (isPrimary) {
+                    // A fixed end is ignored if the axis would end up empty or, on a logarithmic scale, reach zero
+                    var fixedMin = (this.yAxisOptions.min !== null && (!isLog || this.yAxisOptions.min > 0)) ? this.yAxisOptions.min : min;
+                    var fixedMax = (this.yAxisOptions.max !== null && (!isLog || this.yAxisOptions.max > 0)) ? this.yAxisOptions.max : max;
+                    if (fixedMin < fixedMax) {
+                        min = fixedMin;
+                        max = fixedMax;
+                    }
+                }
+                return [min, max];
+            };
+            /**
+              * Gets the smallest and the largest value of some lines
+              * @param {number[]} lineIds The ids of the lines
+              * @param {boolean} isPositiveOnly Whether to leave out the values that aren't positive, as a logarithmic axis can't show them
+              * @returns {number[]} The smallest and the largest value
+              */
+            LineChartPlotter.prototype.getValueExtent = function (lineIds, isPositiveOnly) {
+                var _this = this;
+                var isFirstNumber = true;
+                var max;
+                var min;
+                lineIds.forEach(function (i) {
+                    if (_this.bindingData.yData[i]) {
+                        for (var j = 0; j < _this.bindingData.yData[i].validDataCount; j++) {
+                            var point = _this.bindingData.yData[i].data[j];
+                            // The filled areas have to fit in the chart too, down to the values they start from
+                            var values = (_this.areaOpacity === null) ? [_this.getPlottedValue(i, point)] : [_this.getPlottedValue(i, point), _this.getBaseValue(i, point)];
+                            values.forEach(function (value) {
+                                if (isPositiveOnly && value <= 0) {
+                                    return;
+                                }
+                                if (isFirstNumber) {
+                                    max = value;
+                                    min = value;
+                                    isFirstNumber = false;
+                                }
+                                max = Math.max(max, value);
+                                min = Math.min(min, value);
+                            });
+                        }
+                    }
+                });
+                // The shown trendlines, and their forecasts in particular, have to fit in the chart too
+                lineIds.forEach(function (i) {
+                    var trendline = _this.bindingData.yData[i] ? _this.bindingData.yData[i].trendline : null;
+                    if (trendline && _this.trendlineDisplay[i] && !isFirstNumber) {
+                        _this.getTrendlinePoints(trendline).forEach(function (point) {
+                            if (isFinite(point.value) && (!isPositiveOnly || point.value > 0)) {
+                                max = Math.max(max, point.value);
+                                min = Math.min(min, point.value);
+                            }
+                        });
+                    }
+                });
+                // There's no valid data
+                if (isFirstNumber || max === null || max === undefined || min === null || min === undefined) {
+                    min = isPositiveOnly ? 1 : 0;
+                    max = isPositiveOnly ? 10 : 1;
+                }
+                else if (isPositiveOnly && min === max) {
+                    // A logarithmic axis can't reach zero, so it spans the powers of ten around the value
+                    min = Math.pow(10, Math.floor(Math.log(min) / Math.LN10));
+                    max = min * 10;
+                }
+                else if (min === max) {
+                    if (min > 0) {
+                        min = 0;
+                    }
+                    else if (min < 0) {
+                        max = 0;
                     }
                     else {
-                        $("#" + this.menuButtonMap[index].paneId).hide();
-                        $("#" + this.menuButtonMap[index].buttonId).removeClass("setting-tab-click");
+                        min = -1;
                     }
                 }
-                DataViz.Utils.setTabFocus("setting-pane", "setting-back-button", "blackwhite");
+                return [min, max];
             };
-            SettingPane.currentButtonId = "theme-button";
-            return SettingPane;
-        }());
-        UX.SettingPane = SettingPane;
-    })(UX = DataViz.UX || (DataViz.UX = {}));
-})(DataViz || (DataViz = {}));
+            LineChartPlotter.prototype.getSvgElementWidth = function (elementId) {
+                var element = $("#" + elementId);
+                if (element.get(0)) {
+                    return element.get(0).getBBox().width;
+                }
+                return 0;
+            };
+            LineChartPlotter.defaultYLableFontSize = 18;
+            LineChartPlotter.defaultXLableFontSize = 10;
+            LineChartPlotter.legendTrendlineCheckBoxLength = 11;
+            LineChartPlotter.trendlineWidth = 2;
+            // The number of points a curved trendline is drawn with
+            LineChartPlotter.trendlineStepNumber = 50;
+            LineChartPlotter.xAxisPaddingBottm = 15;
+            LineChartPlotter.xTickWidth = 5;
+            LineChartPlotter.marginRight = 40;
+            LineChartPlotter.marginTop = 40;
+            LineChartPlotter.marginBottom = 45;
+            LineChartPlotter.minTimeXLabelWidth = 30;
+            LineChartPlotter.defaultYTickNumber = 2;
+            // A logarithmic axis is labeled at the powers of ten, but at no more than this many of them unless a number of ticks is set
+            LineChartPlotter.maxLogYTickNumber = 6;
+            LineChartPlotter.pointRadio = 6;
+            LineChartPlotter.pointRadioForMore = 4;
+            LineChartPlotter.pointHoverRadio = 9;
+            LineChartPlotter.pointHoverRadioForMore = 7;
+            LineChartPlotter.lineWidth = 5;
+            LineChartPlotter.lineWidthForMore = 3;
+            LineChartPlotter.beSmallerLeastPointNumber = 21;
+            // The points of missing values are drawn as rings of this width
+            LineChartPlotter.missingPointStrokeWidth = 2;
+            // The distance between the crosshair and its tooltip
+            LineChartPlotter.crosshairTooltipOffset = 12;
+            // The height of the brush under the x axis, which selects the columns the chart is zoomed to
+            LineChartPlotter.brushHeight = 24;
+            LineChartPlotter.brushPadding = 4;
+            // The part of the shown columns that is kept when the wheel zooms in, and the inverse when it zooms out
+            LineChartPlotter.wheelZoomRatio = 0.8;
+            // The mouse has to move this far before a drag pans the chart, so that a click on a point doesn't pan it
+            LineChartPlotter.minPanDistance = 3;
+            // The zoomed columns are saved after this delay, so that a burst of wheel events redraws the chart once
+            LineChartPlotter.xWindowSaveDelay = 100;
+            LineChartPlotter.resetAction = {
+                deleteColumn: "deleteColumn",
+                addColumn: "addColumn",
+                revise: "revise"
+            };
+            return LineChartPlotter;
+        }(Chart.HighlightingPlotter));
+        Chart.LineChartPlotter = LineChartPlotter;
+    })(Chart = Trends.Chart || (Trends.Chart = {}));
+})(Trends || (Trends = {}));
 /* **************************************************************************************
 Copyright (c) Microsoft Open Technologies, Inc. All rights reserved. Licensed under the Apache License, Version 2.0.
 See License.txt in the project root for license information.
 ***************************************************************************************** */
 ///<reference path="../app.ts"/>
 ///<reference path="../logic/shared/utils.ts"/>
+///<reference path="../logic/data.binder.agave.ts"/>
+///<reference path="../logic/data.transformer.trends.ts"/>
+///<reference path="../logic/trendline.trends.ts"/>
+///<reference path="../logic/plotter.trends.ts"/>
 var DataViz;
 (function (DataViz) {
     var UX;
@@ -3472,55 +9407,582 @@ var DataViz;
                 enumerable: true,
                 configurable: true
             });
+            /**
+              * Implementing {@link IDataChangeListener#onDataChanged}
+              */
+            DataPane.prototype.onDataChanged = function (data) {
+                this.updateRanges();
+            };
             DataPane.prototype.onDataBindingTargetChanged = function () {
                 // Do nothing
             };
+            /**
+              * Implementing {@link IVisualizationListener#onStartVisualizing}
+              */
+            DataPane.prototype.onStartVisualizing = function () {
+                // Do nothing
+            };
+            /**
+              * Implementing {@link IVisualizationListener#onEndVisualizing}
+              */
+            DataPane.prototype.onEndVisualizing = function () {
+                // The plotter has fitted the line titles to the lines by now
+                this.updateSeries();
+                this.updateDiagnostics();
+            };
             DataPane.prototype.show = function () {
+                this.updateRanges();
+                this.updateSeries();
+                this.updateDiagnostics();
+                this.updateReadSettings();
                 $("#data-pane").show();
                 $("#data-pane").animate({ width: "220px", height: "100%", float: "right" }, "fast");
                 $("#data-back-button").focus();
             };
-            DataPane.prototype.hide = function () {
-                if ($("#data-pane")[0].style.width > "0 px") {
-                    $("#data-pane").animate({ width: "0px", height: "100%", float: "right" }, "fast", null, function () { $("#data-pane").hide(); });
+            DataPane.prototype.hide = function () {
+                if ($("#data-pane")[0].style.width > "0 px") {
+                    $("#data-pane").animate({ width: "0px", height: "100%", float: "right" }, "fast", null, function () { $("#data-pane").hide(); });
+                }
+            };
+            DataPane.prototype.init = function () {
+                this.setText();
+                this.setEventHandlers();
+                DataViz.Utils.setTabFocus("data-pane", "data-back-button", "filters-option");
+            };
+            DataPane.prototype.setText = function () {
+                $("#data-back-button").attr("alt", DataViz.Resources.UI.backButtonTitle);
+                $("#data-back-button").attr("title", DataViz.Resources.UI.backButtonTitle);
+                $("#data-pane-title").text(DataViz.Resources.DataPane.header);
+                $("#select-data").text(DataViz.Resources.DataPane.selectButtonText);
+                $("#ranges-title").text(DataViz.Resources.DataPane.rangesTitle);
+                $("#add-range").text(DataViz.Resources.DataPane.addRangeButtonText);
+                $("#series-title").text(DataViz.Resources.DataPane.seriesTitle);
+                $("#diagnostics-title").text(DataViz.Resources.DataPane.diagnosticsTitle);
+                $("#orientation-title").text(DataViz.Resources.DataPane.orientationTitle);
+                $("#orientation-columns").text(DataViz.Resources.DataPane.orientationColumns);
+                $("#orientation-rows").text(DataViz.Resources.DataPane.orientationRows);
+                $("#filters-option-text").text(DataViz.Resources.ReadOptions.respectSheetFilters);
+            };
+            DataPane.prototype.setEventHandlers = function () {
+                var _this = this;
+                $("#data-pane").off("click");
+                $("#data-pane").click(function () {
+                    $("#data-back-button").focus();
+                });
+                $("#data-back-button").off("click");
+                $("#data-back-button").click(function () {
+                    _this.hide();
+                }).keydown(function (event) {
+                    if (event.which === 13) {
+                        _this.hide();
+                    } // Check the enter key.
+                });
+                $("#select-data").off("click");
+                $("#select-data").click(function () {
+                    DataViz.mainApp.bindData();
+                }).keydown(function (event) {
+                    // Check the enter key.
+                    if (event.which === 13) {
+                        DataViz.mainApp.bindData();
+                    }
+                });
+                $("#add-range").off("click");
+                $("#add-range").click(function () {
+                    DataViz.mainApp.CurrentSKU.Controller.addDataBySelection();
+                });
+                $("#orientation-select").off("change");
+                $("#orientation-select").change(function () {
+                    DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.orientation, $("#orientation-select").val());
+                    _this.updateReadSettings();
+                });
+                $("#header-option").off("change");
+                $("#header-option").change(function () {
+                    DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.firstRowIsHeader, $("#header-option").prop("checked"));
+                });
+                $("#labels-option").off("change");
+                $("#labels-option").change(function () {
+                    DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.firstColumnIsLabels, $("#labels-option").prop("checked"));
+                });
+                $("#filters-option").off("change");
+                $("#filters-option").change(function () {
+                    DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.respectSheetFilters, $("#filters-option").prop("checked"));
+                });
+            };
+            /**
+              * Lists the bound ranges with their sizes, and tells how many of their rows sheet filters hide. Every range but the last one left can be removed.
+              */
+            DataPane.prototype.updateRanges = function () {
+                var binder = DataViz.mainApp.CurrentSKU.DataBinder;
+                var boundRanges = binder.BoundRanges;
+                var rangeList = $("#range-list");
+                rangeList.empty();
+                $("#ranges-title").toggle(boundRanges.length > 0);
+                boundRanges.forEach(function (boundRange, index) {
+                    var text = DataViz.Utils.stringFormat(DataViz.Resources.DataPane.rangeItem, index + 1, boundRange.rowCount, DataViz.UX.BindingPaneSpecific.getPluralString(DataViz.Resources.Pluralization.rows, boundRange.rowCount), boundRange.columnCount, DataViz.UX.BindingPaneSpecific.getPluralString(DataViz.Resources.Pluralization.columns, boundRange.columnCount));
+                    var item = $("<li>").addClass("data-pane-range-item").append($("<span>").text(text));
+                    if (boundRanges.length > 1) {
+                        $("<a>").addClass("data-pane-remove-range")
+                            .attr("tabindex", "1")
+                            .text(DataViz.Resources.DataPane.removeRange)
+                            .click(function () {
+                            DataViz.mainApp.CurrentSKU.Controller.removeData(boundRange.bindingName);
+                        })
+                            .keydown(function (event) {
+                            // Check the enter key.
+                            if (event.which === 13) {
+                                DataViz.mainApp.CurrentSKU.Controller.removeData(boundRange.bindingName);
+                            }
+                        })
+                            .appendTo(item);
+                    }
+                    rangeList.append(item);
+                });
+                var hiddenRowCount = boundRanges.reduce(function (count, boundRange) {
+                    return count + boundRange.hiddenRowCount;
+                }, 0);
+                var hiddenRowsText = "";
+                if (hiddenRowCount > 0) {
+                    hiddenRowsText = DataViz.Utils.stringFormat(binder.RespectsSheetFilters ? DataViz.Resources.DataPane.hiddenRowsLeftOut : DataViz.Resources.DataPane.hiddenRowsIncluded, hiddenRowCount, DataViz.UX.BindingPaneSpecific.getPluralString(DataViz.Resources.Pluralization.rows, hiddenRowCount));
+                }
+                $("#hidden-rows").text(hiddenRowsText).toggle(hiddenRowCount > 0);
+            };
+            /**
+              * Lists the problems the last conversion found in the bound data, and the highlights that don't match a point of the data.
+              * A problem with a cell has a link that selects the cell, and the address of the cell in the range. Only the first problems are listed,
+              * and the number of the others is told.
+              */
+            DataPane.prototype.updateDiagnostics = function () {
+                var _this = this;
+                var binder = DataViz.mainApp.CurrentSKU.DataBinder;
+                var convertor = DataViz.mainApp.CurrentSKU.DataConvertor;
+                var diagnostics = binder.isBound() ? convertor.Diagnostics : [];
+                var bindingNames = binder.BindingNames;
+                var diagnosticList = $("#diagnostic-list");
+                var items = diagnostics.map(function (diagnostic) {
+                    var item = $("<li>").addClass("data-pane-range-item").append($("<span>").text(_this.describeDiagnostic(diagnostic, convertor.HasHeader)));
+                    var bindingName = bindingNames[diagnostic.rangeIndex];
+                    if (bindingName && diagnostic.type !== Trends.Data.DiagnosticType.invalidData) {
+                        var goToProblem = DataPane.getGoToProblem(binder, bindingName, diagnostic);
+                        $("<a>").addClass("data-pane-go-to")
+                            .attr("tabindex", "1")
+                            .text(DataViz.Resources.DataPane.diagnosticGoTo)
+                            .click(goToProblem)
+                            .keydown(function (event) {
+                            // Check the enter key.
+                            if (event.which === 13) {
+                                goToProblem();
+                            }
+                        })
+                            .appendTo(item);
+                    }
+                    return item;
+                }).concat(this.createHighlightItems());
+                diagnosticList.empty();
+                $("#diagnostics-title").toggle(items.length > 0);
+                items.slice(0, DataPane.maxDiagnosticNumber).forEach(function (item) {
+                    diagnosticList.append(item);
+                });
+                var otherCount = items.length - DataPane.maxDiagnosticNumber;
+                if (otherCount > 0) {
+                    diagnosticList.append($("<li>").addClass("data-pane-range-item").text(DataViz.Utils.stringFormat(DataViz.Resources.DataPane.diagnosticMore, otherCount)));
+                }
+            };
+            /**
+              * Gets what the link of a problem does, which is to select the cell of the problem, or the range if the problem is with the whole range
+              */
+            DataPane.getGoToProblem = function (binder, bindingName, diagnostic) {
+                if (diagnostic.row === undefined || diagnostic.column === undefined) {
+                    return function () {
+                        binder.goToRange(bindingName);
+                    };
+                }
+                return function () {
+                    binder.goToCell(bindingName, diagnostic.row, diagnostic.column);
+                };
+            };
+            /**
+              * Lists the highlights that don't match a point of the data, each with a link that removes it
+              * @returns {any[]} The list items
+              */
+            DataPane.prototype.createHighlightItems = function () {
+                var _this = this;
+                var plotter = DataViz.mainApp.CurrentSKU.Plotter;
+                var items = plotter.OrphanedHighlights.map(function (highlight) {
+                    return _this.createRemovableItem(DataViz.Utils.stringFormat(DataViz.Resources.DataPane.diagnosticOrphanedHighlight, highlight.seriesName, highlight.xLabel), function () {
+                        plotter.removeOrphanedHighlight(highlight);
+                    });
+                });
+                if (plotter.UnmatchedPointIdCount > 0) {
+                    items.push(this.createRemovableItem(DataViz.Utils.stringFormat(DataViz.Resources.DataPane.diagnosticUnmatchedPointIds, plotter.UnmatchedPointIdCount), function () {
+                        plotter.removeUnmatchedPointIds();
+                    }));
+                }
+                return items;
+            };
+            DataPane.prototype.createRemovableItem = function (text, remove) {
+                var _this = this;
+                var removeAndUpdate = function () {
+                    remove();
+                    _this.updateDiagnostics();
+                };
+                var item = $("<li>").addClass("data-pane-range-item").append($("<span>").text(text));
+                $("<a>").addClass("data-pane-go-to")
+                    .attr("tabindex", "1")
+                    .text(DataViz.Resources.DataPane.diagnosticRemoveHighlights)
+                    .click(removeAndUpdate)
+                    .keydown(function (event) {
+                    // Check the enter key.
+                    if (event.which === 13) {
+                        removeAndUpdate();
+                    }
+                })
+                    .appendTo(item);
+                return item;
+            };
+            /**
+              * Describes a problem found in the conversion
+              * @param {ConversionDiagnostic} diagnostic The problem
+              * @param {boolean} hasHeader Whether the header was read as the header
+              * @returns {string} The description
+              */
+            DataPane.prototype.describeDiagnostic = function (diagnostic, hasHeader) {
+                var rangeNumber = diagnostic.rangeIndex + 1;
+                var address = (diagnostic.row !== undefined) ? Trends.Data.DataConvertor.getCellAddress(diagnostic.row, diagnostic.column) : "";
+                switch (diagnostic.type) {
+                    case Trends.Data.DiagnosticType.skippedCell:
+                        return DataViz.Utils.stringFormat(DataViz.Resources.DataPane.diagnosticSkippedCell, rangeNumber, address, diagnostic.text);
+                    case Trends.Data.DiagnosticType.suspectHeader:
+                        return DataViz.Utils.stringFormat(hasHeader ? DataViz.Resources.DataPane.diagnosticNumberHeader : DataViz.Resources.DataPane.diagnosticHeaderAsValues, rangeNumber, address, diagnostic.text);
+                    case Trends.Data.DiagnosticType.rangeLeftOut:
+                        return DataViz.Utils.stringFormat(DataViz.Resources.DataPane.diagnosticRangeLeftOut, rangeNumber);
+                    default:
+                        return DataViz.Resources.DataPane.diagnosticInvalidData;
+                }
+            };
+            /**
+              * Lists the settings of every line. The rows are only built again when the number of lines changes,
+              * so that a setting the user is changing keeps the focus when the chart is drawn again.
+              */
+            DataPane.prototype.updateSeries = function () {
+                var _this = this;
+                var lineTitleArray = DataViz.mainApp.Configuration.get(DataViz.Config.Trends.wellKnownKeys.lineTitleArray);
+                var lineGapModes = DataViz.mainApp.Configuration.get(DataViz.Config.Trends.wellKnownKeys.lineGapModes);
+                var lineTransforms = DataViz.mainApp.Configuration.get(DataViz.Config.Trends.wellKnownKeys.lineTransforms);
+                lineTitleArray = lineTitleArray ? lineTitleArray : [];
+                lineGapModes = lineGapModes ? lineGapModes : [];
+                var lineTrendlines = DataViz.mainApp.Configuration.get(DataViz.Config.Trends.wellKnownKeys.lineTrendlines);
+                var lineHighlightRules = DataViz.mainApp.Configuration.get(DataViz.Config.Trends.wellKnownKeys.lineHighlightRules);
+                lineTransforms = lineTransforms ? lineTransforms : [];
+                lineTrendlines = lineTrendlines ? lineTrendlines : [];
+                lineHighlightRules = lineHighlightRules ? lineHighlightRules : [];
+                var seriesList = $("#series-list");
+                $("#series-title").toggle(lineTitleArray.length > 0);
+                if (seriesList.children().length !== lineTitleArray.length) {
+                    seriesList.empty();
+                    lineTitleArray.forEach(function (title, lineId) {
+                        seriesList.append(_this.createSeriesRow(lineId));
+                    });
+                }
+                lineTitleArray.forEach(function (title, lineId) {
+                    var row = seriesList.children().eq(lineId);
+                    row.find(".data-pane-series-name").text(title);
+                    row.find(".data-pane-gap-mode").val(lineGapModes[lineId] ? lineGapModes[lineId] : DataViz.Config.Trends.GapMode.breakLine);
+                    _this.updateTransformList(row.find(".data-pane-transform-list"), lineId, lineTransforms[lineId] ? lineTransforms[lineId] : []);
+                    _this.updateTrendlineSettings(row, lineTrendlines[lineId]);
+                    _this.updateHighlightRuleSettings(row, lineHighlightRules[lineId] ? lineHighlightRules[lineId] : []);
+                });
+            };
+            /**
+              * Shows the trendline settings of a line. The degree is only shown for a polynomial trendline.
+              */
+            DataPane.prototype.updateTrendlineSettings = function (row, trendline) {
+                row.find(".data-pane-trendline-type").val(trendline ? trendline.type : "");
+                row.find(".data-pane-trendline-options").toggle(!!trendline);
+                row.find(".data-pane-trendline-degree").toggle(!!trendline && trendline.type === DataViz.Config.Trends.TrendlineType.polynomial);
+                if (trendline) {
+                    row.find(".data-pane-trendline-degree input").val(trendline.degree ? trendline.degree : Trends.Data.Trendline.defaultDegree);
+                    row.find(".data-pane-trendline-forecast input").val(trendline.forecast ? trendline.forecast : 0);
+                }
+            };
+            /**
+              * Changes the trendline of a line and saves the trendlines of all the lines
+              * @param {number} lineId The id of the line
+              * @param {(trendline: LineTrendline) => LineTrendline} change Gets the new trendline of the line from a copy of the current one
+              */
+            DataPane.prototype.updateLineTrendline = function (lineId, change) {
+                var lineTrendlines = DataViz.mainApp.Configuration.get(DataViz.Config.Trends.wellKnownKeys.lineTrendlines);
+                lineTrendlines = lineTrendlines ? lineTrendlines.slice(0) : [];
+                for (var i = 0; i <= lineId; i++) {
+                    lineTrendlines[i] = lineTrendlines[i] ? lineTrendlines[i] : null;
+                }
+                lineTrendlines[lineId] = change(lineTrendlines[lineId] ? $.extend({}, lineTrendlines[lineId]) : null);
+                DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.lineTrendlines, lineTrendlines);
+            };
+            DataPane.prototype.createTrendlineSettings = function (lineId) {
+                var _this = this;
+                var typeSelect = $("<select>").addClass("data-pane-select data-pane-trendline-type").attr("tabindex", "1");
+                [
+                    { value: "", text: DataViz.Resources.DataPane.trendlineNone },
+                    { value: DataViz.Config.Trends.TrendlineType.linear, text: DataViz.Resources.Trendlines.linear },
+                    { value: DataViz.Config.Trends.TrendlineType.exponential, text: DataViz.Resources.Trendlines.exponential },
+                    { value: DataViz.Config.Trends.TrendlineType.polynomial, text: DataViz.Resources.Trendlines.polynomial }
+                ].forEach(function (option) {
+                    typeSelect.append($("<option>").val(option.value).text(option.text));
+                });
+                typeSelect.change(function () {
+                    var type = typeSelect.val();
+                    _this.updateLineTrendline(lineId, function (trendline) {
+                        if (!type) {
+                            return null;
+                        }
+                        trendline = trendline ? trendline : { type: type };
+                        trendline.type = type;
+                        return trendline;
+                    });
+                });
+                var degreeInput = $("<input>").addClass("data-pane-number")
+                    .attr({ type: "number", min: Trends.Data.Trendline.minDegree, max: Trends.Data.Trendline.maxDegree, tabindex: "1" });
+                degreeInput.change(function () {
+                    var degree = parseInt(degreeInput.val(), 10);
+                    if (degree >= Trends.Data.Trendline.minDegree && degree <= Trends.Data.Trendline.maxDegree) {
+                        _this.updateLineTrendline(lineId, function (trendline) {
+                            trendline.degree = degree;
+                            return trendline;
+                        });
+                    }
+                });
+                var forecastInput = $("<input>").addClass("data-pane-number").attr({ type: "number", min: "0", tabindex: "1" });
+                forecastInput.change(function () {
+                    var forecast = parseInt(forecastInput.val(), 10);
+                    if (forecast >= 0) {
+                        _this.updateLineTrendline(lineId, function (trendline) {
+                            trendline.forecast = forecast;
+                            return trendline;
+                        });
+                    }
+                });
+                return $("<div>").addClass("data-pane-series-setting")
+                    .append($("<span>").text(DataViz.Resources.DataPane.trendlineTitle))
+                    .append(typeSelect)
+                    .append($("<div>").addClass("data-pane-trendline-options")
+                    .append($("<label>").addClass("data-pane-trendline-degree")
+                    .append($("<span>").text(DataViz.Resources.DataPane.trendlineDegree))
+                    .append(degreeInput))
+                    .append($("<label>").addClass("data-pane-trendline-forecast")
+                    .append($("<span>").text(DataViz.Resources.DataPane.trendlineForecast))
+                    .append(forecastInput)));
+            };
+            /**
+              * Shows which highlight rules a line has. The threshold and the count are empty for the rules the line doesn't have.
+              */
+            DataPane.prototype.updateHighlightRuleSettings = function (row, rules) {
+                var findRule = function (type) {
+                    for (var i = 0; i < rules.length; i++) {
+                        if (rules[i] && rules[i].type === type) {
+                            return rules[i];
+                        }
+                    }
+                    return null;
+                };
+                row.find(".data-pane-highlight-rule").each(function () {
+                    $(this).prop("checked", !!findRule($(this).val()));
+                });
+                var thresholdRule = findRule(DataViz.Config.Trends.HighlightRuleType.thresholdCrossing);
+                var topNRule = findRule(DataViz.Config.Trends.HighlightRuleType.topN);
+                row.find(".data-pane-highlight-threshold").val(thresholdRule ? thresholdRule.threshold : "");
+                row.find(".data-pane-highlight-count").val(topNRule ? Trends.Data.HighlightRules.getCount(topNRule) : "");
+            };
+            /**
+              * Replaces the highlight rule of a type of a line and saves the highlight rules of all the lines
+              * @param {number} lineId The id of the line
+              * @param {string} type The type of the rule
+              * @param {LineHighlightRule} rule The new rule, or null to remove the rule of the type
+              */
+            DataPane.prototype.setLineHighlightRule = function (lineId, type, rule) {
+                var lineHighlightRules = DataViz.mainApp.Configuration.get(DataViz.Config.Trends.wellKnownKeys.lineHighlightRules);
+                lineHighlightRules = lineHighlightRules ? lineHighlightRules.slice(0) : [];
+                for (var i = 0; i <= lineId; i++) {
+                    lineHighlightRules[i] = lineHighlightRules[i] ? lineHighlightRules[i] : [];
+                }
+                lineHighlightRules[lineId] = lineHighlightRules[lineId].filter(function (lineRule) {
+                    return lineRule && lineRule.type !== type;
+                });
+                if (rule) {
+                    lineHighlightRules[lineId].push(rule);
                 }
+                DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.lineHighlightRules, lineHighlightRules);
             };
-            DataPane.prototype.init = function () {
-                this.setText();
-                this.setEventHandlers();
-                DataViz.Utils.setTabFocus("data-pane", "data-back-button", "select-data");
+            DataPane.prototype.createHighlightRuleSettings = function (lineId) {
+                var _this = this;
+                var rules = $("<div>").addClass("data-pane-highlight-rules");
+                [
+                    { value: DataViz.Config.Trends.HighlightRuleType.maximum, text: DataViz.Resources.DataPane.highlightMaximum },
+                    { value: DataViz.Config.Trends.HighlightRuleType.minimum, text: DataViz.Resources.DataPane.highlightMinimum },
+                    { value: DataViz.Config.Trends.HighlightRuleType.last, text: DataViz.Resources.DataPane.highlightLatest }
+                ].forEach(function (option) {
+                    var checkbox = $("<input>").addClass("data-pane-highlight-rule").attr({ type: "checkbox", tabindex: "1" }).val(option.value);
+                    checkbox.change(function () {
+                        _this.setLineHighlightRule(lineId, option.value, checkbox.prop("checked") ? { type: option.value } : null);
+                    });
+                    rules.append($("<label>").append(checkbox).append($("<span>").text(option.text)));
+                });
+                var thresholdInput = $("<input>").addClass("data-pane-number data-pane-highlight-threshold").attr({ type: "number", step: "any", tabindex: "1" });
+                thresholdInput.change(function () {
+                    var type = DataViz.Config.Trends.HighlightRuleType.thresholdCrossing;
+                    var threshold = parseFloat(thresholdInput.val());
+                    _this.setLineHighlightRule(lineId, type, isFinite(threshold) ? { type: type, threshold: threshold } : null);
+                });
+                var countInput = $("<input>").addClass("data-pane-number data-pane-highlight-count").attr({ type: "number", min: "1", tabindex: "1" });
+                countInput.change(function () {
+                    var type = DataViz.Config.Trends.HighlightRuleType.topN;
+                    var count = parseInt(countInput.val(), 10);
+                    _this.setLineHighlightRule(lineId, type, (count >= 1) ? { type: type, count: count } : null);
+                });
+                return $("<div>").addClass("data-pane-series-setting")
+                    .append($("<span>").text(DataViz.Resources.DataPane.highlightTitle))
+                    .append(rules
+                    .append($("<label>").addClass("data-pane-highlight-number")
+                    .append($("<span>").text(DataViz.Resources.DataPane.highlightThreshold))
+                    .append(thresholdInput))
+                    .append($("<label>").addClass("data-pane-highlight-number")
+                    .append($("<span>").text(DataViz.Resources.DataPane.highlightTopN))
+                    .append(countInput)));
             };
-            DataPane.prototype.setText = function () {
-                $("#data-back-button").attr("alt", DataViz.Resources.UI.backButtonTitle);
-                $("#data-back-button").attr("title", DataViz.Resources.UI.backButtonTitle);
-                $("#data-pane-title").text(DataViz.Resources.DataPane.header);
-                $("#select-data").text(DataViz.Resources.DataPane.selectButtonText);
+            /**
+              * Lists the transforms of a line, unless the list already shows them
+              */
+            DataPane.prototype.updateTransformList = function (transformList, lineId, transforms) {
+                var _this = this;
+                var listedTransforms = JSON.stringify(transforms);
+                if (transformList.data("transforms") === listedTransforms) {
+                    return;
+                }
+                transformList.data("transforms", listedTransforms);
+                transformList.empty();
+                transforms.forEach(function (transform, index) {
+                    var item = $("<li>").addClass("data-pane-transform-item");
+                    if (transform.type === DataViz.Config.Trends.TransformType.rollingAverage) {
+                        var periodInput = $("<input>").addClass("data-pane-period")
+                            .attr({ type: "number", min: "2", tabindex: "1" })
+                            .val(transform.period ? transform.period : Trends.Data.DataTransformer.defaultPeriod);
+                        periodInput.change(function () {
+                            var period = parseInt(periodInput.val(), 10);
+                            if (period > 1) {
+                                _this.updateLineTransforms(lineId, function (lineTransforms) {
+                                    lineTransforms[index] = { type: transform.type, period: period };
+                                });
+                            }
+                        });
+                        item.append($("<span>").text(DataViz.Resources.Transforms.rollingAverageName)).append(periodInput);
+                    }
+                    else {
+                        item.append($("<span>").text(Trends.Data.DataTransformer.describeTransform(transform)));
+                    }
+                    $("<a>").addClass("data-pane-remove-transform")
+                        .attr("tabindex", "1")
+                        .text(DataViz.Resources.DataPane.removeTransform)
+                        .click(function () {
+                        _this.removeTransform(lineId, index);
+                    })
+                        .keydown(function (event) {
+                        // Check the enter key.
+                        if (event.which === 13) {
+                            _this.removeTransform(lineId, index);
+                        }
+                    })
+                        .appendTo(item);
+                    transformList.append(item);
+                });
             };
-            DataPane.prototype.setEventHandlers = function () {
+            DataPane.prototype.removeTransform = function (lineId, index) {
+                this.updateLineTransforms(lineId, function (transforms) {
+                    transforms.splice(index, 1);
+                });
+            };
+            /**
+              * Changes the transforms of a line and saves the transforms of all the lines
+              * @param {number} lineId The id of the line
+              * @param {(transforms: LineTransform[]) => void} change The change to make to a copy of the transforms of the line
+              */
+            DataPane.prototype.updateLineTransforms = function (lineId, change) {
+                var lineTransforms = DataViz.mainApp.Configuration.get(DataViz.Config.Trends.wellKnownKeys.lineTransforms);
+                lineTransforms = lineTransforms ? lineTransforms.slice(0) : [];
+                for (var i = 0; i <= lineId; i++) {
+                    lineTransforms[i] = lineTransforms[i] ? lineTransforms[i] : [];
+                }
+                var transforms = lineTransforms[lineId].slice(0);
+                change(transforms);
+                lineTransforms[lineId] = transforms;
+                DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.lineTransforms, lineTransforms);
+            };
+            DataPane.prototype.createSeriesRow = function (lineId) {
                 var _this = this;
-                $("#data-pane").off("click");
-                $("#data-pane").click(function () {
-                    $("#data-back-button").focus();
+                var gapModeSelect = $("<select>").addClass("data-pane-select data-pane-gap-mode").attr("tabindex", "1");
+                [
+                    { value: DataViz.Config.Trends.GapMode.breakLine, text: DataViz.Resources.DataPane.gapModeBreak },
+                    { value: DataViz.Config.Trends.GapMode.zero, text: DataViz.Resources.DataPane.gapModeZero },
+                    { value: DataViz.Config.Trends.GapMode.interpolate, text: DataViz.Resources.DataPane.gapModeInterpolate }
+                ].forEach(function (option) {
+                    gapModeSelect.append($("<option>").val(option.value).text(option.text));
                 });
-                $("#data-back-button").off("click");
-                $("#data-back-button").click(function () {
-                    _this.hide();
-                }).keydown(function (event) {
-                    if (event.which === 13) {
-                        _this.hide();
-                    } // Check the enter key.
+                gapModeSelect.change(function () {
+                    var lineGapModes = DataViz.mainApp.Configuration.get(DataViz.Config.Trends.wellKnownKeys.lineGapModes);
+                    lineGapModes = lineGapModes ? lineGapModes.slice(0) : [];
+                    lineGapModes[lineId] = gapModeSelect.val();
+                    DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.lineGapModes, lineGapModes);
                 });
-                $("#select-data").off("click");
-                $("#select-data").click(function () {
-                    DataViz.mainApp.bindData();
-                }).keydown(function (event) {
-                    // Check the enter key.
-                    if (event.which === 13) {
-                        DataViz.mainApp.bindData();
+                var addTransformSelect = $("<select>").addClass("data-pane-select").attr("tabindex", "1");
+                [
+                    { value: "", text: DataViz.Resources.DataPane.addTransform },
+                    { value: DataViz.Config.Trends.TransformType.rollingAverage, text: DataViz.Resources.Transforms.rollingAverageName },
+                    { value: DataViz.Config.Trends.TransformType.cumulativeSum, text: DataViz.Resources.Transforms.cumulativeSum },
+                    { value: DataViz.Config.Trends.TransformType.percentChange, text: DataViz.Resources.Transforms.percentChange },
+                    { value: DataViz.Config.Trends.TransformType.rebase, text: DataViz.Resources.Transforms.rebase }
+                ].forEach(function (option) {
+                    addTransformSelect.append($("<option>").val(option.value).text(option.text));
+                });
+                addTransformSelect.change(function () {
+                    var type = addTransformSelect.val();
+                    addTransformSelect.val("");
+                    if (!type) {
+                        return;
                     }
+                    _this.updateLineTransforms(lineId, function (transforms) {
+                        transforms.push((type === DataViz.Config.Trends.TransformType.rollingAverage)
+                            ? { type: type, period: Trends.Data.DataTransformer.defaultPeriod }
+                            : { type: type });
+                    });
                 });
+                return $("<div>").addClass("data-pane-series")
+                    .append($("<div>").addClass("data-pane-series-name"))
+                    .append($("<label>").addClass("data-pane-series-setting")
+                    .append($("<span>").text(DataViz.Resources.DataPane.gapModeTitle))
+                    .append(gapModeSelect))
+                    .append($("<div>").addClass("data-pane-series-setting")
+                    .append($("<span>").text(DataViz.Resources.DataPane.transformsTitle))
+                    .append($("<ul>").addClass("data-pane-range-list data-pane-transform-list"))
+                    .append(addTransformSelect))
+                    .append(this.createTrendlineSettings(lineId))
+                    .append(this.createHighlightRuleSettings(lineId));
+            };
+            /**
+              * Shows the orientation and how the header and the labels are read. Unless the user has set them,
+              * the header and the labels are what the convertor has detected.
+              */
+            DataPane.prototype.updateReadSettings = function () {
+                var orientation = DataViz.mainApp.Configuration.get(DataViz.Config.Trends.wellKnownKeys.orientation);
+                orientation = orientation ? orientation : DataViz.Config.Trends.Orientation.seriesInColumns;
+                var convertor = DataViz.mainApp.CurrentSKU.DataConvertor;
+                var binder = DataViz.mainApp.CurrentSKU.DataBinder;
+                $("#orientation-select").val(orientation);
+                $("#header-option").prop("checked", convertor.HasHeader);
+                $("#labels-option").prop("checked", convertor.HasLabels);
+                $("#filters-option").prop("checked", binder.RespectsSheetFilters);
+                $("#header-option-text").text(DataViz.UX.BindingPaneSpecific.getHeaderOptionText(orientation));
+                $("#labels-option-text").text(DataViz.UX.BindingPaneSpecific.getLabelsOptionText(orientation));
             };
             DataPane.theInstance = null;
+            DataPane.maxDiagnosticNumber = 10;
             return DataPane;
         }());
         UX.DataPane = DataPane;
@@ -3587,6 +10049,15 @@ var Trends;
                         _this.showDataPane();
                     }
                 });
+                $("#zoom-reset-button").off("click");
+                $("#zoom-reset-button").click(function () {
+                    DataViz.Config.Trends.resetXWindow();
+                }).keydown(function (event) {
+                    // Check the enter key
+                    if (event.which === 13) {
+                        DataViz.Config.Trends.resetXWindow();
+                    }
+                });
                 this.setText();
                 this.setupListeners();
                 showAndHideFloatMenu();
@@ -3601,6 +10072,9 @@ var Trends;
                 var settingButton = $("#setting-button");
                 settingButton.attr("alt", DataViz.Resources.UI.floatMenuSettingTitle);
                 settingButton.attr("title", DataViz.Resources.UI.floatMenuSettingTitle);
+                var zoomResetButton = $("#zoom-reset-button");
+                zoomResetButton.attr("alt", DataViz.Resources.UI.floatMenuZoomResetTitle);
+                zoomResetButton.attr("title", DataViz.Resources.UI.floatMenuZoomResetTitle);
             };
             MainUX.prototype.showDataPane = function () {
                 DataViz.UX.SettingPane.Instance.hide();
@@ -3742,6 +10216,7 @@ var DataViz;
                     thisApp.bindingPane.handleDataSelection();
                 },
                 buttonOKCallback: function (bindingData) {
+                    thisApp.bindingPane.saveReadOptions();
                     _this.currentSKU.Controller.bindDataBySelection();
                     DataViz.UX.DataPane.Instance.hide();
                 },
@@ -3758,6 +10233,13 @@ var DataViz;
                     });
                 });
             });
+            // The panes outlive the SKUs, so they're only hidden by one listener however many times the chart type changes
+            window.addEventListener("click", function (e) {
+                if (e.clientX < window.innerWidth - DataViz.App.paneWidth) {
+                    DataViz.UX.SettingPane.Instance.hide();
+                    DataViz.UX.DataPane.Instance.hide();
+                }
+            });
         };
         /**
           * Binds to the selected cells (by prompt)
@@ -3805,16 +10287,36 @@ var DataViz;
             // Registers listeners for configuration changes. NOTE: ORDER MATTERS!
             this.configuration.registerListener(DataViz.Decoration.ShapeProvider.Instance);
             this.configuration.registerListener(DataViz.Decoration.ThemeProvider.Instance);
+            this.configuration.registerListener(this.currentSKU.DataBinder);
             this.configuration.registerListener(this.currentSKU.DataConvertor);
+            if (this.currentSKU.DataTransformer) {
+                this.configuration.registerListener(this.currentSKU.DataTransformer);
+            }
+            if (this.currentSKU.DataSampler) {
+                this.configuration.registerListener(this.currentSKU.DataSampler);
+            }
             this.configuration.registerListener(this.currentSKU.Controller);
             this.configuration.registerListener(DataViz.SKUs.SKUProvider.Instance);
-            this.configuration.registerListener(this);
             this.currentSKU.Visualizer.registerListener(this);
+            // The line colors come from the theme palette, so the chart has to be redrawn when the theme changes
+            this.currentSKU.Controller.revisualizeOnThemeChange(true);
+            this.currentSKU.Controller.revisualizeOnConfigurationChange(DataViz.Config.Trends.revisualizingKeys);
             this.layoutInstance = new DataViz.Chart.LayoutInstance(DataViz.Chart.LayoutProvider.Instance.CurrentLayout, this.currentSKU.Configurator);
             this.layoutInstance.registerListener(this.currentSKU.Layouter);
             this.mainUX = new Trends.UX.MainUX;
             this.mainUX.init();
+            // The data pane lists the bound ranges, so it has to know when they change
+            this.currentSKU.DataBinder.registerDataChangeListener(DataViz.UX.DataPane.Instance);
+            this.currentSKU.Visualizer.registerListener(DataViz.UX.DataPane.Instance);
             this.configuration.loadAll();
+            // The SKU is set up before the settings of the document are read, so a document saved with another chart type
+            // switches to it here. The app only listens to the SKU changes made after the settings are read.
+            if (DataViz.SKUs.SKUProvider.Instance.CurrentSKU.id !== this.currentSKU.Id) {
+                this.tearDownCurrentSKU();
+                this.setupNewSKU();
+                return;
+            }
+            this.configuration.registerListener(this);
             this.layoutInstance.loadAll();
             this.currentSKU.Layouter.resume();
             var savedSkuId = this.configuration.get(DataViz.Config.wellKnownKeys.sku);
@@ -3825,7 +10327,7 @@ var DataViz;
             var savedTheme = DataViz.Decoration.ThemeProvider.Instance.getThemeById(savedThemeId);
             if ((!savedTheme)
                 || ((savedTheme.sku !== "") && (savedTheme.sku !== this.currentSKU.Id))) {
-                this.configuration.set(DataViz.Config.wellKnownKeys.theme, this.currentSKU.ThemeId);
+                this.configuration.set(DataViz.Config.wellKnownKeys.theme, this.getMatchingThemeId(savedTheme));
             }
             var sampleData = new DataViz.Config.Trends.SampleDataProvider(this.currentSKU.SampleData);
             this.initLayoutElementConfig(DataViz.Config.Trends.wellKnownKeys.title, sampleData.Title);
@@ -3838,18 +10340,28 @@ var DataViz;
                 if (_this.currentSKU.DataBinder.isBound()) {
                     return;
                 }
-                var savedClickedPoints = _this.configuration.get(DataViz.Config.Trends.wellKnownKeys.clickedPointIdArray);
-                if (!savedClickedPoints) {
-                    _this.configuration.set(DataViz.Config.Trends.wellKnownKeys.clickedPointIdArray, sampleData.DataPoints);
+                var savedPointHighlights = _this.configuration.get(DataViz.Config.Trends.wellKnownKeys.pointHighlights);
+                if (!savedPointHighlights) {
+                    _this.configuration.set(DataViz.Config.Trends.wellKnownKeys.pointHighlights, sampleData.DataPoints);
                 }
                 _this.currentSKU.Controller.visualizeData(sampleData.RenderData);
             });
-            window.addEventListener("click", function (e) {
-                if (e.clientX < window.innerWidth - DataViz.App.paneWidth) {
-                    DataViz.UX.SettingPane.Instance.hide();
-                    DataViz.UX.DataPane.Instance.hide();
-                }
-            });
+        };
+        /**
+          * Gets the theme of the current SKU that takes the place of a theme of another SKU, which is the theme in the same place
+          * in the list of the themes of the SKU, so that the light and the dark themes stay light and dark when the chart type changes
+          * @param {Theme} savedTheme The theme of the other SKU, or null if the saved theme isn't known
+          * @returns {string} The id of the theme, or the id of the default theme of the SKU if it has fewer themes
+          */
+        App.prototype.getMatchingThemeId = function (savedTheme) {
+            if (!savedTheme) {
+                return this.currentSKU.ThemeId;
+            }
+            var savedIndex = DataViz.Decoration.ThemeProvider.Instance.enumerateForSku(savedTheme.sku).map(function (theme) {
+                return theme.id;
+            }).indexOf(savedTheme.id);
+            var themes = DataViz.Decoration.ThemeProvider.Instance.enumerateForSku(this.currentSKU.Id);
+            return (savedIndex > -1 && savedIndex < themes.length) ? themes[savedIndex].id : this.currentSKU.ThemeId;
         };
         App.prototype.initLayoutElementConfig = function (key, sampleValue) {
             var savedValue = DataViz.mainApp.layoutInstance.getValue(key);
@@ -3870,13 +10382,31 @@ var DataViz;
             DataViz.Config.Trends.wellKnownKeys.shortdes1GroupWidth,
             DataViz.Config.Trends.wellKnownKeys.longdesGroupWidth,
             DataViz.Config.Trends.wellKnownKeys.clickedPointIdArray,
+            DataViz.Config.Trends.wellKnownKeys.pointHighlights,
             DataViz.Config.Trends.wellKnownKeys.lineOrder,
             DataViz.Config.Trends.wellKnownKeys.lineDisplay,
             DataViz.Config.Trends.wellKnownKeys.lineTitleArray,
+            DataViz.Config.Trends.wellKnownKeys.lineGapModes,
+            DataViz.Config.Trends.wellKnownKeys.lineTransforms,
+            DataViz.Config.Trends.wellKnownKeys.lineTrendlines,
+            DataViz.Config.Trends.wellKnownKeys.trendlineDisplay,
+            DataViz.Config.Trends.wellKnownKeys.lineHighlightRules,
+            DataViz.Config.Trends.wellKnownKeys.lineAxes,
+            DataViz.Config.Trends.wellKnownKeys.yAxisOptions,
+            DataViz.Config.Trends.wellKnownKeys.compactNumbers,
+            DataViz.Config.Trends.wellKnownKeys.xWindow,
+            DataViz.Config.Trends.wellKnownKeys.scatterOptions,
+            DataViz.Config.Trends.wellKnownKeys.sharedYScale,
+            DataViz.Config.Trends.wellKnownKeys.annotations,
             DataViz.Config.Trends.wellKnownKeys.bindingName,
+            DataViz.Config.Trends.wellKnownKeys.bindingNames,
             DataViz.Config.Trends.wellKnownKeys.windowWidth,
             DataViz.Config.Trends.wellKnownKeys.windowHeight,
             DataViz.Config.Trends.wellKnownKeys.isLegendEdited,
+            DataViz.Config.Trends.wellKnownKeys.orientation,
+            DataViz.Config.Trends.wellKnownKeys.firstRowIsHeader,
+            DataViz.Config.Trends.wellKnownKeys.firstColumnIsLabels,
+            DataViz.Config.Trends.wellKnownKeys.respectSheetFilters,
         ];
         return App;
     }());
@@ -3886,103 +10416,182 @@ var DataViz;
 Copyright (c) Microsoft Open Technologies, Inc. All rights reserved. Licensed under the Apache License, Version 2.0.
 See License.txt in the project root for license information.
 ***************************************************************************************** */
-///<reference path="shared/data.ts"/>
-///<reference path="shared/config.ts"/>
+///<reference path="data.convertor.agave.ts" />
+///<reference path="numberformat.trends.ts" />
+///<reference path="plotter.trends.ts" />
+///<reference path="../app.ts" />
 /**
-  * This module contains the implementation of the People Bar specific data covnertor
+  * This module contains the plotters of the area charts
   */
 var Trends;
 (function (Trends) {
-    var Data;
-    (function (Data) {
+    var Chart;
+    (function (Chart) {
         "use strict";
         /**
-          * This is the specific data convertor implementation of the app
+          * The ways an area chart can put the areas of its lines together
           */
-        var DataConvertor = (function () {
-            function DataConvertor() {
+        Chart.AreaStackMode = {
+            // Every area reaches down to zero, and the later lines are drawn over the earlier ones
+            overlapped: "overlapped",
+            // Every area starts from the top of the shown lines before it, so the top of the last line is the total
+            stacked: "stacked",
+            // Stacked, with the values of every column scaled to add up to 100%
+            percent: "percent",
+        };
+        /**
+          * The plotter of the area chart. The lines are drawn as the line chart draws them, with the area under every line filled
+          * in its color. When the lines are stacked, they are stacked in the order of the series, leaving out the hidden lines,
+          * and they have no trendlines, since a trendline fits the values of its line rather than where the line is drawn.
+          */
+        var AreaChartPlotter = (function (_super) {
+            __extends(AreaChartPlotter, _super);
+            function AreaChartPlotter(stackMode) {
+                if (stackMode === void 0) { stackMode = Chart.AreaStackMode.overlapped; }
+                _super.call(this);
+                // The value every line is drawn at, and the value its area starts from, in each column, when the lines are stacked
+                this.stackTops = [];
+                this.stackBases = [];
+                this.stackMode = stackMode;
+                this.isStacked = stackMode !== Chart.AreaStackMode.overlapped;
+                this.areaOpacity = this.isStacked ? AreaChartPlotter.stackedOpacity : AreaChartPlotter.overlappedOpacity;
             }
             /**
-              * Implementing {@link ITool#resetTool}
+              * Overriding {@link HighlightingPlotter#plot}
               */
-            DataConvertor.prototype.resetTool = function () {
-                //Do nothing.
+            AreaChartPlotter.prototype.plot = function (data) {
+                if (data && data.yData && this.isStacked) {
+                    this.stack(data);
+                    data = {
+                        header: data.header,
+                        xData: data.xData,
+                        xDates: data.xDates,
+                        yData: data.yData.map(function (line) {
+                            return { validDataCount: line.validDataCount, data: line.data, ruleHighlights: line.ruleHighlights, numberFormat: line.numberFormat };
+                        })
+                    };
+                }
+                _super.prototype.plot.call(this, data);
             };
             /**
-              * Determines whether the binding is a table and its column number is more than one
-              * @param {any} binding used to get data.
-              * @returns {boolean} True if the binding is valid; false otherwise
+              * Overriding {@link LineChartPlotter#getPlottedValue}
               */
-            DataConvertor.isBindingValid = function (binding) {
-                return (binding && binding.type === Office.BindingType.Matrix && binding.columnCount > 1);
+            AreaChartPlotter.prototype.getPlottedValue = function (lineId, point) {
+                var top = this.isStacked && this.stackTops[lineId] ? this.stackTops[lineId][point.originalIndex] : undefined;
+                return (top === undefined) ? point.unformatted : top;
             };
             /**
-              * Implementing {@link IDataConvertor#Convert}
-              * @param {RawData} the raw data contains both formatted and unformatted data.
-              * Example: data.formatted: [["21-Jul", "$41.00"], ["22-Jul", "$29.00"], ...]
-              *          data.unformatted: [[41476, 41], [41477, 29], ...]
-              * @returns {BindingData} The converted data
+              * Overriding {@link LineChartPlotter#getBaseValue}
               */
-            DataConvertor.prototype.convert = function (data) {
-                var convertedData = { header: [], xData: [], yData: null };
-                if (!this.isDataValid(data.formatted) || !this.isDataValid(data.unformatted)) {
-                    return convertedData;
-                }
-                var lineNumber = Math.min(data.formatted[0].length - 1, DataViz.Config.Trends.MaxLineNumber);
-                if (data.hasHeader) {
-                    for (var i = 0; i < lineNumber; i++) {
-                        convertedData.header[i] = data.formatted[0][i + 1];
-                    }
-                }
-                convertedData.yData = [];
-                for (var i = 0; i < lineNumber; i++) {
-                    convertedData.yData.push({
-                        validDataCount: 0,
-                        data: []
+            AreaChartPlotter.prototype.getBaseValue = function (lineId, point) {
+                var base = this.isStacked && this.stackBases[lineId] ? this.stackBases[lineId][point.originalIndex] : undefined;
+                return (base === undefined) ? 0 : base;
+            };
+            /**
+              * Overriding {@link LineChartPlotter#getAxisFormat}. The axis of a 100% stacked chart shows the shares of the columns.
+              */
+            AreaChartPlotter.prototype.getAxisFormat = function (isSecondary) {
+                return (this.stackMode === Chart.AreaStackMode.percent) ? Trends.Data.NumberFormat.Percentage : _super.prototype.getAxisFormat.call(this, isSecondary);
+            };
+            /**
+              * Works out where every line is drawn when the lines are stacked. A hidden line adds nothing to the stack,
+              * so it's drawn at the top of the lines before it.
+              */
+            AreaChartPlotter.prototype.stack = function (data) {
+                var _this = this;
+                var lineDisplay = DataViz.mainApp.Configuration.get(DataViz.Config.Trends.wellKnownKeys.lineDisplay);
+                var columns = AreaChartPlotter.getColumns(data);
+                var values = data.yData.map(function (line, lineId) {
+                    var isShown = !lineDisplay || lineDisplay[lineId] !== false;
+                    return columns.map(function (column) {
+                        return isShown ? Chart.HighlightingPlotter.getValueAt(line.data, column) : 0;
                     });
-                }
-                var columnNumber = Math.min(data.formatted.length, DataViz.Config.Trends.MaxColumnNumber);
-                var columnNumberStartIndex = data.hasHeader ? 1 : 0;
-                for (var i = columnNumberStartIndex; i < columnNumber; i++) {
-                    convertedData.xData[i - columnNumberStartIndex] = data.formatted[i][0];
-                    for (var j = 0; j < lineNumber; j++) {
-                        var temp = parseFloat(data.unformatted[i][j + 1]);
-                        if (!isNaN(temp)) {
-                            convertedData.yData[j].validDataCount++;
-                            convertedData.yData[j].data.push({
-                                originalIndex: i - columnNumberStartIndex,
-                                formatted: data.formatted[i][j + 1],
-                                unformatted: temp
-                            });
-                        }
+                });
+                var sums = columns.map(function () { return 0; });
+                var scales = columns.map(function (column, index) {
+                    if (_this.stackMode !== Chart.AreaStackMode.percent) {
+                        return 1;
                     }
-                }
-                return convertedData;
+                    var total = 0;
+                    values.forEach(function (lineValues) {
+                        total += lineValues[index];
+                    });
+                    return (total === 0) ? 0 : 1 / total;
+                });
+                this.stackTops = [];
+                this.stackBases = [];
+                values.forEach(function (lineValues) {
+                    var tops = {};
+                    var bases = {};
+                    columns.forEach(function (column, index) {
+                        bases[column] = sums[index] * scales[index];
+                        sums[index] += lineValues[index];
+                        tops[column] = sums[index] * scales[index];
+                    });
+                    _this.stackTops.push(tops);
+                    _this.stackBases.push(bases);
+                });
             };
             /**
-              * Implementing {@link IConfigurationChangeListener#onConfigurationChanged}
+              * Gets the columns that have a point of any line, in order
               */
-            DataConvertor.prototype.onConfigurationChanged = function (key, value) {
-                //Do nothing.
-            };
-            DataConvertor.prototype.isDataValid = function (data) {
-                return data !== null && data !== undefined;
+            AreaChartPlotter.getColumns = function (data) {
+                var isColumn = {};
+                var columns = [];
+                data.yData.forEach(function (line) {
+                    line.data.forEach(function (point) {
+                        if (!isColumn[point.originalIndex]) {
+                            isColumn[point.originalIndex] = true;
+                            columns.push(point.originalIndex);
+                        }
+                    });
+                });
+                return columns.sort(function (a, b) {
+                    return a - b;
+                });
             };
-            return DataConvertor;
-        }());
-        Data.DataConvertor = DataConvertor;
-    })(Data = Trends.Data || (Trends.Data = {}));
+            AreaChartPlotter.overlappedOpacity = 0.35;
+            AreaChartPlotter.stackedOpacity = 0.75;
+            return AreaChartPlotter;
+        }(Chart.LineChartPlotter));
+        Chart.AreaChartPlotter = AreaChartPlotter;
+        /**
+          * The plotter of the stacked area chart
+          */
+        var StackedAreaChartPlotter = (function (_super) {
+            __extends(StackedAreaChartPlotter, _super);
+            function StackedAreaChartPlotter() {
+                _super.call(this, Chart.AreaStackMode.stacked);
+            }
+            return StackedAreaChartPlotter;
+        }(AreaChartPlotter));
+        Chart.StackedAreaChartPlotter = StackedAreaChartPlotter;
+        /**
+          * The plotter of the 100% stacked area chart
+          */
+        var PercentAreaChartPlotter = (function (_super) {
+            __extends(PercentAreaChartPlotter, _super);
+            function PercentAreaChartPlotter() {
+                _super.call(this, Chart.AreaStackMode.percent);
+            }
+            return PercentAreaChartPlotter;
+        }(AreaChartPlotter));
+        Chart.PercentAreaChartPlotter = PercentAreaChartPlotter;
+    })(Chart = Trends.Chart || (Trends.Chart = {}));
 })(Trends || (Trends = {}));
 /* **************************************************************************************
 Copyright (c) Microsoft Open Technologies, Inc. All rights reserved. Licensed under the Apache License, Version 2.0.
 See License.txt in the project root for license information.
 ***************************************************************************************** */
 ///<reference path="shared/chart.ts"/>
-///<reference path="shared/layout.ts"/>
 ///<reference path="shared/decoration.ts"/>
-///<reference path="../app.ts"/>
+///<reference path="data.convertor.agave.ts" />
+///<reference path="data.transformer.trends.ts" />
+///<reference path="numberformat.trends.ts" />
+///<reference path="highlightingplotter.trends.ts" />
+///<reference path="../app.ts" />
 /**
-  * This module contains the implementation of the base layouter
+  * This module contains the plotters of the column and bar charts
   */
 var Trends;
 (function (Trends) {
@@ -3990,800 +10599,978 @@ var Trends;
     (function (Chart) {
         "use strict";
         /**
-          * The base class of all layouters based on D3
+          * The ways a bar chart can put the bars of its lines together
           */
-        var Layouter = (function (_super) {
-            __extends(Layouter, _super);
-            function Layouter() {
+        Chart.BarMode = {
+            // The columns of every x value stand side by side
+            grouped: "grouped",
+            // The columns of every x value stand on each other, so the top of the last one is the total
+            stacked: "stacked",
+            // The bars of every x value lie side by side, with the x values running down the chart
+            horizontal: "horizontal",
+        };
+        /**
+          * The plotter of the column chart. Every line is drawn as a bar in each column it has a point in, in the color of the line,
+          * and a clicked bar gets a bubble with its value at its end, as a clicked point of the line chart does. The hidden lines are
+          * left out, so the shown ones take up their room. The value axis always starts from zero, since the length of a bar is its value.
+          * When the bars are stacked, every shown line has a bar in every column any shown line has one in, so that the totals don't leave out
+          * the points sampling left out of some of the lines.
+          */
+        var BarChartPlotter = (function (_super) {
+            __extends(BarChartPlotter, _super);
+            function BarChartPlotter(mode) {
+                if (mode === void 0) { mode = Chart.BarMode.grouped; }
                 _super.call(this);
-                var zoomRatio = DataViz.Utils.getZoomRatioForApp();
-                var dataButton = $("#data-button");
-                var settingButton = $("#setting-button");
-                var width = Math.floor(dataButton.width() / zoomRatio);
-                dataButton.width(width);
-                dataButton.height(width);
-                settingButton.width(width);
-                settingButton.height(width);
-                this.firstRelayout = true;
-                this.cachedLayoutElementInstances = {};
-                this.layoutElements = new LayoutElements();
-                this.currentLayout = DataViz.Chart.LayoutProvider.Instance.CurrentLayout;
+                // The points of every line that are drawn as bars
+                this.barPoints = [];
+                // The value every bar starts from, in each column, when the bars are stacked
+                this.stackBases = [];
+                this.mode = mode;
             }
-            Layouter.getZoomRatioRelativeLast = function () {
-                var windowWidth = window.innerWidth ? window.innerWidth : document.body.clientWidth;
-                var windowHeight = window.innerHeight ? window.innerHeight : document.body.clientHeight;
-                var savedWidowWidth = DataViz.mainApp.Configuration.get(DataViz.Config.Trends.wellKnownKeys.windowWidth);
-                var savedWindowHeight = DataViz.mainApp.Configuration.get(DataViz.Config.Trends.wellKnownKeys.windowHeight);
-                if (!savedWidowWidth) {
-                    savedWidowWidth = Layouter.originWindowWidth;
-                    savedWindowHeight = Layouter.originWindowHeight;
-                    DataViz.mainApp.Configuration.delaySet(DataViz.Config.Trends.wellKnownKeys.windowWidth, windowWidth);
-                    DataViz.mainApp.Configuration.delaySet(DataViz.Config.Trends.wellKnownKeys.windowHeight, windowHeight);
-                }
-                return new ZoomRatio(savedWidowWidth / windowWidth, savedWindowHeight / windowHeight);
+            /**
+              * Overriding {@link HighlightingPlotter#initData}
+              */
+            BarChartPlotter.prototype.initData = function (convertedData) {
+                _super.prototype.initData.call(this, convertedData);
+                this.setBarPoints();
+                this.stack();
+                this.chartHeight = $("#line-chart").height();
+                this.chartWidth = $("#line-chart").width();
             };
-            Layouter.getZoomRatioRelativeOrigin = function () {
-                var windowWidth = window.innerWidth ? window.innerWidth : document.body.clientWidth;
-                var windowHeight = window.innerHeight ? window.innerHeight : document.body.clientHeight;
-                return new ZoomRatio(Layouter.originWindowWidth / windowWidth, Layouter.originWindowHeight / windowHeight);
+            /**
+              * Overriding {@link HighlightingPlotter#readSettings}
+              */
+            BarChartPlotter.prototype.readSettings = function () {
+                _super.prototype.readSettings.call(this);
+                this.yAxisOptions = this.configuration.get(DataViz.Config.Trends.wellKnownKeys.yAxisOptions);
+                this.yAxisOptions = this.yAxisOptions ? this.yAxisOptions : {};
+            };
+            BarChartPlotter.prototype.isStacked = function () {
+                return this.mode === Chart.BarMode.stacked;
+            };
+            BarChartPlotter.prototype.isHorizontal = function () {
+                return this.mode === Chart.BarMode.horizontal;
             };
             /**
-              * Implementing {@link ITool#resetTool}
+              * Finds the points of every line that have a bar, which are the points in the zoom window with a value. The lines are sampled one by one,
+              * so when the bars are stacked, a shown line also gets a bar in the columns where only the other shown lines have one. Its value there is
+              * read off the line, as the stacked areas do, so that the bars above it start from where they would without sampling.
               */
-            Layouter.prototype.resetTool = function () {
-                this.setWindowResizeListener();
-                this.cachedLayoutElementInstances = {};
-                this.resume();
+            BarChartPlotter.prototype.setBarPoints = function () {
+                var _this = this;
+                this.barPoints = this.bindingData.yData.map(function (line) {
+                    return line.data.filter(function (point) {
+                        return _this.hasBar(point);
+                    });
+                });
+                if (!this.isStacked()) {
+                    return;
+                }
+                var shownLineIds = this.getShownLineIds();
+                var isColumn = {};
+                var columns = [];
+                shownLineIds.forEach(function (lineId) {
+                    _this.barPoints[lineId].forEach(function (point) {
+                        if (!isColumn[point.originalIndex]) {
+                            isColumn[point.originalIndex] = true;
+                            columns.push(point.originalIndex);
+                        }
+                    });
+                });
+                columns.sort(function (a, b) {
+                    return a - b;
+                });
+                shownLineIds.forEach(function (lineId) {
+                    var line = _this.bindingData.yData[lineId];
+                    var pointsByColumn = {};
+                    line.data.forEach(function (point) {
+                        pointsByColumn[point.originalIndex] = point;
+                    });
+                    _this.barPoints[lineId] = columns.map(function (column) {
+                        // A point the line has in the column keeps its value, even if it has no bar because its value is missing
+                        var point = pointsByColumn[column];
+                        if (point) {
+                            return _this.hasBar(point) ? point : null;
+                        }
+                        var value = Chart.HighlightingPlotter.getValueAt(line.data, column);
+                        return (value === 0) ? null : {
+                            originalIndex: column,
+                            unformatted: value,
+                            formatted: line.numberFormat ? line.numberFormat.format(value) : String(value)
+                        };
+                    }).filter(function (point) {
+                        return point !== null;
+                    });
+                });
             };
             /**
-              * Implementing {@link ILayouter#Layout}
+              * Tells whether a point has a bar, which it has if it's in the zoom window and has a value. A missing value the gap mode filled in has no bar.
               */
-            Layouter.prototype.layout = function (data) {
-                this.cachedData = data;
-                this.relayout();
+            BarChartPlotter.prototype.hasBar = function (point) {
+                return !point.isMissing && point.unformatted !== null && isFinite(point.unformatted)
+                    && point.originalIndex >= this.firstColumn && point.originalIndex <= this.lastColumn;
+            };
+            /**
+              * Works out the value every bar starts from when the bars are stacked. The positive values are stacked up from zero and the
+              * negative values down from it, in the order of the series, leaving out the hidden lines.
+              */
+            BarChartPlotter.prototype.stack = function () {
+                var _this = this;
+                this.stackBases = [];
+                if (!this.isStacked()) {
+                    return;
+                }
+                var positiveSums = {};
+                var negativeSums = {};
+                this.bindingData.yData.forEach(function (line, lineId) {
+                    var bases = {};
+                    if (_this.lineDisplay[lineId]) {
+                        _this.getBarPoints(lineId).forEach(function (point) {
+                            var sums = (point.unformatted < 0) ? negativeSums : positiveSums;
+                            var sum = sums[point.originalIndex] ? sums[point.originalIndex] : 0;
+                            bases[point.originalIndex] = sum;
+                            sums[point.originalIndex] = sum + point.unformatted;
+                        });
+                    }
+                    _this.stackBases.push(bases);
+                });
             };
             /**
-              * Implementing {@link ILayoutChangeListener#onLayoutChanged}
+              * Gets the points of a line that have a bar
               */
-            Layouter.prototype.onLayoutChanged = function (layout) {
+            BarChartPlotter.prototype.getBarPoints = function (lineId) {
+                return this.barPoints[lineId];
             };
             /**
-              * Implementing {@link ILayoutChangeListener#onLayoutElementChanged}
+              * Gets the value a bar starts from, which is zero unless the bars are stacked
               */
-            Layouter.prototype.onLayoutElementChanged = function (layoutElement) {
+            BarChartPlotter.prototype.getBarStart = function (lineId, point) {
+                var base = this.stackBases[lineId] ? this.stackBases[lineId][point.originalIndex] : undefined;
+                return (base === undefined) ? 0 : base;
             };
             /**
-              * Implementing {@link ILayoutChangeListener#onLayoutElementInstanceChanged}
+              * Gets the value a bar ends at, where its bubble is drawn
               */
-            Layouter.prototype.onLayoutElementInstanceChanged = function (layoutElement, value) {
-                this.cachedLayoutElementInstances[layoutElement.id] = value;
-                if (!this.isPaused()) {
-                    this.layoutOneElementInstance(layoutElement.id, value);
-                }
+            BarChartPlotter.prototype.getBarEnd = function (lineId, point) {
+                return this.getBarStart(lineId, point) + point.unformatted;
             };
-            Layouter.prototype.relayout = function () {
+            /**
+              * Gets the domain of the value axis, which takes in zero and the ends of all the shown bars
+              */
+            BarChartPlotter.prototype.getValueDomain = function () {
                 var _this = this;
-                var zoomRatioRelativeOrigin = Layouter.getZoomRatioRelativeOrigin();
-                $("body").css("padding", Layouter.bodyOriginPadding);
-                $("body").css("min-width", Math.max(Layouter.bodyOriginMinWidth / zoomRatioRelativeOrigin.widthRatio, Layouter.bodyFinalMinWidth));
-                $("body").css("min-height", Math.max(Layouter.bodyOriginMinHeight / zoomRatioRelativeOrigin.heightRatio, Layouter.bodyFinalMinHeight));
-                $("#float-menu-parent").height(Layouter.floatMenuOriginHeight / zoomRatioRelativeOrigin.heightRatio);
-                this.handleNonContentLengthInHDPI($("body"));
-                this.currentLayout.elements.forEach(function (layoutElement, index, array) {
-                    _this.layoutOneElement(layoutElement);
+                var min = 0;
+                var max = 0;
+                this.getShownLineIds().forEach(function (lineId) {
+                    _this.getBarPoints(lineId).forEach(function (point) {
+                        var end = _this.getBarEnd(lineId, point);
+                        min = Math.min(min, end);
+                        max = Math.max(max, end);
+                    });
                 });
-                for (var elementId in this.cachedLayoutElementInstances) {
-                    this.layoutOneElementInstance(elementId, this.cachedLayoutElementInstances[elementId]);
-                }
-                this.layoutElements.resetLayoutElements();
-                var windowWidth = window.innerWidth ? window.innerWidth : document.body.clientWidth;
-                var windowHeight = window.innerHeight ? window.innerHeight : document.body.clientHeight;
-                $("body").width(windowWidth - this.layoutElements.Body.ElementNonContentWidth);
-                $("body").height(windowHeight - this.layoutElements.Body.ElementNonContentHeight);
-                if (this.firstRelayout) {
-                    this.firstRelayout = false;
-                    this.handleWindowResizeWidth(windowWidth);
-                    this.handleWindowResizeHeight(windowHeight);
-                }
+                return (min === max) ? [0, 1] : [min, max];
             };
-            Layouter.prototype.layoutOneElement = function (layoutElement) {
-                var _this = this;
-                var thisLayouter = this;
-                var parent = d3.select("#" + layoutElement.parentId);
-                if (parent.empty()) {
-                    return;
-                }
-                var element = d3.select("#" + layoutElement.id);
-                if (!element.empty()) {
-                    element.remove();
-                }
-                element = d3.select("#" + layoutElement.parentId).append(layoutElement.element).attr("id", layoutElement.id);
-                if (layoutElement.attributes) {
-                    layoutElement.attributes.forEach(function (attr, index, array) {
-                        element.attr(attr.name, attr.value);
-                    });
-                }
-                if (layoutElement.styles) {
-                    layoutElement.styles.forEach(function (style, index, array) {
-                        element.style(style.name, style.value);
-                    });
-                }
-                if (layoutElement.cssClass) {
-                    element.classed(layoutElement.cssClass, true);
-                }
-                if (layoutElement.element === "textarea") {
-                    element.on("input", function () {
-                        DataViz.mainApp.LayoutInstance.delaySetValueNoNotify($(this)[0].id, $(this)[0].value);
-                        thisLayouter.cachedLayoutElementInstances[$(this)[0].id] = $(this)[0].value;
-                    });
-                    if (layoutElement.forceOneLine) {
-                        element.on("keypress", function () {
-                            if (d3.event.keyCode === 13 || d3.event.keyCode === 10) {
-                                d3.event.preventDefault();
-                                return;
-                            }
-                        });
-                    }
-                }
-                var jqueryElement = $("#" + layoutElement.id); //For using the jquery.ui api: resizable.
-                var zoomRatioRelativeOrigin = Layouter.getZoomRatioRelativeOrigin();
-                var zoomRatioRelativeLast = Layouter.getZoomRatioRelativeLast();
-                jqueryElement.css("min-width", Math.floor(parseInt(jqueryElement.css("min-width")) / zoomRatioRelativeOrigin.widthRatio));
-                var width = DataViz.mainApp.Configuration.get(jqueryElement.attr("id") + "-width");
-                if (width !== undefined && width !== null) {
-                    jqueryElement.css("width", width);
-                }
-                var height = DataViz.mainApp.Configuration.get(jqueryElement.attr("id") + "-height");
-                if (height !== undefined && height !== null) {
-                    jqueryElement.css("height", height);
-                }
-                if (layoutElement.resizable) {
-                    jqueryElement.resizable({
-                        handles: "e",
-                        autoHide: true,
-                        grid: [Layouter.xGrid, Layouter.yGrid],
-                        resize: function (e, ui) {
-                            var elementId = ui.element[0].id;
-                            var elementWidth = ui.size.width;
-                            var elementOriginWidth = ui.originalSize.width;
-                            $("#line-chart").focus();
-                            switch (elementId) {
-                                case "title-parent":
-                                    _this.onElementResize(_this.layoutElements.TitleParent, elementWidth, elementOriginWidth, _this.layoutElements.LineChart, _this.layoutElements.Legend);
-                                    DataViz.mainApp.CurrentSKU.Plotter.delayPlot(DataViz.mainApp.CurrentSKU.Visualizer.CachedData);
-                                    break;
-                                case "line-chart":
-                                    _this.onElementResize(_this.layoutElements.LineChart, elementWidth, elementOriginWidth, _this.layoutElements.Legend, _this.layoutElements.TitleParent);
-                                    DataViz.mainApp.CurrentSKU.Plotter.delayPlot(DataViz.mainApp.CurrentSKU.Visualizer.CachedData);
-                                    break;
-                                case "shortdes1-group":
-                                    _this.onElementResize(_this.layoutElements.Shortdes1Group, elementWidth, elementOriginWidth, _this.layoutElements.LongdesGroup, null);
-                                    break;
-                                default:
-                                    break;
-                            }
-                        }
-                    });
-                }
-                this.handleNonContentLengthInHDPI(jqueryElement);
-                if (layoutElement.element === "textarea") {
-                    jqueryElement.css("font-size", parseInt(jqueryElement.css("font-size")) / zoomRatioRelativeOrigin.heightRatio + "px");
-                }
-                else {
-                    var jqueryElementWidth = Math.floor(jqueryElement.width() / zoomRatioRelativeLast.widthRatio);
-                    jqueryElement.width(jqueryElementWidth);
-                    if (!DataViz.mainApp.Configuration.get(jqueryElement.attr("id") + "-width")) {
-                        DataViz.mainApp.Configuration.delaySet(jqueryElement.attr("id") + "-width", jqueryElementWidth);
-                    }
-                }
-                if (jqueryElement.attr("id") !== "title") {
-                    jqueryElement.height(Math.floor(jqueryElement.height() / zoomRatioRelativeOrigin.heightRatio));
+            BarChartPlotter.prototype.getColumns = function () {
+                var columns = [];
+                for (var column = this.firstColumn; column <= this.lastColumn; column++) {
+                    columns.push(column);
                 }
+                return columns;
             };
-            Layouter.prototype.handleNonContentLengthInHDPI = function (jqueryElement) {
-                var ratio = Layouter.getZoomRatioRelativeOrigin();
-                jqueryElement.css("padding-left", Math.floor(parseInt(jqueryElement.css("padding-left")) / ratio.widthRatio));
-                jqueryElement.css("padding-right", Math.floor(parseInt(jqueryElement.css("padding-right")) / ratio.widthRatio));
-                jqueryElement.css("padding-top", Math.floor(parseInt(jqueryElement.css("padding-top")) / ratio.heightRatio));
-                jqueryElement.css("padding-bottom", Math.floor(parseInt(jqueryElement.css("padding-bottom")) / ratio.heightRatio));
-                jqueryElement.css("margin-left", Math.floor(parseInt(jqueryElement.css("margin-left")) / ratio.widthRatio));
-                jqueryElement.css("margin-right", Math.floor(parseInt(jqueryElement.css("margin-right")) / ratio.widthRatio));
-                jqueryElement.css("margin-top", Math.floor(parseInt(jqueryElement.css("margin-top")) / ratio.heightRatio));
-                jqueryElement.css("margin-bottom", Math.floor(parseInt(jqueryElement.css("margin-bottom")) / ratio.heightRatio));
-            };
-            Layouter.prototype.layoutOneElementInstance = function (layoutElementId, value) {
-                var element = d3.select("#" + layoutElementId);
-                if (element.empty()) {
-                    return;
-                }
-                if ((value !== null) && (value !== undefined)) {
-                    element.text(value);
-                }
+            /**
+              * Gets the format of the value labels, which is the format the shown lines have in common
+              */
+            BarChartPlotter.prototype.getAxisFormat = function () {
+                var _this = this;
+                return Trends.Data.NumberFormat.combine(this.getShownLineIds().map(function (lineId) {
+                    return _this.bindingData.yData[lineId].numberFormat;
+                }));
             };
-            Layouter.prototype.onElementResize = function (element, elementWidth, elementOriginWidth, peerElement1, peerElement2) {
-                if (!this.layoutElements.Body || !element || !peerElement1) {
-                    return;
-                }
-                var bodyWidthNoPadding = this.layoutElements.Body.Element.width() - Layouter.deviationWidth;
-                var ElementMinWidth = element.ElementMinWidth;
-                var peerElement1MinWidth = peerElement1.ElementMinWidth;
-                var peerElement2Width = peerElement2 ? peerElement2.Element.outerWidth() : 0;
-                elementWidth += element.ElementNonContentWidth + element.getBorderWidth();
-                elementOriginWidth += element.ElementNonContentWidth + element.getBorderWidth();
-                if (elementWidth > elementOriginWidth) {
-                    var maxWidth = bodyWidthNoPadding - peerElement1MinWidth - peerElement2Width;
-                    elementWidth = (elementWidth < maxWidth) ? elementWidth : maxWidth;
+            /**
+              * Overriding {@link HighlightingPlotter#draw}
+              */
+            BarChartPlotter.prototype.draw = function () {
+                var _this = this;
+                this.barChart = this.appendChart(this.chartWidth, this.chartHeight);
+                var top = BarChartPlotter.marginTop / this.zoomRatio.heightRatio;
+                var bottom = this.chartHeight - BarChartPlotter.marginBottom / this.zoomRatio.heightRatio;
+                var right = this.chartWidth - BarChartPlotter.marginRight / this.zoomRatio.widthRatio;
+                var tickNumber = (this.yAxisOptions.tickNumber > 0) ? Math.floor(this.yAxisOptions.tickNumber) : BarChartPlotter.defaultValueTickNumber;
+                this.valueAxis = d3.scale.linear().domain(this.getValueDomain()).nice(tickNumber);
+                var valueTicks = this.valueAxis.ticks(tickNumber);
+                var valueLabels = this.getAxisFormat().formatTicks(valueTicks, this.isCompact);
+                var padding = BarChartPlotter.categoryLabelPadding / this.zoomRatio.widthRatio;
+                var left;
+                if (this.isHorizontal()) {
+                    this.categoryAxis = d3.scale.ordinal().domain(this.getColumns()).rangeBands([top, bottom], BarChartPlotter.bandPadding);
+                    left = this.drawCategoryLabels() + padding;
+                    this.valueAxis.range([left, right]);
+                    this.drawValueLabelsAndTicks(valueTicks, valueLabels, [top, bottom]);
                 }
                 else {
-                    if (elementOriginWidth === ElementMinWidth) {
-                        return;
-                    }
-                    elementWidth = (elementWidth > ElementMinWidth) ? elementWidth : ElementMinWidth;
-                }
-                var actualPeerElement1Width = bodyWidthNoPadding - elementWidth - peerElement2Width;
-                this.setWidth(peerElement1, actualPeerElement1Width);
-                this.setWidth(element, elementWidth);
+                    this.valueAxis.range([bottom, top]);
+                    left = this.drawValueLabelsAndTicks(valueTicks, valueLabels, [0, this.chartWidth]) + padding;
+                    this.categoryAxis = d3.scale.ordinal().domain(this.getColumns()).rangeBands([left, right], BarChartPlotter.bandPadding);
+                    this.drawCategoryLabels();
+                }
+                var shownLineIds = this.getShownLineIds();
+                this.groupAxis = d3.scale.ordinal().domain(this.isStacked() ? [0] : shownLineIds).rangeBands([0, this.categoryAxis.rangeBand()]);
+                this.drawBands();
+                this.drawLineLegend();
+                shownLineIds.forEach(function (lineId) {
+                    _this.drawBars(lineId);
+                });
+                this.drawBaseline();
+                $("#zoom-reset-button").toggle(this.isZoomed());
             };
-            Layouter.prototype.setWindowResizeListener = function () {
+            /**
+              * Draws the labels of the value axis with a dashed grid line at each of them. The labels of a column chart are on the left,
+              * above their grid lines, and the labels of a bar chart are at the bottom.
+              * @param {number[]} ticks The values of the labels
+              * @param {string[]} labels The labels
+              * @param {number[]} gridRange Where the grid lines start and end
+              * @returns {number} The width of the widest label
+              */
+            BarChartPlotter.prototype.drawValueLabelsAndTicks = function (ticks, labels, gridRange) {
                 var _this = this;
-                var timer;
-                var delayTime = 100;
-                var resizeHandler = function (e) {
-                    if (e.target === window) {
-                        if (timer) {
-                            clearTimeout(timer);
-                        }
-                        timer = setTimeout(function () {
-                            var windowWidth = window.innerWidth ? window.innerWidth : document.body.clientWidth;
-                            var windowHeight = window.innerHeight ? window.innerHeight : document.body.clientHeight;
-                            _this.relayout();
-                            _this.handleWindowResizeWidth(windowWidth);
-                            _this.handleWindowResizeHeight(windowHeight);
-                            _this.layoutElements.resetLayoutElements();
-                            DataViz.mainApp.CurrentSKU.Plotter.delayPlot(DataViz.mainApp.CurrentSKU.Visualizer.CachedData, 50);
-                            DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.windowWidth, windowWidth);
-                            DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.windowHeight, windowHeight);
-                        }, delayTime);
-                    }
-                };
-                $(window).off("resize", resizeHandler);
-                $(window).on("resize", resizeHandler);
+                var isHorizontal = this.isHorizontal();
+                var fontSize = (isHorizontal ? BarChartPlotter.categoryLabelFontSize : BarChartPlotter.valueLabelFontSize) / this.zoomRatio.heightRatio;
+                var valueLabels = this.barChart.selectAll(".valueLabel")
+                    .data(ticks)
+                    .enter()
+                    .append("svg:text")
+                    .attr("class", isHorizontal ? "layout-chart-x-label theme-chart-label" : "layout-chart-y-label theme-chart-label")
+                    .attr("x", function (data) {
+                    return isHorizontal ? _this.valueAxis(data) : 0;
+                })
+                    .attr("y", function (data) {
+                    return isHorizontal ? _this.chartHeight - fontSize / 2 : _this.valueAxis(data) - 6;
+                }) //"6" is the padding bottom from the ticks.
+                    .style("font-size", fontSize + "px")
+                    .text(function (data, index) {
+                    return labels[index];
+                });
+                this.barChart.selectAll(".valueTicks")
+                    .data(ticks)
+                    .enter()
+                    .append("svg:line")
+                    .attr("class", "theme-chart-ticks")
+                    .attr("x1", function (data) {
+                    return isHorizontal ? _this.valueAxis(data) : gridRange[0];
+                })
+                    .attr("y1", function (data) {
+                    return isHorizontal ? gridRange[0] : _this.valueAxis(data);
+                })
+                    .attr("x2", function (data) {
+                    return isHorizontal ? _this.valueAxis(data) : gridRange[1];
+                })
+                    .attr("y2", function (data) {
+                    return isHorizontal ? gridRange[1] : _this.valueAxis(data);
+                })
+                    .style("stroke-dasharray", ("5, 3")); //"5" is the dash width and "3" is the width between two dash.
+                return Chart.HighlightingPlotter.getMaxWidth(valueLabels);
             };
-            Layouter.prototype.handleWindowResizeWidth = function (windowWidth) {
-                var drawAreaWidth = (windowWidth > this.layoutElements.Body.ElementMinWidth) ? windowWidth - Layouter.deviationWidth : this.layoutElements.Body.ElementMinWidth;
-                var drawAreaContentWidth = drawAreaWidth - this.layoutElements.Body.ElementNonContentWidth;
-                var lineChart = this.layoutElements.LineChart;
-                var titleParent = this.layoutElements.TitleParent;
-                var legend = this.layoutElements.Legend;
-                this.setWidth(this.layoutElements.FirstRowContainer, drawAreaContentWidth);
-                this.setWidth(this.layoutElements.SecondRowContainer, drawAreaContentWidth);
-                var lineChartWidth = drawAreaContentWidth - titleParent.Element.outerWidth() - legend.Element.outerWidth();
-                lineChartWidth = (lineChartWidth > lineChart.ElementMinWidth) ? lineChartWidth : lineChart.ElementMinWidth;
-                this.setWidth(lineChart, lineChartWidth);
-                var legendWidth = drawAreaContentWidth - titleParent.Element.outerWidth() - lineChartWidth;
-                legendWidth = (legendWidth > legend.ElementMinWidth) ? legendWidth : legend.ElementMinWidth;
-                this.setWidth(legend, legendWidth);
-                var titleWidth = drawAreaContentWidth - lineChartWidth - legendWidth;
-                titleWidth = (titleWidth > titleParent.ElementMinWidth) ? titleWidth : titleParent.ElementMinWidth;
-                this.setWidth(titleParent, titleWidth);
-                var shortdes1WidthOrigin = this.layoutElements.Shortdes1Group.Element.outerWidth();
-                var longdesWidthOrigin = this.layoutElements.LongdesGroup.Element.outerWidth();
-                var originWidth = shortdes1WidthOrigin + longdesWidthOrigin;
-                this.setWidth(this.layoutElements.Shortdes1Group, Math.floor(shortdes1WidthOrigin * drawAreaContentWidth / originWidth));
-                this.setWidth(this.layoutElements.LongdesGroup, Math.floor(longdesWidthOrigin * drawAreaContentWidth / originWidth));
+            /**
+              * Draws the x labels under the columns of a column chart, or on the left of the bars of a bar chart. When there isn't room
+              * for all of them, only every few labels are kept.
+              * @returns {number} The width of the widest label
+              */
+            BarChartPlotter.prototype.drawCategoryLabels = function () {
+                var _this = this;
+                var isHorizontal = this.isHorizontal();
+                var fontSize = BarChartPlotter.categoryLabelFontSize / this.zoomRatio.heightRatio;
+                var columns = this.getColumns();
+                var categoryLabels = this.barChart.append("svg:g")
+                    .attr("id", "x-label-group")
+                    .selectAll(".xLabels")
+                    .data(columns)
+                    .enter()
+                    .append("svg:text")
+                    .attr("id", function (column) {
+                    return "x-label" + column;
+                })
+                    .attr("class", isHorizontal ? "layout-chart-y-label theme-chart-label" : "layout-chart-x-label theme-chart-label")
+                    .attr("x", function (column) {
+                    return isHorizontal ? 0 : _this.categoryAxis(column) + _this.categoryAxis.rangeBand() / 2;
+                })
+                    .attr("y", function (column) {
+                    return isHorizontal ? _this.categoryAxis(column) + _this.categoryAxis.rangeBand() / 2 : _this.chartHeight - fontSize / 2;
+                })
+                    .attr("dy", isHorizontal ? ".36em" : 0)
+                    .style("font-size", fontSize + "px")
+                    .text(function (column) {
+                    return _this.bindingData.xData[column];
+                });
+                var maxWidth = Chart.HighlightingPlotter.getMaxWidth(categoryLabels);
+                var labelLength = (isHorizontal ? fontSize : maxWidth) + BarChartPlotter.categoryLabelPadding / this.zoomRatio.widthRatio;
+                var step = (columns.length > 1) ? Math.abs(this.categoryAxis(columns[1]) - this.categoryAxis(columns[0])) : labelLength;
+                var labelStep = Math.max(Math.ceil(labelLength / step), 1);
+                categoryLabels.filter(function (column, index) {
+                    return index % labelStep !== 0;
+                }).remove();
+                return maxWidth;
+            };
+            /**
+              * Draws the line at zero that the bars stand on
+              */
+            BarChartPlotter.prototype.drawBaseline = function () {
+                var zero = this.valueAxis(0);
+                var categoryRange = this.categoryAxis.rangeExtent();
+                this.barChart.append("svg:line")
+                    .attr("class", "theme-chart-ticks")
+                    .attr("x1", this.isHorizontal() ? zero : categoryRange[0])
+                    .attr("y1", this.isHorizontal() ? categoryRange[0] : zero)
+                    .attr("x2", this.isHorizontal() ? zero : categoryRange[1])
+                    .attr("y2", this.isHorizontal() ? categoryRange[1] : zero);
+            };
+            /**
+              * Draws a band behind every other column, which the theme colors so that the columns of the x values can be told apart
+              */
+            BarChartPlotter.prototype.drawBands = function () {
+                var _this = this;
+                var isHorizontal = this.isHorizontal();
+                var step = this.categoryAxis.rangeBand() / (1 - BarChartPlotter.bandPadding);
+                var valueRange = this.valueAxis.range();
+                var valueStart = Math.min(valueRange[0], valueRange[1]);
+                var valueLength = Math.abs(valueRange[1] - valueRange[0]);
+                this.barChart.append("svg:g")
+                    .attr("id", "band-group")
+                    .selectAll(".band")
+                    .data(this.getColumns().filter(function (column, index) {
+                    return index % 2 === 0;
+                }))
+                    .enter()
+                    .append("svg:rect")
+                    .attr("class", "theme-chart-band")
+                    .attr("x", function (column) {
+                    return isHorizontal ? valueStart : _this.categoryAxis(column) - (step - _this.categoryAxis.rangeBand()) / 2;
+                })
+                    .attr("y", function (column) {
+                    return isHorizontal ? _this.categoryAxis(column) - (step - _this.categoryAxis.rangeBand()) / 2 : valueStart;
+                })
+                    .attr("width", isHorizontal ? valueLength : step)
+                    .attr("height", isHorizontal ? step : valueLength);
             };
-            Layouter.prototype.handleWindowResizeHeight = function (windowHeight) {
-                var drawAreaHeight = (windowHeight > this.layoutElements.Body.ElementMinHeight) ? (windowHeight - Layouter.deviationWidth) : this.layoutElements.Body.ElementMinHeight;
-                var firstRowContainerHeight = drawAreaHeight - this.layoutElements.Body.ElementNonContentHeight - this.layoutElements.FloatMenuParent.ElementFixedHeight
-                    - this.layoutElements.SecondRowContainer.ElementFixedHeight - this.layoutElements.FirstRowContainer.ElementNonContentHeight
-                    - this.layoutElements.FirstRowContainer.getBorderHeight();
-                this.setHeight(this.layoutElements.FirstRowContainer, firstRowContainerHeight);
-                this.setHeight(this.layoutElements.LineChart, firstRowContainerHeight);
-                this.setHeight(this.layoutElements.TitleParent, firstRowContainerHeight);
-                this.setHeight(this.layoutElements.Legend, firstRowContainerHeight);
+            BarChartPlotter.prototype.drawBars = function (lineId) {
+                var _this = this;
+                var isHorizontal = this.isHorizontal();
+                var lineGroup = this.barChart.append("svg:g").attr("id", "line-group" + lineId);
+                var barWidth = this.groupAxis.rangeBand();
+                var barOffset = this.groupAxis(this.isStacked() ? 0 : lineId);
+                var getBarEdges = function (point) {
+                    var start = _this.valueAxis(_this.getBarStart(lineId, point));
+                    var end = _this.valueAxis(_this.getBarEnd(lineId, point));
+                    return [Math.min(start, end), Math.max(start, end)];
+                };
+                lineGroup.selectAll(".bar")
+                    .data(this.getBarPoints(lineId))
+                    .enter()
+                    .append("svg:rect")
+                    .attr("id", function (point) {
+                    return "bar" + "line" + lineId + "column" + point.originalIndex + "end";
+                })
+                    .attr("class", "layout-chart-bar theme-chart-bar")
+                    .style("fill", this.getLineColor(lineId))
+                    .attr("x", function (point) {
+                    return isHorizontal ? getBarEdges(point)[0] : _this.categoryAxis(point.originalIndex) + barOffset;
+                })
+                    .attr("y", function (point) {
+                    return isHorizontal ? _this.categoryAxis(point.originalIndex) + barOffset : getBarEdges(point)[0];
+                })
+                    .attr("width", function (point) {
+                    return isHorizontal ? getBarEdges(point)[1] - getBarEdges(point)[0] : barWidth;
+                })
+                    .attr("height", function (point) {
+                    return isHorizontal ? barWidth : getBarEdges(point)[1] - getBarEdges(point)[0];
+                })
+                    .on("click", function (point) {
+                    _this.addPointHighlight(lineId, point.originalIndex, function () {
+                        _this.drawBarBubble(lineId, point, true, true);
+                    });
+                })
+                    .append("svg:title")
+                    .text(function (point) {
+                    return _this.lineTitleArray[lineId] + ": " + _this.getPointText(lineId, point);
+                });
+                var barPoints = this.getBarPoints(lineId);
+                var isHighlighted = this.getHighlightedColumns(lineId);
+                // The bars the highlight rules pick are found again whenever the data changes, so their bubbles can't be clicked away
+                var ruleHighlights = this.bindingData.yData[lineId].ruleHighlights;
+                ruleHighlights = ruleHighlights ? ruleHighlights : [];
+                barPoints.forEach(function (point) {
+                    if (isHighlighted[point.originalIndex]) {
+                        _this.drawBarBubble(lineId, point, false, true);
+                    }
+                    else if (ruleHighlights.indexOf(point.originalIndex) > -1) {
+                        _this.drawBarBubble(lineId, point, false, false);
+                    }
+                });
             };
-            Layouter.prototype.setWidth = function (layoutElement, width) {
-                var contentWidth = Math.floor(width - layoutElement.ElementNonContentWidth - layoutElement.getBorderWidth());
-                layoutElement.Element.width(contentWidth);
-                DataViz.mainApp.Configuration.delaySet(layoutElement.Element.attr("id") + "-width", contentWidth);
+            /**
+              * Draws the bubble with the value of a bar at its end, as the line chart draws it at a point
+              * @param {number} lineId The id of the line of the bar
+              * @param {PointDataOnLine} point The point of the bar
+              * @param {boolean} beAnimated Whether the bubble grows in
+              * @param {boolean} isRemovable Whether a click on the bubble removes the highlight
+              */
+            BarChartPlotter.prototype.drawBarBubble = function (lineId, point, beAnimated, isRemovable) {
+                var categoryPosition = this.categoryAxis(point.originalIndex) + this.groupAxis(this.isStacked() ? 0 : lineId) + this.groupAxis.rangeBand() / 2;
+                var valuePosition = this.valueAxis(this.getBarEnd(lineId, point));
+                var position = this.isHorizontal() ? [valuePosition, categoryPosition] : [categoryPosition, valuePosition];
+                this.drawBubble(d3.select("#line-group" + lineId), lineId, point, position, beAnimated, isRemovable);
+            };
+            BarChartPlotter.bandPadding = 0.2;
+            BarChartPlotter.marginTop = 40;
+            BarChartPlotter.marginRight = 40;
+            BarChartPlotter.marginBottom = 45;
+            BarChartPlotter.valueLabelFontSize = 18;
+            BarChartPlotter.categoryLabelFontSize = 10;
+            BarChartPlotter.categoryLabelPadding = 6;
+            BarChartPlotter.defaultValueTickNumber = 5;
+            return BarChartPlotter;
+        }(Chart.HighlightingPlotter));
+        Chart.BarChartPlotter = BarChartPlotter;
+        /**
+          * The plotter of the stacked column chart
+          */
+        var StackedBarChartPlotter = (function (_super) {
+            __extends(StackedBarChartPlotter, _super);
+            function StackedBarChartPlotter() {
+                _super.call(this, Chart.BarMode.stacked);
+            }
+            return StackedBarChartPlotter;
+        }(BarChartPlotter));
+        Chart.StackedBarChartPlotter = StackedBarChartPlotter;
+        /**
+          * The plotter of the bar chart, which lays the grouped columns on their side
+          */
+        var HorizontalBarChartPlotter = (function (_super) {
+            __extends(HorizontalBarChartPlotter, _super);
+            function HorizontalBarChartPlotter() {
+                _super.call(this, Chart.BarMode.horizontal);
+            }
+            return HorizontalBarChartPlotter;
+        }(BarChartPlotter));
+        Chart.HorizontalBarChartPlotter = HorizontalBarChartPlotter;
+    })(Chart = Trends.Chart || (Trends.Chart = {}));
+})(Trends || (Trends = {}));
+/* **************************************************************************************
+Copyright (c) Microsoft Open Technologies, Inc. All rights reserved. Licensed under the Apache License, Version 2.0.
+See License.txt in the project root for license information.
+***************************************************************************************** */
+///<reference path="shared/data.ts"/>
+///<reference path="shared/config.ts"/>
+///<reference path="data.convertor.agave.ts"/>
+///<reference path="configurator.agave.ts"/>
+/**
+  * This module contains the implementation of the Trends specific data sampler
+  */
+var Trends;
+(function (Trends) {
+    var Data;
+    (function (Data) {
+        "use strict";
+        /**
+          * This is the specific data sampler implementation of the app. It reduces each line to the points picked by the
+          * largest-triangle-three-buckets (LTTB) algorithm, so that a line never has more points than the chart has pixels across
+          * while it keeps the visual shape of the full data.
+          */
+        var DataSampler = (function () {
+            function DataSampler() {
+                this.startColumn = null;
+                this.endColumn = null;
+                this.pointHighlights = [];
+                this.annotations = [];
+            }
+            /**
+              * Implementing {@link ITool#resetTool}
+              */
+            DataSampler.prototype.resetTool = function () {
+                this.startColumn = null;
+                this.endColumn = null;
             };
-            Layouter.prototype.setHeight = function (layoutElement, height) {
-                var zoomRatioRelativeOrigin = Layouter.getZoomRatioRelativeOrigin();
-                var element = layoutElement.Element;
-                element.height(height);
-                DataViz.mainApp.Configuration.delaySet(element.attr("id") + "-height", height * zoomRatioRelativeOrigin.heightRatio);
+            /**
+              * Limits the sampling to a range of columns, for example when the user zooms into a part of the chart.
+              * The range is sampled from the full data, so zooming in brings back the points that sampling the whole chart left out.
+              * @param {number} startColumn The first column of the range, or null to sample all the columns
+              * @param {number} endColumn The last column of the range, or null to sample all the columns
+              */
+            DataSampler.prototype.setColumnRange = function (startColumn, endColumn) {
+                this.startColumn = startColumn;
+                this.endColumn = endColumn;
             };
-            Layouter.originWindowWidth = 840;
-            Layouter.originWindowHeight = 435;
-            Layouter.bodyOriginPadding = "0px 20px 10px 20px";
-            Layouter.bodyOriginMinWidth = 500;
-            Layouter.bodyOriginMinHeight = 290;
-            Layouter.bodyFinalMinWidth = 320;
-            Layouter.bodyFinalMinHeight = 200;
-            Layouter.floatMenuOriginHeight = 35;
-            Layouter.xGrid = 5;
-            Layouter.yGrid = 5;
-            Layouter.deviationWidth = 3;
-            return Layouter;
-        }(DataViz.Tools.Pausable));
-        Chart.Layouter = Layouter;
-        var ElementWithFixedProperties = (function () {
-            function ElementWithFixedProperties(elementId, isHeightFixed) {
-                this.element = $("#" + elementId);
-                this.elementNonContentWidth = this.getElementNonContentWidth(this.element);
-                this.elementMinWidth = parseInt(this.element.css("min-width")) + this.elementNonContentWidth + this.getBorderWidth();
-                if (!isHeightFixed) {
-                    this.elementNonContentHeight = this.getElementNonContentHeight(this.element);
-                    this.elementMinHeight = parseInt(this.element.css("min-height")) + this.elementNonContentHeight + this.getBorderHeight();
-                }
-                else {
-                    this.elementFixedHeight = this.element.outerHeight();
+            /**
+              * Implementing {@link IDataSampler#sample}
+              * @param {BindingData} data The converted data
+              * @returns {BindingData} The data with the lines sampled down to the width of the chart
+              */
+            DataSampler.prototype.sample = function (data) {
+                if (!data || !data.yData) {
+                    return data;
+                }
+                var threshold = Math.max(Math.floor($("#line-chart").width()) || 0, DataSampler.minPointNumber);
+                var sampledData = { header: data.header, xData: data.xData, xDates: data.xDates, yData: [] };
+                for (var lineId = 0; lineId < data.yData.length; lineId++) {
+                    var points = this.getPointsInRange(data.yData[lineId].data);
+                    if (points.length > threshold) {
+                        var sampled = this.largestTriangleThreeBuckets(points, threshold, data.xDates);
+                        // The highlighted points and the points with notes are added back, so that their bubbles and notes are still drawn
+                        sampled = this.keepSavedPoints(data, lineId, this.pointHighlights, sampled, points);
+                        sampled = this.keepSavedPoints(data, lineId, this.annotations, sampled, points);
+                        sampled = this.keepRuleHighlights(data.yData[lineId].ruleHighlights, sampled, points);
+                        points = this.keepGapEdges(sampled, points);
+                    }
+                    sampledData.yData.push({
+                        validDataCount: points.length,
+                        data: points,
+                        trendline: data.yData[lineId].trendline,
+                        ruleHighlights: data.yData[lineId].ruleHighlights,
+                        numberFormat: data.yData[lineId].numberFormat
+                    });
                 }
-            }
-            Object.defineProperty(ElementWithFixedProperties.prototype, "Element", {
-                get: function () {
-                    return this.element;
-                },
-                enumerable: true,
-                configurable: true
-            });
-            Object.defineProperty(ElementWithFixedProperties.prototype, "ElementNonContentWidth", {
-                get: function () {
-                    return this.elementNonContentWidth;
-                },
-                enumerable: true,
-                configurable: true
-            });
-            Object.defineProperty(ElementWithFixedProperties.prototype, "ElementMinWidth", {
-                get: function () {
-                    return this.elementMinWidth;
-                },
-                enumerable: true,
-                configurable: true
-            });
-            Object.defineProperty(ElementWithFixedProperties.prototype, "ElementNonContentHeight", {
-                get: function () {
-                    return this.elementNonContentHeight;
-                },
-                enumerable: true,
-                configurable: true
-            });
-            Object.defineProperty(ElementWithFixedProperties.prototype, "ElementMinHeight", {
-                get: function () {
-                    return this.elementMinHeight;
-                },
-                enumerable: true,
-                configurable: true
-            });
-            Object.defineProperty(ElementWithFixedProperties.prototype, "ElementFixedHeight", {
-                get: function () {
-                    return this.elementFixedHeight;
-                },
-                enumerable: true,
-                configurable: true
-            });
-            ElementWithFixedProperties.prototype.getBorderWidth = function () {
-                return Math.ceil(parseFloat(this.element.css("border-left-width")) + parseFloat(this.element.css("border-right-width")));
+                return sampledData;
             };
-            ElementWithFixedProperties.prototype.getBorderHeight = function () {
-                return Math.ceil(parseFloat(this.element.css("border-top-width")) + parseFloat(this.element.css("border-bottom-width")));
+            /**
+              * Implementing {@link IConfigurationChangeListener#onConfigurationChanged}
+              */
+            DataSampler.prototype.onConfigurationChanged = function (key, value) {
+                if (key === DataViz.Config.Trends.wellKnownKeys.pointHighlights) {
+                    this.pointHighlights = value ? value : [];
+                }
+                else if (key === DataViz.Config.Trends.wellKnownKeys.xWindow) {
+                    var xWindow = value;
+                    this.setColumnRange(xWindow ? xWindow.start : null, xWindow ? xWindow.end : null);
+                }
+                else if (key === DataViz.Config.Trends.wellKnownKeys.annotations) {
+                    this.annotations = value ? value : [];
+                }
             };
-            ElementWithFixedProperties.prototype.getElementNonContentWidth = function (element) {
-                return parseInt(element.css("padding-left")) + parseInt(element.css("padding-right")) + parseInt(element.css("margin-left")) + parseInt(element.css("margin-right"));
+            /**
+              * Gets the points inside the column range, plus the nearest point on each side so that the line runs to the edges of the chart
+              */
+            DataSampler.prototype.getPointsInRange = function (points) {
+                if (this.startColumn === null || this.endColumn === null) {
+                    return points;
+                }
+                var first = 0;
+                while (first < points.length - 1 && points[first + 1].originalIndex <= this.startColumn) {
+                    first++;
+                }
+                var last = points.length - 1;
+                while (last > 0 && points[last - 1].originalIndex >= this.endColumn) {
+                    last--;
+                }
+                return points.slice(first, last + 1);
             };
-            ElementWithFixedProperties.prototype.getElementNonContentHeight = function (element) {
-                return parseInt(element.css("padding-top")) + parseInt(element.css("padding-bottom")) + parseInt(element.css("margin-top")) + parseInt(element.css("margin-bottom"));
+            /**
+              * Picks the points of a line with the largest-triangle-three-buckets algorithm. The first and the last points are always kept,
+              * the rest are split into buckets and from each bucket the point that forms the largest triangle with the previously picked point
+              * and the average of the next bucket is picked.
+              * @param {PointDataOnLine[]} points The points of a line
+              * @param {number} threshold The number of points to pick
+              * @param {Date[]} xDates The dates of the x values, or null if the columns are evenly spaced
+              * @returns {PointDataOnLine[]} The picked points
+              */
+            DataSampler.prototype.largestTriangleThreeBuckets = function (points, threshold, xDates) {
+                var getX = function (point) {
+                    return xDates ? xDates[point.originalIndex].getTime() : point.originalIndex;
+                };
+                var sampled = [points[0]];
+                var bucketSize = (points.length - 2) / (threshold - 2);
+                var previous = 0;
+                for (var i = 0; i < threshold - 2; i++) {
+                    var nextBucketStart = Math.floor((i + 1) * bucketSize) + 1;
+                    var nextBucketEnd = Math.min(Math.floor((i + 2) * bucketSize) + 1, points.length);
+                    var averageX = 0;
+                    var averageY = 0;
+                    for (var j = nextBucketStart; j < nextBucketEnd; j++) {
+                        averageX += getX(points[j]);
+                        averageY += points[j].unformatted;
+                    }
+                    averageX /= (nextBucketEnd - nextBucketStart);
+                    averageY /= (nextBucketEnd - nextBucketStart);
+                    var previousX = getX(points[previous]);
+                    var previousY = points[previous].unformatted;
+                    var maxArea = -1;
+                    var picked = nextBucketStart - 1;
+                    for (var j = Math.floor(i * bucketSize) + 1; j < nextBucketStart; j++) {
+                        var area = Math.abs((previousX - averageX) * (points[j].unformatted - previousY) - (previousX - getX(points[j])) * (averageY - previousY));
+                        if (area > maxArea) {
+                            maxArea = area;
+                            picked = j;
+                        }
+                    }
+                    sampled.push(points[picked]);
+                    previous = picked;
+                }
+                sampled.push(points[points.length - 1]);
+                return sampled;
             };
-            return ElementWithFixedProperties;
-        }());
-        Chart.ElementWithFixedProperties = ElementWithFixedProperties;
-        var LayoutElements = (function () {
-            function LayoutElements() {
-                this.body = null;
-                this.floatMenuParent = null;
-                this.firstRowContainer = null;
-                this.secondRowContainer = null;
-                this.titleParent = null;
-                this.lineChart = null;
-                this.legend = null;
-                this.shortdes1Group = null;
-                this.longdesGroup = null;
-            }
-            LayoutElements.prototype.resetLayoutElements = function () {
-                this.body = new ElementWithFixedProperties("background", false);
-                this.floatMenuParent = new ElementWithFixedProperties("float-menu-parent", true);
-                this.firstRowContainer = new ElementWithFixedProperties("first-row-container", false);
-                this.secondRowContainer = new ElementWithFixedProperties("second-row-container", true);
-                this.titleParent = new ElementWithFixedProperties("title-parent", false);
-                this.lineChart = new ElementWithFixedProperties("line-chart", false);
-                this.legend = new ElementWithFixedProperties("legend", false);
-                this.shortdes1Group = new ElementWithFixedProperties("shortdes1-group", true);
-                this.longdesGroup = new ElementWithFixedProperties("longdes-group", true);
+            /**
+              * Adds back the points saved by series name and x label, such as the highlighted points and the points with notes
+              */
+            DataSampler.prototype.keepSavedPoints = function (data, lineId, savedPoints, sampled, points) {
+                var seriesName = Data.DataConvertor.getSeriesName(data, lineId);
+                var xLabels = savedPoints.filter(function (savedPoint) {
+                    return savedPoint.seriesName === seriesName;
+                }).map(function (savedPoint) {
+                    return savedPoint.xLabel;
+                });
+                if (xLabels.length === 0) {
+                    return sampled;
+                }
+                var saved = points.filter(function (point) {
+                    return xLabels.indexOf(data.xData[point.originalIndex]) > -1 && sampled.indexOf(point) === -1;
+                });
+                return sampled.concat(saved).sort(function (a, b) {
+                    return a.originalIndex - b.originalIndex;
+                });
             };
-            Object.defineProperty(LayoutElements.prototype, "Body", {
-                get: function () {
-                    return this.body;
-                },
-                enumerable: true,
-                configurable: true
-            });
-            Object.defineProperty(LayoutElements.prototype, "FloatMenuParent", {
-                get: function () {
-                    return this.floatMenuParent;
-                },
-                enumerable: true,
-                configurable: true
-            });
-            Object.defineProperty(LayoutElements.prototype, "FirstRowContainer", {
-                get: function () {
-                    return this.firstRowContainer;
-                },
-                enumerable: true,
-                configurable: true
-            });
-            Object.defineProperty(LayoutElements.prototype, "SecondRowContainer", {
-                get: function () {
-                    return this.secondRowContainer;
-                },
-                enumerable: true,
-                configurable: true
-            });
-            Object.defineProperty(LayoutElements.prototype, "TitleParent", {
-                get: function () {
-                    return this.titleParent;
-                },
-                enumerable: true,
-                configurable: true
-            });
-            Object.defineProperty(LayoutElements.prototype, "LineChart", {
-                get: function () {
-                    return this.lineChart;
-                },
-                enumerable: true,
-                configurable: true
-            });
-            Object.defineProperty(LayoutElements.prototype, "Legend", {
-                get: function () {
-                    return this.legend;
-                },
-                enumerable: true,
-                configurable: true
-            });
-            Object.defineProperty(LayoutElements.prototype, "Shortdes1Group", {
-                get: function () {
-                    return this.shortdes1Group;
-                },
-                enumerable: true,
-                configurable: true
-            });
-            Object.defineProperty(LayoutElements.prototype, "LongdesGroup", {
+            /**
+              * Adds back the points the highlight rules of a line pick
+              */
+            DataSampler.prototype.keepRuleHighlights = function (columns, sampled, points) {
+                if (!columns || columns.length === 0) {
+                    return sampled;
+                }
+                var highlighted = points.filter(function (point) {
+                    return columns.indexOf(point.originalIndex) > -1 && sampled.indexOf(point) === -1;
+                });
+                return sampled.concat(highlighted).sort(function (a, b) {
+                    return a.originalIndex - b.originalIndex;
+                });
+            };
+            /**
+              * Adds back the points on both sides of every gap of a line that is broken at its missing values, so that the gaps stay where they are
+              */
+            DataSampler.prototype.keepGapEdges = function (sampled, points) {
+                var edges = points.filter(function (point, index) {
+                    var isEdge = point.isAfterGap || (index < points.length - 1 && points[index + 1].isAfterGap);
+                    return isEdge && sampled.indexOf(point) === -1;
+                });
+                if (edges.length === 0) {
+                    return sampled;
+                }
+                return sampled.concat(edges).sort(function (a, b) {
+                    return a.originalIndex - b.originalIndex;
+                });
+            };
+            // Lines with no more points than this are never sampled, even if the chart is narrower
+            DataSampler.minPointNumber = 100;
+            return DataSampler;
+        }());
+        Data.DataSampler = DataSampler;
+    })(Data = Trends.Data || (Trends.Data = {}));
+})(Trends || (Trends = {}));
+/* **************************************************************************************
+Copyright (c) Microsoft Open Technologies, Inc. All rights reserved. Licensed under the Apache License, Version 2.0.
+See License.txt in the project root for license information.
+***************************************************************************************** */
+/**
+  * This module contains the pre-defined SKU configs
+  */
+var DataViz;
+(function (DataViz) {
+    var SKUs;
+    (function (SKUs) {
+        "use strict";
+        var Predefines = (function () {
+            function Predefines() {
+            }
+            Object.defineProperty(Predefines, "Instance", {
                 get: function () {
-                    return this.longdesGroup;
+                    if (!Predefines.instance) {
+                        Predefines.instance = new Predefines;
+                    }
+                    return Predefines.instance;
                 },
                 enumerable: true,
                 configurable: true
             });
-            return LayoutElements;
-        }());
-        Chart.LayoutElements = LayoutElements;
-        var ZoomRatio = (function () {
-            function ZoomRatio(widthRatio, heightRatio) {
-                this.widthRatio = widthRatio;
-                this.heightRatio = heightRatio;
-                this.maxRatio = Math.max(this.widthRatio, this.heightRatio);
-                this.minRatio = Math.min(this.widthRatio, this.heightRatio);
-            }
-            return ZoomRatio;
+            /**
+              * Get all the definitions of SKUs
+              * @returns {DataViz.SKUs.SKUDefinition[]} SKU definitions
+              */
+            Predefines.prototype.getAll = function () {
+                var defs = new Array();
+                defs.push(this.getDefault());
+                defs.push(this.getVariant("trends-area", DataViz.Resources.SettingPane.typeArea, "ChartArea.png", "Trends.Chart.AreaChartPlotter", "area-bluewhite"));
+                defs.push(this.getVariant("trends-stacked-area", DataViz.Resources.SettingPane.typeStackedArea, "ChartStackedArea.png", "Trends.Chart.StackedAreaChartPlotter", "stacked-area-bluewhite"));
+                defs.push(this.getVariant("trends-percent-area", DataViz.Resources.SettingPane.typePercentArea, "ChartPercentArea.png", "Trends.Chart.PercentAreaChartPlotter", "percent-area-bluewhite"));
+                defs.push(this.getVariant("trends-column", DataViz.Resources.SettingPane.typeColumn, "ChartColumn.png", "Trends.Chart.BarChartPlotter", "column-bluewhite"));
+                defs.push(this.getVariant("trends-stacked-column", DataViz.Resources.SettingPane.typeStackedColumn, "ChartStackedColumn.png", "Trends.Chart.StackedBarChartPlotter", "stacked-column-bluewhite"));
+                defs.push(this.getVariant("trends-bar", DataViz.Resources.SettingPane.typeBar, "ChartBar.png", "Trends.Chart.HorizontalBarChartPlotter", "bar-bluewhite"));
+                var scatter = this.getVariant("trends-scatter", DataViz.Resources.SettingPane.typeScatter, "ChartScatter.png", "Trends.Chart.ScatterChartPlotter", "scatter-bluewhite");
+                // The series of the scatter chart are paired column by column, so sampling them one by one would leave out the columns only one sample kept
+                scatter.dataSampler = null;
+                defs.push(scatter);
+                defs.push(this.getVariant("trends-small-multiples", DataViz.Resources.SettingPane.typeSmallMultiples, "ChartSmallMultiples.png", "Trends.Chart.SmallMultiplesPlotter", "small-multiples-bluewhite"));
+                return defs;
+            };
+            Predefines.prototype.getDefault = function () {
+                var def = new DataViz.SKUs.SKUDefinition();
+                def.id = "trends-default";
+                def.thumbnail = "../images/ChartLine.png";
+                def.displayName = DataViz.Resources.SettingPane.typeLine;
+                def.plotter = "Trends.Chart.LineChartPlotter";
+                def.layouter = "Trends.Chart.Layouter";
+                def.dataBinder = "Trends.Data.Agave.DataBinder";
+                def.dataConvertor = "Trends.Data.DataConvertor";
+                def.dataTransformer = "Trends.Data.DataTransformer";
+                def.dataSampler = "Trends.Data.DataSampler";
+                def.configurator = "DataViz.Config.Trends.Configurator";
+                def.defaultTheme = "default-greenwhite";
+                def.defaultShape = "";
+                def.defaultLayout = "layout-trends-default";
+                var sampleData = {};
+                sampleData["formatted"] = [
+                    ["Time", DataViz.Resources.SampleData.legend1, DataViz.Resources.SampleData.legend2],
+                    [DataViz.Resources.SampleData.time1, "41", "61"],
+                    [DataViz.Resources.SampleData.time2, "9", "15"],
+                    [DataViz.Resources.SampleData.time3, "29", "40"],
+                    [DataViz.Resources.SampleData.time4, "123", "83"],
+                    [DataViz.Resources.SampleData.time5, "148", "107"],
+                    [DataViz.Resources.SampleData.time6, "148", "109"],
+                    [DataViz.Resources.SampleData.time7, "109", "130"],
+                    [DataViz.Resources.SampleData.time8, "129", "172"],
+                    [DataViz.Resources.SampleData.time9, "73", "110"]
+                ];
+                sampleData["unformatted"] = [
+                    ["Time", DataViz.Resources.SampleData.legend1, DataViz.Resources.SampleData.legend2],
+                    [DataViz.Resources.SampleData.time1, "41", "61"],
+                    [DataViz.Resources.SampleData.time2, "9", "15"],
+                    [DataViz.Resources.SampleData.time3, "29", "40"],
+                    [DataViz.Resources.SampleData.time4, "123", "83"],
+                    [DataViz.Resources.SampleData.time5, "148", "107"],
+                    [DataViz.Resources.SampleData.time6, "148", "109"],
+                    [DataViz.Resources.SampleData.time7, "109", "130"],
+                    [DataViz.Resources.SampleData.time8, "129", "172"],
+                    [DataViz.Resources.SampleData.time9, "73", "110"]
+                ];
+                sampleData["dataPoints"] = [{ seriesName: DataViz.Resources.SampleData.legend1, xLabel: DataViz.Resources.SampleData.time5 }];
+                sampleData["sampleText"] = {
+                    "title": DataViz.Resources.SampleData.title,
+                    "shortdes1Title": DataViz.Resources.SampleData.shortDescriptionTitle,
+                    "shortdes1Descript": DataViz.Resources.SampleData.shortDescription,
+                    "longdesTitle": DataViz.Resources.SampleData.longDescriptionTitle,
+                    "longdesDescript": DataViz.Resources.SampleData.longDescription
+                };
+                def.sampleData = sampleData;
+                return def;
+            };
+            /**
+              * Gets the definition of a SKU that draws the data of the default SKU with another plotter, such as an area, a bar, a scatter or a small multiples plotter
+              * @param {string} id The id of the SKU
+              * @param {string} displayName The name of the chart type in the chart type gallery
+              * @param {string} thumbnail The file name of the thumbnail in the images folder
+              * @param {string} plotter The plotter class name
+              * @param {string} defaultTheme The id of the default theme
+              * @returns {DataViz.SKUs.SKUDefinition} The SKU definition
+              */
+            Predefines.prototype.getVariant = function (id, displayName, thumbnail, plotter, defaultTheme) {
+                var def = this.getDefault();
+                def.id = id;
+                def.displayName = displayName;
+                def.thumbnail = "../images/" + thumbnail;
+                def.plotter = plotter;
+                def.defaultTheme = defaultTheme;
+                return def;
+            };
+            Predefines.instance = null;
+            return Predefines;
         }());
-        Chart.ZoomRatio = ZoomRatio;
-    })(Chart = Trends.Chart || (Trends.Chart = {}));
-})(Trends || (Trends = {}));
+        SKUs.Predefines = Predefines;
+    })(SKUs = DataViz.SKUs || (DataViz.SKUs = {}));
+})(DataViz || (DataViz = {}));
 /* **************************************************************************************
 Copyright (c) Microsoft Open Technologies, Inc. All rights reserved. Licensed under the Apache License, Version 2.0.
 See License.txt in the project root for license information.
 ***************************************************************************************** */
-///<reference path="shared/data.ts" />
 ///<reference path="shared/chart.ts"/>
+///<reference path="shared/decoration.ts"/>
 ///<reference path="data.convertor.agave.ts" />
+///<reference path="numberformat.trends.ts" />
+///<reference path="trendline.trends.ts" />
+///<reference path="highlightingplotter.trends.ts" />
 ///<reference path="../app.ts" />
+/**
+  * This module contains the plotter of the scatter chart
+  */
 var Trends;
 (function (Trends) {
     var Chart;
     (function (Chart) {
-        var LineChartPlotter = (function (_super) {
-            __extends(LineChartPlotter, _super);
-            function LineChartPlotter() {
-                _super.call(this);
-                this.delayPlotTimeoutId = null;
+        "use strict";
+        /**
+          * The plotter of the scatter chart. It plots one series against another, with a point for every column where both have a value,
+          * so that it shows whether the series move together. The regression line, the correlation coefficient and the labels of the points,
+          * which are the x values of their columns, can be shown. The data of the scatter chart isn't sampled, so every such column is plotted
+          * and taken into the regression line and the correlation.
+          * A clicked point gets a bubble with its value up the chart, and is saved as a highlight of the series plotted up the chart.
+          */
+        var ScatterChartPlotter = (function (_super) {
+            __extends(ScatterChartPlotter, _super);
+            function ScatterChartPlotter() {
+                _super.apply(this, arguments);
             }
             /**
-              * Implementing {@link ITool#resetTool}
+              * Overriding {@link HighlightingPlotter#initData}
               */
-            LineChartPlotter.prototype.resetTool = function () {
-                this.resume();
+            ScatterChartPlotter.prototype.initData = function (convertedData) {
+                _super.prototype.initData.call(this, convertedData);
+                this.xLineId = this.findLineId(this.options.xSeriesName, 0);
+                this.yLineId = this.findLineId(this.options.ySeriesName, (this.xLineId === 0) ? 1 : 0);
+                this.chartHeight = $("#line-chart").height();
+                this.chartWidth = $("#line-chart").width();
             };
             /**
-              * Implementing {@link IPlotter#delayPlot}
+              * Overriding {@link HighlightingPlotter#readSettings}
               */
-            LineChartPlotter.prototype.delayPlot = function (data, delay) {
-                var _this = this;
-                if (delay === void 0) { delay = 300; }
-                if (this.delayPlotTimeoutId !== null) {
-                    clearTimeout(this.delayPlotTimeoutId);
-                }
-                this.delayPlotTimeoutId = setTimeout(function () {
-                    _this.plot(data);
-                    _this.delayPlotTimeoutId = null;
-                }, delay);
+            ScatterChartPlotter.prototype.readSettings = function () {
+                _super.prototype.readSettings.call(this);
+                this.yAxisOptions = this.configuration.get(DataViz.Config.Trends.wellKnownKeys.yAxisOptions);
+                this.yAxisOptions = this.yAxisOptions ? this.yAxisOptions : {};
+                this.options = ScatterChartPlotter.normalizeOptions(this.configuration.get(DataViz.Config.Trends.wellKnownKeys.scatterOptions));
             };
             /**
-              * Implementing {@link IPlotter#plot}
+              * Gets the saved scatter settings, with the settings that aren't saved turned off
               */
-            LineChartPlotter.prototype.plot = function (data) {
-                if (data && data.xData.length > 0 && data.yData.length > 0) {
-                    this.onDataChanged(data);
-                    this.initData(data);
-                    this.drawLineChart();
-                }
-            };
-            LineChartPlotter.prototype.setWidth = function (width) {
-                this.lineChartWidth = width;
-            };
-            LineChartPlotter.prototype.setHeight = function (height) {
-                this.lineChartHeight = height;
-            };
-            LineChartPlotter.prototype.onDataChanged = function (newData) {
-                if (!this.bindingData || !newData) {
-                    return;
-                }
-                if (newData.xData.length !== this.bindingData.xData.length) {
-                    DataViz.Config.Trends.resetClickedPointIdArrays();
-                }
-                if (newData.yData.length !== this.bindingData.yData.length) {
-                    DataViz.Config.Trends.resetClickedPointIdArrays();
-                    DataViz.Config.Trends.resetLineOrder();
-                    DataViz.Config.Trends.resetLineDisplay();
-                    DataViz.Config.Trends.resetLineTitleArray();
-                }
-            };
-            LineChartPlotter.prototype.initData = function (convertedData) {
-                if (!convertedData.xData || !convertedData.yData) {
-                    return;
-                }
-                this.bindingData = convertedData;
-                this.configuration = DataViz.mainApp.Configuration;
-                this.isLegendEdited = this.configuration.get(DataViz.Config.Trends.wellKnownKeys.isLegendEdited);
-                if (this.isLegendEdited === null || this.isLegendEdited === undefined) {
-                    this.isLegendEdited = false;
-                    this.configuration.set(DataViz.Config.Trends.wellKnownKeys.isLegendEdited, this.isLegendEdited);
-                }
-                if (!this.isLegendEdited && this.bindingData.header.length) {
-                    this.configuration.set(DataViz.Config.Trends.wellKnownKeys.lineTitleArray, this.bindingData.header);
-                }
-                var savedClickedPointIdArrays = this.configuration.get(DataViz.Config.Trends.wellKnownKeys.clickedPointIdArray);
-                if (!savedClickedPointIdArrays) {
-                    DataViz.Config.Trends.resetClickedPointIdArrays();
-                }
-                var savedLineOrder = this.configuration.get(DataViz.Config.Trends.wellKnownKeys.lineOrder);
-                if (!savedLineOrder) {
-                    DataViz.Config.Trends.resetLineOrder();
-                }
-                var savedLineDisplay = this.configuration.get(DataViz.Config.Trends.wellKnownKeys.lineDisplay);
-                if (!savedLineDisplay) {
-                    DataViz.Config.Trends.resetLineDisplay();
-                }
-                var savedLineTitleArray = this.configuration.get(DataViz.Config.Trends.wellKnownKeys.lineTitleArray);
-                if (!savedLineTitleArray) {
-                    DataViz.Config.Trends.resetLineTitleArray();
-                }
-                this.clickedPointIdArray = this.configuration.get(DataViz.Config.Trends.wellKnownKeys.clickedPointIdArray);
-                this.lineOrder = this.configuration.get(DataViz.Config.Trends.wellKnownKeys.lineOrder);
-                this.lineDisplay = this.configuration.get(DataViz.Config.Trends.wellKnownKeys.lineDisplay);
-                this.lineTitleArray = this.configuration.get(DataViz.Config.Trends.wellKnownKeys.lineTitleArray);
-                this.zoomRatio = Chart.Layouter.getZoomRatioRelativeOrigin();
-                this.lineNumber = this.bindingData.yData.length;
-                this.columnNumber = this.bindingData.xData.length;
-                this.lineOrder.length = this.lineNumber;
-                this.lineDisplay.length = this.lineNumber;
-                this.setMaxAndMin();
-                this.lineChartHeight = $("#line-chart").height();
-                this.lineChartWidth = $("#line-chart").width();
-            };
-            LineChartPlotter.prototype.drawLineChart = function () {
-                if (!this.bindingData) {
-                    return;
-                }
-                var _this = this;
-                if (!d3.select("#svg-line-chart").empty()) {
-                    d3.select("#svg-line-chart").remove();
-                }
-                if (!d3.select("#div-legend").empty()) {
-                    d3.select("#div-legend").remove();
-                }
-                this.lineChart = d3.select("#line-chart")
-                    .append("svg:svg")
-                    .attr("id", "svg-line-chart")
-                    .attr("width", this.lineChartWidth)
-                    .attr("height", this.lineChartHeight);
-                this.legendGroup = d3.select("#legend")
-                    .append("div")
-                    .attr("id", "div-legend")
-                    .style("width", "100%")
-                    .style("height", "100%")
-                    .style("margin-top", "25px");
-                this.yAxis = d3.scale.linear().domain([this.min, this.max]).range([this.lineChartHeight - LineChartPlotter.marginBottom / this.zoomRatio.heightRatio, LineChartPlotter.marginTop / this.zoomRatio.heightRatio]);
-                var yTicks = this.drawYLabelAndTicks();
-                var marginLeft = this.getMaxYLabelWidth(yTicks) + this.getFirstMaxRadius();
-                var marginRight = LineChartPlotter.marginRight / this.zoomRatio.widthRatio;
-                var isLineChartMinimum = (this.lineChartWidth - marginLeft - marginRight) < this.lineChartWidth / 2;
-                this.xAxisWidth = isLineChartMinimum ? this.lineChartWidth / 2 : this.lineChartWidth - marginLeft - marginRight;
-                this.xAxis = d3.scale.linear().domain([0, this.columnNumber - 1])
-                    .range([isLineChartMinimum ? this.lineChartWidth - marginRight - this.xAxisWidth : marginLeft, this.lineChartWidth - marginRight]);
-                this.linePlotter = d3.svg.line()
-                    .x(function (data, index) {
-                    return _this.xAxis(data.originalIndex);
-                })
-                    .y(function (data, index) {
-                    return _this.yAxis(data.unformatted);
-                })
-                    .interpolate("monotone");
-                this.drawXLabelAndTicks();
-                this.drawLegend();
-                for (var i = 0; i < this.lineOrder.length; i++) {
-                    var lineId = this.lineOrder[i];
-                    this.lineChart.append("svg:g").attr("id", "line-group" + lineId).style("display", this.lineDisplay[lineId] ? "inline" : "none");
-                    this.drawLine(lineId);
-                }
-            };
-            LineChartPlotter.prototype.getMaxYLabelWidth = function (yTicks) {
-                var maxLength = 0;
-                for (var i = 0; i < yTicks.length; ++i) {
-                    var yLableWidth = this.getSvgElementWidth("y-label" + i);
-                    if (yLableWidth > maxLength) {
-                        maxLength = yLableWidth;
-                    }
-                }
-                return maxLength;
-            };
-            LineChartPlotter.prototype.getFirstMaxRadius = function () {
-                var firstMaxRadius = 0;
-                var textLength = 0;
-                for (var i = 0; i < this.lineNumber; i++) {
-                    var data = this.bindingData.yData[i].data;
-                    if (data && data[0]) {
-                        textLength = Math.min(data[0].formatted.length, LineChartPlotter.maxTextLength);
-                        firstMaxRadius = Math.max(LineChartPlotter.radius[textLength - 1], firstMaxRadius);
-                    }
-                }
-                return firstMaxRadius / this.zoomRatio.heightRatio;
-            };
-            LineChartPlotter.prototype.drawXLabelAndTicks = function () {
-                var _this = this;
-                this.currentXTickNumber = this.columnNumber;
-                var xTicks = (this.currentXTickNumber === 1) ? [0] : this.xAxis.ticks(this.currentXTickNumber);
-                while (xTicks.length > this.bindingData.xData.length) {
-                    this.currentXTickNumber--;
-                    if (this.currentXTickNumber === 1) {
-                        xTicks = [0];
-                        break;
-                    }
-                    xTicks = this.xAxis.ticks(this.currentXTickNumber);
-                }
-                this.drawXLabel(xTicks);
-                var maxWidth = 0;
-                for (var i = 0; i < xTicks.length; i++) {
-                    var xLableWidth = this.getSvgElementWidth("x-label" + xTicks[i]);
-                    if (xLableWidth > maxWidth) {
-                        maxWidth = xLableWidth;
+            ScatterChartPlotter.normalizeOptions = function (options) {
+                options = options ? options : {};
+                return {
+                    xSeriesName: (typeof options.xSeriesName === "string") ? options.xSeriesName : null,
+                    ySeriesName: (typeof options.ySeriesName === "string") ? options.ySeriesName : null,
+                    showsRegression: options.showsRegression === true,
+                    showsCorrelation: options.showsCorrelation === true,
+                    showsLabels: options.showsLabels === true
+                };
+            };
+            /**
+              * Gets the id of the line of a series
+              * @param {string} seriesName The saved name of the series
+              * @param {number} defaultLineId The id of the line to take if no series has the name
+              * @returns {number} The id of the line
+              */
+            ScatterChartPlotter.prototype.findLineId = function (seriesName, defaultLineId) {
+                for (var lineId = 0; lineId < this.lineNumber; lineId++) {
+                    if (Trends.Data.DataConvertor.getSeriesName(this.bindingData, lineId) === seriesName) {
+                        return lineId;
                     }
                 }
-                var maxTickNumber = Math.floor(this.xAxisWidth / maxWidth) + 1;
-                if (xTicks.length > maxTickNumber) {
-                    d3.select("#x-label-group").remove();
-                    this.currentXTickNumber = maxTickNumber;
-                    if (this.currentXTickNumber > 1) {
-                        xTicks = this.xAxis.ticks(this.currentXTickNumber);
-                        var isFitFinal = ((this.xAxis(xTicks[xTicks.length - 1]) - this.xAxis(xTicks[0])) / (xTicks.length - 1)) >= maxWidth;
-                        while ((maxTickNumber < xTicks.length) || !isFitFinal || xTicks.length > this.bindingData.xData.length) {
-                            this.currentXTickNumber--;
-                            if (this.currentXTickNumber === 1) {
-                                xTicks = [0];
-                                break;
-                            }
-                            xTicks = this.xAxis.ticks(this.currentXTickNumber);
-                            isFitFinal = ((this.xAxis(xTicks[xTicks.length - 1]) - this.xAxis(xTicks[0])) / (xTicks.length - 1)) >= maxWidth;
-                        }
+                return Math.min(defaultLineId, this.lineNumber - 1);
+            };
+            /**
+              * Gets the points of the chart, which are the columns in the zoom window where both series have a value
+              */
+            ScatterChartPlotter.prototype.getScatterPoints = function () {
+                var _this = this;
+                var yPoints = {};
+                this.bindingData.yData[this.yLineId].data.forEach(function (point) {
+                    if (_this.isPlotted(point)) {
+                        yPoints[point.originalIndex] = point;
                     }
-                    else {
-                        xTicks = [0];
+                });
+                var points = [];
+                this.bindingData.yData[this.xLineId].data.forEach(function (point) {
+                    if (_this.isPlotted(point) && yPoints[point.originalIndex]) {
+                        points.push({ column: point.originalIndex, xPoint: point, yPoint: yPoints[point.originalIndex] });
                     }
-                    this.drawXLabel(xTicks);
+                });
+                return points;
+            };
+            /**
+              * Tells whether a point of a series is plotted. A missing value the gap mode filled in isn't, since it wasn't measured.
+              */
+            ScatterChartPlotter.prototype.isPlotted = function (point) {
+                return !point.isMissing && point.unformatted !== null && isFinite(point.unformatted)
+                    && point.originalIndex >= this.firstColumn && point.originalIndex <= this.lastColumn;
+            };
+            ScatterChartPlotter.prototype.getLineTitle = function (lineId) {
+                var title = this.lineTitleArray[lineId];
+                return (typeof title === "string") ? title : Trends.Data.DataConvertor.getSeriesName(this.bindingData, lineId);
+            };
+            /**
+              * Overriding {@link HighlightingPlotter#draw}
+              */
+            ScatterChartPlotter.prototype.draw = function () {
+                this.scatterChart = this.appendChart(this.chartWidth, this.chartHeight);
+                $("#zoom-reset-button").toggle(this.isZoomed());
+                if (this.lineNumber < 2) {
+                    this.drawMessage(DataViz.Resources.Scatter.notEnoughSeries);
+                    return;
                 }
-                var lastButOneId = xTicks[xTicks.length - 1];
-                var fontSize = LineChartPlotter.defaultXLableFontSize / this.zoomRatio.heightRatio;
-                if (lastButOneId !== this.columnNumber - 1) {
-                    var xLabelGroup = d3.select("#x-label-group");
-                    xLabelGroup.append("svg:line")
-                        .attr("id", "x-tick-last")
-                        .attr("class", "theme-chart-ticks")
-                        .attr("x1", this.xAxis(this.columnNumber - 1))
-                        .attr("y1", this.lineChartHeight - LineChartPlotter.xAxisPaddingBottm / this.zoomRatio.heightRatio - fontSize / 2)
-                        .attr("x2", this.xAxis(this.columnNumber - 1))
-                        .attr("y2", this.lineChartHeight - (LineChartPlotter.xAxisPaddingBottm + LineChartPlotter.xTickWidth) / this.zoomRatio.heightRatio - fontSize / 2);
-                    xLabelGroup.append("svg:text")
-                        .attr("id", "x-label-last")
-                        .attr("class", "layout-chart-x-label theme-chart-label")
-                        .attr("x", this.xAxis(this.columnNumber - 1))
-                        .attr("y", this.lineChartHeight - fontSize / 2)
-                        .style("font-size", fontSize + "px")
-                        .text(this.bindingData.xData[this.columnNumber - 1]);
-                    var lastTwoTicksWidth = this.xAxis(this.columnNumber - 1) - this.xAxis(lastButOneId);
-                    var lastLabelWidth = this.getSvgElementWidth("x-label-last");
-                    ;
-                    var lastButOneLabelWidth = this.getSvgElementWidth("x-label" + lastButOneId);
-                    if (lastTwoTicksWidth < (lastLabelWidth + lastButOneLabelWidth) / 2) {
-                        if (!lastButOneId) {
-                            d3.select("#x-tick-last").remove();
-                            d3.select("#x-label-last").remove();
-                        }
-                        else {
-                            d3.select("#x-label" + lastButOneId).remove();
-                            d3.select("#x-tick" + lastButOneId).remove();
-                        }
-                    }
+                var points = this.getScatterPoints();
+                var xs = points.map(function (point) {
+                    return point.xPoint.unformatted;
+                });
+                var ys = points.map(function (point) {
+                    return point.yPoint.unformatted;
+                });
+                var regression = this.options.showsRegression ? Trends.Data.Trendline.fitValues(xs, ys, 1, DataViz.Config.Trends.TrendlineType.linear) : null;
+                var top = ScatterChartPlotter.marginTop / this.zoomRatio.heightRatio;
+                var bottom = this.chartHeight - ScatterChartPlotter.marginBottom / this.zoomRatio.heightRatio;
+                var right = this.chartWidth - ScatterChartPlotter.marginRight / this.zoomRatio.widthRatio;
+                var tickNumber = (this.yAxisOptions.tickNumber > 0) ? Math.floor(this.yAxisOptions.tickNumber) : ScatterChartPlotter.defaultTickNumber;
+                this.yAxis = d3.scale.linear().domain(ScatterChartPlotter.getDomain(ys)).nice(tickNumber).range([bottom, top]);
+                var left = this.drawYLabelsAndTicks(tickNumber, right) + ScatterChartPlotter.axisLabelPadding / this.zoomRatio.widthRatio;
+                this.xAxis = d3.scale.linear().domain(ScatterChartPlotter.getDomain(xs)).nice(tickNumber).range([left, right]);
+                this.drawXLabelsAndTicks(tickNumber, [top, bottom]);
+                this.drawLegend(regression);
+                if (regression) {
+                    this.drawRegression(regression);
+                }
+                this.drawPoints(points);
+                if (this.options.showsCorrelation) {
+                    this.drawCorrelation(Trends.Data.Trendline.correlate(xs, ys), right, top);
                 }
-                this.lineChart.append("svg:line")
-                    .attr("class", "theme-chart-ticks")
-                    .attr("x1", 0)
-                    .attr("y1", this.lineChartHeight - LineChartPlotter.xAxisPaddingBottm / this.zoomRatio.heightRatio - fontSize / 2)
-                    .attr("x2", this.lineChartWidth)
-                    .attr("y2", this.lineChartHeight - LineChartPlotter.xAxisPaddingBottm / this.zoomRatio.heightRatio - fontSize / 2);
             };
-            LineChartPlotter.prototype.drawYLabelAndTicks = function () {
-                var _this = this;
-                this.currentYTickNumber = LineChartPlotter.defaultYTickNumber;
-                var yTicks = this.yAxis.ticks(this.currentYTickNumber);
-                var retry = 0;
-                while (yTicks.length < LineChartPlotter.defaultYTickNumber) {
-                    this.currentYTickNumber++;
-                    yTicks = this.yAxis.ticks(this.currentYTickNumber);
-                    retry++;
-                    if (retry > 9) {
-                        break;
-                    } // The max retry time is 10;
+            /**
+              * Gets the domain of an axis, which takes in all the values. If there are no values, or they are all the same, the domain is widened.
+              */
+            ScatterChartPlotter.getDomain = function (values) {
+                if (values.length === 0) {
+                    return [0, 1];
                 }
-                var yLabelId = 0;
-                var isPercentageFormat = this.isPercentageFormat();
-                this.lineChart.selectAll(".yLabel")
-                    .data(yTicks)
+                var extent = d3.extent(values);
+                return (extent[0] === extent[1]) ? [extent[0] - 1, extent[1] + 1] : extent;
+            };
+            /**
+              * Draws a message in the middle of the chart instead of the points
+              */
+            ScatterChartPlotter.prototype.drawMessage = function (message) {
+                this.scatterChart.append("svg:text")
+                    .attr("class", "theme-chart-label")
+                    .attr("x", this.chartWidth / 2)
+                    .attr("y", this.chartHeight / 2)
+                    .style("text-anchor", "middle")
+                    .style("font-size", ScatterChartPlotter.messageFontSize / this.zoomRatio.heightRatio + "px")
+                    .text(message);
+            };
+            /**
+              * Draws the labels of the y axis on the left, above their dashed grid lines
+              * @param {number} tickNumber The number of ticks to aim for
+              * @param {number} right Where the grid lines end
+              * @returns {number} The width of the widest label
+              */
+            ScatterChartPlotter.prototype.drawYLabelsAndTicks = function (tickNumber, right) {
+                var _this = this;
+                var ticks = this.yAxis.ticks(tickNumber);
+                var labels = this.getAxisFormat(this.yLineId).formatTicks(ticks, this.isCompact);
+                var yLabels = this.scatterChart.selectAll(".yLabel")
+                    .data(ticks)
                     .enter()
                     .append("svg:text")
-                    .attr("id", function (data) {
-                    return "y-label" + yLabelId++;
-                })
                     .attr("class", "layout-chart-y-label theme-chart-label")
                     .attr("x", 0)
                     .attr("y", function (data) {
                     return _this.yAxis(data) - 6;
-                }) //"6" is the padding bottom from the yTicks.
-                    .style("font-size", LineChartPlotter.defaultYLableFontSize / this.zoomRatio.heightRatio + "px")
-                    .text(function (data) {
-                    var str = data.toString();
-                    var n = str.indexOf(".");
-                    if (n !== -1) {
-                        if (str.substr(n).length > 10) {
-                            data = d3.round(data, 10);
-                        } //Show at most 10 digits after the decimal point
-                    }
-                    if (_this.bindingData && _this.bindingData.yData && isPercentageFormat) {
-                        return data * 100 + "%";
-                    }
-                    else {
-                        return data;
-                    }
+                }) //"6" is the padding bottom from the ticks.
+                    .style("font-size", ScatterChartPlotter.yLabelFontSize / this.zoomRatio.heightRatio + "px")
+                    .text(function (data, index) {
+                    return labels[index];
                 });
-                this.lineChart.selectAll(".yTicks")
-                    .data(yTicks)
+                this.scatterChart.selectAll(".yTicks")
+                    .data(ticks)
                     .enter()
                     .append("svg:line")
                     .attr("class", "theme-chart-ticks")
@@ -4791,444 +11578,674 @@ var Trends;
                     .attr("y1", function (data) {
                     return _this.yAxis(data);
                 })
-                    .attr("x2", this.lineChartWidth)
+                    .attr("x2", right)
                     .attr("y2", function (data) {
                     return _this.yAxis(data);
                 })
                     .style("stroke-dasharray", ("5, 3")); //"5" is the dash width and "3" is the width between two dash.
-                return yTicks;
+                return Chart.HighlightingPlotter.getMaxWidth(yLabels);
             };
-            LineChartPlotter.prototype.drawXLabel = function (xTicks) {
+            /**
+              * Draws the labels of the x axis at the bottom, under their dashed grid lines. When there isn't room for all of them,
+              * only every few labels are kept.
+              * @param {number} tickNumber The number of ticks to aim for
+              * @param {number[]} gridRange Where the grid lines start and end
+              */
+            ScatterChartPlotter.prototype.drawXLabelsAndTicks = function (tickNumber, gridRange) {
                 var _this = this;
-                var xLabelGroup = this.lineChart.append("svg:g")
-                    .attr("id", "x-label-group");
-                var fontSize = LineChartPlotter.defaultXLableFontSize / this.zoomRatio.heightRatio;
-                xLabelGroup.selectAll(".xLabels")
-                    .data(xTicks)
+                var ticks = this.xAxis.ticks(tickNumber);
+                var labels = this.getAxisFormat(this.xLineId).formatTicks(ticks, this.isCompact);
+                var fontSize = ScatterChartPlotter.xLabelFontSize / this.zoomRatio.heightRatio;
+                var xLabels = this.scatterChart.selectAll(".xLabel")
+                    .data(ticks)
                     .enter()
                     .append("svg:text")
-                    .attr("id", function (index) {
-                    return "x-label" + index;
-                })
                     .attr("class", "layout-chart-x-label theme-chart-label")
-                    .attr("x", function (index) {
-                    return _this.xAxis(index);
+                    .attr("x", function (data) {
+                    return _this.xAxis(data);
                 })
-                    .attr("y", this.lineChartHeight - fontSize / 2)
+                    .attr("y", this.chartHeight - fontSize / 2)
                     .style("font-size", fontSize + "px")
-                    .text(function (index) {
-                    return _this.bindingData.xData[index];
+                    .text(function (data, index) {
+                    return labels[index];
                 });
-                xLabelGroup.selectAll(".xTicks")
-                    .data(xTicks)
+                this.scatterChart.selectAll(".xTicks")
+                    .data(ticks)
                     .enter()
                     .append("svg:line")
-                    .attr("id", function (index) {
-                    return "x-tick" + index;
-                })
                     .attr("class", "theme-chart-ticks")
-                    .attr("x1", function (index) {
-                    return _this.xAxis(index);
+                    .attr("x1", function (data) {
+                    return _this.xAxis(data);
                 })
-                    .attr("y1", this.lineChartHeight - LineChartPlotter.xAxisPaddingBottm / this.zoomRatio.heightRatio - fontSize / 2)
-                    .attr("x2", function (index) {
-                    return _this.xAxis(index);
+                    .attr("y1", gridRange[0])
+                    .attr("x2", function (data) {
+                    return _this.xAxis(data);
                 })
-                    .attr("y2", this.lineChartHeight - (LineChartPlotter.xAxisPaddingBottm + LineChartPlotter.xTickWidth) / this.zoomRatio.heightRatio - fontSize / 2);
+                    .attr("y2", gridRange[1])
+                    .style("stroke-dasharray", ("5, 3")); //"5" is the dash width and "3" is the width between two dash.
+                var labelLength = Chart.HighlightingPlotter.getMaxWidth(xLabels) + ScatterChartPlotter.axisLabelPadding / this.zoomRatio.widthRatio;
+                var step = (ticks.length > 1) ? this.xAxis(ticks[1]) - this.xAxis(ticks[0]) : labelLength;
+                var labelStep = Math.max(Math.ceil(labelLength / step), 1);
+                xLabels.filter(function (data, index) {
+                    return index % labelStep !== 0;
+                }).remove();
+            };
+            ScatterChartPlotter.prototype.getAxisFormat = function (lineId) {
+                return Trends.Data.NumberFormat.combine([this.bindingData.yData[lineId].numberFormat]);
+            };
+            /**
+              * Draws the legend, where the series to plot are picked and the regression line, the correlation and the labels are turned on and off
+              * @param {TrendlineFit} regression The regression line, or null if it isn't shown
+              */
+            ScatterChartPlotter.prototype.drawLegend = function (regression) {
+                var _this = this;
+                this.drawSeriesPicker("x", DataViz.Resources.Scatter.xSeries, this.xLineId);
+                this.drawSeriesPicker("y", DataViz.Resources.Scatter.ySeries, this.yLineId);
+                this.drawOptionRow("regression", DataViz.Resources.Scatter.regression, this.options.showsRegression, function () {
+                    _this.options.showsRegression = !_this.options.showsRegression;
+                });
+                // Like the equation of a trendline, the equation of the regression line is shown under its checkbox
+                if (regression) {
+                    this.legendGroup.append("div")
+                        .attr("id", "scatter-regression-equation")
+                        .attr("class", "layout-chart-legend-transforms")
+                        .style("color", this.getLineColor(this.yLineId))
+                        .style("padding-left", (Chart.HighlightingPlotter.checkBoxLength / this.zoomRatio.heightRatio + 4) + "px")
+                        .style("font-size", ScatterChartPlotter.optionFontSize / this.zoomRatio.heightRatio + "px")
+                        .text(Trends.Data.Trendline.getEquation(regression) + ", "
+                        + DataViz.Utils.stringFormat(DataViz.Resources.Trendlines.rSquared, Number(regression.rSquared.toFixed(4))));
+                }
+                this.drawOptionRow("correlation", DataViz.Resources.Scatter.correlation, this.options.showsCorrelation, function () {
+                    _this.options.showsCorrelation = !_this.options.showsCorrelation;
+                });
+                this.drawOptionRow("labels", DataViz.Resources.Scatter.labels, this.options.showsLabels, function () {
+                    _this.options.showsLabels = !_this.options.showsLabels;
+                });
             };
-            LineChartPlotter.prototype.drawLegend = function () {
+            /**
+              * Draws a list in the legend to pick the series plotted along an axis
+              * @param {string} axis "x" or "y"
+              * @param {string} text The name of the axis
+              * @param {number} lineId The id of the line plotted along the axis
+              */
+            ScatterChartPlotter.prototype.drawSeriesPicker = function (axis, text, lineId) {
                 var _this = this;
+                var pickerRow = this.legendGroup.append("div")
+                    .attr("class", "legend-row-style");
+                pickerRow.append("label")
+                    .attr("for", "scatter-" + axis + "-select")
+                    .attr("class", "layout-chart-legend-transforms")
+                    .style("color", this.getLineColor(lineId))
+                    .style("padding-right", "4px")
+                    .style("font-size", ScatterChartPlotter.optionFontSize / this.zoomRatio.heightRatio + "px")
+                    .text(text);
+                var picker = pickerRow.append("select")
+                    .attr("id", "scatter-" + axis + "-select")
+                    .attr("class", "data-pane-select")
+                    .style("font-size", ScatterChartPlotter.optionFontSize / this.zoomRatio.heightRatio + "px")
+                    .on("change", function () {
+                    var seriesName = Trends.Data.DataConvertor.getSeriesName(_this.bindingData, this.selectedIndex);
+                    _this.options.xSeriesName = (axis === "x") ? seriesName : Trends.Data.DataConvertor.getSeriesName(_this.bindingData, _this.xLineId);
+                    _this.options.ySeriesName = (axis === "y") ? seriesName : Trends.Data.DataConvertor.getSeriesName(_this.bindingData, _this.yLineId);
+                    _this.configuration.set(DataViz.Config.Trends.wellKnownKeys.scatterOptions, _this.options);
+                });
                 for (var i = 0; i < this.lineNumber; i++) {
-                    var legendRow = this.legendGroup.append("div")
-                        .attr("id", "legend-row-" + i)
-                        .attr("class", "legend-row-style");
-                    legendRow.append("div")
-                        .attr("id", "checkbox" + i + "end")
-                        .attr("class", function () {
-                        var checkboxTheme = _this.lineDisplay[i] ? "theme-checkbox-line-" + i + "-checked" : "theme-checkbox-line-" + i + "-unchecked";
-                        return "layout-checkbox " + checkboxTheme;
-                    })
-                        .attr("opacity", function () {
-                        return _this.lineDisplay[i] ? 1 : 0.85;
-                    })
-                        .on("click", function () {
-                        var checkboxId = $(this).attr("id");
-                        var lineId = _this.getLineIdFromCheckboxId(checkboxId);
-                        var isOpacity = ($(this).attr("opacity") === "1");
-                        $(this).attr("opacity", isOpacity ? "0.85" : "1");
-                        $(this).removeClass(isOpacity ? "theme-checkbox-line-" + lineId + "-checked" : "theme-checkbox-line-" + lineId + "-unchecked");
-                        $(this).addClass(isOpacity ? "theme-checkbox-line-" + lineId + "-unchecked" : "theme-checkbox-line-" + lineId + "-checked");
-                        $("#line-group" + lineId).css("display", isOpacity ? "none" : "inline");
-                        _this.lineDisplay[lineId] = !isOpacity;
-                        _this.configuration.set(DataViz.Config.Trends.wellKnownKeys.lineDisplay, _this.lineDisplay);
-                    });
-                    $("#checkbox" + i + "end").width(LineChartPlotter.checkBoxLength / this.zoomRatio.heightRatio);
-                    $("#checkbox" + i + "end").height(LineChartPlotter.checkBoxLength / this.zoomRatio.heightRatio);
-                    legendRow.append("textarea")
-                        .attr("id", "line-title" + i + "end")
-                        .attr("class", "element-style layout-chart-legend-textarea" + " theme-legend-textarea-" + i)
-                        .style("font-size", LineChartPlotter.legendFontSize / this.zoomRatio.heightRatio + "px")
-                        .on("input", function () {
-                        var lineId = _this.getLineIdFromLineTitleId($(this).attr("id"));
-                        _this.lineTitleArray[lineId] = $(this)[0].value;
-                        _this.configuration.delaySet(DataViz.Config.Trends.wellKnownKeys.lineTitleArray, _this.lineTitleArray, 300);
-                        if (!_this.isLegendEdited) {
-                            _this.isLegendEdited = true;
-                            _this.configuration.delaySet(DataViz.Config.Trends.wellKnownKeys.isLegendEdited, true, 300);
-                        }
-                    })
-                        .on("keypress", function () {
-                        if (d3.event.keyCode === 13 || d3.event.keyCode === 10) {
-                            d3.event.preventDefault();
-                            return false;
-                        }
-                    });
-                    $("#line-title" + i + "end").height(22 / this.zoomRatio.heightRatio); //"22" is the line title textarea's height
-                    // In TypeScript, jQuery prototype doesn't support to set outerWidth.
-                    $("#line-title" + i + "end").outerWidth($("#div-legend").width() - LineChartPlotter.checkBoxLength / this.zoomRatio.heightRatio);
-                    $("#line-title" + i + "end")[0].value = this.lineTitleArray[i];
+                    picker.append("option")
+                        .attr("value", i)
+                        .text(this.getLineTitle(i));
                 }
+                picker.node().selectedIndex = lineId;
             };
-            LineChartPlotter.prototype.drawLine = function (lineId) {
-                if (!this.bindingData || !this.bindingData.yData[lineId]) {
+            /**
+              * Draws a row in the legend with a checkbox that turns a setting on and off
+              * @param {string} name The name of the setting, which the id of the checkbox is made from
+              * @param {string} text The text next to the checkbox
+              * @param {boolean} isChecked Whether the setting is on
+              * @param {() => void} toggle Turns the setting on or off in the saved settings
+              */
+            ScatterChartPlotter.prototype.drawOptionRow = function (name, text, isChecked, toggle) {
+                var _this = this;
+                var checkboxLength = Chart.HighlightingPlotter.checkBoxLength / this.zoomRatio.heightRatio;
+                var optionRow = this.legendGroup.append("div")
+                    .attr("class", "legend-row-style");
+                optionRow.append("div")
+                    .attr("id", "scatter-" + name + "-checkbox")
+                    .attr("class", "layout-checkbox")
+                    .style("width", checkboxLength + "px")
+                    .style("height", checkboxLength + "px")
+                    .on("click", function () {
+                    toggle();
+                    _this.configuration.set(DataViz.Config.Trends.wellKnownKeys.scatterOptions, _this.options);
+                });
+                this.setCheckboxStyle(d3.select("#scatter-" + name + "-checkbox"), this.yLineId, isChecked);
+                optionRow.append("span")
+                    .attr("class", "layout-chart-legend-transforms")
+                    .style("color", this.getLineColor(this.yLineId))
+                    .style("padding-left", "4px")
+                    .style("font-size", ScatterChartPlotter.optionFontSize / this.zoomRatio.heightRatio + "px")
+                    .text(text);
+            };
+            /**
+              * Draws the regression line between the smallest and the largest x value
+              */
+            ScatterChartPlotter.prototype.drawRegression = function (regression) {
+                this.scatterChart.append("svg:line")
+                    .attr("id", "scatter-regression")
+                    .attr("x1", this.xAxis(regression.startPeriod))
+                    .attr("y1", this.yAxis(Trends.Data.Trendline.predict(regression, regression.startPeriod)))
+                    .attr("x2", this.xAxis(regression.endPeriod))
+                    .attr("y2", this.yAxis(Trends.Data.Trendline.predict(regression, regression.endPeriod)))
+                    .style("stroke", this.getLineColor(this.yLineId))
+                    .style("stroke-width", ScatterChartPlotter.regressionWidth / this.zoomRatio.heightRatio)
+                    .style("stroke-dasharray", ("6, 4")); //"6" is the dash width and "4" is the width between two dash.
+            };
+            /**
+              * Draws the correlation coefficient in the top right corner of the chart
+              * @param {number} correlation The coefficient, or null if the points have none
+              */
+            ScatterChartPlotter.prototype.drawCorrelation = function (correlation, right, top) {
+                if (correlation === null) {
                     return;
                 }
+                this.scatterChart.append("svg:text")
+                    .attr("id", "scatter-correlation")
+                    .attr("class", "theme-chart-label")
+                    .attr("x", right)
+                    .attr("y", top - 6)
+                    .style("text-anchor", "end")
+                    .style("font-size", ScatterChartPlotter.correlationFontSize / this.zoomRatio.heightRatio + "px")
+                    .text(DataViz.Utils.stringFormat(DataViz.Resources.Scatter.correlationValue, Number(correlation.toFixed(4))));
+            };
+            ScatterChartPlotter.prototype.drawPoints = function (points) {
                 var _this = this;
-                var line = d3.select("#line-group" + lineId)
-                    .append("svg:path")
-                    .attr("id", "line" + lineId)
-                    .attr("class", "theme-chart-line-" + lineId)
-                    .style("stroke-width", function () {
-                    return _this.bindingData.xData.length < LineChartPlotter.beSmallerLeastPointNumber ? LineChartPlotter.lineWidth / _this.zoomRatio.heightRatio
-                        : LineChartPlotter.lineWidthForMore / _this.zoomRatio.heightRatio;
-                })
-                    .style("fill", "none")
-                    .attr("d", this.linePlotter(this.bindingData.yData[lineId].data));
-                var pointGroup = d3.select("#line-group" + lineId)
-                    .append("svg:g")
-                    .attr("id", "point-group" + lineId)
-                    .style("display", "inline");
-                var point = pointGroup.selectAll(".point")
-                    .data(this.bindingData.yData[lineId].data)
-                    .enter().append("svg:circle")
-                    .attr("id", function (data, index) {
-                    return "#point" + "line" + lineId + "column" + data.originalIndex + "end";
+                var pointGroup = this.scatterChart.append("svg:g").attr("id", "scatter-point-group");
+                var radius = ScatterChartPlotter.pointRadius / this.zoomRatio.heightRatio;
+                pointGroup.selectAll(".scatterPoint")
+                    .data(points)
+                    .enter()
+                    .append("svg:circle")
+                    .attr("id", function (point) {
+                    return "scatter-point" + point.column + "end";
                 })
-                    .attr("class", "theme-chart-line-" + lineId)
-                    .attr("cursor", "pointer")
-                    .attr("r", function () {
-                    return _this.bindingData.xData.length < LineChartPlotter.beSmallerLeastPointNumber ? LineChartPlotter.pointRadio / _this.zoomRatio.heightRatio
-                        : LineChartPlotter.pointRadioForMore / _this.zoomRatio.heightRatio;
+                    .attr("class", "layout-chart-scatter-point theme-chart-scatter-point")
+                    .style("fill", this.getLineColor(this.yLineId))
+                    .attr("cx", function (point) {
+                    return _this.xAxis(point.xPoint.unformatted);
                 })
-                    .attr("cx", function (data, index) { return _this.xAxis(data.originalIndex); })
-                    .attr("cy", function (data, index) { return _this.yAxis(data.unformatted); })
-                    .on("mouseover", function () {
-                    d3.select(this).attr("r", function () {
-                        return _this.bindingData.xData.length < LineChartPlotter.beSmallerLeastPointNumber ? LineChartPlotter.pointHoverRadio / _this.zoomRatio.heightRatio
-                            : LineChartPlotter.pointHoverRadioForMore / _this.zoomRatio.heightRatio;
-                    });
+                    .attr("cy", function (point) {
+                    return _this.yAxis(point.yPoint.unformatted);
                 })
-                    .on("mouseout", function () {
-                    d3.select(this).attr("r", function () {
-                        return _this.bindingData.xData.length < LineChartPlotter.beSmallerLeastPointNumber ? LineChartPlotter.pointRadio / _this.zoomRatio.heightRatio
-                            : LineChartPlotter.pointRadioForMore / _this.zoomRatio.heightRatio;
+                    .attr("r", radius)
+                    .on("click", function (point) {
+                    _this.addPointHighlight(_this.yLineId, point.column, function () {
+                        _this.drawScatterBubble(point, true, true);
                     });
                 })
-                    .on("click", function () {
-                    var pointId = d3.select(this).attr("id");
-                    var lineId = _this.getLineIdFromPointId(pointId);
-                    _this.promoteLineToTop(lineId);
-                    _this.drawCircleGroup(pointId, true);
-                    _this.clickedPointIdArray.push(pointId);
-                    _this.configuration.delaySet(DataViz.Config.Trends.wellKnownKeys.clickedPointIdArray, _this.clickedPointIdArray, 300);
+                    .append("svg:title")
+                    .text(function (point) {
+                    return _this.bindingData.xData[point.column] + ": " + _this.getPointText(_this.xLineId, point.xPoint) + ", "
+                        + _this.getPointText(_this.yLineId, point.yPoint);
                 });
-                for (var i = 0; i < this.clickedPointIdArray.length; i++) {
-                    var index = this.clickedPointIdArray[i].indexOf("line" + lineId);
-                    if (index > -1) {
-                        this.drawCircleGroup(this.clickedPointIdArray[i], false);
-                    }
-                }
-            };
-            LineChartPlotter.prototype.drawCircleGroup = function (pointId, beAnimated) {
-                var lineId = this.getLineIdFromPointId(pointId);
-                var column = this.getColumnFromPointId(pointId);
-                var unformattedData = null;
-                var formattedData = null;
-                if (!this.bindingData.yData[lineId]) {
-                    return;
+                if (this.options.showsLabels) {
+                    var fontSize = ScatterChartPlotter.pointLabelFontSize / this.zoomRatio.heightRatio;
+                    pointGroup.selectAll(".scatterLabel")
+                        .data(points)
+                        .enter()
+                        .append("svg:text")
+                        .attr("class", "layout-chart-scatter-label theme-chart-label")
+                        .attr("x", function (point) {
+                        return _this.xAxis(point.xPoint.unformatted) + radius + 2;
+                    })
+                        .attr("y", function (point) {
+                        return _this.yAxis(point.yPoint.unformatted);
+                    })
+                        .attr("dy", ".36em")
+                        .style("font-size", fontSize + "px")
+                        .text(function (point) {
+                        return _this.bindingData.xData[point.column];
+                    });
                 }
-                for (var i = 0; i < this.bindingData.yData[lineId].data.length; i++) {
-                    if (this.bindingData.yData[lineId].data[i].originalIndex === column) {
-                        unformattedData = this.bindingData.yData[lineId].data[i].unformatted;
-                        formattedData = this.bindingData.yData[lineId].data[i].formatted;
-                        break;
+                var isHighlighted = this.getHighlightedColumns(this.yLineId);
+                // The points the highlight rules of the series up the chart pick are found again whenever the data changes, so their bubbles can't be clicked away
+                var ruleHighlights = this.bindingData.yData[this.yLineId].ruleHighlights;
+                ruleHighlights = ruleHighlights ? ruleHighlights : [];
+                points.forEach(function (point) {
+                    if (isHighlighted[point.column]) {
+                        _this.drawScatterBubble(point, false, true);
+                    }
+                    else if (ruleHighlights.indexOf(point.column) > -1) {
+                        _this.drawScatterBubble(point, false, false);
                     }
+                });
+            };
+            /**
+              * Draws the bubble with the value up the chart of a point, as the line chart draws it
+              * @param {ScatterPoint} point The point
+              * @param {boolean} beAnimated Whether the bubble grows in
+              * @param {boolean} isRemovable Whether a click on the bubble removes the highlight
+              */
+            ScatterChartPlotter.prototype.drawScatterBubble = function (point, beAnimated, isRemovable) {
+                var position = [this.xAxis(point.xPoint.unformatted), this.yAxis(point.yPoint.unformatted)];
+                this.drawBubble(d3.select("#scatter-point-group"), this.yLineId, point.yPoint, position, beAnimated, isRemovable);
+            };
+            ScatterChartPlotter.marginTop = 40;
+            ScatterChartPlotter.marginRight = 40;
+            ScatterChartPlotter.marginBottom = 45;
+            ScatterChartPlotter.yLabelFontSize = 18;
+            ScatterChartPlotter.xLabelFontSize = 10;
+            ScatterChartPlotter.axisLabelPadding = 6;
+            ScatterChartPlotter.pointRadius = 5;
+            ScatterChartPlotter.pointLabelFontSize = 10;
+            ScatterChartPlotter.regressionWidth = 2;
+            ScatterChartPlotter.correlationFontSize = 17;
+            ScatterChartPlotter.messageFontSize = 17;
+            ScatterChartPlotter.optionFontSize = 14;
+            ScatterChartPlotter.defaultTickNumber = 5;
+            return ScatterChartPlotter;
+        }(Chart.HighlightingPlotter));
+        Chart.ScatterChartPlotter = ScatterChartPlotter;
+    })(Chart = Trends.Chart || (Trends.Chart = {}));
+})(Trends || (Trends = {}));
+/* **************************************************************************************
+Copyright (c) Microsoft Open Technologies, Inc. All rights reserved. Licensed under the Apache License, Version 2.0.
+See License.txt in the project root for license information.
+***************************************************************************************** */
+///<reference path="shared/chart.ts"/>
+///<reference path="shared/decoration.ts"/>
+///<reference path="data.convertor.agave.ts" />
+///<reference path="data.transformer.trends.ts" />
+///<reference path="numberformat.trends.ts" />
+///<reference path="layouter.trends.ts" />
+///<reference path="highlightingplotter.trends.ts" />
+///<reference path="../app.ts" />
+/**
+  * This module contains the plotter of the small multiples
+  */
+var Trends;
+(function (Trends) {
+    var Chart;
+    (function (Chart) {
+        "use strict";
+        /**
+          * The plotter of the small multiples. Every shown line is drawn in a panel of its own, in a grid the layouter works out from the chart area,
+          * so that many lines can be told apart. All the panels have the same x scale, and the same y scale if the user picks it, so that the panels
+          * can be compared; otherwise every panel fits its y scale to its line. The points are highlighted and noted as in the line chart.
+          * The trendlines, the secondary axis and the fixed ends of the y axis of the line chart don't apply to the panels.
+          */
+        var SmallMultiplesPlotter = (function (_super) {
+            __extends(SmallMultiplesPlotter, _super);
+            function SmallMultiplesPlotter() {
+                _super.apply(this, arguments);
+            }
+            /**
+              * Overriding {@link HighlightingPlotter#initData}
+              */
+            SmallMultiplesPlotter.prototype.initData = function (convertedData) {
+                _super.prototype.initData.call(this, convertedData);
+                this.chartHeight = $("#line-chart").height();
+                this.chartWidth = $("#line-chart").width();
+            };
+            /**
+              * Overriding {@link HighlightingPlotter#readSettings}
+              */
+            SmallMultiplesPlotter.prototype.readSettings = function () {
+                _super.prototype.readSettings.call(this);
+                this.yAxisOptions = this.configuration.get(DataViz.Config.Trends.wellKnownKeys.yAxisOptions);
+                this.yAxisOptions = this.yAxisOptions ? this.yAxisOptions : {};
+                this.isSharedYScale = this.configuration.get(DataViz.Config.Trends.wellKnownKeys.sharedYScale) === true;
+            };
+            /**
+              * Gets the points of a line in the zoom window. A point with no value is left out, and the line breaks there.
+              */
+            SmallMultiplesPlotter.prototype.getPanelPoints = function (lineId) {
+                var _this = this;
+                return this.bindingData.yData[lineId].data.filter(function (point) {
+                    return _this.isPointDrawn(lineId, point);
+                });
+            };
+            /**
+              * Overriding {@link HighlightingPlotter#isPointDrawn}. A point is drawn if it's in the zoom window and has a value.
+              */
+            SmallMultiplesPlotter.prototype.isPointDrawn = function (lineId, point) {
+                return point.unformatted !== null && isFinite(point.unformatted)
+                    && point.originalIndex >= this.firstColumn && point.originalIndex <= this.lastColumn;
+            };
+            /**
+              * Gets the domain of a y scale from the values of some lines. It takes in zero if the y axis settings say so.
+              * @param {number[]} lineIds The ids of the lines drawn against the scale
+              * @returns {number[]} The minimum and the maximum of the scale
+              */
+            SmallMultiplesPlotter.prototype.getYDomain = function (lineIds) {
+                var _this = this;
+                var values = [];
+                lineIds.forEach(function (lineId) {
+                    _this.getPanelPoints(lineId).forEach(function (point) {
+                        values.push(point.unformatted);
+                    });
+                });
+                if (this.yAxisOptions.includesZero) {
+                    values.push(0);
                 }
-                if (formattedData === null || unformattedData === null) {
-                    return;
+                if (values.length === 0) {
+                    return [0, 1];
                 }
+                var extent = d3.extent(values);
+                return (extent[0] === extent[1]) ? [extent[0] - 1, extent[1] + 1] : extent;
+            };
+            /**
+              * Gets the format of the y labels of a panel, which is the format of its line, or the format the shown lines have in common if they share the y scale
+              */
+            SmallMultiplesPlotter.prototype.getAxisFormat = function (lineId, shownLineIds) {
                 var _this = this;
-                var circleGroup = d3.select("#point-group" + lineId).append("svg:g")
-                    .style("display", "inline")
-                    .attr("opacity", 1)
-                    .attr("cursor", "pointer")
-                    .on("click", function () {
-                    d3.select(this).remove();
-                    var index = _this.clickedPointIdArray.indexOf("#point" + "line" + lineId + "column" + column + "end");
-                    _this.clickedPointIdArray.splice(index, 1);
-                    _this.configuration.delaySet(DataViz.Config.Trends.wellKnownKeys.clickedPointIdArray, _this.clickedPointIdArray, 300);
+                var lineIds = this.isSharedYScale ? shownLineIds : [lineId];
+                return Trends.Data.NumberFormat.combine(lineIds.map(function (id) {
+                    return _this.bindingData.yData[id].numberFormat;
+                }));
+            };
+            /**
+              * Overriding {@link HighlightingPlotter#draw}
+              */
+            SmallMultiplesPlotter.prototype.draw = function () {
+                var _this = this;
+                $("#note-editor").remove();
+                this.panelChart = this.appendChart(this.chartWidth, this.chartHeight);
+                this.drawLegend();
+                $("#zoom-reset-button").toggle(this.isZoomed());
+                var shownLineIds = this.getShownLineIds();
+                this.grid = Chart.Layouter.getPanelGrid(shownLineIds.length);
+                var labelPadding = SmallMultiplesPlotter.labelPadding / this.zoomRatio.heightRatio;
+                this.panelTop = SmallMultiplesPlotter.panelTitleFontSize / this.zoomRatio.heightRatio + 2 * labelPadding;
+                this.panelBottom = this.grid.panelHeight - SmallMultiplesPlotter.labelFontSize / this.zoomRatio.heightRatio - 2 * labelPadding;
+                var sharedDomain = this.isSharedYScale ? this.getYDomain(shownLineIds) : null;
+                this.yAxes = {};
+                shownLineIds.forEach(function (lineId, index) {
+                    var domain = sharedDomain ? sharedDomain : _this.getYDomain([lineId]);
+                    _this.yAxes[lineId] = d3.scale.linear().domain(domain).nice(SmallMultiplesPlotter.yTickNumber).range([_this.panelBottom, _this.panelTop]);
+                    _this.panelChart.append("svg:g")
+                        .attr("id", "panel" + lineId)
+                        .attr("transform", "translate(" + _this.grid.getColumn(index) * _this.grid.panelWidth + "," + _this.grid.getRow(index) * _this.grid.panelHeight + ")");
                 });
-                circleGroup.append("svg:circle")
-                    .attr("class", "theme-chart-line-" + lineId)
-                    .attr("opacity", 1)
-                    .attr("cx", Math.round(this.xAxis(column) * 100) / 100)
-                    .attr("cy", this.yAxis(unformattedData))
-                    .attr("r", 0)
-                    .transition()
-                    .duration(function () {
-                    if (beAnimated) {
-                        return LineChartPlotter.durationTime;
-                    }
-                    else {
-                        return 0;
-                    }
-                })
-                    .attr("r", (formattedData.length > LineChartPlotter.maxTextLength)
-                    ? LineChartPlotter.radius[LineChartPlotter.maxTextLength - 1] / this.zoomRatio.heightRatio
-                    : LineChartPlotter.radius[formattedData.length - 1] / this.zoomRatio.heightRatio);
-                var fontSize = (formattedData.length > LineChartPlotter.maxTextLength)
-                    ? LineChartPlotter.fontSize[LineChartPlotter.maxTextLength - 1]
-                    : LineChartPlotter.fontSize[formattedData.length - 1];
-                circleGroup.append("svg:text")
-                    .attr("class", "theme-chart-value layout-chart-value")
-                    .attr("x", Math.round(this.xAxis(column) * 100) / 100)
-                    .attr("y", this.yAxis(unformattedData))
-                    .attr("dy", ".36em")
-                    .attr("font-size", fontSize / this.zoomRatio.heightRatio)
-                    .text((formattedData.length > LineChartPlotter.maxTextLength) ? formattedData.substring(0, 8) + "..." : formattedData)
-                    .attr("opacity", 0)
-                    .transition()
-                    .duration(function () {
-                    if (beAnimated) {
-                        return LineChartPlotter.durationTime;
-                    }
-                    else {
-                        return 0;
+                // The y labels are drawn first, since the x scale all the panels share starts after the widest of them
+                var left = 0;
+                shownLineIds.forEach(function (lineId) {
+                    left = Math.max(left, _this.drawYLabels(lineId, shownLineIds));
+                });
+                left += SmallMultiplesPlotter.labelPadding / this.zoomRatio.widthRatio;
+                var right = this.grid.panelWidth - SmallMultiplesPlotter.panelPadding / this.zoomRatio.widthRatio;
+                this.xAxis = (this.bindingData.xDates ? d3.time.scale.utc() : d3.scale.linear()).domain(this.getXDomain()).range([left, right]);
+                shownLineIds.forEach(function (lineId, index) {
+                    _this.drawYTicks(lineId, [left, right]);
+                    _this.drawPanelTitle(lineId, left);
+                    // Only the panels at the bottom of their grid column have the x labels, since the x scale is the same in every panel
+                    if (index + _this.grid.columnNumber >= shownLineIds.length) {
+                        _this.drawXLabels(lineId);
                     }
-                })
-                    .attr("opacity", 1);
+                    _this.drawLine(lineId);
+                    _this.drawPoints(lineId);
+                    _this.drawAnnotations(lineId);
+                });
             };
-            LineChartPlotter.prototype.getLineIdFromLineTitleId = function (lineTitleId) {
-                return this.getNumberFromString(lineTitleId, "line-title", "end");
+            /**
+              * Draws the y labels of a panel on its left, above their ticks
+              * @returns {number} The width of the widest label
+              */
+            SmallMultiplesPlotter.prototype.drawYLabels = function (lineId, shownLineIds) {
+                var yAxis = this.yAxes[lineId];
+                var ticks = yAxis.ticks(SmallMultiplesPlotter.yTickNumber);
+                var labels = this.getAxisFormat(lineId, shownLineIds).formatTicks(ticks, this.isCompact);
+                var yLabels = d3.select("#panel" + lineId).selectAll(".yLabel")
+                    .data(ticks)
+                    .enter()
+                    .append("svg:text")
+                    .attr("class", "layout-chart-y-label theme-chart-label")
+                    .attr("x", 0)
+                    .attr("y", function (data) {
+                    return yAxis(data) - 2;
+                }) //"2" is the padding bottom from the ticks.
+                    .style("font-size", SmallMultiplesPlotter.labelFontSize / this.zoomRatio.heightRatio + "px")
+                    .text(function (data, index) {
+                    return labels[index];
+                });
+                return Chart.HighlightingPlotter.getMaxWidth(yLabels);
             };
-            LineChartPlotter.prototype.getLineIdFromCheckboxId = function (checkboxId) {
-                return this.getNumberFromString(checkboxId, "checkbox", "end");
+            /**
+              * Gets the domain of the x scale the panels share, which spans the columns in the zoom window. If the x values are dates,
+              * the domain spans their dates, so that the columns are spaced by date as in the line chart. A single column is put in the middle.
+              */
+            SmallMultiplesPlotter.prototype.getXDomain = function () {
+                if (this.bindingData.xDates) {
+                    var dates = this.bindingData.xDates.slice(this.firstColumn, this.lastColumn + 1);
+                    var extent = d3.extent(dates);
+                    return (extent[0].getTime() === extent[1].getTime())
+                        ? [d3.time.day.utc.offset(extent[0], -1), d3.time.day.utc.offset(extent[1], 1)] : extent;
+                }
+                return (this.lastColumn > this.firstColumn) ? [this.firstColumn, this.lastColumn] : [this.firstColumn - 0.5, this.firstColumn + 0.5];
             };
-            LineChartPlotter.prototype.getLineIdFromPointId = function (pointId) {
-                return this.getNumberFromString(pointId, "line", "column");
+            /**
+              * Gets the x position of a column in a panel, which is spaced by date if the x values are dates
+              */
+            SmallMultiplesPlotter.prototype.getXPosition = function (column) {
+                return this.bindingData.xDates ? this.xAxis(this.bindingData.xDates[column]) : this.xAxis(column);
             };
-            LineChartPlotter.prototype.getColumnFromPointId = function (pointId) {
-                return this.getNumberFromString(pointId, "column", "end");
+            /**
+              * Draws the dashed ticks of the y labels of a panel across its plot area
+              * @param {number[]} range Where the ticks start and end
+              */
+            SmallMultiplesPlotter.prototype.drawYTicks = function (lineId, range) {
+                var yAxis = this.yAxes[lineId];
+                d3.select("#panel" + lineId).selectAll(".yTicks")
+                    .data(yAxis.ticks(SmallMultiplesPlotter.yTickNumber))
+                    .enter()
+                    .append("svg:line")
+                    .attr("class", "theme-chart-ticks")
+                    .attr("x1", range[0])
+                    .attr("y1", function (data) {
+                    return yAxis(data);
+                })
+                    .attr("x2", range[1])
+                    .attr("y2", function (data) {
+                    return yAxis(data);
+                })
+                    .style("stroke-dasharray", ("5, 3")); //"5" is the dash width and "3" is the width between two dash.
             };
-            LineChartPlotter.prototype.getNumberFromString = function (orgString, startString, endString) {
-                var endIndex = orgString.indexOf(endString);
-                var startIndex = orgString.indexOf(startString) + startString.length;
-                var num = orgString.substring(startIndex, endIndex);
-                return parseInt(num);
+            SmallMultiplesPlotter.prototype.drawPanelTitle = function (lineId, left) {
+                d3.select("#panel" + lineId).append("svg:text")
+                    .attr("id", "panel-title" + lineId + "end")
+                    .attr("class", "layout-chart-panel-title")
+                    .attr("x", left)
+                    .attr("y", SmallMultiplesPlotter.panelTitleFontSize / this.zoomRatio.heightRatio)
+                    .style("fill", this.getLineColor(lineId))
+                    .style("font-size", SmallMultiplesPlotter.panelTitleFontSize / this.zoomRatio.heightRatio + "px")
+                    .text(this.lineTitleArray[lineId]);
             };
-            LineChartPlotter.prototype.promoteLineToTop = function (lineId) {
-                if (lineId !== this.lineOrder[this.lineOrder.length - 1]) {
-                    if (d3.select("#line-group" + lineId)) {
-                        d3.select("#line-group" + lineId).remove();
-                        this.lineChart.append("svg:g")
-                            .attr("id", "line-group" + lineId);
-                    }
-                    this.drawLine(lineId);
-                    //reset line order
-                    var index = this.lineOrder.indexOf(lineId);
-                    this.lineOrder.splice(index, 1);
-                    this.lineOrder.push(lineId);
-                    this.configuration.set(DataViz.Config.Trends.wellKnownKeys.lineOrder, this.lineOrder);
-                }
+            /**
+              * Draws the x labels of the first, the middle and the last column under a panel. The first and the last labels are kept inside the panel.
+              */
+            SmallMultiplesPlotter.prototype.drawXLabels = function (lineId) {
+                var _this = this;
+                var columns = [this.firstColumn, Math.round((this.firstColumn + this.lastColumn) / 2), this.lastColumn].filter(function (column, index, all) {
+                    return all.indexOf(column) === index;
+                });
+                var fontSize = SmallMultiplesPlotter.labelFontSize / this.zoomRatio.heightRatio;
+                d3.select("#panel" + lineId).selectAll(".xLabel")
+                    .data(columns)
+                    .enter()
+                    .append("svg:text")
+                    .attr("class", "layout-chart-x-label theme-chart-label")
+                    .attr("x", function (column) {
+                    return _this.getXPosition(column);
+                })
+                    .attr("y", this.panelBottom + fontSize + SmallMultiplesPlotter.labelPadding / this.zoomRatio.heightRatio)
+                    .style("text-anchor", function (column, index) {
+                    return (columns.length === 1) ? "middle" : ((index === 0) ? "start" : ((index === columns.length - 1) ? "end" : "middle"));
+                })
+                    .style("font-size", fontSize + "px")
+                    .text(function (column) {
+                    return _this.bindingData.xData[column];
+                });
             };
-            LineChartPlotter.prototype.setMaxAndMin = function () {
-                var isFirstNumber = true;
-                var temp;
-                for (var i = 0; i < this.lineNumber; i++) {
-                    if (this.bindingData.yData[i]) {
-                        for (var j = 0; j < this.bindingData.yData[i].validDataCount; j++) {
-                            temp = this.bindingData.yData[i].data[j].unformatted;
-                            if (isFirstNumber) {
-                                this.max = temp;
-                                this.min = temp;
-                                isFirstNumber = false;
-                            }
-                            this.max = Math.max(this.max, temp);
-                            this.min = Math.min(this.min, temp);
-                        }
-                    }
-                }
-                // There's no valid data
-                if (isFirstNumber || this.max === null || this.max === undefined || this.min === null || this.min === undefined) {
-                    this.min = 0;
-                    this.max = 1;
-                }
-                else if (this.min === this.max) {
-                    if (this.min > 0) {
-                        this.min = 0;
+            SmallMultiplesPlotter.prototype.drawLine = function (lineId) {
+                var _this = this;
+                var yAxis = this.yAxes[lineId];
+                var pathData = [];
+                this.getPanelPoints(lineId).forEach(function (point) {
+                    if (point.isAfterGap) {
+                        pathData.push(null);
                     }
-                    else if (this.min < 0) {
-                        this.max = 0;
+                    pathData.push(point);
+                });
+                var linePlotter = d3.svg.line()
+                    .x(function (point) {
+                    return _this.getXPosition(point.originalIndex);
+                })
+                    .y(function (point) {
+                    return yAxis(point.unformatted);
+                })
+                    .defined(function (point) {
+                    return point !== null;
+                })
+                    .interpolate("monotone");
+                d3.select("#panel" + lineId).append("svg:path")
+                    .attr("id", "panel-line" + lineId)
+                    .style("stroke", this.getLineColor(lineId))
+                    .style("stroke-width", SmallMultiplesPlotter.lineWidth / this.zoomRatio.heightRatio)
+                    .style("fill", "none")
+                    .attr("d", linePlotter(pathData));
+            };
+            /**
+              * Draws the points of a panel, which are highlighted when clicked, and the bubbles of the highlighted points
+              */
+            SmallMultiplesPlotter.prototype.drawPoints = function (lineId) {
+                var _this = this;
+                var yAxis = this.yAxes[lineId];
+                var points = this.getPanelPoints(lineId);
+                var pointGroup = d3.select("#panel" + lineId).append("svg:g").attr("id", "panel-point-group" + lineId);
+                pointGroup.selectAll(".point")
+                    .data(points)
+                    .enter()
+                    .append("svg:circle")
+                    .attr("id", function (point) {
+                    return "panel-point" + "line" + lineId + "column" + point.originalIndex + "end";
+                })
+                    .style("fill", function (point) {
+                    return point.isMissing ? "none" : _this.getLineColor(lineId);
+                })
+                    .style("stroke", this.getLineColor(lineId))
+                    .style("stroke-width", function (point) {
+                    return point.isMissing ? 1 / _this.zoomRatio.heightRatio : 0;
+                })
+                    .attr("pointer-events", "all")
+                    .attr("cursor", "pointer")
+                    .attr("r", SmallMultiplesPlotter.pointRadius / this.zoomRatio.heightRatio)
+                    .attr("cx", function (point) {
+                    return _this.getXPosition(point.originalIndex);
+                })
+                    .attr("cy", function (point) {
+                    return yAxis(point.unformatted);
+                })
+                    .on("click", function (point) {
+                    _this.addPointHighlight(lineId, point.originalIndex, function () {
+                        _this.drawPanelBubble(lineId, point, true, true);
+                    });
+                })
+                    .append("svg:title")
+                    .text(function (point) {
+                    return _this.bindingData.xData[point.originalIndex] + ": " + _this.getPointText(lineId, point);
+                });
+                var isHighlighted = this.getHighlightedColumns(lineId);
+                // The points the highlight rules pick are found again whenever the data changes, so their bubbles can't be clicked away
+                var ruleHighlights = this.bindingData.yData[lineId].ruleHighlights;
+                ruleHighlights = ruleHighlights ? ruleHighlights : [];
+                points.forEach(function (point) {
+                    if (isHighlighted[point.originalIndex]) {
+                        _this.drawPanelBubble(lineId, point, false, true);
                     }
-                    else {
-                        this.min = -1;
+                    else if (ruleHighlights.indexOf(point.originalIndex) > -1) {
+                        _this.drawPanelBubble(lineId, point, false, false);
                     }
-                }
+                });
             };
-            LineChartPlotter.prototype.isPercentageFormat = function () {
-                var count;
-                for (var i = 0; i < this.lineNumber; i++) {
-                    if (this.bindingData.yData[i]) {
-                        count = 0;
-                        for (var j = 0; j < this.bindingData.yData[i].validDataCount; j++) {
-                            if (this.bindingData.yData[i].data[j].formatted.lastIndexOf("%") !== -1) {
-                                count++;
-                            }
-                        }
-                        if (count < j / 2 || count === 0) {
-                            return false;
-                        }
-                    }
+            /**
+              * Draws the bubble of a highlighted point, with its value in it, as the line chart draws it. A point without a note
+              * gets the button that adds one.
+              * @param {number} lineId The id of the line of the point
+              * @param {PointDataOnLine} point The point
+              * @param {boolean} beAnimated Whether the bubble grows in
+              * @param {boolean} isRemovable Whether a click on the bubble removes the highlight
+              */
+            SmallMultiplesPlotter.prototype.drawPanelBubble = function (lineId, point, beAnimated, isRemovable) {
+                var circleGroup = this.drawBubble(d3.select("#panel-point-group" + lineId), lineId, point, this.getPointPosition(lineId, point), beAnimated, isRemovable);
+                if (circleGroup) {
+                    this.drawNoteButton(circleGroup, lineId, point, this.getBubbleRadius(this.getPointText(lineId, point)));
                 }
-                return true;
             };
-            LineChartPlotter.prototype.getSvgElementWidth = function (elementId) {
-                var element = $("#" + elementId);
-                if (element.get(0)) {
-                    return element.get(0).getBBox().width;
-                }
-                return 0;
+            /**
+              * Overriding {@link HighlightingPlotter#getPointPosition}
+              */
+            SmallMultiplesPlotter.prototype.getPointPosition = function (lineId, point) {
+                return [this.getXPosition(point.originalIndex), this.yAxes[lineId](point.unformatted)];
             };
-            LineChartPlotter.durationTime = 300;
-            // Different radiuses of the bubble after user clicks a point, which depends on the text length in it
-            LineChartPlotter.radius = [13, 16, 20, 25, 29, 29, 29, 29, 29];
-            // Different font sizes of the bubble text, which depends on the text length in it
-            LineChartPlotter.fontSize = [17, 17, 17, 17, 17, 15, 13, 12, 11];
-            LineChartPlotter.defaultYLableFontSize = 18;
-            LineChartPlotter.defaultXLableFontSize = 10;
-            LineChartPlotter.legendFontSize = 17;
-            LineChartPlotter.checkBoxLength = 15;
-            LineChartPlotter.xAxisPaddingBottm = 15;
-            LineChartPlotter.xTickWidth = 5;
-            LineChartPlotter.marginRight = 40;
-            LineChartPlotter.marginTop = 40;
-            LineChartPlotter.marginBottom = 45;
-            LineChartPlotter.maxTextLength = 9;
-            LineChartPlotter.defaultYTickNumber = 2;
-            LineChartPlotter.pointRadio = 6;
-            LineChartPlotter.pointRadioForMore = 4;
-            LineChartPlotter.pointHoverRadio = 9;
-            LineChartPlotter.pointHoverRadioForMore = 7;
-            LineChartPlotter.lineWidth = 5;
-            LineChartPlotter.lineWidthForMore = 3;
-            LineChartPlotter.beSmallerLeastPointNumber = 21;
-            LineChartPlotter.resetAction = {
-                deleteColumn: "deleteColumn",
-                addColumn: "addColumn",
-                revise: "revise"
+            /**
+              * Overriding {@link HighlightingPlotter#getLineGroup}. The notes of a line are drawn in its panel.
+              */
+            SmallMultiplesPlotter.prototype.getLineGroup = function (lineId) {
+                return d3.select("#panel" + lineId);
             };
-            return LineChartPlotter;
-        }(DataViz.Tools.Pausable));
-        Chart.LineChartPlotter = LineChartPlotter;
-    })(Chart = Trends.Chart || (Trends.Chart = {}));
-})(Trends || (Trends = {}));
-/* **************************************************************************************
-Copyright (c) Microsoft Open Technologies, Inc. All rights reserved. Licensed under the Apache License, Version 2.0.
-See License.txt in the project root for license information.
-***************************************************************************************** */
-/**
-  * This module contains the pre-defined SKU configs
-  */
-var DataViz;
-(function (DataViz) {
-    var SKUs;
-    (function (SKUs) {
-        "use strict";
-        var Predefines = (function () {
-            function Predefines() {
-            }
-            Object.defineProperty(Predefines, "Instance", {
-                get: function () {
-                    if (!Predefines.instance) {
-                        Predefines.instance = new Predefines;
-                    }
-                    return Predefines.instance;
-                },
-                enumerable: true,
-                configurable: true
-            });
             /**
-              * Get all the definitions of SKUs
-              * @returns {DataViz.SKUs.SKUDefinition[]} SKU definitions
+              * Overriding {@link HighlightingPlotter#getAnnotationTop}. A note is drawn below its point if there's no room above it in the panel.
               */
-            Predefines.prototype.getAll = function () {
-                var defs = new Array();
-                defs.push(this.getDefault());
-                return defs;
+            SmallMultiplesPlotter.prototype.getAnnotationTop = function (lineId) {
+                return this.panelTop;
             };
-            Predefines.prototype.getDefault = function () {
-                var def = new DataViz.SKUs.SKUDefinition();
-                def.id = "trends-default";
-                def.thumbnail = "";
-                def.displayName = "trends-default";
-                def.plotter = "Trends.Chart.LineChartPlotter";
-                def.layouter = "Trends.Chart.Layouter";
-                def.dataBinder = "Trends.Data.Agave.DataBinder";
-                def.dataConvertor = "Trends.Data.DataConvertor";
-                def.configurator = "DataViz.Config.Trends.Configurator";
-                def.defaultTheme = "default-greenwhite";
-                def.defaultShape = "";
-                def.defaultLayout = "layout-trends-default";
-                var sampleData = {};
-                sampleData["formatted"] = [
-                    ["Time", DataViz.Resources.SampleData.legend1, DataViz.Resources.SampleData.legend2],
-                    [DataViz.Resources.SampleData.time1, "41", "61"],
-                    [DataViz.Resources.SampleData.time2, "9", "15"],
-                    [DataViz.Resources.SampleData.time3, "29", "40"],
-                    [DataViz.Resources.SampleData.time4, "123", "83"],
-                    [DataViz.Resources.SampleData.time5, "148", "107"],
-                    [DataViz.Resources.SampleData.time6, "148", "109"],
-                    [DataViz.Resources.SampleData.time7, "109", "130"],
-                    [DataViz.Resources.SampleData.time8, "129", "172"],
-                    [DataViz.Resources.SampleData.time9, "73", "110"]
-                ];
-                sampleData["unformatted"] = [
-                    ["Time", DataViz.Resources.SampleData.legend1, DataViz.Resources.SampleData.legend2],
-                    [DataViz.Resources.SampleData.time1, "41", "61"],
-                    [DataViz.Resources.SampleData.time2, "9", "15"],
-                    [DataViz.Resources.SampleData.time3, "29", "40"],
-                    [DataViz.Resources.SampleData.time4, "123", "83"],
-                    [DataViz.Resources.SampleData.time5, "148", "107"],
-                    [DataViz.Resources.SampleData.time6, "148", "109"],
-                    [DataViz.Resources.SampleData.time7, "109", "130"],
-                    [DataViz.Resources.SampleData.time8, "129", "172"],
-                    [DataViz.Resources.SampleData.time9, "73", "110"]
-                ];
-                sampleData["dataPoints"] = ["#pointline0column4end"];
-                sampleData["sampleText"] = {
-                    "title": DataViz.Resources.SampleData.title,
-                    "shortdes1Title": DataViz.Resources.SampleData.shortDescriptionTitle,
-                    "shortdes1Descript": DataViz.Resources.SampleData.shortDescription,
-                    "longdesTitle": DataViz.Resources.SampleData.longDescriptionTitle,
-                    "longdesDescript": DataViz.Resources.SampleData.longDescription
-                };
-                def.sampleData = sampleData;
-                return def;
+            /**
+              * Overriding {@link HighlightingPlotter#getAnnotationOffset}
+              */
+            SmallMultiplesPlotter.prototype.getAnnotationOffset = function () {
+                return SmallMultiplesPlotter.panelAnnotationOffset / this.zoomRatio.heightRatio;
             };
-            Predefines.instance = null;
-            return Predefines;
-        }());
-        SKUs.Predefines = Predefines;
-    })(SKUs = DataViz.SKUs || (DataViz.SKUs = {}));
-})(DataViz || (DataViz = {}));
+            /**
+              * Draws the legend, with the checkbox that gives all the panels the same y scale above the rows of the lines
+              */
+            SmallMultiplesPlotter.prototype.drawLegend = function () {
+                var _this = this;
+                var checkboxLength = Chart.HighlightingPlotter.checkBoxLength / this.zoomRatio.heightRatio;
+                var scaleRow = this.legendGroup.append("div")
+                    .attr("class", "legend-row-style");
+                scaleRow.append("div")
+                    .attr("id", "shared-y-scale-checkbox")
+                    .attr("class", "layout-checkbox")
+                    .style("width", checkboxLength + "px")
+                    .style("height", checkboxLength + "px")
+                    .on("click", function () {
+                    _this.configuration.set(DataViz.Config.Trends.wellKnownKeys.sharedYScale, !_this.isSharedYScale);
+                });
+                this.setCheckboxStyle(d3.select("#shared-y-scale-checkbox"), 0, this.isSharedYScale);
+                scaleRow.append("span")
+                    .attr("class", "layout-chart-legend-transforms")
+                    .style("color", this.getLineColor(0))
+                    .style("padding-left", "4px")
+                    .style("font-size", Chart.HighlightingPlotter.legendTransformsFontSize / this.zoomRatio.heightRatio + "px")
+                    .text(DataViz.Resources.SmallMultiples.sharedYScale);
+                this.drawLineLegend();
+            };
+            /**
+              * Overriding {@link HighlightingPlotter#onLineTitleChanged}. The title of the panel of the line is changed with it.
+              */
+            SmallMultiplesPlotter.prototype.onLineTitleChanged = function (lineId) {
+                d3.select("#panel-title" + lineId + "end").text(this.lineTitleArray[lineId]);
+            };
+            SmallMultiplesPlotter.panelPadding = 10;
+            SmallMultiplesPlotter.panelTitleFontSize = 13;
+            SmallMultiplesPlotter.labelFontSize = 10;
+            SmallMultiplesPlotter.labelPadding = 4;
+            SmallMultiplesPlotter.yTickNumber = 3;
+            SmallMultiplesPlotter.lineWidth = 2;
+            SmallMultiplesPlotter.pointRadius = 3;
+            // A note is drawn closer to its point than in the line chart, since the panels are small
+            SmallMultiplesPlotter.panelAnnotationOffset = 30;
+            return SmallMultiplesPlotter;
+        }(Chart.HighlightingPlotter));
+        Chart.SmallMultiplesPlotter = SmallMultiplesPlotter;
+    })(Chart = Trends.Chart || (Trends.Chart = {}));
+})(Trends || (Trends = {}));
 //# sourceMappingURL=ModernTrend.js.map
\ No newline at end of file
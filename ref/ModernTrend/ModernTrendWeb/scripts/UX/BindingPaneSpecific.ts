@@ -5,6 +5,7 @@ See License.txt in the project root for license information.
 
 ///<reference path="shared/BindingPane.ts"/>
 ///<reference path="../logic/configurator.agave.ts"/>
+///<reference path="../logic/data.convertor.agave.ts"/>
 ///<reference path="../strings/stringadapter.ts"/>
 
 declare var $: any;
@@ -13,6 +14,51 @@ declare var Office: any;
 module DataViz.UX {
     export class BindingPaneSpecific extends BindingPane {
         private static instance: BindingPaneSpecific;
+        private selectedValue: any[][];
+        private orientation: string;
+        private firstRowIsHeader: boolean;
+        private firstColumnIsLabels: boolean;
+        private isHeaderChanged: boolean;
+        private isLabelsChanged: boolean;
+
+        constructor() {
+            super();
+            this.selectedValue = null;
+            this.orientation = DataViz.Config.Trends.Orientation.seriesInColumns;
+            this.firstRowIsHeader = true;
+            this.firstColumnIsLabels = true;
+            this.isHeaderChanged = false;
+            this.isLabelsChanged = false;
+
+            $("#sample-data-pane").after(
+                $("<div/>", { id: "read-options", "class": "read-options-style" }).append(
+                    $("<label/>", { "class": "read-option" }).append(
+                        $("<input/>", { id: "first-row-is-header", type: "checkbox" })
+                        ).append(
+                        $("<span/>", { id: "first-row-is-header-text" })
+                        )
+                    ).append(
+                    $("<label/>", { "class": "read-option" }).append(
+                        $("<input/>", { id: "first-column-is-labels", type: "checkbox" })
+                        ).append(
+                        $("<span/>", { id: "first-column-is-labels-text" })
+                        )
+                    )
+                );
+            $("#read-options").hide();
+
+            $("#first-row-is-header").change(() => {
+                this.firstRowIsHeader = $("#first-row-is-header").prop("checked");
+                this.isHeaderChanged = true;
+                this.showSelectionPreview();
+            });
+
+            $("#first-column-is-labels").change(() => {
+                this.firstColumnIsLabels = $("#first-column-is-labels").prop("checked");
+                this.isLabelsChanged = true;
+                this.showSelectionPreview();
+            });
+        }
 
         /**
           * Get the singleton instance.
@@ -25,11 +71,50 @@ module DataViz.UX {
             return BindingPaneSpecific.instance;
         }
 
+        /**
+          * Gets the text of the "first row is header" option, which is about the first column if the series are in rows
+          * @param {string} orientation One of {@link DataViz.Config.Trends.Orientation}
+          * @returns {string} The text of the option
+          */
+        public static getHeaderOptionText(orientation: string): string {
+            return (orientation === DataViz.Config.Trends.Orientation.seriesInRows) ? DataViz.Resources.ReadOptions.firstColumnIsHeader
+                                                                                    : DataViz.Resources.ReadOptions.firstRowIsHeader;
+        }
+
+        /**
+          * Gets the text of the "first column is labels" option, which is about the first row if the series are in rows
+          * @param {string} orientation One of {@link DataViz.Config.Trends.Orientation}
+          * @returns {string} The text of the option
+          */
+        public static getLabelsOptionText(orientation: string): string {
+            return (orientation === DataViz.Config.Trends.Orientation.seriesInRows) ? DataViz.Resources.ReadOptions.firstRowIsLabels
+                                                                                    : DataViz.Resources.ReadOptions.firstColumnIsLabels;
+        }
+
+        /**
+          * Saves how the selection is to be read, so that the chart reads the new binding the way the preview shows it.
+          * Only the options the user changed are saved; the others are left to be detected from the data.
+          */
+        public saveReadOptions() {
+            if (!this.selectedValue) {
+                return;
+            }
+
+            if (this.isHeaderChanged) {
+                DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.firstRowIsHeader, this.firstRowIsHeader);
+            }
+
+            if (this.isLabelsChanged) {
+                DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.firstColumnIsLabels, this.firstColumnIsLabels);
+            }
+        }
+
         public handleDataSelection() {
             Office.context.document.getSelectedDataAsync(
                 Office.CoercionType.Matrix,
                 { valueFormat: Office.ValueFormat.Unformatted, filterType: Office.FilterType.OnlyVisible },
                 (result: any) => {
+                    this.hideSelectionPreview();
                     if (result.status === Office.AsyncResultStatus.Succeeded) {
                         this.bindingData = result.value;
 
@@ -49,52 +134,16 @@ module DataViz.UX {
                             var rowCount = result.value.length;
                             var columnCount = result.value[0].length;
                             var culture = DataViz.Config.Trends.Culture;
-                            var rowString = this.getPluralString(DataViz.Resources.Pluralization.rows, rowCount);
-                            var columnString = this.getPluralString(DataViz.Resources.Pluralization.columns, columnCount);
-                            var maxRowNumber = DataViz.Config.Trends.MaxColumnNumber;
-                            var maxColumnNumber = DataViz.Config.Trends.MaxLineNumber + 1;
-                            var maxRowString = this.getPluralString(DataViz.Resources.Pluralization.rows, maxRowNumber);
-                            var maxColumnString = this.getPluralString(DataViz.Resources.Pluralization.columns, maxColumnNumber);
-
-                            var infoString = "";
-                            if (rowCount > maxRowNumber && columnCount > maxColumnNumber) {
-                                infoString = DataViz.Utils.stringFormat(DataViz.Resources.BindingPane.infoMaxRowAndColumn,
-                                    rowCount,
-                                    rowString,
-                                    columnCount,
-                                    columnString,
-                                    maxRowNumber,
-                                    maxRowString,
-                                    maxColumnNumber,
-                                    maxColumnString);
-                            }
-                            else if (rowCount > maxRowNumber && columnCount <= maxColumnNumber) {
-                                infoString = DataViz.Utils.stringFormat(DataViz.Resources.BindingPane.infoMaxRow,
-                                    rowCount,
-                                    rowString,
-                                    columnCount,
-                                    columnString,
-                                    maxRowNumber,
-                                    maxRowString);
-                            }
-                            else if (rowCount <= maxRowNumber && columnCount > maxColumnNumber) {
-                                infoString = DataViz.Utils.stringFormat(DataViz.Resources.BindingPane.infoMaxColumn,
-                                    rowCount,
-                                    rowString,
-                                    columnCount,
-                                    columnString,
-                                    maxColumnNumber,
-                                    maxColumnString);
-                            }
-                            else {
-                                infoString = DataViz.Utils.stringFormat(DataViz.Resources.BindingPane.infoNormal,
-                                    rowCount,
-                                    rowString,
-                                    columnCount,
-                                    columnString);
-                            }
+                            var rowString = BindingPaneSpecific.getPluralString(DataViz.Resources.Pluralization.rows, rowCount);
+                            var columnString = BindingPaneSpecific.getPluralString(DataViz.Resources.Pluralization.columns, columnCount);
+                            var infoString = DataViz.Utils.stringFormat(DataViz.Resources.BindingPane.infoNormal,
+                                rowCount,
+                                rowString,
+                                columnCount,
+                                columnString);
 
                             this.setInfoTextAndButton(infoString, DataViz.UX.infoColors.green, true);
+                            this.readSelection(result.value);
                         }
                     }
                     // "1008" is the error code for "Data Read Error"
@@ -108,6 +157,57 @@ module DataViz.UX {
                 );
         }
 
+        /**
+          * Works out how the selection will be read, the same way as the bound data is read. The saved orientation is kept
+          * unless the selection is obviously series in rows, and the header and label options start from their saved values,
+          * or from what is detected if they haven't been saved.
+          */
+        private readSelection(value: any[][]) {
+            var configuration = DataViz.mainApp.Configuration;
+            var wellKnownKeys = DataViz.Config.Trends.wellKnownKeys;
+            this.selectedValue = value;
+            this.isHeaderChanged = false;
+            this.isLabelsChanged = false;
+
+            var orientation = Trends.Data.DataConvertor.guessOrientation(value);
+            var savedOrientation = configuration.get(wellKnownKeys.orientation);
+            this.orientation = (orientation === DataViz.Config.Trends.Orientation.seriesInRows || !savedOrientation) ? orientation : savedOrientation;
+
+            var orientedValue = (this.orientation === DataViz.Config.Trends.Orientation.seriesInRows) ? Trends.Data.DataConvertor.transpose(value) : value;
+            var savedHeader = configuration.get(wellKnownKeys.firstRowIsHeader);
+            var savedLabels = configuration.get(wellKnownKeys.firstColumnIsLabels);
+            this.firstRowIsHeader = (savedHeader !== null && savedHeader !== undefined) ? savedHeader : Trends.Data.DataConvertor.detectHeader(orientedValue);
+            this.firstColumnIsLabels = (savedLabels !== null && savedLabels !== undefined) ? savedLabels : true;
+
+            $("#first-row-is-header").prop("checked", this.firstRowIsHeader);
+            $("#first-column-is-labels").prop("checked", this.firstColumnIsLabels);
+            $("#first-row-is-header-text").text(BindingPaneSpecific.getHeaderOptionText(this.orientation));
+            $("#first-column-is-labels-text").text(BindingPaneSpecific.getLabelsOptionText(this.orientation));
+            $("#read-options").show();
+            this.showSelectionPreview();
+        }
+
+        private showSelectionPreview() {
+            var isSeriesInRows = this.orientation === DataViz.Config.Trends.Orientation.seriesInRows;
+            this.showPreview(this.selectedValue, DataViz.Resources.BindingPane.previewSubtitle, (row: number, column: number) => {
+                var isHeader = this.firstRowIsHeader && (isSeriesInRows ? column : row) === 0;
+                var isLabel = this.firstColumnIsLabels && (isSeriesInRows ? row : column) === 0;
+                if (isHeader && isLabel) {
+                    return "preview-unused-cell";
+                }
+
+                return isHeader ? "preview-header-cell" : (isLabel ? "preview-label-cell" : "");
+            });
+        }
+
+        private hideSelectionPreview() {
+            if (this.selectedValue) {
+                this.selectedValue = null;
+                $("#read-options").hide();
+                this.showSampleData();
+            }
+        }
+
         private isFirstColumnNonEmpty(value: any[][]): boolean {
             if (!value) {
                 return false;
@@ -155,7 +255,7 @@ module DataViz.UX {
         }
 
         //This method is for en-us culture only.
-        private getPluralString(combinedStr: string, count: number) {
+        public static getPluralString(combinedStr: string, count: number) {
             var pluralStringArray: string[] = combinedStr.split("||");
             if (pluralStringArray.length !== 2) {
                 throw "Error: Provided string variations do not match expected amount";
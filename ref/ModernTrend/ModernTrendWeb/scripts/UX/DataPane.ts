@@ -5,12 +5,17 @@ See License.txt in the project root for license information.
 
 ///<reference path="../app.ts"/>
 ///<reference path="../logic/shared/utils.ts"/>
+///<reference path="../logic/data.binder.agave.ts"/>
+///<reference path="../logic/data.transformer.trends.ts"/>
+///<reference path="../logic/trendline.trends.ts"/>
+///<reference path="../logic/plotter.trends.ts"/>
 
 declare var $: any;
 
 module DataViz.UX {
-    export class DataPane {
+    export class DataPane implements DataViz.Data.IDataChangeListener, DataViz.Chart.IVisualizationListener {
         private static theInstance: DataPane = null;
+        private static maxDiagnosticNumber = 10;
         private reentryFlag: boolean;
         private titleChanged: boolean;
 
@@ -28,11 +33,38 @@ module DataViz.UX {
             return DataPane.theInstance;
         }
 
+        /**
+          * Implementing {@link IDataChangeListener#onDataChanged}
+          */
+        public onDataChanged(data: any) {
+            this.updateRanges();
+        }
+
         public onDataBindingTargetChanged() {
             // Do nothing
         }
 
+        /**
+          * Implementing {@link IVisualizationListener#onStartVisualizing}
+          */
+        public onStartVisualizing() {
+            // Do nothing
+        }
+
+        /**
+          * Implementing {@link IVisualizationListener#onEndVisualizing}
+          */
+        public onEndVisualizing() {
+            // The plotter has fitted the line titles to the lines by now
+            this.updateSeries();
+            this.updateDiagnostics();
+        }
+
         public show() {
+            this.updateRanges();
+            this.updateSeries();
+            this.updateDiagnostics();
+            this.updateReadSettings();
             $("#data-pane").show();
             $("#data-pane").animate({ width: "220px", height: "100%", float: "right" }, "fast");
             $("#data-back-button").focus();
@@ -47,7 +79,7 @@ module DataViz.UX {
         private init() {
             this.setText();
             this.setEventHandlers();
-            DataViz.Utils.setTabFocus("data-pane", "data-back-button", "select-data");
+            DataViz.Utils.setTabFocus("data-pane", "data-back-button", "filters-option");
         }
 
         private setText() {
@@ -55,6 +87,14 @@ module DataViz.UX {
             $("#data-back-button").attr("title", DataViz.Resources.UI.backButtonTitle);
             $("#data-pane-title").text(DataViz.Resources.DataPane.header);
             $("#select-data").text(DataViz.Resources.DataPane.selectButtonText);
+            $("#ranges-title").text(DataViz.Resources.DataPane.rangesTitle);
+            $("#add-range").text(DataViz.Resources.DataPane.addRangeButtonText);
+            $("#series-title").text(DataViz.Resources.DataPane.seriesTitle);
+            $("#diagnostics-title").text(DataViz.Resources.DataPane.diagnosticsTitle);
+            $("#orientation-title").text(DataViz.Resources.DataPane.orientationTitle);
+            $("#orientation-columns").text(DataViz.Resources.DataPane.orientationColumns);
+            $("#orientation-rows").text(DataViz.Resources.DataPane.orientationRows);
+            $("#filters-option-text").text(DataViz.Resources.ReadOptions.respectSheetFilters);
         }
 
         private setEventHandlers() {
@@ -81,6 +121,567 @@ module DataViz.UX {
                         DataViz.mainApp.bindData();
                     }
             });
+
+            $("#add-range").off("click");
+            $("#add-range").click(() => {
+                DataViz.mainApp.CurrentSKU.Controller.addDataBySelection();
+            });
+
+            $("#orientation-select").off("change");
+            $("#orientation-select").change(() => {
+                DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.orientation, $("#orientation-select").val());
+                this.updateReadSettings();
+            });
+
+            $("#header-option").off("change");
+            $("#header-option").change(() => {
+                DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.firstRowIsHeader, $("#header-option").prop("checked"));
+            });
+
+            $("#labels-option").off("change");
+            $("#labels-option").change(() => {
+                DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.firstColumnIsLabels, $("#labels-option").prop("checked"));
+            });
+
+            $("#filters-option").off("change");
+            $("#filters-option").change(() => {
+                DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.respectSheetFilters, $("#filters-option").prop("checked"));
+            });
+        }
+
+        /**
+          * Lists the bound ranges with their sizes, and tells how many of their rows sheet filters hide. Every range but the last one left can be removed.
+          */
+        private updateRanges() {
+            var binder = <Trends.Data.Agave.DataBinder>DataViz.mainApp.CurrentSKU.DataBinder;
+            var boundRanges = binder.BoundRanges;
+            var rangeList = $("#range-list");
+            rangeList.empty();
+            $("#ranges-title").toggle(boundRanges.length > 0);
+
+            boundRanges.forEach((boundRange: Trends.Data.Agave.BoundRange, index: number) => {
+                var text = DataViz.Utils.stringFormat(DataViz.Resources.DataPane.rangeItem,
+                    index + 1,
+                    boundRange.rowCount,
+                    DataViz.UX.BindingPaneSpecific.getPluralString(DataViz.Resources.Pluralization.rows, boundRange.rowCount),
+                    boundRange.columnCount,
+                    DataViz.UX.BindingPaneSpecific.getPluralString(DataViz.Resources.Pluralization.columns, boundRange.columnCount));
+                var item = $("<li>").addClass("data-pane-range-item").append($("<span>").text(text));
+                if (boundRanges.length > 1) {
+                    $("<a>").addClass("data-pane-remove-range")
+                        .attr("tabindex", "1")
+                        .text(DataViz.Resources.DataPane.removeRange)
+                        .click(() => {
+                            DataViz.mainApp.CurrentSKU.Controller.removeData(boundRange.bindingName);
+                        })
+                        .keydown((event: any) => {
+                            // Check the enter key.
+                            if (event.which === 13) {
+                                DataViz.mainApp.CurrentSKU.Controller.removeData(boundRange.bindingName);
+                            }
+                        })
+                        .appendTo(item);
+                }
+
+                rangeList.append(item);
+            });
+
+            var hiddenRowCount = boundRanges.reduce((count: number, boundRange: Trends.Data.Agave.BoundRange) => {
+                return count + boundRange.hiddenRowCount;
+            }, 0);
+            var hiddenRowsText = "";
+            if (hiddenRowCount > 0) {
+                hiddenRowsText = DataViz.Utils.stringFormat(binder.RespectsSheetFilters ? DataViz.Resources.DataPane.hiddenRowsLeftOut : DataViz.Resources.DataPane.hiddenRowsIncluded,
+                    hiddenRowCount,
+                    DataViz.UX.BindingPaneSpecific.getPluralString(DataViz.Resources.Pluralization.rows, hiddenRowCount));
+            }
+
+            $("#hidden-rows").text(hiddenRowsText).toggle(hiddenRowCount > 0);
+        }
+
+        /**
+          * Lists the problems the last conversion found in the bound data, and the highlights that don't match a point of the data.
+          * A problem with a cell has a link that selects the cell, and the address of the cell in the range. Only the first problems are listed,
+          * and the number of the others is told.
+          */
+        private updateDiagnostics() {
+            var binder = <Trends.Data.Agave.DataBinder>DataViz.mainApp.CurrentSKU.DataBinder;
+            var convertor = <Trends.Data.DataConvertor>DataViz.mainApp.CurrentSKU.DataConvertor;
+            var diagnostics = binder.isBound() ? convertor.Diagnostics : [];
+            var bindingNames = binder.BindingNames;
+            var diagnosticList = $("#diagnostic-list");
+            var items = diagnostics.map((diagnostic: Trends.Data.ConversionDiagnostic) => {
+                var item = $("<li>").addClass("data-pane-range-item").append($("<span>").text(this.describeDiagnostic(diagnostic, convertor.HasHeader)));
+                var bindingName = bindingNames[diagnostic.rangeIndex];
+                if (bindingName && diagnostic.type !== Trends.Data.DiagnosticType.invalidData) {
+                    var goToProblem = DataPane.getGoToProblem(binder, bindingName, diagnostic);
+                    $("<a>").addClass("data-pane-go-to")
+                        .attr("tabindex", "1")
+                        .text(DataViz.Resources.DataPane.diagnosticGoTo)
+                        .click(goToProblem)
+                        .keydown((event: any) => {
+                            // Check the enter key.
+                            if (event.which === 13) {
+                                goToProblem();
+                            }
+                        })
+                        .appendTo(item);
+                }
+
+                return item;
+            }).concat(this.createHighlightItems());
+
+            diagnosticList.empty();
+            $("#diagnostics-title").toggle(items.length > 0);
+            items.slice(0, DataPane.maxDiagnosticNumber).forEach((item: any) => {
+                diagnosticList.append(item);
+            });
+
+            var otherCount = items.length - DataPane.maxDiagnosticNumber;
+            if (otherCount > 0) {
+                diagnosticList.append($("<li>").addClass("data-pane-range-item").text(DataViz.Utils.stringFormat(DataViz.Resources.DataPane.diagnosticMore, otherCount)));
+            }
+        }
+
+        /**
+          * Gets what the link of a problem does, which is to select the cell of the problem, or the range if the problem is with the whole range
+          */
+        private static getGoToProblem(binder: Trends.Data.Agave.DataBinder, bindingName: string, diagnostic: Trends.Data.ConversionDiagnostic): () => any {
+            if (diagnostic.row === undefined || diagnostic.column === undefined) {
+                return () => {
+                    binder.goToRange(bindingName);
+                };
+            }
+
+            return () => {
+                binder.goToCell(bindingName, diagnostic.row, diagnostic.column);
+            };
+        }
+
+        /**
+          * Lists the highlights that don't match a point of the data, each with a link that removes it
+          * @returns {any[]} The list items
+          */
+        private createHighlightItems(): any[] {
+            var plotter = <Trends.Chart.IHighlightingPlotter>DataViz.mainApp.CurrentSKU.Plotter;
+            var items = plotter.OrphanedHighlights.map((highlight: DataViz.Config.Trends.PointHighlight) => {
+                return this.createRemovableItem(DataViz.Utils.stringFormat(DataViz.Resources.DataPane.diagnosticOrphanedHighlight, highlight.seriesName, highlight.xLabel), () => {
+                    plotter.removeOrphanedHighlight(highlight);
+                });
+            });
+
+            if (plotter.UnmatchedPointIdCount > 0) {
+                items.push(this.createRemovableItem(DataViz.Utils.stringFormat(DataViz.Resources.DataPane.diagnosticUnmatchedPointIds, plotter.UnmatchedPointIdCount), () => {
+                    plotter.removeUnmatchedPointIds();
+                }));
+            }
+
+            return items;
+        }
+
+        private createRemovableItem(text: string, remove: () => void): any {
+            var removeAndUpdate = () => {
+                remove();
+                this.updateDiagnostics();
+            };
+
+            var item = $("<li>").addClass("data-pane-range-item").append($("<span>").text(text));
+            $("<a>").addClass("data-pane-go-to")
+                .attr("tabindex", "1")
+                .text(DataViz.Resources.DataPane.diagnosticRemoveHighlights)
+                .click(removeAndUpdate)
+                .keydown((event: any) => {
+                    // Check the enter key.
+                    if (event.which === 13) {
+                        removeAndUpdate();
+                    }
+                })
+                .appendTo(item);
+
+            return item;
+        }
+
+        /**
+          * Describes a problem found in the conversion
+          * @param {ConversionDiagnostic} diagnostic The problem
+          * @param {boolean} hasHeader Whether the header was read as the header
+          * @returns {string} The description
+          */
+        private describeDiagnostic(diagnostic: Trends.Data.ConversionDiagnostic, hasHeader: boolean): string {
+            var rangeNumber = diagnostic.rangeIndex + 1;
+            var address = (diagnostic.row !== undefined) ? Trends.Data.DataConvertor.getCellAddress(diagnostic.row, diagnostic.column) : "";
+            switch (diagnostic.type) {
+                case Trends.Data.DiagnosticType.skippedCell:
+                    return DataViz.Utils.stringFormat(DataViz.Resources.DataPane.diagnosticSkippedCell, rangeNumber, address, diagnostic.text);
+
+                case Trends.Data.DiagnosticType.suspectHeader:
+                    return DataViz.Utils.stringFormat(hasHeader ? DataViz.Resources.DataPane.diagnosticNumberHeader : DataViz.Resources.DataPane.diagnosticHeaderAsValues,
+                        rangeNumber, address, diagnostic.text);
+
+                case Trends.Data.DiagnosticType.rangeLeftOut:
+                    return DataViz.Utils.stringFormat(DataViz.Resources.DataPane.diagnosticRangeLeftOut, rangeNumber);
+
+                default:
+                    return DataViz.Resources.DataPane.diagnosticInvalidData;
+            }
+        }
+
+        /**
+          * Lists the settings of every line. The rows are only built again when the number of lines changes,
+          * so that a setting the user is changing keeps the focus when the chart is drawn again.
+          */
+        private updateSeries() {
+            var lineTitleArray: string[] = DataViz.mainApp.Configuration.get(DataViz.Config.Trends.wellKnownKeys.lineTitleArray);
+            var lineGapModes: string[] = DataViz.mainApp.Configuration.get(DataViz.Config.Trends.wellKnownKeys.lineGapModes);
+            var lineTransforms: Trends.Data.LineTransform[][] = DataViz.mainApp.Configuration.get(DataViz.Config.Trends.wellKnownKeys.lineTransforms);
+            lineTitleArray = lineTitleArray ? lineTitleArray : [];
+            lineGapModes = lineGapModes ? lineGapModes : [];
+            var lineTrendlines: Trends.Data.LineTrendline[] = DataViz.mainApp.Configuration.get(DataViz.Config.Trends.wellKnownKeys.lineTrendlines);
+            var lineHighlightRules: Trends.Data.LineHighlightRule[][] = DataViz.mainApp.Configuration.get(DataViz.Config.Trends.wellKnownKeys.lineHighlightRules);
+            lineTransforms = lineTransforms ? lineTransforms : [];
+            lineTrendlines = lineTrendlines ? lineTrendlines : [];
+            lineHighlightRules = lineHighlightRules ? lineHighlightRules : [];
+
+            var seriesList = $("#series-list");
+            $("#series-title").toggle(lineTitleArray.length > 0);
+            if (seriesList.children().length !== lineTitleArray.length) {
+                seriesList.empty();
+                lineTitleArray.forEach((title: string, lineId: number) => {
+                    seriesList.append(this.createSeriesRow(lineId));
+                });
+            }
+
+            lineTitleArray.forEach((title: string, lineId: number) => {
+                var row = seriesList.children().eq(lineId);
+                row.find(".data-pane-series-name").text(title);
+                row.find(".data-pane-gap-mode").val(lineGapModes[lineId] ? lineGapModes[lineId] : DataViz.Config.Trends.GapMode.breakLine);
+                this.updateTransformList(row.find(".data-pane-transform-list"), lineId, lineTransforms[lineId] ? lineTransforms[lineId] : []);
+                this.updateTrendlineSettings(row, lineTrendlines[lineId]);
+                this.updateHighlightRuleSettings(row, lineHighlightRules[lineId] ? lineHighlightRules[lineId] : []);
+            });
+        }
+
+        /**
+          * Shows the trendline settings of a line. The degree is only shown for a polynomial trendline.
+          */
+        private updateTrendlineSettings(row: any, trendline: Trends.Data.LineTrendline) {
+            row.find(".data-pane-trendline-type").val(trendline ? trendline.type : "");
+            row.find(".data-pane-trendline-options").toggle(!!trendline);
+            row.find(".data-pane-trendline-degree").toggle(!!trendline && trendline.type === DataViz.Config.Trends.TrendlineType.polynomial);
+            if (trendline) {
+                row.find(".data-pane-trendline-degree input").val(trendline.degree ? trendline.degree : Trends.Data.Trendline.defaultDegree);
+                row.find(".data-pane-trendline-forecast input").val(trendline.forecast ? trendline.forecast : 0);
+            }
+        }
+
+        /**
+          * Changes the trendline of a line and saves the trendlines of all the lines
+          * @param {number} lineId The id of the line
+          * @param {(trendline: LineTrendline) => LineTrendline} change Gets the new trendline of the line from a copy of the current one
+          */
+        private updateLineTrendline(lineId: number, change: (trendline: Trends.Data.LineTrendline) => Trends.Data.LineTrendline) {
+            var lineTrendlines: Trends.Data.LineTrendline[] = DataViz.mainApp.Configuration.get(DataViz.Config.Trends.wellKnownKeys.lineTrendlines);
+            lineTrendlines = lineTrendlines ? lineTrendlines.slice(0) : [];
+            for (var i = 0; i <= lineId; i++) {
+                lineTrendlines[i] = lineTrendlines[i] ? lineTrendlines[i] : null;
+            }
+
+            lineTrendlines[lineId] = change(lineTrendlines[lineId] ? $.extend({}, lineTrendlines[lineId]) : null);
+            DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.lineTrendlines, lineTrendlines);
+        }
+
+        private createTrendlineSettings(lineId: number): any {
+            var typeSelect = $("<select>").addClass("data-pane-select data-pane-trendline-type").attr("tabindex", "1");
+            [
+                { value: "", text: DataViz.Resources.DataPane.trendlineNone },
+                { value: DataViz.Config.Trends.TrendlineType.linear, text: DataViz.Resources.Trendlines.linear },
+                { value: DataViz.Config.Trends.TrendlineType.exponential, text: DataViz.Resources.Trendlines.exponential },
+                { value: DataViz.Config.Trends.TrendlineType.polynomial, text: DataViz.Resources.Trendlines.polynomial }
+            ].forEach((option: any) => {
+                typeSelect.append($("<option>").val(option.value).text(option.text));
+            });
+
+            typeSelect.change(() => {
+                var type: string = typeSelect.val();
+                this.updateLineTrendline(lineId, (trendline: Trends.Data.LineTrendline) => {
+                    if (!type) {
+                        return null;
+                    }
+
+                    trendline = trendline ? trendline : { type: type };
+                    trendline.type = type;
+                    return trendline;
+                });
+            });
+
+            var degreeInput = $("<input>").addClass("data-pane-number")
+                .attr({ type: "number", min: Trends.Data.Trendline.minDegree, max: Trends.Data.Trendline.maxDegree, tabindex: "1" });
+            degreeInput.change(() => {
+                var degree = parseInt(degreeInput.val(), 10);
+                if (degree >= Trends.Data.Trendline.minDegree && degree <= Trends.Data.Trendline.maxDegree) {
+                    this.updateLineTrendline(lineId, (trendline: Trends.Data.LineTrendline) => {
+                        trendline.degree = degree;
+                        return trendline;
+                    });
+                }
+            });
+
+            var forecastInput = $("<input>").addClass("data-pane-number").attr({ type: "number", min: "0", tabindex: "1" });
+            forecastInput.change(() => {
+                var forecast = parseInt(forecastInput.val(), 10);
+                if (forecast >= 0) {
+                    this.updateLineTrendline(lineId, (trendline: Trends.Data.LineTrendline) => {
+                        trendline.forecast = forecast;
+                        return trendline;
+                    });
+                }
+            });
+
+            return $("<div>").addClass("data-pane-series-setting")
+                .append($("<span>").text(DataViz.Resources.DataPane.trendlineTitle))
+                .append(typeSelect)
+                .append($("<div>").addClass("data-pane-trendline-options")
+                    .append($("<label>").addClass("data-pane-trendline-degree")
+                        .append($("<span>").text(DataViz.Resources.DataPane.trendlineDegree))
+                        .append(degreeInput))
+                    .append($("<label>").addClass("data-pane-trendline-forecast")
+                        .append($("<span>").text(DataViz.Resources.DataPane.trendlineForecast))
+                        .append(forecastInput)));
+        }
+
+        /**
+          * Shows which highlight rules a line has. The threshold and the count are empty for the rules the line doesn't have.
+          */
+        private updateHighlightRuleSettings(row: any, rules: Trends.Data.LineHighlightRule[]) {
+            var findRule = (type: string): Trends.Data.LineHighlightRule => {
+                for (var i = 0; i < rules.length; i++) {
+                    if (rules[i] && rules[i].type === type) {
+                        return rules[i];
+                    }
+                }
+
+                return null;
+            };
+
+            row.find(".data-pane-highlight-rule").each(function () {
+                $(this).prop("checked", !!findRule($(this).val()));
+            });
+
+            var thresholdRule = findRule(DataViz.Config.Trends.HighlightRuleType.thresholdCrossing);
+            var topNRule = findRule(DataViz.Config.Trends.HighlightRuleType.topN);
+            row.find(".data-pane-highlight-threshold").val(thresholdRule ? thresholdRule.threshold : "");
+            row.find(".data-pane-highlight-count").val(topNRule ? Trends.Data.HighlightRules.getCount(topNRule) : "");
+        }
+
+        /**
+          * Replaces the highlight rule of a type of a line and saves the highlight rules of all the lines
+          * @param {number} lineId The id of the line
+          * @param {string} type The type of the rule
+          * @param {LineHighlightRule} rule The new rule, or null to remove the rule of the type
+          */
+        private setLineHighlightRule(lineId: number, type: string, rule: Trends.Data.LineHighlightRule) {
+            var lineHighlightRules: Trends.Data.LineHighlightRule[][] = DataViz.mainApp.Configuration.get(DataViz.Config.Trends.wellKnownKeys.lineHighlightRules);
+            lineHighlightRules = lineHighlightRules ? lineHighlightRules.slice(0) : [];
+            for (var i = 0; i <= lineId; i++) {
+                lineHighlightRules[i] = lineHighlightRules[i] ? lineHighlightRules[i] : [];
+            }
+
+            lineHighlightRules[lineId] = lineHighlightRules[lineId].filter((lineRule: Trends.Data.LineHighlightRule) => {
+                return lineRule && lineRule.type !== type;
+            });
+
+            if (rule) {
+                lineHighlightRules[lineId].push(rule);
+            }
+
+            DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.lineHighlightRules, lineHighlightRules);
+        }
+
+        private createHighlightRuleSettings(lineId: number): any {
+            var rules = $("<div>").addClass("data-pane-highlight-rules");
+            [
+                { value: DataViz.Config.Trends.HighlightRuleType.maximum, text: DataViz.Resources.DataPane.highlightMaximum },
+                { value: DataViz.Config.Trends.HighlightRuleType.minimum, text: DataViz.Resources.DataPane.highlightMinimum },
+                { value: DataViz.Config.Trends.HighlightRuleType.last, text: DataViz.Resources.DataPane.highlightLatest }
+            ].forEach((option: any) => {
+                var checkbox = $("<input>").addClass("data-pane-highlight-rule").attr({ type: "checkbox", tabindex: "1" }).val(option.value);
+                checkbox.change(() => {
+                    this.setLineHighlightRule(lineId, option.value, checkbox.prop("checked") ? { type: option.value } : null);
+                });
+
+                rules.append($("<label>").append(checkbox).append($("<span>").text(option.text)));
+            });
+
+            var thresholdInput = $("<input>").addClass("data-pane-number data-pane-highlight-threshold").attr({ type: "number", step: "any", tabindex: "1" });
+            thresholdInput.change(() => {
+                var type = DataViz.Config.Trends.HighlightRuleType.thresholdCrossing;
+                var threshold = parseFloat(thresholdInput.val());
+                this.setLineHighlightRule(lineId, type, isFinite(threshold) ? { type: type, threshold: threshold } : null);
+            });
+
+            var countInput = $("<input>").addClass("data-pane-number data-pane-highlight-count").attr({ type: "number", min: "1", tabindex: "1" });
+            countInput.change(() => {
+                var type = DataViz.Config.Trends.HighlightRuleType.topN;
+                var count = parseInt(countInput.val(), 10);
+                this.setLineHighlightRule(lineId, type, (count >= 1) ? { type: type, count: count } : null);
+            });
+
+            return $("<div>").addClass("data-pane-series-setting")
+                .append($("<span>").text(DataViz.Resources.DataPane.highlightTitle))
+                .append(rules
+                    .append($("<label>").addClass("data-pane-highlight-number")
+                        .append($("<span>").text(DataViz.Resources.DataPane.highlightThreshold))
+                        .append(thresholdInput))
+                    .append($("<label>").addClass("data-pane-highlight-number")
+                        .append($("<span>").text(DataViz.Resources.DataPane.highlightTopN))
+                        .append(countInput)));
+        }
+
+        /**
+          * Lists the transforms of a line, unless the list already shows them
+          */
+        private updateTransformList(transformList: any, lineId: number, transforms: Trends.Data.LineTransform[]) {
+            var listedTransforms = JSON.stringify(transforms);
+            if (transformList.data("transforms") === listedTransforms) {
+                return;
+            }
+
+            transformList.data("transforms", listedTransforms);
+            transformList.empty();
+            transforms.forEach((transform: Trends.Data.LineTransform, index: number) => {
+                var item = $("<li>").addClass("data-pane-transform-item");
+                if (transform.type === DataViz.Config.Trends.TransformType.rollingAverage) {
+                    var periodInput = $("<input>").addClass("data-pane-period")
+                        .attr({ type: "number", min: "2", tabindex: "1" })
+                        .val(transform.period ? transform.period : Trends.Data.DataTransformer.defaultPeriod);
+                    periodInput.change(() => {
+                        var period = parseInt(periodInput.val(), 10);
+                        if (period > 1) {
+                            this.updateLineTransforms(lineId, (lineTransforms: Trends.Data.LineTransform[]) => {
+                                lineTransforms[index] = { type: transform.type, period: period };
+                            });
+                        }
+                    });
+
+                    item.append($("<span>").text(DataViz.Resources.Transforms.rollingAverageName)).append(periodInput);
+                }
+                else {
+                    item.append($("<span>").text(Trends.Data.DataTransformer.describeTransform(transform)));
+                }
+
+                $("<a>").addClass("data-pane-remove-transform")
+                    .attr("tabindex", "1")
+                    .text(DataViz.Resources.DataPane.removeTransform)
+                    .click(() => {
+                        this.removeTransform(lineId, index);
+                    })
+                    .keydown((event: any) => {
+                        // Check the enter key.
+                        if (event.which === 13) {
+                            this.removeTransform(lineId, index);
+                        }
+                    })
+                    .appendTo(item);
+
+                transformList.append(item);
+            });
+        }
+
+        private removeTransform(lineId: number, index: number) {
+            this.updateLineTransforms(lineId, (transforms: Trends.Data.LineTransform[]) => {
+                transforms.splice(index, 1);
+            });
+        }
+
+        /**
+          * Changes the transforms of a line and saves the transforms of all the lines
+          * @param {number} lineId The id of the line
+          * @param {(transforms: LineTransform[]) => void} change The change to make to a copy of the transforms of the line
+          */
+        private updateLineTransforms(lineId: number, change: (transforms: Trends.Data.LineTransform[]) => void) {
+            var lineTransforms: Trends.Data.LineTransform[][] = DataViz.mainApp.Configuration.get(DataViz.Config.Trends.wellKnownKeys.lineTransforms);
+            lineTransforms = lineTransforms ? lineTransforms.slice(0) : [];
+            for (var i = 0; i <= lineId; i++) {
+                lineTransforms[i] = lineTransforms[i] ? lineTransforms[i] : [];
+            }
+
+            var transforms = lineTransforms[lineId].slice(0);
+            change(transforms);
+            lineTransforms[lineId] = transforms;
+            DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.lineTransforms, lineTransforms);
+        }
+
+        private createSeriesRow(lineId: number): any {
+            var gapModeSelect = $("<select>").addClass("data-pane-select data-pane-gap-mode").attr("tabindex", "1");
+            [
+                { value: DataViz.Config.Trends.GapMode.breakLine, text: DataViz.Resources.DataPane.gapModeBreak },
+                { value: DataViz.Config.Trends.GapMode.zero, text: DataViz.Resources.DataPane.gapModeZero },
+                { value: DataViz.Config.Trends.GapMode.interpolate, text: DataViz.Resources.DataPane.gapModeInterpolate }
+            ].forEach((option: any) => {
+                gapModeSelect.append($("<option>").val(option.value).text(option.text));
+            });
+
+            gapModeSelect.change(() => {
+                var lineGapModes: string[] = DataViz.mainApp.Configuration.get(DataViz.Config.Trends.wellKnownKeys.lineGapModes);
+                lineGapModes = lineGapModes ? lineGapModes.slice(0) : [];
+                lineGapModes[lineId] = gapModeSelect.val();
+                DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.lineGapModes, lineGapModes);
+            });
+
+            var addTransformSelect = $("<select>").addClass("data-pane-select").attr("tabindex", "1");
+            [
+                { value: "", text: DataViz.Resources.DataPane.addTransform },
+                { value: DataViz.Config.Trends.TransformType.rollingAverage, text: DataViz.Resources.Transforms.rollingAverageName },
+                { value: DataViz.Config.Trends.TransformType.cumulativeSum, text: DataViz.Resources.Transforms.cumulativeSum },
+                { value: DataViz.Config.Trends.TransformType.percentChange, text: DataViz.Resources.Transforms.percentChange },
+                { value: DataViz.Config.Trends.TransformType.rebase, text: DataViz.Resources.Transforms.rebase }
+            ].forEach((option: any) => {
+                addTransformSelect.append($("<option>").val(option.value).text(option.text));
+            });
+
+            addTransformSelect.change(() => {
+                var type: string = addTransformSelect.val();
+                addTransformSelect.val("");
+                if (!type) {
+                    return;
+                }
+
+                this.updateLineTransforms(lineId, (transforms: Trends.Data.LineTransform[]) => {
+                    transforms.push((type === DataViz.Config.Trends.TransformType.rollingAverage)
+                        ? { type: type, period: Trends.Data.DataTransformer.defaultPeriod }
+                        : { type: type });
+                });
+            });
+
+            return $("<div>").addClass("data-pane-series")
+                .append($("<div>").addClass("data-pane-series-name"))
+                .append($("<label>").addClass("data-pane-series-setting")
+                    .append($("<span>").text(DataViz.Resources.DataPane.gapModeTitle))
+                    .append(gapModeSelect))
+                .append($("<div>").addClass("data-pane-series-setting")
+                    .append($("<span>").text(DataViz.Resources.DataPane.transformsTitle))
+                    .append($("<ul>").addClass("data-pane-range-list data-pane-transform-list"))
+                    .append(addTransformSelect))
+                .append(this.createTrendlineSettings(lineId))
+                .append(this.createHighlightRuleSettings(lineId));
+        }
+
+        /**
+          * Shows the orientation and how the header and the labels are read. Unless the user has set them,
+          * the header and the labels are what the convertor has detected.
+          */
+        private updateReadSettings() {
+            var orientation = DataViz.mainApp.Configuration.get(DataViz.Config.Trends.wellKnownKeys.orientation);
+            orientation = orientation ? orientation : DataViz.Config.Trends.Orientation.seriesInColumns;
+            var convertor = <Trends.Data.DataConvertor>DataViz.mainApp.CurrentSKU.DataConvertor;
+            var binder = <Trends.Data.Agave.DataBinder>DataViz.mainApp.CurrentSKU.DataBinder;
+
+            $("#orientation-select").val(orientation);
+            $("#header-option").prop("checked", convertor.HasHeader);
+            $("#labels-option").prop("checked", convertor.HasLabels);
+            $("#filters-option").prop("checked", binder.RespectsSheetFilters);
+            $("#header-option-text").text(DataViz.UX.BindingPaneSpecific.getHeaderOptionText(orientation));
+            $("#labels-option-text").text(DataViz.UX.BindingPaneSpecific.getLabelsOptionText(orientation));
         }
     }
 }
\ No newline at end of file
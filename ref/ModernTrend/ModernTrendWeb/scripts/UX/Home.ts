@@ -69,6 +69,16 @@ module Trends.UX {
                 } 
             });
 
+            $("#zoom-reset-button").off("click");
+            $("#zoom-reset-button").click(() => {
+                DataViz.Config.Trends.resetXWindow();
+            }).keydown((event: any) => {
+                // Check the enter key
+                if (event.which === 13) {
+                    DataViz.Config.Trends.resetXWindow();
+                }
+            });
+
             this.setText();
             this.setupListeners();
             showAndHideFloatMenu();
@@ -86,6 +96,10 @@ module Trends.UX {
             var settingButton = $("#setting-button");
             settingButton.attr("alt", DataViz.Resources.UI.floatMenuSettingTitle);
             settingButton.attr("title", DataViz.Resources.UI.floatMenuSettingTitle);
+
+            var zoomResetButton = $("#zoom-reset-button");
+            zoomResetButton.attr("alt", DataViz.Resources.UI.floatMenuZoomResetTitle);
+            zoomResetButton.attr("title", DataViz.Resources.UI.floatMenuZoomResetTitle);
         }
 
         private showDataPane() {
@@ -12,6 +12,8 @@ module DataViz.UX {
     export interface MenuButtonMap {
         buttonId: string;
         paneId: string;
+        // The last element of the pane that takes the focus with the tab key
+        lastTabId: string;
     }
 
     export class SettingPane {
@@ -20,18 +22,30 @@ module DataViz.UX {
 
         private menuButtonMap: MenuButtonMap[] =
             [
-                { buttonId: "theme-button", paneId: "theme-pane" },
+                { buttonId: "theme-button", paneId: "theme-pane", lastTabId: "blackwhite" },
+                { buttonId: "axis-button", paneId: "axis-pane", lastTabId: "axis-compact" },
+                // The last chart type is only known once the SKUs are loaded
+                { buttonId: "type-button", paneId: "type-pane", lastTabId: "" },
             ];
 
         private themeGallery: UX.Shared.ThemeGallery;
+        private typeGallery: UX.Shared.TypeGallery;
 
         constructor() {
             $("#setting-pane-title").text(DataViz.Resources.SettingPane.header);
             $("#theme-button").text(DataViz.Resources.SettingPane.themeTab);
+            $("#type-button").text(DataViz.Resources.SettingPane.typeTab);
+            this.setAxisTexts();
 
             $("#setting-pane").off("click");
             $("#setting-pane").click(() => {
-                $("#" + DataViz.mainApp.Configuration.get(DataViz.Config.wellKnownKeys.theme)).focus();
+                // The other tabs have their own controls, which keep the focus
+                if (SettingPane.currentButtonId === "theme-button") {
+                    $("#" + DataViz.mainApp.Configuration.get(DataViz.Config.wellKnownKeys.theme)).focus();
+                }
+                else if (SettingPane.currentButtonId === "type-button") {
+                    $("#" + DataViz.mainApp.Configuration.get(DataViz.Config.wellKnownKeys.sku)).focus();
+                }
             });
 
             var backButton = $("#setting-back-button");
@@ -47,6 +61,8 @@ module DataViz.UX {
             });
 
             this.themeGallery = UX.Shared.ThemeGallery.build();
+            this.typeGallery = UX.Shared.TypeGallery.build();
+            this.setAxisEventHandlers();
 
             this.setMenuClickListener();
 
@@ -55,6 +71,7 @@ module DataViz.UX {
 
         public setupListeners() {
             this.themeGallery.setupListener();
+            this.typeGallery.setupListener();
         }
 
         public static get Instance(): SettingPane {
@@ -69,6 +86,7 @@ module DataViz.UX {
             $("#setting-pane").show();
             $("#setting-pane").animate({ width: "220px", height: "100%", float: "right" }, "fast");
             $("#" + DataViz.mainApp.Configuration.get(DataViz.Config.wellKnownKeys.theme)).focus();
+            this.updateAxisOptions();
         }
 
         public hide() {
@@ -79,6 +97,16 @@ module DataViz.UX {
 
         public populate() {
             this.themeGallery.populate(DataViz.Resources.SettingPane.themeTitles);
+
+            var skus = DataViz.SKUs.SKUProvider.Instance.SKUs;
+            this.typeGallery.populate(skus.map((sku: DataViz.SKUs.SKUDefinition) => {
+                return sku.displayName;
+            }));
+            this.menuButtonMap.forEach((menuButton: MenuButtonMap) => {
+                if (menuButton.paneId === "type-pane") {
+                    menuButton.lastTabId = skus[skus.length - 1].id;
+                }
+            });
         }
 
         private setMenuClickListener() {
@@ -108,14 +136,74 @@ module DataViz.UX {
                     $("#" + this.menuButtonMap[index].paneId).show();
                     $("#" + this.menuButtonMap[index].buttonId).addClass("setting-tab-click");
                     SettingPane.currentButtonId = this.menuButtonMap[index].buttonId;
+                    DataViz.Utils.setTabFocus("setting-pane", "setting-back-button", this.menuButtonMap[index].lastTabId);
                 }
                 else {
                     $("#" + this.menuButtonMap[index].paneId).hide();
                     $("#" + this.menuButtonMap[index].buttonId).removeClass("setting-tab-click");
                 }
             }
+        }
+
+        private setAxisTexts() {
+            $("#axis-button").text(DataViz.Resources.SettingPane.axisTab);
+            $("#axis-scale-title").text(DataViz.Resources.SettingPane.axisScale);
+            $("#axis-scale-linear").text(DataViz.Resources.SettingPane.axisScaleLinear);
+            $("#axis-scale-log").text(DataViz.Resources.SettingPane.axisScaleLog);
+            $("#axis-min-text").text(DataViz.Resources.SettingPane.axisMinimum);
+            $("#axis-max-text").text(DataViz.Resources.SettingPane.axisMaximum);
+            $("#axis-includes-zero-text").text(DataViz.Resources.SettingPane.axisIncludeZero);
+            $("#axis-tick-number-text").text(DataViz.Resources.SettingPane.axisTickNumber);
+            $("#axis-compact-text").text(DataViz.Resources.SettingPane.axisCompact);
+            $("#axis-min, #axis-max, #axis-tick-number").attr("placeholder", DataViz.Resources.SettingPane.axisAuto);
+        }
+
+        private setAxisEventHandlers() {
+            $("#axis-scale-select, #axis-min, #axis-max, #axis-includes-zero, #axis-tick-number").off("change");
+            $("#axis-scale-select, #axis-min, #axis-max, #axis-includes-zero, #axis-tick-number").change(() => {
+                var tickNumber = SettingPane.parseNumber($("#axis-tick-number").val());
+                var options: DataViz.Config.Trends.YAxisOptions = {
+                    scale: $("#axis-scale-select").val(),
+                    min: SettingPane.parseNumber($("#axis-min").val()),
+                    max: SettingPane.parseNumber($("#axis-max").val()),
+                    includesZero: $("#axis-includes-zero").prop("checked"),
+                    tickNumber: (tickNumber > 0) ? Math.floor(tickNumber) : null
+                };
+
+                DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.yAxisOptions, options);
+                this.updateAxisOptions();
+            });
+
+            $("#axis-compact").off("change");
+            $("#axis-compact").change(() => {
+                DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.compactNumbers, $("#axis-compact").prop("checked"));
+            });
+        }
+
+        /**
+          * Shows the saved y axis and number settings. An empty box means the value is picked automatically.
+          */
+        private updateAxisOptions() {
+            var options = <DataViz.Config.Trends.YAxisOptions>DataViz.mainApp.Configuration.get(DataViz.Config.Trends.wellKnownKeys.yAxisOptions);
+            options = options ? options : <DataViz.Config.Trends.YAxisOptions>{};
+            var isLog = options.scale === DataViz.Config.Trends.YScale.log;
+            $("#axis-scale-select").val(isLog ? DataViz.Config.Trends.YScale.log : DataViz.Config.Trends.YScale.linear);
+            $("#axis-min").val(SettingPane.formatNumber(options.min));
+            $("#axis-max").val(SettingPane.formatNumber(options.max));
+            $("#axis-tick-number").val(SettingPane.formatNumber(options.tickNumber));
+
+            // A logarithmic scale never reaches zero
+            $("#axis-includes-zero").prop("checked", options.includesZero === true && !isLog).prop("disabled", isLog);
+            $("#axis-compact").prop("checked", DataViz.mainApp.Configuration.get(DataViz.Config.Trends.wellKnownKeys.compactNumbers) === true);
+        }
+
+        private static parseNumber(text: string): number {
+            var value = parseFloat(text);
+            return isFinite(value) ? value : null;
+        }
 
-            DataViz.Utils.setTabFocus("setting-pane", "setting-back-button", "blackwhite");
+        private static formatNumber(value: number): string {
+            return (typeof value === "number" && isFinite(value)) ? value.toString() : "";
         }
     }
 }
\ No newline at end of file
@@ -29,6 +29,7 @@ module DataViz.UX {
             "td": [["font-size", "12"], ["height", "18"], ["padding-left", "10"], ["padding-right", "10"]],
         };
         private static sampleDataMaxRowNumber = 5;
+        private static sampleDataMaxColumnNumber = 6;
         private static defaultArgs: BindingPaneArgs = {
             sampleData: null,
             handleDataSelection: null,
@@ -210,6 +211,27 @@ module DataViz.UX {
             // Implemented in sub-classes
         }
 
+        /**
+          * Shows the beginning of the selected data in place of the sample data
+          * @param {any[][]} data The selected data
+          * @param {string} subtitle The subtitle above the preview
+          * @param {(row: number, column: number) => string} [getCellClass] Returns the CSS class of a cell, to show how the cell will be read. Optional.
+          */
+        public showPreview(data: any[][], subtitle: string, getCellClass?: (row: number, column: number) => string) {
+            this.subtitle.text(subtitle);
+            this.setSampleData(data, getCellClass);
+            this.zoomBindingPane();
+        }
+
+        /**
+          * Shows the sample data again after a preview
+          */
+        public showSampleData() {
+            this.subtitle.text(this.args.subtitle);
+            this.setSampleData(this.args.sampleData);
+            this.zoomBindingPane();
+        }
+
         private updateArgs(args: BindingPaneArgs) {
             this.args.sampleData = args.sampleData ? args.sampleData : BindingPane.defaultArgs.sampleData;
             this.args.handleDataSelection = args.handleDataSelection ? args.handleDataSelection : BindingPane.defaultArgs.handleDataSelection;
@@ -258,7 +280,7 @@ module DataViz.UX {
             });
         }
 
-        private setSampleData(sampleData?: string[][]) {
+        private setSampleData(sampleData?: any[][], getCellClass?: (row: number, column: number) => string) {
             if ($("#sample-table")[0]) {
                 $("#sample-table").remove();
             }
@@ -266,10 +288,15 @@ module DataViz.UX {
             if (sampleData) {
                 this.sampleDataPane.append($("<table/>", { id: "sample-table" }));
                 var rowNumber = Math.min(sampleData.length, BindingPane.sampleDataMaxRowNumber);
+                var columnNumber = Math.min(sampleData[0].length, BindingPane.sampleDataMaxColumnNumber);
                 for (var i = 0; i < rowNumber; i++) {
                     $("<tr/>", { id: "tr" + i }).appendTo("#sample-table");
-                    for (var j = 0; j < sampleData[0].length; j++) {
-                        $("<td/>", { text: sampleData[i][j] }).appendTo("#tr" + i);
+                    for (var j = 0; j < columnNumber; j++) {
+                        var cell = sampleData[i][j];
+                        $("<td/>", {
+                            text: (cell === null || cell === undefined) ? "" : cell.toString(),
+                            "class": getCellClass ? getCellClass(i, j) : ""
+                        }).appendTo("#tr" + i);
                     }
                 }
 
@@ -217,7 +217,7 @@ module DataViz.UX.Shared {
           * @returns {TypeGallery} A chart type gallery instance
           */
         public static build(): TypeGallery {
-            return new TypeGallery("type-pane", { marginLeft: 10, marginTop: 10, width: 190, height: 80 }, Config.wellKnownKeys.sku);
+            return new TypeGallery("type-pane", { marginLeft: 10, marginTop: 10, width: 90, height: 40 }, Config.wellKnownKeys.sku);
         }
 
         /* private */ constructor(parentId: string, iconStyle: IconStyle, configurationKey: string) {
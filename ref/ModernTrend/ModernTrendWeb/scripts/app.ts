@@ -92,13 +92,31 @@ module DataViz {
             DataViz.Config.Trends.wellKnownKeys.shortdes1GroupWidth,
             DataViz.Config.Trends.wellKnownKeys.longdesGroupWidth,
             DataViz.Config.Trends.wellKnownKeys.clickedPointIdArray,
+            DataViz.Config.Trends.wellKnownKeys.pointHighlights,
             DataViz.Config.Trends.wellKnownKeys.lineOrder,
             DataViz.Config.Trends.wellKnownKeys.lineDisplay,
             DataViz.Config.Trends.wellKnownKeys.lineTitleArray,
+            DataViz.Config.Trends.wellKnownKeys.lineGapModes,
+            DataViz.Config.Trends.wellKnownKeys.lineTransforms,
+            DataViz.Config.Trends.wellKnownKeys.lineTrendlines,
+            DataViz.Config.Trends.wellKnownKeys.trendlineDisplay,
+            DataViz.Config.Trends.wellKnownKeys.lineHighlightRules,
+            DataViz.Config.Trends.wellKnownKeys.lineAxes,
+            DataViz.Config.Trends.wellKnownKeys.yAxisOptions,
+            DataViz.Config.Trends.wellKnownKeys.compactNumbers,
+            DataViz.Config.Trends.wellKnownKeys.xWindow,
+            DataViz.Config.Trends.wellKnownKeys.scatterOptions,
+            DataViz.Config.Trends.wellKnownKeys.sharedYScale,
+            DataViz.Config.Trends.wellKnownKeys.annotations,
             DataViz.Config.Trends.wellKnownKeys.bindingName,
+            DataViz.Config.Trends.wellKnownKeys.bindingNames,
             DataViz.Config.Trends.wellKnownKeys.windowWidth,
             DataViz.Config.Trends.wellKnownKeys.windowHeight,
             DataViz.Config.Trends.wellKnownKeys.isLegendEdited,
+            DataViz.Config.Trends.wellKnownKeys.orientation,
+            DataViz.Config.Trends.wellKnownKeys.firstRowIsHeader,
+            DataViz.Config.Trends.wellKnownKeys.firstColumnIsLabels,
+            DataViz.Config.Trends.wellKnownKeys.respectSheetFilters,
         ];
 
         private mainUX: Trends.UX.MainUX;
@@ -106,7 +124,7 @@ module DataViz {
         private configuration: DataViz.Config.Configuration;
         private layoutInstance: DataViz.Chart.LayoutInstance;
         private reentryFlag: boolean;
-        private bindingPane: DataViz.UX.BindingPane;
+        private bindingPane: DataViz.UX.BindingPaneSpecific;
 
         constructor() {
             this.mainUX = null;
@@ -156,6 +174,7 @@ module DataViz {
                     thisApp.bindingPane.handleDataSelection();
                 },
                 buttonOKCallback: (bindingData: any) => {
+                    thisApp.bindingPane.saveReadOptions();
                     this.currentSKU.Controller.bindDataBySelection();
                     DataViz.UX.DataPane.Instance.hide();
                 },
@@ -172,6 +191,14 @@ module DataViz {
                     });
                 });
             });
+
+            // The panes outlive the SKUs, so they're only hidden by one listener however many times the chart type changes
+            window.addEventListener("click", (e: any) => {
+                if (e.clientX < window.innerWidth - DataViz.App.paneWidth) {
+                    DataViz.UX.SettingPane.Instance.hide();
+                    DataViz.UX.DataPane.Instance.hide();
+                }
+            });
         }
 
         /**
@@ -230,19 +257,45 @@ module DataViz {
             // Registers listeners for configuration changes. NOTE: ORDER MATTERS!
             this.configuration.registerListener(DataViz.Decoration.ShapeProvider.Instance);
             this.configuration.registerListener(DataViz.Decoration.ThemeProvider.Instance);
+            this.configuration.registerListener(<Trends.Data.Agave.DataBinder>this.currentSKU.DataBinder);
             this.configuration.registerListener(this.currentSKU.DataConvertor);
+            if (this.currentSKU.DataTransformer) {
+                this.configuration.registerListener(this.currentSKU.DataTransformer);
+            }
+
+            if (this.currentSKU.DataSampler) {
+                this.configuration.registerListener(this.currentSKU.DataSampler);
+            }
+
             this.configuration.registerListener(this.currentSKU.Controller);
             this.configuration.registerListener(DataViz.SKUs.SKUProvider.Instance);
-            this.configuration.registerListener(this);
             this.currentSKU.Visualizer.registerListener(this);
 
+            // The line colors come from the theme palette, so the chart has to be redrawn when the theme changes
+            this.currentSKU.Controller.revisualizeOnThemeChange(true);
+            this.currentSKU.Controller.revisualizeOnConfigurationChange(DataViz.Config.Trends.revisualizingKeys);
+
             this.layoutInstance = new DataViz.Chart.LayoutInstance(DataViz.Chart.LayoutProvider.Instance.CurrentLayout, this.currentSKU.Configurator);
             this.layoutInstance.registerListener(this.currentSKU.Layouter);
 
             this.mainUX = new Trends.UX.MainUX;
             this.mainUX.init();
 
+            // The data pane lists the bound ranges, so it has to know when they change
+            this.currentSKU.DataBinder.registerDataChangeListener(DataViz.UX.DataPane.Instance);
+            this.currentSKU.Visualizer.registerListener(DataViz.UX.DataPane.Instance);
+
             this.configuration.loadAll();
+
+            // The SKU is set up before the settings of the document are read, so a document saved with another chart type
+            // switches to it here. The app only listens to the SKU changes made after the settings are read.
+            if (DataViz.SKUs.SKUProvider.Instance.CurrentSKU.id !== this.currentSKU.Id) {
+                this.tearDownCurrentSKU();
+                this.setupNewSKU();
+                return;
+            }
+
+            this.configuration.registerListener(this);
             this.layoutInstance.loadAll();
 
             this.currentSKU.Layouter.resume();
@@ -256,7 +309,7 @@ module DataViz {
             var savedTheme = DataViz.Decoration.ThemeProvider.Instance.getThemeById(savedThemeId);
             if ((!savedTheme)
                 || ((savedTheme.sku !== "") && (savedTheme.sku !== this.currentSKU.Id))) {
-                this.configuration.set(DataViz.Config.wellKnownKeys.theme, this.currentSKU.ThemeId);
+                this.configuration.set(DataViz.Config.wellKnownKeys.theme, this.getMatchingThemeId(savedTheme));
             }
 
             var sampleData = new DataViz.Config.Trends.SampleDataProvider(this.currentSKU.SampleData);
@@ -274,20 +327,31 @@ module DataViz {
                     return;
                 }
 
-                var savedClickedPoints: string[] = this.configuration.get(DataViz.Config.Trends.wellKnownKeys.clickedPointIdArray);
-                if (!savedClickedPoints) {
-                    this.configuration.set(DataViz.Config.Trends.wellKnownKeys.clickedPointIdArray, sampleData.DataPoints);
+                var savedPointHighlights: DataViz.Config.Trends.PointHighlight[] = this.configuration.get(DataViz.Config.Trends.wellKnownKeys.pointHighlights);
+                if (!savedPointHighlights) {
+                    this.configuration.set(DataViz.Config.Trends.wellKnownKeys.pointHighlights, sampleData.DataPoints);
                 }
 
                 this.currentSKU.Controller.visualizeData(sampleData.RenderData);
             });
+        }
 
-            window.addEventListener("click", (e: any) => {
-                if (e.clientX < window.innerWidth - DataViz.App.paneWidth) {
-                    DataViz.UX.SettingPane.Instance.hide();
-                    DataViz.UX.DataPane.Instance.hide();
-                }
-            });
+        /**
+          * Gets the theme of the current SKU that takes the place of a theme of another SKU, which is the theme in the same place
+          * in the list of the themes of the SKU, so that the light and the dark themes stay light and dark when the chart type changes
+          * @param {Theme} savedTheme The theme of the other SKU, or null if the saved theme isn't known
+          * @returns {string} The id of the theme, or the id of the default theme of the SKU if it has fewer themes
+          */
+        private getMatchingThemeId(savedTheme: DataViz.Decoration.Theme): string {
+            if (!savedTheme) {
+                return this.currentSKU.ThemeId;
+            }
+
+            var savedIndex = DataViz.Decoration.ThemeProvider.Instance.enumerateForSku(savedTheme.sku).map((theme: DataViz.Decoration.Theme) => {
+                return theme.id;
+            }).indexOf(savedTheme.id);
+            var themes = DataViz.Decoration.ThemeProvider.Instance.enumerateForSku(this.currentSKU.Id);
+            return (savedIndex > -1 && savedIndex < themes.length) ? themes[savedIndex].id : this.currentSKU.ThemeId;
         }
 
         private initLayoutElementConfig(key: string, sampleValue: string) {
@@ -0,0 +1,174 @@
+﻿/* **************************************************************************************
+Copyright (c) Microsoft Open Technologies, Inc. All rights reserved. Licensed under the Apache License, Version 2.0. 
+See License.txt in the project root for license information.
+***************************************************************************************** */
+
+///<reference path="data.convertor.agave.ts" />
+///<reference path="numberformat.trends.ts" />
+///<reference path="plotter.trends.ts" />
+///<reference path="../app.ts" />
+
+/**
+  * This module contains the plotters of the area charts
+  */
+module Trends.Chart {
+    "use strict";
+
+    /**
+      * The ways an area chart can put the areas of its lines together
+      */
+    export var AreaStackMode = {
+        // Every area reaches down to zero, and the later lines are drawn over the earlier ones
+        overlapped: "overlapped",
+        // Every area starts from the top of the shown lines before it, so the top of the last line is the total
+        stacked: "stacked",
+        // Stacked, with the values of every column scaled to add up to 100%
+        percent: "percent",
+    };
+
+    /**
+      * The plotter of the area chart. The lines are drawn as the line chart draws them, with the area under every line filled
+      * in its color. When the lines are stacked, they are stacked in the order of the series, leaving out the hidden lines,
+      * and they have no trendlines, since a trendline fits the values of its line rather than where the line is drawn.
+      */
+    export class AreaChartPlotter extends LineChartPlotter {
+        private static overlappedOpacity = 0.35;
+        private static stackedOpacity = 0.75;
+
+        private stackMode: string;
+        // The value every line is drawn at, and the value its area starts from, in each column, when the lines are stacked
+        private stackTops: { [column: number]: number }[] = [];
+        private stackBases: { [column: number]: number }[] = [];
+
+        constructor(stackMode: string = AreaStackMode.overlapped) {
+            super();
+            this.stackMode = stackMode;
+            this.isStacked = stackMode !== AreaStackMode.overlapped;
+            this.areaOpacity = this.isStacked ? AreaChartPlotter.stackedOpacity : AreaChartPlotter.overlappedOpacity;
+        }
+
+        /**
+          * Overriding {@link HighlightingPlotter#plot}
+          */
+        public plot(data: Trends.Data.BindingData) {
+            if (data && data.yData && this.isStacked) {
+                this.stack(data);
+                data = {
+                    header: data.header,
+                    xData: data.xData,
+                    xDates: data.xDates,
+                    yData: data.yData.map((line: Trends.Data.LineDataConverted) => {
+                        return { validDataCount: line.validDataCount, data: line.data, ruleHighlights: line.ruleHighlights, numberFormat: line.numberFormat };
+                    })
+                };
+            }
+
+            super.plot(data);
+        }
+
+        /**
+          * Overriding {@link LineChartPlotter#getPlottedValue}
+          */
+        public getPlottedValue(lineId: number, point: Trends.Data.PointDataOnLine): number {
+            var top = this.isStacked && this.stackTops[lineId] ? this.stackTops[lineId][point.originalIndex] : undefined;
+            return (top === undefined) ? point.unformatted : top;
+        }
+
+        /**
+          * Overriding {@link LineChartPlotter#getBaseValue}
+          */
+        public getBaseValue(lineId: number, point: Trends.Data.PointDataOnLine): number {
+            var base = this.isStacked && this.stackBases[lineId] ? this.stackBases[lineId][point.originalIndex] : undefined;
+            return (base === undefined) ? 0 : base;
+        }
+
+        /**
+          * Overriding {@link LineChartPlotter#getAxisFormat}. The axis of a 100% stacked chart shows the shares of the columns.
+          */
+        public getAxisFormat(isSecondary: boolean): Trends.Data.NumberFormat {
+            return (this.stackMode === AreaStackMode.percent) ? Trends.Data.NumberFormat.Percentage : super.getAxisFormat(isSecondary);
+        }
+
+        /**
+          * Works out where every line is drawn when the lines are stacked. A hidden line adds nothing to the stack,
+          * so it's drawn at the top of the lines before it.
+          */
+        private stack(data: Trends.Data.BindingData) {
+            var lineDisplay: boolean[] = DataViz.mainApp.Configuration.get(DataViz.Config.Trends.wellKnownKeys.lineDisplay);
+            var columns = AreaChartPlotter.getColumns(data);
+            var values = data.yData.map((line: Trends.Data.LineDataConverted, lineId: number) => {
+                var isShown = !lineDisplay || lineDisplay[lineId] !== false;
+                return columns.map((column: number) => {
+                    return isShown ? HighlightingPlotter.getValueAt(line.data, column) : 0;
+                });
+            });
+
+            var sums = columns.map(() => { return 0; });
+            var scales = columns.map((column: number, index: number) => {
+                if (this.stackMode !== AreaStackMode.percent) {
+                    return 1;
+                }
+
+                var total = 0;
+                values.forEach((lineValues: number[]) => {
+                    total += lineValues[index];
+                });
+
+                return (total === 0) ? 0 : 1 / total;
+            });
+
+            this.stackTops = [];
+            this.stackBases = [];
+            values.forEach((lineValues: number[]) => {
+                var tops: { [column: number]: number } = {};
+                var bases: { [column: number]: number } = {};
+                columns.forEach((column: number, index: number) => {
+                    bases[column] = sums[index] * scales[index];
+                    sums[index] += lineValues[index];
+                    tops[column] = sums[index] * scales[index];
+                });
+
+                this.stackTops.push(tops);
+                this.stackBases.push(bases);
+            });
+        }
+
+        /**
+          * Gets the columns that have a point of any line, in order
+          */
+        private static getColumns(data: Trends.Data.BindingData): number[] {
+            var isColumn: { [column: number]: boolean } = {};
+            var columns: number[] = [];
+            data.yData.forEach((line: Trends.Data.LineDataConverted) => {
+                line.data.forEach((point: Trends.Data.PointDataOnLine) => {
+                    if (!isColumn[point.originalIndex]) {
+                        isColumn[point.originalIndex] = true;
+                        columns.push(point.originalIndex);
+                    }
+                });
+            });
+
+            return columns.sort((a: number, b: number) => {
+                return a - b;
+            });
+        }
+    }
+
+    /**
+      * The plotter of the stacked area chart
+      */
+    export class StackedAreaChartPlotter extends AreaChartPlotter {
+        constructor() {
+            super(AreaStackMode.stacked);
+        }
+    }
+
+    /**
+      * The plotter of the 100% stacked area chart
+      */
+    export class PercentAreaChartPlotter extends AreaChartPlotter {
+        constructor() {
+            super(AreaStackMode.percent);
+        }
+    }
+}
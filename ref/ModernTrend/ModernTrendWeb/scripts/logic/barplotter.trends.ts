@@ -0,0 +1,511 @@
+﻿/* **************************************************************************************
+Copyright (c) Microsoft Open Technologies, Inc. All rights reserved. Licensed under the Apache License, Version 2.0. 
+See License.txt in the project root for license information.
+***************************************************************************************** */
+
+///<reference path="shared/chart.ts"/>
+///<reference path="shared/decoration.ts"/>
+///<reference path="data.convertor.agave.ts" />
+///<reference path="data.transformer.trends.ts" />
+///<reference path="numberformat.trends.ts" />
+///<reference path="highlightingplotter.trends.ts" />
+///<reference path="../app.ts" />
+
+/**
+  * This module contains the plotters of the column and bar charts
+  */
+module Trends.Chart {
+    "use strict";
+
+    /**
+      * The ways a bar chart can put the bars of its lines together
+      */
+    export var BarMode = {
+        // The columns of every x value stand side by side
+        grouped: "grouped",
+        // The columns of every x value stand on each other, so the top of the last one is the total
+        stacked: "stacked",
+        // The bars of every x value lie side by side, with the x values running down the chart
+        horizontal: "horizontal",
+    };
+
+    /**
+      * The plotter of the column chart. Every line is drawn as a bar in each column it has a point in, in the color of the line,
+      * and a clicked bar gets a bubble with its value at its end, as a clicked point of the line chart does. The hidden lines are
+      * left out, so the shown ones take up their room. The value axis always starts from zero, since the length of a bar is its value.
+      * When the bars are stacked, every shown line has a bar in every column any shown line has one in, so that the totals don't leave out
+      * the points sampling left out of some of the lines.
+      */
+    export class BarChartPlotter extends HighlightingPlotter {
+        private static bandPadding = 0.2;
+        private static marginTop = 40;
+        private static marginRight = 40;
+        private static marginBottom = 45;
+        private static valueLabelFontSize = 18;
+        private static categoryLabelFontSize = 10;
+        private static categoryLabelPadding = 6;
+        private static defaultValueTickNumber = 5;
+
+        private mode: string;
+        private chartWidth: number;
+        private chartHeight: number;
+        private barChart: any;
+        private valueAxis: any;
+        private categoryAxis: any;
+        private groupAxis: any;
+        private yAxisOptions: DataViz.Config.Trends.YAxisOptions;
+        // The points of every line that are drawn as bars
+        private barPoints: Trends.Data.PointDataOnLine[][] = [];
+        // The value every bar starts from, in each column, when the bars are stacked
+        private stackBases: { [column: number]: number }[] = [];
+
+        constructor(mode: string = BarMode.grouped) {
+            super();
+            this.mode = mode;
+        }
+
+        /**
+          * Overriding {@link HighlightingPlotter#initData}
+          */
+        public initData(convertedData: Trends.Data.BindingData) {
+            super.initData(convertedData);
+            this.setBarPoints();
+            this.stack();
+            this.chartHeight = $("#line-chart").height();
+            this.chartWidth = $("#line-chart").width();
+        }
+
+        /**
+          * Overriding {@link HighlightingPlotter#readSettings}
+          */
+        public readSettings() {
+            super.readSettings();
+            this.yAxisOptions = this.configuration.get(DataViz.Config.Trends.wellKnownKeys.yAxisOptions);
+            this.yAxisOptions = this.yAxisOptions ? this.yAxisOptions : <DataViz.Config.Trends.YAxisOptions>{};
+        }
+
+        private isStacked(): boolean {
+            return this.mode === BarMode.stacked;
+        }
+
+        private isHorizontal(): boolean {
+            return this.mode === BarMode.horizontal;
+        }
+
+        /**
+          * Finds the points of every line that have a bar, which are the points in the zoom window with a value. The lines are sampled one by one,
+          * so when the bars are stacked, a shown line also gets a bar in the columns where only the other shown lines have one. Its value there is
+          * read off the line, as the stacked areas do, so that the bars above it start from where they would without sampling.
+          */
+        private setBarPoints() {
+            this.barPoints = this.bindingData.yData.map((line: Trends.Data.LineDataConverted) => {
+                return line.data.filter((point: Trends.Data.PointDataOnLine) => {
+                    return this.hasBar(point);
+                });
+            });
+
+            if (!this.isStacked()) {
+                return;
+            }
+
+            var shownLineIds = this.getShownLineIds();
+            var isColumn: { [column: number]: boolean } = {};
+            var columns: number[] = [];
+            shownLineIds.forEach((lineId: number) => {
+                this.barPoints[lineId].forEach((point: Trends.Data.PointDataOnLine) => {
+                    if (!isColumn[point.originalIndex]) {
+                        isColumn[point.originalIndex] = true;
+                        columns.push(point.originalIndex);
+                    }
+                });
+            });
+
+            columns.sort((a: number, b: number) => {
+                return a - b;
+            });
+
+            shownLineIds.forEach((lineId: number) => {
+                var line = this.bindingData.yData[lineId];
+                var pointsByColumn: { [column: number]: Trends.Data.PointDataOnLine } = {};
+                line.data.forEach((point: Trends.Data.PointDataOnLine) => {
+                    pointsByColumn[point.originalIndex] = point;
+                });
+
+                this.barPoints[lineId] = columns.map((column: number) => {
+                    // A point the line has in the column keeps its value, even if it has no bar because its value is missing
+                    var point = pointsByColumn[column];
+                    if (point) {
+                        return this.hasBar(point) ? point : null;
+                    }
+
+                    var value = HighlightingPlotter.getValueAt(line.data, column);
+                    return (value === 0) ? null : {
+                        originalIndex: column,
+                        unformatted: value,
+                        formatted: line.numberFormat ? line.numberFormat.format(value) : String(value)
+                    };
+                }).filter((point: Trends.Data.PointDataOnLine) => {
+                    return point !== null;
+                });
+            });
+        }
+
+        /**
+          * Tells whether a point has a bar, which it has if it's in the zoom window and has a value. A missing value the gap mode filled in has no bar.
+          */
+        private hasBar(point: Trends.Data.PointDataOnLine): boolean {
+            return !point.isMissing && point.unformatted !== null && isFinite(point.unformatted)
+                && point.originalIndex >= this.firstColumn && point.originalIndex <= this.lastColumn;
+        }
+
+        /**
+          * Works out the value every bar starts from when the bars are stacked. The positive values are stacked up from zero and the
+          * negative values down from it, in the order of the series, leaving out the hidden lines.
+          */
+        private stack() {
+            this.stackBases = [];
+            if (!this.isStacked()) {
+                return;
+            }
+
+            var positiveSums: { [column: number]: number } = {};
+            var negativeSums: { [column: number]: number } = {};
+            this.bindingData.yData.forEach((line: Trends.Data.LineDataConverted, lineId: number) => {
+                var bases: { [column: number]: number } = {};
+                if (this.lineDisplay[lineId]) {
+                    this.getBarPoints(lineId).forEach((point: Trends.Data.PointDataOnLine) => {
+                        var sums = (point.unformatted < 0) ? negativeSums : positiveSums;
+                        var sum = sums[point.originalIndex] ? sums[point.originalIndex] : 0;
+                        bases[point.originalIndex] = sum;
+                        sums[point.originalIndex] = sum + point.unformatted;
+                    });
+                }
+
+                this.stackBases.push(bases);
+            });
+        }
+
+        /**
+          * Gets the points of a line that have a bar
+          */
+        private getBarPoints(lineId: number): Trends.Data.PointDataOnLine[] {
+            return this.barPoints[lineId];
+        }
+
+        /**
+          * Gets the value a bar starts from, which is zero unless the bars are stacked
+          */
+        private getBarStart(lineId: number, point: Trends.Data.PointDataOnLine): number {
+            var base = this.stackBases[lineId] ? this.stackBases[lineId][point.originalIndex] : undefined;
+            return (base === undefined) ? 0 : base;
+        }
+
+        /**
+          * Gets the value a bar ends at, where its bubble is drawn
+          */
+        private getBarEnd(lineId: number, point: Trends.Data.PointDataOnLine): number {
+            return this.getBarStart(lineId, point) + point.unformatted;
+        }
+
+        /**
+          * Gets the domain of the value axis, which takes in zero and the ends of all the shown bars
+          */
+        private getValueDomain(): number[] {
+            var min = 0;
+            var max = 0;
+            this.getShownLineIds().forEach((lineId: number) => {
+                this.getBarPoints(lineId).forEach((point: Trends.Data.PointDataOnLine) => {
+                    var end = this.getBarEnd(lineId, point);
+                    min = Math.min(min, end);
+                    max = Math.max(max, end);
+                });
+            });
+
+            return (min === max) ? [0, 1] : [min, max];
+        }
+
+        private getColumns(): number[] {
+            var columns: number[] = [];
+            for (var column = this.firstColumn; column <= this.lastColumn; column++) {
+                columns.push(column);
+            }
+
+            return columns;
+        }
+
+        /**
+          * Gets the format of the value labels, which is the format the shown lines have in common
+          */
+        private getAxisFormat(): Trends.Data.NumberFormat {
+            return Trends.Data.NumberFormat.combine(this.getShownLineIds().map((lineId: number) => {
+                return this.bindingData.yData[lineId].numberFormat;
+            }));
+        }
+
+        /**
+          * Overriding {@link HighlightingPlotter#draw}
+          */
+        public draw() {
+            this.barChart = this.appendChart(this.chartWidth, this.chartHeight);
+            var top = BarChartPlotter.marginTop / this.zoomRatio.heightRatio;
+            var bottom = this.chartHeight - BarChartPlotter.marginBottom / this.zoomRatio.heightRatio;
+            var right = this.chartWidth - BarChartPlotter.marginRight / this.zoomRatio.widthRatio;
+            var tickNumber = (this.yAxisOptions.tickNumber > 0) ? Math.floor(this.yAxisOptions.tickNumber) : BarChartPlotter.defaultValueTickNumber;
+            this.valueAxis = d3.scale.linear().domain(this.getValueDomain()).nice(tickNumber);
+            var valueTicks: number[] = this.valueAxis.ticks(tickNumber);
+            var valueLabels = this.getAxisFormat().formatTicks(valueTicks, this.isCompact);
+            var padding = BarChartPlotter.categoryLabelPadding / this.zoomRatio.widthRatio;
+            var left: number;
+            if (this.isHorizontal()) {
+                this.categoryAxis = d3.scale.ordinal().domain(this.getColumns()).rangeBands([top, bottom], BarChartPlotter.bandPadding);
+                left = this.drawCategoryLabels() + padding;
+                this.valueAxis.range([left, right]);
+                this.drawValueLabelsAndTicks(valueTicks, valueLabels, [top, bottom]);
+            }
+            else {
+                this.valueAxis.range([bottom, top]);
+                left = this.drawValueLabelsAndTicks(valueTicks, valueLabels, [0, this.chartWidth]) + padding;
+                this.categoryAxis = d3.scale.ordinal().domain(this.getColumns()).rangeBands([left, right], BarChartPlotter.bandPadding);
+                this.drawCategoryLabels();
+            }
+
+            var shownLineIds = this.getShownLineIds();
+            this.groupAxis = d3.scale.ordinal().domain(this.isStacked() ? [0] : shownLineIds).rangeBands([0, this.categoryAxis.rangeBand()]);
+            this.drawBands();
+            this.drawLineLegend();
+            shownLineIds.forEach((lineId: number) => {
+                this.drawBars(lineId);
+            });
+
+            this.drawBaseline();
+            $("#zoom-reset-button").toggle(this.isZoomed());
+        }
+
+        /**
+          * Draws the labels of the value axis with a dashed grid line at each of them. The labels of a column chart are on the left,
+          * above their grid lines, and the labels of a bar chart are at the bottom.
+          * @param {number[]} ticks The values of the labels
+          * @param {string[]} labels The labels
+          * @param {number[]} gridRange Where the grid lines start and end
+          * @returns {number} The width of the widest label
+          */
+        private drawValueLabelsAndTicks(ticks: number[], labels: string[], gridRange: number[]): number {
+            var _this = this;
+            var isHorizontal = this.isHorizontal();
+            var fontSize = (isHorizontal ? BarChartPlotter.categoryLabelFontSize : BarChartPlotter.valueLabelFontSize) / this.zoomRatio.heightRatio;
+            var valueLabels = this.barChart.selectAll(".valueLabel")
+                        .data(ticks)
+                        .enter()
+                        .append("svg:text")
+                        .attr("class", isHorizontal ? "layout-chart-x-label theme-chart-label" : "layout-chart-y-label theme-chart-label")
+                        .attr("x", function (data: number) {
+                            return isHorizontal ? _this.valueAxis(data) : 0;
+                        })
+                        .attr("y", function (data: number) {
+                            return isHorizontal ? _this.chartHeight - fontSize / 2 : _this.valueAxis(data) - 6;
+                        }) //"6" is the padding bottom from the ticks.
+                        .style("font-size", fontSize + "px")
+                        .text(function (data: number, index: number): any {
+                            return labels[index];
+                        });
+
+            this.barChart.selectAll(".valueTicks")
+                        .data(ticks)
+                        .enter()
+                        .append("svg:line")
+                        .attr("class", "theme-chart-ticks")
+                        .attr("x1", function (data: number) {
+                            return isHorizontal ? _this.valueAxis(data) : gridRange[0];
+                        })
+                        .attr("y1", function (data: number) {
+                            return isHorizontal ? gridRange[0] : _this.valueAxis(data);
+                        })
+                        .attr("x2", function (data: number) {
+                            return isHorizontal ? _this.valueAxis(data) : gridRange[1];
+                        })
+                        .attr("y2", function (data: number) {
+                            return isHorizontal ? gridRange[1] : _this.valueAxis(data);
+                        })
+                        .style("stroke-dasharray", ("5, 3")); //"5" is the dash width and "3" is the width between two dash.
+
+            return HighlightingPlotter.getMaxWidth(valueLabels);
+        }
+
+        /**
+          * Draws the x labels under the columns of a column chart, or on the left of the bars of a bar chart. When there isn't room
+          * for all of them, only every few labels are kept.
+          * @returns {number} The width of the widest label
+          */
+        private drawCategoryLabels(): number {
+            var _this = this;
+            var isHorizontal = this.isHorizontal();
+            var fontSize = BarChartPlotter.categoryLabelFontSize / this.zoomRatio.heightRatio;
+            var columns = this.getColumns();
+            var categoryLabels = this.barChart.append("svg:g")
+                        .attr("id", "x-label-group")
+                        .selectAll(".xLabels")
+                        .data(columns)
+                        .enter()
+                        .append("svg:text")
+                        .attr("id", function (column: number) {
+                            return "x-label" + column;
+                        })
+                        .attr("class", isHorizontal ? "layout-chart-y-label theme-chart-label" : "layout-chart-x-label theme-chart-label")
+                        .attr("x", function (column: number) {
+                            return isHorizontal ? 0 : _this.categoryAxis(column) + _this.categoryAxis.rangeBand() / 2;
+                        })
+                        .attr("y", function (column: number) {
+                            return isHorizontal ? _this.categoryAxis(column) + _this.categoryAxis.rangeBand() / 2 : _this.chartHeight - fontSize / 2;
+                        })
+                        .attr("dy", isHorizontal ? ".36em" : 0)
+                        .style("font-size", fontSize + "px")
+                        .text(function (column: number) {
+                            return _this.bindingData.xData[column];
+                        });
+
+            var maxWidth = HighlightingPlotter.getMaxWidth(categoryLabels);
+            var labelLength = (isHorizontal ? fontSize : maxWidth) + BarChartPlotter.categoryLabelPadding / this.zoomRatio.widthRatio;
+            var step = (columns.length > 1) ? Math.abs(this.categoryAxis(columns[1]) - this.categoryAxis(columns[0])) : labelLength;
+            var labelStep = Math.max(Math.ceil(labelLength / step), 1);
+            categoryLabels.filter(function (column: number, index: number) {
+                return index % labelStep !== 0;
+            }).remove();
+
+            return maxWidth;
+        }
+
+        /**
+          * Draws the line at zero that the bars stand on
+          */
+        private drawBaseline() {
+            var zero = this.valueAxis(0);
+            var categoryRange = this.categoryAxis.rangeExtent();
+            this.barChart.append("svg:line")
+                        .attr("class", "theme-chart-ticks")
+                        .attr("x1", this.isHorizontal() ? zero : categoryRange[0])
+                        .attr("y1", this.isHorizontal() ? categoryRange[0] : zero)
+                        .attr("x2", this.isHorizontal() ? zero : categoryRange[1])
+                        .attr("y2", this.isHorizontal() ? categoryRange[1] : zero);
+        }
+
+        /**
+          * Draws a band behind every other column, which the theme colors so that the columns of the x values can be told apart
+          */
+        private drawBands() {
+            var _this = this;
+            var isHorizontal = this.isHorizontal();
+            var step = this.categoryAxis.rangeBand() / (1 - BarChartPlotter.bandPadding);
+            var valueRange = this.valueAxis.range();
+            var valueStart = Math.min(valueRange[0], valueRange[1]);
+            var valueLength = Math.abs(valueRange[1] - valueRange[0]);
+            this.barChart.append("svg:g")
+                        .attr("id", "band-group")
+                        .selectAll(".band")
+                        .data(this.getColumns().filter(function (column: number, index: number) {
+                            return index % 2 === 0;
+                        }))
+                        .enter()
+                        .append("svg:rect")
+                        .attr("class", "theme-chart-band")
+                        .attr("x", function (column: number) {
+                            return isHorizontal ? valueStart : _this.categoryAxis(column) - (step - _this.categoryAxis.rangeBand()) / 2;
+                        })
+                        .attr("y", function (column: number) {
+                            return isHorizontal ? _this.categoryAxis(column) - (step - _this.categoryAxis.rangeBand()) / 2 : valueStart;
+                        })
+                        .attr("width", isHorizontal ? valueLength : step)
+                        .attr("height", isHorizontal ? step : valueLength);
+        }
+
+        private drawBars(lineId: number) {
+            var _this = this;
+            var isHorizontal = this.isHorizontal();
+            var lineGroup = this.barChart.append("svg:g").attr("id", "line-group" + lineId);
+            var barWidth = this.groupAxis.rangeBand();
+            var barOffset = this.groupAxis(this.isStacked() ? 0 : lineId);
+            var getBarEdges = function (point: Trends.Data.PointDataOnLine): number[] {
+                var start = _this.valueAxis(_this.getBarStart(lineId, point));
+                var end = _this.valueAxis(_this.getBarEnd(lineId, point));
+                return [Math.min(start, end), Math.max(start, end)];
+            };
+
+            lineGroup.selectAll(".bar")
+                        .data(this.getBarPoints(lineId))
+                        .enter()
+                        .append("svg:rect")
+                        .attr("id", function (point: Trends.Data.PointDataOnLine) {
+                            return "bar" + "line" + lineId + "column" + point.originalIndex + "end";
+                        })
+                        .attr("class", "layout-chart-bar theme-chart-bar")
+                        .style("fill", this.getLineColor(lineId))
+                        .attr("x", function (point: Trends.Data.PointDataOnLine) {
+                            return isHorizontal ? getBarEdges(point)[0] : _this.categoryAxis(point.originalIndex) + barOffset;
+                        })
+                        .attr("y", function (point: Trends.Data.PointDataOnLine) {
+                            return isHorizontal ? _this.categoryAxis(point.originalIndex) + barOffset : getBarEdges(point)[0];
+                        })
+                        .attr("width", function (point: Trends.Data.PointDataOnLine) {
+                            return isHorizontal ? getBarEdges(point)[1] - getBarEdges(point)[0] : barWidth;
+                        })
+                        .attr("height", function (point: Trends.Data.PointDataOnLine) {
+                            return isHorizontal ? barWidth : getBarEdges(point)[1] - getBarEdges(point)[0];
+                        })
+                        .on("click", function (point: Trends.Data.PointDataOnLine) {
+                            _this.addPointHighlight(lineId, point.originalIndex, function () {
+                                _this.drawBarBubble(lineId, point, true, true);
+                            });
+                        })
+                        .append("svg:title")
+                        .text(function (point: Trends.Data.PointDataOnLine) {
+                            return _this.lineTitleArray[lineId] + ": " + _this.getPointText(lineId, point);
+                        });
+
+            var barPoints = this.getBarPoints(lineId);
+            var isHighlighted = this.getHighlightedColumns(lineId);
+
+            // The bars the highlight rules pick are found again whenever the data changes, so their bubbles can't be clicked away
+            var ruleHighlights = this.bindingData.yData[lineId].ruleHighlights;
+            ruleHighlights = ruleHighlights ? ruleHighlights : [];
+            barPoints.forEach(function (point: Trends.Data.PointDataOnLine) {
+                if (isHighlighted[point.originalIndex]) {
+                    _this.drawBarBubble(lineId, point, false, true);
+                }
+                else if (ruleHighlights.indexOf(point.originalIndex) > -1) {
+                    _this.drawBarBubble(lineId, point, false, false);
+                }
+            });
+        }
+
+        /**
+          * Draws the bubble with the value of a bar at its end, as the line chart draws it at a point
+          * @param {number} lineId The id of the line of the bar
+          * @param {PointDataOnLine} point The point of the bar
+          * @param {boolean} beAnimated Whether the bubble grows in
+          * @param {boolean} isRemovable Whether a click on the bubble removes the highlight
+          */
+        private drawBarBubble(lineId: number, point: Trends.Data.PointDataOnLine, beAnimated: boolean, isRemovable: boolean) {
+            var categoryPosition = this.categoryAxis(point.originalIndex) + this.groupAxis(this.isStacked() ? 0 : lineId) + this.groupAxis.rangeBand() / 2;
+            var valuePosition = this.valueAxis(this.getBarEnd(lineId, point));
+            var position = this.isHorizontal() ? [valuePosition, categoryPosition] : [categoryPosition, valuePosition];
+            this.drawBubble(d3.select("#line-group" + lineId), lineId, point, position, beAnimated, isRemovable);
+        }
+    }
+
+    /**
+      * The plotter of the stacked column chart
+      */
+    export class StackedBarChartPlotter extends BarChartPlotter {
+        constructor() {
+            super(BarMode.stacked);
+        }
+    }
+
+    /**
+      * The plotter of the bar chart, which lays the grouped columns on their side
+      */
+    export class HorizontalBarChartPlotter extends BarChartPlotter {
+        constructor() {
+            super(BarMode.horizontal);
+        }
+    }
+}
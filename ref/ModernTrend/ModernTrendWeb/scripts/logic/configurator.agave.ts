@@ -34,70 +34,262 @@ module DataViz.Config.Trends {
         secondRowContainerWidth: "second-row-container-width",
         shortdes1GroupWidth: "shortdes1-group-width",
         longdesGroupWidth: "longdes-group-width",
+        // The highlights saved as point ids by earlier versions, which the plotter moves to pointHighlights
         clickedPointIdArray: "clicked-pointid-array",
+        pointHighlights: "point-highlights",
         lineOrder: "line-order",
         lineDisplay: "line-display",
         lineTitleArray: "line-title-array",
+        lineGapModes: "line-gap-modes",
+        lineTransforms: "line-transforms",
+        lineTrendlines: "line-trendlines",
+        lineHighlightRules: "line-highlight-rules",
+        trendlineDisplay: "trendline-display",
+        lineAxes: "line-axes",
+        yAxisOptions: "y-axis-options",
+        compactNumbers: "compact-numbers",
+        xWindow: "x-window",
+        scatterOptions: "scatter-options",
+        sharedYScale: "shared-y-scale",
+        annotations: "annotations",
         bindingName: "binding-name",
+        bindingNames: "binding-names",
         windowWidth: "window-width",
         windowHeight: "window-height",
         isLegendEdited: "is-legend-edited",
+        orientation: "orientation",
+        firstRowIsHeader: "first-row-is-header",
+        firstColumnIsLabels: "first-column-is-labels",
+        respectSheetFilters: "respect-sheet-filters",
     };
 
-    // We can only render five lines at most
-    export var MaxLineNumber = 5;
+    /**
+      * The keys of the settings that change how the bound data is converted, transformed or plotted,
+      * so that the controller revisualizes the data when any of them changes
+      */
+    export var revisualizingKeys = [
+        wellKnownKeys.orientation,
+        wellKnownKeys.firstRowIsHeader,
+        wellKnownKeys.firstColumnIsLabels,
+        wellKnownKeys.lineGapModes,
+        wellKnownKeys.lineTransforms,
+        wellKnownKeys.lineTrendlines,
+        wellKnownKeys.trendlineDisplay,
+        wellKnownKeys.lineHighlightRules,
+        wellKnownKeys.lineAxes,
+        wellKnownKeys.yAxisOptions,
+        wellKnownKeys.compactNumbers,
+        wellKnownKeys.xWindow,
+        wellKnownKeys.scatterOptions,
+        wellKnownKeys.sharedYScale,
+    ];
+
+    /**
+      * The orientations of the bound data
+      */
+    export var Orientation = {
+        // The first column holds the x values and every other column is a line
+        seriesInColumns: "series-in-columns",
+        // The first row holds the x values and every other row is a line
+        seriesInRows: "series-in-rows",
+    };
+
+    /**
+      * The ways a line can show the missing values in it
+      */
+    export var GapMode = {
+        // The line stops before a missing value and starts again after it
+        breakLine: "break",
+        // A missing value is shown as zero
+        zero: "zero",
+        // A missing value is shown on the straight line between the values around it
+        interpolate: "interpolate",
+    };
+
+    /**
+      * The transforms that can be applied to a line
+      */
+    export var TransformType = {
+        // Every value is the average of the values in a window that ends at it
+        rollingAverage: "rolling-average",
+        // Every value is the sum of the values up to it
+        cumulativeSum: "cumulative-sum",
+        // Every value is the change from the previous value, in percent
+        percentChange: "percent-change",
+        // Every value is scaled so that the first value is 100
+        rebase: "rebase",
+    };
+
+    /**
+      * The least-squares fits a trendline can be
+      */
+    export var TrendlineType = {
+        linear: "linear",
+        exponential: "exponential",
+        polynomial: "polynomial",
+    };
+
+    /**
+      * The rules that pick the points of a line to highlight
+      */
+    export var HighlightRuleType = {
+        maximum: "maximum",
+        minimum: "minimum",
+        // The latest point of the line
+        last: "last",
+        // The first point where the line crosses a threshold
+        thresholdCrossing: "threshold-crossing",
+        // The points with the largest values
+        topN: "top-n",
+    };
+
+    /**
+      * The y axes a line can be drawn against
+      */
+    export var YAxis = {
+        // The axis on the left of the chart
+        primary: "primary",
+        // The axis on the right of the chart, with its own scale
+        secondary: "secondary",
+    };
+
+    /**
+      * The scales the y axes can have
+      */
+    export var YScale = {
+        linear: "linear",
+        // Only the positive values can be shown on a logarithmic scale
+        log: "log",
+    };
 
-    // One "column" means the column on the line chart
-    // For example, the first point of each line is inside one column,  the second point is inside another column.
-    export var MaxColumnNumber = 50;
+    /**
+      * The settings of the y axes. The scale, the zero and the number of ticks apply to both axes,
+      * while the fixed minimum and maximum only apply to the primary axis.
+      */
+    export interface YAxisOptions {
+        // One of the values of YScale
+        scale: string;
+        // The fixed ends of the primary axis, or null to fit the axis to the values
+        min: number;
+        max: number;
+        // Whether the axes always go to zero. A logarithmic scale can't.
+        includesZero: boolean;
+        // The number of ticks to aim for, or null for the default number
+        tickNumber: number;
+    }
+
+    /**
+      * A highlighted point. It's saved by the name of its series and the label of its column, so that it stays with the point when the data is edited.
+      */
+    export interface PointHighlight {
+        seriesName: string;
+        xLabel: string;
+    }
+
+    /**
+      * A note on a point, which is saved like a highlight
+      */
+    export interface Annotation extends PointHighlight {
+        text: string;
+    }
+
+    /**
+      * The columns the chart is zoomed to. Both ends are null when the chart shows all the columns.
+      */
+    export interface XWindow {
+        // The first and the last column shown
+        start: number;
+        end: number;
+    }
+
+    /**
+      * The settings of the scatter chart. The series are saved by name, like the highlights, so that they stay picked when the data is edited.
+      */
+    export interface ScatterOptions {
+        // The names of the series plotted across and up, or null for the first and the second series
+        xSeriesName: string;
+        ySeriesName: string;
+        showsRegression: boolean;
+        showsCorrelation: boolean;
+        showsLabels: boolean;
+    }
 
     // The dafault display language is set to en-US.
     export var Culture: string = "en-US";
 
     /**
-      * Reset clickedPointIdArray
+      * Reset the highlighted points, including those saved as point ids by earlier versions
       */
-    export function resetClickedPointIdArrays() {
+    export function resetPointHighlights() {
+        DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.pointHighlights, []);
         DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.clickedPointIdArray, []);
     }
 
     /**
-      * Reset lineOrder
+      * Reset lineOrder. The plotter fills in the default order for the lines it draws.
       */
     export function resetLineOrder() {
-        var tempLineOrder: number[] = [];
-        for (var i = 0; i < MaxLineNumber; i++) {
-            tempLineOrder[i] = i;
-        }
-
-        DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.lineOrder, tempLineOrder);
+        DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.lineOrder, []);
     }
 
     /**
-      * Reset line display status
+      * Reset line display status. The plotter shows every line that has no saved status.
       */
     export function resetLineDisplay() {
-        var tempLineDisplay: boolean[] = [];
-        for (var i = 0; i < MaxLineNumber; i++) {
-            tempLineDisplay[i] = true;
-        }
-
-        DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.lineDisplay, tempLineDisplay);
+        DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.lineDisplay, []);
     }
 
     /**
-      * Reset line display status
+      * Reset line titles. The plotter gives the default legend name to every line that has no saved title.
       */
     export function resetLineTitleArray() {
-        var tempLineTitleArray: string[] = [];
-        for (var i = 0; i < MaxLineNumber; i++) {
-            tempLineTitleArray[i] = DataViz.Utils.stringFormat(DataViz.Resources.UI.defaultLegendName, i + 1);
-        }
-
-        DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.lineTitleArray, tempLineTitleArray);
+        DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.lineTitleArray, []);
         DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.isLegendEdited, false);
     }
 
+    /**
+      * Reset line gap modes. The convertor breaks every line that has no saved gap mode at its missing values.
+      */
+    export function resetLineGapModes() {
+        DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.lineGapModes, []);
+    }
+
+    /**
+      * Reset line transforms. The lines without saved transforms are drawn from the bound values.
+      */
+    export function resetLineTransforms() {
+        DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.lineTransforms, []);
+    }
+
+    /**
+      * Reset line trendlines and their display status. The plotter shows every trendline that has no saved status.
+      */
+    export function resetLineTrendlines() {
+        DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.lineTrendlines, []);
+        DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.trendlineDisplay, []);
+    }
+
+    /**
+      * Reset line highlight rules. The lines without saved rules have only the highlights the user has added.
+      */
+    export function resetLineHighlightRules() {
+        DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.lineHighlightRules, []);
+    }
+
+    /**
+      * Reset line axes. The plotter draws every line that has no saved axis against the primary axis.
+      */
+    export function resetLineAxes() {
+        DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.lineAxes, []);
+    }
+
+    /**
+      * Reset the zoom window, so that the chart shows all the columns
+      */
+    export function resetXWindow() {
+        DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.xWindow, <XWindow>{ start: null, end: null });
+    }
+
     /**
       * This is the sample data structure
       */
@@ -118,7 +310,7 @@ module DataViz.Config.Trends {
         public formatted: string[][];
         public unformatted: string[][];
         public sampleText: SampleText;
-        public dataPoints: string[];
+        public dataPoints: PointHighlight[];
     }
 
     export class SampleDataProvider {
@@ -178,7 +370,7 @@ module DataViz.Config.Trends {
             return this.data.sampleText.longdesDescript;
         }
 
-        public get DataPoints(): string[] {
+        public get DataPoints(): PointHighlight[] {
             return this.data.dataPoints;
         }
     }
@@ -6,8 +6,11 @@ See License.txt in the project root for license information.
 ///<reference path="shared/data.ts"/>
 ///<reference path="shared/utils.ts"/>
 ///<reference path="shared/validate.ts"/>
+///<reference path="data.convertor.agave.ts"/>
+///<reference path="configurator.agave.ts"/>
 
 declare var Office: any;
+declare var Excel: any;
 
 /**
   * This module contains the implementation of the specific data binder of the app
@@ -16,22 +19,41 @@ module Trends.Data.Agave {
     "use strict";
 
     /**
-      * This is the specific data binder of the app
+      * The size of a bound range
       */
-    export class DataBinder implements DataViz.Data.IDataBinder {
+    export interface BoundRange {
+        bindingName: string;
+        rowCount: number;
+        columnCount: number;
+        // The number of rows of the range that sheet filters hide
+        hiddenRowCount: number;
+    }
+
+    /**
+      * This is the specific data binder of the app. It can bind several ranges at once, each with its own data change handler,
+      * and passes the data of all of them to the listeners, which line them up on their x labels.
+      * A selection is bound as a table binding when Excel allows it, so that the binding grows with the table; otherwise it's bound as a matrix.
+      * The rows that sheet filters hide are left out unless the "respect sheet filters" setting is turned off.
+      */
+    export class DataBinder implements DataViz.Data.IDataBinder, DataViz.Config.IConfigurationChangeListener {
         private isDataBound: boolean;
         private sendDataBindingTelemetry: boolean;
-        private bindingName: string;
+        private bindingNames: string[];
         private dataChangeListeners: DataViz.Data.IDataChangeListener[];
-        private dataChangeHandler: any;
+        private dataChangeHandlers: { [bindingName: string]: any };
+        private bindingTypes: { [bindingName: string]: string };
+        private rangeData: { [bindingName: string]: Trends.Data.RawData };
+        private respectsSheetFilters: boolean;
 
         constructor() {
             this.isDataBound = false;
             this.sendDataBindingTelemetry = false;
+            this.bindingNames = [];
             this.dataChangeListeners = [];
-            this.dataChangeHandler = (eventArgs: any) => {
-                this.notifyDataChange();
-            };
+            this.dataChangeHandlers = {};
+            this.bindingTypes = {};
+            this.rangeData = {};
+            this.respectsSheetFilters = true;
         }
 
         /**
@@ -39,10 +61,60 @@ module Trends.Data.Agave {
           */
         public resetTool() {
             this.dataChangeListeners.length = 0;
-            this.detachHandler(this.bindingName);
+            this.bindingNames.forEach((bindingName: string) => {
+                this.detachHandler(bindingName);
+            });
             this.isDataBound = false;
         }
 
+        /**
+          * Gets the names of the bindings in the order their series are shown
+          * @returns {string[]} The binding names
+          */
+        public get BindingNames(): string[] {
+            return this.bindingNames.slice(0);
+        }
+
+        /**
+          * Gets the size of each bound range, as of the last time its data was read
+          * @returns {BoundRange[]} The sizes of the bound ranges, in the order their series are shown
+          */
+        public get BoundRanges(): BoundRange[] {
+            return this.bindingNames.map((bindingName: string) => {
+                var data = this.rangeData[bindingName];
+                return {
+                    bindingName: bindingName,
+                    rowCount: (data && data.formatted) ? data.formatted.length : 0,
+                    columnCount: (data && data.formatted && data.formatted[0]) ? data.formatted[0].length : 0,
+                    hiddenRowCount: (data && data.hiddenRowCount) ? data.hiddenRowCount : 0
+                };
+            });
+        }
+
+        /**
+          * Gets whether the rows that sheet filters hide are left out of the data
+          * @returns {boolean} True if only the visible rows are read; false if all the rows are
+          */
+        public get RespectsSheetFilters(): boolean {
+            return this.respectsSheetFilters;
+        }
+
+        /**
+          * Implementing {@link IConfigurationChangeListener#onConfigurationChanged}
+          */
+        public onConfigurationChanged(key: string, value: any) {
+            if (key !== DataViz.Config.Trends.wellKnownKeys.respectSheetFilters || this.respectsSheetFilters === <boolean>value) {
+                return;
+            }
+
+            this.respectsSheetFilters = <boolean>value;
+
+            // The cached data was read with the other filter, so it has to be read again
+            if (this.isDataBound) {
+                this.notifyDataChange();
+            }
+        }
+
         /**
           * Implementing {@link IDataBinder#registerDataChangeListener}
           */
@@ -73,12 +145,78 @@ module Trends.Data.Agave {
             this.bind(false, callback);
         }
 
+        /**
+          * Implementing {@link IDataBinder#addBySelection}
+          */
+        public addBySelection(callback?: (result: any) => any) {
+            if (!this.isDataBound) {
+                this.bind(false, callback);
+                return;
+            }
+
+            var bindingName = this.getNewBindingName();
+            this.addBinding(false, bindingName, (result: any) => {
+                this.bindingNames.push(bindingName);
+                this.saveBindingNames();
+                this.attachHandler(bindingName, () => {
+                    if (callback) {
+                        callback(result);
+                    }
+                });
+            });
+        }
+
+        /**
+          * Implementing {@link IDataBinder#removeBinding}
+          */
+        public removeBinding(bindingName: string, callback?: () => any) {
+            if (this.bindingNames.indexOf(bindingName) === -1 || this.bindingNames.length === 1) {
+                if (callback) {
+                    callback();
+                }
+
+                return;
+            }
+
+            DataViz.Utils.removeItemFromArray(this.bindingNames, bindingName);
+            delete this.rangeData[bindingName];
+            delete this.bindingTypes[bindingName];
+            this.saveBindingNames();
+
+            // The series of the ranges after the removed one move down, so the states saved by series id no longer apply.
+            // The chart isn't revisualized for the resets, since the data changes right after the range is released.
+            DataViz.mainApp.CurrentSKU.Controller.batchConfigurationChanges(() => {
+                DataViz.Config.Trends.resetLineOrder();
+                DataViz.Config.Trends.resetLineDisplay();
+                DataViz.Config.Trends.resetLineTitleArray();
+                DataViz.Config.Trends.resetLineGapModes();
+                DataViz.Config.Trends.resetLineTransforms();
+                DataViz.Config.Trends.resetLineTrendlines();
+                DataViz.Config.Trends.resetLineHighlightRules();
+                DataViz.Config.Trends.resetLineAxes();
+                DataViz.Config.Trends.resetXWindow();
+            }, false);
+            this.release(bindingName, () => {
+                this.notifyDataChange();
+
+                if (callback) {
+                    callback();
+                }
+            });
+        }
+
         /**
           * Implementing {@link IDataBinder#Rebind}
           */
         public rebind(callback?: () => any) {
-            this.bindingName = DataViz.mainApp.Configuration.get(DataViz.Config.Trends.wellKnownKeys.bindingName);
-            if (!this.bindingName) {
+            var savedBindingNames: string[] = DataViz.mainApp.Configuration.get(DataViz.Config.Trends.wellKnownKeys.bindingNames);
+            if (!savedBindingNames) {
+                // Documents saved before several ranges could be bound only have the name of the one binding
+                var savedBindingName: string = DataViz.mainApp.Configuration.get(DataViz.Config.Trends.wellKnownKeys.bindingName);
+                savedBindingNames = savedBindingName ? [savedBindingName] : [];
+            }
+
+            if (savedBindingNames.length === 0) {
                 if (callback) {
                     callback();
                 }
@@ -86,8 +224,20 @@ module Trends.Data.Agave {
                 return;
             }
 
-            Office.context.document.bindings.getByIdAsync(this.bindingName, (result: any) => {
-                if (result.status !== Office.AsyncResultStatus.Succeeded) {
+            var pendingCount = savedBindingNames.length;
+            var existingBindingNames: string[] = [];
+            var onBindingChecked = () => {
+                pendingCount--;
+                if (pendingCount > 0) {
+                    return;
+                }
+
+                // Keep the saved order, but leave out the bindings that no longer exist in the document
+                this.bindingNames = savedBindingNames.filter((bindingName: string) => {
+                    return existingBindingNames.indexOf(bindingName) > -1;
+                });
+
+                if (this.bindingNames.length === 0) {
                     if (callback) {
                         callback();
                     }
@@ -95,17 +245,19 @@ module Trends.Data.Agave {
                     return;
                 }
 
-                if (DataViz.Utils.isOnWac()) {
-                    this.detachHandler(this.bindingName);
-                    this.isDataBound = true;
-                    this.attachHandler(callback);
-                }
-                else {
-                    this.detachHandler(this.bindingName, () => {
-                        this.isDataBound = true;
-                        this.attachHandler(callback);
-                    });
-                };
+                this.isDataBound = true;
+                this.attachHandlers(this.bindingNames.slice(0), callback);
+            };
+
+            savedBindingNames.forEach((bindingName: string) => {
+                Office.context.document.bindings.getByIdAsync(bindingName, (result: any) => {
+                    if (result.status === Office.AsyncResultStatus.Succeeded) {
+                        existingBindingNames.push(bindingName);
+                        this.bindingTypes[bindingName] = result.value.type;
+                    }
+
+                    onBindingChecked();
+                });
             });
         }
 
@@ -115,7 +267,7 @@ module Trends.Data.Agave {
         public getSelectedData(callback: (data: any) => any) {
             Office.context.document.getSelectedDataAsync(
                 Office.CoercionType.Matrix,
-                { valueFormat: Office.ValueFormat.Formatted, filterType: Office.FilterType.OnlyVisible },
+                { valueFormat: Office.ValueFormat.Formatted, filterType: this.FilterType },
                 (result: any) => {
                     if (callback) {
                         callback(result.value);
@@ -123,6 +275,51 @@ module Trends.Data.Agave {
                 });
         }
 
+        /**
+          * Selects a bound range in the document
+          * @param {string} bindingName The name of the binding of the range
+          * @param {() => any} [callback] The callback, called once the range is selected
+          */
+        public goToRange(bindingName: string, callback?: () => any) {
+            Office.context.document.goToByIdAsync(bindingName, Office.GoToType.Binding, { selectionMode: Office.SelectionMode.Selected }, (result: any) => {
+                if (callback) {
+                    callback();
+                }
+            });
+        }
+
+        /**
+          * Selects a cell of a bound range in the document, so that the user can fix it. The whole range is selected instead if the Excel API
+          * that finds the address of the cell isn't supported, or if sheet filters hide rows of the range, since the cell is then counted
+          * among the visible rows only.
+          * @param {string} bindingName The name of the binding of the range
+          * @param {number} row The index of the row of the cell, counted from the top left cell of the range
+          * @param {number} column The index of the column of the cell, counted from the top left cell of the range
+          * @param {() => any} [callback] The callback, called once the cell or the range is selected
+          */
+        public goToCell(bindingName: string, row: number, column: number, callback?: () => any) {
+            var data = this.rangeData[bindingName];
+            var isRowShifted = this.respectsSheetFilters && data && data.hiddenRowCount > 0;
+            if (isRowShifted || typeof Excel === "undefined" || !Office.context.requirements || !Office.context.requirements.isSetSupported("ExcelApi", "1.1")) {
+                this.goToRange(bindingName, callback);
+                return;
+            }
+
+            Excel.run((context: any) => {
+                var cell = context.workbook.bindings.getItem(bindingName).getRange().getCell(row, column);
+                cell.load("address");
+                return context.sync().then(() => {
+                    Office.context.document.goToByIdAsync(cell.address, Office.GoToType.NamedItem, { selectionMode: Office.SelectionMode.Selected }, (result: any) => {
+                        if (callback) {
+                            callback();
+                        }
+                    });
+                });
+            }).catch(() => {
+                this.goToRange(bindingName, callback);
+            });
+        }
+
         /**
           * Implementing {@link IDataBinder#IsBound}
           */
@@ -135,46 +332,46 @@ module Trends.Data.Agave {
           */
         public getData(callback: (data: Trends.Data.RawData) => any) {
             DataViz.Validate.Validator.ensures(callback).isNotNull();
-            var finalData: Trends.Data.RawData = { hasHeader: false, formatted: null, unformatted: null };
-            var bindingName: string = "bindings#" + this.bindingName;
 
-            var selection = Office.select(bindingName, (result: any) => {
-                if (result.status !== Office.AsyncResultStatus.Succeeded) {
-                    callback(null);
-                }
-            });
+            var bindingNames = this.bindingNames.slice(0);
+            var pendingCount = bindingNames.length;
+            var isFailed = false;
+            if (pendingCount === 0) {
+                callback(null);
+                return;
+            }
 
-            // get unformatted data first
-            selection.getDataAsync(
-                { coercionType: Office.CoercionType.Matrix, valueFormat: Office.ValueFormat.Unformatted, filterType: Office.FilterType.OnlyVisible },
-                (result: any) => {
-                    if (result.status === Office.AsyncResultStatus.Succeeded) {
-                        finalData.unformatted = result.value;
-                        finalData.hasHeader = this.detectHeader(result.value);
-                        // then get formatted data
-                        selection.getDataAsync(
-                            { coercionType: Office.CoercionType.Matrix, valueFormat: Office.ValueFormat.Formatted, filterType: Office.FilterType.OnlyVisible },
-                            (result: any) => {
-                                if (result.status === Office.AsyncResultStatus.Succeeded) {
-                                    finalData.formatted = result.value;
-                                    callback(finalData);
-                                    if (this.sendDataBindingTelemetry) {
-                                        this.sendDataBindingTelemetry = false;
-                                    }
-                                }
-                                else {
-                                    callback(null);
-                                }
-                            });
+            bindingNames.forEach((bindingName: string) => {
+                this.getRangeData(bindingName, (data: Trends.Data.RawData) => {
+                    if (isFailed) {
+                        return;
+                    }
+
+                    if (!data) {
+                        isFailed = true;
+                        callback(null);
+                        return;
+                    }
+
+                    this.rangeData[bindingName] = data;
+                    pendingCount--;
+                    if (pendingCount === 0) {
+                        callback(this.combineRangeData(bindingNames));
+                        if (this.sendDataBindingTelemetry) {
+                            this.sendDataBindingTelemetry = false;
+                        }
                     }
                 });
+            });
         }
 
         /**
           * Implementing {@link IDataBinder#unbind}
           */
         public unbind(callback?: () => any) {
-            if (!this.bindingName) {
+            var bindingNames = this.bindingNames.slice(0);
+            var pendingCount = bindingNames.length;
+            if (pendingCount === 0) {
                 if (callback) {
                     callback();
                 }
@@ -182,27 +379,21 @@ module Trends.Data.Agave {
                 return;
             }
 
-            if (DataViz.Utils.isOnWac()) {
-                this.detachHandler(this.bindingName);
-                Office.context.document.bindings.releaseByIdAsync(this.bindingName, (releaseBindResult: any) => {
-                    this.isDataBound = false;
-
-                    if (callback) {
-                        callback();
-                    }
-                });
-            }
-            else {
-                this.detachHandler(this.bindingName, () => {
-                    Office.context.document.bindings.releaseByIdAsync(this.bindingName, (releaseBindResult: any) => {
+            bindingNames.forEach((bindingName: string) => {
+                this.release(bindingName, () => {
+                    pendingCount--;
+                    if (pendingCount === 0) {
                         this.isDataBound = false;
+                        this.bindingNames = [];
+                        this.bindingTypes = {};
+                        this.rangeData = {};
 
                         if (callback) {
                             callback();
                         }
-                    });
-                })
-            }
+                    }
+                });
+            });
         }
 
         private bind(prompt: boolean, callback?: (result: any) => any) {
@@ -210,44 +401,161 @@ module Trends.Data.Agave {
             this.bindInternal(prompt, callback);
         }
 
-        public getBindingName(): string {
-            return this.bindingName === DataViz.Data.DefaultBindingName ?
-                        DataViz.Data.ExtraBindingName : DataViz.Data.DefaultBindingName;
+        /**
+          * Gets a binding name that isn't used by any of the current bindings
+          * @returns {string} The new binding name
+          */
+        private getNewBindingName(): string {
+            if (this.bindingNames.indexOf(DataViz.Data.DefaultBindingName) === -1) {
+                return DataViz.Data.DefaultBindingName;
+            }
+
+            if (this.bindingNames.indexOf(DataViz.Data.ExtraBindingName) === -1) {
+                return DataViz.Data.ExtraBindingName;
+            }
+
+            var index = 3;
+            while (this.bindingNames.indexOf(DataViz.Data.DefaultBindingName + index) > -1) {
+                index++;
+            }
+
+            return DataViz.Data.DefaultBindingName + index;
         }
 
         private bindInternal(prompt: boolean, callback?: (result: any) => any) {
-            var innerCallback =
-                (result: any) => {
-                    if (result.status !== Office.AsyncResultStatus.Succeeded) {
-                        return;
-                    }
+            var bindingName = this.getNewBindingName();
+            this.addBinding(prompt, bindingName, (result: any) => {
+                var bindingType = this.bindingTypes[bindingName];
+                this.unbind(() => {
+                    this.bindingNames = [bindingName];
+                    this.bindingTypes[bindingName] = bindingType;
+                    this.saveBindingNames();
+                    this.isDataBound = true;
+                    this.attachHandler(bindingName, () => {
+                        this.notifyBindingTargetChange();
 
-                    this.unbind(() => {
-                        this.bindingName = this.getBindingName();
-                        DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.bindingName, this.bindingName);
-                        this.isDataBound = true;
-                        this.attachHandler(() => {
-                            this.notifyBindingTargetChange();
-
-                            if (callback) {
-                                callback(result);
-                            }
-                        });
+                        if (callback) {
+                            callback(result);
+                        }
                     });
-                };
+                });
+            });
+        }
+
+        /**
+          * Adds a binding to the prompted or the selected range. It's a table binding if Excel can bind the range as a table, and a matrix binding otherwise.
+          * The callback is only called when the binding has been added.
+          */
+        private addBinding(prompt: boolean, bindingName: string, callback: (result: any) => any) {
+            var onBindingAdded = (result: any) => {
+                if (result.status !== Office.AsyncResultStatus.Succeeded) {
+                    return;
+                }
+
+                this.bindingTypes[bindingName] = result.value.type;
+                callback(result);
+            };
 
+            var addAsMatrix = () => {
+                if (prompt) {
+                    Office.context.document.bindings.addFromPromptAsync(Office.BindingType.Matrix, { id: bindingName }, onBindingAdded);
+                }
+                else {
+                    Office.context.document.bindings.addFromSelectionAsync(Office.BindingType.Matrix, { id: bindingName }, onBindingAdded);
+                }
+            };
+
+            // The prompt can't be shown twice, so only a selection is tried as a table first. Excel binds any range as a table,
+            // taking its first row as the header, so only a selection in an Excel table is bound as a table.
             if (prompt) {
-                Office.context.document.bindings.addFromPromptAsync(Office.BindingType.Matrix, { id: this.getBindingName() }, innerCallback);
+                addAsMatrix();
+                return;
+            }
+
+            DataBinder.isSelectionInTable((isInTable: boolean) => {
+                if (!isInTable) {
+                    addAsMatrix();
+                    return;
+                }
+
+                Office.context.document.bindings.addFromSelectionAsync(Office.BindingType.Table, { id: bindingName }, (result: any) => {
+                    if (result.status === Office.AsyncResultStatus.Succeeded) {
+                        onBindingAdded(result);
+                    }
+                    else {
+                        addAsMatrix();
+                    }
+                });
+            });
+        }
+
+        /**
+          * Determines whether the selection is in an Excel table. It's taken as not being in one if the Excel API that finds out isn't supported.
+          * @param {(isInTable: boolean) => any} callback The callback that gets the result
+          */
+        private static isSelectionInTable(callback: (isInTable: boolean) => any) {
+            if (typeof Excel === "undefined" || !Office.context.requirements || !Office.context.requirements.isSetSupported("ExcelApi", "1.4")) {
+                callback(false);
+                return;
+            }
+
+            Excel.run((context: any) => {
+                var selectedRange = context.workbook.getSelectedRange();
+                var tables = context.workbook.tables;
+                tables.load("items");
+                return context.sync().then(() => {
+                    var intersections = tables.items.map((table: any) => {
+                        return table.getRange().getIntersectionOrNullObject(selectedRange);
+                    });
+                    return context.sync().then(() => {
+                        callback(intersections.some((intersection: any) => {
+                            return !intersection.isNullObject;
+                        }));
+                    });
+                });
+            }).catch(() => {
+                callback(false);
+            });
+        }
+
+        private saveBindingNames() {
+            DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.bindingNames, this.bindingNames.slice(0));
+            // Keep the first binding name under the old key too, so that older versions of the app can still open the document
+            DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.bindingName, this.bindingNames[0]);
+        }
+
+        /**
+          * Attaches the handlers of the given bindings one after another, the way the rebinding after opening the document requires
+          */
+        private attachHandlers(bindingNames: string[], callback?: () => any) {
+            if (bindingNames.length === 0) {
+                if (callback) {
+                    callback();
+                }
+
+                return;
+            }
+
+            var bindingName = bindingNames.shift();
+            if (DataViz.Utils.isOnWac()) {
+                this.detachHandler(bindingName);
+                this.attachHandler(bindingName, () => {
+                    this.attachHandlers(bindingNames, callback);
+                });
             }
             else {
-                Office.context.document.bindings.addFromSelectionAsync(Office.BindingType.Matrix, { id: this.getBindingName() }, innerCallback);
+                this.detachHandler(bindingName, () => {
+                    this.attachHandler(bindingName, () => {
+                        this.attachHandlers(bindingNames, callback);
+                    });
+                });
             }
         }
 
-        private attachHandler(callback?: () => any) {
-            Office.select("bindings#" + this.bindingName).addHandlerAsync(
+        private attachHandler(bindingName: string, callback?: () => any) {
+            Office.select("bindings#" + bindingName).addHandlerAsync(
                 Office.EventType.BindingDataChanged,
-                this.dataChangeHandler,
+                this.getDataChangeHandler(bindingName),
                 (result: any) => {
                     if (result.status !== Office.AsyncResultStatus.Succeeded) {
                         return;
@@ -262,10 +570,14 @@ module Trends.Data.Agave {
         }
 
         private detachHandler(bindingName: string, callback?: () => any) {
+            if (!bindingName) {
+                return;
+            }
+
             Office.select("bindings#" + bindingName, callback) // this callback happens after binding failed, which results into an invalid bindingName, and then bind again.
                 .removeHandlerAsync(
                     Office.EventType.BindingDataChanged,
-                    { handler: this.dataChangeHandler },
+                    { handler: this.getDataChangeHandler(bindingName) },
                     (removeHandlerResult: any) => {
                         if (callback) {
                             callback();
@@ -274,6 +586,149 @@ module Trends.Data.Agave {
                 );
         }
 
+        /**
+          * Gets the BindingDataChanged handler of a binding. Every binding has its own handler, which only reads the data of its own range again.
+          */
+        private getDataChangeHandler(bindingName: string): any {
+            if (!this.dataChangeHandlers[bindingName]) {
+                this.dataChangeHandlers[bindingName] = (eventArgs: any) => {
+                    this.notifyRangeDataChange(bindingName);
+                };
+            }
+
+            return this.dataChangeHandlers[bindingName];
+        }
+
+        private release(bindingName: string, callback?: () => any) {
+            if (DataViz.Utils.isOnWac()) {
+                this.detachHandler(bindingName);
+                Office.context.document.bindings.releaseByIdAsync(bindingName, (releaseBindResult: any) => {
+                    if (callback) {
+                        callback();
+                    }
+                });
+            }
+            else {
+                this.detachHandler(bindingName, () => {
+                    Office.context.document.bindings.releaseByIdAsync(bindingName, (releaseBindResult: any) => {
+                        if (callback) {
+                            callback();
+                        }
+                    });
+                })
+            }
+        }
+
+        /**
+          * Reads the formatted and the unformatted values of one bound range. The data of a table binding is read with the rows
+          * the table has right now, and its header row comes from the table definition if the table shows one. Otherwise the header
+          * is detected from the values. Then the rows are read with the other filter type, only to count the rows that sheet filters hide.
+          */
+        private getRangeData(bindingName: string, callback: (data: Trends.Data.RawData) => any) {
+            var finalData: Trends.Data.RawData = { hasHeader: false, formatted: null, unformatted: null };
+            var isTable = this.bindingTypes[bindingName] === Office.BindingType.Table;
+            var coercionType = isTable ? Office.CoercionType.Table : Office.CoercionType.Matrix;
+            var selection = Office.select("bindings#" + bindingName, (result: any) => {
+                if (result.status !== Office.AsyncResultStatus.Succeeded) {
+                    callback(null);
+                }
+            });
+
+            // get unformatted data first
+            selection.getDataAsync(
+                { coercionType: coercionType, valueFormat: Office.ValueFormat.Unformatted, filterType: this.FilterType },
+                (result: any) => {
+                    if (result.status === Office.AsyncResultStatus.Succeeded) {
+                        finalData.unformatted = isTable ? DataBinder.tableToMatrix(result.value) : result.value;
+                        finalData.hasHeader = (isTable && DataBinder.hasTableHeader(result.value))
+                            || (finalData.unformatted.length > 0 && Trends.Data.DataConvertor.detectHeader(finalData.unformatted));
+                        // then get formatted data
+                        selection.getDataAsync(
+                            { coercionType: coercionType, valueFormat: Office.ValueFormat.Formatted, filterType: this.FilterType },
+                            (result: any) => {
+                                if (result.status === Office.AsyncResultStatus.Succeeded) {
+                                    finalData.formatted = isTable ? DataBinder.tableToMatrix(result.value) : result.value;
+                                    this.countHiddenRows(selection, coercionType, finalData, () => {
+                                        callback(finalData);
+                                    });
+                                }
+                                else {
+                                    callback(null);
+                                }
+                            });
+                    }
+                    else {
+                        callback(null);
+                    }
+                });
+        }
+
+        /**
+          * Counts the rows that sheet filters hide by reading the rows of a range with the filter type that wasn't used for its data.
+          * The count is left at zero if the rows can't be read.
+          */
+        private countHiddenRows(selection: any, coercionType: any, data: Trends.Data.RawData, callback: () => any) {
+            var otherFilterType = this.respectsSheetFilters ? Office.FilterType.All : Office.FilterType.OnlyVisible;
+            data.hiddenRowCount = 0;
+            selection.getDataAsync(
+                { coercionType: coercionType, valueFormat: Office.ValueFormat.Unformatted, filterType: otherFilterType },
+                (result: any) => {
+                    if (result.status === Office.AsyncResultStatus.Succeeded) {
+                        var otherRows: any[][] = (coercionType === Office.CoercionType.Table) ? DataBinder.tableToMatrix(result.value) : result.value;
+                        data.hiddenRowCount = Math.abs(data.unformatted.length - otherRows.length);
+                    }
+
+                    callback();
+                });
+        }
+
+        /**
+          * Gets the filter type the data is read with
+          */
+        private get FilterType(): any {
+            return this.respectsSheetFilters ? Office.FilterType.OnlyVisible : Office.FilterType.All;
+        }
+
+        /**
+          * Determines whether the data of a table binding has a header row, which is the case if the table shows its header row
+          * @param {any} tableData The TableData object
+          * @returns {boolean} True if the table has a header row; false otherwise
+          */
+        private static hasTableHeader(tableData: any): boolean {
+            return !!tableData.headers && tableData.headers.length > 0;
+        }
+
+        /**
+          * Turns the data of a table binding into a matrix whose first row is the header row of the table
+          * @param {any} tableData The TableData object, whose headers are either a row or an array that holds the row
+          * @returns {any[][]} The matrix
+          */
+        private static tableToMatrix(tableData: any): any[][] {
+            var headers: any[] = (tableData.headers && tableData.headers.length > 0 && Array.isArray(tableData.headers[0])) ? tableData.headers[0] : tableData.headers;
+            var rows: any[][] = tableData.rows ? tableData.rows : [];
+            return (headers && headers.length > 0) ? [headers].concat(rows) : rows;
+        }
+
+        /**
+          * Puts the data of the bound ranges together. The first range is also passed as the data itself, for the listeners that
+          * only handle a single range.
+          */
+        private combineRangeData(bindingNames: string[]): Trends.Data.RawData {
+            var ranges = bindingNames.map((bindingName: string) => {
+                return this.rangeData[bindingName];
+            });
+
+            return {
+                hasHeader: ranges[0].hasHeader,
+                formatted: ranges[0].formatted,
+                unformatted: ranges[0].unformatted,
+                ranges: (ranges.length > 1) ? ranges : null,
+                hiddenRowCount: ranges.reduce((count: number, range: Trends.Data.RawData) => {
+                    return count + (range.hiddenRowCount ? range.hiddenRowCount : 0);
+                }, 0)
+            };
+        }
+
         private notifyDataChange() {
             var self = this;
 
@@ -282,36 +737,56 @@ module Trends.Data.Agave {
                     return;
                 }
 
-                self.dataChangeListeners.forEach((listener: DataViz.Data.IDataChangeListener, index: number, array: DataViz.Data.IDataChangeListener[]) => {
-                    listener.onDataChanged(data);
+                self.notifyListeners(data);
+            });
+        }
+
+        /**
+          * Reads the data of the range that has changed again, and notifies the listeners with the data of all the ranges
+          */
+        private notifyRangeDataChange(bindingName: string) {
+            this.getRangeData(bindingName, (data: Trends.Data.RawData) => {
+                if (!data || this.bindingNames.indexOf(bindingName) === -1) {
+                    return;
+                }
+
+                this.rangeData[bindingName] = data;
+                var isAllRead = this.bindingNames.every((name: string) => {
+                    return !!this.rangeData[name];
                 });
+
+                if (isAllRead) {
+                    this.notifyListeners(this.combineRangeData(this.bindingNames.slice(0)));
+                }
+                else {
+                    this.notifyDataChange();
+                }
             });
         }
 
-        private notifyBindingTargetChange() {
-            DataViz.Config.Trends.resetClickedPointIdArrays();
-            DataViz.Config.Trends.resetLineOrder();
-            DataViz.Config.Trends.resetLineDisplay();
-            DataViz.Config.Trends.resetLineTitleArray();
+        private notifyListeners(data: Trends.Data.RawData) {
             this.dataChangeListeners.forEach((listener: DataViz.Data.IDataChangeListener, index: number, array: DataViz.Data.IDataChangeListener[]) => {
-                listener.onDataBindingTargetChanged();
+                listener.onDataChanged(data);
             });
         }
 
-        private detectHeader(data: any): boolean {
-            DataViz.Validate.Validator.ensures(data).from("DataBinder::detectHeader").isNotNull();
-
-            var hasHeader: boolean = true; 
-            for (var i = 1; i < data[0].length; i++) {
-                if (data[0][i] !== null && data[0][i] !== undefined) {
-                    var stringData = data[0][i].toString();
-                    if (stringData.length > 0 && $.isNumeric(stringData)) {
-                        hasHeader = false;
-                    }
-                }
-            }
-
-            return hasHeader;
+        private notifyBindingTargetChange() {
+            // The chart is revisualized once, after all the resets and after the listeners know about the new target
+            DataViz.mainApp.CurrentSKU.Controller.batchConfigurationChanges(() => {
+                DataViz.Config.Trends.resetPointHighlights();
+                DataViz.Config.Trends.resetLineOrder();
+                DataViz.Config.Trends.resetLineDisplay();
+                DataViz.Config.Trends.resetLineTitleArray();
+                DataViz.Config.Trends.resetLineGapModes();
+                DataViz.Config.Trends.resetLineTransforms();
+                DataViz.Config.Trends.resetLineTrendlines();
+                DataViz.Config.Trends.resetLineHighlightRules();
+                DataViz.Config.Trends.resetLineAxes();
+                DataViz.Config.Trends.resetXWindow();
+                this.dataChangeListeners.forEach((listener: DataViz.Data.IDataChangeListener, index: number, array: DataViz.Data.IDataChangeListener[]) => {
+                    listener.onDataBindingTargetChanged();
+                });
+            });
         }
     }
-}
\ No newline at end of file
+}
@@ -5,6 +5,9 @@ See License.txt in the project root for license information.
 
 ///<reference path="shared/data.ts"/>
 ///<reference path="shared/config.ts"/>
+///<reference path="configurator.agave.ts"/>
+///<reference path="numberformat.trends.ts"/>
+///<reference path="../app.ts" />
 
 /**
   * This module contains the implementation of the People Bar specific data covnertor
@@ -16,43 +19,226 @@ module Trends.Data {
         hasHeader: boolean;
         formatted: any;
         unformatted: any;
+        // The data of every bound range when more than one range is bound, otherwise null or missing
+        ranges?: RawData[];
+        // The number of rows that sheet filters hide, whether they are left out of the data or not
+        hiddenRowCount?: number;
     }
 
     export interface PointDataOnLine {
         originalIndex: number;
         formatted: string;
         unformatted: number;
+        // Whether the point stands for a missing value, which the gap mode of the line has filled in
+        isMissing?: boolean;
+        // Whether values are missing right before the point, so that a line in the break gap mode starts again here
+        isAfterGap?: boolean;
     }
 
     export interface LineDataConverted {
         validDataCount: number;
         data: PointDataOnLine[];
+        // The trendline fitted to all the points of the line, before sampling
+        trendline?: TrendlineFit;
+        // The columns of the points the highlight rules of the line pick from all its points, before sampling
+        ruleHighlights?: number[];
+        // The number format of the line, inferred from the formatted values of its cells
+        numberFormat?: NumberFormat;
+        // The columns of the x values of the range the line comes from, when several ranges are merged, otherwise missing as the line has all the columns
+        rangeColumns?: number[];
     }
 
     export interface BindingData {
         header: string[];
         xData: string[];
+        // The dates of the x values, or null if the first column doesn't hold dates
+        xDates: Date[];
         yData: LineDataConverted[];
+        // What the conversion found wrong with the raw data. Only the convertor sets it.
+        diagnostics?: ConversionDiagnostic[];
+    }
+
+    /**
+      * The kinds of problems the conversion reports
+      */
+    export var DiagnosticType = {
+        // A value cell that isn't empty but isn't a number either
+        skippedCell: "skipped-cell",
+        // The header is read as values although it looks like text, or it holds a number
+        suspectHeader: "suspect-header",
+        // A range without any values, which is left out of the chart
+        rangeLeftOut: "range-left-out",
+        // Data that can't be converted at all
+        invalidData: "invalid-data"
+    };
+
+    /**
+      * A problem the conversion found in the raw data
+      */
+    export interface ConversionDiagnostic {
+        // One of the values of DiagnosticType
+        type: string;
+        // The index of the range in the bound ranges
+        rangeIndex: number;
+        // The cell the problem is in, counted from the top left cell of the rows that were read, as bound (before the orientation is applied).
+        // They are missing for the problems of a whole range.
+        row?: number;
+        column?: number;
+        // The formatted text of the cell
+        text?: string;
     }
 
     /**
       * This is the specific data convertor implementation of the app
       */
     export class DataConvertor implements DataViz.Data.IDataConvertor {
+        // The serial number of 1970-01-01 in the Excel date system (day 0 is 1899-12-30)
+        private static excelSerialOfUnixEpoch = 25569;
+        // The serial number of 9999-12-31, the last date Excel supports
+        private static maxExcelSerial = 2958465;
+        private static millisecondsPerDay = 86400000;
+        // The day, month and year split by the same separator twice, such as "7/21/2016", "21-07-16" or "2016.07.21"
+        private static numericDatePattern = /(^|[^\d.,])\d{1,4}([\/\-.])\d{1,2}\2\d{1,4}($|[^\d.,])/;
+        // The hours and minutes, such as "15:00" or "3:00 PM"
+        private static timePattern = /(^|\D)\d{1,2}:\d\d($|\D)/;
+        // The name of a month or a day of the week in full or in short
+        private static dateNamePattern = new RegExp("\\b(jan(uary)?|feb(ruary)?|mar(ch)?|apr(il)?|may|june?|july?|aug(ust)?|sept?(ember)?|oct(ober)?|nov(ember)?|dec(ember)?"
+            + "|mon(day)?|tue(s|sday)?|wed(nesday)?|thu(rs|rsday)?|fri(day)?|sat(urday)?|sun(day)?)\\b", "i");
+
+        private orientation = DataViz.Config.Trends.Orientation.seriesInColumns;
+        private isOrientationGuessPending = false;
+        // The saved header and label settings, or null to detect the header and to take the first column as labels
+        private firstRowIsHeader: boolean = null;
+        private firstColumnIsLabels: boolean = null;
+        private hasHeader = false;
+        private hasLabels = true;
+        private lineGapModes: string[] = [];
+        private diagnostics: ConversionDiagnostic[] = [];
+
         /**
           * Implementing {@link ITool#resetTool}
           */
         public resetTool() {
-            //Do nothing.
+            // The binding target has changed, so guess the orientation of the new data, unless a saved orientation is loaded before it arrives
+            this.isOrientationGuessPending = true;
+        }
+
+        /**
+          * Gets whether the first row (after orientation) was read as the header in the last conversion
+          * @returns {boolean} True if the first row was read as the header; false otherwise
+          */
+        public get HasHeader(): boolean {
+            return this.hasHeader;
         }
 
         /**
-          * Determines whether the binding is a table and its column number is more than one
+          * Gets whether the first column (after orientation) was read as the x labels in the last conversion
+          * @returns {boolean} True if the first column was read as the x labels; false otherwise
+          */
+        public get HasLabels(): boolean {
+            return this.hasLabels;
+        }
+
+        /**
+          * Gets the problems found in the last conversion
+          * @returns {ConversionDiagnostic[]} The problems, in the order of the ranges and the cells
+          */
+        public get Diagnostics(): ConversionDiagnostic[] {
+            return this.diagnostics.slice(0);
+        }
+
+        /**
+          * Gets the A1 style address of a cell, counted from the top left cell of a range
+          * @param {number} row The index of the row
+          * @param {number} column The index of the column
+          * @returns {string} The address, for example "B4"
+          */
+        public static getCellAddress(row: number, column: number): string {
+            var letters = "";
+            for (var index = column + 1; index > 0; index = Math.floor((index - 1) / 26)) {
+                letters = String.fromCharCode(65 + (index - 1) % 26) + letters;
+            }
+
+            return letters + (row + 1);
+        }
+
+        /**
+          * Determines whether the first row of the data is a header, which is the case if none of its cells (except for the first one) is a number
+          * @param {any[][]} data The unformatted data
+          * @returns {boolean} True if the first row is a header; false otherwise
+          */
+        public static detectHeader(data: any[][]): boolean {
+            DataViz.Validate.Validator.ensures(data).from("DataConvertor::detectHeader").isNotNull();
+
+            var hasHeader: boolean = true;
+            for (var i = 1; i < data[0].length; i++) {
+                if (DataConvertor.isNumberCell(data[0][i])) {
+                    hasHeader = false;
+                }
+            }
+
+            return hasHeader;
+        }
+
+        /**
+          * Guesses the orientation of the data from its shape. The data is taken as series in rows only if that is obvious, which is when
+          *  - the first row holds numbers (or dates), the first column holds text and there are more columns than rows, or
+          *  - there are only two rows but more than two columns, which would be one point per line the other way round
+          * @param {any[][]} data The unformatted data
+          * @returns {string} One of {@link DataViz.Config.Trends.Orientation}
+          */
+        public static guessOrientation(data: any[][]): string {
+            var rowCount = data.length;
+            var columnCount = rowCount > 0 ? data[0].length : 0;
+            if (rowCount < 2 || columnCount < 2) {
+                return DataViz.Config.Trends.Orientation.seriesInColumns;
+            }
+
+            var isFirstRowNumbers = true;
+            for (var i = 1; i < columnCount; i++) {
+                isFirstRowNumbers = isFirstRowNumbers && DataConvertor.isNumberCell(data[0][i]);
+            }
+
+            var isFirstColumnText = true;
+            for (var i = 1; i < rowCount; i++) {
+                var cell = data[i][0];
+                isFirstColumnText = isFirstColumnText && cell !== null && cell !== undefined && cell.toString().length > 0 && !DataConvertor.isNumberCell(cell);
+            }
+
+            if ((isFirstRowNumbers && isFirstColumnText && columnCount > rowCount) || (rowCount === 2 && columnCount > 2)) {
+                return DataViz.Config.Trends.Orientation.seriesInRows;
+            }
+
+            return DataViz.Config.Trends.Orientation.seriesInColumns;
+        }
+
+        /**
+          * Swaps the rows and the columns of a matrix
+          * @param {any[][]} matrix The matrix to transpose
+          * @returns {any[][]} The transposed matrix
+          */
+        public static transpose(matrix: any[][]): any[][] {
+            var transposed: any[][] = [];
+            for (var i = 0; i < matrix.length; i++) {
+                for (var j = 0; j < matrix[i].length; j++) {
+                    if (!transposed[j]) {
+                        transposed[j] = [];
+                    }
+
+                    transposed[j][i] = matrix[i][j];
+                }
+            }
+
+            return transposed;
+        }
+
+        /**
+          * Determines whether the binding is a matrix or a table binding and its column number is more than one
           * @param {any} binding used to get data.
           * @returns {boolean} True if the binding is valid; false otherwise
           */
         public static isBindingValid(binding: any): boolean {
-            return (binding && binding.type === Office.BindingType.Matrix && binding.columnCount > 1);
+            return (binding && (binding.type === Office.BindingType.Matrix || binding.type === Office.BindingType.Table) && binding.columnCount > 1);
         }
 
         /**
@@ -63,15 +249,176 @@ module Trends.Data {
           * @returns {BindingData} The converted data
           */
         public convert(data: RawData): BindingData {
-            var convertedData: BindingData = { header: [], xData: [], yData: null };
-            if (!this.isDataValid(data.formatted) || !this.isDataValid(data.unformatted)) {
+            this.diagnostics = [];
+            var convertedData = (!data || !data.ranges || data.ranges.length < 2) ? this.convertRange(data, 0) : this.convertRanges(data.ranges);
+            if (convertedData.yData) {
+                convertedData.yData.forEach((line: LineDataConverted) => {
+                    line.numberFormat = NumberFormat.infer(line.data);
+                });
+            }
+
+            this.fillGaps(convertedData);
+            convertedData.diagnostics = this.diagnostics.slice(0);
+            return convertedData;
+        }
+
+        /**
+          * Converts the data of several ranges and lines it up on the x values
+          * @param {RawData[]} rawRanges The raw data of every range
+          * @returns {BindingData} The converted data
+          */
+        private convertRanges(rawRanges: RawData[]): BindingData {
+            // Every range is converted with the same settings, and what the first range uses is what the data pane shows
+            var hasHeader: boolean;
+            var hasLabels: boolean;
+            var ranges = rawRanges.map((range: RawData, index: number) => {
+                var convertedRange = this.convertRange(range, index);
+                if (index === 0) {
+                    hasHeader = this.hasHeader;
+                    hasLabels = this.hasLabels;
+                }
+
+                return convertedRange;
+            });
+
+            this.hasHeader = hasHeader;
+            this.hasLabels = hasLabels;
+            return DataConvertor.mergeRanges(ranges);
+        }
+
+        /**
+          * Lines up the data converted from several ranges on their x values. An x value that is in more than one range becomes
+          * one column, and the lines of a range have no point in the columns of the x values the range doesn't have.
+          * @param {BindingData[]} ranges The data converted from each range
+          * @returns {BindingData} The data of all the ranges
+          */
+        public static mergeRanges(ranges: BindingData[]): BindingData {
+            ranges = ranges.filter((range: BindingData) => {
+                return !!range.yData;
+            });
+
+            // The x values are matched by date only if every range has dates, since the same date may be formatted differently
+            var isByDate = ranges.length > 0 && ranges.every((range: BindingData) => {
+                return range.xDates !== null;
+            });
+            var mergedData: BindingData = { header: [], xData: [], xDates: isByDate ? [] : null, yData: [] };
+            var columnIndexes: { [key: string]: number } = {};
+            ranges.forEach((range: BindingData) => {
+                // An x value that appears more than once in a range is matched with the same occurrence of it in the other ranges
+                var occurrences: { [key: string]: number } = {};
+                var rangeColumnIndexes = range.xData.map((label: string, index: number) => {
+                    var key = isByDate ? range.xDates[index].getTime().toString() : label;
+                    occurrences[key] = (occurrences[key] || 0) + 1;
+                    key += "#" + occurrences[key];
+                    if (columnIndexes[key] === undefined) {
+                        columnIndexes[key] = mergedData.xData.length;
+                        mergedData.xData.push(label);
+                        if (isByDate) {
+                            mergedData.xDates.push(range.xDates[index]);
+                        }
+                    }
+
+                    return columnIndexes[key];
+                });
+
+                range.yData.forEach((line: LineDataConverted, lineId: number) => {
+                    if (range.header[lineId] !== undefined) {
+                        mergedData.header[mergedData.yData.length] = range.header[lineId];
+                    }
+
+                    mergedData.yData.push({
+                        validDataCount: line.validDataCount,
+                        data: line.data.map((point: PointDataOnLine) => {
+                            return { originalIndex: rangeColumnIndexes[point.originalIndex], formatted: point.formatted, unformatted: point.unformatted };
+                        }),
+                        rangeColumns: rangeColumnIndexes.slice(0)
+                    });
+                });
+            });
+
+            if (isByDate) {
+                DataConvertor.sortColumnsByDate(mergedData);
+            }
+
+            mergedData.yData.forEach((line: LineDataConverted) => {
+                line.data.sort((a: PointDataOnLine, b: PointDataOnLine) => {
+                    return a.originalIndex - b.originalIndex;
+                });
+            });
+
+            return mergedData;
+        }
+
+        /**
+          * Sorts the columns of the data by their dates, so that the dates the later ranges add fall in place
+          */
+        private static sortColumnsByDate(data: BindingData) {
+            var order = data.xDates.map((date: Date, index: number) => {
+                return index;
+            });
+            order.sort((a: number, b: number) => {
+                return (data.xDates[a].getTime() - data.xDates[b].getTime()) || (a - b);
+            });
+
+            var newIndexes: number[] = [];
+            order.forEach((oldIndex: number, newIndex: number) => {
+                newIndexes[oldIndex] = newIndex;
+            });
+
+            data.xData = order.map((oldIndex: number) => {
+                return data.xData[oldIndex];
+            });
+            data.xDates = order.map((oldIndex: number) => {
+                return data.xDates[oldIndex];
+            });
+            data.yData.forEach((line: LineDataConverted) => {
+                line.data.forEach((point: PointDataOnLine) => {
+                    point.originalIndex = newIndexes[point.originalIndex];
+                });
+                if (line.rangeColumns) {
+                    line.rangeColumns = line.rangeColumns.map((oldIndex: number) => {
+                        return newIndexes[oldIndex];
+                    });
+                }
+            });
+        }
+
+        /**
+          * Converts the data of one range. The cells that aren't numbers are skipped, and reported along with the other problems of the range.
+          * @param {RawData} data The raw data of the range
+          * @param {number} rangeIndex The index of the range in the bound ranges
+          * @returns {BindingData} The converted data
+          */
+        private convertRange(data: RawData, rangeIndex: number): BindingData {
+            var convertedData: BindingData = { header: [], xData: [], xDates: null, yData: null };
+            if (!data || !this.isDataValid(data.formatted) || !this.isDataValid(data.unformatted)) {
+                this.diagnostics.push({ type: DiagnosticType.invalidData, rangeIndex: rangeIndex });
+                return convertedData;
+            }
+
+            if (data.formatted.length === 0 || data.unformatted.length === 0) {
+                this.diagnostics.push({ type: DiagnosticType.rangeLeftOut, rangeIndex: rangeIndex });
+                return convertedData;
+            }
+
+            data = this.orient(data);
+            this.hasHeader = (this.firstRowIsHeader !== null) ? this.firstRowIsHeader : data.hasHeader;
+            this.hasLabels = (this.firstColumnIsLabels !== null) ? this.firstColumnIsLabels : true;
+
+            // Without a label column every column is a line, and the x labels are the point numbers
+            var labelColumnNumber = this.hasLabels ? 1 : 0;
+            var lineNumber = data.formatted[0].length - labelColumnNumber;
+            var columnNumberStartIndex = this.hasHeader ? 1 : 0;
+            if (lineNumber < 1 || data.formatted.length <= columnNumberStartIndex) {
+                this.diagnostics.push({ type: DiagnosticType.rangeLeftOut, rangeIndex: rangeIndex });
                 return convertedData;
             }
 
-            var lineNumber = Math.min(data.formatted[0].length - 1, DataViz.Config.Trends.MaxLineNumber);
-            if (data.hasHeader) {
+            // A header read as values would only give skipped cells, so it's reported once instead
+            var isHeaderSuspect = this.checkHeader(data, rangeIndex, labelColumnNumber);
+            if (this.hasHeader) {
                 for (var i = 0; i < lineNumber; i++) {
-                    convertedData.header[i] = data.formatted[0][i + 1];
+                    convertedData.header[i] = data.formatted[0][i + labelColumnNumber];
                 }
             }
             
@@ -83,24 +430,28 @@ module Trends.Data {
                 });
             }
 
-            var columnNumber = Math.min(data.formatted.length, DataViz.Config.Trends.MaxColumnNumber);
-            var columnNumberStartIndex = data.hasHeader ? 1 : 0;
+            var columnNumber = data.formatted.length;
             for (var i = columnNumberStartIndex; i < columnNumber; i++) {
-                convertedData.xData[i - columnNumberStartIndex] = data.formatted[i][0];
+                convertedData.xData[i - columnNumberStartIndex] = this.hasLabels ? data.formatted[i][0] : (i - columnNumberStartIndex + 1).toString();
 
                 for (var j = 0; j < lineNumber; j++) {
-                    var temp = parseFloat(data.unformatted[i][j + 1]);
+                    var temp = parseFloat(data.unformatted[i][j + labelColumnNumber]);
                     if (!isNaN(temp)) {
                         convertedData.yData[j].validDataCount++;
                         convertedData.yData[j].data.push({
                             originalIndex: i - columnNumberStartIndex,
-                            formatted: data.formatted[i][j + 1],
+                            formatted: data.formatted[i][j + labelColumnNumber],
                             unformatted: temp
                         });
                     }
+                    else if (!DataConvertor.isEmptyCell(data.unformatted[i][j + labelColumnNumber]) && !(isHeaderSuspect && i === 0)) {
+                        this.addCellDiagnostic(DiagnosticType.skippedCell, rangeIndex, i, j + labelColumnNumber, data.formatted[i][j + labelColumnNumber]);
+                    }
                 }
             }           
 
+            convertedData.xDates = this.hasLabels ? this.convertDates(data, columnNumberStartIndex, columnNumber) : null;
+
             return convertedData;
         }
 
@@ -108,11 +459,284 @@ module Trends.Data {
           * Implementing {@link IConfigurationChangeListener#onConfigurationChanged}
           */
         public onConfigurationChanged(key: string, value: any) {
-            //Do nothing.
+            switch (key) {
+                case DataViz.Config.Trends.wellKnownKeys.orientation:
+                    this.orientation = value;
+                    this.isOrientationGuessPending = false;
+                    break;
+
+                case DataViz.Config.Trends.wellKnownKeys.firstRowIsHeader:
+                    this.firstRowIsHeader = value;
+                    break;
+
+                case DataViz.Config.Trends.wellKnownKeys.firstColumnIsLabels:
+                    this.firstColumnIsLabels = value;
+                    break;
+
+                case DataViz.Config.Trends.wellKnownKeys.lineGapModes:
+                    this.lineGapModes = value;
+                    break;
+            }
+        }
+
+        /**
+          * Handles the values missing between the first and the last value of each line the way the gap mode of the line says.
+          * In the break mode the point after a gap is marked, in the other modes a point is added in every column of the range of the line that has no value.
+          * @param {BindingData} data The converted data
+          */
+        private fillGaps(data: BindingData) {
+            if (!data.yData) {
+                return;
+            }
+
+            var getX = (column: number) => {
+                return data.xDates ? data.xDates[column].getTime() : column;
+            };
+
+            data.yData.forEach((line: LineDataConverted, lineId: number) => {
+                var gapMode = this.lineGapModes[lineId] ? this.lineGapModes[lineId] : DataViz.Config.Trends.GapMode.breakLine;
+
+                // Only the blank cells of the range of the line are gaps. The x values that only the other ranges have are passed over.
+                var isRangeColumn: boolean[] = null;
+                if (line.rangeColumns) {
+                    isRangeColumn = [];
+                    line.rangeColumns.forEach((column: number) => {
+                        isRangeColumn[column] = true;
+                    });
+                }
+
+                var points: PointDataOnLine[] = [];
+                line.data.forEach((point: PointDataOnLine, index: number) => {
+                    var previous = (index > 0) ? line.data[index - 1] : null;
+                    var missingColumns: number[] = [];
+                    for (var column = previous ? previous.originalIndex + 1 : point.originalIndex; column < point.originalIndex; column++) {
+                        if (!isRangeColumn || isRangeColumn[column]) {
+                            missingColumns.push(column);
+                        }
+                    }
+
+                    if (missingColumns.length > 0) {
+                        if (gapMode === DataViz.Config.Trends.GapMode.breakLine) {
+                            point.isAfterGap = true;
+                        }
+                        else {
+                            missingColumns.forEach((column: number) => {
+                                var value = 0;
+                                if (gapMode === DataViz.Config.Trends.GapMode.interpolate) {
+                                    var ratio = (getX(column) - getX(previous.originalIndex)) / (getX(point.originalIndex) - getX(previous.originalIndex));
+                                    value = previous.unformatted + (point.unformatted - previous.unformatted) * ratio;
+                                }
+
+                                points.push({
+                                    originalIndex: column,
+                                    formatted: line.numberFormat.format(value),
+                                    unformatted: value,
+                                    isMissing: true
+                                });
+                            });
+                        }
+                    }
+
+                    points.push(point);
+                });
+
+                line.data = points;
+                line.validDataCount = points.length;
+            });
+        }
+
+        /**
+          * Reports the header of a range if it's read as values although none of its value cells is a number,
+          * or if it's read as the header although it holds a number
+          * @param {RawData} data The raw data of the range, in series-in-columns orientation
+          * @returns {boolean} True if the header is read as values although it looks like text; false otherwise
+          */
+        private checkHeader(data: RawData, rangeIndex: number, labelColumnNumber: number): boolean {
+            var headerCells = data.unformatted[0].slice(labelColumnNumber);
+            var numberIndex = -1;
+            headerCells.forEach((cell: any, index: number) => {
+                if (numberIndex === -1 && DataConvertor.isNumberCell(cell)) {
+                    numberIndex = index;
+                }
+            });
+
+            if (this.hasHeader && numberIndex > -1) {
+                this.addCellDiagnostic(DiagnosticType.suspectHeader, rangeIndex, 0, numberIndex + labelColumnNumber, data.formatted[0][numberIndex + labelColumnNumber]);
+                return false;
+            }
+
+            // Only a header of text is suspect when the range has values below it
+            var hasText = headerCells.some((cell: any) => {
+                return !DataConvertor.isEmptyCell(cell);
+            });
+            if (!this.hasHeader && numberIndex === -1 && hasText && data.unformatted.length > 1) {
+                this.addCellDiagnostic(DiagnosticType.suspectHeader, rangeIndex, 0, labelColumnNumber, data.formatted[0][labelColumnNumber]);
+                return true;
+            }
+
+            return false;
+        }
+
+        /**
+          * Reports a problem with a cell. The cell is given in series-in-columns orientation and reported as bound.
+          */
+        private addCellDiagnostic(type: string, rangeIndex: number, row: number, column: number, text: any) {
+            var isTransposed = this.orientation === DataViz.Config.Trends.Orientation.seriesInRows;
+            this.diagnostics.push({
+                type: type,
+                rangeIndex: rangeIndex,
+                row: isTransposed ? column : row,
+                column: isTransposed ? row : column,
+                text: this.isDataValid(text) ? text.toString() : ""
+            });
+        }
+
+        private static isEmptyCell(cell: any): boolean {
+            return cell === null || cell === undefined || cell.toString().length === 0;
         }
 
         private isDataValid(data: any): boolean {
             return data !== null && data !== undefined;
         }
+
+        private static isNumberCell(cell: any): boolean {
+            if (cell === null || cell === undefined) {
+                return false;
+            }
+
+            var stringData = cell.toString();
+            return stringData.length > 0 && $.isNumeric(stringData);
+        }
+
+        /**
+          * Brings the raw data into the series-in-columns orientation that the conversion works on.
+          * If the binding target has just changed, the orientation is guessed and saved first. Series in columns is only the default guess,
+          * so it doesn't replace an orientation that has been saved, such as one the user picked in the data pane.
+          * @param {RawData} data The raw data
+          * @returns {RawData} The raw data in series-in-columns orientation
+          */
+        private orient(data: RawData): RawData {
+            if (this.isOrientationGuessPending) {
+                this.isOrientationGuessPending = false;
+                var orientation = DataConvertor.guessOrientation(data.unformatted);
+                var savedOrientation = DataViz.mainApp.Configuration.get(DataViz.Config.Trends.wellKnownKeys.orientation);
+                if (orientation === DataViz.Config.Trends.Orientation.seriesInRows || !savedOrientation) {
+                    this.orientation = orientation;
+
+                    // The listeners aren't notified, as that would revisualize the data in the middle of its conversion, so the guess is saved here
+                    DataViz.mainApp.Configuration.set(DataViz.Config.Trends.wellKnownKeys.orientation, this.orientation, false);
+                    DataViz.mainApp.CurrentSKU.Configurator.save(DataViz.Config.Trends.wellKnownKeys.orientation, this.orientation);
+                }
+            }
+
+            if (this.orientation !== DataViz.Config.Trends.Orientation.seriesInRows) {
+                return data;
+            }
+
+            var unformatted = DataConvertor.transpose(data.unformatted);
+            return {
+                hasHeader: DataConvertor.detectHeader(unformatted),
+                formatted: DataConvertor.transpose(data.formatted),
+                unformatted: unformatted
+            };
+        }
+
+        /**
+          * Converts the first column into dates if every cell of it holds a date
+          * @param {RawData} data The raw data
+          * @param {number} startIndex The index of the first row to convert
+          * @param {number} endIndex The index after the last row to convert
+          * @returns {Date[]} The dates, or null if any cell is not a date
+          */
+        private convertDates(data: RawData, startIndex: number, endIndex: number): Date[] {
+            var dates: Date[] = [];
+            for (var i = startIndex; i < endIndex; i++) {
+                var date = this.parseDate(data.unformatted[i][0], data.formatted[i][0]);
+                if (!date) {
+                    return null;
+                }
+
+                dates.push(date);
+            }
+
+            return (dates.length > 0) ? dates : null;
+        }
+
+        /**
+          * Parses a cell as a date.
+          * Excel stores a date as a serial number of days, so a number is taken as a date only when its formatted text looks like a date or a time.
+          * Text cells are taken as dates only in ISO form like "2016-07-21", as other forms depend on the locale.
+          * @param {any} unformatted The unformatted value of the cell
+          * @param {any} formatted The formatted value of the cell
+          * @returns {Date} The date in UTC, or null if the cell is not a date
+          */
+        private parseDate(unformatted: any, formatted: any): Date {
+            if (!this.isDataValid(unformatted) || !this.isDataValid(formatted)) {
+                return null;
+            }
+
+            var text: string = formatted.toString();
+            if ($.isNumeric(unformatted)) {
+                return this.isDateFormatted(text) ? DataConvertor.toDate(parseFloat(unformatted)) : null;
+            }
+
+            // The date and the time are read as UTC, as the chart draws and formats them in UTC. Date.parse would read a time without an offset in local time.
+            var parts = /^(\d{4})-(\d{2})-(\d{2})(T(\d{2}):(\d{2})(:(\d{2}))?)?$/.exec(unformatted.toString());
+            if (!parts) {
+                return null;
+            }
+
+            var numbers = [parts[1], parts[2], parts[3], parts[5], parts[6], parts[8]].map((part: string) => {
+                return part ? parseInt(part, 10) : 0;
+            });
+            var date = new Date(Date.UTC(numbers[0], numbers[1] - 1, numbers[2], numbers[3], numbers[4], numbers[5]));
+
+            // Date.UTC rolls an invalid day or time over into the next one, such as "2016-02-30" into March
+            var isValid = date.getUTCFullYear() === numbers[0] && date.getUTCMonth() === numbers[1] - 1 && date.getUTCDate() === numbers[2]
+                && date.getUTCHours() === numbers[3] && date.getUTCMinutes() === numbers[4] && date.getUTCSeconds() === numbers[5];
+            return isValid ? date : null;
+        }
+
+        /**
+          * Gets the name of a series, which is its header or, if the data has no headers, the default title of its line
+          * @param {BindingData} data The converted data
+          * @param {number} lineId The id of the line of the series
+          * @returns {string} The name of the series
+          */
+        public static getSeriesName(data: BindingData, lineId: number): string {
+            var header = data.header ? data.header[lineId] : null;
+            return header ? header : DataViz.Utils.stringFormat(DataViz.Resources.UI.defaultLegendName, lineId + 1);
+        }
+
+        /**
+          * Gets the date of an Excel serial number
+          * @param {number} serial The number of days since 1899-12-30, with the time of the day as the fraction
+          * @returns {Date} The date in UTC, or null if Excel doesn't support the date
+          */
+        public static toDate(serial: number): Date {
+            if (!(serial >= 0 && serial <= DataConvertor.maxExcelSerial)) {
+                return null;
+            }
+
+            return new Date(Math.round((serial - DataConvertor.excelSerialOfUnixEpoch) * DataConvertor.millisecondsPerDay));
+        }
+
+        private isDateFormatted(text: string): boolean {
+            // Currencies and percentages are never dates
+            if (/[%$\u20ac\u00a3\u00a5]/.test(text)) {
+                return false;
+            }
+
+            // Plain, decimal and thousands separated numbers such as "1.5", "1,234.5" or "1.234,5" are never dates
+            var trimmed = text.trim();
+            if (/^[-+]?\d{1,3}([,.\s']\d{3})*([.,]\d+)?$/.test(trimmed) || /^[-+]?\d+([.,]\d+)?$/.test(trimmed)) {
+                return false;
+            }
+
+            // Such as "7/21/2016", "2016.07.21", "15:00", "21-Jul", "July 2016" or "Mon 7/21"
+            return DataConvertor.numericDatePattern.test(trimmed)
+                || DataConvertor.timePattern.test(trimmed)
+                || DataConvertor.dateNamePattern.test(trimmed);
+        }
     }
 }
\ No newline at end of file
@@ -0,0 +1,234 @@
+﻿/* **************************************************************************************
+Copyright (c) Microsoft Open Technologies, Inc. All rights reserved. Licensed under the Apache License, Version 2.0. 
+See License.txt in the project root for license information.
+***************************************************************************************** */
+
+///<reference path="shared/data.ts"/>
+///<reference path="shared/config.ts"/>
+///<reference path="data.convertor.agave.ts"/>
+///<reference path="configurator.agave.ts"/>
+
+declare var $: any;
+
+/**
+  * This module contains the implementation of the Trends specific data sampler
+  */
+module Trends.Data {
+    "use strict";
+
+    /**
+      * This is the specific data sampler implementation of the app. It reduces each line to the points picked by the
+      * largest-triangle-three-buckets (LTTB) algorithm, so that a line never has more points than the chart has pixels across
+      * while it keeps the visual shape of the full data.
+      */
+    export class DataSampler implements DataViz.Data.IDataSampler {
+        // Lines with no more points than this are never sampled, even if the chart is narrower
+        private static minPointNumber = 100;
+
+        private startColumn: number = null;
+        private endColumn: number = null;
+        private pointHighlights: DataViz.Config.Trends.PointHighlight[] = [];
+        private annotations: DataViz.Config.Trends.Annotation[] = [];
+
+        /**
+          * Implementing {@link ITool#resetTool}
+          */
+        public resetTool() {
+            this.startColumn = null;
+            this.endColumn = null;
+        }
+
+        /**
+          * Limits the sampling to a range of columns, for example when the user zooms into a part of the chart.
+          * The range is sampled from the full data, so zooming in brings back the points that sampling the whole chart left out.
+          * @param {number} startColumn The first column of the range, or null to sample all the columns
+          * @param {number} endColumn The last column of the range, or null to sample all the columns
+          */
+        public setColumnRange(startColumn: number, endColumn: number) {
+            this.startColumn = startColumn;
+            this.endColumn = endColumn;
+        }
+
+        /**
+          * Implementing {@link IDataSampler#sample}
+          * @param {BindingData} data The converted data
+          * @returns {BindingData} The data with the lines sampled down to the width of the chart
+          */
+        public sample(data: BindingData): BindingData {
+            if (!data || !data.yData) {
+                return data;
+            }
+
+            var threshold = Math.max(Math.floor($("#line-chart").width()) || 0, DataSampler.minPointNumber);
+            var sampledData: BindingData = { header: data.header, xData: data.xData, xDates: data.xDates, yData: [] };
+            for (var lineId = 0; lineId < data.yData.length; lineId++) {
+                var points = this.getPointsInRange(data.yData[lineId].data);
+                if (points.length > threshold) {
+                    var sampled = this.largestTriangleThreeBuckets(points, threshold, data.xDates);
+                    // The highlighted points and the points with notes are added back, so that their bubbles and notes are still drawn
+                    sampled = this.keepSavedPoints(data, lineId, this.pointHighlights, sampled, points);
+                    sampled = this.keepSavedPoints(data, lineId, this.annotations, sampled, points);
+                    sampled = this.keepRuleHighlights(data.yData[lineId].ruleHighlights, sampled, points);
+                    points = this.keepGapEdges(sampled, points);
+                }
+
+                sampledData.yData.push({
+                    validDataCount: points.length,
+                    data: points,
+                    trendline: data.yData[lineId].trendline,
+                    ruleHighlights: data.yData[lineId].ruleHighlights,
+                    numberFormat: data.yData[lineId].numberFormat
+                });
+            }
+
+            return sampledData;
+        }
+
+        /**
+          * Implementing {@link IConfigurationChangeListener#onConfigurationChanged}
+          */
+        public onConfigurationChanged(key: string, value: any) {
+            if (key === DataViz.Config.Trends.wellKnownKeys.pointHighlights) {
+                this.pointHighlights = value ? <DataViz.Config.Trends.PointHighlight[]>value : [];
+            }
+            else if (key === DataViz.Config.Trends.wellKnownKeys.xWindow) {
+                var xWindow = <DataViz.Config.Trends.XWindow>value;
+                this.setColumnRange(xWindow ? xWindow.start : null, xWindow ? xWindow.end : null);
+            }
+            else if (key === DataViz.Config.Trends.wellKnownKeys.annotations) {
+                this.annotations = value ? <DataViz.Config.Trends.Annotation[]>value : [];
+            }
+        }
+
+        /**
+          * Gets the points inside the column range, plus the nearest point on each side so that the line runs to the edges of the chart
+          */
+        private getPointsInRange(points: PointDataOnLine[]): PointDataOnLine[] {
+            if (this.startColumn === null || this.endColumn === null) {
+                return points;
+            }
+
+            var first = 0;
+            while (first < points.length - 1 && points[first + 1].originalIndex <= this.startColumn) {
+                first++;
+            }
+
+            var last = points.length - 1;
+            while (last > 0 && points[last - 1].originalIndex >= this.endColumn) {
+                last--;
+            }
+
+            return points.slice(first, last + 1);
+        }
+
+        /**
+          * Picks the points of a line with the largest-triangle-three-buckets algorithm. The first and the last points are always kept,
+          * the rest are split into buckets and from each bucket the point that forms the largest triangle with the previously picked point
+          * and the average of the next bucket is picked.
+          * @param {PointDataOnLine[]} points The points of a line
+          * @param {number} threshold The number of points to pick
+          * @param {Date[]} xDates The dates of the x values, or null if the columns are evenly spaced
+          * @returns {PointDataOnLine[]} The picked points
+          */
+        private largestTriangleThreeBuckets(points: PointDataOnLine[], threshold: number, xDates: Date[]): PointDataOnLine[] {
+            var getX = (point: PointDataOnLine) => {
+                return xDates ? xDates[point.originalIndex].getTime() : point.originalIndex;
+            };
+
+            var sampled: PointDataOnLine[] = [points[0]];
+            var bucketSize = (points.length - 2) / (threshold - 2);
+            var previous = 0;
+            for (var i = 0; i < threshold - 2; i++) {
+                var nextBucketStart = Math.floor((i + 1) * bucketSize) + 1;
+                var nextBucketEnd = Math.min(Math.floor((i + 2) * bucketSize) + 1, points.length);
+                var averageX = 0;
+                var averageY = 0;
+                for (var j = nextBucketStart; j < nextBucketEnd; j++) {
+                    averageX += getX(points[j]);
+                    averageY += points[j].unformatted;
+                }
+
+                averageX /= (nextBucketEnd - nextBucketStart);
+                averageY /= (nextBucketEnd - nextBucketStart);
+
+                var previousX = getX(points[previous]);
+                var previousY = points[previous].unformatted;
+                var maxArea = -1;
+                var picked = nextBucketStart - 1;
+                for (var j = Math.floor(i * bucketSize) + 1; j < nextBucketStart; j++) {
+                    var area = Math.abs((previousX - averageX) * (points[j].unformatted - previousY) - (previousX - getX(points[j])) * (averageY - previousY));
+                    if (area > maxArea) {
+                        maxArea = area;
+                        picked = j;
+                    }
+                }
+
+                sampled.push(points[picked]);
+                previous = picked;
+            }
+
+            sampled.push(points[points.length - 1]);
+            return sampled;
+        }
+
+        /**
+          * Adds back the points saved by series name and x label, such as the highlighted points and the points with notes
+          */
+        private keepSavedPoints(data: BindingData, lineId: number, savedPoints: DataViz.Config.Trends.PointHighlight[], sampled: PointDataOnLine[],
+            points: PointDataOnLine[]): PointDataOnLine[] {
+            var seriesName = DataConvertor.getSeriesName(data, lineId);
+            var xLabels = savedPoints.filter((savedPoint: DataViz.Config.Trends.PointHighlight) => {
+                return savedPoint.seriesName === seriesName;
+            }).map((savedPoint: DataViz.Config.Trends.PointHighlight) => {
+                return savedPoint.xLabel;
+            });
+
+            if (xLabels.length === 0) {
+                return sampled;
+            }
+
+            var saved = points.filter((point: PointDataOnLine) => {
+                return xLabels.indexOf(data.xData[point.originalIndex]) > -1 && sampled.indexOf(point) === -1;
+            });
+
+            return sampled.concat(saved).sort((a: PointDataOnLine, b: PointDataOnLine) => {
+                return a.originalIndex - b.originalIndex;
+            });
+        }
+
+        /**
+          * Adds back the points the highlight rules of a line pick
+          */
+        private keepRuleHighlights(columns: number[], sampled: PointDataOnLine[], points: PointDataOnLine[]): PointDataOnLine[] {
+            if (!columns || columns.length === 0) {
+                return sampled;
+            }
+
+            var highlighted = points.filter((point: PointDataOnLine) => {
+                return columns.indexOf(point.originalIndex) > -1 && sampled.indexOf(point) === -1;
+            });
+
+            return sampled.concat(highlighted).sort((a: PointDataOnLine, b: PointDataOnLine) => {
+                return a.originalIndex - b.originalIndex;
+            });
+        }
+
+        /**
+          * Adds back the points on both sides of every gap of a line that is broken at its missing values, so that the gaps stay where they are
+          */
+        private keepGapEdges(sampled: PointDataOnLine[], points: PointDataOnLine[]): PointDataOnLine[] {
+            var edges = points.filter((point: PointDataOnLine, index: number) => {
+                var isEdge = point.isAfterGap || (index < points.length - 1 && points[index + 1].isAfterGap);
+                return isEdge && sampled.indexOf(point) === -1;
+            });
+
+            if (edges.length === 0) {
+                return sampled;
+            }
+
+            return sampled.concat(edges).sort((a: PointDataOnLine, b: PointDataOnLine) => {
+                return a.originalIndex - b.originalIndex;
+            });
+        }
+    }
+}
@@ -0,0 +1,290 @@
+﻿/* **************************************************************************************
+Copyright (c) Microsoft Open Technologies, Inc. All rights reserved. Licensed under the Apache License, Version 2.0. 
+See License.txt in the project root for license information.
+***************************************************************************************** */
+
+///<reference path="shared/data.ts"/>
+///<reference path="shared/config.ts"/>
+///<reference path="shared/utils.ts"/>
+///<reference path="data.convertor.agave.ts"/>
+///<reference path="configurator.agave.ts"/>
+///<reference path="trendline.trends.ts"/>
+///<reference path="highlightrules.trends.ts"/>
+///<reference path="numberformat.trends.ts"/>
+
+/**
+  * This module contains the implementation of the Trends specific data transformer
+  */
+module Trends.Data {
+    "use strict";
+
+    /**
+      * A transform applied to a line, as saved in the configuration
+      */
+    export interface LineTransform {
+        // One of the values of DataViz.Config.Trends.TransformType
+        type: string;
+        // The number of points in the window of a rolling average
+        period?: number;
+    }
+
+    /**
+      * A function that applies a transform to the points of a line. The points it adds are formatted with the given format.
+      */
+    export interface TransformFunction {
+        (points: PointDataOnLine[], transform: LineTransform, format: NumberFormat): PointDataOnLine[];
+    }
+
+    /**
+      * This is the specific data transformer implementation of the app. Every line has a chain of transforms,
+      * which are applied one after another to the converted points of the line. The trendline of a line is fitted
+      * to the transformed points, and its highlight rules pick from them.
+      */
+    export class DataTransformer implements DataViz.Data.IDataTransformer {
+        public static defaultPeriod = 3;
+
+        private static transformFunctions: { [type: string]: TransformFunction } = null;
+
+        private lineTransforms: LineTransform[][] = [];
+        private lineTrendlines: LineTrendline[] = [];
+        private lineHighlightRules: LineHighlightRule[][] = [];
+
+        /**
+          * Adds a transform that lines can use, or replaces the one of the same type
+          * @param {string} type The type of the transform
+          * @param {TransformFunction} transformFunction The function that applies the transform
+          */
+        public static registerTransform(type: string, transformFunction: TransformFunction) {
+            DataTransformer.TransformFunctions[type] = transformFunction;
+        }
+
+        /**
+          * Describes a chain of transforms, for example "3-point average, % change"
+          * @param {LineTransform[]} transforms The transforms of a line
+          * @returns {string} The description, or an empty string if there are no transforms
+          */
+        public static describe(transforms: LineTransform[]): string {
+            if (!transforms) {
+                return "";
+            }
+
+            return transforms.map((transform: LineTransform) => {
+                return DataTransformer.describeTransform(transform);
+            }).join(", ");
+        }
+
+        /**
+          * Describes a transform
+          * @param {LineTransform} transform The transform
+          * @returns {string} The description
+          */
+        public static describeTransform(transform: LineTransform): string {
+            switch (transform.type) {
+                case DataViz.Config.Trends.TransformType.rollingAverage:
+                    return DataViz.Utils.stringFormat(DataViz.Resources.Transforms.rollingAverage, DataTransformer.getPeriod(transform));
+
+                case DataViz.Config.Trends.TransformType.cumulativeSum:
+                    return DataViz.Resources.Transforms.cumulativeSum;
+
+                case DataViz.Config.Trends.TransformType.percentChange:
+                    return DataViz.Resources.Transforms.percentChange;
+
+                case DataViz.Config.Trends.TransformType.rebase:
+                    return DataViz.Resources.Transforms.rebase;
+
+                default:
+                    return transform.type;
+            }
+        }
+
+        /**
+          * Implementing {@link ITool#resetTool}
+          */
+        public resetTool() {
+            // Do nothing. The transforms come from the configuration.
+        }
+
+        /**
+          * Implementing {@link IDataTransformer#transform}
+          * @param {BindingData} data The converted data
+          * @returns {BindingData} The data with the transforms of every line applied
+          */
+        public transform(data: BindingData): BindingData {
+            if (!data || !data.yData) {
+                return data;
+            }
+
+            var transformedData: BindingData = { header: data.header, xData: data.xData, xDates: data.xDates, yData: [] };
+            data.yData.forEach((line: LineDataConverted, lineId: number) => {
+                var points = line.data;
+                var format = line.numberFormat ? line.numberFormat : NumberFormat.General;
+                var transforms = this.lineTransforms[lineId] ? this.lineTransforms[lineId] : [];
+                transforms.forEach((transform: LineTransform) => {
+                    var transformFunction = DataTransformer.TransformFunctions[transform.type];
+                    if (transformFunction) {
+                        format = DataTransformer.getTransformedFormat(format, transform);
+                        points = transformFunction(points, transform, format);
+                    }
+                });
+
+                var trendline = this.lineTrendlines[lineId];
+                var highlightRules = this.lineHighlightRules[lineId];
+                transformedData.yData.push({
+                    validDataCount: points.length,
+                    data: points,
+                    trendline: trendline ? Trendline.fit(points, data, trendline) : null,
+                    ruleHighlights: highlightRules ? HighlightRules.evaluate(points, highlightRules) : [],
+                    numberFormat: format
+                });
+            });
+
+            return transformedData;
+        }
+
+        /**
+          * Implementing {@link IConfigurationChangeListener#onConfigurationChanged}
+          */
+        public onConfigurationChanged(key: string, value: any) {
+            switch (key) {
+                case DataViz.Config.Trends.wellKnownKeys.lineTransforms:
+                    this.lineTransforms = <LineTransform[][]>value;
+                    break;
+
+                case DataViz.Config.Trends.wellKnownKeys.lineTrendlines:
+                    this.lineTrendlines = <LineTrendline[]>value;
+                    break;
+
+                case DataViz.Config.Trends.wellKnownKeys.lineHighlightRules:
+                    this.lineHighlightRules = value ? <LineHighlightRule[][]>value : [];
+                    break;
+            }
+        }
+
+        /**
+          * Gets the transforms that lines can use, starting with the built-in ones
+          */
+        private static get TransformFunctions(): { [type: string]: TransformFunction } {
+            if (!DataTransformer.transformFunctions) {
+                DataTransformer.transformFunctions = {};
+                DataTransformer.transformFunctions[DataViz.Config.Trends.TransformType.rollingAverage] = DataTransformer.rollingAverage;
+                DataTransformer.transformFunctions[DataViz.Config.Trends.TransformType.cumulativeSum] = DataTransformer.cumulativeSum;
+                DataTransformer.transformFunctions[DataViz.Config.Trends.TransformType.percentChange] = DataTransformer.percentChange;
+                DataTransformer.transformFunctions[DataViz.Config.Trends.TransformType.rebase] = DataTransformer.rebase;
+            }
+
+            return DataTransformer.transformFunctions;
+        }
+
+        private static getPeriod(transform: LineTransform): number {
+            return (transform.period > 0) ? Math.floor(transform.period) : DataTransformer.defaultPeriod;
+        }
+
+        /**
+          * Gets the format of the values a transform gives. Averages and sums have the format of the values they are made of,
+          * while a change is a percentage and an index has no unit.
+          */
+        private static getTransformedFormat(format: NumberFormat, transform: LineTransform): NumberFormat {
+            switch (transform.type) {
+                case DataViz.Config.Trends.TransformType.percentChange:
+                    return NumberFormat.Percentage;
+
+                case DataViz.Config.Trends.TransformType.rebase:
+                    return NumberFormat.General;
+
+                default:
+                    return format;
+            }
+        }
+
+        /**
+          * Creates the point that replaces a point of the line
+          * @param {boolean} [isAfterGap] Whether the line breaks before the point, which it does before the source point by default
+          */
+        private static createPoint(source: PointDataOnLine, value: number, format: NumberFormat, isAfterGap: boolean = source.isAfterGap): PointDataOnLine {
+            return {
+                originalIndex: source.originalIndex,
+                formatted: format.format(value),
+                unformatted: value,
+                isMissing: source.isMissing,
+                isAfterGap: isAfterGap
+            };
+        }
+
+        /**
+          * Averages every point with the points before it. The window starts again after a gap, so that no average takes in the values
+          * on both sides of it, and the first average after the gap breaks the line.
+          */
+        private static rollingAverage(points: PointDataOnLine[], transform: LineTransform, format: NumberFormat): PointDataOnLine[] {
+            var period = DataTransformer.getPeriod(transform);
+            var result: PointDataOnLine[] = [];
+            var sum = 0;
+            var windowStart = 0;
+            var isAfterGap = false;
+            points.forEach((point: PointDataOnLine, index: number) => {
+                if (point.isAfterGap) {
+                    sum = 0;
+                    windowStart = index;
+                    isAfterGap = true;
+                }
+
+                sum += point.unformatted;
+                if (index - windowStart >= period) {
+                    sum -= points[index - period].unformatted;
+                }
+
+                // A point gets a value once its window is full
+                if (index - windowStart >= period - 1) {
+                    result.push(DataTransformer.createPoint(point, sum / period, format, isAfterGap));
+                    isAfterGap = false;
+                }
+            });
+
+            return result;
+        }
+
+        private static cumulativeSum(points: PointDataOnLine[], transform: LineTransform, format: NumberFormat): PointDataOnLine[] {
+            var sum = 0;
+            return points.map((point: PointDataOnLine) => {
+                sum += point.unformatted;
+                return DataTransformer.createPoint(point, sum, format);
+            });
+        }
+
+        /**
+          * Gets the change of every point from the point before it. There's no change across a gap, and the first change after the gap breaks the line.
+          */
+        private static percentChange(points: PointDataOnLine[], transform: LineTransform, format: NumberFormat): PointDataOnLine[] {
+            var result: PointDataOnLine[] = [];
+            var isAfterGap = false;
+            points.forEach((point: PointDataOnLine, index: number) => {
+                isAfterGap = isAfterGap || point.isAfterGap;
+
+                // There's no change for the first point, nor from a zero
+                var previous = (index > 0 && !point.isAfterGap) ? points[index - 1].unformatted : 0;
+                if (previous !== 0) {
+                    result.push(DataTransformer.createPoint(point, (point.unformatted - previous) / Math.abs(previous), format, isAfterGap));
+                    isAfterGap = false;
+                }
+            });
+
+            return result;
+        }
+
+        private static rebase(points: PointDataOnLine[], transform: LineTransform, format: NumberFormat): PointDataOnLine[] {
+            // The line starts at the first value that isn't zero, since nothing can be scaled from a zero
+            var baseIndex = 0;
+            while (baseIndex < points.length && points[baseIndex].unformatted === 0) {
+                baseIndex++;
+            }
+
+            if (baseIndex === points.length) {
+                return [];
+            }
+
+            var base = points[baseIndex].unformatted;
+            return points.slice(baseIndex).map((point: PointDataOnLine) => {
+                return DataTransformer.createPoint(point, point.unformatted / base * 100, format);
+            });
+        }
+    }
+}
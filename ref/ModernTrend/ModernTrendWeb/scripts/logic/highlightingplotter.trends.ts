@@ -0,0 +1,931 @@
+﻿/* **************************************************************************************
+Copyright (c) Microsoft Open Technologies, Inc. All rights reserved. Licensed under the Apache License, Version 2.0. 
+See License.txt in the project root for license information.
+***************************************************************************************** */
+
+///<reference path="shared/data.ts" />
+///<reference path="shared/chart.ts"/>
+///<reference path="shared/decoration.ts"/>
+///<reference path="data.convertor.agave.ts" />
+///<reference path="data.transformer.trends.ts" />
+///<reference path="numberformat.trends.ts" />
+///<reference path="layouter.trends.ts" />
+///<reference path="../app.ts" />
+
+declare var d3: any;
+declare var $: any;
+
+/**
+  * This module contains the base of the plotters of the chart types
+  */
+module Trends.Chart {
+    "use strict";
+
+    /**
+      * A plotter that draws the saved highlights, so that the data pane can list the ones that don't match a point of the data
+      */
+    export interface IHighlightingPlotter extends DataViz.Chart.IPlotter {
+        // The highlights whose series or x label isn't in the data the chart was last drawn with
+        OrphanedHighlights: DataViz.Config.Trends.PointHighlight[];
+        // The number of the highlights saved as point ids by earlier versions that don't match a point of the data
+        UnmatchedPointIdCount: number;
+        removeOrphanedHighlight(highlight: DataViz.Config.Trends.PointHighlight): void;
+        removeUnmatchedPointIds(): void;
+    }
+
+    /**
+      * The base of the plotters of the chart types. It reads the settings every chart type shares, such as the highlighted points,
+      * the display status and the titles of the lines and the zoom window, fits them to the data and keeps the highlights that
+      * don't match it. It also draws what the chart types have in common: the rows of the lines in the legend, the bubbles
+      * of the highlighted points and the notes of the points. A plotter draws its chart type by overriding {@link draw}, and a plotter
+      * that draws notes tells where the points are drawn by overriding {@link getPointPosition}.
+      * The members the plotters override or call, here and in the plotters themselves, ought to be "protected" but unfortunately
+      * TypeScript doesn't support "protected" members when the source code is published.
+      */
+    export class HighlightingPlotter extends DataViz.Tools.Pausable implements IHighlightingPlotter {
+        public static durationTime = 300;
+        // Different radiuses of the bubble after user clicks a point, which depends on the text length in it
+        public static radius = [13, 16, 20, 25, 29, 29, 29, 29, 29];
+        // Different font sizes of the bubble text, which depends on the text length in it
+        public static fontSize = [17, 17, 17, 17, 17, 15, 13, 12, 11];
+        public static maxTextLength = 9;
+        // Above this lightness a white check mark can't be seen on the checkbox, so a black one is used
+        public static maxLightnessForWhiteCheck: number = 0.9;
+        // A zoomed chart shows at least this many columns after its first one
+        public static minXWindowSpan: number = 1;
+        public static legendFontSize = 17;
+        public static legendTransformsFontSize = 12;
+        public static checkBoxLength = 15;
+        // How far a note is drawn above or below its point
+        public static annotationOffset = 48;
+        public static annotationPadding = 4;
+        public static annotationFontSize = 13;
+        public static noteButtonRadius = 7;
+
+        /* protected */ public zoomRatio: ZoomRatio;
+        /* protected */ public configuration: DataViz.Config.Configuration;
+        /* protected */ public bindingData: Trends.Data.BindingData;
+        /* protected */ public legendGroup: any;
+        /* protected */ public pointHighlights: DataViz.Config.Trends.PointHighlight[];
+        /* protected */ public annotations: DataViz.Config.Trends.Annotation[];
+        /* protected */ public lineDisplay: boolean[];
+        /* protected */ public lineTitleArray: string[];
+        /* protected */ public lineTransforms: Trends.Data.LineTransform[][];
+        /* protected */ public isCompact: boolean;
+        /* protected */ public lineNumber: number;
+        /* protected */ public columnNumber: number;
+        // The first and the last column the chart is zoomed to, which are the ends of the data if it isn't zoomed
+        /* protected */ public firstColumn: number;
+        /* protected */ public lastColumn: number;
+
+        // The highlights whose series or x label isn't in the data, and the point ids saved by earlier versions that don't match a point
+        private orphanedHighlights: DataViz.Config.Trends.PointHighlight[] = [];
+        private unmatchedPointIds: string[] = [];
+        private isLegendEdited: boolean;
+        private delayPlotTimeoutId: number;
+
+        constructor() {
+            super();
+            this.delayPlotTimeoutId = null;
+        }
+
+        /**
+          * Implementing {@link ITool#resetTool}. The plot that's waiting is dropped, and so is a note being edited,
+          * since the plotter of another chart type may draw in the chart next.
+          */
+        public resetTool() {
+            if (this.delayPlotTimeoutId !== null) {
+                clearTimeout(this.delayPlotTimeoutId);
+                this.delayPlotTimeoutId = null;
+            }
+
+            $("#note-editor").remove();
+            this.resume();
+        }
+
+        /**
+          * Implementing {@link IPlotter#delayPlot}
+          */
+        public delayPlot(data: Trends.Data.BindingData, delay: number = 300) {
+            if (this.delayPlotTimeoutId !== null) {
+                clearTimeout(this.delayPlotTimeoutId);
+            }
+
+            this.delayPlotTimeoutId = setTimeout(() => {
+                    this.plot(data);
+                    this.delayPlotTimeoutId = null;
+                }, delay);
+        }
+
+        /**
+          * Implementing {@link IPlotter#plot}
+          */
+        public plot(data: Trends.Data.BindingData) {
+            if (data && data.xData.length > 0 && data.yData.length > 0) {
+                this.onDataChanged(data);
+                this.initData(data);
+                this.draw();
+            }
+        }
+
+        /**
+          * Implementing {@link IHighlightingPlotter#OrphanedHighlights}
+          */
+        public get OrphanedHighlights(): DataViz.Config.Trends.PointHighlight[] {
+            return this.orphanedHighlights.slice(0);
+        }
+
+        /**
+          * Implementing {@link IHighlightingPlotter#UnmatchedPointIdCount}
+          */
+        public get UnmatchedPointIdCount(): number {
+            return this.unmatchedPointIds.length;
+        }
+
+        /**
+          * Implementing {@link IHighlightingPlotter#removeOrphanedHighlight}
+          * @param {PointHighlight} highlight One of the orphaned highlights
+          */
+        public removeOrphanedHighlight(highlight: DataViz.Config.Trends.PointHighlight) {
+            this.orphanedHighlights = this.orphanedHighlights.filter((orphaned: DataViz.Config.Trends.PointHighlight) => {
+                return orphaned !== highlight;
+            });
+            this.pointHighlights = this.pointHighlights.filter((saved: DataViz.Config.Trends.PointHighlight) => {
+                return saved !== highlight;
+            });
+            this.configuration.set(DataViz.Config.Trends.wellKnownKeys.pointHighlights, this.pointHighlights);
+        }
+
+        /**
+          * Implementing {@link IHighlightingPlotter#removeUnmatchedPointIds}
+          */
+        public removeUnmatchedPointIds() {
+            this.unmatchedPointIds = [];
+            this.configuration.set(DataViz.Config.Trends.wellKnownKeys.clickedPointIdArray, this.unmatchedPointIds);
+        }
+
+        /**
+          * Draws the chart from the data and the settings {@link initData} has read. The plotters of the chart types override it.
+          */
+        public draw() {
+        }
+
+        /**
+          * Reads the data and the settings the chart is drawn with, and fits the settings to the data.
+          * A plotter that works out more before drawing overrides it, and calls it first.
+          * @param {BindingData} convertedData The data to draw
+          */
+        public initData(convertedData: Trends.Data.BindingData) {
+            this.bindingData = convertedData;
+            this.configuration = DataViz.mainApp.Configuration;
+            this.isLegendEdited = this.configuration.get(DataViz.Config.Trends.wellKnownKeys.isLegendEdited);
+            if (this.isLegendEdited === null || this.isLegendEdited === undefined) {
+                this.isLegendEdited = false;
+                this.configuration.set(DataViz.Config.Trends.wellKnownKeys.isLegendEdited, this.isLegendEdited);
+            }
+
+            if (!this.isLegendEdited && this.bindingData.header.length) {
+                this.configuration.set(DataViz.Config.Trends.wellKnownKeys.lineTitleArray, this.bindingData.header);
+            }
+
+            if (!this.configuration.get(DataViz.Config.Trends.wellKnownKeys.pointHighlights)) {
+                DataViz.Config.Trends.resetPointHighlights();
+            }
+
+            if (!this.configuration.get(DataViz.Config.Trends.wellKnownKeys.lineDisplay)) {
+                DataViz.Config.Trends.resetLineDisplay();
+            }
+
+            if (!this.configuration.get(DataViz.Config.Trends.wellKnownKeys.lineTitleArray)) {
+                DataViz.Config.Trends.resetLineTitleArray();
+            }
+
+            this.readSettings();
+            this.zoomRatio = Layouter.getZoomRatioRelativeOrigin();
+            this.lineNumber = this.bindingData.yData.length;
+            this.columnNumber = this.bindingData.xData.length;
+            this.setWindowColumns(this.configuration.get(DataViz.Config.Trends.wellKnownKeys.xWindow));
+            this.normalizeLineStates();
+            this.unmatchedPointIds = HighlightingPlotter.migratePointIds(this.bindingData, this.pointHighlights);
+            this.findOrphanedHighlights();
+        }
+
+        /**
+          * Reads the saved settings the chart is drawn with. A plotter with settings of its own overrides it, and calls it first.
+          */
+        public readSettings() {
+            this.pointHighlights = this.configuration.get(DataViz.Config.Trends.wellKnownKeys.pointHighlights);
+            this.annotations = this.configuration.get(DataViz.Config.Trends.wellKnownKeys.annotations);
+            this.annotations = this.annotations ? this.annotations : [];
+            this.lineDisplay = this.configuration.get(DataViz.Config.Trends.wellKnownKeys.lineDisplay);
+            this.lineTitleArray = this.configuration.get(DataViz.Config.Trends.wellKnownKeys.lineTitleArray);
+            this.lineTransforms = this.configuration.get(DataViz.Config.Trends.wellKnownKeys.lineTransforms);
+            this.lineTransforms = this.lineTransforms ? this.lineTransforms : [];
+            this.isCompact = this.configuration.get(DataViz.Config.Trends.wellKnownKeys.compactNumbers) === true;
+        }
+
+        /**
+          * Fits the saved display status and titles to the current number of lines, since they may have been saved for more or fewer lines
+          * than the data has now. A plotter with more states of the lines overrides it, and calls it first.
+          */
+        public normalizeLineStates() {
+            this.lineDisplay.length = this.lineNumber;
+            this.lineTitleArray.length = this.lineNumber;
+            for (var i = 0; i < this.lineNumber; i++) {
+                if (typeof this.lineDisplay[i] !== "boolean") {
+                    this.lineDisplay[i] = true;
+                }
+
+                if (typeof this.lineTitleArray[i] !== "string") {
+                    this.lineTitleArray[i] = DataViz.Utils.stringFormat(DataViz.Resources.UI.defaultLegendName, i + 1);
+                }
+            }
+        }
+
+        /**
+          * Moves the highlights saved as point ids by earlier versions, such as "#pointline0column4end", to the highlights saved by series name and x label.
+          * The ids are read against the current data, which is the data they were saved with unless it has changed since. The ids that don't match
+          * a point are kept and reported rather than put on another point.
+          * @param {BindingData} data The data the chart is drawn with
+          * @param {PointHighlight[]} pointHighlights The saved highlights, which the moved ones are added to
+          * @returns {string[]} The ids that don't match a point
+          */
+        public static migratePointIds(data: Trends.Data.BindingData, pointHighlights: DataViz.Config.Trends.PointHighlight[]): string[] {
+            var configuration = DataViz.mainApp.Configuration;
+            var pointIds: string[] = configuration.get(DataViz.Config.Trends.wellKnownKeys.clickedPointIdArray);
+            var unmatchedPointIds: string[] = [];
+            if (!pointIds || pointIds.length === 0) {
+                return unmatchedPointIds;
+            }
+
+            pointIds.forEach((pointId: string) => {
+                var lineId = HighlightingPlotter.getNumberFromString(pointId, "line", "column");
+                var column = HighlightingPlotter.getNumberFromString(pointId, "column", "end");
+                if (!(lineId >= 0 && lineId < data.yData.length && column >= 0 && column < data.xData.length)) {
+                    unmatchedPointIds.push(pointId);
+                    return;
+                }
+
+                var seriesName = Trends.Data.DataConvertor.getSeriesName(data, lineId);
+                var isSaved = pointHighlights.some((highlight: DataViz.Config.Trends.PointHighlight) => {
+                    return highlight.seriesName === seriesName && highlight.xLabel === data.xData[column];
+                });
+                if (!isSaved) {
+                    pointHighlights.push({ seriesName: seriesName, xLabel: data.xData[column] });
+                }
+            });
+
+            if (unmatchedPointIds.length < pointIds.length) {
+                configuration.set(DataViz.Config.Trends.wellKnownKeys.pointHighlights, pointHighlights);
+                configuration.set(DataViz.Config.Trends.wellKnownKeys.clickedPointIdArray, unmatchedPointIds);
+            }
+
+            return unmatchedPointIds;
+        }
+
+        /**
+          * Gets the number an element id holds between two strings, such as the line id in "checkbox2end"
+          */
+        public static getNumberFromString(orgString: string, startString: string, endString: string): number {
+            var endIndex = orgString.indexOf(endString);
+            var startIndex = orgString.indexOf(startString) + startString.length;
+            var num = orgString.substring(startIndex, endIndex);
+            return parseInt(num);
+        }
+
+        /**
+          * Gets the value of a line in a column. If the line has no point there, because the point was sampled out, the value is
+          * read off the line between the points on both sides. A line is zero in its gaps and outside its points.
+          * @param {PointDataOnLine[]} points The points of the line, in order
+          * @param {number} column The column
+          * @returns {number} The value of the line in the column
+          */
+        public static getValueAt(points: Trends.Data.PointDataOnLine[], column: number): number {
+            var low = 0;
+            var high = points.length;
+            while (low < high) {
+                var middle = Math.floor((low + high) / 2);
+                if (points[middle].originalIndex < column) {
+                    low = middle + 1;
+                }
+                else {
+                    high = middle;
+                }
+            }
+
+            if (low < points.length && points[low].originalIndex === column) {
+                return points[low].unformatted;
+            }
+
+            if (low === 0 || low === points.length || points[low].isAfterGap) {
+                return 0;
+            }
+
+            var before = points[low - 1];
+            var after = points[low];
+            return before.unformatted + (after.unformatted - before.unformatted) * (column - before.originalIndex) / (after.originalIndex - before.originalIndex);
+        }
+
+        /**
+          * Gets the width of the widest of some svg text elements
+          */
+        public static getMaxWidth(texts: any): number {
+            var maxWidth = 0;
+            texts.each(function () {
+                maxWidth = Math.max(maxWidth, (<SVGTextElement>this).getBBox().width);
+            });
+
+            return maxWidth;
+        }
+
+        /**
+          * Gets whether the chart is zoomed to some of the columns.
+          */
+        public isZoomed(): boolean {
+            return this.firstColumn > 0 || this.lastColumn < this.columnNumber - 1;
+        }
+
+        /**
+          * Gets the ids of the lines that aren't hidden, in order.
+          */
+        public getShownLineIds(): number[] {
+            var lineIds: number[] = [];
+            for (var lineId = 0; lineId < this.lineNumber; lineId++) {
+                if (this.lineDisplay[lineId]) {
+                    lineIds.push(lineId);
+                }
+            }
+
+            return lineIds;
+        }
+
+        /**
+          * Gets the text of the bubble of a point, which is the formatted value of its cell unless the numbers are compact.
+          */
+        public getPointText(lineId: number, point: Trends.Data.PointDataOnLine): string {
+            var format = this.bindingData.yData[lineId].numberFormat;
+            return (this.isCompact && format) ? format.format(point.unformatted, true) : point.formatted;
+        }
+
+        /**
+          * Gets how a point is saved, by the name of its series and the x label of its column.
+          */
+        public createPointHighlight(lineId: number, column: number): DataViz.Config.Trends.PointHighlight {
+            return {
+                seriesName: Trends.Data.DataConvertor.getSeriesName(this.bindingData, lineId),
+                xLabel: this.bindingData.xData[column]
+            };
+        }
+
+        /**
+          * Gets the index of a point in some points saved by series name and x label, such as the highlights or the notes.
+          * @returns {number} The index, or -1 if the point isn't saved
+          */
+        public findSavedPointIndex(savedPoints: DataViz.Config.Trends.PointHighlight[], lineId: number, column: number): number {
+            var seriesName = Trends.Data.DataConvertor.getSeriesName(this.bindingData, lineId);
+            var xLabel = this.bindingData.xData[column];
+            for (var i = 0; i < savedPoints.length; i++) {
+                if (savedPoints[i].seriesName === seriesName && savedPoints[i].xLabel === xLabel) {
+                    return i;
+                }
+            }
+
+            return -1;
+        }
+
+        /**
+          * Gets the color of a line from the palette of the current theme.
+          * @param {number} lineId The id of the line
+          * @returns {string} The color of the line
+          */
+        public getLineColor(lineId: number): string {
+            return DataViz.Decoration.ThemeProvider.Instance.getLineColor(lineId);
+        }
+
+        /**
+          * Colors a checkbox of the legend in the color of a line, with a check mark that can be seen on it if it's checked.
+          */
+        public setCheckboxStyle(checkbox: any, lineId: number, isChecked: boolean) {
+            var color = this.getLineColor(lineId);
+            var checkMark = d3.hsl(color).l > HighlightingPlotter.maxLightnessForWhiteCheck ? "check-black.svg" : "check-white.svg";
+            checkbox.style("background-color", color)
+                    .style("background-image", isChecked ? "url('../themes/" + checkMark + "')" : "none");
+        }
+
+        /**
+          * Replaces the svg of the chart and the legend with empty ones.
+          * @param {number} width The width of the chart
+          * @param {number} height The height of the chart
+          * @returns {any} The svg of the chart
+          */
+        public appendChart(width: number, height: number): any {
+            if (!d3.select("#svg-line-chart").empty()) {
+                d3.select("#svg-line-chart").remove();
+            }
+
+            if (!d3.select("#div-legend").empty()) {
+                d3.select("#div-legend").remove();
+            }
+
+            this.legendGroup = d3.select("#legend")
+                .append("div")
+                .attr("id", "div-legend")
+                .style("width", "100%")
+                .style("height", "100%")
+                .style("margin-top", "25px");
+
+            return d3.select("#line-chart")
+                .append("svg:svg")
+                .attr("id", "svg-line-chart")
+                .attr("width", width)
+                .attr("height", height);
+        }
+
+        /**
+          * Draws a row in the legend for every line, with the checkbox that shows and hides the line, its title, which can be edited,
+          * and its transforms under the title.
+          */
+        public drawLineLegend() {
+            var _this = this;
+            var checkboxLength = HighlightingPlotter.checkBoxLength / this.zoomRatio.heightRatio;
+            for (var i = 0; i < this.lineNumber; i++) {
+                var legendRow = this.legendGroup.append("div")
+                                    .attr("id", "legend-row-" + i)
+                                    .attr("class", "legend-row-style");
+
+                legendRow.append("div")
+                         .attr("id", "checkbox" + i + "end")
+                         .attr("class", "layout-checkbox")
+                         .attr("opacity", function () {
+                             return _this.lineDisplay[i] ? 1 : 0.85;
+                         })
+                         .on("click", function () {
+                             var lineId = HighlightingPlotter.getNumberFromString($(this).attr("id"), "checkbox", "end");
+                             _this.lineDisplay[lineId] = !_this.lineDisplay[lineId];
+                             $(this).attr("opacity", _this.lineDisplay[lineId] ? "1" : "0.85");
+                             _this.setCheckboxStyle(d3.select(this), lineId, _this.lineDisplay[lineId]);
+                             _this.configuration.set(DataViz.Config.Trends.wellKnownKeys.lineDisplay, _this.lineDisplay);
+                             _this.onLineDisplayChanged(lineId);
+                         });
+
+                this.setCheckboxStyle(d3.select("#checkbox" + i + "end"), i, this.lineDisplay[i]);
+                $("#checkbox" + i + "end").width(checkboxLength);
+                $("#checkbox" + i + "end").height(checkboxLength);
+
+                legendRow.append("textarea")
+                    .attr("id", "line-title" + i + "end")
+                    .attr("class", "element-style layout-chart-legend-textarea")
+                    .style("color", this.getLineColor(i))
+                    .style("font-size", HighlightingPlotter.legendFontSize / this.zoomRatio.heightRatio + "px")
+                    .on("input", function () {
+                        var lineId = HighlightingPlotter.getNumberFromString($(this).attr("id"), "line-title", "end");
+                        _this.lineTitleArray[lineId] = (<HTMLTextAreaElement>$(this)[0]).value;
+                        _this.onLineTitleChanged(lineId);
+                        _this.configuration.delaySet(DataViz.Config.Trends.wellKnownKeys.lineTitleArray, _this.lineTitleArray, 300);
+                        if (!_this.isLegendEdited) {
+                            _this.isLegendEdited = true;
+                            _this.configuration.delaySet(DataViz.Config.Trends.wellKnownKeys.isLegendEdited, true, 300);
+                        }
+                    })
+                    .on("keypress", function () {
+                        if (d3.event.keyCode === 13 || d3.event.keyCode === 10) {
+                            d3.event.preventDefault();
+                            return false;
+                        }
+                    });
+
+                $("#line-title" + i + "end").height(22 / this.zoomRatio.heightRatio); //"22" is the line title textarea's height
+                // In TypeScript, jQuery prototype doesn't support to set outerWidth.
+                (<any>$("#line-title" + i + "end")).outerWidth($("#div-legend").width() - checkboxLength);
+                (<HTMLTextAreaElement>$("#line-title" + i + "end")[0]).value = this.lineTitleArray[i];
+
+                // The transforms are shown under the title, so that a transformed line isn't taken for the bound values
+                var transformsText = Trends.Data.DataTransformer.describe(this.lineTransforms[i]);
+                if (transformsText) {
+                    this.legendGroup.append("div")
+                        .attr("id", "line-transforms" + i + "end")
+                        .attr("class", "layout-chart-legend-transforms")
+                        .style("color", this.getLineColor(i))
+                        .style("padding-left", (checkboxLength + 4) + "px")
+                        .style("font-size", HighlightingPlotter.legendTransformsFontSize / this.zoomRatio.heightRatio + "px")
+                        .text(transformsText);
+                }
+
+                this.drawLineLegendOptions(i);
+            }
+        }
+
+        /**
+          * Draws the rows of the settings of a line under its row in the legend. A plotter with such settings overrides it.
+          */
+        public drawLineLegendOptions(lineId: number) {
+        }
+
+        /**
+          * Called when a line is shown or hidden from the legend. The chart is drawn again, since the shown lines take up the room of the hidden ones;
+          * a plotter that can just show or hide the line overrides it.
+          */
+        public onLineDisplayChanged(lineId: number) {
+            this.plot(this.bindingData);
+        }
+
+        /**
+          * Called when the title of a line is edited in the legend. A plotter that draws the title in the chart overrides it.
+          */
+        public onLineTitleChanged(lineId: number) {
+        }
+
+        /**
+          * Gets the radius of the bubble of a point, which depends on the length of its text.
+          */
+        public getBubbleRadius(text: string): number {
+            return HighlightingPlotter.radius[Math.min(text.length, HighlightingPlotter.maxTextLength) - 1] / this.zoomRatio.heightRatio;
+        }
+
+        /**
+          * Draws the bubble of a highlighted point, with its value in it.
+          * @param {any} parent The svg group the bubble is drawn in
+          * @param {number} lineId The id of the line of the point, which the highlight is saved for
+          * @param {PointDataOnLine} point The point
+          * @param {number[]} position Where the center of the bubble is, across and down the chart
+          * @param {boolean} beAnimated Whether the bubble grows in
+          * @param {boolean} isRemovable Whether a click on the bubble removes the highlight. The bubbles of the highlight rules can't be removed.
+          * @returns {any} The svg group of the bubble, or null if the point has no text
+          */
+        public drawBubble(parent: any, lineId: number, point: Trends.Data.PointDataOnLine, position: number[], beAnimated: boolean, isRemovable: boolean): any {
+            var text = this.getPointText(lineId, point);
+            if (text === null) {
+                return null;
+            }
+
+            var _this = this;
+            var column = point.originalIndex;
+            var fontSize = HighlightingPlotter.fontSize[Math.min(text.length, HighlightingPlotter.maxTextLength) - 1] / this.zoomRatio.heightRatio;
+            var x = Math.round(position[0] * 100) / 100;
+            var y = Math.round(position[1] * 100) / 100;
+            var duration = beAnimated ? HighlightingPlotter.durationTime : 0;
+            var circleGroup = parent.append("svg:g")
+                                .attr("cursor", isRemovable ? "pointer" : "default");
+            if (isRemovable) {
+                circleGroup.on("click", function () {
+                    d3.select(this).remove();
+                    var index = _this.findSavedPointIndex(_this.pointHighlights, lineId, column);
+                    if (index > -1) {
+                        _this.pointHighlights.splice(index, 1);
+                    }
+
+                    _this.configuration.delaySet(DataViz.Config.Trends.wellKnownKeys.pointHighlights, _this.pointHighlights, 300);
+                });
+            }
+
+            circleGroup.append("svg:circle")
+                        .style("fill", this.getLineColor(lineId))
+                        .attr("cx", x)
+                        .attr("cy", y)
+                        .attr("r", 0)
+                        .transition()
+                        .duration(duration)
+                        .attr("r", this.getBubbleRadius(text));
+
+            circleGroup.append("svg:text")
+                        .attr("class", "theme-chart-value layout-chart-value")
+                        .attr("x", x)
+                        .attr("y", y)
+                        .attr("dy", ".36em")
+                        .attr("font-size", fontSize)
+                        .text((text.length > HighlightingPlotter.maxTextLength) ? text.substring(0, 8) + "..." : text)
+                        .attr("opacity", 0)
+                        .transition()
+                        .duration(duration)
+                        .attr("opacity", 1);
+
+            return circleGroup;
+        }
+
+        /**
+          * Highlights a clicked point, unless it's highlighted already, and draws its bubble.
+          * @param {number} lineId The id of the line of the point
+          * @param {number} column The column of the point
+          * @param {() => void} drawBubble Draws the bubble of the point
+          */
+        public addPointHighlight(lineId: number, column: number, drawBubble: () => void) {
+            if (this.findSavedPointIndex(this.pointHighlights, lineId, column) === -1) {
+                drawBubble();
+                this.pointHighlights.push(this.createPointHighlight(lineId, column));
+                this.configuration.delaySet(DataViz.Config.Trends.wellKnownKeys.pointHighlights, this.pointHighlights, 300);
+            }
+        }
+
+        /**
+          * Gets the columns of the highlighted points of a line.
+          * @returns {Object} Whether each column is highlighted, by column
+          */
+        public getHighlightedColumns(lineId: number): { [column: number]: boolean } {
+            var seriesName = Trends.Data.DataConvertor.getSeriesName(this.bindingData, lineId);
+            var isHighlighted: { [column: number]: boolean } = {};
+            this.pointHighlights.forEach((highlight: DataViz.Config.Trends.PointHighlight) => {
+                if (highlight.seriesName === seriesName) {
+                    isHighlighted[this.bindingData.xData.indexOf(highlight.xLabel)] = true;
+                }
+            });
+
+            return isHighlighted;
+        }
+
+        /**
+          * Gets where a point is drawn in the svg group of its line. A plotter that draws notes overrides it.
+          * @returns {number[]} How far the point is across and down the group
+          */
+        public getPointPosition(lineId: number, point: Trends.Data.PointDataOnLine): number[] {
+            return null;
+        }
+
+        /**
+          * Gets the svg group a line is drawn in, which its notes are drawn in too.
+          */
+        public getLineGroup(lineId: number): any {
+            return d3.select("#line-group" + lineId);
+        }
+
+        /**
+          * Gets the top of the room a note of a line has above its point. A note that doesn't fit above its point is drawn below it.
+          */
+        public getAnnotationTop(lineId: number): number {
+            return 0;
+        }
+
+        /**
+          * Gets how far a note is drawn above or below its point.
+          */
+        public getAnnotationOffset(): number {
+            return HighlightingPlotter.annotationOffset / this.zoomRatio.heightRatio;
+        }
+
+        /**
+          * Tells whether a point is drawn, so that its note can be drawn. A plotter that leaves out some of the points overrides it.
+          */
+        public isPointDrawn(lineId: number, point: Trends.Data.PointDataOnLine): boolean {
+            return true;
+        }
+
+        /**
+          * Gets the point of a line in a column, or null if the line has no point there after sampling.
+          */
+        public getPointAtColumn(lineId: number, column: number): Trends.Data.PointDataOnLine {
+            var points = this.bindingData.yData[lineId].data;
+            for (var i = 0; i < points.length; i++) {
+                if (points[i].originalIndex === column) {
+                    return points[i];
+                }
+            }
+
+            return null;
+        }
+
+        /**
+          * Draws the notes of a line at the points in the columns with the x labels they were added at.
+          * A note whose series or x label is no longer in the data, or whose point isn't drawn, isn't drawn either, but it's kept in case they come back.
+          * @param {number} lineId The id of the line
+          */
+        public drawAnnotations(lineId: number) {
+            var seriesName = Trends.Data.DataConvertor.getSeriesName(this.bindingData, lineId);
+            this.annotations.forEach((annotation: DataViz.Config.Trends.Annotation) => {
+                if (annotation.seriesName !== seriesName) {
+                    return;
+                }
+
+                var point = this.getPointAtColumn(lineId, this.bindingData.xData.indexOf(annotation.xLabel));
+                if (point && this.isPointDrawn(lineId, point)) {
+                    this.drawAnnotation(lineId, point, annotation.text);
+                }
+            });
+        }
+
+        /**
+          * Draws the button on the bubble of a clicked point that adds a note to the point, on the upper right of the bubble.
+          * A point that has a note already doesn't get the button.
+          * @param {any} circleGroup The svg group of the bubble
+          * @param {number} lineId The id of the line of the point
+          * @param {PointDataOnLine} point The point
+          * @param {number} bubbleRadius The radius of the bubble
+          */
+        public drawNoteButton(circleGroup: any, lineId: number, point: Trends.Data.PointDataOnLine, bubbleRadius: number) {
+            if (!circleGroup || this.findSavedPointIndex(this.annotations, lineId, point.originalIndex) > -1) {
+                return;
+            }
+
+            var _this = this;
+            var radius = HighlightingPlotter.noteButtonRadius / this.zoomRatio.heightRatio;
+            var position = this.getPointPosition(lineId, point);
+            var x = position[0] + bubbleRadius * Math.SQRT1_2;
+            var y = position[1] - bubbleRadius * Math.SQRT1_2;
+            var noteButton = circleGroup.append("svg:g")
+                                .attr("class", "layout-chart-note-button")
+                                .on("click", function () {
+                                    d3.event.stopPropagation();
+                                    d3.select(this).remove();
+                                    _this.addAnnotation(lineId, point);
+                                });
+
+            noteButton.append("svg:title")
+                        .text(DataViz.Resources.UI.chartAddNoteTitle);
+
+            noteButton.append("svg:circle")
+                        .attr("cx", x)
+                        .attr("cy", y)
+                        .attr("r", radius)
+                        .style("stroke", this.getLineColor(lineId))
+                        .style("stroke-width", 1 / this.zoomRatio.heightRatio);
+
+            noteButton.append("svg:text")
+                        .attr("x", x)
+                        .attr("y", y)
+                        .attr("dy", ".36em")
+                        .attr("font-size", 2 * radius)
+                        .style("fill", this.getLineColor(lineId))
+                        .text("+");
+        }
+
+        private getAnnotationId(lineId: number, column: number): string {
+            return "note" + "line" + lineId + "column" + column + "end";
+        }
+
+        /**
+          * Draws a note as a callout above its point, or below it if there's no room above, with a leader line to the point.
+          * Clicking the callout edits the note.
+          */
+        private drawAnnotation(lineId: number, point: Trends.Data.PointDataOnLine, text: string) {
+            var _this = this;
+            var position = this.getPointPosition(lineId, point);
+            var x = position[0];
+            var y = position[1];
+            var offset = this.getAnnotationOffset();
+            var padding = HighlightingPlotter.annotationPadding / this.zoomRatio.heightRatio;
+            var textY = (y - offset > this.getAnnotationTop(lineId)) ? y - offset : y + offset;
+            var noteGroup = this.getLineGroup(lineId).append("svg:g")
+                                .attr("id", this.getAnnotationId(lineId, point.originalIndex))
+                                .attr("class", "layout-chart-note")
+                                .on("click", function () {
+                                    d3.event.stopPropagation();
+                                    _this.editAnnotation(lineId, point);
+                                });
+
+            noteGroup.append("svg:line")
+                        .attr("x1", x)
+                        .attr("y1", y)
+                        .attr("x2", x)
+                        .attr("y2", textY)
+                        .style("stroke", this.getLineColor(lineId))
+                        .style("stroke-width", 1 / this.zoomRatio.heightRatio);
+
+            var box = noteGroup.append("svg:rect")
+                        .style("fill", this.getLineColor(lineId));
+
+            var noteText = noteGroup.append("svg:text")
+                        .attr("class", "theme-chart-value layout-chart-note-text")
+                        .attr("x", x)
+                        .attr("y", textY)
+                        .attr("dy", ".36em")
+                        .attr("font-size", HighlightingPlotter.annotationFontSize / this.zoomRatio.heightRatio)
+                        .text(text);
+
+            // The box is sized after the text is drawn, as only then can the text be measured
+            var bounds = (<SVGTextElement>noteText.node()).getBBox();
+            box.attr("x", bounds.x - padding)
+                .attr("y", bounds.y - padding)
+                .attr("width", bounds.width + 2 * padding)
+                .attr("height", bounds.height + 2 * padding)
+                .attr("rx", padding)
+                .attr("ry", padding);
+        }
+
+        /**
+          * Adds an empty note to a point and starts editing it. The note is only saved once it has some text.
+          */
+        private addAnnotation(lineId: number, point: Trends.Data.PointDataOnLine) {
+            if (this.findSavedPointIndex(this.annotations, lineId, point.originalIndex) === -1) {
+                var highlight = this.createPointHighlight(lineId, point.originalIndex);
+                this.annotations.push({ seriesName: highlight.seriesName, xLabel: highlight.xLabel, text: "" });
+                this.drawAnnotation(lineId, point, "");
+            }
+
+            this.editAnnotation(lineId, point);
+        }
+
+        /**
+          * Edits a note in a text box over its callout. Enter or leaving the box saves the note and Escape cancels the edit.
+          */
+        private editAnnotation(lineId: number, point: Trends.Data.PointDataOnLine) {
+            var index = this.findSavedPointIndex(this.annotations, lineId, point.originalIndex);
+            if (index === -1) {
+                return;
+            }
+
+            $("#note-editor").remove();
+            var annotation = this.annotations[index];
+            var noteRect = (<Element>$("#" + this.getAnnotationId(lineId, point.originalIndex))[0]).getBoundingClientRect();
+            var editor = $("<textarea>").attr("id", "note-editor")
+                            .attr("aria-label", DataViz.Resources.UI.chartNoteLabel)
+                            .addClass("layout-chart-note-editor")
+                            .css({
+                                left: noteRect.left + "px",
+                                top: noteRect.top + "px",
+                                "font-size": HighlightingPlotter.annotationFontSize / this.zoomRatio.heightRatio + "px",
+                                color: this.getLineColor(lineId),
+                                "border-color": this.getLineColor(lineId)
+                            })
+                            .val(annotation.text)
+                            .appendTo("body");
+
+            var isFinished = false;
+            var finish = (isSaved: boolean) => {
+                if (isFinished) {
+                    return;
+                }
+
+                // Removing the box blurs it, which would finish the edit again
+                isFinished = true;
+                var text = $.trim(editor.val());
+                editor.remove();
+                this.setAnnotationText(lineId, point, isSaved ? text : annotation.text);
+            };
+
+            editor.on("keydown", (event: any) => {
+                if (event.which === 13) {
+                    event.preventDefault();
+                    finish(true);
+                }
+                else if (event.which === 27) {
+                    finish(false);
+                }
+            }).on("blur", () => {
+                finish(true);
+            });
+
+            editor.focus();
+        }
+
+        /**
+          * Changes the text of a note and saves the notes. A note without text is removed.
+          */
+        private setAnnotationText(lineId: number, point: Trends.Data.PointDataOnLine, text: string) {
+            var index = this.findSavedPointIndex(this.annotations, lineId, point.originalIndex);
+            if (index === -1) {
+                return;
+            }
+
+            d3.select("#" + this.getAnnotationId(lineId, point.originalIndex)).remove();
+            if (text) {
+                this.annotations[index].text = text;
+                this.drawAnnotation(lineId, point, text);
+            }
+            else {
+                this.annotations.splice(index, 1);
+            }
+
+            this.configuration.set(DataViz.Config.Trends.wellKnownKeys.annotations, this.annotations);
+        }
+
+        private onDataChanged(newData: Trends.Data.BindingData) {
+            if (!this.bindingData || !newData) {
+                return;
+            }
+
+            if (newData.yData.length !== this.bindingData.yData.length) {
+                DataViz.Config.Trends.resetLineOrder();
+                DataViz.Config.Trends.resetLineDisplay();
+                DataViz.Config.Trends.resetLineTitleArray();
+            }
+        }
+
+        /**
+          * Finds the highlights whose series or x label isn't in the data. They're kept, so that they come back with the data.
+          */
+        private findOrphanedHighlights() {
+            var seriesNames: string[] = [];
+            for (var lineId = 0; lineId < this.lineNumber; lineId++) {
+                seriesNames.push(Trends.Data.DataConvertor.getSeriesName(this.bindingData, lineId));
+            }
+
+            this.orphanedHighlights = this.pointHighlights.filter((highlight: DataViz.Config.Trends.PointHighlight) => {
+                return seriesNames.indexOf(highlight.seriesName) === -1 || this.bindingData.xData.indexOf(highlight.xLabel) === -1;
+            });
+        }
+
+        /**
+          * Fits the saved zoom window to the current number of columns. A window that no longer fits the data shows all the columns.
+          */
+        private setWindowColumns(xWindow: DataViz.Config.Trends.XWindow) {
+            this.firstColumn = 0;
+            this.lastColumn = this.columnNumber - 1;
+            if (xWindow && typeof xWindow.start === "number" && typeof xWindow.end === "number") {
+                var firstColumn = Math.max(Math.floor(xWindow.start), 0);
+                var lastColumn = Math.min(Math.ceil(xWindow.end), this.columnNumber - 1);
+                if (lastColumn - firstColumn >= HighlightingPlotter.minXWindowSpan) {
+                    this.firstColumn = firstColumn;
+                    this.lastColumn = lastColumn;
+                }
+            }
+        }
+    }
+}
@@ -0,0 +1,166 @@
+﻿/* **************************************************************************************
+Copyright (c) Microsoft Open Technologies, Inc. All rights reserved. Licensed under the Apache License, Version 2.0. 
+See License.txt in the project root for license information.
+***************************************************************************************** */
+
+///<reference path="shared/utils.ts"/>
+///<reference path="data.convertor.agave.ts"/>
+///<reference path="configurator.agave.ts"/>
+
+/**
+  * This module contains the rules that pick the points of a line to highlight
+  */
+module Trends.Data {
+    "use strict";
+
+    /**
+      * A highlight rule of a line, as saved in the configuration
+      */
+    export interface LineHighlightRule {
+        // One of the values of DataViz.Config.Trends.HighlightRuleType
+        type: string;
+        // The value a line has to cross, for a threshold crossing rule
+        threshold?: number;
+        // The number of points a top-N rule highlights
+        count?: number;
+    }
+
+    /**
+      * A function that picks the points of a line a highlight rule highlights
+      */
+    export interface HighlightRuleFunction {
+        (points: PointDataOnLine[], rule: LineHighlightRule): PointDataOnLine[];
+    }
+
+    /**
+      * This evaluates the highlight rules of the lines. The points the lines have filled in for missing values are never picked.
+      */
+    export class HighlightRules {
+        public static defaultCount = 3;
+
+        private static ruleFunctions: { [type: string]: HighlightRuleFunction } = null;
+
+        /**
+          * Adds a highlight rule that lines can use, or replaces the one of the same type
+          * @param {string} type The type of the rule
+          * @param {HighlightRuleFunction} ruleFunction The function that picks the points of the rule
+          */
+        public static registerRule(type: string, ruleFunction: HighlightRuleFunction) {
+            HighlightRules.RuleFunctions[type] = ruleFunction;
+        }
+
+        /**
+          * Picks the points of a line its highlight rules highlight
+          * @param {PointDataOnLine[]} points The points of the line
+          * @param {LineHighlightRule[]} rules The highlight rules of the line
+          * @returns {number[]} The columns of the picked points, in order
+          */
+        public static evaluate(points: PointDataOnLine[], rules: LineHighlightRule[]): number[] {
+            var values = points.filter((point: PointDataOnLine) => {
+                return !point.isMissing && point.unformatted !== null && isFinite(point.unformatted);
+            });
+
+            var columns: number[] = [];
+            rules.forEach((rule: LineHighlightRule) => {
+                var ruleFunction = rule ? HighlightRules.RuleFunctions[rule.type] : null;
+                if (!ruleFunction || values.length === 0) {
+                    return;
+                }
+
+                ruleFunction(values, rule).forEach((point: PointDataOnLine) => {
+                    if (columns.indexOf(point.originalIndex) === -1) {
+                        columns.push(point.originalIndex);
+                    }
+                });
+            });
+
+            return columns.sort((a: number, b: number) => {
+                return a - b;
+            });
+        }
+
+        /**
+          * Gets the number of points of a top-N rule
+          */
+        public static getCount(rule: LineHighlightRule): number {
+            return (rule.count >= 1) ? Math.floor(rule.count) : HighlightRules.defaultCount;
+        }
+
+        /**
+          * Gets the highlight rules that lines can use, starting with the built-in ones
+          */
+        private static get RuleFunctions(): { [type: string]: HighlightRuleFunction } {
+            if (!HighlightRules.ruleFunctions) {
+                HighlightRules.ruleFunctions = {};
+                HighlightRules.ruleFunctions[DataViz.Config.Trends.HighlightRuleType.maximum] = HighlightRules.maximum;
+                HighlightRules.ruleFunctions[DataViz.Config.Trends.HighlightRuleType.minimum] = HighlightRules.minimum;
+                HighlightRules.ruleFunctions[DataViz.Config.Trends.HighlightRuleType.last] = HighlightRules.last;
+                HighlightRules.ruleFunctions[DataViz.Config.Trends.HighlightRuleType.thresholdCrossing] = HighlightRules.thresholdCrossing;
+                HighlightRules.ruleFunctions[DataViz.Config.Trends.HighlightRuleType.topN] = HighlightRules.topN;
+            }
+
+            return HighlightRules.ruleFunctions;
+        }
+
+        /**
+          * Picks the first point with the largest value
+          */
+        private static maximum(points: PointDataOnLine[], rule: LineHighlightRule): PointDataOnLine[] {
+            var maximum = points[0];
+            points.forEach((point: PointDataOnLine) => {
+                maximum = (point.unformatted > maximum.unformatted) ? point : maximum;
+            });
+
+            return [maximum];
+        }
+
+        /**
+          * Picks the first point with the smallest value
+          */
+        private static minimum(points: PointDataOnLine[], rule: LineHighlightRule): PointDataOnLine[] {
+            var minimum = points[0];
+            points.forEach((point: PointDataOnLine) => {
+                minimum = (point.unformatted < minimum.unformatted) ? point : minimum;
+            });
+
+            return [minimum];
+        }
+
+        /**
+          * Picks the latest point
+          */
+        private static last(points: PointDataOnLine[], rule: LineHighlightRule): PointDataOnLine[] {
+            return [points[points.length - 1]];
+        }
+
+        /**
+          * Picks the first point that reaches the threshold from the other side of it. A line that starts at the threshold
+          * hasn't crossed it yet.
+          */
+        private static thresholdCrossing(points: PointDataOnLine[], rule: LineHighlightRule): PointDataOnLine[] {
+            var threshold = rule.threshold;
+            if (threshold === null || threshold === undefined || !isFinite(threshold)) {
+                return [];
+            }
+
+            for (var i = 1; i < points.length; i++) {
+                var previous = points[i - 1].unformatted;
+                var current = points[i].unformatted;
+                if ((previous < threshold && current >= threshold) || (previous > threshold && current <= threshold)) {
+                    return [points[i]];
+                }
+            }
+
+            return [];
+        }
+
+        /**
+          * Picks the points with the largest values. Of equal values, the earlier points are picked first.
+          */
+        private static topN(points: PointDataOnLine[], rule: LineHighlightRule): PointDataOnLine[] {
+            return points.slice(0).sort((a: PointDataOnLine, b: PointDataOnLine) => {
+                return (b.unformatted - a.unformatted) || (a.originalIndex - b.originalIndex);
+            }).slice(0, HighlightRules.getCount(rule));
+        }
+    }
+}
@@ -32,6 +32,8 @@ module Trends.Chart {
         private static xGrid = 5;
         private static yGrid = 5;
         private static deviationWidth = 3;
+        // The width of a panel of small multiples over its height that the grid of the panels aims for
+        private static panelAspectRatio = 2;
         private cachedData: any;
         private cachedLayoutElementInstances: Object;
         private currentLayout: DataViz.Chart.Layout;
@@ -59,16 +61,47 @@ module Trends.Chart {
             return new ZoomRatio(Layouter.originWindowWidth / windowWidth, Layouter.originWindowHeight / windowHeight);
         }
 
+        /**
+          * Works out the grid of the panels of small multiples, which share the chart area. The grid has the number of columns that makes
+          * the panels the largest, where a panel is as large as its height or its width over the aspect ratio the grid aims for, whichever is smaller.
+          * Of the grids with panels as large, the one with the fewest columns is taken.
+          * @param {number} panelNumber The number of panels
+          * @returns {PanelGrid} The grid
+          */
+        public static getPanelGrid(panelNumber: number): PanelGrid {
+            var width = $("#line-chart").width();
+            var height = $("#line-chart").height();
+            panelNumber = Math.max(panelNumber, 1);
+
+            var grid = new PanelGrid(1, panelNumber, width, height / panelNumber);
+            var largestSize = 0;
+            for (var columnNumber = 1; columnNumber <= panelNumber; columnNumber++) {
+                var rowNumber = Math.ceil(panelNumber / columnNumber);
+                var panelWidth = width / columnNumber;
+                var panelHeight = height / rowNumber;
+                var size = Math.min(panelWidth / Layouter.panelAspectRatio, panelHeight);
+                if (size > largestSize) {
+                    largestSize = size;
+                    grid = new PanelGrid(columnNumber, rowNumber, panelWidth, panelHeight);
+                }
+            }
+
+            return grid;
+        }
+
         constructor() {
             super();
             var zoomRatio = DataViz.Utils.getZoomRatioForApp();
             var dataButton = $("#data-button");
             var settingButton = $("#setting-button");
+            var zoomResetButton = $("#zoom-reset-button");
             var width = Math.floor(dataButton.width() / zoomRatio);
             dataButton.width(width);
             dataButton.height(width);
             settingButton.width(width);
             settingButton.height(width);
+            zoomResetButton.width(width);
+            zoomResetButton.height(width);
             this.firstRelayout = true;
             this.cachedLayoutElementInstances = {};
             this.layoutElements = new LayoutElements();
@@ -530,6 +563,37 @@ module Trends.Chart {
         }
     }
 
+    /**
+      * The grid of the panels of small multiples. The panels are laid out in rows, from the top left.
+      */
+    export class PanelGrid {
+        columnNumber: number;
+        rowNumber: number;
+        panelWidth: number;
+        panelHeight: number;
+
+        constructor(columnNumber: number, rowNumber: number, panelWidth: number, panelHeight: number) {
+            this.columnNumber = columnNumber;
+            this.rowNumber = rowNumber;
+            this.panelWidth = panelWidth;
+            this.panelHeight = panelHeight;
+        }
+
+        /**
+          * Gets the column of a panel in the grid
+          */
+        public getColumn(index: number): number {
+            return index % this.columnNumber;
+        }
+
+        /**
+          * Gets the row of a panel in the grid
+          */
+        public getRow(index: number): number {
+            return Math.floor(index / this.columnNumber);
+        }
+    }
+
     export class ZoomRatio {
         widthRatio: number;
         heightRatio: number;
@@ -0,0 +1,424 @@
+﻿/* **************************************************************************************
+Copyright (c) Microsoft Open Technologies, Inc. All rights reserved. Licensed under the Apache License, Version 2.0. 
+See License.txt in the project root for license information.
+***************************************************************************************** */
+
+///<reference path="shared/utils.ts"/>
+///<reference path="data.convertor.agave.ts"/>
+
+declare var d3: any;
+
+/**
+  * This module contains the number formats inferred from the formatted values of the lines
+  */
+module Trends.Data {
+    "use strict";
+
+    /**
+      * What a number format shows around and in a number
+      */
+    export interface NumberFormatSettings {
+        // The text before and after the number, such as "$" or " USD". The suffix of a percentage holds the "%".
+        prefix: string;
+        suffix: string;
+        // The number of digits after the decimal point, or null to show as many as needed, up to NumberFormat.maxGeneralDecimals
+        decimals: number;
+        hasSeparators: boolean;
+        // Whether the value is shown multiplied by 100
+        isPercentage: boolean;
+        // Whether a negative value is shown in parentheses rather than with a minus sign
+        hasParentheses: boolean;
+        // The d3 time format of a value that is an Excel date, or null if the value isn't a date
+        datePattern: string;
+    }
+
+    /**
+      * This is a number format like the one of the cells of a line. It's inferred from the formatted values of the cells,
+      * since the Office API gives the formatted values but not the formats.
+      */
+    export class NumberFormat {
+        public static maxGeneralDecimals = 2;
+
+        private static maxDecimals = 10;
+        private static compactUnits = [
+            { value: 1e9, suffix: "B" },
+            { value: 1e6, suffix: "M" },
+            { value: 1e3, suffix: "K" }
+        ];
+        private static monthNames = ["january", "february", "march", "april", "may", "june", "july", "august", "september", "october", "november", "december"];
+        private static dayNames = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+        private settings: NumberFormatSettings;
+
+        constructor(settings: NumberFormatSettings) {
+            this.settings = settings;
+        }
+
+        /**
+          * Gets the format of numbers that have no format of their own. It shows thousand separators and at most 2 digits after the decimal point.
+          */
+        public static get General(): NumberFormat {
+            return new NumberFormat({ prefix: "", suffix: "", decimals: null, hasSeparators: true, isPercentage: false, hasParentheses: false, datePattern: null });
+        }
+
+        /**
+          * Gets the format of percentages that have no format of their own, with at most 2 digits after the decimal point
+          */
+        public static get Percentage(): NumberFormat {
+            return new NumberFormat({ prefix: "", suffix: "%", decimals: null, hasSeparators: true, isPercentage: true, hasParentheses: false, datePattern: null });
+        }
+
+        public get IsPercentage(): boolean {
+            return this.settings.isPercentage;
+        }
+
+        public get IsDate(): boolean {
+            return this.settings.datePattern !== null;
+        }
+
+        /**
+          * Infers the number format of a line from the formatted values of its points. The format that most of the values have is taken,
+          * if at least half of the values have it.
+          * @param {PointDataOnLine[]} points The points of the line
+          * @returns {NumberFormat} The format of the line, or the general format if the values have no format in common
+          */
+        public static infer(points: PointDataOnLine[]): NumberFormat {
+            var groups: { [key: string]: NumberFormatSettings[] } = {};
+            var bestKey: string = null;
+            var count = 0;
+            points.forEach((point: PointDataOnLine) => {
+                if (point.isMissing) {
+                    return;
+                }
+
+                count++;
+                var settings = NumberFormat.parse(point.formatted, point.unformatted);
+                if (settings) {
+                    var key = NumberFormat.getKey(settings);
+                    groups[key] = groups[key] ? groups[key] : [];
+                    groups[key].push(settings);
+                    if (!bestKey || groups[key].length > groups[bestKey].length) {
+                        bestKey = key;
+                    }
+                }
+            });
+
+            if (!bestKey || groups[bestKey].length < count / 2) {
+                return NumberFormat.General;
+            }
+
+            return NumberFormat.merge(groups[bestKey]);
+        }
+
+        /**
+          * Combines the formats of the lines drawn against the same axis
+          * @param {NumberFormat[]} formats The formats of the lines
+          * @returns {NumberFormat} The format the lines have in common, the percentage format if they are all percentages, or the general format
+          */
+        public static combine(formats: NumberFormat[]): NumberFormat {
+            formats = formats.filter((format: NumberFormat) => {
+                return !!format;
+            });
+            if (formats.length === 0) {
+                return NumberFormat.General;
+            }
+
+            var key = NumberFormat.getKey(formats[0].settings);
+            if (formats.every((format: NumberFormat) => { return NumberFormat.getKey(format.settings) === key; })) {
+                return NumberFormat.merge(formats.map((format: NumberFormat) => {
+                    return format.settings;
+                }));
+            }
+
+            return formats.every((format: NumberFormat) => { return format.IsPercentage; }) ? NumberFormat.Percentage : NumberFormat.General;
+        }
+
+        /**
+          * Formats a value the way the cells of the line show it
+          * @param {number} value The value
+          * @param {boolean} isCompact Whether thousands, millions and billions are shown with the K, M and B suffixes
+          * @returns {string} The formatted value
+          */
+        public format(value: number, isCompact?: boolean): string {
+            if (this.IsDate) {
+                return this.formatDate(value);
+            }
+
+            var unit = isCompact ? NumberFormat.getCompactUnit(this.scale(value)) : null;
+            var decimals = unit ? 1 : this.settings.decimals;
+            return this.formatNumber(value, unit, (decimals === null) ? NumberFormat.maxGeneralDecimals : decimals, decimals === null || !!unit);
+        }
+
+        /**
+          * Formats the ticks of an axis. Unless they are compact, the ticks are shown with the same number of digits after the decimal point,
+          * which is enough to tell them apart.
+          * @param {number[]} ticks The ticks
+          * @param {boolean} isCompact Whether thousands, millions and billions are shown with the K, M and B suffixes
+          * @returns {string[]} The formatted ticks
+          */
+        public formatTicks(ticks: number[], isCompact: boolean): string[] {
+            if (this.IsDate) {
+                return ticks.map((tick: number) => {
+                    return this.formatDate(tick);
+                });
+            }
+
+            if (isCompact) {
+                return ticks.map((tick: number) => {
+                    var unit = NumberFormat.getCompactUnit(this.scale(tick));
+                    return this.formatNumber(tick, unit, NumberFormat.countDecimals(this.scale(tick) / (unit ? unit.value : 1)), false);
+                });
+            }
+
+            var decimals = this.settings.decimals ? this.settings.decimals : 0;
+            ticks.forEach((tick: number) => {
+                decimals = Math.max(decimals, NumberFormat.countDecimals(this.scale(tick)));
+            });
+
+            return ticks.map((tick: number) => {
+                return this.formatNumber(tick, null, decimals, false);
+            });
+        }
+
+        /**
+          * Reads the format of one formatted value
+          * @param {string} text The formatted value
+          * @param {number} value The value
+          * @returns {NumberFormatSettings} The format, or null if the text isn't the value in a known format
+          */
+        private static parse(text: string, value: number): NumberFormatSettings {
+            if (typeof text !== "string" || typeof value !== "number" || !isFinite(value)) {
+                return null;
+            }
+
+            text = text.trim();
+            var hasParentheses = value < 0 && /^\(.*\)$/.test(text);
+            var numberText = text;
+            if (hasParentheses) {
+                numberText = text.substring(1, text.length - 1);
+            }
+            else if (value < 0) {
+                var minusIndex = text.indexOf("-");
+                if (minusIndex === -1) {
+                    return null;
+                }
+
+                numberText = text.substring(0, minusIndex) + text.substring(minusIndex + 1);
+            }
+
+            // Such as "$1,234.50", "12%", "€ 7" or "3.20 kg".
+            // A text that doesn't show the value as a number, like "21-Jul", may show it as a date.
+            var match = /^([^\d]*?)(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d+))?([^\d]*)$/.exec(numberText);
+            if (!match || !NumberFormat.isShownAsNumber(value, match[2], match[3], match[4])) {
+                var datePattern = NumberFormat.parseDate(text, value);
+                return datePattern ? { prefix: "", suffix: "", decimals: null, hasSeparators: false, isPercentage: false, hasParentheses: false, datePattern: datePattern } : null;
+            }
+
+            return {
+                prefix: match[1],
+                suffix: match[4],
+                decimals: match[3] ? match[3].length : 0,
+                // The separators of a number under 1000 aren't shown either way
+                hasSeparators: (match[2].indexOf(",") !== -1) ? true : (match[2].length > 3) ? false : null,
+                isPercentage: match[4].indexOf("%") !== -1,
+                hasParentheses: hasParentheses,
+                datePattern: null
+            };
+        }
+
+        /**
+          * Checks whether the digits of a formatted value are the value, rounded to the digits after the decimal point.
+          * Formats that scale the value, like "0.0,," for millions, can't be told from the text.
+          */
+        private static isShownAsNumber(value: number, integerDigits: string, decimalDigits: string, suffix: string): boolean {
+            var decimals = decimalDigits ? decimalDigits.length : 0;
+            var shown = parseFloat(integerDigits.replace(/,/g, "") + "." + (decimalDigits ? decimalDigits : "0"));
+            var expected = Math.abs(value) * ((suffix.indexOf("%") !== -1) ? 100 : 1);
+            return Math.abs(shown - expected) <= Math.pow(10, -decimals) / 2 + 1e-9 * Math.max(expected, 1);
+        }
+
+        /**
+          * Reads the date format of a formatted Excel date
+          * @param {string} text The formatted value, such as "7/21/2016", "21-Jul", "July 2016" or "3:30 PM"
+          * @param {number} value The serial number of the date
+          * @returns {string} The d3 time format of the text, or null if the text isn't the date
+          */
+        private static parseDate(text: string, value: number): string {
+            var date = DataConvertor.toDate(value);
+            if (!date) {
+                return null;
+            }
+
+            var tokens: string[] = text.match(/\d+|[a-z]+|[^\da-z]+/gi);
+            if (!tokens) {
+                return null;
+            }
+
+            var hasAmPm = tokens.some((token: string) => { return /^(am|pm)$/i.test(token); });
+            var hours = date.getUTCHours();
+            var used: { [directive: string]: boolean } = {};
+            var pattern = "";
+            for (var i = 0; i < tokens.length; i++) {
+                var token = tokens[i];
+                var directive: string = null;
+                if (/^\d+$/.test(token)) {
+                    // A number next to a colon is a time, any other number is a part of the date
+                    var isTime = (i > 0 && tokens[i - 1].indexOf(":") !== -1) || (i < tokens.length - 1 && tokens[i + 1].indexOf(":") !== -1);
+                    var candidates = isTime
+                        ? [{ directive: hasAmPm ? "I" : "H", value: hasAmPm ? (hours % 12 === 0 ? 12 : hours % 12) : hours }, { directive: "M", value: date.getUTCMinutes() }, { directive: "S", value: date.getUTCSeconds() }]
+                        : [{ directive: "m", value: date.getUTCMonth() + 1 }, { directive: "d", value: date.getUTCDate() }, { directive: (token.length === 4) ? "Y" : "y", value: (token.length === 4) ? date.getUTCFullYear() : date.getUTCFullYear() % 100 }];
+                    var number = parseInt(token, 10);
+                    for (var j = 0; j < candidates.length && !directive; j++) {
+                        if (!used[candidates[j].directive] && candidates[j].value === number) {
+                            directive = candidates[j].directive;
+                        }
+                    }
+
+                    if (!directive) {
+                        return null;
+                    }
+
+                    used[directive] = true;
+                    pattern += ((token.length === 1) ? "%-" : "%") + directive;
+                }
+                else if (/^[a-z]+$/i.test(token)) {
+                    var name = token.toLowerCase();
+                    var monthName = NumberFormat.monthNames[date.getUTCMonth()];
+                    var dayName = NumberFormat.dayNames[date.getUTCDay()];
+                    if (name === monthName || name === monthName.substr(0, 3)) {
+                        directive = (name === monthName && name.length > 3) ? "B" : "b";
+                    }
+                    else if (name === dayName || name === dayName.substr(0, 3)) {
+                        directive = (name === dayName) ? "A" : "a";
+                    }
+                    else if (/^(am|pm)$/.test(name)) {
+                        directive = "p";
+                    }
+
+                    if (!directive || used[directive]) {
+                        return null;
+                    }
+
+                    used[directive] = true;
+                    pattern += "%" + directive;
+                }
+                else {
+                    pattern += token.replace(/%/g, "%%");
+                }
+            }
+
+            return (pattern.indexOf("%") !== -1) ? pattern : null;
+        }
+
+        /**
+          * Gets what formatted values must have in common to have the same format. The decimals and separators may vary,
+          * since they can't always be told from a value.
+          */
+        private static getKey(settings: NumberFormatSettings): string {
+            if (settings.datePattern !== null) {
+                // The padding can't be told from a day or month over 9 either
+                return "date|" + settings.datePattern.replace(/%-/g, "%");
+            }
+
+            return [settings.prefix, settings.suffix, settings.isPercentage, settings.hasParentheses].join("|");
+        }
+
+        /**
+          * Merges the formats of values that have the same key
+          */
+        private static merge(group: NumberFormatSettings[]): NumberFormat {
+            var first = group[0];
+            if (first.datePattern !== null) {
+                // A directive is padded unless some value shows it without the padding
+                var unpadded: { [directive: string]: boolean } = {};
+                group.forEach((settings: NumberFormatSettings) => {
+                    (settings.datePattern.match(/%-[a-zA-Z]/g) || []).forEach((directive: string) => {
+                        unpadded[directive.charAt(2)] = true;
+                    });
+                });
+
+                return new NumberFormat({
+                    prefix: "", suffix: "", decimals: null, hasSeparators: false, isPercentage: false, hasParentheses: false,
+                    datePattern: first.datePattern.replace(/%-?([a-zA-Z])/g, (directive: string, letter: string) => {
+                        return unpadded[letter] ? "%-" + letter : "%" + letter;
+                    })
+                });
+            }
+
+            // Values that show a different number of decimals have the general format
+            var decimals = first.decimals;
+            var withSeparators = 0;
+            var withoutSeparators = 0;
+            group.forEach((settings: NumberFormatSettings) => {
+                if (settings.decimals !== decimals) {
+                    decimals = null;
+                }
+
+                if (settings.hasSeparators === true) {
+                    withSeparators++;
+                }
+                else if (settings.hasSeparators === false) {
+                    withoutSeparators++;
+                }
+            });
+
+            return new NumberFormat({
+                prefix: first.prefix,
+                suffix: first.suffix,
+                decimals: decimals,
+                hasSeparators: withSeparators >= withoutSeparators,
+                isPercentage: first.isPercentage,
+                hasParentheses: first.hasParentheses,
+                datePattern: null
+            });
+        }
+
+        private static getCompactUnit(value: number): { value: number; suffix: string } {
+            for (var i = 0; i < NumberFormat.compactUnits.length; i++) {
+                // A value that rounds up to the unit is shown with it too, such as 999,960 as 1M rather than 1000K
+                if (Math.abs(value) >= NumberFormat.compactUnits[i].value * 0.99995) {
+                    return NumberFormat.compactUnits[i];
+                }
+            }
+
+            return null;
+        }
+
+        /**
+          * Counts the digits after the decimal point that a number needs, at most 10
+          */
+        private static countDecimals(value: number): number {
+            var text = Math.abs(value).toFixed(NumberFormat.maxDecimals).replace(/0+$/, "");
+            return text.length - text.indexOf(".") - 1;
+        }
+
+        private scale(value: number): number {
+            return this.settings.isPercentage ? value * 100 : value;
+        }
+
+        private formatNumber(value: number, unit: { value: number; suffix: string }, decimals: number, trimsZeros: boolean): string {
+            var text = (Math.abs(this.scale(value)) / (unit ? unit.value : 1)).toFixed(Math.min(decimals, NumberFormat.maxDecimals));
+            if (trimsZeros && text.indexOf(".") !== -1) {
+                text = text.replace(/\.?0+$/, "");
+            }
+
+            if (this.settings.hasSeparators) {
+                text = DataViz.Utils.formatNumberWithThousandSeparators(text);
+            }
+
+            text = this.settings.prefix + text + (unit ? unit.suffix : "") + this.settings.suffix;
+
+            // A value that rounds to zero isn't negative any more
+            if (value < 0 && /[1-9]/.test(text)) {
+                text = this.settings.hasParentheses ? "(" + text + ")" : "-" + text;
+            }
+
+            return text;
+        }
+
+        private formatDate(value: number): string {
+            var date = DataConvertor.toDate(value);
+            return date ? d3.time.format.utc(this.settings.datePattern)(date) : value.toString();
+        }
+    }
+}
@@ -5,7 +5,12 @@ See License.txt in the project root for license information.
 
 ///<reference path="shared/data.ts" />
 ///<reference path="shared/chart.ts"/>
+///<reference path="shared/decoration.ts"/>
 ///<reference path="data.convertor.agave.ts" />
+///<reference path="data.transformer.trends.ts" />
+///<reference path="trendline.trends.ts" />
+///<reference path="numberformat.trends.ts" />
+///<reference path="highlightingplotter.trends.ts" />
 ///<reference path="../app.ts" />
 
 declare var d3: any;
@@ -19,23 +24,22 @@ module Trends.Chart {
         beAddedIds: number[];
     }
 
-    export class LineChartPlotter extends DataViz.Tools.Pausable implements DataViz.Chart.IPlotter {
-        private static durationTime = 300;
-        // Different radiuses of the bubble after user clicks a point, which depends on the text length in it
-        private static radius = [13, 16, 20, 25, 29, 29, 29, 29, 29];
-        // Different font sizes of the bubble text, which depends on the text length in it
-        private static fontSize = [17, 17, 17, 17, 17, 15, 13, 12, 11];
+    export class LineChartPlotter extends HighlightingPlotter {
         private static defaultYLableFontSize = 18;
         private static defaultXLableFontSize = 10;
-        private static legendFontSize = 17;
-        private static checkBoxLength = 15;
+        private static legendTrendlineCheckBoxLength = 11;
+        private static trendlineWidth: number = 2;
+        // The number of points a curved trendline is drawn with
+        private static trendlineStepNumber: number = 50;
         private static xAxisPaddingBottm = 15;
         private static xTickWidth = 5;
         private static marginRight: number = 40;
         private static marginTop: number = 40;
         private static marginBottom: number = 45;
-        private static maxTextLength = 9;
+        private static minTimeXLabelWidth = 30;
         private static defaultYTickNumber: number = 2;
+        // A logarithmic axis is labeled at the powers of ten, but at no more than this many of them unless a number of ticks is set
+        private static maxLogYTickNumber: number = 6;
         private static pointRadio: number = 6;
         private static pointRadioForMore: number = 4;
         private static pointHoverRadio: number = 9;
@@ -43,209 +47,299 @@ module Trends.Chart {
         private static lineWidth: number = 5;
         private static lineWidthForMore: number = 3;
         private static beSmallerLeastPointNumber: number = 21;
+        // The points of missing values are drawn as rings of this width
+        private static missingPointStrokeWidth: number = 2;
+        // The distance between the crosshair and its tooltip
+        private static crosshairTooltipOffset: number = 12;
+        // The height of the brush under the x axis, which selects the columns the chart is zoomed to
+        private static brushHeight: number = 24;
+        private static brushPadding: number = 4;
+        // The part of the shown columns that is kept when the wheel zooms in, and the inverse when it zooms out
+        private static wheelZoomRatio: number = 0.8;
+        // The mouse has to move this far before a drag pans the chart, so that a click on a point doesn't pan it
+        private static minPanDistance: number = 3;
+        // The zoomed columns are saved after this delay, so that a burst of wheel events redraws the chart once
+        private static xWindowSaveDelay: number = 100;
         private static resetAction: any = {
             deleteColumn: "deleteColumn",
             addColumn: "addColumn",
             revise: "revise"
         };
 
-        private zoomRatio: ZoomRatio;
-        private configuration: DataViz.Config.Configuration;
-        private bindingData: Trends.Data.BindingData;
+        // The opacity of the areas under the lines, or null if the plotter doesn't fill them
+        /* protected */ public areaOpacity: number = null;
+        // Whether the lines are stacked on each other, which keeps them all on the primary axis
+        /* protected */ public isStacked: boolean = false;
+
         private lineChartHeight: number;
         private lineChartWidth: number;
         private max: number;
         private min: number;
-        private linePlotter: any;
+        private secondaryMax: number;
+        private secondaryMin: number;
         private xAxis: any;
         private yAxis: any;
-        private clickedPointIdArray: string[];
+        // The scale of the secondary axis, or null if no line is drawn against it
+        private secondaryYAxis: any;
         private lineOrder: number[];
-        private lineDisplay: boolean[];
-        private lineTitleArray: string[];
+        private trendlineDisplay: boolean[];
+        private lineAxes: string[];
+        private yAxisOptions: DataViz.Config.Trends.YAxisOptions;
+        // The columns that have a point, ordered by their x positions, which the crosshair snaps to
+        private hoverColumns: number[];
+        private hoverPositions: number[];
+        // The point of every line in every column, by column
+        private hoverPoints: { [column: number]: Trends.Data.PointDataOnLine }[];
+        // The index in hoverColumns of the column the crosshair is on, or null if it's hidden
+        private hoverIndex: number;
         private lineChart: any;
-        private legendGroup: any;
-        private lineNumber: number;
-        private columnNumber: number;
-        private delayPlotTimeoutId: number;
+        // Where the x labels are drawn up from, which is above the brush
+        private xAxisBottom: number;
         private xAxisWidth: number;
         private currentXTickNumber: number;
-        private currentYTickNumber: number;
-        private isLegendEdited: boolean;
-
-        constructor() {
-            super();
-            this.delayPlotTimeoutId = null;
-        }
 
         /**
-          * Implementing {@link ITool#resetTool}
+          * Overriding {@link HighlightingPlotter#resetTool}. The tooltip and the keyboard navigation, which are kept outside the svg, are removed too.
           */
         public resetTool() {
-            this.resume();
+            super.resetTool();
+            d3.select("#crosshair-tooltip").remove();
+            $("#line-chart").off(".crosshair").removeAttr("aria-label");
+        }
+
+        public setWidth(width: number) {
+            this.lineChartWidth = width;
+        }
+
+        public setHeight(height: number) {
+            this.lineChartHeight = height;
         }
 
         /**
-          * Implementing {@link IPlotter#delayPlot}
+          * Gets the value a point is drawn at, which is its own value unless the plotter stacks the lines.
+          * @param {number} lineId The id of the line of the point
+          * @param {PointDataOnLine} point The point
+          * @returns {number} The value on the y axis
           */
-        public delayPlot(data: Trends.Data.BindingData, delay: number = 300) {
-            if (this.delayPlotTimeoutId !== null) {
-                clearTimeout(this.delayPlotTimeoutId);
-            }
-
-            this.delayPlotTimeoutId = setTimeout(() => {
-                    this.plot(data);
-                    this.delayPlotTimeoutId = null;
-                }, delay);
+        public getPlottedValue(lineId: number, point: Trends.Data.PointDataOnLine): number {
+            return point.unformatted;
         }
 
         /**
-          * Implementing {@link IPlotter#plot}
+          * Gets the value the area under a point starts from, when the plotter fills the areas under the lines.
+          * @param {number} lineId The id of the line of the point
+          * @param {PointDataOnLine} point The point
+          * @returns {number} The value on the y axis
           */
-        public plot(data: Trends.Data.BindingData) {
-            if (data && data.xData.length > 0 && data.yData.length > 0) {
-                this.onDataChanged(data);
-                this.initData(data);
-                this.drawLineChart();
-            }
+        public getBaseValue(lineId: number, point: Trends.Data.PointDataOnLine): number {
+            return 0;
         }
 
-        public setWidth(width: number) {
-            this.lineChartWidth = width;
+        /**
+          * Gets the format of the labels of an axis, which is the format the lines drawn against it have in common.
+          * @param {boolean} isSecondary True to get the format of the secondary axis; false to get the format of the primary axis
+          * @returns {NumberFormat} The format of the axis labels
+          */
+        public getAxisFormat(isSecondary: boolean): Trends.Data.NumberFormat {
+            return Trends.Data.NumberFormat.combine(this.getLineIdsOnAxis(isSecondary).map((lineId: number) => {
+                return this.bindingData.yData[lineId].numberFormat;
+            }));
         }
 
-        public setHeight(height: number) {
-            this.lineChartHeight = height;
+        /**
+          * Overriding {@link HighlightingPlotter#initData}
+          */
+        public initData(convertedData: Trends.Data.BindingData) {
+            super.initData(convertedData);
+            this.setMaxAndMin();
+            this.lineChartHeight = $("#line-chart").height();
+            this.lineChartWidth = $("#line-chart").width();
+            this.xAxisBottom = this.lineChartHeight - (this.hasBrush() ? LineChartPlotter.brushHeight / this.zoomRatio.heightRatio : 0);
         }
 
-        private onDataChanged(newData: Trends.Data.BindingData) {
-            if (!this.bindingData || !newData) {
-                return;
+        /**
+          * Overriding {@link HighlightingPlotter#readSettings}
+          */
+        public readSettings() {
+            super.readSettings();
+            if (!this.configuration.get(DataViz.Config.Trends.wellKnownKeys.lineOrder)) {
+                DataViz.Config.Trends.resetLineOrder();
             }
 
-            if (newData.xData.length !== this.bindingData.xData.length) {
-                DataViz.Config.Trends.resetClickedPointIdArrays();
+            this.lineOrder = this.configuration.get(DataViz.Config.Trends.wellKnownKeys.lineOrder);
+            this.trendlineDisplay = this.configuration.get(DataViz.Config.Trends.wellKnownKeys.trendlineDisplay);
+            this.trendlineDisplay = this.trendlineDisplay ? this.trendlineDisplay : [];
+            this.lineAxes = this.configuration.get(DataViz.Config.Trends.wellKnownKeys.lineAxes);
+            this.lineAxes = this.lineAxes ? this.lineAxes : [];
+            this.yAxisOptions = LineChartPlotter.normalizeYAxisOptions(this.configuration.get(DataViz.Config.Trends.wellKnownKeys.yAxisOptions));
+        }
+
+        /**
+          * Overriding {@link HighlightingPlotter#normalizeLineStates}. The line order, the trendline display status and the axes are fitted too.
+          */
+        public normalizeLineStates() {
+            super.normalizeLineStates();
+            var lineOrder = this.lineOrder.filter((lineId: number) => {
+                return lineId < this.lineNumber;
+            });
+            for (var i = 0; i < this.lineNumber; i++) {
+                if (lineOrder.indexOf(i) === -1) {
+                    lineOrder.push(i);
+                }
             }
 
-            if (newData.yData.length !== this.bindingData.yData.length) {
-                DataViz.Config.Trends.resetClickedPointIdArrays();
-                DataViz.Config.Trends.resetLineOrder();
-                DataViz.Config.Trends.resetLineDisplay();
-                DataViz.Config.Trends.resetLineTitleArray();
+            this.lineOrder.length = 0;
+            Array.prototype.push.apply(this.lineOrder, lineOrder);
+
+            this.trendlineDisplay.length = this.lineNumber;
+            this.lineAxes.length = this.lineNumber;
+            for (var i = 0; i < this.lineNumber; i++) {
+                if (typeof this.trendlineDisplay[i] !== "boolean") {
+                    this.trendlineDisplay[i] = true;
+                }
+
+                if (this.lineAxes[i] !== DataViz.Config.Trends.YAxis.secondary) {
+                    this.lineAxes[i] = DataViz.Config.Trends.YAxis.primary;
+                }
             }
         }
 
-        private initData(convertedData: Trends.Data.BindingData) {
-            if (!convertedData.xData || !convertedData.yData) {
+        /**
+          * Fills in the defaults of the y axis settings that aren't saved
+          */
+        private static normalizeYAxisOptions(options: DataViz.Config.Trends.YAxisOptions): DataViz.Config.Trends.YAxisOptions {
+            options = options ? options : <DataViz.Config.Trends.YAxisOptions>{};
+            return {
+                scale: (options.scale === DataViz.Config.Trends.YScale.log) ? DataViz.Config.Trends.YScale.log : DataViz.Config.Trends.YScale.linear,
+                min: (typeof options.min === "number" && isFinite(options.min)) ? options.min : null,
+                max: (typeof options.max === "number" && isFinite(options.max)) ? options.max : null,
+                includesZero: options.includesZero === true,
+                tickNumber: (options.tickNumber > 0) ? Math.floor(options.tickNumber) : null
+            };
+        }
+
+        /**
+          * Overriding {@link HighlightingPlotter#draw}
+          */
+        public draw() {
+            if (!this.bindingData) {
                 return;
             }
 
-            this.bindingData = convertedData;
-            this.configuration = DataViz.mainApp.Configuration;
-            this.isLegendEdited = this.configuration.get(DataViz.Config.Trends.wellKnownKeys.isLegendEdited);
-            if (this.isLegendEdited === null || this.isLegendEdited === undefined) {
-                this.isLegendEdited = false;
-                this.configuration.set(DataViz.Config.Trends.wellKnownKeys.isLegendEdited, this.isLegendEdited);
+            this.lineChart = this.appendChart(this.lineChartWidth, this.lineChartHeight);
+            var yRange = [this.xAxisBottom - LineChartPlotter.marginBottom / this.zoomRatio.heightRatio, LineChartPlotter.marginTop / this.zoomRatio.heightRatio];
+            this.yAxis = this.createYScale().domain([this.min, this.max]).range(yRange);
+            this.secondaryYAxis = this.hasSecondaryAxis() ? this.createYScale().domain([this.secondaryMin, this.secondaryMax]).range(yRange) : null;
+            var yTicks = this.drawYLabelAndTicks();
+            var marginLeft = this.getMaxYLabelWidth(yTicks, "y-label") + this.getFirstMaxRadius();
+            var marginRight = LineChartPlotter.marginRight / this.zoomRatio.widthRatio;
+            if (this.secondaryYAxis) {
+                var secondaryYTicks = this.drawSecondaryYLabels();
+                marginRight = Math.max(marginRight, this.getMaxYLabelWidth(secondaryYTicks, "secondary-y-label") + this.getFirstMaxRadius());
             }
 
-            if (!this.isLegendEdited && this.bindingData.header.length) {
-                this.configuration.set(DataViz.Config.Trends.wellKnownKeys.lineTitleArray, this.bindingData.header);
-            }
+            var isLineChartMinimum = (this.lineChartWidth - marginLeft - marginRight) < this.lineChartWidth / 2;
+            this.xAxisWidth = isLineChartMinimum ? this.lineChartWidth / 2 : this.lineChartWidth - marginLeft - marginRight;
+            var xRange = [isLineChartMinimum ? this.lineChartWidth - marginRight - this.xAxisWidth : marginLeft, this.lineChartWidth - marginRight];
+            this.xAxis = (this.bindingData.xDates ? d3.time.scale.utc() : d3.scale.linear()).domain(this.getXDomain()).range(xRange);
+            this.drawPlotAreaClip(yRange, xRange);
 
-            var savedClickedPointIdArrays = this.configuration.get(DataViz.Config.Trends.wellKnownKeys.clickedPointIdArray);
-            if (!savedClickedPointIdArrays) {
-                DataViz.Config.Trends.resetClickedPointIdArrays();
-            }
+            this.drawXLabelAndTicks();
+            this.drawLineLegend();
 
-            var savedLineOrder = this.configuration.get(DataViz.Config.Trends.wellKnownKeys.lineOrder);
-            if (!savedLineOrder) {
-                DataViz.Config.Trends.resetLineOrder();
+            for (var i = 0; i < this.lineOrder.length; i++) {
+                var lineId = this.lineOrder[i];
+                this.appendLineGroup(lineId);
+                this.drawLine(lineId);
             }
 
-            var savedLineDisplay = this.configuration.get(DataViz.Config.Trends.wellKnownKeys.lineDisplay);
-            if (!savedLineDisplay) {
-                DataViz.Config.Trends.resetLineDisplay();
-            }
+            this.drawCrosshair(yRange);
+            this.drawBrush(xRange);
+            this.setZoomAndPanHandlers(xRange);
+            $("#zoom-reset-button").toggle(this.isZoomed());
+        }
 
-            var savedLineTitleArray = this.configuration.get(DataViz.Config.Trends.wellKnownKeys.lineTitleArray);
-            if (!savedLineTitleArray) {
-                DataViz.Config.Trends.resetLineTitleArray();
+        private appendLineGroup(lineId: number) {
+            var lineGroup = this.lineChart.append("svg:g").attr("id", "line-group" + lineId).style("display", this.lineDisplay[lineId] ? "inline" : "none");
+            if (this.isPlotAreaClipped()) {
+                lineGroup.attr("clip-path", "url(#plot-area-clip)");
             }
-
-            this.clickedPointIdArray = this.configuration.get(DataViz.Config.Trends.wellKnownKeys.clickedPointIdArray);
-            this.lineOrder = this.configuration.get(DataViz.Config.Trends.wellKnownKeys.lineOrder);
-            this.lineDisplay = this.configuration.get(DataViz.Config.Trends.wellKnownKeys.lineDisplay);
-            this.lineTitleArray = this.configuration.get(DataViz.Config.Trends.wellKnownKeys.lineTitleArray);
-
-            this.zoomRatio = Layouter.getZoomRatioRelativeOrigin();
-            this.lineNumber = this.bindingData.yData.length;
-            this.columnNumber = this.bindingData.xData.length;
-            this.lineOrder.length = this.lineNumber;
-            this.lineDisplay.length = this.lineNumber;
-            this.setMaxAndMin();
-            this.lineChartHeight = $("#line-chart").height();
-            this.lineChartWidth = $("#line-chart").width();
         }
 
-        private drawLineChart() {
-            if (!this.bindingData) {
-                return;
-            }
+        private createYScale(): any {
+            return this.isLogScale() ? d3.scale.log() : d3.scale.linear();
+        }
 
-            var _this = this;
-            if (!d3.select("#svg-line-chart").empty()) {
-                d3.select("#svg-line-chart").remove();
-            }
+        private isLogScale(): boolean {
+            return this.yAxisOptions.scale === DataViz.Config.Trends.YScale.log;
+        }
 
-            if (!d3.select("#div-legend").empty()) {
-                d3.select("#div-legend").remove();
-            }
+        private isYRangeFixed(): boolean {
+            return this.yAxisOptions.min !== null || this.yAxisOptions.max !== null;
+        }
 
-            this.lineChart = d3.select("#line-chart")
-                .append("svg:svg")
-                .attr("id", "svg-line-chart")
-                .attr("width", this.lineChartWidth)
-                .attr("height", this.lineChartHeight);
+        /**
+          * Gets whether the chart can be zoomed, which it can if it has more than one column
+          */
+        private hasBrush(): boolean {
+            return this.columnNumber > 1;
+        }
 
-            this.legendGroup = d3.select("#legend")
-                .append("div")
-                .attr("id", "div-legend")
-                .style("width", "100%")
-                .style("height", "100%")
-                .style("margin-top", "25px");
+        private isPlotAreaClipped(): boolean {
+            return this.isYRangeFixed() || this.isZoomed();
+        }
 
-            this.yAxis = d3.scale.linear().domain([this.min, this.max]).range([this.lineChartHeight - LineChartPlotter.marginBottom / this.zoomRatio.heightRatio, LineChartPlotter.marginTop / this.zoomRatio.heightRatio]);
-            var yTicks = this.drawYLabelAndTicks();
-            var marginLeft = this.getMaxYLabelWidth(yTicks) + this.getFirstMaxRadius();
-            var marginRight = LineChartPlotter.marginRight / this.zoomRatio.widthRatio;
-            var isLineChartMinimum = (this.lineChartWidth - marginLeft - marginRight) < this.lineChartWidth / 2;
-            this.xAxisWidth = isLineChartMinimum ? this.lineChartWidth / 2 : this.lineChartWidth - marginLeft - marginRight;
-            this.xAxis = d3.scale.linear().domain([0, this.columnNumber - 1])
-                            .range([isLineChartMinimum ? this.lineChartWidth - marginRight - this.xAxisWidth : marginLeft, this.lineChartWidth - marginRight]);
+        /**
+          * Gets whether a value can be drawn, which it can't on a logarithmic scale if it isn't positive
+          */
+        private isDrawable(value: number): boolean {
+            return !this.isLogScale() || value > 0;
+        }
 
-            this.linePlotter = d3.svg.line()
-                                        .x(function (data: Trends.Data.PointDataOnLine, index: number) {
-                                            return _this.xAxis(data.originalIndex);
-                                        })
-                                        .y(function (data: Trends.Data.PointDataOnLine, index: number) {
-                                            return _this.yAxis(data.unformatted);
-                                        })
-                                        .interpolate("monotone");
+        /**
+          * Adds the clip path that keeps the lines inside the plot area when the primary axis has a fixed range or the chart is zoomed in.
+          * The area is as high as the y axis if its range is fixed and as wide as the x axis if the chart is zoomed in, plus the radius of
+          * a hovered point, so that the points at its ends are drawn whole.
+          */
+        private drawPlotAreaClip(yRange: number[], xRange: number[]) {
+            if (!this.isPlotAreaClipped()) {
+                return;
+            }
 
-            this.drawXLabelAndTicks();
-            this.drawLegend();
+            var padding = LineChartPlotter.pointHoverRadio / this.zoomRatio.heightRatio;
+            var top = this.isYRangeFixed() ? yRange[1] - padding : 0;
+            var bottom = this.isYRangeFixed() ? yRange[0] + padding : this.xAxisBottom;
+            var left = this.isZoomed() ? xRange[0] - padding : 0;
+            var right = this.isZoomed() ? xRange[1] + padding : this.lineChartWidth;
+            this.lineChart.append("svg:defs")
+                .append("svg:clipPath")
+                .attr("id", "plot-area-clip")
+                .append("svg:rect")
+                .attr("id", "plot-area-clip-rect")
+                .attr("x", left)
+                .attr("y", top)
+                .attr("width", right - left)
+                .attr("height", bottom - top);
+        }
 
-            for (var i = 0; i < this.lineOrder.length; i++) {
-                var lineId = this.lineOrder[i];
-                this.lineChart.append("svg:g").attr("id", "line-group" + lineId).style("display", this.lineDisplay[lineId] ? "inline" : "none");
-                this.drawLine(lineId);
+        /**
+          * Gets the domain of the x axis, which spans the columns the chart is zoomed to.
+          * The axis only runs on to the end of a trendline forecast if the last column is shown.
+          */
+        private getXDomain(): any[] {
+            var isLastColumnShown = this.lastColumn === this.columnNumber - 1;
+            if (this.bindingData.xDates) {
+                var dates = this.bindingData.xDates.slice(this.firstColumn, this.lastColumn + 1);
+                return d3.extent(isLastColumnShown ? dates.concat([this.getXAxisEnd()]) : dates);
             }
+
+            return [this.firstColumn, isLastColumnShown ? Math.max(this.lastColumn, this.getXAxisEnd()) : this.lastColumn];
         }
 
-        private getMaxYLabelWidth(yTicks: any): number {
+        private getMaxYLabelWidth(yTicks: any, labelIdPrefix: string): number {
             var maxLength = 0;
             for (var i = 0; i < yTicks.length; ++i) {
-                var yLableWidth = this.getSvgElementWidth("y-label" + i);
+                var yLableWidth = this.getSvgElementWidth(labelIdPrefix + i);
                 if (yLableWidth > maxLength) {
                     maxLength = yLableWidth;
                 }
@@ -261,7 +355,7 @@ module Trends.Chart {
             for (var i = 0; i < this.lineNumber; i++) {
                 var data = this.bindingData.yData[i].data;
                 if (data && data[0]) {
-                    textLength = Math.min(data[0].formatted.length, LineChartPlotter.maxTextLength);
+                    textLength = Math.min(this.getPointText(i, data[0]).length, LineChartPlotter.maxTextLength);
                     firstMaxRadius = Math.max(LineChartPlotter.radius[textLength - 1], firstMaxRadius);
                 }
             }
@@ -269,18 +363,34 @@ module Trends.Chart {
             return firstMaxRadius / this.zoomRatio.heightRatio;
         }
 
+        /**
+          * Gets the x position of a column, which is spaced by date if the x values are dates
+          * @param {number} column The index of the column
+          * @returns {number} The x position
+          */
+        private getXPosition(column: number): number {
+            return this.bindingData.xDates ? this.xAxis(this.bindingData.xDates[column]) : this.xAxis(column);
+        }
+
         private drawXLabelAndTicks() {
+            if (this.bindingData.xDates) {
+                this.drawTimeXLabelAndTicks();
+                this.drawXAxisLine();
+                return;
+            }
+
             var _this = this;
-            this.currentXTickNumber = this.columnNumber;
-            var xTicks: number[] = (this.currentXTickNumber === 1) ? [0] : this.xAxis.ticks(this.currentXTickNumber);
-            while (xTicks.length > this.bindingData.xData.length) {
+            var windowColumnNumber = this.lastColumn - this.firstColumn + 1;
+            this.currentXTickNumber = windowColumnNumber;
+            var xTicks: number[] = (this.currentXTickNumber === 1) ? [this.firstColumn] : this.getXTicks(this.currentXTickNumber);
+            while (xTicks.length > windowColumnNumber) {
                 this.currentXTickNumber--;
                 if (this.currentXTickNumber === 1) {
-                    xTicks = [0];
+                    xTicks = [this.firstColumn];
                     break;
                 }
 
-                xTicks = this.xAxis.ticks(this.currentXTickNumber);
+                xTicks = this.getXTicks(this.currentXTickNumber);
             }
 
             this.drawXLabel(xTicks);
@@ -299,21 +409,21 @@ module Trends.Chart {
 
                 this.currentXTickNumber = maxTickNumber;
                 if (this.currentXTickNumber > 1) {
-                    xTicks = this.xAxis.ticks(this.currentXTickNumber);
+                    xTicks = this.getXTicks(this.currentXTickNumber);
                     var isFitFinal = ((this.xAxis(xTicks[xTicks.length - 1]) - this.xAxis(xTicks[0])) / (xTicks.length - 1)) >= maxWidth;
-                    while ((maxTickNumber < xTicks.length) || !isFitFinal || xTicks.length > this.bindingData.xData.length) {
+                    while ((maxTickNumber < xTicks.length) || !isFitFinal || xTicks.length > windowColumnNumber) {
                         this.currentXTickNumber--;
                         if (this.currentXTickNumber === 1) {
-                            xTicks = [0];
+                            xTicks = [this.firstColumn];
                             break;
                         }
 
-                        xTicks = this.xAxis.ticks(this.currentXTickNumber);
+                        xTicks = this.getXTicks(this.currentXTickNumber);
                         isFitFinal = ((this.xAxis(xTicks[xTicks.length - 1]) - this.xAxis(xTicks[0])) / (xTicks.length - 1)) >= maxWidth;
                     }
                 }
                 else {
-                    xTicks = [0];
+                    xTicks = [this.firstColumn];
                 }
 
                this.drawXLabel(xTicks);
@@ -321,29 +431,29 @@ module Trends.Chart {
 
             var lastButOneId = xTicks[xTicks.length - 1];
             var fontSize = LineChartPlotter.defaultXLableFontSize / this.zoomRatio.heightRatio;
-            if (lastButOneId !== this.columnNumber - 1) {
+            if (lastButOneId !== this.lastColumn) {
                 var xLabelGroup = d3.select("#x-label-group");
                 xLabelGroup.append("svg:line")
                     .attr("id", "x-tick-last")
                     .attr("class", "theme-chart-ticks")
-                    .attr("x1", this.xAxis(this.columnNumber - 1))
-                    .attr("y1", this.lineChartHeight - LineChartPlotter.xAxisPaddingBottm / this.zoomRatio.heightRatio - fontSize / 2)
-                    .attr("x2", this.xAxis(this.columnNumber - 1))
-                    .attr("y2", this.lineChartHeight - (LineChartPlotter.xAxisPaddingBottm + LineChartPlotter.xTickWidth) / this.zoomRatio.heightRatio - fontSize / 2)
+                    .attr("x1", this.xAxis(this.lastColumn))
+                    .attr("y1", this.xAxisBottom - LineChartPlotter.xAxisPaddingBottm / this.zoomRatio.heightRatio - fontSize / 2)
+                    .attr("x2", this.xAxis(this.lastColumn))
+                    .attr("y2", this.xAxisBottom - (LineChartPlotter.xAxisPaddingBottm + LineChartPlotter.xTickWidth) / this.zoomRatio.heightRatio - fontSize / 2)
 
                 xLabelGroup.append("svg:text")
                     .attr("id", "x-label-last")
                     .attr("class", "layout-chart-x-label theme-chart-label")
-                    .attr("x", this.xAxis(this.columnNumber - 1))
-                    .attr("y", this.lineChartHeight - fontSize / 2)
+                    .attr("x", this.xAxis(this.lastColumn))
+                    .attr("y", this.xAxisBottom - fontSize / 2)
                     .style("font-size", fontSize + "px")
-                    .text(this.bindingData.xData[this.columnNumber - 1]);
+                    .text(this.bindingData.xData[this.lastColumn]);
 
-                var lastTwoTicksWidth = this.xAxis(this.columnNumber - 1) - this.xAxis(lastButOneId);
+                var lastTwoTicksWidth = this.xAxis(this.lastColumn) - this.xAxis(lastButOneId);
                 var lastLabelWidth = this.getSvgElementWidth("x-label-last");;
                 var lastButOneLabelWidth = this.getSvgElementWidth("x-label" + lastButOneId);
                 if (lastTwoTicksWidth < (lastLabelWidth + lastButOneLabelWidth) / 2) {
-                    if (!lastButOneId) {
+                    if (lastButOneId === this.firstColumn) {
                         d3.select("#x-tick-last").remove();
                         d3.select("#x-label-last").remove();
                     }
@@ -354,30 +464,56 @@ module Trends.Chart {
                 }
             }
 
+            this.drawXAxisLine();
+        }
+
+        /**
+          * Gets the ticks of the x axis when it isn't a time axis. Only whole columns have labels, so the ticks between them are left out.
+          */
+        private getXTicks(tickNumber: number): number[] {
+            return this.xAxis.ticks(tickNumber).filter((tick: number) => {
+                return tick % 1 === 0;
+            });
+        }
+
+        private drawTimeXLabelAndTicks() {
+            // Reduce the ticks until the labels don't overlap. The time scale picks ticks on calendar units such as days, months or years.
+            this.currentXTickNumber = Math.max(1, Math.min(this.lastColumn - this.firstColumn + 1, Math.floor(this.xAxisWidth / LineChartPlotter.minTimeXLabelWidth)));
+            while (true) {
+                var xTicks: Date[] = this.xAxis.ticks(this.currentXTickNumber);
+                this.drawTimeXLabel(xTicks, this.xAxis.tickFormat(this.currentXTickNumber));
+
+                var maxWidth = 0;
+                for (var i = 0; i < xTicks.length; i++) {
+                    maxWidth = Math.max(maxWidth, this.getSvgElementWidth("x-label" + i));
+                }
+
+                var isFit = (xTicks.length < 2) || ((this.xAxis(xTicks[xTicks.length - 1]) - this.xAxis(xTicks[0])) / (xTicks.length - 1) >= maxWidth);
+                if (isFit || this.currentXTickNumber === 1) {
+                    break;
+                }
+
+                d3.select("#x-label-group").remove();
+                this.currentXTickNumber--;
+            }
+        }
+
+        private drawXAxisLine() {
+            var fontSize = LineChartPlotter.defaultXLableFontSize / this.zoomRatio.heightRatio;
             this.lineChart.append("svg:line")
                         .attr("class", "theme-chart-ticks")
                         .attr("x1", 0)
-                        .attr("y1", this.lineChartHeight - LineChartPlotter.xAxisPaddingBottm / this.zoomRatio.heightRatio - fontSize / 2)
+                        .attr("y1", this.xAxisBottom - LineChartPlotter.xAxisPaddingBottm / this.zoomRatio.heightRatio - fontSize / 2)
                         .attr("x2", this.lineChartWidth)
-                        .attr("y2", this.lineChartHeight - LineChartPlotter.xAxisPaddingBottm / this.zoomRatio.heightRatio - fontSize / 2);
+                        .attr("y2", this.xAxisBottom - LineChartPlotter.xAxisPaddingBottm / this.zoomRatio.heightRatio - fontSize / 2);
         }
 
         private drawYLabelAndTicks(): any {
             var _this = this;
-            this.currentYTickNumber = LineChartPlotter.defaultYTickNumber;
-            var yTicks = this.yAxis.ticks(this.currentYTickNumber);
-            var retry = 0;
-            while (yTicks.length < LineChartPlotter.defaultYTickNumber) {              
-                this.currentYTickNumber++;
-                yTicks = this.yAxis.ticks(this.currentYTickNumber);
-                retry++;
-                if (retry > 9) {
-                    break;
-                } // The max retry time is 10;
-            }
+            var yTicks = this.getYTicks(this.yAxis);
 
             var yLabelId = 0;
-            var isPercentageFormat = this.isPercentageFormat();
+            var yLabels = this.getAxisFormat(false).formatTicks(yTicks, this.isCompact);
             this.lineChart.selectAll(".yLabel")
                         .data(yTicks)
                         .enter()
@@ -391,21 +527,8 @@ module Trends.Chart {
                             return _this.yAxis(data) - 6;
                         }) //"6" is the padding bottom from the yTicks.
                         .style("font-size", LineChartPlotter.defaultYLableFontSize / this.zoomRatio.heightRatio + "px")
-                        .text(function (data: number): any {
-                            var str = data.toString();
-                            var n = str.indexOf(".");
-                            if (n !== -1) {
-                                if (str.substr(n).length > 10) {
-                                    data = d3.round(data, 10);
-                                } //Show at most 10 digits after the decimal point
-                            }
-
-                            if (_this.bindingData && _this.bindingData.yData && isPercentageFormat) {
-                                return data * 100 + "%";
-                            }
-                            else {
-                                return data;
-                            }
+                        .text(function (data: number, index: number): any {
+                            return yLabels[index];
                         });
 
             this.lineChart.selectAll(".yTicks")
@@ -427,6 +550,80 @@ module Trends.Chart {
             return yTicks;
         }
 
+        /**
+          * Draws the labels of the secondary axis on the right of the chart. The grid lines are only drawn for the primary axis.
+          * @returns {any} The ticks of the secondary axis
+          */
+        private drawSecondaryYLabels(): any {
+            var _this = this;
+            var yTicks = this.getYTicks(this.secondaryYAxis);
+            var yLabels = this.getAxisFormat(true).formatTicks(yTicks, this.isCompact);
+            this.lineChart.selectAll(".secondaryYLabel")
+                        .data(yTicks)
+                        .enter()
+                        .append("svg:text")
+                        .attr("id", function (data: number, index: number) {
+                            return "secondary-y-label" + index;
+                        })
+                        .attr("class", "layout-chart-y-label theme-chart-label")
+                        .attr("x", this.lineChartWidth)
+                        .attr("y", function (data: number) {
+                            return _this.secondaryYAxis(data) - 6;
+                        }) //"6" is the padding bottom from the yTicks.
+                        .style("text-anchor", "end")
+                        .style("font-size", LineChartPlotter.defaultYLableFontSize / this.zoomRatio.heightRatio + "px")
+                        .text(function (data: number, index: number): any {
+                            return yLabels[index];
+                        });
+
+            return yTicks;
+        }
+
+        /**
+          * Gets the ticks of a y scale, with at least the default number of ticks if the scale can have them
+          */
+        private getYTicks(yScale: any): number[] {
+            if (this.isLogScale()) {
+                // A logarithmic scale has ticks at every multiple of every power of ten, so only the powers of ten are kept unless there are too few of them
+                var logTicks: number[] = yScale.ticks();
+                var powerTicks = logTicks.filter((tick: number) => {
+                    var exponent = Math.log(tick) / Math.LN10;
+                    return Math.abs(exponent - Math.round(exponent)) < 1e-9;
+                });
+
+                return LineChartPlotter.thinTicks((powerTicks.length >= 2) ? powerTicks : logTicks,
+                    this.yAxisOptions.tickNumber ? this.yAxisOptions.tickNumber : LineChartPlotter.maxLogYTickNumber);
+            }
+
+            if (this.yAxisOptions.tickNumber) {
+                return yScale.ticks(this.yAxisOptions.tickNumber);
+            }
+
+            var tickNumber = LineChartPlotter.defaultYTickNumber;
+            var yTicks = yScale.ticks(tickNumber);
+            var retry = 0;
+            while (yTicks.length < LineChartPlotter.defaultYTickNumber) {
+                tickNumber++;
+                yTicks = yScale.ticks(tickNumber);
+                retry++;
+                if (retry > 9) {
+                    break;
+                } // The max retry time is 10;
+            }
+
+            return yTicks;
+        }
+
+        /**
+          * Keeps every n-th tick, so that there are no more ticks than wanted
+          */
+        private static thinTicks(ticks: number[], maxTickNumber: number): number[] {
+            var step = Math.ceil(ticks.length / Math.max(maxTickNumber, 1));
+            return ticks.filter((tick: number, index: number) => {
+                return index % step === 0;
+            });
+        }
+
         private drawXLabel(xTicks: number[]) {
             var _this = this;
             var xLabelGroup = this.lineChart.append("svg:g")
@@ -443,7 +640,7 @@ module Trends.Chart {
                         .attr("x", function (index: number) {
                             return _this.xAxis(index);
                         })
-                        .attr("y", this.lineChartHeight - fontSize / 2)
+                        .attr("y", this.xAxisBottom - fontSize / 2)
                         .style("font-size", fontSize + "px")
                         .text(function (index: number) {
                             return _this.bindingData.xData[index];
@@ -460,69 +657,485 @@ module Trends.Chart {
                         .attr("x1", function (index: number) {
                             return _this.xAxis(index);
                         })
-                        .attr("y1", this.lineChartHeight - LineChartPlotter.xAxisPaddingBottm / this.zoomRatio.heightRatio - fontSize / 2)
+                        .attr("y1", this.xAxisBottom - LineChartPlotter.xAxisPaddingBottm / this.zoomRatio.heightRatio - fontSize / 2)
                         .attr("x2", function (index: number) {
                             return _this.xAxis(index);
                         })
-                        .attr("y2", this.lineChartHeight - (LineChartPlotter.xAxisPaddingBottm + LineChartPlotter.xTickWidth) / this.zoomRatio.heightRatio - fontSize / 2);
+                        .attr("y2", this.xAxisBottom - (LineChartPlotter.xAxisPaddingBottm + LineChartPlotter.xTickWidth) / this.zoomRatio.heightRatio - fontSize / 2);
         }
 
-        private drawLegend() {
+        private drawTimeXLabel(xTicks: Date[], format: (date: Date) => string) {
             var _this = this;
-            for (var i = 0; i < this.lineNumber; i++) {
-                var legendRow = this.legendGroup.append("div")
-                                    .attr("id", "legend-row-" + i)
-                                    .attr("class", "legend-row-style");
-
-                legendRow.append("div")
-                         .attr("id", "checkbox" + i + "end")
-                         .attr("class", function () {
-                             var checkboxTheme = _this.lineDisplay[i] ? "theme-checkbox-line-" + i + "-checked" : "theme-checkbox-line-" + i + "-unchecked";
-                             return "layout-checkbox " + checkboxTheme;
-                         })
-                         .attr("opacity", function () {
-                             return _this.lineDisplay[i] ? 1 : 0.85;
-                         })
-                         .on("click", function () {
-                             var checkboxId = $(this).attr("id");
-                             var lineId = _this.getLineIdFromCheckboxId(checkboxId);
-                             var isOpacity: boolean = ($(this).attr("opacity") === "1");
-                             $(this).attr("opacity", isOpacity ? "0.85" : "1");
-                             $(this).removeClass(isOpacity ? "theme-checkbox-line-" + lineId + "-checked" : "theme-checkbox-line-" + lineId + "-unchecked");
-                             $(this).addClass(isOpacity ? "theme-checkbox-line-" + lineId + "-unchecked" : "theme-checkbox-line-" + lineId + "-checked");
-                             $("#line-group" + lineId).css("display", isOpacity ? "none" : "inline");
-                             _this.lineDisplay[lineId] = !isOpacity;
-                             _this.configuration.set(DataViz.Config.Trends.wellKnownKeys.lineDisplay, _this.lineDisplay);
-                         });
-
-                $("#checkbox" + i + "end").width(LineChartPlotter.checkBoxLength / this.zoomRatio.heightRatio);
-                $("#checkbox" + i + "end").height(LineChartPlotter.checkBoxLength / this.zoomRatio.heightRatio);
-
-                legendRow.append("textarea")
-                    .attr("id", "line-title" + i + "end")
-                    .attr("class", "element-style layout-chart-legend-textarea" + " theme-legend-textarea-" + i)
-                    .style("font-size", LineChartPlotter.legendFontSize / this.zoomRatio.heightRatio + "px")
-                    .on("input", function () {
-                        var lineId = _this.getLineIdFromLineTitleId($(this).attr("id"));
-                        _this.lineTitleArray[lineId] = (<HTMLTextAreaElement>$(this)[0]).value;
-                        _this.configuration.delaySet(DataViz.Config.Trends.wellKnownKeys.lineTitleArray, _this.lineTitleArray, 300);
-                        if (!_this.isLegendEdited) {
-                            _this.isLegendEdited = true;
-                            _this.configuration.delaySet(DataViz.Config.Trends.wellKnownKeys.isLegendEdited, true, 300);
-                        }
-                    })
-                    .on("keypress", function () {
-                        if (d3.event.keyCode === 13 || d3.event.keyCode === 10) {
-                            d3.event.preventDefault();
-                            return false;
+            var xLabelGroup = this.lineChart.append("svg:g")
+                            .attr("id", "x-label-group");
+            var fontSize = LineChartPlotter.defaultXLableFontSize / this.zoomRatio.heightRatio;
+            xLabelGroup.selectAll(".xLabels")
+                        .data(xTicks)
+                        .enter()
+                        .append("svg:text")
+                        .attr("id", function (date: Date, index: number) {
+                            return "x-label" + index;
+                        })
+                        .attr("class", "layout-chart-x-label theme-chart-label")
+                        .attr("x", function (date: Date) {
+                            return _this.xAxis(date);
+                        })
+                        .attr("y", this.xAxisBottom - fontSize / 2)
+                        .style("font-size", fontSize + "px")
+                        .text(function (date: Date) {
+                            return format(date);
+                        });
+
+            xLabelGroup.selectAll(".xTicks")
+                        .data(xTicks)
+                        .enter()
+                        .append("svg:line")
+                        .attr("id", function (date: Date, index: number) {
+                            return "x-tick" + index;
+                        })
+                        .attr("class", "theme-chart-ticks")
+                        .attr("x1", function (date: Date) {
+                            return _this.xAxis(date);
+                        })
+                        .attr("y1", this.xAxisBottom - LineChartPlotter.xAxisPaddingBottm / this.zoomRatio.heightRatio - fontSize / 2)
+                        .attr("x2", function (date: Date) {
+                            return _this.xAxis(date);
+                        })
+                        .attr("y2", this.xAxisBottom - (LineChartPlotter.xAxisPaddingBottm + LineChartPlotter.xTickWidth) / this.zoomRatio.heightRatio - fontSize / 2);
+        }
+
+        /**
+          * Adds the crosshair that follows the mouse over the chart, with a tooltip of the values the shown lines have in the column under it.
+          * It isn't saved, unlike the values of the clicked points. When the chart has the focus, the arrow keys step the crosshair between the columns.
+          */
+        private drawCrosshair(yRange: number[]) {
+            d3.select("#crosshair-tooltip").remove();
+            this.setHoverColumns();
+            this.hoverIndex = null;
+
+            this.lineChart.append("svg:line")
+                        .attr("id", "crosshair")
+                        .attr("class", "theme-chart-ticks layout-chart-crosshair")
+                        .attr("y1", yRange[1])
+                        .attr("y2", yRange[0])
+                        .style("display", "none");
+
+            d3.select("body").append("div")
+                        .attr("id", "crosshair-tooltip")
+                        .attr("class", "layout-chart-tooltip")
+                        .style("display", "none");
+
+            var chart = $("#svg-line-chart");
+            chart.on("mousemove", (event: any) => {
+                this.showCrosshair(this.getNearestHoverIndex(event.clientX - chart[0].getBoundingClientRect().left));
+            }).on("mouseleave", () => {
+                this.hideCrosshair();
+            });
+
+            $("#line-chart").attr("aria-label", DataViz.Resources.UI.chartKeyboardHint)
+                .off("keydown.crosshair")
+                .on("keydown.crosshair", (event: any) => {
+                    var lastIndex = this.hoverColumns.length - 1;
+                    switch (event.which) {
+                        case 37: // Left
+                            this.showCrosshair((this.hoverIndex === null) ? lastIndex : Math.max(this.hoverIndex - 1, 0));
+                            break;
+
+                        case 39: // Right
+                            this.showCrosshair((this.hoverIndex === null) ? 0 : Math.min(this.hoverIndex + 1, lastIndex));
+                            break;
+
+                        case 36: // Home
+                            this.showCrosshair(0);
+                            break;
+
+                        case 35: // End
+                            this.showCrosshair(lastIndex);
+                            break;
+
+                        case 27: // Escape
+                            this.hideCrosshair();
+                            break;
+
+                        default:
+                            return;
+                    }
+
+                    event.preventDefault();
+                })
+                .off("blur.crosshair")
+                .on("blur.crosshair", () => {
+                    this.hideCrosshair();
+                });
+        }
+
+        /**
+          * Finds the columns that have a point of any line, and the point of every line in them
+          */
+        private setHoverColumns() {
+            var columns: { [column: number]: boolean } = {};
+            this.hoverPoints = [];
+            this.hoverColumns = [];
+            for (var lineId = 0; lineId < this.lineNumber; lineId++) {
+                var points: { [column: number]: Trends.Data.PointDataOnLine } = {};
+                this.bindingData.yData[lineId].data.forEach((point: Trends.Data.PointDataOnLine) => {
+                    points[point.originalIndex] = point;
+                    // The points just outside the zoomed columns are only drawn so that the lines run to the edges
+                    var isInWindow = point.originalIndex >= this.firstColumn && point.originalIndex <= this.lastColumn;
+                    if (isInWindow && !columns[point.originalIndex]) {
+                        columns[point.originalIndex] = true;
+                        this.hoverColumns.push(point.originalIndex);
+                    }
+                });
+
+                this.hoverPoints.push(points);
+            }
+
+            this.hoverColumns.sort((a: number, b: number) => {
+                return this.getXPosition(a) - this.getXPosition(b);
+            });
+            this.hoverPositions = this.hoverColumns.map((column: number) => {
+                return this.getXPosition(column);
+            });
+        }
+
+        /**
+          * Gets the column with a point that is the nearest to an x position
+          * @param {number} x The x position in the chart
+          * @returns {number} The index of the column in hoverColumns, or null if no column has a point
+          */
+        private getNearestHoverIndex(x: number): number {
+            if (this.hoverPositions.length === 0) {
+                return null;
+            }
+
+            var low = 0;
+            var high = this.hoverPositions.length - 1;
+            while (low < high) {
+                var middle = Math.floor((low + high) / 2);
+                if (this.hoverPositions[middle] < x) {
+                    low = middle + 1;
+                }
+                else {
+                    high = middle;
+                }
+            }
+
+            return (low > 0 && x - this.hoverPositions[low - 1] < this.hoverPositions[low] - x) ? low - 1 : low;
+        }
+
+        /**
+          * Moves the crosshair to a column, and lists the x label and the values of the shown lines in the tooltip
+          * @param {number} hoverIndex The index of the column in hoverColumns
+          */
+        private showCrosshair(hoverIndex: number) {
+            if (hoverIndex === null || hoverIndex < 0 || hoverIndex >= this.hoverColumns.length) {
+                this.hideCrosshair();
+                return;
+            }
+
+            this.hoverIndex = hoverIndex;
+            var column = this.hoverColumns[hoverIndex];
+            var x = this.hoverPositions[hoverIndex];
+            d3.select("#crosshair").attr("x1", x).attr("x2", x).style("display", "inline");
+
+            var tooltip = $("#crosshair-tooltip").empty();
+            $("<div>").addClass("layout-chart-tooltip-label").text(this.bindingData.xData[column]).appendTo(tooltip);
+            for (var lineId = 0; lineId < this.lineNumber; lineId++) {
+                var point = this.hoverPoints[lineId][column];
+                if (this.lineDisplay[lineId] && point) {
+                    var row = $("<div>").addClass("layout-chart-tooltip-row").css("color", this.getLineColor(lineId)).appendTo(tooltip);
+                    $("<span>").addClass("layout-chart-tooltip-title").text(this.lineTitleArray[lineId]).appendTo(row);
+                    $("<span>").text(this.getPointText(lineId, point)).appendTo(row);
+                }
+            }
+
+            // The tooltip is on the right of the crosshair unless it would go past the chart
+            var chartRect = (<Element>$("#svg-line-chart")[0]).getBoundingClientRect();
+            tooltip.show();
+            var left = chartRect.left + x + LineChartPlotter.crosshairTooltipOffset;
+            if (left + tooltip.outerWidth() > chartRect.right) {
+                left = Math.max(chartRect.left + x - LineChartPlotter.crosshairTooltipOffset - tooltip.outerWidth(), 0);
+            }
+
+            tooltip.css({ left: left + "px", top: (chartRect.top + LineChartPlotter.marginTop / this.zoomRatio.heightRatio) + "px" });
+        }
+
+        private hideCrosshair() {
+            this.hoverIndex = null;
+            d3.select("#crosshair").style("display", "none");
+            $("#crosshair-tooltip").hide();
+        }
+
+        /**
+          * Draws the brush under the x axis. It spans all the columns, on a time scale if the x values are dates, and dragging across it
+          * zooms the chart to the columns nearest to the ends of the span it covers. Clicking it outside the covered columns shows all the columns again.
+          */
+        private drawBrush(xRange: number[]) {
+            if (!this.hasBrush()) {
+                return;
+            }
+
+            var _this = this;
+            var brushScale = this.bindingData.xDates
+                ? d3.time.scale.utc().domain(d3.extent(this.bindingData.xDates)).range(xRange)
+                : d3.scale.linear().domain([0, this.columnNumber - 1]).range(xRange);
+            var brush = d3.svg.brush().x(brushScale);
+            if (this.isZoomed()) {
+                brush.extent([this.getColumnX(this.firstColumn), this.getColumnX(this.lastColumn)]);
+            }
+
+            brush.on("brushend", function () {
+                if (brush.empty()) {
+                    _this.setXWindow(0, _this.columnNumber - 1);
+                }
+                else {
+                    var extent: any[] = brush.extent();
+                    _this.setXWindow(_this.getNearestColumn(extent[0]), _this.getNearestColumn(extent[1]));
+                }
+            });
+
+            var padding = LineChartPlotter.brushPadding / this.zoomRatio.heightRatio;
+            var brushGroup = this.lineChart.append("svg:g")
+                        .attr("class", "layout-chart-brush")
+                        .attr("transform", "translate(0," + this.xAxisBottom + ")");
+
+            brushGroup.append("svg:rect")
+                        .attr("class", "layout-chart-brush-track")
+                        .attr("x", xRange[0])
+                        .attr("width", xRange[1] - xRange[0]);
+
+            brushGroup.call(brush);
+            brushGroup.selectAll("rect")
+                        .attr("y", padding)
+                        .attr("height", LineChartPlotter.brushHeight / this.zoomRatio.heightRatio - 2 * padding);
+        }
+
+        /**
+          * Lets the mouse wheel zoom the chart in and out around the column under the mouse, and dragging a zoomed chart pan it
+          */
+        private setZoomAndPanHandlers(xRange: number[]) {
+            if (!this.hasBrush()) {
+                return;
+            }
+
+            var chart = $("#svg-line-chart");
+            chart.on("wheel", (event: any) => {
+                var wheelEvent = event.originalEvent;
+                if (!wheelEvent.deltaY) {
+                    return;
+                }
+
+                event.preventDefault();
+                var x = wheelEvent.clientX - chart[0].getBoundingClientRect().left;
+                this.zoomAround(this.getColumnAt(x, xRange), wheelEvent.deltaY < 0);
+            });
+
+            chart.on("mousedown", (event: any) => {
+                if (event.which !== 1 || !this.isZoomed() || $(event.target).closest(".layout-chart-brush").length > 0) {
+                    return;
+                }
+
+                var startX = event.clientX;
+                var distance = 0;
+                $(document).on("mousemove.pan", (moveEvent: any) => {
+                    distance = moveEvent.clientX - startX;
+                    if (Math.abs(distance) > LineChartPlotter.minPanDistance) {
+                        this.hideCrosshair();
+                        this.translateLines(distance);
+                    }
+                }).on("mouseup.pan", () => {
+                    $(document).off(".pan");
+                    if (Math.abs(distance) > LineChartPlotter.minPanDistance) {
+                        // The span the chart is dragged across is measured on the x axis, so that it's the same length of time if the columns aren't evenly spaced
+                        var shift = this.getNearestColumn(this.xAxis.invert(this.getXPosition(this.firstColumn) - distance)) - this.firstColumn;
+                        if (!this.setXWindow(this.firstColumn + shift, this.lastColumn + shift)) {
+                            this.translateLines(0);
                         }
-                    });
+                    }
+                });
+            });
+        }
+
+        /**
+          * Gets the shown column nearest to an x position
+          * @param {number} x The x position in the chart
+          * @param {number[]} xRange The ends of the x axis
+          * @returns {number} The column
+          */
+        private getColumnAt(x: number, xRange: number[]): number {
+            var column = this.getNearestColumn(this.xAxis.invert(Math.max(xRange[0], Math.min(x, xRange[1]))));
+            return Math.max(this.firstColumn, Math.min(column, this.lastColumn));
+        }
+
+        /**
+          * Gets the value of a column on the x axis
+          * @param {number} column The column
+          * @returns {any} The date of the column if the x values are dates, otherwise the column itself
+          */
+        private getColumnX(column: number): any {
+            return this.bindingData.xDates ? this.bindingData.xDates[column] : column;
+        }
 
-                $("#line-title" + i + "end").height(22 / this.zoomRatio.heightRatio); //"22" is the line title textarea's height
-                // In TypeScript, jQuery prototype doesn't support to set outerWidth.
-                (<any>$("#line-title" + i + "end")).outerWidth($("#div-legend").width() - LineChartPlotter.checkBoxLength / this.zoomRatio.heightRatio);
-                (<HTMLTextAreaElement>$("#line-title" + i + "end")[0]).value = this.lineTitleArray[i];
+        /**
+          * Gets the column nearest to a value on the x axis
+          * @param {any} x A date if the x values are dates, otherwise a column that may be between two columns
+          * @returns {number} The column
+          */
+        private getNearestColumn(x: any): number {
+            if (!this.bindingData.xDates) {
+                return Math.max(0, Math.min(Math.round(x), this.columnNumber - 1));
             }
+
+            var time = x.getTime();
+            var nearestColumn = 0;
+            this.bindingData.xDates.forEach((date: Date, column: number) => {
+                if (Math.abs(date.getTime() - time) < Math.abs(this.bindingData.xDates[nearestColumn].getTime() - time)) {
+                    nearestColumn = column;
+                }
+            });
+
+            return nearestColumn;
+        }
+
+        /**
+          * Zooms the chart in or out by the wheel zoom ratio, keeping a column where it is
+          * @param {number} center The column to keep in place
+          * @param {boolean} isZoomIn Whether to show fewer columns, or else more
+          */
+        private zoomAround(center: number, isZoomIn: boolean) {
+            var span = this.lastColumn - this.firstColumn;
+            var newSpan = Math.round(isZoomIn ? span * LineChartPlotter.wheelZoomRatio : span / LineChartPlotter.wheelZoomRatio);
+            if (newSpan === span) {
+                newSpan = isZoomIn ? span - 1 : span + 1;
+            }
+
+            var firstColumn = Math.round(center - (center - this.firstColumn) * newSpan / span);
+            this.setXWindow(firstColumn, firstColumn + newSpan);
+        }
+
+        /**
+          * Moves the lines along the x axis while the chart is dragged. The clip of the plot area is moved back, so that it stays in place.
+          */
+        private translateLines(distance: number) {
+            this.lineOrder.forEach((lineId: number) => {
+                d3.select("#line-group" + lineId).attr("transform", "translate(" + distance + ",0)");
+            });
+            d3.select("#plot-area-clip-rect").attr("transform", "translate(" + (-distance) + ",0)");
+        }
+
+        /**
+          * Zooms the chart to some columns and saves them in the document. The columns are moved inside the data if they go past either end of it.
+          * @param {number} firstColumn The first column to show
+          * @param {number} lastColumn The last column to show
+          * @returns {boolean} Whether the chart is zoomed to other columns than before
+          */
+        private setXWindow(firstColumn: number, lastColumn: number): boolean {
+            var span = Math.min(Math.max(lastColumn - firstColumn, LineChartPlotter.minXWindowSpan), this.columnNumber - 1);
+            firstColumn = Math.max(0, Math.min(firstColumn, this.columnNumber - 1 - span));
+            lastColumn = firstColumn + span;
+            if (firstColumn === this.firstColumn && lastColumn === this.lastColumn) {
+                return false;
+            }
+
+            this.firstColumn = firstColumn;
+            this.lastColumn = lastColumn;
+            var isZoomed = this.isZoomed();
+            this.configuration.delaySet(DataViz.Config.Trends.wellKnownKeys.xWindow,
+                <DataViz.Config.Trends.XWindow>{ start: isZoomed ? firstColumn : null, end: isZoomed ? lastColumn : null }, LineChartPlotter.xWindowSaveDelay);
+            return true;
+        }
+
+        /**
+          * Overriding {@link HighlightingPlotter#drawLineLegendOptions}. The checkbox of the secondary axis and the trendline of a line are drawn under its row.
+          */
+        public drawLineLegendOptions(lineId: number) {
+            // A line can only be moved to the secondary axis if there's another line to keep the primary axis
+            if (this.lineNumber > 1 && !this.isStacked) {
+                this.drawLegendAxis(lineId);
+            }
+
+            var trendline = this.bindingData.yData[lineId].trendline;
+            if (trendline) {
+                this.drawLegendTrendline(lineId, trendline);
+            }
+        }
+
+        /**
+          * Overriding {@link HighlightingPlotter#onLineDisplayChanged}. The group of the line is just shown or hidden, unless the lines are stacked.
+          */
+        public onLineDisplayChanged(lineId: number) {
+            $("#line-group" + lineId).css("display", this.lineDisplay[lineId] ? "inline" : "none");
+            // The stacked lines are drawn on the shown lines under them, so they move when a line is shown or hidden
+            if (this.isStacked) {
+                this.plot(this.bindingData);
+            }
+        }
+
+        /**
+          * Adds a checkbox to the legend that moves a line to the secondary axis on the right of the chart and back
+          */
+        private drawLegendAxis(lineId: number) {
+            var _this = this;
+            var checkboxLength = LineChartPlotter.legendTrendlineCheckBoxLength / this.zoomRatio.heightRatio;
+            var axisRow = this.legendGroup.append("div")
+                                    .attr("id", "legend-axis-row-" + lineId)
+                                    .attr("class", "legend-row-style")
+                                    .style("padding-left", (LineChartPlotter.checkBoxLength / this.zoomRatio.heightRatio + 4) + "px");
+
+            axisRow.append("div")
+                    .attr("id", "axis-checkbox" + lineId + "end")
+                    .attr("class", "layout-checkbox")
+                    .style("width", checkboxLength + "px")
+                    .style("height", checkboxLength + "px")
+                    .on("click", function () {
+                        var lineId = LineChartPlotter.getNumberFromString($(this).attr("id"), "axis-checkbox", "end");
+                        var isSecondary = _this.lineAxes[lineId] === DataViz.Config.Trends.YAxis.secondary;
+                        _this.lineAxes[lineId] = isSecondary ? DataViz.Config.Trends.YAxis.primary : DataViz.Config.Trends.YAxis.secondary;
+                        _this.configuration.set(DataViz.Config.Trends.wellKnownKeys.lineAxes, _this.lineAxes);
+                    });
+
+            this.setCheckboxStyle(d3.select("#axis-checkbox" + lineId + "end"), lineId, this.lineAxes[lineId] === DataViz.Config.Trends.YAxis.secondary);
+
+            axisRow.append("span")
+                    .attr("class", "layout-chart-legend-transforms")
+                    .style("color", this.getLineColor(lineId))
+                    .style("padding-left", "4px")
+                    .style("font-size", LineChartPlotter.legendTransformsFontSize / this.zoomRatio.heightRatio + "px")
+                    .text(DataViz.Resources.UI.secondaryAxis);
+        }
+
+        /**
+          * Adds the equation and the R² of the trendline of a line to the legend, with a checkbox that shows or hides the trendline
+          */
+        private drawLegendTrendline(lineId: number, trendline: Trends.Data.TrendlineFit) {
+            var _this = this;
+            var checkboxLength = LineChartPlotter.legendTrendlineCheckBoxLength / this.zoomRatio.heightRatio;
+            var trendlineRow = this.legendGroup.append("div")
+                                    .attr("id", "legend-trendline-row-" + lineId)
+                                    .attr("class", "legend-row-style")
+                                    .style("padding-left", (LineChartPlotter.checkBoxLength / this.zoomRatio.heightRatio + 4) + "px");
+
+            trendlineRow.append("div")
+                        .attr("id", "trendline-checkbox" + lineId + "end")
+                        .attr("class", "layout-checkbox")
+                        .style("width", checkboxLength + "px")
+                        .style("height", checkboxLength + "px")
+                        .on("click", function () {
+                            var lineId = LineChartPlotter.getNumberFromString($(this).attr("id"), "trendline-checkbox", "end");
+                            _this.trendlineDisplay[lineId] = !_this.trendlineDisplay[lineId];
+                            _this.configuration.set(DataViz.Config.Trends.wellKnownKeys.trendlineDisplay, _this.trendlineDisplay);
+                        });
+
+            this.setCheckboxStyle(d3.select("#trendline-checkbox" + lineId + "end"), lineId, this.trendlineDisplay[lineId]);
+
+            trendlineRow.append("span")
+                        .attr("class", "layout-chart-legend-transforms")
+                        .style("color", this.getLineColor(lineId))
+                        .style("padding-left", "4px")
+                        .style("font-size", LineChartPlotter.legendTransformsFontSize / this.zoomRatio.heightRatio + "px")
+                        .text(Trends.Data.Trendline.getEquation(trendline) + ", "
+                            + DataViz.Utils.stringFormat(DataViz.Resources.Trendlines.rSquared, Number(trendline.rSquared.toFixed(4))));
         }
 
         private drawLine(lineId: number) {
@@ -531,36 +1144,49 @@ module Trends.Chart {
             }
 
             var _this = this;
+            this.drawArea(lineId);
             var line = d3.select("#line-group" + lineId)
                             .append("svg:path")
                             .attr("id", "line" + lineId)
-                            .attr("class", "theme-chart-line-" + lineId)
+                            .style("stroke", this.getLineColor(lineId))
                             .style("stroke-width", function () {
                                 return _this.bindingData.xData.length < LineChartPlotter.beSmallerLeastPointNumber ? LineChartPlotter.lineWidth / _this.zoomRatio.heightRatio
                                                                         : LineChartPlotter.lineWidthForMore / _this.zoomRatio.heightRatio;
                             })
                             .style("fill", "none")
-                            .attr("d", this.linePlotter(this.bindingData.yData[lineId].data));
+                            .attr("d", this.getLinePlotter(lineId)(this.getPathData(this.bindingData.yData[lineId].data)));
+
+            this.drawTrendline(lineId);
 
             var pointGroup = d3.select("#line-group" + lineId)
                                 .append("svg:g")
                                 .attr("id", "point-group" + lineId)
                                 .style("display", "inline");
 
+            var drawablePoints = this.bindingData.yData[lineId].data.filter(function (data: Trends.Data.PointDataOnLine) {
+                return _this.isDrawable(_this.getPlottedValue(lineId, data));
+            });
             var point = pointGroup.selectAll(".point")
-                                    .data(this.bindingData.yData[lineId].data)
+                                    .data(drawablePoints)
                                     .enter().append("svg:circle")
                                     .attr("id", (data: Trends.Data.PointDataOnLine, index: number) => {
                                         return "#point" + "line" + lineId + "column" + data.originalIndex + "end";
                                     })
-                                    .attr("class", "theme-chart-line-" + lineId)
+                                    .style("fill", function (data: Trends.Data.PointDataOnLine) {
+                                        return data.isMissing ? "none" : _this.getLineColor(lineId);
+                                    })
+                                    .style("stroke", this.getLineColor(lineId))
+                                    .style("stroke-width", function (data: Trends.Data.PointDataOnLine) {
+                                        return data.isMissing ? LineChartPlotter.missingPointStrokeWidth / _this.zoomRatio.heightRatio : 0;
+                                    })
+                                    .attr("pointer-events", "all")
                                     .attr("cursor", "pointer")
                                     .attr("r", function () {
                                         return _this.bindingData.xData.length < LineChartPlotter.beSmallerLeastPointNumber ? LineChartPlotter.pointRadio / _this.zoomRatio.heightRatio
                                                                                 : LineChartPlotter.pointRadioForMore / _this.zoomRatio.heightRatio;
                                     })
-                                    .attr("cx", function (data: Trends.Data.PointDataOnLine, index: number) { return _this.xAxis(data.originalIndex); })
-                                    .attr("cy", function (data: Trends.Data.PointDataOnLine, index: number) { return _this.yAxis(data.unformatted); })
+                                    .attr("cx", function (data: Trends.Data.PointDataOnLine, index: number) { return _this.getXPosition(data.originalIndex); })
+                                    .attr("cy", function (data: Trends.Data.PointDataOnLine, index: number) { return _this.getYAxis(lineId)(_this.getPlottedValue(lineId, data)); })
                                     .on("mouseover", function () {
                                         d3.select(this).attr("r", function () {
                                             return _this.bindingData.xData.length < LineChartPlotter.beSmallerLeastPointNumber ? LineChartPlotter.pointHoverRadio / _this.zoomRatio.heightRatio
@@ -573,127 +1199,265 @@ module Trends.Chart {
                                                                                     : LineChartPlotter.pointRadioForMore / _this.zoomRatio.heightRatio;
                                         });
                                     })
-                                    .on("click", function () {
-                                        var pointId = d3.select(this).attr("id");
-                                        var lineId = _this.getLineIdFromPointId(pointId);
+                                    .on("click", function (data: Trends.Data.PointDataOnLine) {
                                         _this.promoteLineToTop(lineId);
-                                        _this.drawCircleGroup(pointId, true);
-                                        _this.clickedPointIdArray.push(pointId);
-                                        _this.configuration.delaySet(DataViz.Config.Trends.wellKnownKeys.clickedPointIdArray, _this.clickedPointIdArray, 300);
+                                        _this.addPointHighlight(lineId, data.originalIndex, () => {
+                                            _this.drawCircleGroup(lineId, data, true, true);
+                                        });
                                     });
 
-            for (var i = 0; i < this.clickedPointIdArray.length; i++) {
-                var index = this.clickedPointIdArray[i].indexOf("line" + lineId);
-                if (index > -1) {
-                    this.drawCircleGroup(this.clickedPointIdArray[i], false);
+            var seriesName = Trends.Data.DataConvertor.getSeriesName(this.bindingData, lineId);
+            for (var i = 0; i < this.pointHighlights.length; i++) {
+                var highlightedPoint = (this.pointHighlights[i].seriesName === seriesName) ? this.getPointAtXLabel(lineId, this.pointHighlights[i].xLabel) : null;
+                if (highlightedPoint) {
+                    this.drawCircleGroup(lineId, highlightedPoint, false, true);
+                }
+            }
+
+            // The points the highlight rules pick are found again whenever the data changes, so their bubbles can't be clicked away
+            var ruleHighlights = this.bindingData.yData[lineId].ruleHighlights;
+            ruleHighlights = ruleHighlights ? ruleHighlights : [];
+            for (var j = 0; j < ruleHighlights.length; j++) {
+                var rulePoint = this.getPointAtColumn(lineId, ruleHighlights[j]);
+                if (rulePoint && this.findSavedPointIndex(this.pointHighlights, lineId, ruleHighlights[j]) === -1) {
+                    this.drawCircleGroup(lineId, rulePoint, false, false);
                 }
             }
+
+            this.drawAnnotations(lineId);
+        }
+
+        /**
+          * Gets the point of a line in the first column with an x label
+          */
+        private getPointAtXLabel(lineId: number, xLabel: string): Trends.Data.PointDataOnLine {
+            return this.getPointAtColumn(lineId, this.bindingData.xData.indexOf(xLabel));
         }
 
-        private drawCircleGroup(pointId: string, beAnimated: boolean) {
-            var lineId = this.getLineIdFromPointId(pointId);
-            var column = this.getColumnFromPointId(pointId);
-            var unformattedData: number = null;
-            var formattedData: string = null;
-            if (!this.bindingData.yData[lineId]) {
+        /**
+          * Overriding {@link HighlightingPlotter#getPointPosition}
+          */
+        public getPointPosition(lineId: number, point: Trends.Data.PointDataOnLine): number[] {
+            return [this.getXPosition(point.originalIndex), this.getYAxis(lineId)(this.getPlottedValue(lineId, point))];
+        }
+
+        /**
+          * Overriding {@link HighlightingPlotter#getAnnotationTop}
+          */
+        public getAnnotationTop(lineId: number): number {
+            return LineChartPlotter.marginTop / this.zoomRatio.heightRatio;
+        }
+
+        /**
+          * Overriding {@link HighlightingPlotter#isPointDrawn}. A point isn't drawn if its value can't be drawn on the y axis.
+          */
+        public isPointDrawn(lineId: number, point: Trends.Data.PointDataOnLine): boolean {
+            return this.isDrawable(this.getPlottedValue(lineId, point));
+        }
+
+        /**
+          * Draws the trendline of a line as a dashed path under the points of the line
+          * @param {number} lineId The id of the line
+          */
+        private drawTrendline(lineId: number) {
+            var trendline = this.bindingData.yData[lineId].trendline;
+            if (!trendline) {
                 return;
             }
 
-            for (var i = 0; i < this.bindingData.yData[lineId].data.length; i++) {
-                if (this.bindingData.yData[lineId].data[i].originalIndex === column) {
-                    unformattedData = this.bindingData.yData[lineId].data[i].unformatted;
-                    formattedData = this.bindingData.yData[lineId].data[i].formatted;
-                    break;
-                }
+            var _this = this;
+            var trendlinePlotter = d3.svg.line()
+                                        .x(function (point: any) {
+                                            return _this.xAxis(Trends.Data.Trendline.fromPeriod(_this.bindingData, point.period));
+                                        })
+                                        .y(function (point: any) {
+                                            return _this.getYAxis(lineId)(point.value);
+                                        })
+                                        .defined(function (point: any) {
+                                            return isFinite(point.value) && _this.isDrawable(point.value);
+                                        })
+                                        .interpolate("linear");
+
+            d3.select("#line-group" + lineId)
+                .append("svg:path")
+                .attr("id", "trendline" + lineId)
+                .style("stroke", this.getLineColor(lineId))
+                .style("stroke-width", LineChartPlotter.trendlineWidth / this.zoomRatio.heightRatio)
+                .style("stroke-dasharray", ("6, 4")) //"6" is the dash width and "4" is the width between two dash.
+                .style("fill", "none")
+                .style("display", this.trendlineDisplay[lineId] ? "inline" : "none")
+                .attr("d", trendlinePlotter(this.getTrendlinePoints(trendline)));
+        }
+
+        /**
+          * Gets the points to draw a trendline with. A straight trendline only needs its ends.
+          * @param {TrendlineFit} trendline The trendline
+          * @returns {any[]} The points, each with a period and a value
+          */
+        private getTrendlinePoints(trendline: Trends.Data.TrendlineFit): any[] {
+            var stepNumber = (trendline.type === DataViz.Config.Trends.TrendlineType.linear) ? 1 : LineChartPlotter.trendlineStepNumber;
+            var points: any[] = [];
+            for (var i = 0; i <= stepNumber; i++) {
+                var period = trendline.startPeriod + (trendline.endPeriod - trendline.startPeriod) * i / stepNumber;
+                points.push({ period: period, value: Trends.Data.Trendline.predict(trendline, period) });
             }
 
-            if (formattedData === null || unformattedData === null) {
+            return points;
+        }
+
+        /**
+          * Gets where the x axis ends, which is after the last column if a shown trendline has a forecast
+          * @returns {any} The date or the column index the x axis ends at
+          */
+        private getXAxisEnd(): any {
+            var endPeriod = Trends.Data.Trendline.toPeriod(this.bindingData, this.columnNumber - 1);
+            this.bindingData.yData.forEach((line: Trends.Data.LineDataConverted, lineId: number) => {
+                if (line.trendline && this.trendlineDisplay[lineId]) {
+                    endPeriod = Math.max(endPeriod, line.trendline.endPeriod);
+                }
+            });
+
+            return Trends.Data.Trendline.fromPeriod(this.bindingData, endPeriod);
+        }
+
+        /**
+          * Gets the path generator of a line, which places the points against the axis of the line
+          * @param {number} lineId The id of the line
+          * @returns {any} The path generator
+          */
+        private getLinePlotter(lineId: number): any {
+            var _this = this;
+            return d3.svg.line()
+                            .x(function (data: Trends.Data.PointDataOnLine, index: number) {
+                                return _this.getXPosition(data.originalIndex);
+                            })
+                            .y(function (data: Trends.Data.PointDataOnLine, index: number) {
+                                return _this.getYAxis(lineId)(_this.getPlottedValue(lineId, data));
+                            })
+                            .defined(function (data: Trends.Data.PointDataOnLine) {
+                                return data !== null && _this.isDrawable(_this.getPlottedValue(lineId, data));
+                            })
+                            .interpolate("monotone");
+        }
+
+        /**
+          * Fills the area between a line and the values its area starts from, in the color of the line, if the plotter fills the areas.
+          * The area is drawn with the same curve as the line, and the values it starts from are kept inside the axis.
+          * @param {number} lineId The id of the line
+          */
+        private drawArea(lineId: number) {
+            if (this.areaOpacity === null) {
                 return;
             }
 
             var _this = this;
-            var circleGroup = d3.select("#point-group" + lineId).append("svg:g")
-                                .style("display", "inline")
-                                .attr("opacity", 1)
-                                .attr("cursor", "pointer")
-                                .on("click", function () {
-                                    d3.select(this).remove();
-                                    var index = _this.clickedPointIdArray.indexOf("#point" + "line" + lineId + "column" + column + "end");
-                                    _this.clickedPointIdArray.splice(index, 1);
-                                    _this.configuration.delaySet(DataViz.Config.Trends.wellKnownKeys.clickedPointIdArray, _this.clickedPointIdArray, 300);
-                                });
-
-            circleGroup.append("svg:circle")
-                        .attr("class", "theme-chart-line-" + lineId)
-                        .attr("opacity", 1)
-                        .attr("cx", Math.round(this.xAxis(column) * 100) / 100)
-                        .attr("cy", this.yAxis(unformattedData))
-                        .attr("r", 0)
-                        .transition()
-                        .duration(function () {
-                            if (beAnimated) {
-                                return LineChartPlotter.durationTime;
-                            }
-                            else {
-                                return 0;
-                            }
-                        })
-                        .attr("r", (formattedData.length > LineChartPlotter.maxTextLength)
-                                    ? LineChartPlotter.radius[LineChartPlotter.maxTextLength - 1] / this.zoomRatio.heightRatio
-                                    : LineChartPlotter.radius[formattedData.length - 1] / this.zoomRatio.heightRatio);
-
-            var fontSize = (formattedData.length > LineChartPlotter.maxTextLength)
-                                                ? LineChartPlotter.fontSize[LineChartPlotter.maxTextLength - 1]
-                                                : LineChartPlotter.fontSize[formattedData.length - 1];
-            circleGroup.append("svg:text")
-                        .attr("class", "theme-chart-value layout-chart-value")
-                        .attr("x", Math.round(this.xAxis(column) * 100) / 100)
-                        .attr("y", this.yAxis(unformattedData))
-                        .attr("dy", ".36em")
-                        .attr("font-size", fontSize / this.zoomRatio.heightRatio)
-                        .text((formattedData.length > LineChartPlotter.maxTextLength) ? formattedData.substring(0, 8) + "..." : formattedData)
-                        .attr("opacity", 0)
-                        .transition()
-                        .duration(function () {
-                            if (beAnimated) {
-                                return LineChartPlotter.durationTime;
-                            }
-                            else {
-                                return 0;
-                            }
-                        })
-                        .attr("opacity", 1);
+            var yAxis = this.getYAxis(lineId);
+            var domain = yAxis.domain();
+            var areaPlotter = d3.svg.area()
+                                .x(function (data: Trends.Data.PointDataOnLine) {
+                                    return _this.getXPosition(data.originalIndex);
+                                })
+                                .y0(function (data: Trends.Data.PointDataOnLine) {
+                                    return yAxis(Math.max(domain[0], Math.min(domain[1], _this.getBaseValue(lineId, data))));
+                                })
+                                .y1(function (data: Trends.Data.PointDataOnLine) {
+                                    return yAxis(_this.getPlottedValue(lineId, data));
+                                })
+                                .defined(function (data: Trends.Data.PointDataOnLine) {
+                                    return data !== null && _this.isDrawable(_this.getPlottedValue(lineId, data));
+                                })
+                                .interpolate("monotone");
+
+            d3.select("#line-group" + lineId)
+                .append("svg:path")
+                .attr("id", "area" + lineId)
+                .attr("class", "layout-chart-area")
+                .style("fill", this.getLineColor(lineId))
+                .style("fill-opacity", this.areaOpacity)
+                .attr("d", areaPlotter(this.getPathData(this.bindingData.yData[lineId].data)));
+        }
+
+        /**
+          * Gets the scale of the axis a line is drawn against
+          * @param {number} lineId The id of the line
+          * @returns {any} The y scale
+          */
+        private getYAxis(lineId: number): any {
+            return (this.secondaryYAxis && this.isOnSecondaryAxis(lineId)) ? this.secondaryYAxis : this.yAxis;
         }
 
-        private getLineIdFromLineTitleId(lineTitleId: string): number {
-            return this.getNumberFromString(lineTitleId, "line-title", "end");
+        /**
+          * Gets whether a line is drawn against the secondary axis. A secondary axis is only used beside a primary one,
+          * so if every line is set to the secondary axis, they are all drawn against the primary one.
+          * @param {number} lineId The id of the line
+          * @returns {boolean} True if the line is drawn against the secondary axis; false otherwise
+          */
+        private isOnSecondaryAxis(lineId: number): boolean {
+            return !this.isStacked
+                && this.lineAxes[lineId] === DataViz.Config.Trends.YAxis.secondary
+                && this.lineAxes.some((axis: string) => { return axis !== DataViz.Config.Trends.YAxis.secondary; });
         }
 
-        private getLineIdFromCheckboxId(checkboxId: string): number {
-            return this.getNumberFromString(checkboxId, "checkbox", "end");
+        private hasSecondaryAxis(): boolean {
+            return this.getLineIdsOnAxis(true).length > 0;
         }
 
-        private getLineIdFromPointId(pointId: string): number {
-            return this.getNumberFromString(pointId, "line", "column");
+        /**
+          * Gets the ids of the lines drawn against the primary or the secondary axis
+          * @param {boolean} isSecondary True to get the lines of the secondary axis; false to get the lines of the primary axis
+          * @returns {number[]} The ids of the lines
+          */
+        private getLineIdsOnAxis(isSecondary: boolean): number[] {
+            var lineIds: number[] = [];
+            for (var i = 0; i < this.lineNumber; i++) {
+                if (this.isOnSecondaryAxis(i) === isSecondary) {
+                    lineIds.push(i);
+                }
+            }
+
+            return lineIds;
         }
 
-        private getColumnFromPointId(pointId: string): number {
-            return this.getNumberFromString(pointId, "column", "end");
+        /**
+          * Gets the points to draw the path of a line with. A null is put before each point that comes after a gap, where the line stops.
+          * @param {PointDataOnLine[]} points The points of the line
+          * @returns {PointDataOnLine[]} The points, with a null at every gap
+          */
+        private getPathData(points: Trends.Data.PointDataOnLine[]): Trends.Data.PointDataOnLine[] {
+            var pathData: Trends.Data.PointDataOnLine[] = [];
+            points.forEach((point: Trends.Data.PointDataOnLine) => {
+                if (point.isAfterGap) {
+                    pathData.push(null);
+                }
+
+                pathData.push(point);
+            });
+
+            return pathData;
         }
 
-        private getNumberFromString(orgString: string, startString: string, endString: string): number {
-            var endIndex = orgString.indexOf(endString);
-            var startIndex = orgString.indexOf(startString) + startString.length;
-            var num = orgString.substring(startIndex, endIndex);
-            return parseInt(num);
+        /**
+          * Draws the bubble of a highlighted point, with its value in it
+          * @param {boolean} isRemovable Whether clicking the bubble removes the highlight. The bubbles of the highlight rules can't be removed.
+          */
+        private drawCircleGroup(lineId: number, point: Trends.Data.PointDataOnLine, beAnimated: boolean, isRemovable: boolean) {
+            var column = point.originalIndex;
+            var unformattedData = this.getPlottedValue(lineId, point);
+            var formattedData = this.getPointText(lineId, point);
+            if (formattedData === null || unformattedData === null || !this.isDrawable(unformattedData)) {
+                return;
+            }
+
+            var position = [this.getXPosition(column), this.getYAxis(lineId)(unformattedData)];
+            var circleGroup = this.drawBubble(d3.select("#point-group" + lineId), lineId, point, position, beAnimated, isRemovable);
+            this.drawNoteButton(circleGroup, lineId, point, this.getBubbleRadius(formattedData));
         }
 
         private promoteLineToTop(lineId: number) {
             if (lineId !== this.lineOrder[this.lineOrder.length - 1]) {
                 if (d3.select("#line-group" + lineId)) {
                     d3.select("#line-group" + lineId).remove();
-                    this.lineChart.append("svg:g")
-                        .attr("id", "line-group" + lineId);
+                    this.appendLineGroup(lineId);
                 }
 
                 this.drawLine(lineId);
@@ -706,62 +1470,118 @@ module Trends.Chart {
             }
         }
 
+        /**
+          * Sets the domains of the primary and the secondary axes, each from the lines drawn against it
+          */
         private setMaxAndMin() {
+            var domain = this.getYDomain(this.getLineIdsOnAxis(false), true);
+            this.min = domain[0];
+            this.max = domain[1];
+
+            domain = this.getYDomain(this.getLineIdsOnAxis(true), false);
+            this.secondaryMin = domain[0];
+            this.secondaryMax = domain[1];
+        }
+
+        /**
+          * Gets the domain of a y axis from the values of its lines and the y axis settings
+          * @param {number[]} lineIds The ids of the lines drawn against the axis
+          * @param {boolean} isPrimary Whether the axis is the primary axis, which is the only one the fixed minimum and maximum apply to
+          * @returns {number[]} The minimum and the maximum of the axis
+          */
+        private getYDomain(lineIds: number[], isPrimary: boolean): number[] {
+            var isLog = this.isLogScale();
+            var extent = this.getValueExtent(lineIds, isLog);
+            var min = extent[0];
+            var max = extent[1];
+            if (this.yAxisOptions.includesZero && !isLog) {
+                min = Math.min(min, 0);
+                max = Math.max(max, 0);
+            }
+
+            if (isPrimary) {
+                // A fixed end is ignored if the axis would end up empty or, on a logarithmic scale, reach zero
+                var fixedMin = (this.yAxisOptions.min !== null && (!isLog || this.yAxisOptions.min > 0)) ? this.yAxisOptions.min : min;
+                var fixedMax = (this.yAxisOptions.max !== null && (!isLog || this.yAxisOptions.max > 0)) ? this.yAxisOptions.max : max;
+                if (fixedMin < fixedMax) {
+                    min = fixedMin;
+                    max = fixedMax;
+                }
+            }
+
+            return [min, max];
+        }
+
+        /**
+          * Gets the smallest and the largest value of some lines
+          * @param {number[]} lineIds The ids of the lines
+          * @param {boolean} isPositiveOnly Whether to leave out the values that aren't positive, as a logarithmic axis can't show them
+          * @returns {number[]} The smallest and the largest value
+          */
+        private getValueExtent(lineIds: number[], isPositiveOnly: boolean): number[] {
             var isFirstNumber: boolean = true;
-            var temp: number;
-            for (var i = 0; i < this.lineNumber; i++) {
+            var max: number;
+            var min: number;
+            lineIds.forEach((i: number) => {
                 if (this.bindingData.yData[i]) {
                     for (var j = 0; j < this.bindingData.yData[i].validDataCount; j++) {
-                        temp = this.bindingData.yData[i].data[j].unformatted;
+                        var point = this.bindingData.yData[i].data[j];
+                        // The filled areas have to fit in the chart too, down to the values they start from
+                        var values = (this.areaOpacity === null) ? [this.getPlottedValue(i, point)] : [this.getPlottedValue(i, point), this.getBaseValue(i, point)];
+                        values.forEach((value: number) => {
+                            if (isPositiveOnly && value <= 0) {
+                                return;
+                            }
 
-                        if (isFirstNumber) {
-                            this.max = temp;
-                            this.min = temp;
-                            isFirstNumber = false;
-                        }
+                            if (isFirstNumber) {
+                                max = value;
+                                min = value;
+                                isFirstNumber = false;
+                            }
 
-                        this.max = Math.max(this.max, temp);
-                        this.min = Math.min(this.min, temp);
+                            max = Math.max(max, value);
+                            min = Math.min(min, value);
+                        });
                     }
                 }
-            }
+            });
+
+            // The shown trendlines, and their forecasts in particular, have to fit in the chart too
+            lineIds.forEach((i: number) => {
+                var trendline = this.bindingData.yData[i] ? this.bindingData.yData[i].trendline : null;
+                if (trendline && this.trendlineDisplay[i] && !isFirstNumber) {
+                    this.getTrendlinePoints(trendline).forEach((point: any) => {
+                        if (isFinite(point.value) && (!isPositiveOnly || point.value > 0)) {
+                            max = Math.max(max, point.value);
+                            min = Math.min(min, point.value);
+                        }
+                    });
+                }
+            });
 
             // There's no valid data
-            if (isFirstNumber || this.max === null || this.max === undefined || this.min === null || this.min === undefined) {
-                this.min = 0;
-                this.max = 1;
+            if (isFirstNumber || max === null || max === undefined || min === null || min === undefined) {
+                min = isPositiveOnly ? 1 : 0;
+                max = isPositiveOnly ? 10 : 1;
+            }
+            else if (isPositiveOnly && min === max) {
+                // A logarithmic axis can't reach zero, so it spans the powers of ten around the value
+                min = Math.pow(10, Math.floor(Math.log(min) / Math.LN10));
+                max = min * 10;
             }
-            else if (this.min === this.max) {
-                if (this.min > 0) {
-                    this.min = 0;
+            else if (min === max) {
+                if (min > 0) {
+                    min = 0;
                 }
-                else if (this.min < 0) {
-                    this.max = 0;
+                else if (min < 0) {
+                    max = 0;
                 }
                 else {
-                    this.min = -1;
-                }
-            }
-        }
-
-        private isPercentageFormat(): boolean {
-            var count: number;
-            for (var i = 0; i < this.lineNumber; i++) {
-                if (this.bindingData.yData[i]) {
-                    count = 0;
-                    for (var j = 0; j < this.bindingData.yData[i].validDataCount; j++) {
-                        if (this.bindingData.yData[i].data[j].formatted.lastIndexOf("%") !== -1) {
-                            count++;
-                        }
-                    }
-
-                    if (count < j / 2 || count === 0) {
-                        return false;
-                    }
+                    min = -1;
                 }
             }
 
-            return true;
+            return [min, max];
         }
 
         private getSvgElementWidth(elementId: string): number {
@@ -27,6 +27,25 @@ module DataViz.SKUs {
         public getAll(): DataViz.SKUs.SKUDefinition[] {
             var defs = new Array();
             defs.push(this.getDefault());
+            defs.push(this.getVariant("trends-area", DataViz.Resources.SettingPane.typeArea, "ChartArea.png",
+                "Trends.Chart.AreaChartPlotter", "area-bluewhite"));
+            defs.push(this.getVariant("trends-stacked-area", DataViz.Resources.SettingPane.typeStackedArea, "ChartStackedArea.png",
+                "Trends.Chart.StackedAreaChartPlotter", "stacked-area-bluewhite"));
+            defs.push(this.getVariant("trends-percent-area", DataViz.Resources.SettingPane.typePercentArea, "ChartPercentArea.png",
+                "Trends.Chart.PercentAreaChartPlotter", "percent-area-bluewhite"));
+            defs.push(this.getVariant("trends-column", DataViz.Resources.SettingPane.typeColumn, "ChartColumn.png",
+                "Trends.Chart.BarChartPlotter", "column-bluewhite"));
+            defs.push(this.getVariant("trends-stacked-column", DataViz.Resources.SettingPane.typeStackedColumn, "ChartStackedColumn.png",
+                "Trends.Chart.StackedBarChartPlotter", "stacked-column-bluewhite"));
+            defs.push(this.getVariant("trends-bar", DataViz.Resources.SettingPane.typeBar, "ChartBar.png",
+                "Trends.Chart.HorizontalBarChartPlotter", "bar-bluewhite"));
+            var scatter = this.getVariant("trends-scatter", DataViz.Resources.SettingPane.typeScatter, "ChartScatter.png",
+                "Trends.Chart.ScatterChartPlotter", "scatter-bluewhite");
+            // The series of the scatter chart are paired column by column, so sampling them one by one would leave out the columns only one sample kept
+            scatter.dataSampler = null;
+            defs.push(scatter);
+            defs.push(this.getVariant("trends-small-multiples", DataViz.Resources.SettingPane.typeSmallMultiples, "ChartSmallMultiples.png",
+                "Trends.Chart.SmallMultiplesPlotter", "small-multiples-bluewhite"));
 
             return defs;
         }
@@ -34,12 +53,14 @@ module DataViz.SKUs {
         private getDefault(): DataViz.SKUs.SKUDefinition {
             var def = new DataViz.SKUs.SKUDefinition();
             def.id = "trends-default";
-            def.thumbnail = "";
-            def.displayName = "trends-default";
+            def.thumbnail = "../images/ChartLine.png";
+            def.displayName = DataViz.Resources.SettingPane.typeLine;
             def.plotter = "Trends.Chart.LineChartPlotter";
             def.layouter = "Trends.Chart.Layouter";
             def.dataBinder = "Trends.Data.Agave.DataBinder";
             def.dataConvertor = "Trends.Data.DataConvertor";
+            def.dataTransformer = "Trends.Data.DataTransformer";
+            def.dataSampler = "Trends.Data.DataSampler";
             def.configurator = "DataViz.Config.Trends.Configurator";
             def.defaultTheme = "default-greenwhite";
             def.defaultShape = "";
@@ -70,7 +91,7 @@ module DataViz.SKUs {
                     [DataViz.Resources.SampleData.time8, "129", "172"],
                     [DataViz.Resources.SampleData.time9, "73", "110"]
                 ];
-            sampleData["dataPoints"] = ["#pointline0column4end"];
+            sampleData["dataPoints"] = [{ seriesName: DataViz.Resources.SampleData.legend1, xLabel: DataViz.Resources.SampleData.time5 }];
             sampleData["sampleText"] = {
                     "title": DataViz.Resources.SampleData.title,
                     "shortdes1Title": DataViz.Resources.SampleData.shortDescriptionTitle,
@@ -82,5 +103,25 @@ module DataViz.SKUs {
             def.sampleData = sampleData;
             return def;
         }
+
+        /**
+          * Gets the definition of a SKU that draws the data of the default SKU with another plotter, such as an area, a bar, a scatter or a small multiples plotter
+          * @param {string} id The id of the SKU
+          * @param {string} displayName The name of the chart type in the chart type gallery
+          * @param {string} thumbnail The file name of the thumbnail in the images folder
+          * @param {string} plotter The plotter class name
+          * @param {string} defaultTheme The id of the default theme
+          * @returns {DataViz.SKUs.SKUDefinition} The SKU definition
+          */
+        private getVariant(id: string, displayName: string, thumbnail: string, plotter: string, defaultTheme: string): DataViz.SKUs.SKUDefinition {
+            var def = this.getDefault();
+            def.id = id;
+            def.displayName = displayName;
+            def.thumbnail = "../images/" + thumbnail;
+            def.plotter = plotter;
+            def.defaultTheme = defaultTheme;
+
+            return def;
+        }
     }
 }
\ No newline at end of file
@@ -0,0 +1,519 @@
+﻿/* **************************************************************************************
+Copyright (c) Microsoft Open Technologies, Inc. All rights reserved. Licensed under the Apache License, Version 2.0. 
+See License.txt in the project root for license information.
+***************************************************************************************** */
+
+///<reference path="shared/chart.ts"/>
+///<reference path="shared/decoration.ts"/>
+///<reference path="data.convertor.agave.ts" />
+///<reference path="numberformat.trends.ts" />
+///<reference path="trendline.trends.ts" />
+///<reference path="highlightingplotter.trends.ts" />
+///<reference path="../app.ts" />
+
+/**
+  * This module contains the plotter of the scatter chart
+  */
+module Trends.Chart {
+    "use strict";
+
+    /**
+      * A point of the scatter chart, which is a column where both series have a value
+      */
+    export interface ScatterPoint {
+        column: number;
+        xPoint: Trends.Data.PointDataOnLine;
+        yPoint: Trends.Data.PointDataOnLine;
+    }
+
+    /**
+      * The plotter of the scatter chart. It plots one series against another, with a point for every column where both have a value,
+      * so that it shows whether the series move together. The regression line, the correlation coefficient and the labels of the points,
+      * which are the x values of their columns, can be shown. The data of the scatter chart isn't sampled, so every such column is plotted
+      * and taken into the regression line and the correlation.
+      * A clicked point gets a bubble with its value up the chart, and is saved as a highlight of the series plotted up the chart.
+      */
+    export class ScatterChartPlotter extends HighlightingPlotter {
+        private static marginTop = 40;
+        private static marginRight = 40;
+        private static marginBottom = 45;
+        private static yLabelFontSize = 18;
+        private static xLabelFontSize = 10;
+        private static axisLabelPadding = 6;
+        private static pointRadius = 5;
+        private static pointLabelFontSize = 10;
+        private static regressionWidth = 2;
+        private static correlationFontSize = 17;
+        private static messageFontSize = 17;
+        private static optionFontSize = 14;
+        private static defaultTickNumber = 5;
+
+        private chartWidth: number;
+        private chartHeight: number;
+        private scatterChart: any;
+        private xAxis: any;
+        private yAxis: any;
+        private yAxisOptions: DataViz.Config.Trends.YAxisOptions;
+        private options: DataViz.Config.Trends.ScatterOptions;
+        // The ids of the lines plotted across and up the chart
+        private xLineId: number;
+        private yLineId: number;
+
+        /**
+          * Overriding {@link HighlightingPlotter#initData}
+          */
+        public initData(convertedData: Trends.Data.BindingData) {
+            super.initData(convertedData);
+            this.xLineId = this.findLineId(this.options.xSeriesName, 0);
+            this.yLineId = this.findLineId(this.options.ySeriesName, (this.xLineId === 0) ? 1 : 0);
+            this.chartHeight = $("#line-chart").height();
+            this.chartWidth = $("#line-chart").width();
+        }
+
+        /**
+          * Overriding {@link HighlightingPlotter#readSettings}
+          */
+        public readSettings() {
+            super.readSettings();
+            this.yAxisOptions = this.configuration.get(DataViz.Config.Trends.wellKnownKeys.yAxisOptions);
+            this.yAxisOptions = this.yAxisOptions ? this.yAxisOptions : <DataViz.Config.Trends.YAxisOptions>{};
+            this.options = ScatterChartPlotter.normalizeOptions(this.configuration.get(DataViz.Config.Trends.wellKnownKeys.scatterOptions));
+        }
+
+        /**
+          * Gets the saved scatter settings, with the settings that aren't saved turned off
+          */
+        private static normalizeOptions(options: DataViz.Config.Trends.ScatterOptions): DataViz.Config.Trends.ScatterOptions {
+            options = options ? options : <DataViz.Config.Trends.ScatterOptions>{};
+            return {
+                xSeriesName: (typeof options.xSeriesName === "string") ? options.xSeriesName : null,
+                ySeriesName: (typeof options.ySeriesName === "string") ? options.ySeriesName : null,
+                showsRegression: options.showsRegression === true,
+                showsCorrelation: options.showsCorrelation === true,
+                showsLabels: options.showsLabels === true
+            };
+        }
+
+        /**
+          * Gets the id of the line of a series
+          * @param {string} seriesName The saved name of the series
+          * @param {number} defaultLineId The id of the line to take if no series has the name
+          * @returns {number} The id of the line
+          */
+        private findLineId(seriesName: string, defaultLineId: number): number {
+            for (var lineId = 0; lineId < this.lineNumber; lineId++) {
+                if (Trends.Data.DataConvertor.getSeriesName(this.bindingData, lineId) === seriesName) {
+                    return lineId;
+                }
+            }
+
+            return Math.min(defaultLineId, this.lineNumber - 1);
+        }
+
+        /**
+          * Gets the points of the chart, which are the columns in the zoom window where both series have a value
+          */
+        private getScatterPoints(): ScatterPoint[] {
+            var yPoints: { [column: number]: Trends.Data.PointDataOnLine } = {};
+            this.bindingData.yData[this.yLineId].data.forEach((point: Trends.Data.PointDataOnLine) => {
+                if (this.isPlotted(point)) {
+                    yPoints[point.originalIndex] = point;
+                }
+            });
+
+            var points: ScatterPoint[] = [];
+            this.bindingData.yData[this.xLineId].data.forEach((point: Trends.Data.PointDataOnLine) => {
+                if (this.isPlotted(point) && yPoints[point.originalIndex]) {
+                    points.push({ column: point.originalIndex, xPoint: point, yPoint: yPoints[point.originalIndex] });
+                }
+            });
+
+            return points;
+        }
+
+        /**
+          * Tells whether a point of a series is plotted. A missing value the gap mode filled in isn't, since it wasn't measured.
+          */
+        private isPlotted(point: Trends.Data.PointDataOnLine): boolean {
+            return !point.isMissing && point.unformatted !== null && isFinite(point.unformatted)
+                && point.originalIndex >= this.firstColumn && point.originalIndex <= this.lastColumn;
+        }
+
+        private getLineTitle(lineId: number): string {
+            var title = this.lineTitleArray[lineId];
+            return (typeof title === "string") ? title : Trends.Data.DataConvertor.getSeriesName(this.bindingData, lineId);
+        }
+
+        /**
+          * Overriding {@link HighlightingPlotter#draw}
+          */
+        public draw() {
+            this.scatterChart = this.appendChart(this.chartWidth, this.chartHeight);
+            $("#zoom-reset-button").toggle(this.isZoomed());
+            if (this.lineNumber < 2) {
+                this.drawMessage(DataViz.Resources.Scatter.notEnoughSeries);
+                return;
+            }
+
+            var points = this.getScatterPoints();
+            var xs = points.map((point: ScatterPoint) => {
+                return point.xPoint.unformatted;
+            });
+            var ys = points.map((point: ScatterPoint) => {
+                return point.yPoint.unformatted;
+            });
+            var regression = this.options.showsRegression ? Trends.Data.Trendline.fitValues(xs, ys, 1, DataViz.Config.Trends.TrendlineType.linear) : null;
+
+            var top = ScatterChartPlotter.marginTop / this.zoomRatio.heightRatio;
+            var bottom = this.chartHeight - ScatterChartPlotter.marginBottom / this.zoomRatio.heightRatio;
+            var right = this.chartWidth - ScatterChartPlotter.marginRight / this.zoomRatio.widthRatio;
+            var tickNumber = (this.yAxisOptions.tickNumber > 0) ? Math.floor(this.yAxisOptions.tickNumber) : ScatterChartPlotter.defaultTickNumber;
+            this.yAxis = d3.scale.linear().domain(ScatterChartPlotter.getDomain(ys)).nice(tickNumber).range([bottom, top]);
+            var left = this.drawYLabelsAndTicks(tickNumber, right) + ScatterChartPlotter.axisLabelPadding / this.zoomRatio.widthRatio;
+            this.xAxis = d3.scale.linear().domain(ScatterChartPlotter.getDomain(xs)).nice(tickNumber).range([left, right]);
+            this.drawXLabelsAndTicks(tickNumber, [top, bottom]);
+
+            this.drawLegend(regression);
+            if (regression) {
+                this.drawRegression(regression);
+            }
+
+            this.drawPoints(points);
+            if (this.options.showsCorrelation) {
+                this.drawCorrelation(Trends.Data.Trendline.correlate(xs, ys), right, top);
+            }
+        }
+
+        /**
+          * Gets the domain of an axis, which takes in all the values. If there are no values, or they are all the same, the domain is widened.
+          */
+        private static getDomain(values: number[]): number[] {
+            if (values.length === 0) {
+                return [0, 1];
+            }
+
+            var extent: number[] = d3.extent(values);
+            return (extent[0] === extent[1]) ? [extent[0] - 1, extent[1] + 1] : extent;
+        }
+
+        /**
+          * Draws a message in the middle of the chart instead of the points
+          */
+        private drawMessage(message: string) {
+            this.scatterChart.append("svg:text")
+                        .attr("class", "theme-chart-label")
+                        .attr("x", this.chartWidth / 2)
+                        .attr("y", this.chartHeight / 2)
+                        .style("text-anchor", "middle")
+                        .style("font-size", ScatterChartPlotter.messageFontSize / this.zoomRatio.heightRatio + "px")
+                        .text(message);
+        }
+
+        /**
+          * Draws the labels of the y axis on the left, above their dashed grid lines
+          * @param {number} tickNumber The number of ticks to aim for
+          * @param {number} right Where the grid lines end
+          * @returns {number} The width of the widest label
+          */
+        private drawYLabelsAndTicks(tickNumber: number, right: number): number {
+            var _this = this;
+            var ticks: number[] = this.yAxis.ticks(tickNumber);
+            var labels = this.getAxisFormat(this.yLineId).formatTicks(ticks, this.isCompact);
+            var yLabels = this.scatterChart.selectAll(".yLabel")
+                        .data(ticks)
+                        .enter()
+                        .append("svg:text")
+                        .attr("class", "layout-chart-y-label theme-chart-label")
+                        .attr("x", 0)
+                        .attr("y", function (data: number) {
+                            return _this.yAxis(data) - 6;
+                        }) //"6" is the padding bottom from the ticks.
+                        .style("font-size", ScatterChartPlotter.yLabelFontSize / this.zoomRatio.heightRatio + "px")
+                        .text(function (data: number, index: number): any {
+                            return labels[index];
+                        });
+
+            this.scatterChart.selectAll(".yTicks")
+                        .data(ticks)
+                        .enter()
+                        .append("svg:line")
+                        .attr("class", "theme-chart-ticks")
+                        .attr("x1", 0)
+                        .attr("y1", function (data: number) {
+                            return _this.yAxis(data);
+                        })
+                        .attr("x2", right)
+                        .attr("y2", function (data: number) {
+                            return _this.yAxis(data);
+                        })
+                        .style("stroke-dasharray", ("5, 3")); //"5" is the dash width and "3" is the width between two dash.
+
+            return HighlightingPlotter.getMaxWidth(yLabels);
+        }
+
+        /**
+          * Draws the labels of the x axis at the bottom, under their dashed grid lines. When there isn't room for all of them,
+          * only every few labels are kept.
+          * @param {number} tickNumber The number of ticks to aim for
+          * @param {number[]} gridRange Where the grid lines start and end
+          */
+        private drawXLabelsAndTicks(tickNumber: number, gridRange: number[]) {
+            var _this = this;
+            var ticks: number[] = this.xAxis.ticks(tickNumber);
+            var labels = this.getAxisFormat(this.xLineId).formatTicks(ticks, this.isCompact);
+            var fontSize = ScatterChartPlotter.xLabelFontSize / this.zoomRatio.heightRatio;
+            var xLabels = this.scatterChart.selectAll(".xLabel")
+                        .data(ticks)
+                        .enter()
+                        .append("svg:text")
+                        .attr("class", "layout-chart-x-label theme-chart-label")
+                        .attr("x", function (data: number) {
+                            return _this.xAxis(data);
+                        })
+                        .attr("y", this.chartHeight - fontSize / 2)
+                        .style("font-size", fontSize + "px")
+                        .text(function (data: number, index: number): any {
+                            return labels[index];
+                        });
+
+            this.scatterChart.selectAll(".xTicks")
+                        .data(ticks)
+                        .enter()
+                        .append("svg:line")
+                        .attr("class", "theme-chart-ticks")
+                        .attr("x1", function (data: number) {
+                            return _this.xAxis(data);
+                        })
+                        .attr("y1", gridRange[0])
+                        .attr("x2", function (data: number) {
+                            return _this.xAxis(data);
+                        })
+                        .attr("y2", gridRange[1])
+                        .style("stroke-dasharray", ("5, 3")); //"5" is the dash width and "3" is the width between two dash.
+
+            var labelLength = HighlightingPlotter.getMaxWidth(xLabels) + ScatterChartPlotter.axisLabelPadding / this.zoomRatio.widthRatio;
+            var step = (ticks.length > 1) ? this.xAxis(ticks[1]) - this.xAxis(ticks[0]) : labelLength;
+            var labelStep = Math.max(Math.ceil(labelLength / step), 1);
+            xLabels.filter(function (data: number, index: number) {
+                return index % labelStep !== 0;
+            }).remove();
+        }
+
+        private getAxisFormat(lineId: number): Trends.Data.NumberFormat {
+            return Trends.Data.NumberFormat.combine([this.bindingData.yData[lineId].numberFormat]);
+        }
+
+        /**
+          * Draws the legend, where the series to plot are picked and the regression line, the correlation and the labels are turned on and off
+          * @param {TrendlineFit} regression The regression line, or null if it isn't shown
+          */
+        private drawLegend(regression: Trends.Data.TrendlineFit) {
+            this.drawSeriesPicker("x", DataViz.Resources.Scatter.xSeries, this.xLineId);
+            this.drawSeriesPicker("y", DataViz.Resources.Scatter.ySeries, this.yLineId);
+            this.drawOptionRow("regression", DataViz.Resources.Scatter.regression, this.options.showsRegression, () => {
+                this.options.showsRegression = !this.options.showsRegression;
+            });
+
+            // Like the equation of a trendline, the equation of the regression line is shown under its checkbox
+            if (regression) {
+                this.legendGroup.append("div")
+                    .attr("id", "scatter-regression-equation")
+                    .attr("class", "layout-chart-legend-transforms")
+                    .style("color", this.getLineColor(this.yLineId))
+                    .style("padding-left", (HighlightingPlotter.checkBoxLength / this.zoomRatio.heightRatio + 4) + "px")
+                    .style("font-size", ScatterChartPlotter.optionFontSize / this.zoomRatio.heightRatio + "px")
+                    .text(Trends.Data.Trendline.getEquation(regression) + ", "
+                        + DataViz.Utils.stringFormat(DataViz.Resources.Trendlines.rSquared, Number(regression.rSquared.toFixed(4))));
+            }
+
+            this.drawOptionRow("correlation", DataViz.Resources.Scatter.correlation, this.options.showsCorrelation, () => {
+                this.options.showsCorrelation = !this.options.showsCorrelation;
+            });
+            this.drawOptionRow("labels", DataViz.Resources.Scatter.labels, this.options.showsLabels, () => {
+                this.options.showsLabels = !this.options.showsLabels;
+            });
+        }
+
+        /**
+          * Draws a list in the legend to pick the series plotted along an axis
+          * @param {string} axis "x" or "y"
+          * @param {string} text The name of the axis
+          * @param {number} lineId The id of the line plotted along the axis
+          */
+        private drawSeriesPicker(axis: string, text: string, lineId: number) {
+            var _this = this;
+            var pickerRow = this.legendGroup.append("div")
+                                .attr("class", "legend-row-style");
+
+            pickerRow.append("label")
+                     .attr("for", "scatter-" + axis + "-select")
+                     .attr("class", "layout-chart-legend-transforms")
+                     .style("color", this.getLineColor(lineId))
+                     .style("padding-right", "4px")
+                     .style("font-size", ScatterChartPlotter.optionFontSize / this.zoomRatio.heightRatio + "px")
+                     .text(text);
+
+            var picker = pickerRow.append("select")
+                                  .attr("id", "scatter-" + axis + "-select")
+                                  .attr("class", "data-pane-select")
+                                  .style("font-size", ScatterChartPlotter.optionFontSize / this.zoomRatio.heightRatio + "px")
+                                  .on("change", function () {
+                                      var seriesName = Trends.Data.DataConvertor.getSeriesName(_this.bindingData, (<HTMLSelectElement>this).selectedIndex);
+                                      _this.options.xSeriesName = (axis === "x") ? seriesName : Trends.Data.DataConvertor.getSeriesName(_this.bindingData, _this.xLineId);
+                                      _this.options.ySeriesName = (axis === "y") ? seriesName : Trends.Data.DataConvertor.getSeriesName(_this.bindingData, _this.yLineId);
+                                      _this.configuration.set(DataViz.Config.Trends.wellKnownKeys.scatterOptions, _this.options);
+                                  });
+
+            for (var i = 0; i < this.lineNumber; i++) {
+                picker.append("option")
+                      .attr("value", i)
+                      .text(this.getLineTitle(i));
+            }
+
+            (<HTMLSelectElement>picker.node()).selectedIndex = lineId;
+        }
+
+        /**
+          * Draws a row in the legend with a checkbox that turns a setting on and off
+          * @param {string} name The name of the setting, which the id of the checkbox is made from
+          * @param {string} text The text next to the checkbox
+          * @param {boolean} isChecked Whether the setting is on
+          * @param {() => void} toggle Turns the setting on or off in the saved settings
+          */
+        private drawOptionRow(name: string, text: string, isChecked: boolean, toggle: () => void) {
+            var checkboxLength = HighlightingPlotter.checkBoxLength / this.zoomRatio.heightRatio;
+            var optionRow = this.legendGroup.append("div")
+                                .attr("class", "legend-row-style");
+
+            optionRow.append("div")
+                     .attr("id", "scatter-" + name + "-checkbox")
+                     .attr("class", "layout-checkbox")
+                     .style("width", checkboxLength + "px")
+                     .style("height", checkboxLength + "px")
+                     .on("click", () => {
+                         toggle();
+                         this.configuration.set(DataViz.Config.Trends.wellKnownKeys.scatterOptions, this.options);
+                     });
+
+            this.setCheckboxStyle(d3.select("#scatter-" + name + "-checkbox"), this.yLineId, isChecked);
+
+            optionRow.append("span")
+                     .attr("class", "layout-chart-legend-transforms")
+                     .style("color", this.getLineColor(this.yLineId))
+                     .style("padding-left", "4px")
+                     .style("font-size", ScatterChartPlotter.optionFontSize / this.zoomRatio.heightRatio + "px")
+                     .text(text);
+        }
+
+        /**
+          * Draws the regression line between the smallest and the largest x value
+          */
+        private drawRegression(regression: Trends.Data.TrendlineFit) {
+            this.scatterChart.append("svg:line")
+                        .attr("id", "scatter-regression")
+                        .attr("x1", this.xAxis(regression.startPeriod))
+                        .attr("y1", this.yAxis(Trends.Data.Trendline.predict(regression, regression.startPeriod)))
+                        .attr("x2", this.xAxis(regression.endPeriod))
+                        .attr("y2", this.yAxis(Trends.Data.Trendline.predict(regression, regression.endPeriod)))
+                        .style("stroke", this.getLineColor(this.yLineId))
+                        .style("stroke-width", ScatterChartPlotter.regressionWidth / this.zoomRatio.heightRatio)
+                        .style("stroke-dasharray", ("6, 4")); //"6" is the dash width and "4" is the width between two dash.
+        }
+
+        /**
+          * Draws the correlation coefficient in the top right corner of the chart
+          * @param {number} correlation The coefficient, or null if the points have none
+          */
+        private drawCorrelation(correlation: number, right: number, top: number) {
+            if (correlation === null) {
+                return;
+            }
+
+            this.scatterChart.append("svg:text")
+                        .attr("id", "scatter-correlation")
+                        .attr("class", "theme-chart-label")
+                        .attr("x", right)
+                        .attr("y", top - 6)
+                        .style("text-anchor", "end")
+                        .style("font-size", ScatterChartPlotter.correlationFontSize / this.zoomRatio.heightRatio + "px")
+                        .text(DataViz.Utils.stringFormat(DataViz.Resources.Scatter.correlationValue, Number(correlation.toFixed(4))));
+        }
+
+        private drawPoints(points: ScatterPoint[]) {
+            var _this = this;
+            var pointGroup = this.scatterChart.append("svg:g").attr("id", "scatter-point-group");
+            var radius = ScatterChartPlotter.pointRadius / this.zoomRatio.heightRatio;
+            pointGroup.selectAll(".scatterPoint")
+                        .data(points)
+                        .enter()
+                        .append("svg:circle")
+                        .attr("id", function (point: ScatterPoint) {
+                            return "scatter-point" + point.column + "end";
+                        })
+                        .attr("class", "layout-chart-scatter-point theme-chart-scatter-point")
+                        .style("fill", this.getLineColor(this.yLineId))
+                        .attr("cx", function (point: ScatterPoint) {
+                            return _this.xAxis(point.xPoint.unformatted);
+                        })
+                        .attr("cy", function (point: ScatterPoint) {
+                            return _this.yAxis(point.yPoint.unformatted);
+                        })
+                        .attr("r", radius)
+                        .on("click", function (point: ScatterPoint) {
+                            _this.addPointHighlight(_this.yLineId, point.column, function () {
+                                _this.drawScatterBubble(point, true, true);
+                            });
+                        })
+                        .append("svg:title")
+                        .text(function (point: ScatterPoint) {
+                            return _this.bindingData.xData[point.column] + ": " + _this.getPointText(_this.xLineId, point.xPoint) + ", "
+                                + _this.getPointText(_this.yLineId, point.yPoint);
+                        });
+
+            if (this.options.showsLabels) {
+                var fontSize = ScatterChartPlotter.pointLabelFontSize / this.zoomRatio.heightRatio;
+                pointGroup.selectAll(".scatterLabel")
+                            .data(points)
+                            .enter()
+                            .append("svg:text")
+                            .attr("class", "layout-chart-scatter-label theme-chart-label")
+                            .attr("x", function (point: ScatterPoint) {
+                                return _this.xAxis(point.xPoint.unformatted) + radius + 2;
+                            })
+                            .attr("y", function (point: ScatterPoint) {
+                                return _this.yAxis(point.yPoint.unformatted);
+                            })
+                            .attr("dy", ".36em")
+                            .style("font-size", fontSize + "px")
+                            .text(function (point: ScatterPoint) {
+                                return _this.bindingData.xData[point.column];
+                            });
+            }
+
+            var isHighlighted = this.getHighlightedColumns(this.yLineId);
+
+            // The points the highlight rules of the series up the chart pick are found again whenever the data changes, so their bubbles can't be clicked away
+            var ruleHighlights = this.bindingData.yData[this.yLineId].ruleHighlights;
+            ruleHighlights = ruleHighlights ? ruleHighlights : [];
+            points.forEach(function (point: ScatterPoint) {
+                if (isHighlighted[point.column]) {
+                    _this.drawScatterBubble(point, false, true);
+                }
+                else if (ruleHighlights.indexOf(point.column) > -1) {
+                    _this.drawScatterBubble(point, false, false);
+                }
+            });
+        }
+
+        /**
+          * Draws the bubble with the value up the chart of a point, as the line chart draws it
+          * @param {ScatterPoint} point The point
+          * @param {boolean} beAnimated Whether the bubble grows in
+          * @param {boolean} isRemovable Whether a click on the bubble removes the highlight
+          */
+        private drawScatterBubble(point: ScatterPoint, beAnimated: boolean, isRemovable: boolean) {
+            var position = [this.xAxis(point.xPoint.unformatted), this.yAxis(point.yPoint.unformatted)];
+            this.drawBubble(d3.select("#scatter-point-group"), this.yLineId, point.yPoint, position, beAnimated, isRemovable);
+        }
+    }
+}
@@ -22,15 +22,22 @@ module DataViz.Control {
         private visualizer: Chart.Visualizer;
         private dataBinder: Data.IDataBinder;
         private dataConvertor: Data.IDataConvertor;
+        private dataSampler: Data.IDataSampler;
+        private dataTransformer: Data.IDataTransformer;
         private cachedData: any;
         private isRevisualizeOnThemeChange: boolean;
+        private revisualizingKeys: string[];
+        private isBatchingChanges: boolean;
+        private isRevisualizePending: boolean;
 
         /**
           * @param {Visualizer} visualizer The visualizer that will be used for visualization
           * @param {IDataBinder} dataBinder The data binder that will be used to bind data
           * @param {IDataConvertor} visualizer The data convertor that will be used to convert raw data
+          * @param {IDataSampler} [dataSampler] The data sampler that will be used to sample the converted data before visualization. Optional.
+          * @param {IDataTransformer} [dataTransformer] The data transformer that will be used to transform the converted data before sampling. Optional.
           */
-        constructor(visualizer: Chart.Visualizer, dataBinder: Data.IDataBinder, dataConvertor: Data.IDataConvertor) {
+        constructor(visualizer: Chart.Visualizer, dataBinder: Data.IDataBinder, dataConvertor: Data.IDataConvertor, dataSampler?: Data.IDataSampler, dataTransformer?: Data.IDataTransformer) {
             Validate.Validator.ensures(visualizer).from("Controller::ctor [visualizer]").isNotNull();
             Validate.Validator.ensures(dataBinder).from("Controller::ctor [dataBinder]").isNotNull();
             Validate.Validator.ensures(dataConvertor).from("Controller::ctor [dataConvertor]").isNotNull();
@@ -38,8 +45,13 @@ module DataViz.Control {
             this.visualizer = visualizer;
             this.dataBinder = dataBinder;
             this.dataConvertor = dataConvertor;
+            this.dataSampler = dataSampler ? dataSampler : null;
+            this.dataTransformer = dataTransformer ? dataTransformer : null;
             this.cachedData = null;
             this.isRevisualizeOnThemeChange = false;
+            this.revisualizingKeys = [];
+            this.isBatchingChanges = false;
+            this.isRevisualizePending = false;
             this.dataBinder.registerDataChangeListener(this);
         }
 
@@ -59,6 +71,23 @@ module DataViz.Control {
             this.dataBinder.bindBySelection(callback);
         }
 
+        /**
+          * Binds the selected data in addition to the bound data (delegate to the data binder)
+          * @param {(result: any) => any} [callback] The callback that will be called after the data binding is done. Optional.
+          */
+        public addDataBySelection(callback?: (result: any) => any) {
+            this.dataBinder.addBySelection(callback);
+        }
+
+        /**
+          * Releases one of the bindings (delegate to the data binder)
+          * @param {string} bindingName The name of the binding to release
+          * @param {() => any} [callback] The callback that will be called after the binding is released. Optional.
+          */
+        public removeData(bindingName: string, callback?: () => any) {
+            this.dataBinder.removeBinding(bindingName, callback);
+        }
+
         /**
           * Rebinds data directly using the default bind name (delegate to the data binder)
           * @param {() => any} [callback] The callback that will be called after the data binding is done. Optional.
@@ -99,7 +128,9 @@ module DataViz.Control {
           */
         public revisualize() {
             if (this.cachedData) {
-                this.visualizer.visualize(this.dataConvertor.convert(this.cachedData));
+                var data = this.dataConvertor.convert(this.cachedData);
+                data = this.dataTransformer ? this.dataTransformer.transform(data) : data;
+                this.visualizer.visualize(this.dataSampler ? this.dataSampler.sample(data) : data);
             }
         }
 
@@ -111,6 +142,39 @@ module DataViz.Control {
             this.isRevisualizeOnThemeChange = isRevisualize;
         }
 
+        /**
+          * Sets the keys of the configuration values of the app, other than the shape, that the cached data is revisualized on when they change
+          * @param {string[]} keys The keys of the configuration values
+          */
+        public revisualizeOnConfigurationChange(keys: string[]) {
+            Validate.Validator.ensures(keys).from("Controller::revisualizeOnConfigurationChange [keys]").isNotNull();
+            this.revisualizingKeys = keys;
+        }
+
+        /**
+          * Makes a number of configuration changes that revisualize the cached data only once, after all of them are made
+          * @param {() => any} changes The function that makes the changes
+          * @param {boolean} [revisualizes] Whether to revisualize after the changes if any of them asks for it. Optional, the default value is true.
+          *                 Set it to false when the data is about to change anyway.
+          */
+        public batchConfigurationChanges(changes: () => any, revisualizes: boolean = true) {
+            if (this.isBatchingChanges) {
+                changes();
+                return;
+            }
+
+            this.isBatchingChanges = true;
+            this.isRevisualizePending = false;
+            changes();
+            this.isBatchingChanges = false;
+
+            if (this.isRevisualizePending && revisualizes) {
+                this.revisualize();
+            }
+
+            this.isRevisualizePending = false;
+        }
+
         /**
           * Implementing {@link IDataChangeListener#onDataChanged}
           */
@@ -147,9 +211,25 @@ module DataViz.Control {
                     break;
 
                 case Config.wellKnownKeys.shape: {
-                    this.revisualize();
+                    this.revisualizeOrDefer();
                 }
                     break;
+
+                default: {
+                    if (this.revisualizingKeys.indexOf(key) !== -1) {
+                        this.revisualizeOrDefer();
+                    }
+                }
+                    break;
+            }
+        }
+
+        private revisualizeOrDefer() {
+            if (this.isBatchingChanges) {
+                this.isRevisualizePending = true;
+            }
+            else {
+                this.revisualize();
             }
         }
     }
@@ -47,6 +47,32 @@ module DataViz.Data {
         convert(data: any): any;
     }
 
+    /**
+      * This interface defines the behavior of the data transformer, which can derive other views of the converted data before it is sampled.
+      * For example, the trends data transformer can turn a line into its moving average
+      */
+    export interface IDataTransformer extends DataViz.Tools.ITool, DataViz.Config.IConfigurationChangeListener {
+        /**
+          * Transforms the converted data
+          * @param {any} data The converted data to transform
+          * @returns {any} The transformed data
+          */
+        transform(data: any): any;
+    }
+
+    /**
+      * This interface defines the behavior of the data sampler, which can reduce the converted data to what the chart is able to show before it is plotted.
+      * For example, the trends data sampler keeps no more points on a line than there are pixels across the chart
+      */
+    export interface IDataSampler extends DataViz.Tools.ITool, DataViz.Config.IConfigurationChangeListener {
+        /**
+          * Samples the converted data
+          * @param {any} data The converted data to sample
+          * @returns {any} The sampled data
+          */
+        sample(data: any): any;
+    }
+
     /**
       * This interface defines the behavior of the data binder, which can:
       *  - Get/set data from/to the host application
@@ -78,6 +104,19 @@ module DataViz.Data {
           */
         bindBySelection(callback?: (result: any) => any): void;
 
+        /**
+          * Binds the currently selected data in addition to the data that is already bound
+          * @param {(result: any) => any} [callback] The callback that will be called after the data binding is done. Optional.
+          */
+        addBySelection(callback?: (result: any) => any): void;
+
+        /**
+          * Releases one of the bindings, as long as it isn't the only one
+          * @param {string} bindingName The name of the binding to release
+          * @param {() => any} [callback] The callback that will be called after the binding is released. Optional.
+          */
+        removeBinding(bindingName: string, callback?: () => any): void;
+
         /**
           * Rebinds data directly using the default bind name
           * @param {() => any} [callback] The callback that will be called after the data binding is done. Optional.
@@ -6,6 +6,8 @@ See License.txt in the project root for license information.
 ///<reference path="config.ts"/>
 ///<reference path="validate.ts"/>
 
+declare var d3: any;
+
 /**
   * This module contains the basic definitions, constants and base-classes of customizable decoration related tasks
   */
@@ -40,6 +42,11 @@ module DataViz.Decoration {
           * The CSS URL of this theme
           */
         public css: string;
+
+        /**
+          * The line colors of this theme, in the order they are given to the lines
+          */
+        public palette: string[];
     }
 
     /**
@@ -76,7 +83,9 @@ module DataViz.Decoration {
       */
     export class ThemeProvider implements Config.IConfigurationChangeListener {
         private static theInstance: ThemeProvider = null;
-        private static version = 2; // To force web browser reload cache, increase this if you are updating themes.js or any of the stylesheets.
+        private static version = 9; // To force web browser reload cache, increase this if you are updating themes.js or any of the stylesheets.
+
+        private static fallbackPalette = ["#0e555d", "#f1676e", "#5bc4bc", "#fbe35b", "#9da6b2"];
 
         private definitions: Theme[] = null;
         private currentThemeId = "";
@@ -186,6 +195,35 @@ module DataViz.Decoration {
             return this.CurrentTheme.css + "?ver=" + ThemeProvider.version
         }
 
+        /**
+          * Returns the color of a line in the current theme. Lines beyond the palette reuse it with shifted hue and lightness,
+          * so that any number of lines gets distinguishable colors.
+          * @param {number} index The index of the line
+          * @returns {string} The color of the line
+          */
+        public getLineColor(index: number): string {
+            Validate.Validator.ensures(index).from("ThemeProvider::getLineColor").isGreaterThanOrEqualTo(0);
+
+            var palette = this.CurrentTheme.palette;
+            if (!palette || palette.length === 0) {
+                palette = ThemeProvider.fallbackPalette;
+            }
+
+            var base = palette[index % palette.length];
+            var round = Math.floor(index / palette.length);
+            if (round === 0) {
+                return base;
+            }
+
+            var color = d3.hsl(base);
+            color.h = isNaN(color.h) ? 0 : color.h; // Greys (including black and white) have no hue
+            color.s = isNaN(color.s) ? 0 : color.s;
+            var lightnessShift = (round % 2 === 1 ? -1 : 1) * 0.15 * Math.ceil(round / 2);
+            color.h = (color.h + 37 * round) % 360;
+            color.l = Math.max(0.15, Math.min(0.85, color.l + lightnessShift));
+            return color.toString();
+        }
+
         /**
           * Gets the theme with the given id
           * @param {string} id The id of a theme
@@ -49,6 +49,16 @@ module DataViz.SKUs {
           */
         public dataConvertor: string;
 
+        /**
+          * The data transformer class name. Optional, the converted data is plotted as is if it's not given
+          */
+        public dataTransformer: string;
+
+        /**
+          * The data sampler class name. Optional, the converted data is plotted as is if it's not given
+          */
+        public dataSampler: string;
+
         /**
           * The configurator class name
           */
@@ -84,6 +94,8 @@ module DataViz.SKUs {
         private layouter: DataViz.Chart.ILayouter;
         private dataBinder: DataViz.Data.IDataBinder;
         private dataConvertor: DataViz.Data.IDataConvertor;
+        private dataTransformer: DataViz.Data.IDataTransformer;
+        private dataSampler: DataViz.Data.IDataSampler;
         private configurator: DataViz.Config.IConfigurator;
         private visualizer: DataViz.Chart.Visualizer;
         private controller: DataViz.Control.Controller;
@@ -112,18 +124,22 @@ module DataViz.SKUs {
             instance.layouter = DataViz.Tools.ToolsFactory.buildTool(definition.layouter);
             instance.dataBinder = DataViz.Tools.ToolsFactory.buildTool(definition.dataBinder);
             instance.dataConvertor = DataViz.Tools.ToolsFactory.buildTool(definition.dataConvertor);
+            instance.dataTransformer = definition.dataTransformer ? DataViz.Tools.ToolsFactory.buildTool(definition.dataTransformer) : null;
+            instance.dataSampler = definition.dataSampler ? DataViz.Tools.ToolsFactory.buildTool(definition.dataSampler) : null;
             instance.configurator = DataViz.Tools.ToolsFactory.buildTool(definition.configurator);
 
             if ((!instance.plotter)
                 || (!instance.layouter)
                 || (!instance.dataBinder)
                 || (!instance.dataConvertor)
-                || (!instance.configurator)) {
+                || (!instance.configurator)
+                || (definition.dataTransformer && !instance.dataTransformer)
+                || (definition.dataSampler && !instance.dataSampler)) {
                 return null;
             }
 
             instance.visualizer = new DataViz.Chart.Visualizer(instance.layouter, instance.plotter);
-            instance.controller = new DataViz.Control.Controller(instance.visualizer, instance.dataBinder, instance.dataConvertor);
+            instance.controller = new DataViz.Control.Controller(instance.visualizer, instance.dataBinder, instance.dataConvertor, instance.dataSampler, instance.dataTransformer);
 
             return instance;
         }
@@ -168,6 +184,22 @@ module DataViz.SKUs {
             return this.dataConvertor;
         }
 
+        /**
+          * Gets the data transformer used in this SKU
+          * @returns {DataViz.Data.IDataTransformer} The data transformer instance, or null if the SKU doesn't transform its data
+          */
+        public get DataTransformer(): DataViz.Data.IDataTransformer {
+            return this.dataTransformer;
+        }
+
+        /**
+          * Gets the data sampler used in this SKU
+          * @returns {DataViz.Data.IDataSampler} The data sampler instance, or null if the SKU doesn't sample its data
+          */
+        public get DataSampler(): DataViz.Data.IDataSampler {
+            return this.dataSampler;
+        }
+
         /**
           * The configurator used in the SKU
           * @returns {DataViz.Config.IConfigurator} The configurator instance
@@ -232,6 +264,14 @@ module DataViz.SKUs {
             this.layouter.resetTool();
             this.dataBinder.resetTool();
             this.dataConvertor.resetTool();
+            if (this.dataTransformer) {
+                this.dataTransformer.resetTool();
+            }
+
+            if (this.dataSampler) {
+                this.dataSampler.resetTool();
+            }
+
             this.visualizer.resetTool();
         }
     }
@@ -0,0 +1,447 @@
+﻿/* **************************************************************************************
+Copyright (c) Microsoft Open Technologies, Inc. All rights reserved. Licensed under the Apache License, Version 2.0. 
+See License.txt in the project root for license information.
+***************************************************************************************** */
+
+///<reference path="shared/chart.ts"/>
+///<reference path="shared/decoration.ts"/>
+///<reference path="data.convertor.agave.ts" />
+///<reference path="data.transformer.trends.ts" />
+///<reference path="numberformat.trends.ts" />
+///<reference path="layouter.trends.ts" />
+///<reference path="highlightingplotter.trends.ts" />
+///<reference path="../app.ts" />
+
+/**
+  * This module contains the plotter of the small multiples
+  */
+module Trends.Chart {
+    "use strict";
+
+    /**
+      * The plotter of the small multiples. Every shown line is drawn in a panel of its own, in a grid the layouter works out from the chart area,
+      * so that many lines can be told apart. All the panels have the same x scale, and the same y scale if the user picks it, so that the panels
+      * can be compared; otherwise every panel fits its y scale to its line. The points are highlighted and noted as in the line chart.
+      * The trendlines, the secondary axis and the fixed ends of the y axis of the line chart don't apply to the panels.
+      */
+    export class SmallMultiplesPlotter extends HighlightingPlotter {
+        private static panelPadding = 10;
+        private static panelTitleFontSize = 13;
+        private static labelFontSize = 10;
+        private static labelPadding = 4;
+        private static yTickNumber = 3;
+        private static lineWidth = 2;
+        private static pointRadius = 3;
+        // A note is drawn closer to its point than in the line chart, since the panels are small
+        private static panelAnnotationOffset = 30;
+
+        private chartWidth: number;
+        private chartHeight: number;
+        private panelChart: any;
+        private grid: PanelGrid;
+        // The x scale all the panels share, and the y scale of the panel of every line
+        private xAxis: any;
+        private yAxes: { [lineId: number]: any };
+        // Where the plot area of a panel starts and ends up and down the panel
+        private panelTop: number;
+        private panelBottom: number;
+        private yAxisOptions: DataViz.Config.Trends.YAxisOptions;
+        private isSharedYScale: boolean;
+
+        /**
+          * Overriding {@link HighlightingPlotter#initData}
+          */
+        public initData(convertedData: Trends.Data.BindingData) {
+            super.initData(convertedData);
+            this.chartHeight = $("#line-chart").height();
+            this.chartWidth = $("#line-chart").width();
+        }
+
+        /**
+          * Overriding {@link HighlightingPlotter#readSettings}
+          */
+        public readSettings() {
+            super.readSettings();
+            this.yAxisOptions = this.configuration.get(DataViz.Config.Trends.wellKnownKeys.yAxisOptions);
+            this.yAxisOptions = this.yAxisOptions ? this.yAxisOptions : <DataViz.Config.Trends.YAxisOptions>{};
+            this.isSharedYScale = this.configuration.get(DataViz.Config.Trends.wellKnownKeys.sharedYScale) === true;
+        }
+
+        /**
+          * Gets the points of a line in the zoom window. A point with no value is left out, and the line breaks there.
+          */
+        private getPanelPoints(lineId: number): Trends.Data.PointDataOnLine[] {
+            return this.bindingData.yData[lineId].data.filter((point: Trends.Data.PointDataOnLine) => {
+                return this.isPointDrawn(lineId, point);
+            });
+        }
+
+        /**
+          * Overriding {@link HighlightingPlotter#isPointDrawn}. A point is drawn if it's in the zoom window and has a value.
+          */
+        public isPointDrawn(lineId: number, point: Trends.Data.PointDataOnLine): boolean {
+            return point.unformatted !== null && isFinite(point.unformatted)
+                && point.originalIndex >= this.firstColumn && point.originalIndex <= this.lastColumn;
+        }
+
+        /**
+          * Gets the domain of a y scale from the values of some lines. It takes in zero if the y axis settings say so.
+          * @param {number[]} lineIds The ids of the lines drawn against the scale
+          * @returns {number[]} The minimum and the maximum of the scale
+          */
+        private getYDomain(lineIds: number[]): number[] {
+            var values: number[] = [];
+            lineIds.forEach((lineId: number) => {
+                this.getPanelPoints(lineId).forEach((point: Trends.Data.PointDataOnLine) => {
+                    values.push(point.unformatted);
+                });
+            });
+
+            if (this.yAxisOptions.includesZero) {
+                values.push(0);
+            }
+
+            if (values.length === 0) {
+                return [0, 1];
+            }
+
+            var extent: number[] = d3.extent(values);
+            return (extent[0] === extent[1]) ? [extent[0] - 1, extent[1] + 1] : extent;
+        }
+
+        /**
+          * Gets the format of the y labels of a panel, which is the format of its line, or the format the shown lines have in common if they share the y scale
+          */
+        private getAxisFormat(lineId: number, shownLineIds: number[]): Trends.Data.NumberFormat {
+            var lineIds = this.isSharedYScale ? shownLineIds : [lineId];
+            return Trends.Data.NumberFormat.combine(lineIds.map((id: number) => {
+                return this.bindingData.yData[id].numberFormat;
+            }));
+        }
+
+        /**
+          * Overriding {@link HighlightingPlotter#draw}
+          */
+        public draw() {
+            $("#note-editor").remove();
+            this.panelChart = this.appendChart(this.chartWidth, this.chartHeight);
+            this.drawLegend();
+            $("#zoom-reset-button").toggle(this.isZoomed());
+
+            var shownLineIds = this.getShownLineIds();
+            this.grid = Layouter.getPanelGrid(shownLineIds.length);
+            var labelPadding = SmallMultiplesPlotter.labelPadding / this.zoomRatio.heightRatio;
+            this.panelTop = SmallMultiplesPlotter.panelTitleFontSize / this.zoomRatio.heightRatio + 2 * labelPadding;
+            this.panelBottom = this.grid.panelHeight - SmallMultiplesPlotter.labelFontSize / this.zoomRatio.heightRatio - 2 * labelPadding;
+
+            var sharedDomain = this.isSharedYScale ? this.getYDomain(shownLineIds) : null;
+            this.yAxes = {};
+            shownLineIds.forEach((lineId: number, index: number) => {
+                var domain = sharedDomain ? sharedDomain : this.getYDomain([lineId]);
+                this.yAxes[lineId] = d3.scale.linear().domain(domain).nice(SmallMultiplesPlotter.yTickNumber).range([this.panelBottom, this.panelTop]);
+                this.panelChart.append("svg:g")
+                    .attr("id", "panel" + lineId)
+                    .attr("transform", "translate(" + this.grid.getColumn(index) * this.grid.panelWidth + "," + this.grid.getRow(index) * this.grid.panelHeight + ")");
+            });
+
+            // The y labels are drawn first, since the x scale all the panels share starts after the widest of them
+            var left = 0;
+            shownLineIds.forEach((lineId: number) => {
+                left = Math.max(left, this.drawYLabels(lineId, shownLineIds));
+            });
+
+            left += SmallMultiplesPlotter.labelPadding / this.zoomRatio.widthRatio;
+            var right = this.grid.panelWidth - SmallMultiplesPlotter.panelPadding / this.zoomRatio.widthRatio;
+            this.xAxis = (this.bindingData.xDates ? d3.time.scale.utc() : d3.scale.linear()).domain(this.getXDomain()).range([left, right]);
+
+            shownLineIds.forEach((lineId: number, index: number) => {
+                this.drawYTicks(lineId, [left, right]);
+                this.drawPanelTitle(lineId, left);
+
+                // Only the panels at the bottom of their grid column have the x labels, since the x scale is the same in every panel
+                if (index + this.grid.columnNumber >= shownLineIds.length) {
+                    this.drawXLabels(lineId);
+                }
+
+                this.drawLine(lineId);
+                this.drawPoints(lineId);
+                this.drawAnnotations(lineId);
+            });
+        }
+
+        /**
+          * Draws the y labels of a panel on its left, above their ticks
+          * @returns {number} The width of the widest label
+          */
+        private drawYLabels(lineId: number, shownLineIds: number[]): number {
+            var yAxis = this.yAxes[lineId];
+            var ticks: number[] = yAxis.ticks(SmallMultiplesPlotter.yTickNumber);
+            var labels = this.getAxisFormat(lineId, shownLineIds).formatTicks(ticks, this.isCompact);
+            var yLabels = d3.select("#panel" + lineId).selectAll(".yLabel")
+                        .data(ticks)
+                        .enter()
+                        .append("svg:text")
+                        .attr("class", "layout-chart-y-label theme-chart-label")
+                        .attr("x", 0)
+                        .attr("y", function (data: number) {
+                            return yAxis(data) - 2;
+                        }) //"2" is the padding bottom from the ticks.
+                        .style("font-size", SmallMultiplesPlotter.labelFontSize / this.zoomRatio.heightRatio + "px")
+                        .text(function (data: number, index: number): any {
+                            return labels[index];
+                        });
+
+            return HighlightingPlotter.getMaxWidth(yLabels);
+        }
+
+        /**
+          * Gets the domain of the x scale the panels share, which spans the columns in the zoom window. If the x values are dates,
+          * the domain spans their dates, so that the columns are spaced by date as in the line chart. A single column is put in the middle.
+          */
+        private getXDomain(): any[] {
+            if (this.bindingData.xDates) {
+                var dates = this.bindingData.xDates.slice(this.firstColumn, this.lastColumn + 1);
+                var extent: Date[] = d3.extent(dates);
+                return (extent[0].getTime() === extent[1].getTime())
+                    ? [d3.time.day.utc.offset(extent[0], -1), d3.time.day.utc.offset(extent[1], 1)] : extent;
+            }
+
+            return (this.lastColumn > this.firstColumn) ? [this.firstColumn, this.lastColumn] : [this.firstColumn - 0.5, this.firstColumn + 0.5];
+        }
+
+        /**
+          * Gets the x position of a column in a panel, which is spaced by date if the x values are dates
+          */
+        private getXPosition(column: number): number {
+            return this.bindingData.xDates ? this.xAxis(this.bindingData.xDates[column]) : this.xAxis(column);
+        }
+
+        /**
+          * Draws the dashed ticks of the y labels of a panel across its plot area
+          * @param {number[]} range Where the ticks start and end
+          */
+        private drawYTicks(lineId: number, range: number[]) {
+            var yAxis = this.yAxes[lineId];
+            d3.select("#panel" + lineId).selectAll(".yTicks")
+                        .data(yAxis.ticks(SmallMultiplesPlotter.yTickNumber))
+                        .enter()
+                        .append("svg:line")
+                        .attr("class", "theme-chart-ticks")
+                        .attr("x1", range[0])
+                        .attr("y1", function (data: number) {
+                            return yAxis(data);
+                        })
+                        .attr("x2", range[1])
+                        .attr("y2", function (data: number) {
+                            return yAxis(data);
+                        })
+                        .style("stroke-dasharray", ("5, 3")); //"5" is the dash width and "3" is the width between two dash.
+        }
+
+        private drawPanelTitle(lineId: number, left: number) {
+            d3.select("#panel" + lineId).append("svg:text")
+                        .attr("id", "panel-title" + lineId + "end")
+                        .attr("class", "layout-chart-panel-title")
+                        .attr("x", left)
+                        .attr("y", SmallMultiplesPlotter.panelTitleFontSize / this.zoomRatio.heightRatio)
+                        .style("fill", this.getLineColor(lineId))
+                        .style("font-size", SmallMultiplesPlotter.panelTitleFontSize / this.zoomRatio.heightRatio + "px")
+                        .text(this.lineTitleArray[lineId]);
+        }
+
+        /**
+          * Draws the x labels of the first, the middle and the last column under a panel. The first and the last labels are kept inside the panel.
+          */
+        private drawXLabels(lineId: number) {
+            var _this = this;
+            var columns = [this.firstColumn, Math.round((this.firstColumn + this.lastColumn) / 2), this.lastColumn].filter((column: number, index: number, all: number[]) => {
+                return all.indexOf(column) === index;
+            });
+            var fontSize = SmallMultiplesPlotter.labelFontSize / this.zoomRatio.heightRatio;
+            d3.select("#panel" + lineId).selectAll(".xLabel")
+                        .data(columns)
+                        .enter()
+                        .append("svg:text")
+                        .attr("class", "layout-chart-x-label theme-chart-label")
+                        .attr("x", function (column: number) {
+                            return _this.getXPosition(column);
+                        })
+                        .attr("y", this.panelBottom + fontSize + SmallMultiplesPlotter.labelPadding / this.zoomRatio.heightRatio)
+                        .style("text-anchor", function (column: number, index: number) {
+                            return (columns.length === 1) ? "middle" : ((index === 0) ? "start" : ((index === columns.length - 1) ? "end" : "middle"));
+                        })
+                        .style("font-size", fontSize + "px")
+                        .text(function (column: number) {
+                            return _this.bindingData.xData[column];
+                        });
+        }
+
+        private drawLine(lineId: number) {
+            var _this = this;
+            var yAxis = this.yAxes[lineId];
+            var pathData: Trends.Data.PointDataOnLine[] = [];
+            this.getPanelPoints(lineId).forEach((point: Trends.Data.PointDataOnLine) => {
+                if (point.isAfterGap) {
+                    pathData.push(null);
+                }
+
+                pathData.push(point);
+            });
+
+            var linePlotter = d3.svg.line()
+                            .x(function (point: Trends.Data.PointDataOnLine) {
+                                return _this.getXPosition(point.originalIndex);
+                            })
+                            .y(function (point: Trends.Data.PointDataOnLine) {
+                                return yAxis(point.unformatted);
+                            })
+                            .defined(function (point: Trends.Data.PointDataOnLine) {
+                                return point !== null;
+                            })
+                            .interpolate("monotone");
+
+            d3.select("#panel" + lineId).append("svg:path")
+                        .attr("id", "panel-line" + lineId)
+                        .style("stroke", this.getLineColor(lineId))
+                        .style("stroke-width", SmallMultiplesPlotter.lineWidth / this.zoomRatio.heightRatio)
+                        .style("fill", "none")
+                        .attr("d", linePlotter(pathData));
+        }
+
+        /**
+          * Draws the points of a panel, which are highlighted when clicked, and the bubbles of the highlighted points
+          */
+        private drawPoints(lineId: number) {
+            var _this = this;
+            var yAxis = this.yAxes[lineId];
+            var points = this.getPanelPoints(lineId);
+            var pointGroup = d3.select("#panel" + lineId).append("svg:g").attr("id", "panel-point-group" + lineId);
+            pointGroup.selectAll(".point")
+                        .data(points)
+                        .enter()
+                        .append("svg:circle")
+                        .attr("id", function (point: Trends.Data.PointDataOnLine) {
+                            return "panel-point" + "line" + lineId + "column" + point.originalIndex + "end";
+                        })
+                        .style("fill", function (point: Trends.Data.PointDataOnLine) {
+                            return point.isMissing ? "none" : _this.getLineColor(lineId);
+                        })
+                        .style("stroke", this.getLineColor(lineId))
+                        .style("stroke-width", function (point: Trends.Data.PointDataOnLine) {
+                            return point.isMissing ? 1 / _this.zoomRatio.heightRatio : 0;
+                        })
+                        .attr("pointer-events", "all")
+                        .attr("cursor", "pointer")
+                        .attr("r", SmallMultiplesPlotter.pointRadius / this.zoomRatio.heightRatio)
+                        .attr("cx", function (point: Trends.Data.PointDataOnLine) {
+                            return _this.getXPosition(point.originalIndex);
+                        })
+                        .attr("cy", function (point: Trends.Data.PointDataOnLine) {
+                            return yAxis(point.unformatted);
+                        })
+                        .on("click", function (point: Trends.Data.PointDataOnLine) {
+                            _this.addPointHighlight(lineId, point.originalIndex, function () {
+                                _this.drawPanelBubble(lineId, point, true, true);
+                            });
+                        })
+                        .append("svg:title")
+                        .text(function (point: Trends.Data.PointDataOnLine) {
+                            return _this.bindingData.xData[point.originalIndex] + ": " + _this.getPointText(lineId, point);
+                        });
+
+            var isHighlighted = this.getHighlightedColumns(lineId);
+
+            // The points the highlight rules pick are found again whenever the data changes, so their bubbles can't be clicked away
+            var ruleHighlights = this.bindingData.yData[lineId].ruleHighlights;
+            ruleHighlights = ruleHighlights ? ruleHighlights : [];
+            points.forEach(function (point: Trends.Data.PointDataOnLine) {
+                if (isHighlighted[point.originalIndex]) {
+                    _this.drawPanelBubble(lineId, point, false, true);
+                }
+                else if (ruleHighlights.indexOf(point.originalIndex) > -1) {
+                    _this.drawPanelBubble(lineId, point, false, false);
+                }
+            });
+        }
+
+        /**
+          * Draws the bubble of a highlighted point, with its value in it, as the line chart draws it. A point without a note
+          * gets the button that adds one.
+          * @param {number} lineId The id of the line of the point
+          * @param {PointDataOnLine} point The point
+          * @param {boolean} beAnimated Whether the bubble grows in
+          * @param {boolean} isRemovable Whether a click on the bubble removes the highlight
+          */
+        private drawPanelBubble(lineId: number, point: Trends.Data.PointDataOnLine, beAnimated: boolean, isRemovable: boolean) {
+            var circleGroup = this.drawBubble(d3.select("#panel-point-group" + lineId), lineId, point, this.getPointPosition(lineId, point), beAnimated, isRemovable);
+            if (circleGroup) {
+                this.drawNoteButton(circleGroup, lineId, point, this.getBubbleRadius(this.getPointText(lineId, point)));
+            }
+        }
+
+        /**
+          * Overriding {@link HighlightingPlotter#getPointPosition}
+          */
+        public getPointPosition(lineId: number, point: Trends.Data.PointDataOnLine): number[] {
+            return [this.getXPosition(point.originalIndex), this.yAxes[lineId](point.unformatted)];
+        }
+
+        /**
+          * Overriding {@link HighlightingPlotter#getLineGroup}. The notes of a line are drawn in its panel.
+          */
+        public getLineGroup(lineId: number): any {
+            return d3.select("#panel" + lineId);
+        }
+
+        /**
+          * Overriding {@link HighlightingPlotter#getAnnotationTop}. A note is drawn below its point if there's no room above it in the panel.
+          */
+        public getAnnotationTop(lineId: number): number {
+            return this.panelTop;
+        }
+
+        /**
+          * Overriding {@link HighlightingPlotter#getAnnotationOffset}
+          */
+        public getAnnotationOffset(): number {
+            return SmallMultiplesPlotter.panelAnnotationOffset / this.zoomRatio.heightRatio;
+        }
+
+        /**
+          * Draws the legend, with the checkbox that gives all the panels the same y scale above the rows of the lines
+          */
+        private drawLegend() {
+            var _this = this;
+            var checkboxLength = HighlightingPlotter.checkBoxLength / this.zoomRatio.heightRatio;
+            var scaleRow = this.legendGroup.append("div")
+                                .attr("class", "legend-row-style");
+
+            scaleRow.append("div")
+                    .attr("id", "shared-y-scale-checkbox")
+                    .attr("class", "layout-checkbox")
+                    .style("width", checkboxLength + "px")
+                    .style("height", checkboxLength + "px")
+                    .on("click", function () {
+                        _this.configuration.set(DataViz.Config.Trends.wellKnownKeys.sharedYScale, !_this.isSharedYScale);
+                    });
+
+            this.setCheckboxStyle(d3.select("#shared-y-scale-checkbox"), 0, this.isSharedYScale);
+
+            scaleRow.append("span")
+                    .attr("class", "layout-chart-legend-transforms")
+                    .style("color", this.getLineColor(0))
+                    .style("padding-left", "4px")
+                    .style("font-size", HighlightingPlotter.legendTransformsFontSize / this.zoomRatio.heightRatio + "px")
+                    .text(DataViz.Resources.SmallMultiples.sharedYScale);
+
+            this.drawLineLegend();
+        }
+
+        /**
+          * Overriding {@link HighlightingPlotter#onLineTitleChanged}. The title of the panel of the line is changed with it.
+          */
+        public onLineTitleChanged(lineId: number) {
+            d3.select("#panel-title" + lineId + "end").text(this.lineTitleArray[lineId]);
+        }
+    }
+}
@@ -0,0 +1,356 @@
+﻿/* **************************************************************************************
+Copyright (c) Microsoft Open Technologies, Inc. All rights reserved. Licensed under the Apache License, Version 2.0. 
+See License.txt in the project root for license information.
+***************************************************************************************** */
+
+///<reference path="shared/utils.ts"/>
+///<reference path="data.convertor.agave.ts"/>
+///<reference path="configurator.agave.ts"/>
+
+/**
+  * This module contains the least-squares fits of the trendlines
+  */
+module Trends.Data {
+    "use strict";
+
+    /**
+      * The trendline settings of a line, as saved in the configuration
+      */
+    export interface LineTrendline {
+        // One of the values of DataViz.Config.Trends.TrendlineType
+        type: string;
+        // The degree of a polynomial trendline
+        degree?: number;
+        // The number of periods the trendline goes on after the last point
+        forecast?: number;
+    }
+
+    /**
+      * A trendline fitted to a line. The x of the fit is the period number, which is 1 for the first column.
+      */
+    export interface TrendlineFit {
+        type: string;
+        // The coefficients of the polynomial in (x - center) / scale, starting with the constant.
+        // An exponential fit is the exponent of such a polynomial of degree 1.
+        coefficients: number[];
+        center: number;
+        scale: number;
+        rSquared: number;
+        // The periods the trendline is drawn from and to, forecast included
+        startPeriod: number;
+        endPeriod: number;
+    }
+
+    /**
+      * This calculates the trendlines of the lines
+      */
+    export class Trendline {
+        public static minDegree = 2;
+        public static maxDegree = 6;
+        public static defaultDegree = 2;
+
+        private static superscripts = ["", "", "²", "³", "⁴", "⁵", "⁶"];
+        private static significantDigits = 4;
+
+        /**
+          * Fits a trendline to the points of a line with the least squares method. The points the gap mode filled in are left out, since they weren't measured.
+          * @param {PointDataOnLine[]} points The points of the line
+          * @param {BindingData} data The data the line belongs to
+          * @param {LineTrendline} settings The trendline settings of the line
+          * @returns {TrendlineFit} The trendline, or null if it can't be fitted to the points
+          */
+        public static fit(points: PointDataOnLine[], data: BindingData, settings: LineTrendline): TrendlineFit {
+            var degree = (settings.type === DataViz.Config.Trends.TrendlineType.polynomial) ? Trendline.getDegree(settings) : 1;
+            var isExponential = settings.type === DataViz.Config.Trends.TrendlineType.exponential;
+            points = points.filter((point: PointDataOnLine) => {
+                return !point.isMissing;
+            });
+            if (points.length <= degree) {
+                return null;
+            }
+
+            // An exponential fit is a linear fit of the logarithms, so it needs all the values to be positive
+            if (isExponential && points.some((point: PointDataOnLine) => { return point.unformatted <= 0; })) {
+                return null;
+            }
+
+            var xs = points.map((point: PointDataOnLine) => {
+                return Trendline.toPeriod(data, point.originalIndex);
+            });
+            var ys = points.map((point: PointDataOnLine) => {
+                return isExponential ? Math.log(point.unformatted) : point.unformatted;
+            });
+
+            var fit = Trendline.fitValues(xs, ys, degree, settings.type);
+            if (fit) {
+                fit.endPeriod += Math.max(settings.forecast ? Math.floor(settings.forecast) : 0, 0);
+            }
+
+            return fit;
+        }
+
+        /**
+          * Fits a polynomial to some values with the least squares method. The fit of an exponential trendline is the fit of the logarithms of its values.
+          * @param {number[]} xs The x values, in any order
+          * @param {number[]} ys The y values, or their logarithms for an exponential trendline
+          * @param {number} degree The degree of the polynomial
+          * @param {string} type One of the values of DataViz.Config.Trends.TrendlineType
+          * @returns {TrendlineFit} The fit from the smallest to the largest x value, or null if the values have no single fit
+          */
+        public static fitValues(xs: number[], ys: number[], degree: number, type: string): TrendlineFit {
+            if (xs.length <= degree) {
+                return null;
+            }
+
+            // The x values are centered and scaled, since the powers of large period numbers lose precision
+            var min: number = d3.min(xs);
+            var max: number = d3.max(xs);
+            var center = (min + max) / 2;
+            var scale = Math.max((max - min) / 2, 1);
+            var coefficients = Trendline.solveLeastSquares(xs.map((x: number) => { return (x - center) / scale; }), ys, degree);
+            if (!coefficients) {
+                return null;
+            }
+
+            var fit: TrendlineFit = {
+                type: type,
+                coefficients: coefficients,
+                center: center,
+                scale: scale,
+                rSquared: 0,
+                startPeriod: min,
+                endPeriod: max
+            };
+
+            // Like in Excel, the R² of an exponential fit is the one of the linear fit of the logarithms
+            var mean = ys.reduce((sum: number, y: number) => { return sum + y; }, 0) / ys.length;
+            var totalSquares = 0;
+            var residualSquares = 0;
+            xs.forEach((x: number, index: number) => {
+                var fitted = Trendline.evaluate(fit, x);
+                totalSquares += (ys[index] - mean) * (ys[index] - mean);
+                residualSquares += (ys[index] - fitted) * (ys[index] - fitted);
+            });
+
+            fit.rSquared = (totalSquares === 0) ? 1 : 1 - residualSquares / totalSquares;
+            return fit;
+        }
+
+        /**
+          * Gets the Pearson correlation coefficient of two lists of values
+          * @param {number[]} xs The first values
+          * @param {number[]} ys The second values, in the order of the first ones
+          * @returns {number} The coefficient from -1 to 1, or null if there are fewer than two pairs or either list has no spread
+          */
+        public static correlate(xs: number[], ys: number[]): number {
+            if (xs.length < 2) {
+                return null;
+            }
+
+            var meanX = xs.reduce((sum: number, x: number) => { return sum + x; }, 0) / xs.length;
+            var meanY = ys.reduce((sum: number, y: number) => { return sum + y; }, 0) / ys.length;
+            var products = 0;
+            var squaresX = 0;
+            var squaresY = 0;
+            xs.forEach((x: number, index: number) => {
+                products += (x - meanX) * (ys[index] - meanY);
+                squaresX += (x - meanX) * (x - meanX);
+                squaresY += (ys[index] - meanY) * (ys[index] - meanY);
+            });
+
+            if (squaresX === 0 || squaresY === 0) {
+                return null;
+            }
+
+            // Rounding can take the coefficient of values on a straight line just past 1
+            return Math.min(Math.max(products / Math.sqrt(squaresX * squaresY), -1), 1);
+        }
+
+        /**
+          * Gets the value of a trendline at a period
+          * @param {TrendlineFit} fit The trendline
+          * @param {number} period The period number
+          * @returns {number} The value
+          */
+        public static predict(fit: TrendlineFit, period: number): number {
+            var value = Trendline.evaluate(fit, period);
+            return (fit.type === DataViz.Config.Trends.TrendlineType.exponential) ? Math.exp(value) : value;
+        }
+
+        /**
+          * Gets the equation of a trendline, for example "y = 1.5x + 2"
+          * @param {TrendlineFit} fit The trendline
+          * @returns {string} The equation
+          */
+        public static getEquation(fit: TrendlineFit): string {
+            var coefficients = Trendline.expand(fit);
+            if (fit.type === DataViz.Config.Trends.TrendlineType.exponential) {
+                return "y = " + Trendline.formatCoefficient(Math.exp(coefficients[0])) + "e^(" + Trendline.formatCoefficient(coefficients[1]) + "x)";
+            }
+
+            var terms = "";
+            for (var power = coefficients.length - 1; power >= 0; power--) {
+                var coefficient = Trendline.round(coefficients[power]);
+                if (coefficient === 0 && (power > 0 || terms)) {
+                    continue;
+                }
+
+                var text = Trendline.formatCoefficient(Math.abs(coefficient)) + ((power > 0) ? "x" + Trendline.superscripts[power] : "");
+                if (!terms) {
+                    terms = (coefficient < 0) ? "-" + text : text;
+                }
+                else {
+                    terms += ((coefficient < 0) ? " - " : " + ") + text;
+                }
+            }
+
+            return "y = " + terms;
+        }
+
+        /**
+          * Gets the period number of a column. If the x values are dates, a period is the average time between two columns.
+          * @param {BindingData} data The data
+          * @param {number} column The index of the column
+          * @returns {number} The period number
+          */
+        public static toPeriod(data: BindingData, column: number): number {
+            if (!data.xDates) {
+                return column + 1;
+            }
+
+            return (data.xDates[column].getTime() - data.xDates[0].getTime()) / Trendline.getPeriodLength(data) + 1;
+        }
+
+        /**
+          * Gets the x value of a period, which is a date if the x values are dates, and the index of a column otherwise
+          * @param {BindingData} data The data
+          * @param {number} period The period number
+          * @returns {any} The x value
+          */
+        public static fromPeriod(data: BindingData, period: number): any {
+            if (!data.xDates) {
+                return period - 1;
+            }
+
+            return new Date(data.xDates[0].getTime() + (period - 1) * Trendline.getPeriodLength(data));
+        }
+
+        private static getPeriodLength(data: BindingData): number {
+            var columnNumber = data.xDates.length;
+            var length = (columnNumber > 1) ? (data.xDates[columnNumber - 1].getTime() - data.xDates[0].getTime()) / (columnNumber - 1) : 0;
+
+            // All the dates are the same, so take a day as the period
+            return (length > 0) ? length : 86400000;
+        }
+
+        private static getDegree(settings: LineTrendline): number {
+            var degree = settings.degree ? Math.floor(settings.degree) : Trendline.defaultDegree;
+            return Math.min(Math.max(degree, Trendline.minDegree), Trendline.maxDegree);
+        }
+
+        /**
+          * Evaluates the polynomial of a trendline, before the exponential of an exponential trendline is taken
+          */
+        private static evaluate(fit: TrendlineFit, period: number): number {
+            var u = (period - fit.center) / fit.scale;
+            var value = 0;
+            for (var power = fit.coefficients.length - 1; power >= 0; power--) {
+                value = value * u + fit.coefficients[power];
+            }
+
+            return value;
+        }
+
+        /**
+          * Expands the polynomial in (x - center) / scale into a polynomial in x
+          * @returns {number[]} The coefficients in x, starting with the constant
+          */
+        private static expand(fit: TrendlineFit): number[] {
+            var expanded = fit.coefficients.map(() => { return 0; });
+
+            // The powers of (x - center) / scale, as polynomials in x
+            var power = [1];
+            fit.coefficients.forEach((coefficient: number, degree: number) => {
+                power.forEach((term: number, index: number) => {
+                    expanded[index] += coefficient * term;
+                });
+
+                var next = power.map(() => { return 0; }).concat([0]);
+                power.forEach((term: number, index: number) => {
+                    next[index + 1] += term / fit.scale;
+                    next[index] -= term * fit.center / fit.scale;
+                });
+                power = next;
+            });
+
+            // What the expansion leaves of a zero coefficient is rounding noise
+            var largest: number = d3.max(expanded, (coefficient: number) => { return Math.abs(coefficient); });
+            return expanded.map((coefficient: number) => {
+                return (Math.abs(coefficient) < largest * 1e-10) ? 0 : coefficient;
+            });
+        }
+
+        /**
+          * Solves the normal equations of a polynomial least-squares fit by Gaussian elimination
+          * @returns {number[]} The coefficients, starting with the constant, or null if the equations have no single solution
+          */
+        private static solveLeastSquares(xs: number[], ys: number[], degree: number): number[] {
+            var size = degree + 1;
+            var matrix: number[][] = [];
+            for (var row = 0; row < size; row++) {
+                matrix.push([]);
+                for (var column = 0; column <= size; column++) {
+                    matrix[row].push(0);
+                }
+            }
+
+            xs.forEach((x: number, index: number) => {
+                for (var row = 0; row < size; row++) {
+                    for (var column = 0; column < size; column++) {
+                        matrix[row][column] += Math.pow(x, row + column);
+                    }
+
+                    matrix[row][size] += Math.pow(x, row) * ys[index];
+                }
+            });
+
+            for (var pivot = 0; pivot < size; pivot++) {
+                var best = pivot;
+                for (var row = pivot + 1; row < size; row++) {
+                    if (Math.abs(matrix[row][pivot]) > Math.abs(matrix[best][pivot])) {
+                        best = row;
+                    }
+                }
+
+                if (Math.abs(matrix[best][pivot]) < 1e-12) {
+                    return null;
+                }
+
+                var swapped = matrix[pivot];
+                matrix[pivot] = matrix[best];
+                matrix[best] = swapped;
+
+                for (var row = 0; row < size; row++) {
+                    if (row !== pivot) {
+                        var factor = matrix[row][pivot] / matrix[pivot][pivot];
+                        for (var column = pivot; column <= size; column++) {
+                            matrix[row][column] -= factor * matrix[pivot][column];
+                        }
+                    }
+                }
+            }
+
+            return matrix.map((row: number[], index: number) => {
+                return row[size] / row[index];
+            });
+        }
+
+        private static round(value: number): number {
+            return Number(value.toPrecision(Trendline.significantDigits));
+        }
+
+        private static formatCoefficient(value: number): string {
+            return Trendline.round(value).toString();
+        }
+    }
+}
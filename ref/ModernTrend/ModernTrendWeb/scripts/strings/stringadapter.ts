@@ -20,10 +20,30 @@ module DataViz.Resources {
         public static get floatMenuSettingTitle(): string {
             return ScriptsResources.FloatMenuSettingTitle;
         }
+
+        public static get floatMenuZoomResetTitle(): string {
+            return ScriptsResources.FloatMenuZoomResetTitle;
+        }
         
         public static get defaultLegendName(): string {
             return ScriptsResources.DefaultLegendName;
         }
+
+        public static get secondaryAxis(): string {
+            return ScriptsResources.SecondaryAxis;
+        }
+
+        public static get chartKeyboardHint(): string {
+            return ScriptsResources.ChartKeyboardHint;
+        }
+
+        public static get chartAddNoteTitle(): string {
+            return ScriptsResources.ChartAddNoteTitle;
+        }
+
+        public static get chartNoteLabel(): string {
+            return ScriptsResources.ChartNoteLabel;
+        }
     }
 
     export class DataPane {
@@ -34,6 +54,180 @@ module DataViz.Resources {
         public static get selectButtonText(): string {
             return ScriptsResources.DataPaneSelectButton;
         }
+
+        public static get orientationTitle(): string {
+            return ScriptsResources.DataPaneOrientationTitle;
+        }
+
+        public static get orientationColumns(): string {
+            return ScriptsResources.DataPaneOrientationColumns;
+        }
+
+        public static get orientationRows(): string {
+            return ScriptsResources.DataPaneOrientationRows;
+        }
+
+        public static get rangesTitle(): string {
+            return ScriptsResources.DataPaneRangesTitle;
+        }
+
+        public static get rangeItem(): string {
+            return ScriptsResources.DataPaneRangeItem;
+        }
+
+        public static get removeRange(): string {
+            return ScriptsResources.DataPaneRemoveRange;
+        }
+
+        public static get diagnosticsTitle(): string {
+            return ScriptsResources.DataPaneDiagnosticsTitle;
+        }
+
+        public static get diagnosticGoTo(): string {
+            return ScriptsResources.DataPaneDiagnosticGoTo;
+        }
+
+        public static get diagnosticSkippedCell(): string {
+            return ScriptsResources.DataPaneDiagnosticSkippedCell;
+        }
+
+        public static get diagnosticNumberHeader(): string {
+            return ScriptsResources.DataPaneDiagnosticNumberHeader;
+        }
+
+        public static get diagnosticHeaderAsValues(): string {
+            return ScriptsResources.DataPaneDiagnosticHeaderAsValues;
+        }
+
+        public static get diagnosticRangeLeftOut(): string {
+            return ScriptsResources.DataPaneDiagnosticRangeLeftOut;
+        }
+
+        public static get diagnosticInvalidData(): string {
+            return ScriptsResources.DataPaneDiagnosticInvalidData;
+        }
+
+        public static get diagnosticMore(): string {
+            return ScriptsResources.DataPaneDiagnosticMore;
+        }
+
+        public static get diagnosticOrphanedHighlight(): string {
+            return ScriptsResources.DataPaneDiagnosticOrphanedHighlight;
+        }
+
+        public static get diagnosticUnmatchedPointIds(): string {
+            return ScriptsResources.DataPaneDiagnosticUnmatchedPointIds;
+        }
+
+        public static get diagnosticRemoveHighlights(): string {
+            return ScriptsResources.DataPaneDiagnosticRemoveHighlights;
+        }
+
+        public static get hiddenRowsLeftOut(): string {
+            return ScriptsResources.DataPaneHiddenRowsLeftOut;
+        }
+
+        public static get hiddenRowsIncluded(): string {
+            return ScriptsResources.DataPaneHiddenRowsIncluded;
+        }
+
+        public static get addRangeButtonText(): string {
+            return ScriptsResources.DataPaneAddRangeButton;
+        }
+
+        public static get seriesTitle(): string {
+            return ScriptsResources.DataPaneSeriesTitle;
+        }
+
+        public static get gapModeTitle(): string {
+            return ScriptsResources.DataPaneGapModeTitle;
+        }
+
+        public static get gapModeBreak(): string {
+            return ScriptsResources.DataPaneGapModeBreak;
+        }
+
+        public static get gapModeZero(): string {
+            return ScriptsResources.DataPaneGapModeZero;
+        }
+
+        public static get gapModeInterpolate(): string {
+            return ScriptsResources.DataPaneGapModeInterpolate;
+        }
+
+        public static get transformsTitle(): string {
+            return ScriptsResources.DataPaneTransformsTitle;
+        }
+
+        public static get addTransform(): string {
+            return ScriptsResources.DataPaneAddTransform;
+        }
+
+        public static get removeTransform(): string {
+            return ScriptsResources.DataPaneRemoveTransform;
+        }
+
+        public static get trendlineTitle(): string {
+            return ScriptsResources.DataPaneTrendlineTitle;
+        }
+
+        public static get trendlineNone(): string {
+            return ScriptsResources.DataPaneTrendlineNone;
+        }
+
+        public static get trendlineDegree(): string {
+            return ScriptsResources.DataPaneTrendlineDegree;
+        }
+
+        public static get trendlineForecast(): string {
+            return ScriptsResources.DataPaneTrendlineForecast;
+        }
+
+        public static get highlightTitle(): string {
+            return ScriptsResources.DataPaneHighlightTitle;
+        }
+
+        public static get highlightMaximum(): string {
+            return ScriptsResources.DataPaneHighlightMaximum;
+        }
+
+        public static get highlightMinimum(): string {
+            return ScriptsResources.DataPaneHighlightMinimum;
+        }
+
+        public static get highlightLatest(): string {
+            return ScriptsResources.DataPaneHighlightLatest;
+        }
+
+        public static get highlightThreshold(): string {
+            return ScriptsResources.DataPaneHighlightThreshold;
+        }
+
+        public static get highlightTopN(): string {
+            return ScriptsResources.DataPaneHighlightTopN;
+        }
+    }
+
+    export class ReadOptions {
+        public static get firstRowIsHeader(): string {
+            return ScriptsResources.ReadOptionsFirstRowIsHeader;
+        }
+
+        public static get firstColumnIsHeader(): string {
+            return ScriptsResources.ReadOptionsFirstColumnIsHeader;
+        }
+
+        public static get firstColumnIsLabels(): string {
+            return ScriptsResources.ReadOptionsFirstColumnIsLabels;
+        }
+
+        public static get firstRowIsLabels(): string {
+            return ScriptsResources.ReadOptionsFirstRowIsLabels;
+        }
+
+        public static get respectSheetFilters(): string {
+            return ScriptsResources.ReadOptionsRespectSheetFilters;
+        }
     }
 
     export class SettingPane {
@@ -45,6 +239,86 @@ module DataViz.Resources {
             return ScriptsResources.SettingPaneThemeTab;
         }
 
+        public static get axisTab(): string {
+            return ScriptsResources.SettingPaneAxisTab;
+        }
+
+        public static get typeTab(): string {
+            return ScriptsResources.SettingPaneTypeTab;
+        }
+
+        public static get typeLine(): string {
+            return ScriptsResources.SettingPaneTypeLine;
+        }
+
+        public static get typeArea(): string {
+            return ScriptsResources.SettingPaneTypeArea;
+        }
+
+        public static get typeStackedArea(): string {
+            return ScriptsResources.SettingPaneTypeStackedArea;
+        }
+
+        public static get typePercentArea(): string {
+            return ScriptsResources.SettingPaneTypePercentArea;
+        }
+
+        public static get typeColumn(): string {
+            return ScriptsResources.SettingPaneTypeColumn;
+        }
+
+        public static get typeStackedColumn(): string {
+            return ScriptsResources.SettingPaneTypeStackedColumn;
+        }
+
+        public static get typeBar(): string {
+            return ScriptsResources.SettingPaneTypeBar;
+        }
+
+        public static get typeScatter(): string {
+            return ScriptsResources.SettingPaneTypeScatter;
+        }
+
+        public static get typeSmallMultiples(): string {
+            return ScriptsResources.SettingPaneTypeSmallMultiples;
+        }
+
+        public static get axisScale(): string {
+            return ScriptsResources.SettingPaneAxisScale;
+        }
+
+        public static get axisScaleLinear(): string {
+            return ScriptsResources.SettingPaneAxisScaleLinear;
+        }
+
+        public static get axisScaleLog(): string {
+            return ScriptsResources.SettingPaneAxisScaleLog;
+        }
+
+        public static get axisMinimum(): string {
+            return ScriptsResources.SettingPaneAxisMinimum;
+        }
+
+        public static get axisMaximum(): string {
+            return ScriptsResources.SettingPaneAxisMaximum;
+        }
+
+        public static get axisAuto(): string {
+            return ScriptsResources.SettingPaneAxisAuto;
+        }
+
+        public static get axisIncludeZero(): string {
+            return ScriptsResources.SettingPaneAxisIncludeZero;
+        }
+
+        public static get axisTickNumber(): string {
+            return ScriptsResources.SettingPaneAxisTickNumber;
+        }
+
+        public static get axisCompact(): string {
+            return ScriptsResources.SettingPaneAxisCompact;
+        }
+
         public static get themeTitles(): string[] {
             return [
                 ScriptsResources.SettingPaneThemeTitle1,
@@ -138,18 +412,6 @@ module DataViz.Resources {
             return ScriptsResources.BindingPaneInfoNormal;
         }
 
-        public static get infoMaxRow(): string {
-            return ScriptsResources.BindingPaneInfoMaxRow;
-        }
-
-        public static get infoMaxColumn(): string {
-            return ScriptsResources.BindingPaneInfoMaxColumn;
-        }
-
-        public static get infoMaxRowAndColumn(): string {
-            return ScriptsResources.BindingPaneInfoMaxRowAndColumn;
-        }
-
         public static get infoDataSetTooLarge(): string {
             return ScriptsResources.BindingPaneInfoDataSetTooLarge;
         }
@@ -182,6 +444,10 @@ module DataViz.Resources {
             return ScriptsResources.BindingPaneSubtitle;
         }
 
+        public static get previewSubtitle(): string {
+            return ScriptsResources.BindingPanePreviewSubtitle;
+        }
+
         public static get buttonOKText(): string {
             return ScriptsResources.BindingPaneButtonOK;
         }
@@ -214,4 +480,80 @@ module DataViz.Resources {
             return ScriptsResources.BindingPaneSampleDataTime3;
         }
     }
+
+    export class Transforms {
+        public static get rollingAverage(): string {
+            return ScriptsResources.TransformsRollingAverage;
+        }
+
+        public static get rollingAverageName(): string {
+            return ScriptsResources.TransformsRollingAverageName;
+        }
+
+        public static get cumulativeSum(): string {
+            return ScriptsResources.TransformsCumulativeSum;
+        }
+
+        public static get percentChange(): string {
+            return ScriptsResources.TransformsPercentChange;
+        }
+
+        public static get rebase(): string {
+            return ScriptsResources.TransformsRebase;
+        }
+    }
+
+    export class Trendlines {
+        public static get linear(): string {
+            return ScriptsResources.TrendlinesLinear;
+        }
+
+        public static get exponential(): string {
+            return ScriptsResources.TrendlinesExponential;
+        }
+
+        public static get polynomial(): string {
+            return ScriptsResources.TrendlinesPolynomial;
+        }
+
+        public static get rSquared(): string {
+            return ScriptsResources.TrendlinesRSquared;
+        }
+    }
+
+    export class Scatter {
+        public static get xSeries(): string {
+            return ScriptsResources.ScatterXSeries;
+        }
+
+        public static get ySeries(): string {
+            return ScriptsResources.ScatterYSeries;
+        }
+
+        public static get regression(): string {
+            return ScriptsResources.ScatterRegression;
+        }
+
+        public static get correlation(): string {
+            return ScriptsResources.ScatterCorrelation;
+        }
+
+        public static get correlationValue(): string {
+            return ScriptsResources.ScatterCorrelationValue;
+        }
+
+        public static get labels(): string {
+            return ScriptsResources.ScatterLabels;
+        }
+
+        public static get notEnoughSeries(): string {
+            return ScriptsResources.ScatterNotEnoughSeries;
+        }
+    }
+
+    export class SmallMultiples {
+        public static get sharedYScale(): string {
+            return ScriptsResources.SmallMultiplesSharedYScale;
+        }
+    }
 }
\ No newline at end of file